@@ -0,0 +1,151 @@
+/**
+ * Curved edge tests
+ * Covers arc geometry, outline metrics and the curved rim framing calculateStructure adds.
+ */
+
+import {
+  getArcGeometry,
+  getArcPoints,
+  getSnappedSagitta,
+  expandArcEdges,
+  getOutlineMetrics,
+  getArcRimSpec,
+} from '../deckCalcjs/arcCalculations.js';
+import { calculateStructure } from '../deckCalcjs/deckCalculations.js';
+import { PIXELS_PER_FOOT } from '../deckCalcjs/config.js';
+
+// Suppress console noise
+const originalLog = console.log;
+const originalWarn = console.warn;
+beforeAll(() => {
+  console.log = () => {};
+  console.warn = () => {};
+});
+afterAll(() => {
+  console.log = originalLog;
+  console.warn = originalWarn;
+});
+
+const ft = (feet) => feet * PIXELS_PER_FOOT;
+
+// 16x10 deck, ledger on the top edge; edge 2 is the outer edge, running right to left,
+// so a negative sagitta bulges it away from the house
+const deckPoints = [
+  { x: 0, y: 0 },
+  { x: ft(16), y: 0 },
+  { x: ft(16), y: ft(10) },
+  { x: 0, y: ft(10) },
+];
+const deckDims = { widthFeet: 16, heightFeet: 10, minX: 0, maxX: ft(16), minY: 0, maxY: ft(10) };
+const inputs = {
+  joistSpacing: 16,
+  postSize: '6x6',
+  deckHeight: 48,
+  attachmentType: 'house_rim',
+  beamType: 'drop',
+  footingType: 'pylex',
+};
+
+describe('Arc geometry', () => {
+  const p1 = { x: ft(16), y: ft(10) };
+  const p2 = { x: 0, y: ft(10) };
+
+  test('radius and length from chord and sagitta', () => {
+    const arc = getArcGeometry(p1, p2, ft(-3));
+    // r = c^2 / 8s + s / 2 = 256 / 24 + 1.5
+    expect(arc.radiusFeet).toBeCloseTo(12.1667, 3);
+    expect(arc.apex).toEqual({ x: ft(8), y: ft(13) });
+    expect(arc.lengthFeet).toBeGreaterThan(16);
+    expect(arc.lengthFeet).toBeCloseTo(17.46, 2);
+  });
+
+  test('straight edges have no arc', () => {
+    expect(getArcGeometry(p1, p2, 0)).toBeNull();
+    expect(getArcPoints(p1, p2, 0)).toEqual([]);
+  });
+
+  test('facets stay on the circle', () => {
+    const arc = getArcGeometry(p1, p2, ft(3));
+    const points = getArcPoints(p1, p2, ft(3));
+    expect(points.length).toBeGreaterThanOrEqual(1);
+    points.forEach((p) => {
+      expect(Math.hypot(p.x - arc.center.x, p.y - arc.center.y)).toBeCloseTo(arc.radius, 6);
+      expect(p.y).toBeLessThan(ft(10));
+    });
+  });
+
+  test('dragged sagitta snaps to the inch, limits to a half circle and ignores small bulges', () => {
+    expect(getSnappedSagitta(p1, p2, { x: ft(8), y: ft(13) + 0.6 })).toBe(-ft(3));
+    expect(getSnappedSagitta(p1, p2, { x: ft(8), y: ft(30) })).toBe(-ft(8));
+    expect(getSnappedSagitta(p1, p2, { x: ft(8), y: ft(10) + 4 })).toBe(0);
+  });
+});
+
+describe('Outlines with curved edges', () => {
+  const edgeArcs = { 2: ft(-3) };
+
+  test('expanding keeps the closing point and maps original vertices', () => {
+    const closed = [...deckPoints, { ...deckPoints[0] }];
+    const { points, vertexIndexMap, arcs } = expandArcEdges(closed, edgeArcs);
+    expect(arcs).toHaveLength(1);
+    expect(points[points.length - 1]).toEqual(deckPoints[0]);
+    vertexIndexMap.slice(0, 4).forEach((index, i) => expect(points[index]).toEqual(deckPoints[i]));
+    expect(vertexIndexMap[3] - vertexIndexMap[2]).toBe(arcs[0].facetCount);
+  });
+
+  test('ledger edges stay straight', () => {
+    const { arcs } = expandArcEdges(deckPoints, { 0: ft(2) }, [0]);
+    expect(arcs).toHaveLength(0);
+  });
+
+  test('area adds an outward segment and removes an inward one', () => {
+    const outward = getOutlineMetrics(deckPoints, edgeArcs);
+    const inward = getOutlineMetrics(deckPoints, { 2: ft(3) });
+    const segment = outward.areaSqFt - 160;
+    expect(segment).toBeGreaterThan(0);
+    expect(inward.areaSqFt).toBeCloseTo(160 - segment, 6);
+    expect(outward.perimeterFeet).toBeCloseTo(36 + 17.46, 1);
+    expect(ft(13) - outward.maxY).toBeLessThanOrEqual(0.5);
+  });
+
+  test('gentle curves are kerfed and tight ones laminated', () => {
+    expect(getArcRimSpec(12)).toEqual({ method: 'kerfed', plies: 1 });
+    expect(getArcRimSpec(4)).toEqual({ method: 'laminated', plies: 4 });
+  });
+});
+
+describe('calculateStructure with a curved edge', () => {
+  const structure = calculateStructure(deckPoints, 0, { ...inputs, edgeArcs: { 2: ft(-3) } }, deckDims);
+
+  test('frames the arc with one curved rim joist', () => {
+    const curved = structure.rimJoists.filter((rim) => rim.isCurved);
+    expect(curved).toHaveLength(1);
+    expect(curved[0]).toMatchObject({ usage: 'Curved Rim Joist', rimMethod: 'kerfed', plies: 1, edgeIndex: 2 });
+    expect(curved[0].lengthFeet).toBeCloseTo(17.46, 2);
+    expect(structure.rimJoists.every((rim) => rim.lengthFeet > 0)).toBe(true);
+  });
+
+  test('keeps full-length end joists', () => {
+    const ends = structure.rimJoists.filter((rim) => rim.usage === 'End Joist');
+    expect(ends).toHaveLength(2);
+    ends.forEach((rim) => expect(rim.lengthFeet).toBeCloseTo(10, 1));
+  });
+
+  test('posts the beam chain at its joints with a footing for each', () => {
+    expect(structure.posts.length).toBeGreaterThanOrEqual(5);
+    expect(structure.footings).toHaveLength(structure.posts.length);
+  });
+
+  test('summarises the arc', () => {
+    expect(structure.arcEdges).toEqual([
+      expect.objectContaining({ edgeIndex: 2, chordFeet: 16, sagittaInches: 36, rimMethod: 'kerfed' }),
+    ]);
+  });
+
+  test('inward curves keep the end joists too', () => {
+    const inward = calculateStructure(deckPoints, 0, { ...inputs, edgeArcs: { 2: ft(3) } }, deckDims);
+    expect(inward.error).toBeFalsy();
+    expect(inward.rimJoists.filter((rim) => rim.usage === 'End Joist').every((rim) => rim.lengthFeet > 9)).toBe(true);
+    expect(inward.rimJoists.some((rim) => rim.usage === 'Outer Rim Joist')).toBe(false);
+  });
+});
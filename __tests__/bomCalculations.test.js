@@ -0,0 +1,331 @@
+/**
+ * Bill of Materials Tests
+ *
+ * Runs calculated structures through the BOM against the embedded stock list
+ * to check that every hardware line resolves to a stocked item.
+ */
+
+import { calculateBOM } from '../deckCalcjs/bomCalculations.js';
+import { calculateStructure } from '../deckCalcjs/deckCalculations.js';
+import { calculateMultiSectionStructure } from '../deckCalcjs/multiSectionCalculations.js';
+import { loadAndParseData, getParsedStockData } from '../deckCalcjs/dataManager.js';
+import { createCutoutFromPoints } from '../deckCalcjs/cutoutCalculations.js';
+import { calculateFasciaLayout } from '../deckCalcjs/fasciaCalculations.js';
+import { calculateStairDetails } from '../deckCalcjs/stairCalculations.js';
+import { PIXELS_PER_FOOT } from '../deckCalcjs/config.js';
+
+// Suppress console noise
+const originalLog = console.log;
+const originalWarn = console.warn;
+beforeAll(() => {
+  console.log = () => {};
+  console.warn = () => {};
+  loadAndParseData();
+});
+afterAll(() => {
+  console.log = originalLog;
+  console.warn = originalWarn;
+});
+
+const ft = (feet) => feet * PIXELS_PER_FOOT;
+
+const standardInputs = {
+  joistSpacing: 16,
+  postSize: '6x6',
+  deckHeight: 48,
+  attachmentType: 'house_rim',
+  beamType: 'drop',
+  footingType: 'gh_levellers',
+  fasteners: 'u2_3_18',
+};
+
+function makeRectPoints(widthFt, heightFt) {
+  return [
+    { x: 0, y: 0 },
+    { x: ft(widthFt), y: 0 },
+    { x: ft(widthFt), y: ft(heightFt) },
+    { x: 0, y: ft(heightFt) },
+  ];
+}
+
+function makeDims(widthFt, heightFt) {
+  return {
+    widthFeet: widthFt,
+    heightFeet: heightFt,
+    minX: 0,
+    maxX: ft(widthFt),
+    minY: 0,
+    maxY: ft(heightFt),
+    area: widthFt * heightFt,
+    actualAreaSqFt: widthFt * heightFt,
+    perimeterFeet: 2 * (widthFt + heightFt),
+  };
+}
+
+function buildBOM(widthFt, heightFt, inputs, wallIndices = [0]) {
+  const points = makeRectPoints(widthFt, heightFt);
+  const dims = makeDims(widthFt, heightFt);
+  const structure = calculateStructure(points, wallIndices, inputs, dims);
+  return calculateBOM(structure, inputs, [], dims, null, null, null, points);
+}
+
+const missing = (bom, usage) =>
+  bom.filter((line) => line.item === 'Stock Item Missing' && line.description?.includes(usage));
+const stockLines = (bom, name) => bom.filter((line) => line.item?.includes(name));
+
+describe('Lateral load hardware', () => {
+  it('orders stocked DTT2Z ties, threaded rod and SDS screws for a house rim ledger', () => {
+    const bom = buildBOM(16, 12, standardInputs);
+
+    expect(missing(bom, 'Lateral Load')).toEqual([]);
+    expect(stockLines(bom, 'DTT2Z')[0]).toMatchObject({ qty: 4 });
+    expect(stockLines(bom, 'Threaded Rod HDG 1/2')[0]).toMatchObject({ qty: 2 });
+
+    // 4 devices x 8 screws = 32, bought as 12-packs
+    const sdsScrews = stockLines(bom, 'SDS Heavy-Duty Connector Screw');
+    expect(sdsScrews.length).toBeGreaterThan(0);
+    expect(sdsScrews.reduce((sum, line) => sum + line.qty * 12, 0)).toBeGreaterThanOrEqual(32);
+  });
+
+  it('anchors one tie per location into a concrete wall', () => {
+    const bom = buildBOM(16, 12, { ...standardInputs, attachmentType: 'concrete' });
+
+    expect(missing(bom, 'Lateral Load')).toEqual([]);
+    expect(stockLines(bom, 'DTT2Z')[0]).toMatchObject({ qty: 2 });
+  });
+});
+
+describe('Post connectors', () => {
+  // L-shaped deck wrapping the house corner at (10, 10) with ledgers on edges 1 and 2
+  const wrapPoints = [
+    { x: 0, y: 0 },
+    { x: ft(10), y: 0 },
+    { x: ft(10), y: ft(10) },
+    { x: ft(20), y: ft(10) },
+    { x: ft(20), y: ft(20) },
+    { x: 0, y: ft(20) },
+  ];
+
+  it('orders stocked corner caps and their SDS screws for a wrap-around deck', () => {
+    const inputs = { ...standardInputs, footingType: 'pylex' };
+    const structure = calculateMultiSectionStructure([{}, {}], inputs, [1, 2], wrapPoints);
+    const cornerPosts = structure.posts.filter((p) => p.connectors?.position === 'corner');
+    expect(cornerPosts.length).toBeGreaterThan(0);
+
+    const dims = makeDims(20, 20);
+    const bom = calculateBOM(structure, inputs, [], dims, null, null, null, wrapPoints);
+    expect(missing(bom, 'Post Cap')).toEqual([]);
+    expect(missing(bom, 'Beam Connector')).toEqual([]);
+    expect(stockLines(bom, 'ECCQ3-6SDS2.5')[0]).toMatchObject({ qty: cornerPosts.length });
+
+    const sdsScrews = stockLines(bom, 'SDS Heavy-Duty Connector Screw 1/4 x 2-1/2');
+    expect(sdsScrews.reduce((sum, line) => sum + line.qty * 12, 0)).toBeGreaterThanOrEqual(cornerPosts.length * 16);
+  });
+
+  it('orders a stocked post base for every post on a concrete pier', () => {
+    const inputs = { ...standardInputs, footingType: 'concrete_pier' };
+    const points = makeRectPoints(16, 12);
+    const dims = makeDims(16, 12);
+    const structure = calculateStructure(points, [0], inputs, dims);
+    const bom = calculateBOM(structure, inputs, [], dims, null, null, null, points);
+
+    expect(missing(bom, 'Post Base')).toEqual([]);
+    expect(stockLines(bom, 'ABU66Z')[0]).toMatchObject({ qty: structure.posts.length });
+  });
+
+  it('stocks every connector the spec table can pick', () => {
+    const stock = getParsedStockData();
+    ['bcs2-2/4z', 'lce4', 'bcs2-3/6z', 'eccq3-6', 'abu44z', 'abu66z', 'h2.5az'].forEach((search) => {
+      expect(stock.some((i) => i.item?.toLowerCase().includes(search))).toBe(true);
+    });
+  });
+});
+
+describe('Concrete pier forms', () => {
+  const points = makeRectPoints(16, 12);
+  const dims = makeDims(16, 12);
+  const formDiameter = (line) => parseInt(line.item.match(/(\d+)"/)[1], 10);
+
+  it('orders a sonotube for each pier sized to its diameter', () => {
+    const inputs = { ...standardInputs, footingType: 'concrete_pier' };
+    const structure = calculateStructure(points, [0], inputs, dims);
+    const bom = calculateBOM(structure, inputs, [], dims, null, null, null, points);
+
+    expect(missing(bom, 'Sonotube')).toEqual([]);
+    const forms = stockLines(bom, 'Sonotube');
+    expect(forms.reduce((sum, line) => sum + line.qty, 0)).toBe(structure.footings.length);
+    const diameters = forms.map(formDiameter);
+    structure.footings.forEach((footing) => {
+      expect(diameters).toContain(footing.diameter);
+    });
+  });
+
+  it('stacks a second 4\' form when the frost depth is deeper', () => {
+    const inputs = { ...standardInputs, footingType: 'concrete_pier', frostDepthInches: 60 };
+    const structure = calculateStructure(points, [0], inputs, dims);
+    const bom = calculateBOM(structure, inputs, [], dims, null, null, null, points);
+
+    const forms = stockLines(bom, 'Sonotube');
+    expect(forms.reduce((sum, line) => sum + line.qty, 0)).toBe(structure.footings.length * 2);
+  });
+
+  it('picks the smallest stocked form that fits the pier', () => {
+    const stock = getParsedStockData();
+    [12, 16, 18, 20, 24].forEach((diameter) => {
+      const fits = stock
+        .filter((i) => i.item?.includes('Sonotube'))
+        .map((i) => parseInt(i.item.match(/(\d+)"/)[1], 10))
+        .filter((d) => d >= diameter);
+      expect(Math.min(...fits)).toBe(diameter);
+    });
+  });
+});
+
+describe('Landing footings', () => {
+  it('orders concrete for landing piers', () => {
+    const points = makeRectPoints(12, 10);
+    const dims = makeDims(12, 10);
+    const inputs = { ...standardInputs, footingType: 'concrete_pier' };
+    const structure = calculateStructure(points, [0], inputs, dims);
+    const stair = calculateStairDetails(
+      {
+        rimP1: { x: ft(12), y: ft(10) },
+        rimP2: { x: 0, y: ft(10) },
+        positionX: ft(6),
+        positionY: ft(10),
+        widthFt: 4,
+        stringerType: 'pylex_steel',
+        landingType: 'existing',
+        stairShape: 'l_shape',
+      },
+      60,
+      { footingType: inputs.footingType, deckPoints: points, footingInputs: inputs }
+    );
+    const bom = calculateBOM(structure, inputs, [stair], dims, null, null, null, points);
+
+    const landingConcrete = bom.filter((line) => line.description?.includes('Landing') && line.description.includes('Pier Concrete'));
+    expect(landingConcrete).toHaveLength(1);
+    expect(landingConcrete[0].item).not.toBe('Stock Item Missing');
+    expect(landingConcrete[0].qty).toBeGreaterThan(0);
+  });
+});
+
+describe('Ledger fasteners', () => {
+  it('orders the 1/2" lag screws the IRC lag screw column is written for', () => {
+    const points = makeRectPoints(16, 12);
+    const dims = makeDims(16, 12);
+    const structure = calculateStructure(points, [0], standardInputs, dims);
+    const bom = calculateBOM(structure, standardInputs, [], dims, null, null, null, points);
+
+    expect(missing(bom, 'Ledger Fastener')).toEqual([]);
+    expect(stockLines(bom, 'Lag Screw HDG 1/2 x 4')[0]).toMatchObject({ qty: structure.ledgerFasteners.totalCount });
+  });
+
+  it('keeps at least a pair of Titen HD anchors every 16" on a concrete wall', () => {
+    const inputs = { ...standardInputs, attachmentType: 'concrete' };
+    const points = makeRectPoints(16, 12);
+    const dims = makeDims(16, 12);
+    const structure = calculateStructure(points, [0], inputs, dims);
+    const bom = calculateBOM(structure, inputs, [], dims, null, null, null, points);
+
+    expect(missing(bom, 'Wall Rim Fastener')).toEqual([]);
+    const wallRimFeet = structure.ledgerFasteners.runs[0].lengthFeet;
+    expect(structure.ledgerFasteners.totalCount).toBeGreaterThanOrEqual(Math.ceil((wallRimFeet * 12) / 16) * 2);
+  });
+});
+
+describe('Opening hardware', () => {
+  it('prices the double hangers around an opening', () => {
+    const cutout = {
+      ...createCutoutFromPoints('rect', { x: ft(6), y: ft(3) }, { x: ft(9), y: ft(6) }),
+      id: 'cutout-1',
+    };
+    const inputs = { ...standardInputs, cutouts: [cutout] };
+    const points = makeRectPoints(16, 10);
+    const dims = makeDims(16, 10);
+    const structure = calculateStructure(points, [0], inputs, dims);
+    const bom = calculateBOM(structure, inputs, [], dims, null, null, null, points);
+
+    expect(bom.filter((line) => line.description?.includes('No Stock'))).toEqual([]);
+    expect(missing(bom, 'Double Joist Hanger')).toEqual([]);
+    expect(structure.cutouts).toHaveLength(1);
+    expect(stockLines(bom, 'Double Face Mount Hanger')[0].qty).toBeGreaterThan(0);
+  });
+});
+
+describe('Curved edges', () => {
+  const curvedBOM = (widthFt, sagittaFt) => {
+    const inputs = { ...standardInputs, edgeArcs: { 2: ft(-sagittaFt) } };
+    const points = makeRectPoints(widthFt, 10);
+    const dims = makeDims(widthFt, 10);
+    const structure = calculateStructure(points, [0], inputs, dims);
+    const bom = calculateBOM(structure, inputs, [], dims, null, null, null, points);
+    return { structure, bom, curved: structure.rimJoists.find((r) => r.isCurved) };
+  };
+
+  it('prices a laminated rim from bending ply sheets and the curve from bendable fascia', () => {
+    const { bom, curved } = curvedBOM(8, 4);
+    expect(curved).toMatchObject({ rimMethod: 'laminated', size: '2x10' });
+
+    expect(bom.filter((line) => line.description?.includes('No Stock'))).toEqual([]);
+    expect(missing(bom, 'Curved')).toEqual([]);
+    // Four plies of a ~12.6' arc in 8' strips, ripped five to a sheet for a 2x10 rim
+    const plySheets = stockLines(bom, 'Bending Plywood')[0];
+    expect(plySheets.qty).toBe(Math.ceil((curved.plies * Math.ceil(curved.lengthFeet / 8)) / 5));
+    expect(stockLines(bom, 'Bendable PVC Fascia')[0].qty).toBe(Math.ceil(curved.lengthFeet / 12));
+  });
+
+  it('prices the fascia on a kerfed rim without any bending ply', () => {
+    const { bom, curved } = curvedBOM(16, 3);
+    expect(curved.rimMethod).toBe('kerfed');
+    expect(stockLines(bom, 'Bending Plywood')).toEqual([]);
+    expect(stockLines(bom, 'Bendable PVC Fascia')[0].qty).toBeGreaterThan(0);
+  });
+});
+
+describe('Skewed hangers', () => {
+  const rise = (runFt, deg) => runFt * Math.tan((deg * Math.PI) / 180);
+
+  it('hangs joists off a 30 degree diagonal ledger in stocked field-skewable hangers', () => {
+    const points = [
+      { x: 0, y: 0 },
+      { x: ft(8), y: 0 },
+      { x: ft(12), y: ft(rise(4, 30)) },
+      { x: ft(12), y: ft(12) },
+      { x: 0, y: ft(12) },
+    ];
+    const dims = makeDims(12, 12);
+    const structure = calculateStructure(points, [0, 1], standardInputs, dims);
+    const skewed = structure.joists.filter((j) => j.skewHanger);
+    expect(skewed.length).toBeGreaterThan(0);
+    skewed.forEach((j) => expect(j.skewHanger.angleDeg).toBe(30));
+
+    const bom = calculateBOM(structure, standardInputs, [], dims, null, null, null, points);
+    expect(bom.filter((line) => line.description?.includes('No Stock'))).toEqual([]);
+    expect(missing(bom, 'Skewed Joist Hanger')).toEqual([]);
+    expect(stockLines(bom, 'Field-Skewable Hanger')[0].qty).toBe(skewed.length);
+  });
+});
+
+describe('Skirting framing', () => {
+  it('cuts the studs and bottom rails from stocked 2x4s', () => {
+    const inputs = { ...standardInputs, footingType: 'pylex' };
+    const points = makeRectPoints(20, 12);
+    const dims = makeDims(20, 12);
+    const structure = calculateStructure(points, [0], inputs, dims);
+    const fasciaLayout = calculateFasciaLayout(
+      points,
+      structure.rimJoists,
+      { enabled: true, skirting: 'lattice', groundGapInches: 2 },
+      { deckHeightInches: 48, houseEdgeIndices: [0] }
+    );
+    const bom = calculateBOM(structure, inputs, [], dims, null, null, null, points, fasciaLayout);
+
+    expect(bom.filter((line) => line.description?.includes('No Stock'))).toEqual([]);
+    expect(missing(bom, 'Skirting')).toEqual([]);
+    const studs = stockLines(bom, '2x4 S4S Brown').filter((line) => line.category === 'FASCIA & SKIRTING');
+    const stockFeet = studs.reduce((sum, line) => sum + line.qty * parseInt(line.item.match(/(\d+)'$/)[1], 10), 0);
+    const framingFeet = fasciaLayout.framing.reduce((sum, piece) => sum + piece.lengthFeet, 0);
+    expect(stockFeet).toBeGreaterThanOrEqual(framingFeet);
+  });
+});
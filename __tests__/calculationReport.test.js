@@ -0,0 +1,111 @@
+/**
+ * Calculation report tests
+ * Covers the report data built from calculateStructure output and the standalone HTML rendering.
+ */
+
+import { buildCalculationReport, renderCalculationReportHtml, formatReportValue } from '../deckCalcjs/calculationReport.js';
+import { calculateStructure } from '../deckCalcjs/deckCalculations.js';
+import { PIXELS_PER_FOOT } from '../deckCalcjs/config.js';
+
+// Suppress console noise
+const originalLog = console.log;
+const originalWarn = console.warn;
+beforeAll(() => {
+  console.log = () => {};
+  console.warn = () => {};
+});
+afterAll(() => {
+  console.log = originalLog;
+  console.warn = originalWarn;
+});
+
+const ft = (feet) => feet * PIXELS_PER_FOOT;
+
+const deckPoints = [
+  { x: 0, y: 0 },
+  { x: ft(12), y: 0 },
+  { x: ft(12), y: ft(12) },
+  { x: 0, y: ft(12) },
+];
+const deckDims = { widthFeet: 12, heightFeet: 12, minX: 0, maxX: ft(12), minY: 0, maxY: ft(12) };
+const inputs = {
+  joistSpacing: 16,
+  postSize: '6x6',
+  deckHeight: 48,
+  attachmentType: 'house_rim',
+  beamType: 'drop',
+  footingType: 'concrete_pier',
+};
+
+const section = (report, key) => report.sections.find((s) => s.key === key);
+
+describe('buildCalculationReport', () => {
+  const structure = calculateStructure(deckPoints, 0, inputs, deckDims);
+  const report = buildCalculationReport(structure, inputs, { generatedAt: '2026-01-01T00:00:00.000Z' });
+
+  test('covers every joist group, beam segment, post and footing', () => {
+    expect(section(report, 'joists').items).toHaveLength(structure.mechanics.joists.length);
+    expect(section(report, 'beams').items).toHaveLength(structure.mechanics.beams.length);
+    expect(section(report, 'posts').items).toHaveLength(structure.posts.length);
+    expect(section(report, 'footings').items).toHaveLength(structure.footings.length);
+    expect(report.summary).toEqual({ items: 3 + structure.posts.length * 2, failures: [], allPass: true });
+  });
+
+  test('joist groups show span inputs, the span table and member checks', () => {
+    const [joist] = section(report, 'joists').items;
+    expect(joist.count).toBe(structure.joists.length);
+    expect(joist.inputs.find((i) => i.name === 'Span').value).toBe(structure.mechanics.joists[0].spanFt);
+    expect(joist.checks.map((c) => c.name)).toEqual(['Joist span', 'Bending', 'Shear', 'Live load deflection', 'Vibration']);
+    expect(joist.checks[0]).toMatchObject({ method: expect.stringContaining('R507.6'), limit: 15.17, passes: true });
+    expect(joist.checks[4]).toMatchObject({ comparison: 'min', limit: 8 });
+  });
+
+  test('beams report tributary width and the table joist span', () => {
+    const [beam] = section(report, 'beams').items;
+    const tributary = beam.inputs.find((i) => i.name === 'Tributary width').value;
+    expect(beam.inputs.find((i) => i.name.startsWith('Table joist span')).value).toBe(tributary * 2);
+    expect(beam.checks[0].method).toContain('R507.5');
+  });
+
+  test('footings check bearing area against soil and depth against frost', () => {
+    const [footing] = section(report, 'footings').items;
+    const bearing = footing.checks.find((c) => c.name === 'Bearing area');
+    expect(bearing.value).toBeCloseTo(footing.inputs.find((i) => i.name === 'Footing load').value / 1500, 2);
+    expect(footing.checks.find((c) => c.name === 'Frost depth').passes).toBe(true);
+  });
+
+  test('is plain data that survives a JSON round trip', () => {
+    expect(JSON.parse(JSON.stringify(report))).toEqual(report);
+  });
+
+  test('flags posts too tall for their size and footings above frost', () => {
+    const tall = { ...inputs, postSize: '4x4', deckHeight: 120, footingType: 'gh_levellers' };
+    const result = buildCalculationReport(calculateStructure(deckPoints, 0, tall, deckDims), tall);
+    const post = section(result, 'posts').items[0];
+    expect(post.checks[0]).toMatchObject({ value: 10, limit: 8, passes: false });
+    expect(section(result, 'footings').items[0].checks.find((c) => c.name === 'Frost depth').passes).toBe(false);
+    expect(result.summary.allPass).toBe(false);
+    expect(result.summary.failures).toContain(post.id);
+  });
+});
+
+describe('renderCalculationReportHtml', () => {
+  const structure = calculateStructure(deckPoints, 0, inputs, deckDims);
+  const report = buildCalculationReport(structure, inputs, { title: 'Smith <Deck>' });
+  const html = renderCalculationReportHtml(report);
+
+  test('is a standalone document with every item', () => {
+    expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+    expect(html).not.toContain('<script');
+    report.sections.flatMap((s) => s.items).forEach((item) => expect(html).toContain(`${item.id} - `));
+  });
+
+  test('escapes text', () => {
+    expect(html).toContain('Smith &lt;Deck&gt;');
+  });
+
+  test('formats missing values as dashes', () => {
+    expect(formatReportValue(null, 'ft')).toBe('--');
+    expect(formatReportValue(12.5, 'ft')).toBe('12.5 ft');
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Deck opening (cutout) tests
+ * Covers cutout geometry and placement checks, and the headered framing calculateStructure adds.
+ */
+
+import {
+  createCutoutFromPoints,
+  createPolygonCutout,
+  getCutoutAreaSqFt,
+  getCutoutPerimeterFeet,
+  isPointInCutout,
+  validateCutoutPlacement,
+} from '../deckCalcjs/cutoutCalculations.js';
+import { calculateStructure } from '../deckCalcjs/deckCalculations.js';
+import { PIXELS_PER_FOOT } from '../deckCalcjs/config.js';
+
+// Suppress console noise
+const originalLog = console.log;
+const originalWarn = console.warn;
+beforeAll(() => {
+  console.log = () => {};
+  console.warn = () => {};
+});
+afterAll(() => {
+  console.log = originalLog;
+  console.warn = originalWarn;
+});
+
+const ft = (feet) => feet * PIXELS_PER_FOOT;
+
+// 16x10 deck, ledger on the top edge so joists run along Y
+const deckPoints = [
+  { x: 0, y: 0 },
+  { x: ft(16), y: 0 },
+  { x: ft(16), y: ft(10) },
+  { x: 0, y: ft(10) },
+];
+const deckDims = { widthFeet: 16, heightFeet: 10, minX: 0, maxX: ft(16), minY: 0, maxY: ft(10) };
+const inputs = {
+  joistSpacing: 16,
+  postSize: '6x6',
+  deckHeight: 48,
+  attachmentType: 'house_rim',
+  beamType: 'drop',
+  footingType: 'pylex',
+};
+
+const rectCutout = (x1, y1, x2, y2) => ({
+  ...createCutoutFromPoints('rect', { x: ft(x1), y: ft(y1) }, { x: ft(x2), y: ft(y2) }),
+  id: 'cutout-1',
+});
+
+describe('Cutout geometry', () => {
+  test('rectangle from opposite corners', () => {
+    const cutout = createCutoutFromPoints('rect', { x: ft(9), y: ft(6) }, { x: ft(6), y: ft(3) });
+    expect(cutout.points).toHaveLength(4);
+    expect(getCutoutAreaSqFt(cutout)).toBeCloseTo(9, 6);
+    expect(getCutoutPerimeterFeet(cutout)).toBeCloseTo(12, 6);
+  });
+
+  test('circle uses its true area and circumference', () => {
+    const cutout = createCutoutFromPoints('circle', { x: ft(8), y: ft(5) }, { x: ft(9.5), y: ft(5) });
+    expect(cutout.radiusFeet).toBe(1.5);
+    expect(getCutoutAreaSqFt(cutout)).toBeCloseTo(Math.PI * 2.25, 6);
+    expect(getCutoutPerimeterFeet(cutout)).toBeCloseTo(Math.PI * 3, 6);
+    expect(isPointInCutout({ x: ft(8), y: ft(5) }, [cutout])).toBe(true);
+  });
+
+  test('polygon drops a closing point and needs three corners', () => {
+    const corners = [{ x: 0, y: 0 }, { x: ft(2), y: 0 }, { x: 0, y: ft(2) }];
+    expect(createPolygonCutout([...corners, { x: 0, y: 0 }]).points).toHaveLength(3);
+    expect(getCutoutAreaSqFt(createPolygonCutout(corners))).toBeCloseTo(2, 6);
+    expect(createPolygonCutout(corners.slice(0, 2))).toBeNull();
+  });
+
+  test('placement must be inside the deck and clear of other openings', () => {
+    const cutout = rectCutout(6, 3, 9, 6);
+    expect(validateCutoutPlacement(cutout, deckPoints)).toBeNull();
+    expect(validateCutoutPlacement(rectCutout(14, 3, 18, 6), deckPoints)).toMatch(/inside the deck/);
+    expect(validateCutoutPlacement(rectCutout(8, 5, 11, 8), deckPoints, [cutout])).toMatch(/overlap/);
+  });
+});
+
+describe('calculateStructure with an opening', () => {
+  const base = calculateStructure(deckPoints, 0, inputs, deckDims);
+  const structure = calculateStructure(deckPoints, 0, { ...inputs, cutouts: [rectCutout(6, 3, 9, 6)] }, deckDims);
+  const byUsage = (usage) => structure.joists.filter((j) => j.usage === usage);
+
+  test('no joist runs through the opening', () => {
+    structure.joists
+      .filter((j) => j.usage !== 'Cutout Header')
+      .forEach((j) => {
+        const x = j.p1.x;
+        if (x <= ft(6) || x >= ft(9)) return;
+        const [y1, y2] = [j.p1.y, j.p2.y].sort((a, b) => a - b);
+        expect(y2 <= ft(3) || y1 >= ft(6)).toBe(true);
+      });
+  });
+
+  test('headers off the crossing joists with tail joists on both sides', () => {
+    const [summary] = structure.cutouts;
+    expect(summary).toMatchObject({ id: 'cutout-1', headeredJoists: 3, tailJoists: 6, tailHangers: 6, warnings: [] });
+    expect(byUsage('Tail Joist')).toHaveLength(6);
+    expect(byUsage('Joist')).toHaveLength(base.joists.filter((j) => j.usage === 'Joist').length - 3);
+  });
+
+  test('doubles the trimmers full span and the headers between them', () => {
+    const trimmers = byUsage('Trimmer Joist');
+    expect(trimmers).toHaveLength(4);
+    trimmers.forEach((t) => expect(t.lengthFeet).toBeCloseTo(10, 6));
+    const headers = byUsage('Cutout Header');
+    expect(headers).toHaveLength(4);
+    headers.forEach((h) => expect(h.lengthFeet).toBeCloseTo(3, 6));
+    expect(structure.cutouts[0].headerHangers).toBe(4);
+  });
+
+  test('blocking rows stop at the trimmers', () => {
+    const crossing = structure.midSpanBlocking.filter((b) => {
+      const [x1, x2] = [b.p1.x, b.p2.x].sort((a, c) => a - c);
+      return x1 < ft(9) && x2 > ft(6);
+    });
+    expect(crossing).toHaveLength(0);
+    expect(structure.midSpanBlocking.length).toBe(base.midSpanBlocking.length * 2);
+  });
+
+  test('headers are not checked as joists', () => {
+    const checked = structure.mechanics.joists.reduce((sum, group) => sum + group.count, 0);
+    expect(checked).toBe(structure.joists.length - byUsage('Cutout Header').length);
+    expect(structure.mechanics.failures).toBe(0);
+  });
+
+  test('openings wider than the header limit are flagged', () => {
+    const wide = calculateStructure(deckPoints, 0, { ...inputs, cutouts: [rectCutout(3, 3, 11, 6)] }, deckDims);
+    expect(wide.cutouts[0].warnings[0]).toMatch(/engineered/);
+  });
+});
@@ -0,0 +1,323 @@
+/**
+ * Board-by-board decking layout tests
+ * Covers how courses are cut into stock lengths with staggered butt joints on the joists,
+ * how breaker boards, picture frames and openings change the layout, angled boards
+ * with herringbone and chevron patterns, and picture frames mitred to the actual edges
+ * with ladder blocking behind them.
+ */
+
+import {
+  calculateDeckingLayout,
+  calculatePictureFrameBoards,
+  doBoardsRunAlongX,
+  getDeckingStockLength,
+  getPatternSeams,
+} from '../deckCalcjs/deckingLayoutCalculations.js';
+import { calculateStructure } from '../deckCalcjs/deckCalculations.js';
+import { createCutoutFromPoints } from '../deckCalcjs/cutoutCalculations.js';
+import { calculateMultiSectionStructure } from '../deckCalcjs/multiSectionCalculations.js';
+import { decomposeShape } from '../deckCalcjs/shapeDecomposer.js';
+import { PIXELS_PER_FOOT, DECKING_JOINT_STAGGER_JOISTS } from '../deckCalcjs/config.js';
+
+// Suppress console noise
+const originalLog = console.log;
+const originalWarn = console.warn;
+beforeAll(() => {
+  console.log = () => {};
+  console.warn = () => {};
+});
+afterAll(() => {
+  console.log = originalLog;
+  console.warn = originalWarn;
+});
+
+const ft = (feet) => feet * PIXELS_PER_FOOT;
+
+const inputs = {
+  joistSpacing: 16,
+  postSize: '6x6',
+  deckHeight: 48,
+  attachmentType: 'house_rim',
+  beamType: 'drop',
+  footingType: 'pylex',
+  pictureFrame: 'none',
+};
+const decking = { material: 'pt', pattern: 'straight', boardAngle: 0, pictureFrame: 'none', breakerBoards: [] };
+
+// Rectangle deck framed off the given ledger edge
+const frame = (widthFeet, depthFeet, ledgerIndex = 0, cutouts = [], deckingState = null) => {
+  const points = [
+    { x: 0, y: 0 },
+    { x: ft(widthFeet), y: 0 },
+    { x: ft(widthFeet), y: ft(depthFeet) },
+    { x: 0, y: ft(depthFeet) },
+  ];
+  const dims = { widthFeet, heightFeet: depthFeet, minX: 0, maxX: ft(widthFeet), minY: 0, maxY: ft(depthFeet) };
+  return { points, structure: calculateStructure(points, ledgerIndex, { ...inputs, cutouts, decking: deckingState }, dims) };
+};
+
+describe('Stock lengths', () => {
+  test('pieces come from the shortest stock board that covers them', () => {
+    expect(getDeckingStockLength(7.5)).toBe(8);
+    expect(getDeckingStockLength(12)).toBe(12);
+    expect(getDeckingStockLength(12.1)).toBe(14);
+  });
+});
+
+describe('Courses across the joists', () => {
+  const { points, structure } = frame(20, 12);
+  const layout = calculateDeckingLayout(points, structure, decking);
+  const joistXs = structure.joists.map((j) => j.p1.x);
+
+  test('boards run square to the joists', () => {
+    expect(doBoardsRunAlongX(structure)).toBe(true);
+    expect(layout.runsAlongX).toBe(true);
+    expect(doBoardsRunAlongX(frame(12, 20, 1).structure)).toBe(false);
+  });
+
+  test('every course is cut into a 12 and an 8 with the joint on a joist', () => {
+    expect(layout.courses).toHaveLength(26);
+    expect(layout.stockCounts).toEqual({ 8: 26, 12: 26 });
+    layout.courses.forEach((course) => {
+      expect(course.joints).toHaveLength(1);
+      expect(joistXs).toContain(course.joints[0]);
+    });
+    expect(layout.courses[25].ripped).toBe(true);
+  });
+
+  test('joints in neighbouring courses are staggered', () => {
+    layout.courses.slice(1).forEach((course, i) => {
+      const previous = layout.courses[i].joints[0];
+      const between = joistXs.filter((x) => x > Math.min(previous, course.joints[0]) && x <= Math.max(previous, course.joints[0]));
+      expect(between.length).toBeGreaterThanOrEqual(DECKING_JOINT_STAGGER_JOISTS);
+    });
+    expect(layout.warnings).toEqual([]);
+  });
+
+  test('square boards waste only the stock offcuts', () => {
+    expect(layout.pattern).toBe('straight');
+    expect(layout.angleDegrees).toBe(0);
+    expect(layout.totals.wastePercent).toBeCloseTo(2.62, 2);
+  });
+});
+
+describe('Angles and patterns', () => {
+  // Board ends inside the deck are butt joints, which must land on a joist
+  const interiorEnds = (layout, widthFeet, depthFeet) =>
+    layout.boards
+      .filter((b) => b.usage === 'Deck Board')
+      .flatMap((b) => [b.p1, b.p2])
+      .filter((p) => p.x > 1 && p.x < ft(widthFeet) - 1 && p.y > 1 && p.y < ft(depthFeet) - 1);
+
+  test('straight boards at 30 degrees keep their butt joints on the joists', () => {
+    const angled = { ...decking, boardAngle: 30 };
+    const { points, structure } = frame(20, 12, 0, [], angled);
+    const layout = calculateDeckingLayout(points, structure, angled);
+    const supportXs = [...structure.joists, ...structure.rimJoists].filter((m) => m.p1.x === m.p2.x).map((m) => m.p1.x);
+    expect(layout.angleDegrees).toBe(30);
+    expect(layout.courses.every((c) => c.angleDegrees === 30)).toBe(true);
+    const ends = interiorEnds(layout, 20, 12);
+    expect(ends.length).toBeGreaterThan(0);
+    ends.forEach((p) => expect(supportXs.some((x) => Math.abs(x - p.x) < 1e-6)).toBe(true));
+    // Cut off square at the outline, angled boards waste more than square ones
+    const square = calculateDeckingLayout(points, frame(20, 12).structure, decking);
+    expect(layout.totals.wastePercent).toBeGreaterThan(square.totals.wastePercent);
+  });
+
+  test('a chevron splits the deck at a centre seam into strips at opposite angles', () => {
+    const chevron = { ...decking, pattern: 'chevron', boardAngle: 45 };
+    const { points, structure } = frame(20, 12, 0, [], chevron);
+    expect(getPatternSeams(points, true, chevron)).toEqual([{ id: 'seam-1', position: 10 }]);
+    expect(getPatternSeams(points, true, decking)).toEqual([]);
+
+    const layout = calculateDeckingLayout(points, structure, chevron);
+    expect(layout.seams).toHaveLength(1);
+    expect(layout.boards.filter((b) => b.breakerId === 'seam-1')).toHaveLength(1);
+    const strip = (i) => layout.boards.filter((b) => b.usage === 'Deck Board' && b.stripIndex === i);
+    expect(strip(0).every((b) => b.angleDegrees === 45)).toBe(true);
+    expect(strip(1).every((b) => b.angleDegrees === -45)).toBe(true);
+
+    // Courses meet point to point along the seam
+    const seamEdge = (boards, x) =>
+      boards.flatMap((b) => b.corners).filter((p) => Math.abs(p.x - x) < 1e-6 && p.y > 1 && p.y < ft(12) - 1).map((p) => p.y);
+    const half = ft((5.5 / 2 + 0.1875) / 12);
+    const left = seamEdge(strip(0), ft(10) - half);
+    const right = seamEdge(strip(1), ft(10) + half);
+    expect(left.length).toBeGreaterThan(0);
+    left.forEach((y) => expect(right.some((r) => Math.abs(r - y) < 1e-6)).toBe(true));
+  });
+
+  test('herringbone strips are offset half a board along the seam', () => {
+    const herringbone = { ...decking, pattern: 'herringbone', boardAngle: 45 };
+    const { points, structure } = frame(20, 12, 0, [], herringbone);
+    const layout = calculateDeckingLayout(points, structure, herringbone);
+    const half = ft((5.5 / 2 + 0.1875) / 12);
+    const offset = ft((5.6875 / 2 / Math.cos(Math.PI / 4)) / 12);
+    const seamEdge = (i, x) =>
+      layout.boards
+        .filter((b) => b.usage === 'Deck Board' && b.stripIndex === i)
+        .flatMap((b) => b.corners)
+        .filter((p) => Math.abs(p.x - x) < 1e-6 && p.y > 1 && p.y < ft(12) - ft(1))
+        .map((p) => p.y);
+    const left = seamEdge(0, ft(10) - half);
+    const right = seamEdge(1, ft(10) + half);
+    expect(left.length).toBeGreaterThan(0);
+    left.forEach((y) => {
+      expect(right.some((r) => Math.abs(r - y) < 1e-6)).toBe(false);
+      expect(right.some((r) => Math.abs(Math.abs(r - y) - offset) < 1e-6)).toBe(true);
+    });
+  });
+
+  test('pattern seams are blocked between the joists either side', () => {
+    const chevron = { ...decking, pattern: 'chevron', boardAngle: 45 };
+    const { structure } = frame(20, 12, 0, [], chevron);
+    const seamBlocking = structure.midSpanBlocking.filter((b) => b.usage === 'Seam Blocking');
+    const joistXs = structure.joists.map((j) => j.p1.x);
+    expect(seamBlocking.length).toBeGreaterThan(0);
+    seamBlocking.forEach((b) => {
+      expect(b.size).toBe(structure.joists[0].size);
+      expect(joistXs).toContain(b.p1.x);
+      expect(joistXs).toContain(b.p2.x);
+    });
+    const half = ft(5.5 / 2 / 12);
+    expect(Math.min(...seamBlocking.map((b) => Math.min(b.p1.x, b.p2.x)))).toBeLessThanOrEqual(ft(10) - half);
+    expect(Math.max(...seamBlocking.map((b) => Math.max(b.p1.x, b.p2.x)))).toBeGreaterThanOrEqual(ft(10) + half);
+    // Rows at the joist spacing along the 12' seam
+    expect(new Set(seamBlocking.map((b) => b.p1.y)).size).toBe(12);
+
+    const straight = frame(20, 12, 0, [], decking).structure;
+    expect(straight.midSpanBlocking.some((b) => b.usage === 'Seam Blocking')).toBe(false);
+  });
+});
+
+describe('Breakers, frames and openings', () => {
+  test('a breaker board splits the courses so no joints are needed', () => {
+    const { points, structure } = frame(30, 12);
+    const layout = calculateDeckingLayout(points, structure, { ...decking, breakerBoards: [{ id: 'b1', position: 15 }] });
+    expect(layout.totals.jointCount).toBe(0);
+    const breakers = layout.boards.filter((b) => b.usage === 'Breaker Board');
+    expect(breakers).toHaveLength(1);
+    expect(breakers[0].lengthFeet).toBeCloseTo(12, 6);
+    layout.boards
+      .filter((b) => b.usage === 'Deck Board')
+      .forEach((b) => expect(b.lengthFeet).toBeLessThan(15));
+  });
+
+  test('a picture frame borders the outline and the field boards stop inside it', () => {
+    const { points, structure } = frame(20, 12);
+    const layout = calculateDeckingLayout(points, structure, { ...decking, pictureFrame: 'single' });
+    const frameWidth = ft((5.5 + 0.1875) / 12);
+    expect(layout.courses[0].perpStart).toBeCloseTo(frameWidth, 6);
+    layout.boards.forEach((b) => {
+      expect(b.rect.x).toBeGreaterThanOrEqual(frameWidth - 1e-6);
+      expect(b.rect.x + b.rect.width).toBeLessThanOrEqual(ft(20) - frameWidth + 1e-6);
+    });
+    // The 20' sides are each cut from two 10s
+    expect(layout.pictureFrameBoards.map((b) => b.stockLengthFeet).sort((a, b) => a - b)).toEqual([10, 10, 10, 10, 12, 12]);
+  });
+
+  test('frame boards follow the actual edges and are mitred to each corner', () => {
+    // 20' x 12' with the far corner clipped at 45 degrees
+    const points = [
+      { x: 0, y: 0 },
+      { x: ft(20), y: 0 },
+      { x: ft(20), y: ft(8) },
+      { x: ft(16), y: ft(12) },
+      { x: 0, y: ft(12) },
+    ];
+    const cutout = { ...createCutoutFromPoints('rect', { x: ft(6), y: ft(3) }, { x: ft(9), y: ft(6) }), id: 'cutout-1' };
+    const boards = calculatePictureFrameBoards(points, { ...decking, pictureFrame: 'single' }, { cutouts: [cutout] });
+    const edge = (ringIndex, edgeIndex) => boards.filter((b) => b.ringIndex === ringIndex && b.edgeIndex === edgeIndex);
+
+    // The clipped edge is cut at 22.5 degrees both ends, its long edge on the outline
+    const [diagonal] = edge(0, 2);
+    expect(diagonal.lengthFeet).toBeCloseTo(Math.hypot(4, 4), 6);
+    expect(diagonal.mitres.start).toEqual({ cornerAngleDegrees: 135, mitreDegrees: 22.5 });
+    expect(diagonal.mitres.end).toEqual({ cornerAngleDegrees: 135, mitreDegrees: 22.5 });
+    expect(edge(0, 1)[0].mitres).toEqual({ start: { cornerAngleDegrees: 90, mitreDegrees: 45 }, end: expect.objectContaining({ mitreDegrees: 22.5 }) });
+
+    // The 20' edge is butted square where its two pieces meet
+    const [first, second] = edge(0, 0);
+    expect(first.mitres).toEqual({ start: expect.objectContaining({ mitreDegrees: 45 }), end: null });
+    expect(second.mitres).toEqual({ start: null, end: expect.objectContaining({ mitreDegrees: 45 }) });
+    expect(first.lengthFeet + second.lengthFeet).toBeCloseTo(20, 6);
+
+    // Round the opening the deck wraps each corner, so the long edges sit outside the hole
+    const hole = boards.filter((b) => b.ringIndex === 1);
+    expect(hole).toHaveLength(4);
+    hole.forEach((b) => {
+      expect(b.mitres.start).toEqual({ cornerAngleDegrees: 270, mitreDegrees: 45 });
+      expect(b.lengthFeet).toBeCloseTo(3 + (2 * 5.5) / 12, 6);
+    });
+  });
+
+  test('ladder blocking follows the outline', () => {
+    const points = [
+      { x: 0, y: 0 },
+      { x: ft(20), y: 0 },
+      { x: ft(20), y: ft(8) },
+      { x: ft(16), y: ft(12) },
+      { x: 0, y: ft(12) },
+    ];
+    const dims = { widthFeet: 20, heightFeet: 12, minX: 0, maxX: ft(20), minY: 0, maxY: ft(12) };
+    const structure = calculateStructure(points, 0, { ...inputs, pictureFrame: 'single' }, dims);
+    const onEdge = (n) => structure.pictureFrameBlocking.filter((b) => b.usage === `Ladder Blocking (Edge ${n})`);
+    const half = ft(0.75 / 12);
+    const pfXs = structure.joists.filter((j) => j.usage === 'Picture Frame Joist').map((j) => j.p1.x);
+
+    // Rungs run from each side rim to the picture frame joist, only as far as each side goes
+    expect(onEdge(2).length).toBeGreaterThan(0);
+    onEdge(2).forEach((b) => {
+      expect(b.p2.x).toBeCloseTo(ft(20) - half, 6);
+      expect(pfXs).toContain(b.p1.x - half);
+      expect(b.p1.y).toBeLessThan(ft(8));
+    });
+    expect(onEdge(5).every((b) => b.p1.x === half)).toBe(true);
+    expect(Math.max(...onEdge(5).map((b) => b.p1.y))).toBeGreaterThan(ft(8));
+
+    // Along the clipped edge, one block per bay under the frame's inside edge
+    const frameWidth = ft((5.5 + 0.1875) / 12);
+    expect(onEdge(3).length).toBeGreaterThan(0);
+    onEdge(3).forEach((b) => {
+      const mid = (b.p1.x + b.p2.x) / 2;
+      expect(b.p1.y).toBeCloseTo(ft(28) - mid - frameWidth * Math.SQRT2, 6);
+    });
+    // Edges square to the joists bear on them
+    expect(onEdge(1)).toEqual([]);
+    expect(onEdge(4)).toEqual([]);
+  });
+
+  test('ladder blocking on an L-shape follows its inside corner, not the section seam', () => {
+    const points = [
+      { x: 0, y: 0 },
+      { x: ft(24), y: 0 },
+      { x: ft(24), y: ft(8) },
+      { x: ft(12), y: ft(8) },
+      { x: ft(12), y: ft(16) },
+      { x: 0, y: ft(16) },
+    ];
+    const structure = calculateMultiSectionStructure(decomposeShape(points, [0]), { ...inputs, pictureFrame: 'single' }, [0], points);
+    const half = ft(0.75 / 12);
+    const innerSide = structure.pictureFrameBlocking.filter((b) => b.usage === 'Ladder Blocking (Edge 4)');
+    expect(innerSide.length).toBeGreaterThan(0);
+    innerSide.forEach((b) => {
+      expect(b.p2.x).toBeCloseTo(ft(12) - half, 6);
+      expect(b.p1.y).toBeGreaterThan(ft(8));
+    });
+    structure.pictureFrameBlocking.forEach((b) => {
+      [b.p1, b.p2].forEach((p) => expect(Math.abs(p.x - ft(12)) > 1 || p.y > ft(8)).toBe(true));
+    });
+  });
+
+  test('courses through an opening stop at its edges', () => {
+    const cutout = { ...createCutoutFromPoints('rect', { x: ft(6), y: ft(3) }, { x: ft(9), y: ft(6) }), id: 'cutout-1' };
+    const { points, structure } = frame(16, 10, 0, [cutout]);
+    const layout = calculateDeckingLayout(points, structure, decking, { cutouts: [cutout] });
+    // Courses only partly over the opening are notched around it, so check those fully beside it
+    const through = layout.boards.filter((b) => b.rect.y >= ft(3) && b.rect.y + b.rect.height <= ft(6));
+    expect(through.length).toBeGreaterThan(0);
+    through.forEach((b) => {
+      expect(b.rect.x + b.rect.width <= ft(6) + 1e-6 || b.rect.x >= ft(9) - 1e-6).toBe(true);
+    });
+  });
+});
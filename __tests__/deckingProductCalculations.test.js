@@ -0,0 +1,117 @@
+/**
+ * Decking product rule tests
+ * Covers how the selected material resolves to board, gap, fastener and colour rules, and
+ * how the joist spacing the boards allow feeds back into calculateStructure and the layout.
+ */
+
+import {
+  checkDeckingJoistSpacing,
+  getDeckingFastenerCount,
+  getDeckingMaxJoistSpacing,
+  getDeckingPattern,
+  getDeckingProduct,
+} from '../deckCalcjs/deckingProductCalculations.js';
+import { calculateDeckingLayout } from '../deckCalcjs/deckingLayoutCalculations.js';
+import { calculateStructure } from '../deckCalcjs/deckCalculations.js';
+import { PIXELS_PER_FOOT } from '../deckCalcjs/config.js';
+
+// Suppress console noise
+const originalLog = console.log;
+const originalWarn = console.warn;
+beforeAll(() => {
+  console.log = () => {};
+  console.warn = () => {};
+});
+afterAll(() => {
+  console.log = originalLog;
+  console.warn = originalWarn;
+});
+
+const ft = (feet) => feet * PIXELS_PER_FOOT;
+
+const inputs = {
+  joistSpacing: 16,
+  postSize: '6x6',
+  deckHeight: 48,
+  attachmentType: 'house_rim',
+  beamType: 'drop',
+  footingType: 'pylex',
+  pictureFrame: 'none',
+};
+const composite = { material: 'composite', boardEdge: 'grooved', boardColor: 'brown', pattern: 'straight', boardAngle: 0, pictureFrame: 'none', breakerBoards: [] };
+
+// 20' x 12' rectangle framed off the top edge
+const frame = (decking) => {
+  const points = [
+    { x: 0, y: 0 },
+    { x: ft(20), y: 0 },
+    { x: ft(20), y: ft(12) },
+    { x: 0, y: ft(12) },
+  ];
+  const dims = { widthFeet: 20, heightFeet: 12, minX: 0, maxX: ft(20), minY: 0, maxY: ft(12) };
+  return { points, structure: calculateStructure(points, 0, { ...inputs, decking }, dims) };
+};
+
+describe('Product rules', () => {
+  test('composite and PVC lines are picked by board edge and carry their colour', () => {
+    const product = getDeckingProduct(composite);
+    expect(product).toMatchObject({ id: 'composite_grooved', family: 'composite', stockLengthsFeet: [12, 16, 20] });
+    expect(product.color).toMatchObject({ id: 'brown', label: 'Brown' });
+    expect(getDeckingProduct({ ...composite, material: 'pvc', boardEdge: 'square', boardColor: 'purple' })).toMatchObject({
+      id: 'pvc_square',
+      color: { id: 'grey' },
+    });
+  });
+
+  test('wood boards keep their stock and cedar 5/4x5 is narrower', () => {
+    expect(getDeckingProduct({ material: 'pt' })).toMatchObject({ stockName: '5/4x6 PT Brown', boardWidthInches: 5.5, color: null });
+    expect(getDeckingProduct({ material: 'cedar', cedarSize: '5/4x5' })).toMatchObject({ stockName: '5/4x5 Cedar', boardWidthInches: 4.5 });
+  });
+
+  test('diagonal boards need joists at 12" O.C.', () => {
+    expect(getDeckingMaxJoistSpacing(composite)).toBe(16);
+    expect(getDeckingMaxJoistSpacing({ ...composite, boardAngle: 45 })).toBe(12);
+    expect(checkDeckingJoistSpacing(12, { ...composite, boardAngle: 45 })).toBeNull();
+    expect(checkDeckingJoistSpacing(16, { ...composite, boardAngle: 45 })).toMatch(/Composite, Grooved Edge decking laid diagonally needs joists at 12" O.C./);
+    expect(checkDeckingJoistSpacing(16, { ...composite, pattern: 'chevron' })).toMatch(/decking in a chevron pattern needs joists at 12" O.C./);
+  });
+
+  test('board angles are kept within range and patterns always lean', () => {
+    expect(getDeckingPattern(composite)).toMatchObject({ id: 'straight', angleDegrees: 0, angled: false });
+    expect(getDeckingPattern({ ...composite, boardAngle: -80 })).toMatchObject({ angleDegrees: -60, angled: true });
+    expect(getDeckingPattern({ ...composite, pattern: 'herringbone' })).toMatchObject({ angleDegrees: 45, angled: true });
+    expect(getDeckingPattern({ ...composite, pattern: 'chevron', boardAngle: -5 })).toMatchObject({ angleDegrees: 15 });
+    expect(getDeckingPattern({ ...composite, pattern: 'basketweave' }).id).toBe('straight');
+  });
+
+  test('hidden clips go in once per joist crossing, wood screws by area', () => {
+    // 100 sq ft at 16" O.C. with 5-11/16" board pitch: 0.75 x 2.11 crossings per sq ft
+    expect(getDeckingFastenerCount(composite, 100, 16)).toBe(159);
+    expect(getDeckingFastenerCount({ ...composite, boardEdge: 'square' }, 100, 16)).toBe(317);
+    expect(getDeckingFastenerCount({ material: 'pt' }, 100, 16)).toBe(200);
+    // Boards at 60 degrees cross twice as many joists
+    expect(getDeckingFastenerCount({ ...composite, boardAngle: 60 }, 100, 16)).toBe(317);
+  });
+});
+
+describe('Feeding back into framing and layout', () => {
+  test('diagonal composite tightens the joists to 12" O.C.', () => {
+    const { structure } = frame({ ...composite, boardAngle: 45 });
+    expect(structure.joistSpacingInches).toBe(12);
+    expect(structure.mechanicsAdjustments[0]).toMatch(/Joists tightened from 16" to 12" O.C. for Composite, Grooved Edge decking laid diagonally/);
+  });
+
+  test('boards square to the joists keep the chosen spacing', () => {
+    const { structure } = frame(composite);
+    expect(structure.joistSpacingInches).toBe(16);
+    expect(structure.mechanicsAdjustments).toEqual([]);
+  });
+
+  test('composite courses are cut from the line\'s stock lengths', () => {
+    const { points, structure } = frame(composite);
+    const layout = calculateDeckingLayout(points, structure, composite);
+    Object.keys(layout.stockCounts).forEach((length) => expect([12, 16, 20]).toContain(Number(length)));
+    expect(layout.gapInches).toEqual({ side: 0.1875, end: 0.125 });
+    expect(layout.totals.jointCount).toBe(0);
+  });
+});
@@ -172,6 +172,32 @@ describe('Drawing Pipeline Integration', () => {
       const validation = validateShape(simplified);
       expect(validation.isValid).toBe(true);
     });
+
+    it('should validate and decompose an edge at any angle', () => {
+      const rise = 4 * Math.tan(Math.PI / 6);
+      const points = [
+        { x: 0, y: 0 },
+        { x: ft(8), y: 0 },
+        { x: ft(12), y: ft(rise) },  // 30-degree edge
+        { x: ft(12), y: ft(10) },
+        { x: 0, y: ft(10) },
+        { x: 0, y: 0 }
+      ];
+      expect(validateShape(points).isValid).toBe(true);
+      expect(decomposeShape(points, 0).length).toBeGreaterThanOrEqual(1);
+    });
+
+    it('should reject corners too sharp to frame', () => {
+      const points = [
+        { x: 0, y: 0 },
+        { x: ft(24), y: ft(2) },
+        { x: ft(24), y: ft(8) },
+        { x: 0, y: 0 }
+      ];
+      const validation = validateShape(points);
+      expect(validation.isValid).toBe(false);
+      expect(validation.error).toMatch(/at least 15°/);
+    });
   });
 
   describe('Test 6: simplifyPoints preserves closing point', () => {
@@ -80,6 +80,36 @@ describe('getCurrentState', () => {
     expect(getCurrentState({ ...baseState, decking: { breakerPlacementMode: true } })).toBe(DrawingState.BREAKER_PLACE);
   });
 
+  it('should return RAILING_EDIT when railing edge selection is active', () => {
+    expect(getCurrentState({
+      ...baseState, isShapeClosed: true, railing: { edgeSelectionMode: true }
+    })).toBe(DrawingState.RAILING_EDIT);
+  });
+
+  it('RAILING_EDIT should take priority over STAIR_PLACE', () => {
+    expect(getCurrentState({
+      ...baseState, stairPlacementMode: true, railing: { gatePlacementMode: true }
+    })).toBe(DrawingState.RAILING_EDIT);
+  });
+
+  it('should return LOAD_ZONE_PLACE when load zone placement is active', () => {
+    expect(getCurrentState({
+      ...baseState, isShapeClosed: true, structuralComponents: { error: null }, loadZonePlacementMode: true
+    })).toBe(DrawingState.LOAD_ZONE_PLACE);
+  });
+
+  it('should return CUTOUT_PLACE while drawing an opening, even in edit mode', () => {
+    expect(getCurrentState({
+      ...baseState, isShapeClosed: true, shapeEditMode: true, cutoutPlacementMode: true
+    })).toBe(DrawingState.CUTOUT_PLACE);
+  });
+
+  it('should return SECTION_DIRECTION while picking a section to turn', () => {
+    expect(getCurrentState({
+      ...baseState, isShapeClosed: true, structuralComponents: { error: null }, sectionDirectionMode: true
+    })).toBe(DrawingState.SECTION_DIRECTION);
+  });
+
   it('should return CALCULATED when structural components exist', () => {
     expect(getCurrentState({
       ...baseState, isShapeClosed: true, structuralComponents: { error: null }
@@ -154,6 +184,13 @@ describe('snapToAngle', () => {
     const result = snapToAngle(closePos, prev, angles, 2);
     expect(result).toEqual(closePos);
   });
+
+  it('should snap to 30 degrees with the length on the grid step', () => {
+    const result = snapToAngle({ x: 100, y: 55 }, prev, [0, 30, 45, 60, 90], 2);
+    expect(Math.atan2(result.y, result.x) * (180 / Math.PI)).toBeCloseTo(30, 6);
+    const length = Math.hypot(result.x, result.y);
+    expect(length / 2).toBeCloseTo(Math.round(length / 2), 6);
+  });
 });
 
 // ============================================================================
@@ -215,6 +252,12 @@ describe('getSnappedPosition', () => {
     expect(result.y).toBe(0); // should snap horizontal
     expect(result.isClosingClick).toBe(false);
   });
+
+  it('should snap to 15 degree steps between the axes', () => {
+    const points = [{ x: 0, y: 0 }];
+    const result = getSnappedPosition({ x: ft(10), y: ft(6) }, points, testConfig, 1);
+    expect(Math.atan2(result.y, result.x) * (180 / Math.PI)).toBeCloseTo(30, 6);
+  });
 });
 
 // ============================================================================
@@ -421,6 +464,30 @@ describe('handleClick', () => {
     expect(action.type).toBe(ActionType.DELEGATE_STAIR);
   });
 
+  it('should delegate to load zone placement', () => {
+    const state = { isMeasureMode: false, decking: null, stairPlacementMode: false,
+      loadZonePlacementMode: true, isShapeClosed: true, shapeEditMode: false, wallSelectionMode: false,
+      structuralComponents: { error: null }, isDrawing: false, points: [] };
+    const action = handleClick({ x: 50, y: 50 }, state, testConfig);
+    expect(action.type).toBe(ActionType.DELEGATE_LOAD_ZONE);
+  });
+
+  it('should delegate to opening placement', () => {
+    const state = { isMeasureMode: false, decking: null, stairPlacementMode: false,
+      cutoutPlacementMode: true, isShapeClosed: true, shapeEditMode: false, wallSelectionMode: false,
+      structuralComponents: null, isDrawing: false, points: [] };
+    const action = handleClick({ x: 50, y: 50 }, state, testConfig);
+    expect(action.type).toBe(ActionType.DELEGATE_CUTOUT);
+  });
+
+  it('should delegate to section joist direction picking', () => {
+    const state = { isMeasureMode: false, decking: null, stairPlacementMode: false,
+      sectionDirectionMode: true, isShapeClosed: true, shapeEditMode: false, wallSelectionMode: false,
+      structuralComponents: { error: null }, isDrawing: false, points: [] };
+    const action = handleClick({ x: 50, y: 50 }, state, testConfig);
+    expect(action).toEqual({ type: ActionType.DELEGATE_SECTION_DIRECTION, position: { x: 50, y: 50 } });
+  });
+
   it('should return ADD_POINT in IDLE state', () => {
     const state = { isMeasureMode: false, decking: null, stairPlacementMode: false,
       isShapeClosed: false, shapeEditMode: false, wallSelectionMode: false,
@@ -0,0 +1,144 @@
+/**
+ * Fascia and skirting tests
+ * Covers which rim joists are exposed, the fascia courses that cover them and the skirting,
+ * framing and fasteners hung below them.
+ */
+
+import {
+  calculateFasciaLayout,
+  cutRunFromStock,
+  getExposedRimRuns,
+  getSkirtingHeightInches,
+} from '../deckCalcjs/fasciaCalculations.js';
+import { calculateStructure } from '../deckCalcjs/deckCalculations.js';
+import { PIXELS_PER_FOOT } from '../deckCalcjs/config.js';
+
+// Suppress console noise
+const originalLog = console.log;
+const originalWarn = console.warn;
+beforeAll(() => {
+  console.log = () => {};
+  console.warn = () => {};
+});
+afterAll(() => {
+  console.log = originalLog;
+  console.warn = originalWarn;
+});
+
+const ft = (feet) => feet * PIXELS_PER_FOOT;
+
+const inputs = {
+  joistSpacing: 16,
+  postSize: '6x6',
+  deckHeight: 48,
+  attachmentType: 'house_rim',
+  beamType: 'drop',
+  footingType: 'pylex',
+  pictureFrame: 'none',
+};
+const composite = { material: 'composite', boardEdge: 'grooved', boardColor: 'brown', pattern: 'straight', boardAngle: 0 };
+
+// 20' x 12' rectangle with its ledger on the top edge
+const points = [
+  { x: 0, y: 0 },
+  { x: ft(20), y: 0 },
+  { x: ft(20), y: ft(12) },
+  { x: 0, y: ft(12) },
+];
+const dims = { widthFeet: 20, heightFeet: 12, minX: 0, maxX: ft(20), minY: 0, maxY: ft(12) };
+const structure = calculateStructure(points, 0, inputs, dims);
+const options = { deckHeightInches: 48, houseEdgeIndices: [0], deckingState: composite };
+
+describe('Exposed rims', () => {
+  test('every edge with a rim joist is exposed except the house side', () => {
+    const runs = getExposedRimRuns(points, structure.rimJoists, [0]);
+    expect(runs.map((run) => run.edgeIndex)).toEqual([1, 2, 3]);
+    expect(runs.map((run) => run.lengthFeet)).toEqual([12, 20, 12]);
+    expect(runs[0]).toMatchObject({ rimSize: '2x10', rimDepthInches: 9.25 });
+  });
+
+  test('fascia faces away from the deck', () => {
+    const [right, bottom, left] = getExposedRimRuns(points, structure.rimJoists, [0]);
+    expect(right.outward).toEqual({ x: 1, y: 0 });
+    expect(bottom.outward).toEqual({ x: 0, y: 1 });
+    expect(left.outward).toEqual({ x: -1, y: 0 });
+    // Drawn the other way round the normals still point out
+    const reversed = getExposedRimRuns([...points].reverse(), structure.rimJoists, []);
+    const reversedBottom = reversed.find((run) => run.p1.y === ft(12) && run.p2.y === ft(12));
+    expect(reversedBottom.outward.y).toBe(1);
+  });
+
+  test('curved rims are left to the bendable fascia', () => {
+    const rimJoists = structure.rimJoists.map((rim) => (rim.usage === 'Outer Rim Joist' ? { ...rim, isCurved: true } : rim));
+    expect(getExposedRimRuns(points, rimJoists, [0]).map((run) => run.edgeIndex)).toEqual([1, 3]);
+  });
+});
+
+describe('Fascia', () => {
+  test('one course of 1x12 composite fascia covers a 2x10 rim, cut from 12\' boards', () => {
+    const layout = calculateFasciaLayout(points, structure.rimJoists, { enabled: true, skirting: 'none' }, options);
+    expect(layout.fasciaStockName).toBe('Composite Fascia 1x12');
+    // 12' sides take one board each, the 20' front two 10' pieces
+    expect(layout.fasciaStockCounts).toEqual({ 12: 4 });
+    expect(layout.fasciaBoards.every((board) => board.course === 0 && board.heightInches === 9.25)).toBe(true);
+    // Two screws every 16": 10 + 16 + 10 positions
+    expect(layout.fasteners.face).toMatchObject({ stockName: 'Composite Cap Screw 2-1/2', count: 72 });
+    expect(layout.totals.fasciaFeet).toBe(44);
+  });
+
+  test('narrower wood fascia runs a second, ripped course on a deep rim', () => {
+    const rimJoists = structure.rimJoists.map((rim) => ({ ...rim, size: '2x12' }));
+    const layout = calculateFasciaLayout(points, rimJoists, { enabled: true, skirting: 'none' }, { ...options, deckingState: { material: 'pt' } });
+    expect(layout.fasciaStockName).toBe('PT Brown Fascia 1x10');
+    expect(layout.fasciaStockCounts).toEqual({ 12: 8 });
+    const courses = layout.fasciaBoards.filter((board) => board.edgeIndex === 1);
+    expect(courses.map((board) => [board.offsetInches, board.heightInches])).toEqual([[0, 9.25], [9.25, 2]]);
+  });
+
+  test('fascia can be left off', () => {
+    const layout = calculateFasciaLayout(points, structure.rimJoists, { enabled: false, skirting: 'none' }, options);
+    expect(layout.fasciaBoards).toEqual([]);
+    expect(layout.fasteners.face.count).toBe(0);
+  });
+});
+
+describe('Skirting', () => {
+  test('skirting hangs from the rim to the ground gap', () => {
+    expect(getSkirtingHeightInches(48, 9.25, 2)).toBe(35.75);
+    expect(getSkirtingHeightInches(14, 9.25, 2)).toBe(0);
+  });
+
+  test('lattice panels on studs at 24" standing on a bottom rail', () => {
+    const layout = calculateFasciaLayout(points, structure.rimJoists, { enabled: true, skirting: 'lattice', groundGapInches: 2 }, options);
+    expect(layout.skirtingPanels.map((panel) => panel.heightInches)).toEqual([35.75, 35.75, 35.75]);
+    // 4x8 panels: 2 + 3 + 2 across, one row high
+    expect(layout.latticePanelCount).toBe(7);
+    expect(layout.totals.studCount).toBe(7 + 11 + 7);
+    const stud = layout.framing.find((piece) => piece.usage === 'Skirting Stud');
+    expect(stud.lengthFeet).toBeCloseTo(45 / 12);
+    expect(layout.framing.filter((piece) => piece.usage === 'Skirting Bottom Rail').map((piece) => piece.lengthFeet)).toEqual([12, 20, 12]);
+  });
+
+  test('board skirting uses the deck boards and their face screws', () => {
+    const layout = calculateFasciaLayout(points, structure.rimJoists, { enabled: false, skirting: 'boards', groundGapInches: 2 }, options);
+    // 35.75" at 5-11/16" a course takes 7 courses
+    expect(layout.skirtingBoardStockName).toBe('5/4x6 Composite Grooved');
+    expect(layout.skirtingStockCounts).toEqual({ 12: 14, 20: 7 });
+    expect(layout.latticePanelCount).toBe(0);
+    expect(layout.fasteners.face.count).toBe(7 * (10 + 16 + 10) * 2);
+  });
+
+  test('a deck too low for skirting says so', () => {
+    const layout = calculateFasciaLayout(points, structure.rimJoists, { enabled: true, skirting: 'lattice' }, { ...options, deckHeightInches: 12 });
+    expect(layout.skirtingPanels).toEqual([]);
+    expect(layout.warnings[0]).toMatch(/too low for skirting under edges 2, 3, 4/);
+  });
+});
+
+describe('Stock cutting', () => {
+  test('runs are split evenly and cut from the shortest board that fits', () => {
+    expect(cutRunFromStock(20, [12])).toEqual({ pieceCount: 2, pieceLengthFeet: 10, stockLengthFeet: 12 });
+    expect(cutRunFromStock(14, [12, 16, 20])).toEqual({ pieceCount: 1, pieceLengthFeet: 14, stockLengthFeet: 16 });
+    expect(cutRunFromStock(30, [20, 12, 16])).toEqual({ pieceCount: 2, pieceLengthFeet: 15, stockLengthFeet: 16 });
+  });
+});
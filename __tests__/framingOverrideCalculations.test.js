@@ -0,0 +1,128 @@
+/**
+ * Moved beam and post tests
+ * Covers picking and recording beam and post moves, and how calculateStructure re-frames
+ * and re-checks the deck around them.
+ */
+
+import {
+  createBeamOverride,
+  createPostOverride,
+  findFramingMemberAt,
+  isMovableBeam,
+  setFramingOverride,
+} from '../deckCalcjs/framingOverrideCalculations.js';
+import { calculateStructure } from '../deckCalcjs/deckCalculations.js';
+import { PIXELS_PER_FOOT } from '../deckCalcjs/config.js';
+
+// Suppress console noise
+const originalLog = console.log;
+const originalWarn = console.warn;
+beforeAll(() => {
+  console.log = () => {};
+  console.warn = () => {};
+});
+afterAll(() => {
+  console.log = originalLog;
+  console.warn = originalWarn;
+});
+
+const ft = (feet) => feet * PIXELS_PER_FOOT;
+
+// 16' wide deck, ledger on the top edge so joists run along Y onto drop beams
+const inputs = {
+  joistSpacing: 16,
+  postSize: '6x6',
+  deckHeight: 48,
+  attachmentType: 'house_rim',
+  beamType: 'drop',
+  footingType: 'pylex',
+};
+const frame = (depthFeet, framingOverrides = null) => {
+  const points = [
+    { x: 0, y: 0 },
+    { x: ft(16), y: 0 },
+    { x: ft(16), y: ft(depthFeet) },
+    { x: 0, y: ft(depthFeet) },
+  ];
+  const dims = { widthFeet: 16, heightFeet: depthFeet, minX: 0, maxX: ft(16), minY: 0, maxY: ft(depthFeet) };
+  return calculateStructure(points, 0, { ...inputs, framingOverrides }, dims);
+};
+
+describe('Picking and recording moves', () => {
+  const base = frame(12);
+  const [outerBeam] = base.beams;
+  const middlePost = base.posts.find((p) => p.x === ft(8));
+
+  test('posts win over the beam they sit on', () => {
+    expect(findFramingMemberAt(base, { x: ft(8) + 2, y: ft(10) }, 10)).toMatchObject({ type: 'post', post: middlePost });
+    expect(findFramingMemberAt(base, { x: ft(5), y: ft(10) + 2 }, 10)).toMatchObject({ type: 'beam', beam: outerBeam });
+    expect(findFramingMemberAt(base, { x: ft(5), y: ft(5) }, 10)).toBeNull();
+  });
+
+  test('drop beams can move; flush beams stay put', () => {
+    expect(isMovableBeam(outerBeam)).toBe(true);
+    expect(isMovableBeam({ ...outerBeam, isFlush: true })).toBe(false);
+  });
+
+  test('beam moves snap to whole inches', () => {
+    expect(createBeamOverride(outerBeam, { x: ft(5), y: ft(8) + 3 })).toEqual({
+      isVertical: false,
+      fromCoord: ft(10),
+      toCoord: ft(8) + 4,
+    });
+  });
+
+  test('post moves stay on their beam', () => {
+    expect(createPostOverride(base, middlePost, { x: ft(3), y: ft(9) })).toEqual({
+      from: { x: ft(8), y: ft(10) },
+      to: { x: ft(3), y: ft(10) },
+    });
+  });
+
+  test('moving a member back home drops its override', () => {
+    const moved = setFramingOverride(null, 'beams', createBeamOverride(outerBeam, { x: 0, y: ft(8) }));
+    expect(moved.beams).toHaveLength(1);
+    const home = setFramingOverride(moved, 'beams', createBeamOverride(outerBeam, { x: 0, y: ft(10) }));
+    expect(home).toEqual({ beams: [], posts: [] });
+  });
+});
+
+describe('calculateStructure with moved framing', () => {
+  test('a moved beam takes its posts and footings along', () => {
+    const structure = frame(12, { beams: [{ isVertical: false, fromCoord: ft(10), toCoord: ft(8) }], posts: [] });
+    const [beam] = structure.beams;
+    expect(beam).toMatchObject({ isMoved: true, autoLineCoord: ft(10), moveOffset: { x: 0, y: -ft(2) } });
+    structure.posts.forEach((p) => expect(p.y).toBe(ft(8)));
+    structure.footings.forEach((f) => expect(f.y).toBe(ft(8)));
+    expect(structure.movedFraming).toMatchObject({ movedBeams: 1, movedPosts: 0, staleOverrides: 0 });
+  });
+
+  test('pulling the outer beam in past the cantilever limit is flagged', () => {
+    const structure = frame(12, { beams: [{ isVertical: false, fromCoord: ft(10), toCoord: ft(8) }], posts: [] });
+    expect(structure.movedFraming.warnings).toHaveLength(1);
+    expect(structure.movedFraming.warnings[0]).toMatch(/cantilever 4' 0" past the moved Outer Beam/);
+  });
+
+  test('spreading posts past the maximum spacing is flagged', () => {
+    const structure = frame(12, { beams: [], posts: [{ from: { x: ft(8), y: ft(10) }, to: { x: ft(3), y: ft(10) } }] });
+    expect(structure.posts.filter((p) => p.isMoved)).toEqual([expect.objectContaining({ x: ft(3), y: ft(10) })]);
+    expect(structure.movedFraming.warnings[0]).toMatch(/Posts under the Outer Beam are 12' 0" apart, over the 8' maximum/);
+    expect(structure.mechanics.failures).toBeGreaterThan(0);
+  });
+
+  test('joists split where a moved mid beam now sits', () => {
+    const structure = frame(22, { beams: [{ isVertical: false, fromCoord: ft(10), toCoord: ft(9) }], posts: [] });
+    const spans = structure.joists
+      .filter((j) => j.usage === 'Joist' && j.p1.x === structure.joists[2].p1.x)
+      .map((j) => [j.p1.y, j.p2.y].sort((a, b) => a - b));
+    expect(spans).toEqual([[0, ft(9)], [ft(9), ft(22)]]);
+    expect(structure.movedFraming.warnings).toEqual([]);
+  });
+
+  test('moves that no longer match the framing are reported', () => {
+    const structure = frame(12, { beams: [{ isVertical: false, fromCoord: ft(6), toCoord: ft(5) }], posts: [] });
+    expect(structure.movedFraming.staleOverrides).toBe(1);
+    expect(structure.beams[0].isMoved).toBeFalsy();
+    expect(structure.movedFraming.warnings[0]).toMatch(/left in its automatic spot/);
+  });
+});
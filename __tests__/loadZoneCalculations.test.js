@@ -0,0 +1,177 @@
+/**
+ * Heavy load zone tests
+ * Covers zone geometry/load conversion and the extra framing calculateStructure adds under a zone.
+ */
+
+import {
+  createLoadZoneFromPoints,
+  getLoadZoneAreaSqFt,
+  getLoadZonePsf,
+  getLoadZoneJoistMaxSpan,
+} from '../deckCalcjs/loadZoneCalculations.js';
+import { calculateStructure } from '../deckCalcjs/deckCalculations.js';
+import { PIXELS_PER_FOOT } from '../deckCalcjs/config.js';
+
+// Suppress console noise
+const originalLog = console.log;
+const originalWarn = console.warn;
+beforeAll(() => {
+  console.log = () => {};
+  console.warn = () => {};
+});
+afterAll(() => {
+  console.log = originalLog;
+  console.warn = originalWarn;
+});
+
+const ft = (feet) => feet * PIXELS_PER_FOOT;
+
+// 12x12 deck, ledger on the top edge, one drop beam at 10'
+const deckPoints = [
+  { x: 0, y: 0 },
+  { x: ft(12), y: 0 },
+  { x: ft(12), y: ft(12) },
+  { x: 0, y: ft(12) },
+];
+const deckDims = { widthFeet: 12, heightFeet: 12, minX: 0, maxX: ft(12), minY: 0, maxY: ft(12) };
+const inputs = {
+  joistSpacing: 16,
+  postSize: '6x6',
+  deckHeight: 48,
+  attachmentType: 'house_rim',
+  beamType: 'drop',
+  footingType: 'pylex',
+};
+
+function rectZone(centerXFt, centerYFt, widthFeet, depthFeet, loadType, loadValue) {
+  return { id: 'zone-1', shape: 'rect', centerX: ft(centerXFt), centerY: ft(centerYFt), widthFeet, depthFeet, loadType, loadValue };
+}
+
+const zoneParts = (structure, list) => structure[list].filter((item) => item.usage && item.usage.startsWith('Load Zone'));
+
+describe('Load zone geometry', () => {
+  test('rectangle from opposite corners', () => {
+    const zone = createLoadZoneFromPoints('rect', { x: ft(8), y: ft(6) }, { x: ft(2), y: ft(1) }, 'psf', 100);
+    expect(zone).toMatchObject({ shape: 'rect', widthFeet: 6, depthFeet: 5, centerX: ft(5), centerY: ft(3.5) });
+    expect(getLoadZoneAreaSqFt(zone)).toBe(30);
+  });
+
+  test('circle from center and edge point', () => {
+    const zone = createLoadZoneFromPoints('circle', { x: ft(5), y: ft(5) }, { x: ft(8), y: ft(9) }, 'psf', 100);
+    expect(zone.radiusFeet).toBe(5);
+    expect(getLoadZoneAreaSqFt(zone)).toBeCloseTo(Math.PI * 25, 5);
+  });
+
+  test('zero-area placement is rejected', () => {
+    expect(createLoadZoneFromPoints('rect', { x: 10, y: 10 }, { x: 10, y: 50 }, 'psf', 100)).toBeNull();
+    expect(createLoadZoneFromPoints('circle', { x: 10, y: 10 }, { x: 10, y: 10 }, 'psf', 100)).toBeNull();
+  });
+
+  test('total pounds are spread over the zone area', () => {
+    expect(getLoadZonePsf(rectZone(6, 6, 8, 8, 'total', 6400))).toBe(100);
+    expect(getLoadZonePsf(rectZone(6, 6, 8, 8, 'psf', 75))).toBe(75);
+  });
+});
+
+describe('Load zone joist spans', () => {
+  const zoneLoad = { liveLoadPsf: 150, deadLoadPsf: 10 };
+
+  test('heavier load shortens the allowed span', () => {
+    const light = getLoadZoneJoistMaxSpan('2x10', 16, { liveLoadPsf: 40, deadLoadPsf: 10 });
+    expect(getLoadZoneJoistMaxSpan('2x10', 16, zoneLoad)).toBeLessThan(light);
+  });
+
+  test('tighter spacing allows longer spans', () => {
+    const at12 = getLoadZoneJoistMaxSpan('2x10', 12, zoneLoad);
+    expect(getLoadZoneJoistMaxSpan('2x10', 8, zoneLoad)).toBeGreaterThan(at12);
+    expect(getLoadZoneJoistMaxSpan('2x10', 6, zoneLoad)).toBeGreaterThan(getLoadZoneJoistMaxSpan('2x10', 8, zoneLoad));
+  });
+});
+
+describe('Load zone framing in calculateStructure', () => {
+  test('deck without zones gets no zone framing', () => {
+    const result = calculateStructure(deckPoints, 0, inputs, deckDims);
+    expect(result.loadZones).toEqual([]);
+    expect(zoneParts(result, 'joists')).toHaveLength(0);
+    expect(zoneParts(result, 'beams')).toHaveLength(0);
+  });
+
+  test('zone between supports gets beams, posts and heavier footings', () => {
+    const result = calculateStructure(
+      deckPoints, 0, { ...inputs, loadZones: [rectZone(6, 5, 8, 6, 'psf', 250)] }, deckDims
+    );
+    const [summary] = result.loadZones;
+
+    // Zone edges at 2' and 8' are clear of the ledger and the 10' beam
+    const beams = zoneParts(result, 'beams');
+    expect(beams).toHaveLength(2);
+    expect(beams.map((b) => b.centerlineP1.y).sort((a, b) => a - b)).toEqual([ft(2), ft(8)]);
+    expect(beams.every((b) => !b.isFlush)).toBe(true);
+
+    const posts = zoneParts(result, 'posts');
+    const footings = result.footings.filter((f) => f.usage === 'Load Zone Footing');
+    expect(posts.length).toBeGreaterThanOrEqual(4);
+    expect(footings).toHaveLength(posts.length);
+    footings.forEach((f) => {
+      expect(f.loadZonePsf).toBe(260);
+      expect(f.designLoadPsf).toBe(260);
+    });
+
+    expect(summary).toMatchObject({ zonePsf: 250, totalLoadPsf: 260, addedBeams: 2, maxSpanFt: 6 });
+    expect(summary.addedPosts).toBe(posts.length);
+  });
+
+  test('zone edge near an existing beam or ledger uses it instead of a new beam', () => {
+    const result = calculateStructure(
+      deckPoints, 0, { ...inputs, loadZones: [rectZone(6, 5, 8, 8, 'psf', 150)] }, deckDims
+    );
+    // Zone spans 1'-9': ledger at 0' and the beam at 10' carry it
+    expect(zoneParts(result, 'beams')).toHaveLength(0);
+    expect(result.loadZones[0].maxSpanFt).toBe(10);
+  });
+
+  test('long zone span tightens joist spacing with infill joists', () => {
+    const result = calculateStructure(
+      deckPoints, 0, { ...inputs, loadZones: [rectZone(6, 5, 8, 8, 'psf', 150)] }, deckDims
+    );
+    const [summary] = result.loadZones;
+    expect(summary.joistSpacingInches).toBeLessThan(16);
+
+    const zoneJoists = zoneParts(result, 'joists');
+    expect(zoneJoists.length).toBe(summary.addedJoists);
+    const positions = [...result.joists
+      .filter((j) => j.p1.x >= ft(2) - 1 && j.p1.x <= ft(10) + 1)
+      .map((j) => j.p1.x)]
+      .sort((a, b) => a - b);
+    const maxGap = Math.max(...positions.slice(1).map((x, i) => x - positions[i]));
+    expect(maxGap).toBeLessThanOrEqual(ft(summary.joistSpacingInches / 12) + 0.01);
+  });
+
+  test('span too long for any spacing is split by an intermediate beam', () => {
+    const result = calculateStructure(
+      deckPoints, 0, { ...inputs, loadZones: [rectZone(6, 5, 8, 8, 'psf', 400)] }, deckDims
+    );
+    const [summary] = result.loadZones;
+    expect(summary.addedBeams).toBe(1);
+    expect(summary.maxSpanFt).toBe(5);
+    // Infill joists break over the new beam
+    expect(zoneParts(result, 'joists').every((j) => j.lengthFeet === 5)).toBe(true);
+  });
+
+  test('zone hanging past the deck is clipped and flagged', () => {
+    const result = calculateStructure(
+      deckPoints, 0, { ...inputs, loadZones: [rectZone(11, 5, 4, 4, 'psf', 100)] }, deckDims
+    );
+    const [summary] = result.loadZones;
+    expect(summary.warnings.some((w) => w.includes('deck outline'))).toBe(true);
+    zoneParts(result, 'joists').forEach((j) => expect(j.p1.x).toBeLessThanOrEqual(ft(12)));
+  });
+
+  test('zone flush with the deck edge is not flagged', () => {
+    const result = calculateStructure(
+      deckPoints, 0, { ...inputs, loadZones: [rectZone(10, 5, 4, 4, 'psf', 100)] }, deckDims
+    );
+    const [summary] = result.loadZones;
+    expect(summary.warnings.some((w) => w.includes('deck outline'))).toBe(false);
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Railing Layout Tests
+ *
+ * Covers post spacing, corners, gates, stair openings/stair rails and the
+ * guard warnings produced by calculateRailingLayout.
+ */
+
+import {
+  calculateRailingLayout,
+  calculateBalusterCount,
+  getRequiredGuardHeightInches,
+  placeGateOnEdge,
+  findStairEdgeIndex,
+} from '../deckCalcjs/railingCalculations.js';
+import { PIXELS_PER_FOOT } from '../deckCalcjs/config.js';
+
+// Helper: feet to pixels
+const ft = (feet) => feet * PIXELS_PER_FOOT;
+
+// 12' wide x 10' deep rectangle; edge 0 is the house side
+const rectPoints = [
+  { x: 0, y: 0 },
+  { x: ft(12), y: 0 },
+  { x: ft(12), y: ft(10) },
+  { x: 0, y: ft(10) },
+];
+
+function makeStair(overrides = {}) {
+  return {
+    rimP1: { x: ft(12), y: ft(10) },
+    rimP2: { x: 0, y: ft(10) },
+    positionX: ft(6),
+    positionY: ft(10),
+    widthFt: 4,
+    calculatedNumRisers: 5,
+    calculatedRisePerStepInches: 7.2,
+    calculatedTotalRunInches: 42,
+    ...overrides,
+  };
+}
+
+describe('calculateBalusterCount', () => {
+  it('keeps every gap at or under 4"', () => {
+    const clear = 68.5;
+    const count = calculateBalusterCount(clear);
+    expect(count).toBe(12);
+    expect((clear - count * 1.5) / (count + 1)).toBeLessThanOrEqual(4);
+    expect((clear - (count - 1) * 1.5) / count).toBeGreaterThan(4);
+  });
+
+  it('returns 0 when the opening is already under the max gap', () => {
+    expect(calculateBalusterCount(3.5)).toBe(0);
+  });
+});
+
+describe('getRequiredGuardHeightInches', () => {
+  it('uses 36" up to 5\'11" and 42" above', () => {
+    expect(getRequiredGuardHeightInches(48)).toBe(36);
+    expect(getRequiredGuardHeightInches(71)).toBe(36);
+    expect(getRequiredGuardHeightInches(72)).toBe(42);
+  });
+});
+
+describe('calculateRailingLayout', () => {
+  it('lays out three open sides with shared corner posts', () => {
+    const layout = calculateRailingLayout(rectPoints, [1, 2, 3], [], {}, {
+      deckHeightInches: 36,
+      ledgerEdgeIndices: [0],
+    });
+
+    expect(layout.totals.deckLinearFeet).toBeCloseTo(32);
+    expect(layout.sections).toHaveLength(6);
+    expect(layout.sections.every((s) => s.lengthFeet <= 6 + 1e-6)).toBe(true);
+    // 4 outline vertices + 1 mid post on each 10' side + 1 on the 12' side
+    expect(layout.totals.postCount).toBe(7);
+    expect(layout.posts.filter((p) => p.type === 'corner')).toHaveLength(2);
+    expect(layout.posts.filter((p) => p.type === 'end')).toHaveLength(2);
+    expect(layout.warnings).toHaveLength(0);
+  });
+
+  it('never rails the ledger edge', () => {
+    const layout = calculateRailingLayout(rectPoints, [0, 1], [], {}, {
+      ledgerEdgeIndices: [0],
+    });
+    expect(layout.sections.every((s) => s.edgeIndex === 1)).toBe(true);
+  });
+
+  it('respects a tighter post spacing setting', () => {
+    const layout = calculateRailingLayout(rectPoints, [2], [], { maxPostSpacingFt: 4 });
+    expect(layout.sections).toHaveLength(3);
+    expect(layout.totals.postCount).toBe(4);
+  });
+
+  it('leaves a gate opening with a post on each side', () => {
+    const gate = placeGateOnEdge(rectPoints, 2, { x: ft(6), y: ft(10) }, 3);
+    const layout = calculateRailingLayout(rectPoints, [2], [], { gates: [gate] });
+
+    expect(layout.gates).toHaveLength(1);
+    expect(layout.gates[0].widthFeet).toBeCloseTo(3);
+    expect(layout.totals.deckLinearFeet).toBeCloseTo(9);
+    expect(layout.posts.filter((p) => p.type === 'gate')).toHaveLength(2);
+  });
+
+  it('slides a gate clicked near a corner back onto the edge', () => {
+    const gate = placeGateOnEdge(rectPoints, 2, { x: ft(11.5), y: ft(10) }, 3);
+    expect(gate.offsetFeet).toBeCloseTo(1.5);
+    expect(placeGateOnEdge(rectPoints, 2, { x: 0, y: ft(10) }, 12)).toBeNull();
+  });
+
+  it('opens the rail for stairs and adds stair-side rails', () => {
+    const stair = makeStair({ railingSides: { left: true, right: true } });
+    expect(findStairEdgeIndex(stair, rectPoints)).toBe(2);
+
+    const layout = calculateRailingLayout(rectPoints, [1, 2, 3], [stair], {}, {
+      deckHeightInches: 36,
+      ledgerEdgeIndices: [0],
+    });
+
+    const deckSectionsOnEdge2 = layout.sections.filter((s) => s.kind === 'deck' && s.edgeIndex === 2);
+    expect(deckSectionsOnEdge2.reduce((sum, s) => sum + s.lengthFeet, 0)).toBeCloseTo(8);
+
+    const stairSections = layout.sections.filter((s) => s.kind === 'stair');
+    expect(stairSections).toHaveLength(2);
+    expect(stairSections[0].lengthFeet).toBeCloseTo(Math.hypot(3.5, 3));
+
+    // Stair top posts are shared with the deck rail ends at the opening
+    expect(layout.totals.postCount).toBe(10);
+    // Stair rails run away from the deck
+    expect(layout.posts.some((p) => p.y > ft(10) + 1)).toBe(true);
+  });
+
+  it('warns about open edges and stairs without handrails on a raised deck', () => {
+    const layout = calculateRailingLayout(rectPoints, [1], [makeStair()], {}, {
+      deckHeightInches: 36,
+      ledgerEdgeIndices: [0],
+    });
+    expect(layout.warnings.some((w) => w.includes('Edge 4'))).toBe(true);
+    expect(layout.warnings.some((w) => w.includes('Edge 3'))).toBe(false); // stairs on edge 3
+    expect(layout.warnings.some((w) => w.includes('handrail'))).toBe(true);
+  });
+
+  it('flags a railing height below the required guard height', () => {
+    const layout = calculateRailingLayout(rectPoints, [2], [], { railHeight: '36' }, {
+      deckHeightInches: 80,
+    });
+    expect(layout.railHeightInches).toBe(36);
+    expect(layout.warnings.some((w) => w.includes('42"'))).toBe(true);
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Per-section joist direction tests
+ * Covers turning one decomposed section's joists and the junction beam or flush header
+ * calculateMultiSectionStructure puts in where the two directions meet.
+ */
+
+import { calculateMultiSectionStructure } from '../deckCalcjs/multiSectionCalculations.js';
+import { decomposeShape } from '../deckCalcjs/shapeDecomposer.js';
+import { PIXELS_PER_FOOT } from '../deckCalcjs/config.js';
+
+// Suppress console noise
+const originalLog = console.log;
+const originalWarn = console.warn;
+beforeAll(() => {
+  console.log = () => {};
+  console.warn = () => {};
+});
+afterAll(() => {
+  console.log = originalLog;
+  console.warn = originalWarn;
+});
+
+const ft = (feet) => feet * PIXELS_PER_FOOT;
+
+// L-shaped deck with the ledger along the top: a 10' wide strip off the house and a
+// 10x10 wing to its right at the bottom (rect_1)
+const deckPoints = [
+  { x: 0, y: 0 },
+  { x: ft(10), y: 0 },
+  { x: ft(10), y: ft(10) },
+  { x: ft(20), y: ft(10) },
+  { x: ft(20), y: ft(20) },
+  { x: 0, y: ft(20) },
+];
+const sections = decomposeShape(deckPoints, [0]);
+const inputs = {
+  joistSpacing: 16,
+  postSize: '6x6',
+  deckHeight: 48,
+  attachmentType: 'house_rim',
+  beamType: 'drop',
+  footingType: 'pylex',
+};
+const wingId = sections.find((s) => !s.isLedgerRectangle).id;
+
+const calculate = (overrides = {}) =>
+  calculateMultiSectionStructure(sections, { ...inputs, ...overrides }, [0], deckPoints);
+
+const inWing = (member) =>
+  Math.min(member.p1.x, member.p2.x) >= ft(10) - 1 && Math.min(member.p1.y, member.p2.y) >= ft(10) - 1;
+
+describe('Default framing', () => {
+  const structure = calculate();
+
+  test('every section follows the deck direction with no junctions', () => {
+    expect(structure.error).toBeFalsy();
+    expect(structure.sectionJunctions).toEqual([]);
+    structure.sectionJoistDirections.forEach((entry) => {
+      expect(entry).toMatchObject({ joistsRunVertically: true, isTurned: false });
+    });
+  });
+});
+
+describe('Turning the wing', () => {
+  const structure = calculate({ sectionJoistDirections: { [wingId]: 'horizontal' } });
+  const junctionBeams = structure.beams.filter((b) => b.usage === 'Junction Beam');
+
+  test('the wing is reported as turned', () => {
+    expect(structure.error).toBeFalsy();
+    expect(structure.sectionJoistDirections.find((e) => e.sectionId === wingId)).toMatchObject({
+      joistsRunVertically: false,
+      isTurned: true,
+    });
+  });
+
+  test('wing joists run across the deck', () => {
+    const wingJoists = structure.joists.filter(inWing);
+    expect(wingJoists.length).toBeGreaterThan(0);
+    wingJoists.forEach((j) => expect(Math.abs(j.p1.y - j.p2.y)).toBeLessThan(1));
+  });
+
+  test('a junction beam carries them where the directions meet', () => {
+    expect(junctionBeams).toHaveLength(1);
+    const [beam] = junctionBeams;
+    expect(beam.p1.x).toBeCloseTo(ft(10), 6);
+    expect(beam.p2.x).toBeCloseTo(ft(10), 6);
+    expect(Math.min(beam.p1.y, beam.p2.y)).toBeCloseTo(ft(10), 6);
+    expect(Math.max(beam.p1.y, beam.p2.y)).toBeCloseTo(ft(20), 6);
+    expect(beam.ply).toBeGreaterThanOrEqual(2);
+    expect(structure.sectionJunctions).toHaveLength(1);
+    expect(structure.sectionJunctions[0].endingSectionId).toBe(wingId);
+  });
+
+  test('members pass the mechanics check', () => {
+    expect(structure.mechanics.failures).toBe(0);
+  });
+});
+
+describe('Turning the wing with flush beams', () => {
+  const structure = calculate({ beamType: 'flush', sectionJoistDirections: { [wingId]: 'horizontal' } });
+  const [junction] = structure.sectionJunctions;
+
+  test('a flush header takes the place of the rim on the junction line', () => {
+    expect(junction.isFlush).toBe(true);
+    expect(junction.endingJoists).toBeGreaterThan(0);
+    const rimsOnLine = structure.rimJoists.filter(
+      (r) =>
+        Math.abs(r.p1.x - ft(10)) < 1 &&
+        Math.abs(r.p2.x - ft(10)) < 1 &&
+        Math.max(r.p1.y, r.p2.y) > ft(10) + 1 &&
+        Math.min(r.p1.y, r.p2.y) < ft(20) - 1
+    );
+    expect(rimsOnLine).toHaveLength(0);
+  });
+});
@@ -0,0 +1,370 @@
+/**
+ * Stair Calculation Tests
+ *
+ * Covers rise/run for straight stairs, automatic landings on tall stairs,
+ * L- and U-shaped layouts, geometry overrides with code profile checks,
+ * sloped grade at the stair foot, the custom 2x12 stringer cut layout and the
+ * model-space plan used for drawing.
+ */
+
+import {
+  calculateStairDetails,
+  calculateStringerLayout,
+  checkStairCompliance,
+  getStairPlanLayout,
+} from '../deckCalcjs/stairCalculations.js';
+import { PIXELS_PER_FOOT } from '../deckCalcjs/config.js';
+
+// Helper: feet to pixels
+const ft = (feet) => feet * PIXELS_PER_FOOT;
+
+// 12' wide x 10' deep rectangle; stairs sit on the front rim (y = 10')
+const deckPoints = [
+  { x: 0, y: 0 },
+  { x: ft(12), y: 0 },
+  { x: ft(12), y: ft(10) },
+  { x: 0, y: ft(10) },
+];
+
+function makeStair(overrides = {}) {
+  return {
+    rimP1: { x: ft(12), y: ft(10) },
+    rimP2: { x: 0, y: ft(10) },
+    positionX: ft(6),
+    positionY: ft(10),
+    widthFt: 4,
+    stringerType: 'pylex_steel',
+    landingType: 'existing',
+    ...overrides,
+  };
+}
+
+describe('calculateStairDetails - straight stairs', () => {
+  test('keeps the single-run summary fields', () => {
+    const stair = calculateStairDetails(makeStair(), 48);
+
+    expect(stair.calculationError).toBeNull();
+    expect(stair.calculatedNumRisers).toBe(7);
+    expect(stair.calculatedNumSteps).toBe(6);
+    expect(stair.calculatedTotalRunInches).toBe(6 * 10.5);
+    expect(stair.runs).toHaveLength(1);
+    expect(stair.landings).toHaveLength(0);
+    expect(stair.runs[0].bottomHeightInches).toBe(0);
+  });
+
+  test('adds a landing when one flight would rise more than 12 feet', () => {
+    const stair = calculateStairDetails(makeStair(), 180);
+
+    expect(stair.runs).toHaveLength(2);
+    expect(stair.landings).toHaveLength(1);
+    expect(stair.landings[0].turnDegrees).toBe(0);
+    expect(stair.runs[0].bottomHeightInches).toBeCloseTo(stair.landings[0].heightInches);
+    expect(stair.runs.reduce((sum, run) => sum + run.numRisers, 0)).toBe(stair.calculatedNumRisers);
+  });
+
+  test('respects a lower maximum flight rise', () => {
+    const stair = calculateStairDetails(makeStair(), 96, { maxFlightRiseInches: 40 });
+    expect(stair.runs.length).toBeGreaterThanOrEqual(3);
+    expect(stair.landings).toHaveLength(stair.runs.length - 1);
+  });
+});
+
+describe('calculateStairDetails - L and U shapes', () => {
+  test('L-shape turns 90 degrees on a square landing with four posts', () => {
+    const stair = calculateStairDetails(
+      makeStair({ stairShape: 'l_shape', turnDirection: 'left' }),
+      60,
+      { footingType: 'helical' }
+    );
+
+    expect(stair.runs).toHaveLength(2);
+    expect(stair.landings).toHaveLength(1);
+    const landing = stair.landings[0];
+    expect(landing.turnDegrees).toBe(90);
+    expect(landing.widthFt).toBe(4);
+    expect(landing.depthFt).toBe(4);
+    expect(landing.posts).toHaveLength(4);
+    expect(landing.footings).toHaveLength(4);
+    expect(landing.posts[0].size).toBe('4x4');
+
+    // The second run heads to the left (-x locally) when walking down
+    expect(stair.runs[1].localDirection).toEqual({ x: -1, y: 0 });
+  });
+
+  test('landing footings sit in model space and go through the footing design pass', () => {
+    const stair = calculateStairDetails(
+      makeStair({ stairShape: 'l_shape' }),
+      60,
+      { footingType: 'concrete_pier', deckPoints, footingInputs: { frostDepthInches: 60 } }
+    );
+
+    stair.landings[0].footings.forEach((footing) => {
+      // Beyond the front rim, under the landing
+      expect(footing.y).toBeGreaterThan(ft(10));
+      expect(footing.depthInches).toBe(60);
+      expect(footing.concreteVolumeCuFt).toBeGreaterThan(0);
+    });
+  });
+
+  test('U-shape returns alongside the first run on a double-width landing', () => {
+    const stair = calculateStairDetails(
+      makeStair({ stairShape: 'u_shape', turnDirection: 'right' }),
+      60
+    );
+
+    const landing = stair.landings[0];
+    expect(landing.turnDegrees).toBe(180);
+    expect(landing.widthFt).toBe(8);
+    expect(stair.runs[1].localDirection.y).toBe(-1);
+    expect(stair.runs[1].localStart.x).toBeCloseTo(4);
+  });
+
+  test('U-shape puts the extra riser on the first run so the return run clears the deck', () => {
+    const stair = calculateStairDetails(
+      makeStair({ stairShape: 'u_shape' }),
+      52
+    );
+    expect(stair.runs[0].numRisers).toBeGreaterThan(stair.runs[1].numRisers);
+    expect(stair.layoutWarnings).toHaveLength(0);
+  });
+
+  test('uses 6x6 landing posts above the tall post threshold', () => {
+    const stair = calculateStairDetails(
+      makeStair({ stairShape: 'l_shape' }),
+      216
+    );
+    expect(stair.landings[0].heightInches).toBeGreaterThan(96);
+    expect(stair.landings[0].posts[0].size).toBe('6x6');
+  });
+
+  test('unknown shapes fall back to straight', () => {
+    const stair = calculateStairDetails(makeStair({ stairShape: 'spiral' }), 48);
+    expect(stair.stairShape).toBe('straight');
+    expect(stair.runs).toHaveLength(1);
+  });
+});
+
+describe('calculateStairDetails - geometry overrides and code checks', () => {
+  test('default geometry meets OBC 9.8', () => {
+    const stair = calculateStairDetails(makeStair(), 48);
+
+    expect(stair.codeProfile).toBe('obc');
+    expect(stair.calculatedTreadDepthInches).toBe(11.25);
+    expect(stair.calculatedNosingInches).toBe(0.75);
+    expect(stair.codeViolations).toEqual([]);
+  });
+
+  test('adds risers when the target rise would exceed the code maximum', () => {
+    // 8" target on 47.4" gives 6 risers at 7.9", over the OBC 200 mm limit
+    const stair = calculateStairDetails(makeStair({ targetRiseInches: 8 }), 47.4);
+
+    expect(stair.calculatedNumRisers).toBe(7);
+    expect(stair.calculatedRisePerStepInches).toBeLessThanOrEqual(7.87);
+    expect(stair.codeViolations).toEqual([]);
+  });
+
+  test('IRC limits rise to 7.75"', () => {
+    const stair = calculateStairDetails(
+      makeStair({ targetRiseInches: 7.8, codeProfile: 'irc' }),
+      39
+    );
+    expect(stair.calculatedRisePerStepInches).toBeLessThanOrEqual(7.75);
+  });
+
+  test('uses tread depth less nosing as the run per step', () => {
+    const stair = calculateStairDetails(
+      makeStair({ treadDepthInches: 12, nosingInches: 0.75 }),
+      48
+    );
+    expect(stair.calculatedRunPerStepInches).toBe(11.25);
+    expect(stair.calculatedTotalRunInches).toBeCloseTo(6 * 11.25);
+  });
+
+  test('flags a short run and missing nosing under IRC', () => {
+    const stair = calculateStairDetails(
+      makeStair({ codeProfile: 'irc', treadDepthInches: 9.5, nosingInches: 0 }),
+      48
+    );
+    expect(stair.codeViolations.some((v) => v.startsWith('Run 9.5"'))).toBe(true);
+    expect(stair.codeViolations.some((v) => v.startsWith('Nosing 0"'))).toBe(true);
+  });
+
+  test('does not require a nosing on 11" IRC treads', () => {
+    const stair = calculateStairDetails(
+      makeStair({ codeProfile: 'irc', treadDepthInches: 11, nosingInches: 0 }),
+      48
+    );
+    expect(stair.codeViolations).toEqual([]);
+  });
+
+  test('flags an OBC nosing over 25 mm', () => {
+    const stair = calculateStairDetails(makeStair({ nosingInches: 1.5 }), 48);
+    expect(stair.codeViolations.some((v) => v.includes('OBC 9.8.4.1'))).toBe(true);
+  });
+
+  test('warns when 2R + T falls outside the comfort range', () => {
+    const stair = calculateStairDetails(makeStair({ treadDepthInches: 14 }), 48);
+    expect(stair.codeWarnings.some((w) => w.startsWith('2R + T'))).toBe(true);
+  });
+
+  test('rejects a nosing as deep as the tread', () => {
+    const stair = calculateStairDetails(makeStair({ treadDepthInches: 1, nosingInches: 1 }), 48);
+    expect(stair.calculationError).toMatch(/Nosing/);
+  });
+
+  test('checkStairCompliance falls back to the default profile', () => {
+    const stair = calculateStairDetails(makeStair(), 48);
+    expect(checkStairCompliance(stair, 'unknown')).toEqual({ violations: [], warnings: [] });
+  });
+});
+
+describe('calculateStairDetails - grade at the stair foot', () => {
+  test('a higher foot elevation shortens the total rise', () => {
+    const stair = calculateStairDetails(
+      makeStair({ gradeMode: 'elevation', gradeElevationInches: 12 }),
+      48
+    );
+    expect(stair.calculatedTotalRiseInches).toBe(36);
+    expect(stair.calculatedNumRisers).toBe(5);
+    expect(stair.runs[0].bottomHeightInches).toBeCloseTo(12);
+  });
+
+  test('a lower foot elevation lengthens the total rise', () => {
+    const stair = calculateStairDetails(
+      makeStair({ gradeMode: 'elevation', gradeElevationInches: -12 }),
+      48
+    );
+    expect(stair.calculatedTotalRiseInches).toBe(60);
+    expect(stair.calculatedNumRisers).toBe(8);
+  });
+
+  test('iterates a falling slope until the run and foot elevation agree', () => {
+    const stair = calculateStairDetails(
+      makeStair({ gradeMode: 'slope', gradeSlopePercent: -10 }),
+      48
+    );
+    // Flat grade gives 7 risers over 63"; the 10% fall adds a riser and a tread
+    expect(stair.calculatedNumRisers).toBe(8);
+    expect(stair.calculatedTotalRunInches).toBeCloseTo(73.5);
+    expect(stair.calculatedFootElevationInches).toBeCloseTo(-7.35);
+    expect(stair.gradeIterations).toBeGreaterThan(1);
+    expect(stair.layoutWarnings).toEqual([]);
+  });
+
+  test('ignores grade values when the mode is flat', () => {
+    const stair = calculateStairDetails(
+      makeStair({ gradeMode: 'flat', gradeElevationInches: 24, gradeSlopePercent: 15 }),
+      48
+    );
+    expect(stair.calculatedTotalRiseInches).toBe(48);
+    expect(stair.calculatedFootElevationInches).toBe(0);
+  });
+
+  test('landing posts are measured from the sloped grade below them', () => {
+    const stair = calculateStairDetails(
+      makeStair({ stairShape: 'l_shape', gradeMode: 'slope', gradeSlopePercent: -20 }),
+      60
+    );
+    const landing = stair.landings[0];
+    expect(landing.heightAboveGradeInches).toBeGreaterThan(landing.heightInches);
+    landing.posts.forEach((post) => {
+      expect(post.heightFeet * 12).toBeGreaterThan(landing.heightInches);
+    });
+  });
+
+  test('errors when the foot grade is at or above the deck', () => {
+    const stair = calculateStairDetails(
+      makeStair({ gradeMode: 'elevation', gradeElevationInches: 48 }),
+      48
+    );
+    expect(stair.calculationError).toMatch(/at or above/);
+  });
+});
+
+describe('calculateStringerLayout', () => {
+  test('lays out one site-cut stringer with the bottom drop and throat', () => {
+    const stair = calculateStairDetails(makeStair({ stringerType: 'custom_2x12' }), 48);
+    const [layout] = calculateStringerLayout(stair);
+
+    expect(layout.numRisers).toBe(7);
+    expect(layout.numTreads).toBe(6);
+    expect(layout.risePerStepInches).toBeCloseTo(48 / 7);
+    expect(layout.bottomRiserInches).toBeCloseTo(48 / 7 - 1);
+    expect(layout.throatDepthInches).toBeCloseTo(5.51, 2);
+    expect(layout.throatOk).toBe(true);
+    expect(layout.qty).toBe(5);
+    expect(layout.profile[1]).toEqual({ x: 0, y: layout.bottomRiserInches });
+    expect(layout.stockLengthFeet * 12).toBeGreaterThanOrEqual(layout.lengthInches);
+    expect(stair.codeViolations).toEqual([]);
+  });
+
+  test('flags a throat below 5" as a violation', () => {
+    // 7 risers at 7.87" over 10.5" treads leaves about 4.95" of wood below each notch
+    const stair = calculateStairDetails(
+      makeStair({ stringerType: 'custom_2x12', targetRiseInches: 7.87 }),
+      7 * 7.87
+    );
+    const [layout] = calculateStringerLayout(stair);
+
+    expect(layout.throatDepthInches).toBeLessThan(5);
+    expect(layout.throatOk).toBe(false);
+    expect(stair.codeViolations.some((v) => v.startsWith('Stringer throat'))).toBe(true);
+  });
+
+  test('does not check the throat on prefabricated stringers', () => {
+    const stair = calculateStairDetails(
+      makeStair({ stringerType: 'pylex_steel', targetRiseInches: 7.87 }),
+      7 * 7.87
+    );
+    expect(stair.codeViolations.some((v) => v.startsWith('Stringer throat'))).toBe(false);
+  });
+
+  test('returns one layout per run on stairs with landings', () => {
+    const stair = calculateStairDetails(
+      makeStair({ stringerType: 'custom_2x12', stairShape: 'l_shape' }),
+      60
+    );
+    const layouts = calculateStringerLayout(stair);
+    expect(layouts.map((l) => l.runIndex)).toEqual([0, 1]);
+  });
+});
+
+describe('getStairPlanLayout', () => {
+  test('places a straight stair outside the deck', () => {
+    const stair = calculateStairDetails(makeStair(), 48);
+    const plan = getStairPlanLayout(stair, deckPoints);
+
+    expect(plan.runs).toHaveLength(1);
+    expect(plan.runs[0].bottomLeft.y).toBeCloseTo(ft(10) + ft(63 / 12));
+    expect(plan.runs[0].direction.y).toBeCloseTo(1);
+  });
+
+  test('maps L-shape runs and landing corners to model space', () => {
+    const stair = calculateStairDetails(
+      makeStair({ stairShape: 'l_shape', turnDirection: 'left' }),
+      60
+    );
+    const plan = getStairPlanLayout(stair, deckPoints);
+
+    expect(plan.runs).toHaveLength(2);
+    expect(plan.landings).toHaveLength(1);
+    expect(plan.landings[0].corners).toHaveLength(4);
+    // Walking down (+y on screen), turning left heads towards +x on screen
+    expect(plan.runs[1].direction.x).toBeCloseTo(1);
+    // The second run leaves from the side of the landing, centred on its depth
+    const firstRunEnd = ft(10) + ft(stair.runs[0].totalRunInches / 12);
+    const topMidY = (plan.runs[1].topLeft.y + plan.runs[1].topRight.y) / 2;
+    expect(topMidY).toBeCloseTo(firstRunEnd + ft(2));
+  });
+
+  test('treats stairs saved before runs existed as one straight run', () => {
+    const legacy = makeStair({
+      calculatedNumRisers: 7,
+      calculatedNumSteps: 6,
+      calculatedTotalRunInches: 63,
+    });
+    const plan = getStairPlanLayout(legacy, deckPoints);
+    expect(plan.runs).toHaveLength(1);
+    expect(plan.landings).toHaveLength(0);
+  });
+});
@@ -5,8 +5,39 @@
  * can be validated against known-good results.
  */
 
-import { calculateStructure } from '../deckCalcjs/deckCalculations.js';
+import {
+  calculateStructure,
+  applyFootingDesign,
+  getFrostWarning,
+  applyLedgerFasteners,
+  layoutLedgerFasteners,
+  applyLateralLoadConnectors,
+  applyPostConnectors,
+  applyMemberMechanics,
+  getSkewedHangerSpec,
+} from '../deckCalcjs/deckCalculations.js';
+import {
+  resolveDeflectionLimit,
+  checkJoist,
+  checkBeam,
+  getMechanicsJoistMaxSpan,
+  selectJoistByMechanics,
+} from '../deckCalcjs/mechanicsCalculations.js';
 import { PIXELS_PER_FOOT } from '../deckCalcjs/config.js';
+import {
+  getSpanTable,
+  getSpanTableOptions,
+  getLumberProperties,
+  getMaxJoistSpans,
+  getMaxBeamSpan,
+  recommendBeamSize,
+  resolveDesignLoad,
+  getMunicipalitySnowLoadPsf,
+  calculateFootingDiameter,
+  resolveSiteConditions,
+  getLedgerFastenerSchedule,
+  getPostConnectorSpec,
+} from '../deckCalcjs/dataManager.js';
 
 // Suppress console noise
 const originalLog = console.log;
@@ -321,3 +352,488 @@ describe('U-shape structural validation', () => {
     expect(dominantCount).toBe(result.joists.length);
   });
 });
+
+describe('Species / grade span tables', () => {
+  it('defaults to the Southern Pine #2 table', () => {
+    const table = getSpanTable();
+    expect(table.key).toBe('sp_no2');
+    expect(table.loadCase).toBe('40L10D');
+    expect(getMaxJoistSpans()).toBe(table.joists);
+  });
+
+  it('falls back to the default table for unknown keys and load cases', () => {
+    expect(getSpanTable('balsa_no9').key).toBe('sp_no2');
+    expect(getSpanTable('spf_no2', '100L50D').loadCase).toBe('40L10D');
+  });
+
+  it('never allows a longer joist span than Southern Pine for the weaker species', () => {
+    const sp = getMaxJoistSpans('sp_no2');
+    for (const key of ['spf_no2', 'cedar_no2']) {
+      for (const rule of getMaxJoistSpans(key)) {
+        const spRule = sp.find(r => r.size === rule.size && r.spacing === rule.spacing);
+        expect(rule.maxSpanFt).toBeLessThanOrEqual(spRule.maxSpanFt);
+      }
+    }
+  });
+
+  it('routes beam spans and recommendations through the selected table', () => {
+    expect(getMaxBeamSpan('2x10', 3, 12, 'spf_no2')).toBeLessThan(getMaxBeamSpan('2x10', 3, 12, 'sp_no2'));
+    expect(recommendBeamSize(8, 12, 3, 'sp_no2').size).toBe('2x10');
+    expect(recommendBeamSize(8, 12, 3, 'cedar_no2').size).toBe('2x12');
+  });
+
+  it('keys the registry by species and grade', () => {
+    const keys = getSpanTableOptions().map(option => option.key);
+    expect(keys).toEqual(expect.arrayContaining(['sp_no2', 'dfl_no2', 'hf_no2', 'spf_no2', 'cedar_no2']));
+    expect(getSpanTable('hf_no2')).toMatchObject({ key: 'hf_no2', label: 'Hem-Fir #2' });
+    // A grade with no table of its own falls back to the default rather than another grade
+    expect(getSpanTable('sp_select').key).toBe('sp_no2');
+  });
+
+  it('uses the IRC R507.5 / R507.6 rows for Hem-Fir, SPF and DF-L', () => {
+    for (const key of ['dfl_no2', 'hf_no2', 'spf_no2']) {
+      expect(getMaxJoistSpans(key).find(r => r.size === '2x10' && r.spacing === 16).maxSpanFt).toBeCloseTo(13 + 7 / 12);
+      expect(getMaxBeamSpan('2x10', 3, 12, key)).toBeCloseTo(8 + 6 / 12);
+    }
+  });
+
+  it('gives each species its own design values', () => {
+    expect(getLumberProperties('dfl_no2', '2x10').ePsi).toBe(1600000);
+    expect(getLumberProperties('hf_no2', '2x10').ePsi).toBe(1300000);
+    expect(getLumberProperties('spf_no2', '2x10').ePsi).toBe(1400000);
+  });
+
+  it('sizes joists up for SPF where Southern Pine 2x10s still span', () => {
+    const points = makeRectPoints(14, 14);
+    const dims = makeDims(14, 14);
+    const sp = calculateStructure(points, [0], standardInputs, dims);
+    const spf = calculateStructure(points, [0], { ...standardInputs, lumberSpecies: 'spf_no2' }, dims);
+
+    expect(sp.error).toBeNull();
+    expect(spf.error).toBeNull();
+    expect(sp.joists[0].size).toBe('2x10');
+    expect(spf.joists[0].size).toBe('2x12');
+    expect(spf.spanTable.key).toBe('spf_no2');
+    expect(spf.joistMaxSpanFt).toBeCloseTo(15 + 9 / 12);
+  });
+});
+
+describe('Design loads', () => {
+  it('defaults to 40 live + 10 dead with live governing', () => {
+    const load = resolveDesignLoad();
+    expect(load.totalLoadPsf).toBe(50);
+    expect(load.governs).toBe('live');
+  });
+
+  it('uses the larger of live and snow, not their sum', () => {
+    const load = resolveDesignLoad({ liveLoadPsf: '40', deadLoadPsf: '10', snowLoadPsf: '55' });
+    expect(load.governs).toBe('snow');
+    expect(load.totalLoadPsf).toBe(65);
+  });
+
+  it('looks up snow load by municipality and overrides the entered value', () => {
+    const huntsville = getMunicipalitySnowLoadPsf('huntsville');
+    expect(huntsville).toBeGreaterThan(40);
+    expect(getMunicipalitySnowLoadPsf('atlantis')).toBeNull();
+
+    const load = resolveDesignLoad({ loadMunicipality: 'huntsville', snowLoadPsf: 0 });
+    expect(load.snowLoadPsf).toBe(huntsville);
+    expect(load.municipality).toBe('huntsville');
+    expect(load.governs).toBe('snow');
+  });
+
+  it('keeps the base table for loads at or below the table load case', () => {
+    const table = getSpanTable('sp_no2', resolveDesignLoad({ snowLoadPsf: 20 }));
+    expect(table.spanFactor).toBe(1);
+    expect(table.joists).toBe(getMaxJoistSpans('sp_no2'));
+  });
+
+  it('shortens joist and beam spans for heavier loads', () => {
+    const heavy = { snowLoadPsf: 60 };
+    const base = getMaxJoistSpans('sp_no2');
+    const reduced = getMaxJoistSpans('sp_no2', heavy);
+    reduced.forEach((rule, i) => expect(rule.maxSpanFt).toBeLessThan(base[i].maxSpanFt));
+    expect(getMaxBeamSpan('2x10', 3, 10, 'sp_no2', heavy)).toBeLessThan(getMaxBeamSpan('2x10', 3, 10, 'sp_no2'));
+  });
+
+  it('sizes footings for the design load', () => {
+    expect(calculateFootingDiameter(40).load).toBe(2000);
+    const heavy = calculateFootingDiameter(40, 1500, 70);
+    expect(heavy.load).toBe(2800);
+    expect(heavy.diameter).toBeGreaterThan(calculateFootingDiameter(40).diameter);
+  });
+
+  it('upsizes joists and footings in calculateStructure for a heavy snow load', () => {
+    const points = makeRectPoints(10, 10);
+    const dims = makeDims(10, 10);
+    const base = calculateStructure(points, [0], standardInputs, dims);
+    const snowy = calculateStructure(points, [0], { ...standardInputs, snowLoadPsf: 60 }, dims);
+
+    expect(snowy.error).toBeNull();
+    expect(snowy.designLoad.totalLoadPsf).toBe(70);
+    expect(base.joists[0].size).toBe('2x8');
+    expect(snowy.joists[0].size).toBe('2x10');
+
+    const maxDiameter = (result) => Math.max(...result.footings.map(f => f.diameter || 0));
+    expect(maxDiameter(snowy)).toBeGreaterThan(maxDiameter(base));
+  });
+});
+
+describe('Footing site conditions', () => {
+  const pierFooting = () => ({ x: 0, y: 0, type: 'concrete_pier', diameter: 16, tributaryArea: 40 });
+
+  it('resolves soil class and frost depth with conservative fallbacks', () => {
+    const site = resolveSiteConditions({ soilClass: 'gravel', frostDepthInches: '60' }, 48);
+    expect(site.soilBearingCapacity).toBe(3000);
+    expect(site.frostDepthInches).toBe(60);
+
+    const fallback = resolveSiteConditions({ soilClass: 'quicksand', frostDepthInches: '' }, 48);
+    expect(fallback.soilBearingCapacity).toBe(1500);
+    expect(fallback.frostDepthInches).toBe(48);
+  });
+
+  it('carries soil and frost into each footing and sizes piers for the soil', () => {
+    const clay = [pierFooting()];
+    const gravel = [pierFooting()];
+    applyFootingDesign(clay, { soilClass: 'clay', frostDepthInches: 48 });
+    applyFootingDesign(gravel, { soilClass: 'gravel', frostDepthInches: 48 });
+
+    expect(clay[0].soilBearingCapacity).toBe(1500);
+    expect(clay[0].frostDepthInches).toBe(48);
+    expect(clay[0].depthInches).toBe(48);
+    expect(gravel[0].diameter).toBeLessThan(clay[0].diameter);
+  });
+
+  it('computes pier concrete volume from diameter and frost depth', () => {
+    const footings = [pierFooting()];
+    applyFootingDesign(footings, { soilClass: 'clay', frostDepthInches: 48 });
+    const d = footings[0].diameter;
+    expect(footings[0].concreteVolumeCuFt).toBeCloseTo((Math.PI * (d / 2) ** 2 * 48) / 1728);
+  });
+
+  it('does not count concrete for levellers or piles', () => {
+    const footings = [{ ...pierFooting(), type: 'pylex' }];
+    applyFootingDesign(footings, { frostDepthInches: 48 });
+    expect(footings[0].concreteVolumeCuFt).toBe(0);
+    expect(footings[0].depthInches).toBe(50);
+  });
+
+  it('warns when attached-deck footings do not reach below frost', () => {
+    expect(getFrostWarning('gh_levellers', 'house_rim', 48)).toMatch(/not allowed for an attached deck/);
+    expect(getFrostWarning('gh_levellers', 'floating', 48)).toBeNull();
+    expect(getFrostWarning('pylex', 'house_rim', 48)).toBeNull();
+    expect(getFrostWarning('pylex', 'concrete', 60)).toMatch(/above the 60" frost depth/);
+    expect(getFrostWarning('concrete_pier', 'house_rim', 72)).toBeNull();
+  });
+
+  it('reports frost warnings and site data from calculateStructure', () => {
+    const points = makeRectPoints(10, 10);
+    const dims = makeDims(10, 10);
+    const result = calculateStructure(
+      points,
+      [0],
+      { ...standardInputs, footingType: 'gh_levellers', frostDepthInches: 48 },
+      dims
+    );
+    expect(result.error).toBeNull();
+    expect(result.frostWarning).toMatch(/frost depth/);
+    expect(result.footingSite.frostDepthInches).toBe(48);
+    result.footings.forEach(f => expect(f.frostDepthInches).toBe(48));
+  });
+});
+
+describe('Ledger fasteners', () => {
+  it('reads spacing from the joist span and attachment type', () => {
+    expect(getLedgerFastenerSchedule('house_rim', 6).spacingInches).toBe(30);
+    expect(getLedgerFastenerSchedule('house_rim', 12).spacingInches).toBe(15);
+    expect(getLedgerFastenerSchedule('house_rim', 12.5).spacingInches).toBe(13);
+    expect(getLedgerFastenerSchedule('house_rim', 12).fastenerLabel).toBe('Lag Screw 1/2" x 4"');
+    // Concrete anchors are outside the table and keep a pair every 16"
+    expect(getLedgerFastenerSchedule('concrete', 12).spacingInches).toBe(8);
+    expect(getLedgerFastenerSchedule('concrete', 20).exceedsTable).toBe(false);
+    expect(getLedgerFastenerSchedule('floating', 12)).toBeNull();
+  });
+
+  it('flags spans past the table and tightens spacing for heavier loads', () => {
+    expect(getLedgerFastenerSchedule('house_rim', 20)).toMatchObject({ spacingInches: 10, exceedsTable: true });
+    const heavy = getLedgerFastenerSchedule('house_rim', 12, { totalLoadPsf: 75 });
+    expect(heavy.loadFactor).toBeCloseTo(2 / 3, 5);
+    expect(heavy.spacingInches).toBe(10);
+  });
+
+  it('staggers fasteners with a top/bottom pair at each end', () => {
+    const run = layoutLedgerFasteners({ x: 0, y: 0 }, { x: ft(10), y: 0 }, 15);
+    const rows = run.fasteners.map(f => f.row);
+    expect(rows.slice(0, 2)).toEqual(['top', 'bottom']);
+    expect(rows.slice(-2)).toEqual(['top', 'bottom']);
+    // 114" between end pairs at 15" max -> 8 intervals, 7 interior fasteners
+    expect(run.fasteners).toHaveLength(11);
+    expect(rows.slice(2, -2)).toEqual(['bottom', 'top', 'bottom', 'top', 'bottom', 'top', 'bottom']);
+    expect(run.fasteners[0].offsetInches).toBe(3);
+    expect(run.fasteners[run.fasteners.length - 1].offsetInches).toBe(117);
+    const offsets = run.fasteners.map(f => f.offsetInches);
+    offsets.slice(1).forEach((o, i) => expect(o - offsets[i]).toBeLessThanOrEqual(15));
+  });
+
+  it('sets the schedule on calculateStructure output', () => {
+    const points = makeRectPoints(12, 12);
+    const dims = makeDims(12, 12);
+    const attached = calculateStructure(points, [0], standardInputs, dims);
+    expect(attached.ledgerFasteners).toMatchObject({ attachmentType: 'house_rim', spacingInches: 15 });
+    expect(attached.ledgerFasteners.runs).toHaveLength(1);
+    expect(attached.ledgerFasteners.totalCount).toBe(
+      attached.ledgerFasteners.runs[0].fasteners.length
+    );
+
+    const floating = calculateStructure(points, [0], { ...standardInputs, attachmentType: 'floating' }, dims);
+    expect(floating.ledgerFasteners).toBeNull();
+  });
+
+  it('fastens the wall rim joist on a concrete foundation', () => {
+    const structure = calculateStructure(
+      makeRectPoints(12, 12), [0], { ...standardInputs, attachmentType: 'concrete' }, makeDims(12, 12)
+    );
+    expect(structure.ledgerFasteners.member).toBe('Wall Rim Joist');
+    expect(structure.ledgerFasteners.spacingInches).toBe(8);
+    expect(applyLedgerFasteners({ joists: [] }, { attachmentType: 'floating' })).toBeNull();
+  });
+});
+
+describe('Lateral load connectors', () => {
+  const points = makeRectPoints(12, 12);
+  const dims = makeDims(12, 12);
+
+  it('places a DTT2Z pair on the joist within 24" of each ledger end', () => {
+    const result = calculateStructure(points, [0], standardInputs, dims);
+    const lateral = result.lateralLoad;
+    expect(lateral).toMatchObject({ deviceLabel: 'DTT2Z', count: 2, deviceCount: 4, devicesPerConnection: 2 });
+
+    const ledgerLengthInches = result.ledger.lengthFeet * 12;
+    const [first, last] = lateral.connectors;
+    expect(first.offsetInches).toBeLessThanOrEqual(24);
+    expect(ledgerLengthInches - last.offsetInches).toBeLessThanOrEqual(24);
+    lateral.connectors.forEach(c => expect(c.onJoist).toBe(true));
+  });
+
+  it('uses one anchored device per location on a concrete wall', () => {
+    const result = calculateStructure(points, [0], { ...standardInputs, attachmentType: 'concrete' }, dims);
+    expect(result.lateralLoad).toMatchObject({ count: 2, deviceCount: 2, devicesPerConnection: 1 });
+  });
+
+  it('is not required for low or floating decks', () => {
+    expect(calculateStructure(points, [0], { ...standardInputs, deckHeight: 18 }, dims).lateralLoad).toBeNull();
+    expect(
+      calculateStructure(points, [0], { ...standardInputs, attachmentType: 'floating' }, dims).lateralLoad
+    ).toBeNull();
+  });
+
+  it('falls back to 24" from each end when no joists bear on the ledger', () => {
+    const structure = { ledger: { p1: { x: 0, y: 0 }, p2: { x: ft(10), y: 0 } }, joists: [] };
+    const lateral = applyLateralLoadConnectors(structure, { attachmentType: 'house_rim', deckHeight: 36 });
+    expect(lateral.connectors.map(c => c.offsetInches)).toEqual([24, 96]);
+    lateral.connectors.forEach(c => expect(c.onJoist).toBe(false));
+  });
+});
+
+describe('Post connectors', () => {
+  const points = makeRectPoints(12, 12);
+  const dims = makeDims(12, 12);
+
+  it('picks caps from post size, beam ply and position', () => {
+    expect(getPostConnectorSpec('4x4', 2, 'inline', 'pylex').cap.label).toBe('BCS2-2/4Z');
+    expect(getPostConnectorSpec('6x6', 3, 'inline', 'pylex').cap.label).toBe('BCS2-3/6Z');
+    expect(getPostConnectorSpec('4x4', 2, 'corner', 'pylex').cap.label).toBe('LCE4Z');
+    const mismatch = getPostConnectorSpec('4x4', 3, 'inline', 'pylex');
+    expect(mismatch.cap).toBeNull();
+    expect(mismatch.warnings[0]).toMatch(/3-ply beam on a 4x4 post/);
+  });
+
+  it('adds a post base only for concrete piers', () => {
+    expect(getPostConnectorSpec('6x6', 3, 'inline', 'concrete_pier').base.label).toBe('ABU66Z');
+    expect(getPostConnectorSpec('6x6', 3, 'inline', 'pylex').base).toBeNull();
+  });
+
+  it('gives every joist crossing a drop beam one hurricane tie', () => {
+    const result = calculateStructure(
+      points, [0], { ...standardInputs, beamType: 'drop', footingType: 'concrete_pier' }, dims
+    );
+    const endJoists = result.rimJoists.filter(r => r.usage === 'End Joist').length;
+    const ties = result.posts.reduce((sum, p) => sum + (p.connectors.hurricaneTies?.count || 0), 0);
+    expect(ties).toBe(result.joists.length + endJoists);
+    result.posts.forEach(p => {
+      expect(p.connectors).toMatchObject({ position: 'inline', beamPly: result.beams[0].ply });
+      expect(p.connectors.base.label).toBe('ABU66Z');
+    });
+  });
+
+  it('has no hurricane ties on flush beams', () => {
+    const result = calculateStructure(points, [0], standardInputs, dims);
+    result.posts.forEach(p => expect(p.connectors.hurricaneTies).toBeNull());
+  });
+
+  it('treats posts at a beam end or under two beams as corner posts', () => {
+    const beamA = { usage: 'Outer Beam', p1: { x: 0, y: 0 }, p2: { x: ft(8), y: 0 }, ply: 2, isFlush: true };
+    const beamB = { usage: 'Side Beam', p1: { x: ft(8), y: 0 }, p2: { x: ft(8), y: ft(8) }, ply: 2, isFlush: true };
+    const structure = {
+      beams: [beamA, beamB],
+      posts: [
+        { x: ft(4), y: 0, size: '4x4' },
+        { x: ft(8), y: 0, size: '4x4' },
+        { x: ft(8), y: ft(8), size: '4x4' },
+      ],
+      joists: [],
+    };
+    applyPostConnectors(structure, { footingType: 'helical' });
+    expect(structure.posts.map(p => p.connectors.position)).toEqual(['inline', 'corner', 'corner']);
+  });
+});
+
+describe('Member mechanics', () => {
+  const designLoad = resolveDesignLoad();
+  const joist = (size, spanFt, deflectionLimit) =>
+    checkJoist({ size, spanFt, spacingInches: 16, designLoad, spanTableKey: 'sp_no2', deflectionLimit });
+
+  it('only accepts L/360 and L/480', () => {
+    expect(resolveDeflectionLimit()).toBe(360);
+    expect(resolveDeflectionLimit('480')).toBe(480);
+    expect(resolveDeflectionLimit(240)).toBe(360);
+  });
+
+  it('reports stresses against the species design values', () => {
+    const check = joist('2x10', 13, 360);
+    expect(check.bendingStressPsi).toBeLessThan(check.allowableBendingPsi);
+    expect(check.shearStressPsi).toBeLessThan(check.allowableShearPsi);
+    expect(check.allowableDeflectionIn).toBeCloseTo((13 * 12) / 360, 3);
+    expect(check.frequencyHz).toBeGreaterThanOrEqual(8);
+    expect(check.passes).toBe(true);
+  });
+
+  it('tightens deflection at L/480 and fails an overspanned joist', () => {
+    expect(joist('2x10', 13, 480).ratios.deflection).toBeGreaterThan(joist('2x10', 13, 360).ratios.deflection);
+    const over = joist('2x8', 13, 360);
+    expect(over.passes).toBe(false);
+    expect(over.governs).toBe('deflection');
+  });
+
+  it('upsizes before tightening spacing, and tightens spacing once sizes run out', () => {
+    const options = { spacingInches: 16, spacingOptions: [12, 16], designLoad, spanTableKey: 'sp_no2', deflectionLimit: 480 };
+    expect(selectJoistByMechanics({ ...options, size: '2x8', spanFt: 13 })).toMatchObject({ size: '2x10', spacingInches: 16, passes: true });
+    expect(selectJoistByMechanics({ ...options, size: '2x12', spanFt: 19, deflectionLimit: 360 })).toMatchObject({ size: '2x12', spacingInches: 12, passes: true });
+    expect(selectJoistByMechanics({ ...options, size: '2x12', spanFt: 24 }).passes).toBe(false);
+  });
+
+  it('covers spacings the span tables do not list', () => {
+    const at19 = getMechanicsJoistMaxSpan('2x10', 19.2, designLoad, 'sp_no2', 360);
+    expect(at19).toBeGreaterThan(0);
+    expect(at19).toBeLessThan(getMechanicsJoistMaxSpan('2x10', 12, designLoad, 'sp_no2', 360));
+
+    const points = makeRectPoints(10, 13);
+    const result = calculateStructure(points, [0], { ...standardInputs, joistSpacing: 19.2 }, makeDims(10, 13));
+    expect(result.error).toBeNull();
+    expect(result.joistMaxSpanFt).toBeCloseTo(at19);
+    expect(result.mechanics.allPass).toBe(true);
+  });
+
+  it('leaves default decks alone and reports every joist run', () => {
+    const result = calculateStructure(makeRectPoints(10, 13), [0], { ...standardInputs, joistSpacing: 12 }, makeDims(10, 13));
+    expect(result.joists[0].size).toBe('2x8');
+    expect(result.mechanicsAdjustments).toEqual([]);
+    expect(result.mechanics.deflectionLimit).toBe(360);
+    expect(result.mechanics.joists.reduce((sum, run) => sum + run.count, 0)).toBe(result.joists.length);
+    expect(result.mechanics.beams.length).toBeGreaterThan(0);
+    expect(result.mechanics.allPass).toBe(true);
+  });
+
+  it('upsizes joists in calculateStructure for L/480', () => {
+    const result = calculateStructure(
+      makeRectPoints(10, 13), [0], { ...standardInputs, joistSpacing: 12, deflectionLimit: 480 }, makeDims(10, 13)
+    );
+    expect(result.joists[0].size).toBe('2x10');
+    expect(result.mechanicsAdjustments[0]).toMatch(/2x8 @ 12" to 2x10 @ 12"/);
+    expect(result.mechanics).toMatchObject({ deflectionLimit: 480, allPass: true });
+  });
+
+  it('measures joist spans between supports and beam tributary from both sides', () => {
+    const beam = {
+      usage: 'Mid Beam', size: '2x10', ply: 3,
+      p1: { x: 0, y: ft(8) }, p2: { x: ft(8), y: ft(8) },
+    };
+    const structure = {
+      ledger: { usage: 'Ledger', size: '2x10', p1: { x: 0, y: 0 }, p2: { x: ft(8), y: 0 } },
+      beams: [beam],
+      joists: [0, 4, 8].map((x) => ({ usage: 'Joist', size: '2x10', p1: { x: ft(x), y: 0 }, p2: { x: ft(x), y: ft(10) } })),
+      posts: [{ x: 0, y: ft(8) }, { x: ft(8), y: ft(8) }],
+      designLoad,
+    };
+    const mechanics = applyMemberMechanics(structure, { joistSpacing: 16 });
+
+    expect(mechanics.joists).toHaveLength(1);
+    expect(mechanics.joists[0]).toMatchObject({ size: '2x10', spanFt: 8, count: 3 });
+    // Half the 8' back span plus the 2' cantilever
+    expect(mechanics.beams).toHaveLength(1);
+    expect(mechanics.beams[0]).toMatchObject({ spanFt: 8, tributaryWidthFt: 6 });
+    expect(mechanics.beams[0]).toEqual(
+      expect.objectContaining(checkBeam({ size: '2x10', ply: 3, spanFt: 8, tributaryWidthFt: 6, designLoad, spanTableKey: 'sp_no2' }))
+    );
+  });
+});
+
+describe('Angled edges', () => {
+  const dropInputs = { ...standardInputs, beamType: 'drop', footingType: 'pylex' };
+  const rise = (runFt, deg) => runFt * Math.tan((deg * Math.PI) / 180);
+
+  it('trims joists at a 60 degree corner cut and keeps the cantilever along the joists', () => {
+    // 16x12 deck, ledger on top, bottom-right corner cut 4' wide at 60 degrees
+    const cutTop = 12 - rise(4, 60);
+    const points = [
+      { x: 0, y: 0 },
+      { x: ft(16), y: 0 },
+      { x: ft(16), y: ft(cutTop) },
+      { x: ft(12), y: ft(12) },
+      { x: 0, y: ft(12) },
+    ];
+    const result = calculateStructure(points, 0, dropInputs, makeDims(16, 12));
+    expect(result.error).toBeFalsy();
+
+    const trimmed = result.joists.filter((j) => j.trimmedAtDiagonal);
+    expect(trimmed.length).toBeGreaterThan(0);
+    trimmed.forEach((j) => {
+      expect(j.cutAngle).toBe(30);
+      expect(j.p2.y).toBeCloseTo(ft(12) - (j.p2.x - ft(12)) * Math.tan(Math.PI / 3), 1);
+    });
+
+    // Beam under the cut sits 2' back from the edge measured along the joists
+    const diagonalBeam = result.beams.find((b) => b.usage === 'Diagonal Beam');
+    const [beamEnd] = [diagonalBeam.p1, diagonalBeam.p2].filter((p) => Math.abs(p.x - ft(16)) < 1);
+    expect(beamEnd.y).toBeCloseTo(ft(cutTop - 2), 1);
+  });
+
+  it('hangs joists from an angled ledger in skewed hangers of the right hand and angle', () => {
+    const points = [
+      { x: 0, y: 0 },
+      { x: ft(8), y: 0 },
+      { x: ft(12), y: ft(rise(4, 30)) },
+      { x: ft(12), y: ft(12) },
+      { x: 0, y: ft(12) },
+    ];
+    const result = calculateStructure(points, [0, 1], dropInputs, makeDims(12, 12));
+    expect(result.diagonalLedgers).toHaveLength(1);
+
+    const skewed = result.joists.filter((j) => j.skewHanger);
+    expect(skewed.length).toBe(result.joists.filter((j) => j.p1.x > ft(8)).length);
+    skewed.forEach((j) => expect(j.skewHanger).toEqual({ angleDeg: 30, hand: 'left' }));
+    result.joists.filter((j) => j.p1.x < ft(8)).forEach((j) => expect(j.skewHanger).toBeUndefined());
+  });
+
+  it('names the skew hand from the joist side facing the header', () => {
+    const joistEnd = { x: 0, y: 0 };
+    const farEnd = { x: 0, y: ft(8) };
+    // Header rising to the right: joist reaches it heading to the viewer's right
+    expect(getSkewedHangerSpec(joistEnd, farEnd, { x: -ft(2), y: ft(2) }, { x: ft(2), y: -ft(2) }))
+      .toEqual({ angleDeg: 45, hand: 'right' });
+    expect(getSkewedHangerSpec(joistEnd, farEnd, { x: -ft(2), y: -ft(2) }, { x: ft(2), y: ft(2) }))
+      .toEqual({ angleDeg: 45, hand: 'left' });
+    // Square header takes a straight hanger
+    expect(getSkewedHangerSpec(joistEnd, farEnd, { x: -ft(2), y: 0 }, { x: ft(2), y: 0 })).toBeNull();
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Wrap-around deck tests
+ * Covers finding the house corner, splitting the outline at the hip and the framing
+ * calculateMultiSectionStructure builds for ledgers on two walls.
+ */
+
+import {
+  findWrapAroundCorner,
+  splitWrapAroundZones,
+  clipSegmentToZone,
+} from '../deckCalcjs/wrapAroundCalculations.js';
+import { calculateMultiSectionStructure } from '../deckCalcjs/multiSectionCalculations.js';
+import { PIXELS_PER_FOOT } from '../deckCalcjs/config.js';
+
+// Suppress console noise
+const originalLog = console.log;
+const originalWarn = console.warn;
+beforeAll(() => {
+  console.log = () => {};
+  console.warn = () => {};
+});
+afterAll(() => {
+  console.log = originalLog;
+  console.warn = originalWarn;
+});
+
+const ft = (feet) => feet * PIXELS_PER_FOOT;
+
+// L-shaped deck around the house corner at (10, 10): edge 1 runs down the house's side
+// wall and edge 2 along its back wall, so the deck is 10' deep off each
+const deckPoints = [
+  { x: 0, y: 0 },
+  { x: ft(10), y: 0 },
+  { x: ft(10), y: ft(10) },
+  { x: ft(20), y: ft(10) },
+  { x: ft(20), y: ft(20) },
+  { x: 0, y: ft(20) },
+];
+const inputs = {
+  joistSpacing: 16,
+  postSize: '6x6',
+  deckHeight: 48,
+  attachmentType: 'house_rim',
+  beamType: 'drop',
+  footingType: 'pylex',
+};
+
+describe('House corner', () => {
+  test('finds the corner two selected walls meet at', () => {
+    expect(findWrapAroundCorner(deckPoints, [1, 2])).toEqual({
+      cornerIndex: 2,
+      corner: { x: ft(10), y: ft(10) },
+      wallIndices: [1, 2],
+    });
+  });
+
+  test('walls that do not turn a house corner keep the normal framing', () => {
+    expect(findWrapAroundCorner(deckPoints, [1])).toBeNull();
+    expect(findWrapAroundCorner(deckPoints, [1, 3])).toBeNull();
+    // Edges 5 and 0 meet at an outside corner of the deck, not the house
+    expect(findWrapAroundCorner(deckPoints, [5, 0])).toBeNull();
+  });
+
+  test('extra walls beyond the corner pair are refused', () => {
+    expect(findWrapAroundCorner(deckPoints, [0, 1, 2]).error).toMatch(/one house corner/);
+  });
+});
+
+describe('Framing zones', () => {
+  const split = splitWrapAroundZones(deckPoints, findWrapAroundCorner(deckPoints, [1, 2]));
+
+  test('the hip bisects the corner out to the deck edge', () => {
+    expect(split.error).toBeUndefined();
+    expect(split.corner).toEqual({ x: ft(10), y: ft(10) });
+    expect(split.hipEnd.x).toBeCloseTo(0, 6);
+    expect(split.hipEnd.y).toBeCloseTo(ft(20), 6);
+  });
+
+  test('each zone frames square off its wall', () => {
+    const [inZone, outZone] = split.zones;
+    expect(inZone).toMatchObject({ wallIndex: 1, ledgerP1: deckPoints[1], ledgerP2: deckPoints[2] });
+    expect(outZone).toMatchObject({ wallIndex: 2, ledgerP1: deckPoints[2], ledgerP2: deckPoints[3] });
+    expect(inZone.framingDimensions).toMatchObject({ widthFeet: 10, heightFeet: 20 });
+    expect(outZone.framingDimensions).toMatchObject({ widthFeet: 20, heightFeet: 10 });
+    const inLedger = inZone.framingPoints[inZone.framingLedgerIndex];
+    expect(inLedger).toEqual(deckPoints[1]);
+  });
+
+  test('a shallower wing still splits on the corner bisector', () => {
+    const narrow = [
+      { x: 0, y: 0 },
+      { x: ft(10), y: 0 },
+      { x: ft(10), y: ft(10) },
+      { x: ft(20), y: ft(10) },
+      { x: ft(20), y: ft(12) },
+      { x: 0, y: ft(12) },
+    ];
+    const split = splitWrapAroundZones(narrow, findWrapAroundCorner(narrow, [1, 2]));
+    expect(split.hipEnd.x).toBeCloseTo(ft(8), 6);
+    expect(split.hipEnd.y).toBeCloseTo(ft(12), 6);
+    expect(split.zones[1].framingDimensions).toMatchObject({ widthFeet: 12, heightFeet: 2 });
+  });
+
+  test('segments clip to the zone, boundary included', () => {
+    const zone = split.zones[1].points;
+    expect(clipSegmentToZone({ x: 0, y: ft(15) }, { x: ft(20), y: ft(15) }, zone)).toEqual([
+      { t0: expect.closeTo(0.25, 6), t1: 1 },
+    ]);
+    expect(clipSegmentToZone({ x: ft(1), y: ft(1) }, { x: ft(5), y: ft(5) }, zone)).toEqual([]);
+  });
+});
+
+describe('calculateMultiSectionStructure with a wrap-around selection', () => {
+  const structure = calculateMultiSectionStructure([{}, {}], inputs, [1, 2], deckPoints);
+  const hip = structure.beams?.find((b) => b.usage === 'Hip Beam');
+
+  test('ledgers on both walls', () => {
+    expect(structure.error).toBeFalsy();
+    expect(structure.ledger.lengthFeet).toBeCloseTo(10, 6);
+    expect(structure.wrapLedger.lengthFeet).toBeCloseTo(10, 6);
+  });
+
+  test('a flush hip beam runs from the corner to the deck edge', () => {
+    expect(hip).toBeDefined();
+    expect(hip.lengthFeet).toBeCloseTo(Math.SQRT2 * 10, 6);
+    expect(hip.ply).toBeGreaterThanOrEqual(2);
+    expect(structure.wrapAround).toMatchObject({ hipLengthFeet: expect.closeTo(Math.SQRT2 * 10, 6), wallIndices: [1, 2] });
+    expect(structure.wrapAround.hipPosts).toBeGreaterThan(0);
+  });
+
+  test('jack joists hang off the hip on 45 degree hangers without crossing it', () => {
+    const jacks = structure.joists.filter((j) => j.skewHanger);
+    expect(jacks).toHaveLength(structure.wrapAround.jackJoists);
+    jacks.forEach((j) => expect(j.skewHanger.angleDeg).toBe(45));
+    // The hip is x + y = 20'; every joist stays on one side of it
+    structure.joists.forEach((j) => {
+      const side1 = j.p1.x + j.p1.y - ft(20);
+      const side2 = j.p2.x + j.p2.y - ft(20);
+      expect(side1 * side2).toBeGreaterThanOrEqual(-1);
+    });
+  });
+
+  test('fasteners and lateral connectors cover both ledgers', () => {
+    expect(structure.ledgerFasteners.runs).toHaveLength(2);
+    expect(structure.lateralLoad.count).toBe(4);
+  });
+
+  test('members pass the mechanics check', () => {
+    expect(structure.mechanics.failures).toBe(0);
+  });
+});
@@ -9,12 +9,22 @@ import * as deckCalculations from "./deckCalculations.js";
 import * as stairCalculations from "./stairCalculations.js";
 import * as canvasLogic from "./canvasLogic.js";
 import * as bomCalculations from "./bomCalculations.js";
+import * as calculationReport from "./calculationReport.js";
 import * as shapeValidator from "./shapeValidator.js";
 import * as shapeDecomposer from "./shapeDecomposer.js";
 import * as shopifyService from "./shopifyService.js";
 import { DeckViewer3D } from "./deckViewer3D.js";
 import * as multiSectionCalculations from "./multiSectionCalculations.js";
 import * as drawingStateMachine from "./drawingStateMachine.js";
+import * as railingCalculations from "./railingCalculations.js";
+import * as loadZoneCalculations from "./loadZoneCalculations.js";
+import * as cutoutCalculations from "./cutoutCalculations.js";
+import * as arcCalculations from "./arcCalculations.js";
+import * as wrapAroundCalculations from "./wrapAroundCalculations.js";
+import * as framingOverrideCalculations from "./framingOverrideCalculations.js";
+import * as deckingLayoutCalculations from "./deckingLayoutCalculations.js";
+import * as deckingProductCalculations from "./deckingProductCalculations.js";
+import * as fasciaCalculations from "./fasciaCalculations.js";
 
 // --- State Management (extracted to stateManager.js) ---
 import {
@@ -25,6 +35,7 @@ import {
   unlockStructureLayers,
   unlockStairsLayer,
   unlockDeckingLayer,
+  unlockRailingLayer,
   getActivePoints,
   setActivePoints,
   isActiveShapeClosed,
@@ -134,6 +145,9 @@ function enableMultiTierMode() {
   // Clear lower tier - ready for drawing
   appState.tiers.lower.points = [];
   appState.tiers.lower.selectedWallIndices = [];
+  appState.tiers.lower.edgeArcs = {};
+  appState.tiers.lower.sectionJoistDirections = {};
+  appState.tiers.lower.framingOverrides = { beams: [], posts: [] };
   appState.tiers.lower.structuralComponents = null;
   appState.tiers.lower.rectangularSections = [];
   appState.tiers.lower.deckDimensions = null;
@@ -183,6 +197,9 @@ function addAnotherTier() {
   // Initialize lower tier for fresh drawing (now the active tier, so aliases also work)
   appState.tiers.lower.points = [];
   appState.tiers.lower.selectedWallIndices = [];
+  appState.tiers.lower.edgeArcs = {};
+  appState.tiers.lower.sectionJoistDirections = {};
+  appState.tiers.lower.framingOverrides = { beams: [], posts: [] };
   appState.tiers.lower.structuralComponents = null;
   appState.tiers.lower.rectangularSections = [];
   appState.tiers.lower.deckDimensions = null;
@@ -441,6 +458,14 @@ function getFormInputs() {
     footingType: document.getElementById('footingType')?.value || 'gh_levellers',
     postSize: document.getElementById('postSize')?.value || 'auto',
     joistSpacing: document.getElementById('joistSpacing')?.value || '16',
+    lumberSpecies: document.getElementById('lumberSpecies')?.value || 'sp_no2',
+    loadMunicipality: document.getElementById('loadMunicipality')?.value || '',
+    liveLoadPsf: document.getElementById('liveLoadPsf')?.value || '40',
+    deadLoadPsf: document.getElementById('deadLoadPsf')?.value || '10',
+    snowLoadPsf: document.getElementById('snowLoadPsf')?.value || '0',
+    deflectionLimit: document.getElementById('deflectionLimit')?.value || String(config.DEFAULT_DEFLECTION_LIMIT),
+    soilClass: document.getElementById('soilClass')?.value || 'clay',
+    frostDepthInches: document.getElementById('frostDepthInches')?.value || String(config.DEFAULT_FROST_DEPTH_INCHES),
     attachmentType: document.getElementById('attachmentType')?.value || 'house_rim',
     beamType: document.getElementById('beamType')?.value || 'drop',
     pictureFrame: document.getElementById('pictureFrame')?.value || 'none',
@@ -478,6 +503,14 @@ function restoreFormInputs(inputs) {
   setSelectValue('footingType', inputs.footingType);
   setSelectValue('postSize', inputs.postSize);
   setSelectValue('joistSpacing', inputs.joistSpacing);
+  setSelectValue('lumberSpecies', inputs.lumberSpecies);
+  setSelectValue('loadMunicipality', inputs.loadMunicipality);
+  setSelectValue('liveLoadPsf', inputs.liveLoadPsf);
+  setSelectValue('deadLoadPsf', inputs.deadLoadPsf);
+  setSelectValue('snowLoadPsf', inputs.snowLoadPsf);
+  setSelectValue('deflectionLimit', inputs.deflectionLimit);
+  setSelectValue('soilClass', inputs.soilClass);
+  setSelectValue('frostDepthInches', inputs.frostDepthInches);
   setSelectValue('attachmentType', inputs.attachmentType);
   setSelectValue('beamType', inputs.beamType);
   setSelectValue('pictureFrame', inputs.pictureFrame);
@@ -511,7 +544,32 @@ function createProjectData(projectName, store, salesperson, customerInfo = null)
       stairs: JSON.parse(JSON.stringify(appState.stairs)),
       isShapeClosed: appState.isShapeClosed,
       deckDimensions: appState.deckDimensions ? { ...appState.deckDimensions } : null,
-      rectangularSections: appState.rectangularSections ? [...appState.rectangularSections] : []
+      rectangularSections: appState.rectangularSections ? [...appState.rectangularSections] : [],
+      railingEdgeIndices: [...appState.railingEdgeIndices],
+      edgeArcs: { ...appState.edgeArcs },
+      sectionJoistDirections: { ...appState.sectionJoistDirections },
+      framingOverrides: JSON.parse(JSON.stringify(appState.framingOverrides)),
+      railing: {
+        railHeight: appState.railing.railHeight,
+        maxPostSpacingFt: appState.railing.maxPostSpacingFt,
+        capRail: appState.railing.capRail,
+        gateWidthFt: appState.railing.gateWidthFt,
+        gates: JSON.parse(JSON.stringify(appState.railing.gates))
+      },
+      fascia: { ...appState.fascia },
+      decking: {
+        material: appState.decking.material,
+        cedarSize: appState.decking.cedarSize,
+        boardEdge: appState.decking.boardEdge,
+        boardColor: appState.decking.boardColor,
+        pattern: appState.decking.pattern,
+        boardAngle: appState.decking.boardAngle,
+        pictureFrame: appState.decking.pictureFrame,
+        breakerBoards: JSON.parse(JSON.stringify(appState.decking.breakerBoards)),
+        showBoardLines: appState.decking.showBoardLines
+      },
+      loadZones: JSON.parse(JSON.stringify(appState.loadZones)),
+      cutouts: JSON.parse(JSON.stringify(appState.cutouts))
     },
     formInputs: getFormInputs(),
     viewport: {
@@ -619,7 +677,7 @@ async function loadProject(projectId) {
   }
 
   // Clear current state
-  clearCanvas();
+  resetAppState();
 
   // Restore deck data
   if (project.deckData) {
@@ -628,6 +686,28 @@ async function loadProject(projectId) {
     appState.stairs = project.deckData.stairs || [];
     appState.isShapeClosed = project.deckData.isShapeClosed || false;
     appState.rectangularSections = project.deckData.rectangularSections || [];
+    appState.railingEdgeIndices = project.deckData.railingEdgeIndices || [];
+    appState.edgeArcs = project.deckData.edgeArcs || {};
+    appState.sectionJoistDirections = project.deckData.sectionJoistDirections || {};
+    appState.framingOverrides = project.deckData.framingOverrides || { beams: [], posts: [] };
+    if (project.deckData.railing) {
+      Object.assign(appState.railing, project.deckData.railing, {
+        edgeSelectionMode: false,
+        gatePlacementMode: false
+      });
+    }
+    if (project.deckData.fascia) {
+      Object.assign(appState.fascia, project.deckData.fascia);
+    }
+    // Decking is restored before the plan regenerates: composite and PVC tighten joist spacing
+    if (project.deckData.decking) {
+      Object.assign(appState.decking, project.deckData.decking, {
+        breakerPlacementMode: false
+      });
+      syncDeckingControls();
+    }
+    appState.loadZones = project.deckData.loadZones || [];
+    appState.cutouts = project.deckData.cutouts || [];
   }
 
   // Restore viewport
@@ -1928,6 +2008,9 @@ async function exportToPDF() {
       }
     }
 
+    // ---- Stringer layout pages for site-cut stairs ----
+    addStringerLayoutPdfPages(pdf, pageWidth, pageHeight, margin, dateStr);
+
     // Footer
     yPos = pageHeight - 15;
     pdf.setDrawColor(200, 200, 200);
@@ -2263,7 +2346,7 @@ function updateBOMVisibility(stepId) {
     }
     // Show running total during active config steps
     if (runningTotalBar) {
-      const showTotal = ['structure', 'stairs', 'decking', 'railing'].includes(stepId);
+      const showTotal = ['structure', 'stairs', 'decking', 'fascia', 'railing'].includes(stepId);
       runningTotalBar.classList.toggle('hidden', !showTotal);
     }
   }
@@ -2435,6 +2518,17 @@ function handleStepEntry(stepId, previousStep) {
   if (previousStep === 'decking' && stepId !== 'decking') {
     cleanupDeckingStep();
   }
+  if (previousStep === 'railing' && stepId !== 'railing') {
+    cleanupRailingStep();
+  }
+  if (previousStep === 'structure' && stepId !== 'structure') {
+    exitLoadZonePlacement();
+    exitSectionDirectionMode();
+    exitFramingEditMode();
+  }
+  if (previousStep === 'draw' && stepId !== 'draw') {
+    exitCutoutPlacement();
+  }
 
   switch(stepId) {
     case 'mode':
@@ -2444,6 +2538,7 @@ function handleStepEntry(stepId, previousStep) {
       // Ensure edit shape panel visibility is updated when returning to draw step
       // This fixes the edit button not appearing after navigating away and back
       redrawApp();
+      renderCutoutPanel();
       break;
     case 'structure':
       // PROGRESSIVE RENDERING: Trigger calculation when entering Structure step
@@ -2457,6 +2552,8 @@ function handleStepEntry(stepId, previousStep) {
 
       // Update collapsed section summary values
       updateConfigSectionValues();
+      renderLoadZonePanel();
+      renderFramingOverridePanel();
 
       // Ensure wall selection UI shows if needed
       if (appState.isShapeClosed && getAttachmentType() === 'house_rim' && appState.selectedWallIndices.length === 0) {
@@ -2479,8 +2576,13 @@ function handleStepEntry(stepId, previousStep) {
       // Initialize decking step
       initializeDeckingStep();
       break;
+    case 'fascia':
+      // Initialize fascia & skirting step
+      initializeFasciaStep();
+      break;
     case 'railing':
-      // Coming soon - just show placeholder
+      // Initialize railing step
+      initializeRailingStep();
       break;
     case 'review':
       // Trigger auto-calculation if not already done
@@ -2752,11 +2854,20 @@ function triggerAutoCalculation() {
 
 // Calculate structural components (wrapper)
 function calculateStructuralComponents(formInputs) {
+  const inputs = {
+    ...formInputs,
+    loadZones: getLoadZonesForTier(appState.activeTierId),
+    cutouts: getCutoutsForTier(appState.activeTierId),
+    edgeArcs: appState.edgeArcs,
+    sectionJoistDirections: appState.sectionJoistDirections,
+    framingOverrides: appState.framingOverrides,
+    decking: appState.decking
+  };
   // Check if complex shape
   if (appState.rectangularSections && appState.rectangularSections.length > 1) {
     return multiSectionCalculations.calculateMultiSectionStructure(
       appState.rectangularSections,
-      formInputs,
+      inputs,
       appState.selectedWallIndices,
       appState.points
     );
@@ -2764,7 +2875,7 @@ function calculateStructuralComponents(formInputs) {
     return deckCalculations.calculateStructure(
       appState.points,              // shapePoints
       appState.selectedWallIndices, // ledgerIndices
-      formInputs,                   // inputs
+      inputs,                       // inputs
       appState.deckDimensions       // deckDimensions
     );
   }
@@ -2899,6 +3010,8 @@ function getVisibleSteps() {
 
   if (showFraming) visible.push('structure');
   if (showDecking) visible.push('decking');
+  // Every deck that gets framing or boards is finished with fascia or skirting
+  if (showFraming || showDecking) visible.push('fascia');
   if (showRailing) visible.push('railing');
 
   // Review is always visible
@@ -3019,7 +3132,7 @@ function toggleLayer(layerName) {
       appState.layerVisibility.stairs = appState.visibleLayers.stairs;
       break;
     case 'railing':
-      // Railing layer not yet in layerVisibility — future-proof
+      appState.layerVisibility.railing = appState.visibleLayers.railing;
       break;
   }
 
@@ -3068,10 +3181,24 @@ function updateConfigSectionValues() {
   const footingEl = document.getElementById('footingType');
   const footingVal = document.getElementById('configFootingTypeValue');
   if (footingEl && footingVal) {
-    const labels = { 'gh_levellers': 'GH Levellers', 'pylex': 'Pylex', 'helical': 'Helical' };
+    const labels = { 'gh_levellers': 'GH Levellers', 'pylex': 'Pylex', 'helical': 'Helical', 'concrete_pier': 'Concrete Piers' };
     footingVal.textContent = labels[footingEl.value] || footingEl.value;
   }
 
+  // Frost depth check for the chosen footing type
+  const frostWarningEl = document.getElementById('footingFrostWarning');
+  if (frostWarningEl) {
+    const formInputs = getFormInputs();
+    const site = dataManager.resolveSiteConditions(formInputs, config.DEFAULT_FROST_DEPTH_INCHES);
+    const frostWarning = deckCalculations.getFrostWarning(
+      formInputs.footingType,
+      formInputs.attachmentType,
+      site.frostDepthInches
+    );
+    frostWarningEl.textContent = frostWarning || '';
+    frostWarningEl.classList.toggle('hidden', !frostWarning);
+  }
+
   // Post Size
   const postEl = document.getElementById('postSize');
   const postVal = document.getElementById('configPostSizeValue');
@@ -3125,6 +3252,23 @@ function updateConfigSectionValues() {
     const labels = { 'screws_3in': 'Screws', 'u2_3_18': 'U2', 'paslode_3_14': 'Paslode' };
     fastVal.textContent = labels[fastEl.value] || fastEl.value;
   }
+
+  // Design Loads
+  const loadsVal = document.getElementById('configDesignLoadsValue');
+  if (loadsVal) {
+    const formInputs = getFormInputs();
+    const designLoad = dataManager.resolveDesignLoad(formInputs);
+    const governs = designLoad.governs === 'snow' ? ' (snow)' : '';
+    const deflection = Number(formInputs.deflectionLimit) !== config.DEFAULT_DEFLECTION_LIMIT ? `, L/${formInputs.deflectionLimit}` : '';
+    loadsVal.textContent = `${designLoad.totalLoadPsf} psf${governs}${deflection}`;
+  }
+
+  // Load Zones
+  const zonesVal = document.getElementById('configLoadZonesValue');
+  if (zonesVal) {
+    const count = getLoadZonesForTier(appState.activeTierId).length;
+    zonesVal.textContent = count === 0 ? 'None' : `${count} zone${count === 1 ? '' : 's'}`;
+  }
 }
 
 function initializeWizard() {
@@ -3316,8 +3460,16 @@ function validateSelectedWalls(wallIndices, points) {
     return { isValid: false, error: "No walls selected" };
   }
 
-  // Any combination of edges can be selected as ledgers
+  // Any combination of straight edges can be selected as ledgers
   // First selected edge determines joist direction
+  if (wallIndices.some((i) => arcCalculations.getEdgeSagitta(appState.edgeArcs, i))) {
+    return { isValid: false, error: "A curved edge can't be a ledger. Straighten it in Edit Shape first." };
+  }
+  // Walls around an outside house corner wrap the deck; only one corner can be wrapped
+  const wrapAround = wrapAroundCalculations.findWrapAroundCorner(points, wallIndices);
+  if (wrapAround?.error) {
+    return { isValid: false, error: wrapAround.error };
+  }
   return { isValid: true };
 }
 
@@ -3371,6 +3523,12 @@ function decomposeClosedShape() {
     appState.rectangularSections = shapeDecomposer.decomposeShape(pointsForDecomposition, ledgerWallIndices);
     
     console.log(`Shape decomposed into ${appState.rectangularSections.length} rectangular sections`);
+
+    // Joist directions set on sections that no longer exist are dropped
+    const sectionIds = appState.rectangularSections.map(section => section.id);
+    Object.keys(appState.sectionJoistDirections || {}).forEach(id => {
+      if (!sectionIds.includes(id)) delete appState.sectionJoistDirections[id];
+    });
     
   } catch (error) {
     console.error("Shape decomposition failed:", error);
@@ -3379,6 +3537,11 @@ function decomposeClosedShape() {
   }
 }
 
+// Deck outline with curved edges traced as the straight facets the framing follows
+function getDeckOutlinePoints() {
+  return arcCalculations.expandArcEdges(appState.points, appState.edgeArcs, appState.selectedWallIndices).points;
+}
+
 function calculateAndUpdateDeckDimensions() {
   if (!appState.isShapeClosed || appState.points.length < 3) {
     appState.deckDimensions = null;
@@ -3394,6 +3557,16 @@ function calculateAndUpdateDeckDimensions() {
     minY = Math.min(minY, appState.points[i].y);
     maxY = Math.max(maxY, appState.points[i].y);
   }
+
+  // Curved edges can bulge past the corner points
+  const hasCurvedEdges = Object.keys(appState.edgeArcs || {}).length > 0;
+  const outline = hasCurvedEdges ? arcCalculations.getOutlineMetrics(appState.points, appState.edgeArcs) : null;
+  if (outline) {
+    minX = Math.min(minX, outline.minX);
+    maxX = Math.max(maxX, outline.maxX);
+    minY = Math.min(minY, outline.minY);
+    maxY = Math.max(maxY, outline.maxY);
+  }
   const widthModelPixels = maxX - minX;
   const heightModelPixels = maxY - minY;
   const widthFeet = widthModelPixels / config.PIXELS_PER_FOOT;
@@ -3401,7 +3574,10 @@ function calculateAndUpdateDeckDimensions() {
 
   // Calculate actual area from rectangular sections (for complex shapes like L, U)
   let actualAreaSqFt = 0;
-  if (appState.rectangularSections && appState.rectangularSections.length > 0) {
+  if (outline) {
+    // Polygon area plus (or minus) the circular segment of each curved edge
+    actualAreaSqFt = outline.areaSqFt;
+  } else if (appState.rectangularSections && appState.rectangularSections.length > 0) {
     appState.rectangularSections.forEach(section => {
       const sectionDims = multiSectionCalculations.calculateSectionDimensions(section);
       actualAreaSqFt += sectionDims.widthFeet * sectionDims.heightFeet;
@@ -3411,10 +3587,17 @@ function calculateAndUpdateDeckDimensions() {
     actualAreaSqFt = widthFeet * heightFeet;
   }
 
+  // Openings leave their area out of the deck surface
+  const cutouts = getCutoutsForTier(appState.activeTierId);
+  actualAreaSqFt -= cutouts.reduce((sum, c) => sum + cutoutCalculations.getCutoutAreaSqFt(c), 0);
+  const cutoutPerimeterFeet = cutouts.reduce((sum, c) => sum + cutoutCalculations.getCutoutPerimeterFeet(c), 0);
+
   appState.deckDimensions = {
     widthFeet: widthFeet,
     heightFeet: heightFeet,
     actualAreaSqFt: actualAreaSqFt,
+    ...(outline ? { perimeterFeet: outline.perimeterFeet } : {}),
+    ...(cutouts.length > 0 ? { cutoutPerimeterFeet } : {}),
     minX: minX,
     maxX: maxX,
     minY: minY,
@@ -3475,7 +3658,11 @@ function redrawApp() {
     ...appState,
     layerVisibility: effectiveLayerVisibility, // Override with effective visibility
     deckCanvasElement: deckCanvas,
-    isBlueprintMode: appState.isBlueprintMode
+    isBlueprintMode: appState.isBlueprintMode,
+    railingLayout: appState.isShapeClosed ? getRailingLayoutForTier(appState.activeTierId) : null,
+    deckingLayout: ['decking', 'fascia', 'railing', 'review'].includes(appState.wizardStep)
+      ? getDeckingLayoutForTier(appState.activeTierId)
+      : null
   });
   
   if (appState.structuralComponents && !appState.structuralComponents.error) {
@@ -3490,7 +3677,8 @@ function redrawApp() {
     uiController.populateStructuralSpecs(
       appState.structuralComponents,
       uiController.getFormInputs(),
-      appState.deckDimensions
+      appState.deckDimensions,
+      appState.structuralComponents.joistMaxSpanFt
     );
   } else if (appState.structuralComponents?.error) {
     uiController.populateBOMTable(null, appState.structuralComponents.error);
@@ -3576,9 +3764,17 @@ function resetAppState() {
   appState.isDraggingStairs = false;
   appState.draggedStairIndex = -1;
   appState.hoveredStairIndex = -1;
+  appState.hoveredPostIndex = -1;
   appState.deckDimensions = null;
   appState.structuralComponents = null;
   appState.stairs = [];
+  appState.railingEdgeIndices = [];
+  appState.edgeArcs = {};
+  appState.sectionJoistDirections = {};
+  appState.framingOverrides = { beams: [], posts: [] };
+  appState.railing.gates = [];
+  appState.loadZones = [];
+  appState.cutouts = [];
   appState.bom = [];
   appState.isPanning = false; // Reset panning state
 
@@ -3830,7 +4026,11 @@ function recalculateAndUpdateBOM() {
           tierInputs,
           appState.stairs.filter(s => s.sourceTierId === tierId || (!s.sourceTierId && tierId === 'upper')),
           tier.deckDimensions,
-          appState.decking
+          appState.decking,
+          isRailingInBuild() ? getRailingLayoutForTier(tierId) : null,
+          getDeckingLayoutForTier(tierId),
+          getDeckOutlineForTier(tierId),
+          isFasciaInBuild() ? getFasciaLayoutForTier(tierId) : null
         );
 
         if (tierBom.error) {
@@ -3880,7 +4080,11 @@ function recalculateAndUpdateBOM() {
         currentInputs,
         appState.stairs,
         appState.deckDimensions,
-        appState.decking
+        appState.decking,
+        isRailingInBuild() ? getRailingLayoutForTier(appState.activeTierId) : null,
+        getDeckingLayoutForTier(appState.activeTierId),
+        getDeckOutlineForTier(appState.activeTierId),
+        isFasciaInBuild() ? getFasciaLayoutForTier(appState.activeTierId) : null
       );
       if (bomResult.error) {
         appState.bom = [];
@@ -3963,7 +4167,15 @@ function handleGeneratePlan() {
   }
   uiController.updateCanvasStatus("Calculating structure and materials...");
   uiController.resetUIOutputs();
-  const inputs = uiController.getFormInputs();
+  const inputs = {
+    ...uiController.getFormInputs(),
+    loadZones: getLoadZonesForTier(appState.activeTierId),
+    cutouts: getCutoutsForTier(appState.activeTierId),
+    edgeArcs: appState.edgeArcs,
+    sectionJoistDirections: appState.sectionJoistDirections,
+    framingOverrides: appState.framingOverrides,
+    decking: appState.decking
+  };
   if (!appState.deckDimensions) calculateAndUpdateDeckDimensions();
 
   if (!appState.deckDimensions) {
@@ -3997,14 +4209,14 @@ function handleGeneratePlan() {
 
     // Validate structural components against deck boundary (helps debug rendering issues)
     if (appState.structuralComponents && !appState.structuralComponents.error && appState.points.length >= 3) {
-      const validationReport = validateStructuralComponents(appState.structuralComponents, appState.points);
+      const validationReport = validateStructuralComponents(appState.structuralComponents, getDeckOutlinePoints());
       appState.structuralComponents._validationReport = validationReport;
       logValidationReport(validationReport);
 
       // Auto-correct any components that escaped the boundary (safety net for rendering reliability)
       if (!validationReport.valid) {
         console.log('[VALIDATOR] Applying auto-corrections to fix boundary issues...');
-        const correctionResult = autoCorrectComponents(appState.structuralComponents, appState.points);
+        const correctionResult = autoCorrectComponents(appState.structuralComponents, getDeckOutlinePoints());
         if (correctionResult.success && correctionResult.hadCorrections) {
           // Apply the corrected components
           appState.structuralComponents.joists = correctionResult.components.joists;
@@ -4015,7 +4227,7 @@ function handleGeneratePlan() {
           logAutoCorrections(correctionResult);
 
           // Re-validate after corrections to confirm fix
-          const revalidation = validateStructuralComponents(appState.structuralComponents, appState.points);
+          const revalidation = validateStructuralComponents(appState.structuralComponents, getDeckOutlinePoints());
           if (revalidation.valid) {
             console.log('%c✓ All boundary issues resolved by auto-correction', 'color: green; font-weight: bold');
           } else {
@@ -4045,6 +4257,7 @@ function handleGeneratePlan() {
       // Disable wall selection mode after successful plan generation
       appState.wallSelectionMode = false;
       updateContextualPanel();
+      renderFramingOverridePanel();
     } else {
       uiController.updateCanvasStatus(
         `Error: ${appState.structuralComponents.error}`
@@ -4367,6 +4580,22 @@ function applyDrawingAction(action, modelMouse) {
       handleStairPlacementClick(action.position.x, action.position.y);
       break;
 
+    case drawingStateMachine.ActionType.DELEGATE_RAILING:
+      handleRailingClick(action.position.x, action.position.y);
+      break;
+
+    case drawingStateMachine.ActionType.DELEGATE_LOAD_ZONE:
+      handleLoadZoneClick(action.position.x, action.position.y);
+      break;
+
+    case drawingStateMachine.ActionType.DELEGATE_CUTOUT:
+      handleCutoutClick(action.position.x, action.position.y);
+      break;
+
+    case drawingStateMachine.ActionType.DELEGATE_SECTION_DIRECTION:
+      handleSectionDirectionClick(action.position.x, action.position.y);
+      break;
+
     // --- Drawing actions ---
     case drawingStateMachine.ActionType.ADD_POINT:
       appState.points.push(action.point);
@@ -4529,6 +4758,15 @@ function applyWallReenter(modelMouse) {
   }
 }
 
+// Maps the stair layout select value (e.g. "l_left") to the stair's shape and turn direction
+function parseStairShapeInput(value) {
+  const [shape, turn] = (value || "straight").split("_");
+  if (shape === "l" || shape === "u") {
+    return { stairShape: `${shape}_shape`, turnDirection: turn === "left" ? "left" : "right" };
+  }
+  return { stairShape: "straight", turnDirection: "right" };
+}
+
 function handleStairPlacementClick(modelMouseX, modelMouseY) {
   if (
     !appState.structuralComponents ||
@@ -4592,13 +4830,25 @@ function handleStairPlacementClick(modelMouseX, modelMouseY) {
       widthFt: inputs.stairWidth,
       stringerType: inputs.stringerType,
       landingType: inputs.landingType,
+      ...parseStairShapeInput(inputs.stairShape),
+      codeProfile: inputs.stairCodeProfile,
+      targetRiseInches: inputs.stairTargetRise,
+      treadDepthInches: inputs.stairTreadDepth,
+      nosingInches: inputs.stairNosing,
+      gradeMode: inputs.stairGradeMode,
+      gradeElevationInches: inputs.stairGradeMode === "elevation" ? inputs.stairGradeValue : null,
+      gradeSlopePercent: inputs.stairGradeMode === "slope" ? inputs.stairGradeValue : null,
       positionX: (clickedRim.p1.x + clickedRim.p2.x) / 2,
       positionY: (clickedRim.p1.y + clickedRim.p2.y) / 2,
       // Tier-to-tier stair support
       sourceTierId: sourceTierId,
       targetTierId: targetTierId,
     };
-    stairCalculations.calculateStairDetails(newStair, deckHeight);
+    stairCalculations.calculateStairDetails(newStair, deckHeight, {
+      footingType: inputs.footingType,
+      deckPoints: getDeckOutlinePoints(),
+      footingInputs: inputs,
+    });
     if (newStair.calculationError) {
       uiController.updateCanvasStatus(`Error: ${newStair.calculationError}`);
     } else {
@@ -4664,6 +4914,12 @@ function handleCanvasMouseMove(viewMouseX, viewMouseY) {
     return;
   }
 
+  // Dragging a beam or post off its automatic spot
+  if (appState.framingDrag) {
+    updateFramingDrag(modelMouse);
+    return;
+  }
+
   // Tier hover detection (multi-tier mode)
   // Show hover effect on inactive tiers to indicate they're clickable
   if (appState.tiersEnabled && appState.wizardStep === 'draw' && appState.tiers) {
@@ -4745,6 +5001,30 @@ function handleCanvasMouseMove(viewMouseX, viewMouseY) {
     return;
   }
 
+  // Curve dragging - the edge midpoint follows the mouse and sets the arc's bulge
+  if (appState.vertexEditMode === 'arc-dragging' && appState.draggedEdgeIndex >= 0) {
+    const edgeIdx = appState.draggedEdgeIndex;
+    const p1 = appState.points[edgeIdx];
+    const p2 = appState.points[(edgeIdx + 1) % getUniqueVertexCount()];
+    const sagitta = arcCalculations.getSnappedSagitta(p1, p2, modelMouse);
+    const edgeArcs = { ...appState.edgeArcs };
+    if (sagitta) {
+      edgeArcs[edgeIdx] = sagitta;
+    } else {
+      delete edgeArcs[edgeIdx];
+    }
+    appState.edgeArcs = edgeArcs;
+
+    const arc = arcCalculations.getArcGeometry(p1, p2, sagitta);
+    uiController.updateCanvasStatus(
+      arc
+        ? `Curved edge: ${utils.formatFeetInches(arc.radiusFeet)} radius, ${utils.formatFeetInches(arc.lengthFeet)} long.`
+        : 'Straight edge. Drag further to curve it.'
+    );
+    redrawApp();
+    return;
+  }
+
   // Edge dragging - move both connected vertices perpendicular to edge
   if (appState.vertexEditMode === 'edge-dragging' && appState.draggedEdgeIndex >= 0) {
     const edgeIdx = appState.draggedEdgeIndex;
@@ -4855,10 +5135,9 @@ function handleCanvasMouseMove(viewMouseX, viewMouseY) {
     // Correct formula: screenPos = modelPos * scale + offset
     if (!newHoveredIconType) {
       for (let i = 0; i < numUniqueVertices; i++) {
-        const p1 = appState.points[i];
-        const p2 = appState.points[(i + 1) % numUniqueVertices];
-        const midX = (p1.x + p2.x) / 2 * scale + appState.viewportOffsetX;
-        const midY = (p1.y + p2.y) / 2 * scale + appState.viewportOffsetY;
+        const edgeMid = getEdgeMidpoint(i, numUniqueVertices);
+        const midX = edgeMid.x * scale + appState.viewportOffsetX;
+        const midY = edgeMid.y * scale + appState.viewportOffsetY;
         const iconX = midX + iconOffsetX;
         const iconY = midY + iconOffsetY;
         const dx = viewMouseX - iconX;
@@ -4868,6 +5147,17 @@ function handleCanvasMouseMove(viewMouseX, viewMouseY) {
           iconEdgeIndex = i;
           break;
         }
+
+        // Curve handle below the midpoint (ledgers stay straight)
+        const curveX = midX + iconOffsetX;
+        const curveY = midY - iconOffsetY;
+        const cdx = viewMouseX - curveX;
+        const cdy = viewMouseY - curveY;
+        if (!appState.selectedWallIndices.includes(i) && cdx * cdx + cdy * cdy <= iconHitRadius * iconHitRadius) {
+          newHoveredIconType = 'arc';
+          iconEdgeIndex = i;
+          break;
+        }
       }
     }
 
@@ -4877,7 +5167,7 @@ function handleCanvasMouseMove(viewMouseX, viewMouseY) {
 
     if (newHoveredIconType === 'delete') {
       newHoveredVertex = iconVertexIndex;
-    } else if (newHoveredIconType === 'add') {
+    } else if (newHoveredIconType === 'add' || newHoveredIconType === 'arc') {
       newHoveredEdge = iconEdgeIndex;
     } else {
       // No icon hover - check vertex/edge directly
@@ -4899,6 +5189,8 @@ function handleCanvasMouseMove(viewMouseX, viewMouseY) {
           deckCanvas.style.cursor = 'pointer';
         } else if (newHoveredIconType === 'add') {
           deckCanvas.style.cursor = 'cell';
+        } else if (newHoveredIconType === 'arc') {
+          deckCanvas.style.cursor = 'ns-resize';
         } else if (newHoveredVertex >= 0) {
           deckCanvas.style.cursor = 'grab';
         } else if (newHoveredEdge >= 0) {
@@ -4945,6 +5237,51 @@ function handleCanvasMouseMove(viewMouseX, viewMouseY) {
     appState.hoveredWallIndex = -1;
   }
 
+  // Railing edge/gate mode hover detection - highlight the edge that will be toggled
+  const isEditingRailing = appState.railing.edgeSelectionMode || appState.railing.gatePlacementMode;
+  if (isEditingRailing && appState.isShapeClosed) {
+    const hoveredEdge = canvasLogic.findClickedWallIndex(
+      modelMouse.x,
+      modelMouse.y,
+      appState.points,
+      appState.viewportScale
+    );
+
+    if (hoveredEdge !== appState.hoveredRailingEdgeIndex) {
+      appState.hoveredRailingEdgeIndex = hoveredEdge;
+
+      if (deckCanvas) {
+        deckCanvas.style.cursor = hoveredEdge >= 0 ? 'pointer' : 'default';
+      }
+
+      redrawApp();
+      return;
+    }
+  } else if (appState.hoveredRailingEdgeIndex !== -1) {
+    appState.hoveredRailingEdgeIndex = -1;
+  }
+
+  // Post connector tooltip on the framing steps
+  const postHoverActive =
+    appState.isShapeClosed &&
+    !appState.loadZonePlacementMode &&
+    (appState.wizardStep === 'structure' || appState.wizardStep === 'review') &&
+    appState.structuralComponents &&
+    !appState.structuralComponents.error;
+  const newHoveredPostIndex = postHoverActive
+    ? canvasLogic.findHoveredPostIndex(
+        modelMouse.x,
+        modelMouse.y,
+        appState.structuralComponents.posts,
+        appState.viewportScale
+      )
+    : -1;
+  if (newHoveredPostIndex !== appState.hoveredPostIndex) {
+    appState.hoveredPostIndex = newHoveredPostIndex;
+    redrawApp();
+    return;
+  }
+
   // Update hovered stair index when not dragging
   if (!appState.isDraggingStairs && !appState.stairPlacementMode && appState.isShapeClosed) {
     let newHoveredIndex = -1;
@@ -4995,7 +5332,9 @@ function handleCanvasMouseMove(viewMouseX, viewMouseY) {
     appState.stairPlacementMode ||
     appState.selectedStairIndex !== -1 ||
     appState.hoveredStairIndex !== -1 ||
-    (appState.isMeasureMode && appState.measurePoint1 && !appState.measurePoint2) // Preview measurement line
+    (appState.isMeasureMode && appState.measurePoint1 && !appState.measurePoint2) || // Preview measurement line
+    (appState.loadZonePlacementMode && appState.loadZoneFirstPoint) || // Preview load zone outline
+    (appState.cutoutPlacementMode && appState.cutoutDraftPoints.length > 0) // Preview opening outline
   ) {
     redrawApp();
   }
@@ -5058,6 +5397,12 @@ function handleCanvasMouseDown(viewMouseX, viewMouseY, event) {
   )
     return;
 
+  // Pick up a beam or post to move it
+  if (appState.framingEditMode && startFramingDrag(modelMouse)) {
+    event.preventDefault();
+    return;
+  }
+
   // Skip other mousedown handling during wall selection (unless in edit mode)
   if (appState.wallSelectionMode && !appState.shapeEditMode)
     return;
@@ -5077,6 +5422,20 @@ function handleCanvasMouseDown(viewMouseX, viewMouseY, event) {
     return;
   }
 
+  // Start curving an edge from its curve handle
+  if (appState.hoveredIconType === 'arc' &&
+      appState.hoveredEdgeIndex >= 0 &&
+      appState.isShapeClosed &&
+      appState.shapeEditMode &&
+      appState.wizardStep === 'draw') {
+    appState.vertexEditMode = 'arc-dragging';
+    appState.draggedEdgeIndex = appState.hoveredEdgeIndex;
+    if (deckCanvas) deckCanvas.style.cursor = 'ns-resize';
+    event.preventDefault();
+    redrawApp();
+    return;
+  }
+
   // Start edge dragging (move both connected vertices perpendicular to edge)
   if (appState.hoveredEdgeIndex >= 0 &&
       appState.isShapeClosed &&
@@ -5153,7 +5512,12 @@ function handleCanvasMouseUp(event) {
   appState.wasPanningOnMouseUp = appState.isPanning; // Flag to prevent click after pan
 
   // Flag to prevent click after vertex/edge/shape drag
-  appState.wasEditingOnMouseUp = (appState.vertexEditMode === 'dragging' || appState.vertexEditMode === 'edge-dragging' || appState.isDraggingShape);
+  appState.wasEditingOnMouseUp = (appState.vertexEditMode === 'dragging' || appState.vertexEditMode === 'edge-dragging' || appState.vertexEditMode === 'arc-dragging' || appState.isDraggingShape || !!appState.framingDrag);
+
+  // Complete beam or post dragging
+  if (appState.framingDrag) {
+    finishFramingDrag();
+  }
 
   if (appState.isPanning) {
     appState.isPanning = false;
@@ -5194,6 +5558,18 @@ function handleCanvasMouseUp(event) {
     redrawApp();
   }
 
+  // Complete curve dragging
+  if (appState.vertexEditMode === 'arc-dragging') {
+    appState.vertexEditMode = null;
+    appState.draggedEdgeIndex = -1;
+    if (deckCanvas) deckCanvas.style.cursor = 'default';
+
+    recalculateShapeAfterEdit();
+    saveHistoryState('Curve edge');
+
+    redrawApp();
+  }
+
   // Complete shape dragging
   if (appState.isDraggingShape) {
     appState.isDraggingShape = false;
@@ -5904,7 +6280,7 @@ function setViewMode(mode) {
 
     // Build/rebuild the 3D deck
     if (appState.viewer3D && appState.structuralComponents) {
-      appState.viewer3D.buildDeck(appState);
+      appState.viewer3D.buildDeck(appState, get3DFasciaLayout());
     } else if (appState.viewer3D && !appState.structuralComponents) {
       uiController.updateCanvasStatus("3D View: Generate a plan first to see the 3D model");
       return;
@@ -5939,10 +6315,15 @@ function set3DViewPreset(preset) {
 // Update 3D view when deck changes (call this after recalculating structure)
 function update3DView() {
   if (appState.viewMode === '3d' && appState.viewer3D && appState.structuralComponents) {
-    appState.viewer3D.buildDeck(appState);
+    appState.viewer3D.buildDeck(appState, get3DFasciaLayout());
   }
 }
 
+// Fascia and skirting for the tier shown in 3D, when the build includes them
+function get3DFasciaLayout() {
+  return isFasciaInBuild() ? getFasciaLayoutForTier(appState.activeTierId) : null;
+}
+
 // Expose to window for onclick handlers
 window.setViewMode = setViewMode;
 window.set3DViewPreset = set3DViewPreset;
@@ -6046,6 +6427,14 @@ function resetAllFormInputs() {
   const deckHeightInchesInput = document.getElementById("deckHeightInches");
   const footingTypeSelect = document.getElementById("footingType");
   const joistSpacing = document.getElementById("joistSpacing");
+  const lumberSpecies = document.getElementById("lumberSpecies");
+  const loadMunicipality = document.getElementById("loadMunicipality");
+  const liveLoadPsf = document.getElementById("liveLoadPsf");
+  const deadLoadPsf = document.getElementById("deadLoadPsf");
+  const snowLoadPsf = document.getElementById("snowLoadPsf");
+  const deflectionLimit = document.getElementById("deflectionLimit");
+  const soilClass = document.getElementById("soilClass");
+  const frostDepthInches = document.getElementById("frostDepthInches");
   const attachmentType = document.getElementById("attachmentType");
   const beamType = document.getElementById("beamType");
   const pictureFrame = document.getElementById("pictureFrame");
@@ -6054,12 +6443,24 @@ function resetAllFormInputs() {
   const stairWidthSelect = document.getElementById("stairWidth");
   const stringerTypeSelect = document.getElementById("stringerType");
   const landingTypeSelect = document.getElementById("landingType");
+  const stairShapeSelect = document.getElementById("stairShape");
   
   // Reset main form inputs to their default values
   if (deckHeightFeetInput) deckHeightFeetInput.value = "4"; // Default to 4'
   if (deckHeightInchesInput) deckHeightInchesInput.value = "0"; // Default to 0"
   if (footingTypeSelect) footingTypeSelect.value = "gh_levellers"; // Default to first option
   if (joistSpacing) joistSpacing.value = "16"; // Default to 16" OC
+  if (lumberSpecies) lumberSpecies.value = "sp_no2"; // Default to Southern Pine #2
+  if (loadMunicipality) loadMunicipality.value = ""; // Default to manual snow load
+  if (liveLoadPsf) liveLoadPsf.value = "40"; // Default to 40 psf live
+  if (deadLoadPsf) deadLoadPsf.value = "10"; // Default to 10 psf dead
+  if (snowLoadPsf) {
+    snowLoadPsf.value = "0";
+    snowLoadPsf.readOnly = false;
+  }
+  if (deflectionLimit) deflectionLimit.value = String(config.DEFAULT_DEFLECTION_LIMIT);
+  if (soilClass) soilClass.value = "clay"; // Default to conservative 1500 psf
+  if (frostDepthInches) frostDepthInches.value = String(config.DEFAULT_FROST_DEPTH_INCHES);
   if (attachmentType) attachmentType.value = "house_rim"; // Default to House Rim
   if (beamType) beamType.value = "drop"; // Default to Drop Beam
   if (pictureFrame) pictureFrame.value = "none"; // Default to None
@@ -6070,6 +6471,19 @@ function resetAllFormInputs() {
   if (stairWidthSelect) stairWidthSelect.value = "4"; // Default to 4' 0"
   if (stringerTypeSelect) stringerTypeSelect.value = "pylex_steel"; // Default to Pylex Steel
   if (landingTypeSelect) landingTypeSelect.value = "existing"; // Default to Existing Surface
+  if (stairShapeSelect) stairShapeSelect.value = "straight"; // Default to Straight
+  const stairCodeProfileSelect = document.getElementById("stairCodeProfile");
+  const stairTargetRiseInput = document.getElementById("stairTargetRise");
+  const stairTreadDepthInput = document.getElementById("stairTreadDepth");
+  const stairNosingInput = document.getElementById("stairNosing");
+  if (stairCodeProfileSelect) stairCodeProfileSelect.value = "obc"; // Default to OBC 9.8
+  if (stairTargetRiseInput) stairTargetRiseInput.value = "7.5";
+  if (stairTreadDepthInput) stairTreadDepthInput.value = "11.25";
+  if (stairNosingInput) stairNosingInput.value = "0.75";
+  const stairGradeModeSelect = document.getElementById("stairGradeMode");
+  const stairGradeValueInput = document.getElementById("stairGradeValue");
+  if (stairGradeModeSelect) stairGradeModeSelect.value = "flat"; // Default to level grade
+  if (stairGradeValueInput) stairGradeValueInput.value = "0";
   
   // Reset modify form inputs (these mirror the main form)
   const modifyHeightFeet = document.getElementById('modifyHeightFeet');
@@ -6305,6 +6719,7 @@ document.addEventListener("DOMContentLoaded", () => {
   if (heightInchesInput) heightInchesInput.addEventListener('change', handleHeightChange);
 
   // Set up structural input change handlers
+  setupDesignLoadInputs();
   setupStructuralInputListeners();
 
   // Initialize wizard step navigation
@@ -6672,6 +7087,46 @@ function createStairListItem(stair, index) {
   const stepInfo = stair.calculatedNumSteps ? `${stair.calculatedNumSteps} steps` : 'Steps: TBD';
   const stringerInfo = stair.calculatedStringerQty ? `${stair.calculatedStringerQty} stringers` : 'Stringers: TBD';
 
+  // Runs and landings for stairs that turn or are too tall for one flight
+  const shapeNames = { straight: 'Straight', l_shape: 'L-shape', u_shape: 'U-shape' };
+  const runCount = stair.runs?.length || 1;
+  const landingCount = stair.landings?.length || 0;
+  const layoutInfo = runCount > 1
+    ? `<div class="stair-item-info">${shapeNames[stair.stairShape] || 'Straight'} • ${runCount} runs • ${landingCount} landing${landingCount === 1 ? '' : 's'}</div>`
+    : '';
+  const warningInfo = [...(stair.layoutWarnings || []), ...(stair.codeWarnings || [])]
+    .map((warning) => `<div class="stair-item-warning">${warning}</div>`)
+    .join('');
+
+  // Code check against the stair's profile (OBC 9.8 / IRC R311.7)
+  const rise = stair.calculatedRisePerStepInches;
+  const geometryInfo = rise
+    ? `<div class="stair-item-info">Rise ${rise}" • Run ${stair.calculatedRunPerStepInches}" • Tread ${stair.calculatedTreadDepthInches}" • Nosing ${stair.calculatedNosingInches}"</div>`
+    : '';
+  // Sloped grade: report the rise and run the foot elevation settled on
+  const gradeInfo = stair.gradeMode === 'elevation' || stair.gradeMode === 'slope'
+    ? `<div class="stair-item-info">Total rise ${stair.calculatedTotalRiseInches?.toFixed(1)}" • Total run ${stair.calculatedTotalRunInches?.toFixed(1)}" • ${stair.calculatedNumRisers} risers • Foot grade ${stair.calculatedFootElevationInches >= 0 ? '+' : ''}${stair.calculatedFootElevationInches}"</div>`
+    : '';
+  // Site-cut stringers get a printable cut layout
+  const stringerLayoutButton = stair.stringerType === 'custom_2x12'
+    ? `<button class="btn btn-secondary btn-icon stair-action-btn"
+                data-action="stringer-layout" data-stair-index="${index}"
+                title="Stringer cut layout">
+          <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 20h4v-4h4v-4h4V8h4V4" />
+          </svg>
+        </button>`
+    : '';
+  const codeLabel = stairCalculations.getStairCodeProfile(stair.codeProfile).profile.label;
+  let codeInfo = '';
+  if (stair.codeViolations?.length) {
+    codeInfo = stair.codeViolations
+      .map((violation) => `<div class="stair-item-violation">${violation}</div>`)
+      .join('');
+  } else if (stair.codeViolations) {
+    codeInfo = `<div class="stair-item-code-ok">Meets ${codeLabel}</div>`;
+  }
+
   // Format tier info for multi-tier decks
   let tierInfo = '';
   if (stair.sourceTierId || stair.targetTierId) {
@@ -6684,6 +7139,7 @@ function createStairListItem(stair, index) {
     <div class="stair-item-header">
       <div class="stair-item-title">Stairs ${index + 1}</div>
       <div class="stair-item-actions">
+        ${stringerLayoutButton}
         <button class="btn btn-secondary btn-icon stair-action-btn"
                 data-action="edit" data-stair-index="${index}"
                 title="Edit stair properties">
@@ -6704,6 +7160,11 @@ function createStairListItem(stair, index) {
     <div class="stair-item-info">
       ${widthText} • ${stepInfo} • ${stringerInfo}
     </div>
+    ${geometryInfo}
+    ${gradeInfo}
+    ${layoutInfo}
+    ${codeInfo}
+    ${warningInfo}
   `;
   
   // Add click listener for selection
@@ -6717,6 +7178,12 @@ function createStairListItem(stair, index) {
   // Add action button listeners
   const editBtn = item.querySelector('[data-action="edit"]');
   const deleteBtn = item.querySelector('[data-action="delete"]');
+  const stringerLayoutBtn = item.querySelector('[data-action="stringer-layout"]');
+
+  stringerLayoutBtn?.addEventListener('click', (e) => {
+    e.stopPropagation();
+    window.openStringerLayoutModal(index);
+  });
   
   editBtn?.addEventListener('click', (e) => {
     e.stopPropagation();
@@ -6758,7 +7225,11 @@ function editStair(index) {
     const inputs = uiController.getFormInputs();
     const deckHeight = inputs.deckHeight;
     if (typeof deckHeight === "number" && deckHeight > 0) {
-      stairCalculations.calculateStairDetails(stair, deckHeight);
+      stairCalculations.calculateStairDetails(stair, deckHeight, {
+        footingType: inputs.footingType,
+        deckPoints: getDeckOutlinePoints(),
+        footingInputs: inputs,
+      });
     }
     
     // Update UI and recalculate BOM
@@ -6935,13 +7406,14 @@ const DECK_TEMPLATES = {
 
 // Vertex editing state
 appState.shapeEditMode = false;       // Whether shape edit mode is active (button-triggered)
-appState.vertexEditMode = null;       // 'dragging' | 'edge-dragging' | null
+appState.vertexEditMode = null;       // 'dragging' | 'edge-dragging' | 'arc-dragging' | null
 appState.selectedVertexIndex = -1;    // Currently selected vertex
 appState.draggedEdgeIndex = -1;       // Index of edge being dragged
 appState.draggedVertexIndex = -1;     // Currently dragged vertex
 appState.hoveredVertexIndex = -1;     // Vertex under mouse
 appState.hoveredEdgeIndex = -1;       // Edge under mouse (for add vertex)
 appState.hoveredWallIndex = -1;       // Wall under mouse (for wall selection mode)
+appState.hoveredRailingEdgeIndex = -1; // Edge under mouse (for railing edge/gate modes)
 appState.hoveredIconType = null;      // 'delete' | 'add' | null - which icon is being hovered
 
 // Note: selectDrawMethod removed - all input methods are now always visible
@@ -6979,6 +7451,13 @@ window.createRectangleFromDimensions = function() {
   appState.deckDimensions = null;
   appState.structuralComponents = null;
   appState.stairs = [];
+  appState.railingEdgeIndices = [];
+  appState.edgeArcs = {};
+  appState.sectionJoistDirections = {};
+  appState.framingOverrides = { beams: [], posts: [] };
+  appState.railing.gates = [];
+  appState.loadZones = [];
+  appState.cutouts = [];
   appState.bom = [];
   appState.rectangularSections = [];
   appState.showDecompositionShading = false;
@@ -7090,8 +7569,9 @@ function findNearestEdge(modelPos, tolerancePixels) {
     const p1 = appState.points[i];
     const p2 = appState.points[(i + 1) % numUniqueVertices];
 
-    // Calculate distance from point to line segment
-    const dist = pointToLineSegmentDistance(modelPos, p1, p2);
+    // Calculate distance from point to line segment (or to the facets of a curved edge)
+    const edgePoints = [p1, ...arcCalculations.getArcPoints(p1, p2, arcCalculations.getEdgeSagitta(appState.edgeArcs, i)), p2];
+    const dist = Math.min(...edgePoints.slice(1).map((p, k) => pointToLineSegmentDistance(modelPos, edgePoints[k], p)));
     if (dist < tolerance && dist !== Infinity) {
       return i;
     }
@@ -7099,6 +7579,50 @@ function findNearestEdge(modelPos, tolerancePixels) {
   return -1;
 }
 
+// Number of unique vertices (the last point may repeat the first to close the shape)
+function getUniqueVertexCount() {
+  const firstP = appState.points[0];
+  const lastP = appState.points[appState.points.length - 1];
+  const hasClosingPoint = Math.abs(firstP.x - lastP.x) < 1 && Math.abs(firstP.y - lastP.y) < 1;
+  return hasClosingPoint ? appState.points.length - 1 : appState.points.length;
+}
+
+// Midpoint of an edge, on the curve for curved edges
+function getEdgeMidpoint(edgeIndex, numUniqueVertices) {
+  const p1 = appState.points[edgeIndex];
+  const p2 = appState.points[(edgeIndex + 1) % numUniqueVertices];
+  const arc = arcCalculations.getArcGeometry(p1, p2, arcCalculations.getEdgeSagitta(appState.edgeArcs, edgeIndex));
+  return arc ? arc.apex : { x: (p1.x + p2.x) / 2, y: (p1.y + p2.y) / 2 };
+}
+
+// Keeps curves on the same edges when a vertex is inserted or removed: edges from
+// firstEdge on move by delta, and the edges in dropEdges go back to straight
+function shiftEdgeArcs(firstEdge, delta, dropEdges) {
+  const shifted = {};
+  Object.entries(appState.edgeArcs || {}).forEach(([key, sagitta]) => {
+    const edge = Number(key);
+    if (dropEdges.includes(edge)) return;
+    shifted[edge >= firstEdge ? edge + delta : edge] = sagitta;
+  });
+  appState.edgeArcs = shifted;
+}
+
+// Keeps railing and gates on the same edges when a vertex is inserted or removed: edges from
+// firstEdge on move by delta. Gates on the edges in dropEdges no longer fit and are removed;
+// railing on them carries over to replacementEdges when every dropped edge had it
+function shiftRailingEdges(firstEdge, delta, dropEdges, replacementEdges) {
+  const shift = (edge) => (edge >= firstEdge ? edge + delta : edge);
+  const indices = appState.railingEdgeIndices;
+  const railed = indices.filter((edge) => !dropEdges.includes(edge)).map(shift);
+  if (dropEdges.every((edge) => indices.includes(edge))) railed.push(...replacementEdges);
+  appState.railingEdgeIndices = [...new Set(railed)];
+
+  const tierId = appState.activeTierId;
+  appState.railing.gates = appState.railing.gates
+    .filter((g) => g.tierId !== tierId || !dropEdges.includes(g.edgeIndex))
+    .map((g) => (g.tierId === tierId ? { ...g, edgeIndex: shift(g.edgeIndex) } : g));
+}
+
 // Calculate distance from point to line segment
 function pointToLineSegmentDistance(point, lineStart, lineEnd) {
   const dx = lineEnd.x - lineStart.x;
@@ -7156,8 +7680,10 @@ function insertVertexOnEdge(edgeIndex, clickModelPos) {
     y: Math.round(newY / GSP) * GSP
   };
 
-  // Insert new point after edgeIndex
+  // Insert new point after edgeIndex; the split edge becomes straight
   appState.points.splice(edgeIndex + 1, 0, snappedPoint);
+  shiftEdgeArcs(edgeIndex + 1, 1, [edgeIndex]);
+  shiftRailingEdges(edgeIndex + 1, 1, [edgeIndex], [edgeIndex, edgeIndex + 1]);
 
   // Update closing point
   appState.points[appState.points.length - 1] = { ...appState.points[0] };
@@ -7173,7 +7699,12 @@ function removeVertex(vertexIndex) {
     return false;
   }
 
-  // Remove the vertex
+  // Remove the vertex; the two edges it joined merge into one straight edge
+  const numUniqueVertices = getUniqueVertexCount();
+  const previousEdge = (vertexIndex - 1 + numUniqueVertices) % numUniqueVertices;
+  const mergedEdge = previousEdge > vertexIndex ? previousEdge - 1 : previousEdge;
+  shiftEdgeArcs(vertexIndex + 1, -1, [previousEdge, vertexIndex]);
+  shiftRailingEdges(vertexIndex + 1, -1, [previousEdge, vertexIndex], [mergedEdge]);
   appState.points.splice(vertexIndex, 1);
 
   // Update closing point
@@ -7224,7 +7755,7 @@ function recalculateShapeAfterEdit() {
 
     // Apply auto-correction to clip any components that now escape the modified boundary
     if (appState.points.length >= 3) {
-      const correctionResult = autoCorrectComponents(appState.structuralComponents, appState.points);
+      const correctionResult = autoCorrectComponents(appState.structuralComponents, getDeckOutlinePoints());
       if (correctionResult.success && correctionResult.hadCorrections) {
         appState.structuralComponents.joists = correctionResult.components.joists;
         appState.structuralComponents.beams = correctionResult.components.beams;
@@ -7349,16 +7880,18 @@ function drawVertexEditHandles(ctx) {
     const i = appState.hoveredEdgeIndex;
     const p1 = appState.points[i];
     const p2 = appState.points[(i + 1) % numUniqueVertices];
+    const arcPoints = arcCalculations.getArcPoints(p1, p2, arcCalculations.getEdgeSagitta(appState.edgeArcs, i));
 
-    const p1View = toScreen(p1.x, p1.y);
-    const p2View = toScreen(p2.x, p2.y);
-    const midX = (p1View.x + p2View.x) / 2;
-    const midY = (p1View.y + p2View.y) / 2;
+    const edgeMid = getEdgeMidpoint(i, numUniqueVertices);
+    const { x: midX, y: midY } = toScreen(edgeMid.x, edgeMid.y);
 
     // Highlight edge for dragging
     ctx.beginPath();
-    ctx.moveTo(p1View.x, p1View.y);
-    ctx.lineTo(p2View.x, p2View.y);
+    [p1, ...arcPoints, p2].forEach((p, k) => {
+      const view = toScreen(p.x, p.y);
+      if (k === 0) ctx.moveTo(view.x, view.y);
+      else ctx.lineTo(view.x, view.y);
+    });
     ctx.strokeStyle = '#2d6a6a';
     ctx.lineWidth = 4;
     ctx.stroke();
@@ -7398,6 +7931,28 @@ function drawVertexEditHandles(ctx) {
     ctx.moveTo(iconX, iconY - 4);
     ctx.lineTo(iconX, iconY + 4);
     ctx.stroke();
+
+    // Draw curve icon below the midpoint for bending the edge into an arc (not on ledgers)
+    if (!appState.selectedWallIndices.includes(i)) {
+      const curveX = midX + iconOffsetX;
+      const curveY = midY - iconOffsetY;
+      const isCurveHovered = appState.hoveredIconType === 'arc';
+
+      ctx.beginPath();
+      ctx.arc(curveX, curveY, iconRadius, 0, Math.PI * 2);
+      ctx.fillStyle = isCurveHovered ? '#1d4ed8' : '#3b82f6';
+      ctx.fill();
+      ctx.strokeStyle = '#ffffff';
+      ctx.lineWidth = 2;
+      ctx.stroke();
+
+      // Draw ⌒ sign
+      ctx.beginPath();
+      ctx.strokeStyle = '#ffffff';
+      ctx.lineWidth = 2;
+      ctx.arc(curveX, curveY + 4, 5, Math.PI * 1.15, Math.PI * 1.85);
+      ctx.stroke();
+    }
   }
 }
 
@@ -7429,7 +7984,7 @@ window.toggleShapeEditMode = function() {
 
   // Update canvas status
   if (appState.shapeEditMode) {
-    uiController.updateCanvasStatus('Edit mode: Drag to move, click icons to add/remove points.');
+    uiController.updateCanvasStatus('Edit mode: Drag to move, click icons to add/remove points, drag the curve icon to bend an edge.');
   } else {
     uiController.updateCanvasStatus('Shape editing complete.');
   }
@@ -7473,7 +8028,7 @@ function updateEditShapePanelVisibility() {
       const instructionBox = wallSelectionPanel.querySelector('.instruction-box p');
       if (instructionBox) {
         if (attachmentType === 'house_rim') {
-          instructionBox.textContent = 'Click the wall edge(s) that will be attached to your house with a ledger board. You can select multiple parallel walls.';
+          instructionBox.textContent = 'Click the wall edge(s) that will be attached to your house with a ledger board. You can select multiple parallel walls, or the two walls at an outside house corner for a wrap-around deck.';
         } else {
           // Floating deck or other type - select for joist orientation
           instructionBox.textContent = 'Click a wall edge to set the primary joist direction. Joists will run perpendicular to the selected wall.';
@@ -7518,6 +8073,13 @@ window.loadTemplate = function(templateId) {
   appState.deckDimensions = null;
   appState.structuralComponents = null;
   appState.stairs = [];
+  appState.railingEdgeIndices = [];
+  appState.edgeArcs = {};
+  appState.sectionJoistDirections = {};
+  appState.framingOverrides = { beams: [], posts: [] };
+  appState.railing.gates = [];
+  appState.loadZones = [];
+  appState.cutouts = [];
   appState.bom = [];
   appState.rectangularSections = [];
   appState.showDecompositionShading = false;
@@ -7692,7 +8254,14 @@ function getStateHash() {
     points: appState.points.map(p => `${Math.round(p.x)},${Math.round(p.y)}`).join('|'),
     closed: appState.isShapeClosed,
     walls: appState.selectedWallIndices.join(','),
-    stairs: appState.stairs.length
+    stairs: appState.stairs.length,
+    railing: appState.railingEdgeIndices.join(','),
+    arcs: JSON.stringify(appState.edgeArcs),
+    sectionDirections: JSON.stringify(appState.sectionJoistDirections),
+    framingOverrides: JSON.stringify(appState.framingOverrides),
+    gates: appState.railing.gates.map(g => g.id).join(','),
+    loadZones: appState.loadZones.map(z => z.id).join(','),
+    cutouts: appState.cutouts.map(c => c.id).join(',')
   });
 }
 
@@ -7723,6 +8292,13 @@ window.saveHistoryState = function(actionName = 'action') {
     isShapeClosed: appState.isShapeClosed,
     selectedWallIndices: [...appState.selectedWallIndices],
     stairs: JSON.parse(JSON.stringify(appState.stairs)),
+    railingEdgeIndices: [...appState.railingEdgeIndices],
+    edgeArcs: { ...appState.edgeArcs },
+    sectionJoistDirections: { ...appState.sectionJoistDirections },
+    framingOverrides: JSON.parse(JSON.stringify(appState.framingOverrides)),
+    railingGates: JSON.parse(JSON.stringify(appState.railing.gates)),
+    loadZones: JSON.parse(JSON.stringify(appState.loadZones)),
+    cutouts: JSON.parse(JSON.stringify(appState.cutouts)),
     currentPanelMode: appState.currentPanelMode,
     actionName: actionName,
     timestamp: now
@@ -7801,6 +8377,13 @@ function restoreFromSnapshot(snapshot) {
   appState.isShapeClosed = snapshot.isShapeClosed;
   appState.selectedWallIndices = [...snapshot.selectedWallIndices];
   appState.stairs = JSON.parse(JSON.stringify(snapshot.stairs));
+  appState.railingEdgeIndices = [...(snapshot.railingEdgeIndices || [])];
+  appState.edgeArcs = { ...(snapshot.edgeArcs || {}) };
+  appState.sectionJoistDirections = { ...(snapshot.sectionJoistDirections || {}) };
+  appState.framingOverrides = JSON.parse(JSON.stringify(snapshot.framingOverrides || { beams: [], posts: [] }));
+  appState.railing.gates = JSON.parse(JSON.stringify(snapshot.railingGates || []));
+  appState.loadZones = JSON.parse(JSON.stringify(snapshot.loadZones || []));
+  appState.cutouts = JSON.parse(JSON.stringify(snapshot.cutouts || []));
 
   // Set drawing state based on shape state
   appState.isDrawing = !snapshot.isShapeClosed && snapshot.points.length > 0;
@@ -7885,6 +8468,11 @@ document.addEventListener('keydown', function(e) {
       closeCutListModal();
       return;
     }
+    const stringerLayoutModal = document.getElementById('stringerLayoutModal');
+    if (stringerLayoutModal && !stringerLayoutModal.classList.contains('hidden')) {
+      closeStringerLayoutModal();
+      return;
+    }
   }
 });
 
@@ -7912,6 +8500,180 @@ window.closeSpecsModal = function() {
   }
 };
 
+// ================================================
+// CALCULATION REPORT EXPORT (PDF / HTML / JSON)
+// ================================================
+
+function getCalculationReport() {
+  const structure = appState.structuralComponents;
+  if (!structure || structure.error) return null;
+  return calculationReport.buildCalculationReport(structure, uiController.getFormInputs());
+}
+
+function downloadTextFile(content, filename, type) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+// jsPDF's built-in fonts only cover Latin-1, so spell out the formula symbols
+const toPdfText = (text) => String(text)
+  .replace(/²/g, '^2')
+  .replace(/⁴/g, '^4')
+  .replace(/Δ/g, 'delta')
+  .replace(/π/g, 'pi')
+  .replace(/√/g, 'sqrt')
+  .replace(/≤/g, '<=')
+  .replace(/≥/g, '>=');
+
+function addCalculationReportPdfPages(pdf, report, pageWidth, pageHeight, margin, dateStr) {
+  const contentWidth = pageWidth - margin * 2;
+  const columns = [0, 32, 92, 122, 160]; // Check, Table / formula, Value, Limit, Result
+  let yPos = 0;
+
+  const newPage = (first = false) => {
+    if (!first) pdf.addPage();
+    pdf.setFillColor(19, 58, 82);
+    pdf.rect(0, 0, pageWidth, 20, 'F');
+    pdf.setTextColor(255, 255, 255);
+    pdf.setFontSize(14);
+    pdf.setFont('helvetica', 'bold');
+    pdf.text(report.title, margin, 13);
+    pdf.setFontSize(9);
+    pdf.setFont('helvetica', 'normal');
+    pdf.text(dateStr, pageWidth - margin - 35, 13);
+    yPos = 28;
+  };
+  const ensureSpace = (height) => {
+    if (yPos + height > pageHeight - margin) newPage();
+  };
+  const heading = (text) => {
+    ensureSpace(14);
+    pdf.setTextColor(19, 58, 82);
+    pdf.setFontSize(12);
+    pdf.setFont('helvetica', 'bold');
+    pdf.text(text, margin, yPos);
+    yPos += 6;
+  };
+
+  newPage(true);
+  pdf.setTextColor(100, 100, 100);
+  pdf.setFontSize(8);
+  pdf.text(report.basis, margin, yPos);
+  yPos += 6;
+  pdf.setFontSize(10);
+  pdf.setFont('helvetica', 'bold');
+  pdf.setTextColor(report.summary.allPass ? 22 : 185, report.summary.allPass ? 101 : 28, report.summary.allPass ? 52 : 28);
+  pdf.text(report.summary.allPass
+    ? `All ${report.summary.items} items pass.`
+    : `${report.summary.failures.length} of ${report.summary.items} items fail: ${report.summary.failures.join(', ')}`, margin, yPos);
+  yPos += 8;
+
+  heading('Design Criteria');
+  pdf.setFontSize(9);
+  report.criteria.forEach((c) => {
+    pdf.setTextColor(60, 60, 60);
+    pdf.setFont('helvetica', 'bold');
+    pdf.text(`${c.name}:`, margin, yPos);
+    pdf.setFont('helvetica', 'normal');
+    pdf.text(calculationReport.formatReportValue(c.value, c.unit), margin + 40, yPos);
+    yPos += 5;
+  });
+
+  report.sections.forEach((section) => {
+    yPos += 4;
+    heading(section.title);
+    if (section.items.length === 0) {
+      pdf.setFontSize(9);
+      pdf.setFont('helvetica', 'normal');
+      pdf.text('None', margin, yPos);
+      yPos += 6;
+      return;
+    }
+    section.items.forEach((item) => {
+      ensureSpace(16 + item.checks.length * 5);
+      pdf.setFontSize(10);
+      pdf.setFont('helvetica', 'bold');
+      pdf.setTextColor(31, 41, 55);
+      pdf.text(`${item.id} - ${item.label}${item.count > 1 ? ` (x${item.count})` : ''}`, margin, yPos);
+      pdf.setTextColor(item.passes ? 22 : 185, item.passes ? 101 : 28, item.passes ? 52 : 28);
+      pdf.text(item.passes ? 'PASS' : 'FAIL', pageWidth - margin - 12, yPos);
+      yPos += 5;
+
+      pdf.setFontSize(8);
+      pdf.setFont('helvetica', 'normal');
+      pdf.setTextColor(80, 80, 80);
+      const inputsText = item.inputs.map((i) => `${i.name}: ${calculationReport.formatReportValue(i.value, i.unit)}`).join('   ');
+      const inputLines = pdf.splitTextToSize(inputsText, contentWidth);
+      pdf.text(inputLines, margin, yPos);
+      yPos += inputLines.length * 4 + 1;
+
+      item.checks.forEach((c) => {
+        pdf.setTextColor(60, 60, 60);
+        pdf.text(c.name, margin + columns[0], yPos);
+        pdf.text(toPdfText(c.method), margin + columns[1], yPos, { maxWidth: columns[2] - columns[1] - 2 });
+        pdf.text(calculationReport.formatReportValue(c.value, c.unit), margin + columns[2], yPos);
+        pdf.text(`${c.comparison === 'min' ? '>=' : '<='} ${calculationReport.formatReportValue(c.limit, c.unit)}`, margin + columns[3], yPos);
+        pdf.setTextColor(c.passes ? 22 : 185, c.passes ? 101 : 28, c.passes ? 52 : 28);
+        pdf.text(c.passes ? 'PASS' : 'FAIL', margin + columns[4], yPos);
+        yPos += 5;
+      });
+      if (item.note) {
+        pdf.setTextColor(180, 83, 9);
+        pdf.text(item.note, margin, yPos, { maxWidth: contentWidth });
+        yPos += 5;
+      }
+      yPos += 3;
+    });
+  });
+
+  if (report.notes.length > 0) {
+    yPos += 4;
+    heading('Notes');
+    pdf.setFontSize(9);
+    pdf.setFont('helvetica', 'normal');
+    pdf.setTextColor(60, 60, 60);
+    report.notes.forEach((note) => {
+      const lines = pdf.splitTextToSize(`- ${note}`, contentWidth);
+      ensureSpace(lines.length * 4);
+      pdf.text(lines, margin, yPos);
+      yPos += lines.length * 4 + 1;
+    });
+  }
+}
+
+window.exportCalculationReport = function(format) {
+  const report = getCalculationReport();
+  if (!report) {
+    alert('Please generate a plan before exporting the calculation report.');
+    return;
+  }
+  const baseName = `deck-calculations-${new Date().toISOString().split('T')[0]}`;
+
+  if (format === 'json') {
+    downloadTextFile(JSON.stringify(report, null, 2), `${baseName}.json`, 'application/json');
+  } else if (format === 'html') {
+    downloadTextFile(calculationReport.renderCalculationReportHtml(report), `${baseName}.html`, 'text/html');
+  } else {
+    if (typeof window.jspdf === 'undefined') {
+      alert('PDF library is still loading. Please try again in a moment.');
+      return;
+    }
+    const { jsPDF } = window.jspdf;
+    const pdf = new jsPDF({ orientation: 'portrait', unit: 'mm', format: 'letter' });
+    const dateStr = new Date().toLocaleDateString();
+    addCalculationReportPdfPages(pdf, report, 215.9, 279.4, 15, dateStr);
+    pdf.save(`${baseName}.pdf`);
+  }
+  uiController.updateCanvasStatus('Calculation report exported.');
+};
+
 // ================================================
 // CUT LIST MODAL FUNCTIONS
 // ================================================
@@ -7990,6 +8752,13 @@ window.closeCutListModal = function() {
   }
 };
 
+// Describe a picture frame board's end cut, e.g. 22.5° mitre (135° corner)
+function formatMitre(mitre) {
+  if (!mitre) return 'square';
+  const degrees = (value) => `${Math.round(value * 10) / 10}°`;
+  return `${degrees(mitre.mitreDegrees)} mitre (${degrees(mitre.cornerAngleDegrees)} corner)`;
+}
+
 // Format feet and inches nicely
 function formatLength(lengthFeet) {
   if (lengthFeet === undefined || lengthFeet === null) return '--';
@@ -8024,10 +8793,11 @@ window.generateCutListData = function() {
     L: 0,   // Ledger
     BL: 0,  // Blocking
     P: 0,   // Posts
+    FB: 0,  // Picture Frame Boards
   };
 
   // Helper to add items
-  const addItem = (component, type, prefix, labelClass) => {
+  const addItem = (component, type, prefix, labelClass, note = null) => {
     labelCounters[prefix]++;
     const label = `${prefix}${labelCounters[prefix]}`;
 
@@ -8038,6 +8808,7 @@ window.generateCutListData = function() {
       lengthFeet: component.lengthFeet,
       lengthFormatted: formatLength(component.lengthFeet),
       labelClass: labelClass,
+      note: note,
       component: component, // Reference for canvas labeling
     });
 
@@ -8048,6 +8819,9 @@ window.generateCutListData = function() {
   if (structure.ledger) {
     addItem(structure.ledger, 'Ledger', 'L', 'label-ledger');
   }
+  if (structure.wrapLedger) {
+    addItem(structure.wrapLedger, 'Ledger', 'L', 'label-ledger');
+  }
 
   // Add beams
   if (structure.beams && structure.beams.length > 0) {
@@ -8096,6 +8870,16 @@ window.generateCutListData = function() {
     });
   }
 
+  // Add picture frame boards with the mitre cut at each end
+  const frameBoards = getDeckingLayoutForTier(appState.activeTierId)?.pictureFrameBoards || [];
+  if (frameBoards.length > 0) {
+    const { stockName } = deckingProductCalculations.getDeckingProduct(appState.decking);
+    frameBoards.forEach(board => {
+      const ends = `Ends: ${formatMitre(board.mitres.start)} / ${formatMitre(board.mitres.end)}`;
+      addItem({ ...board, size: stockName }, 'Picture Frame Board', 'FB', 'label-frame', ends);
+    });
+  }
+
   console.log(`[Cut List] Generated ${cutListData.length} items`);
   return cutListData;
 };
@@ -8132,6 +8916,7 @@ function populateCutListModal() {
       <td><span class="cut-list-label ${item.labelClass}">${item.label}</span></td>
       <td>
         <span class="cut-list-type">${item.type}</span>
+        ${item.note ? `<span class="cut-list-subtype">${item.note}</span>` : ''}
       </td>
       <td>${item.size}</td>
       <td>${item.lengthFormatted}</td>
@@ -8176,43 +8961,212 @@ window.printCutList = function() {
   window.print();
 };
 
-// ==========================================
-// Help Wizard System
-// ==========================================
+// ================================================
+// STRINGER LAYOUT SHEET (site-cut 2x12 stringers)
+// ================================================
 
-let wizardCurrentStep = 0;
-let wizardSteps = [];
+const formatStringerInches = (inches) => `${utils.decimalToFraction(inches)}"`;
+
+// Rows shown on the sheet and in the PDF, in order
+function getStringerLayoutRows(layout) {
+  return [
+    ['Rise per step', formatStringerInches(layout.risePerStepInches)],
+    ['Run per step (tread cut)', formatStringerInches(layout.runPerStepInches)],
+    ['Bottom riser (cut short)', formatStringerInches(layout.bottomRiserInches)],
+    ['Bottom drop (tread thickness)', formatStringerInches(layout.treadThicknessInches)],
+    ['Throat depth', `${formatStringerInches(layout.throatDepthInches)}${layout.throatOk ? '' : ` - below ${config.STRINGER_MIN_THROAT_INCHES}" minimum`}`],
+    ['Risers / treads', `${layout.numRisers} / ${layout.numTreads}`],
+    ['Pitch angle', `${layout.pitchAngleDegrees.toFixed(1)}°`],
+    ['Step diagonal', formatStringerInches(layout.stepDiagonalInches)],
+    ['Cut length', formatStringerInches(layout.lengthInches)],
+    ['Stock length', layout.stockLengthFeet ? `2x12 x ${layout.stockLengthFeet}'` : 'Too long for stock - add a landing'],
+    ['Quantity', `${layout.qty}`],
+  ];
+}
 
-// Define the wizard steps with target elements and content
-const wizardStepDefinitions = [
-  {
-    target: null, // Welcome step - centered
-    title: "Welcome to TUDS Pro Deck Estimator!",
-    description: "This interactive tool helps you design and estimate materials for your deck project. Let's take a quick tour of the main features.",
-    isWelcome: true
-  },
-  {
-    target: '#templatePanel',
-    title: "Quick Start Templates",
-    description: "Choose from pre-built deck shapes like Rectangle, L-Shape, or Wrap-Around to quickly start your design. Perfect for common deck layouts.",
-    position: 'right'
-  },
-  {
-    target: '#quickDimensionsPanel',
-    title: "Quick Rectangle",
-    description: "Enter width and depth to instantly create a rectangular deck. Great for simple deck designs when you know your dimensions.",
-    position: 'right'
-  },
-  {
-    target: '#canvasContainer',
-    title: "Drawing Canvas",
-    description: "This is where your deck takes shape. Click to place points and create your deck outline. The grid helps you align dimensions precisely.",
-    position: 'left'
-  },
-  {
-    target: '#progressBar',
-    title: "Workflow Steps",
-    description: "Follow these steps from Draw to Materials. Each step guides you through the deck planning process, from shape design to final cost estimate.",
+// Maps stringer profile inches into a box, with y flipped so grade is at the bottom
+function fitStringerProfile(profile, boxX, boxY, boxWidth, boxHeight) {
+  const xs = profile.map((p) => p.x);
+  const ys = profile.map((p) => p.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const scale = Math.min(boxWidth / (Math.max(...xs) - minX), boxHeight / (Math.max(...ys) - minY));
+  return (p) => ({
+    x: boxX + (p.x - minX) * scale,
+    y: boxY + boxHeight - (p.y - minY) * scale,
+  });
+}
+
+function buildStringerLayoutSvg(layout) {
+  const width = 720;
+  const height = 320;
+  const toSvg = fitStringerProfile(layout.profile, 40, 30, width - 80, height - 70);
+  const points = layout.profile.map(toSvg);
+  const r = layout.risePerStepInches;
+  const t = layout.runPerStepInches;
+  const drop = layout.treadThicknessInches;
+
+  // Throat: from the first inner notch corner square to the bottom edge
+  const corner = { x: t, y: r - drop };
+  const normal = { x: r / layout.stepDiagonalInches, y: -t / layout.stepDiagonalInches };
+  const throatStart = toSvg(corner);
+  const throatEnd = toSvg({
+    x: corner.x + normal.x * layout.throatDepthInches,
+    y: corner.y + normal.y * layout.throatDepthInches,
+  });
+  const firstRiserTop = toSvg({ x: t, y: 2 * r - drop });
+  const firstTreadStart = toSvg({ x: 0, y: r - drop });
+  const grade = toSvg({ x: 0, y: 0 });
+  const throatColor = layout.throatOk ? '#2563EB' : '#DC2626';
+
+  return `
+    <svg class="stringer-layout-svg" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">
+      <polygon points="${points.map((p) => `${p.x.toFixed(1)},${p.y.toFixed(1)}`).join(' ')}"
+               fill="#F5E6D3" stroke="#5D4037" stroke-width="1.5" />
+      <line x1="${throatStart.x}" y1="${throatStart.y}" x2="${throatEnd.x}" y2="${throatEnd.y}"
+            stroke="${throatColor}" stroke-width="1.5" stroke-dasharray="4 2" />
+      <text x="${throatEnd.x + 6}" y="${throatEnd.y}" fill="${throatColor}" font-size="12">Throat ${formatStringerInches(layout.throatDepthInches)}</text>
+      <text x="${(firstTreadStart.x + throatStart.x) / 2}" y="${firstTreadStart.y - 6}" text-anchor="middle" font-size="12">Run ${formatStringerInches(t)}</text>
+      <text x="${throatStart.x + 6}" y="${(throatStart.y + firstRiserTop.y) / 2}" font-size="12">Rise ${formatStringerInches(r)}</text>
+      <text x="${grade.x - 6}" y="${(grade.y + firstTreadStart.y) / 2}" text-anchor="end" font-size="12">${formatStringerInches(layout.bottomRiserInches)}</text>
+      <text x="${grade.x}" y="${grade.y + 18}" font-size="12">Bottom drop ${formatStringerInches(drop)} for tread thickness</text>
+      <text x="${width - 40}" y="${height - 12}" text-anchor="end" font-size="12">Cut length ${formatStringerInches(layout.lengthInches)} from ${layout.stockLengthFeet ? `${layout.stockLengthFeet}'` : 'oversize'} 2x12</text>
+    </svg>`;
+}
+
+function renderStringerLayoutSheet(stair) {
+  const layouts = stairCalculations.calculateStringerLayout(stair);
+  if (layouts.length === 0) {
+    return '<p class="text-gray-500 text-sm">These stairs are too short to need stringers.</p>';
+  }
+  return layouts.map((layout) => `
+    <div class="stringer-layout-run">
+      ${layouts.length > 1 ? `<h3>Run ${layout.runIndex + 1}</h3>` : ''}
+      ${layout.throatOk ? '' : `<div class="stair-item-violation">Throat depth ${formatStringerInches(layout.throatDepthInches)} is below the ${config.STRINGER_MIN_THROAT_INCHES}" minimum. Use a shallower rise or a deeper stringer.</div>`}
+      ${buildStringerLayoutSvg(layout)}
+      <table class="cut-list-table">
+        <tbody>
+          ${getStringerLayoutRows(layout).map(([label, value]) => `<tr><td>${label}</td><td>${value}</td></tr>`).join('')}
+        </tbody>
+      </table>
+    </div>
+  `).join('');
+}
+
+window.openStringerLayoutModal = function(index) {
+  const stair = appState.stairs[index];
+  const modal = document.getElementById('stringerLayoutModal');
+  const content = document.getElementById('stringerLayoutContent');
+  if (!stair || !modal || !content) return;
+
+  const title = document.getElementById('stringerLayoutTitle');
+  if (title) title.textContent = `Stringer Layout - Stairs ${index + 1}`;
+  content.innerHTML = renderStringerLayoutSheet(stair);
+  modal.classList.remove('hidden');
+};
+
+window.closeStringerLayoutModal = function() {
+  const modal = document.getElementById('stringerLayoutModal');
+  if (modal) modal.classList.add('hidden');
+};
+
+window.printStringerLayout = function() {
+  window.print();
+};
+
+// Adds one PDF page per site-cut stair with the stringer profile and cut dimensions
+function addStringerLayoutPdfPages(pdf, pageWidth, pageHeight, margin, dateStr) {
+  const contentWidth = pageWidth - margin * 2;
+  appState.stairs.forEach((stair, index) => {
+    if (stair.stringerType !== 'custom_2x12') return;
+    const layouts = stairCalculations.calculateStringerLayout(stair);
+    if (layouts.length === 0) return;
+
+    pdf.addPage();
+    pdf.setFillColor(19, 58, 82);
+    pdf.rect(0, 0, pageWidth, 20, 'F');
+    pdf.setTextColor(255, 255, 255);
+    pdf.setFontSize(14);
+    pdf.setFont('helvetica', 'bold');
+    pdf.text(`Stringer Layout - Stairs ${index + 1}`, margin, 13);
+    pdf.setFontSize(9);
+    pdf.setFont('helvetica', 'normal');
+    pdf.text(dateStr, pageWidth - margin - 35, 13);
+
+    let yPos = 28;
+    layouts.forEach((layout) => {
+      if (yPos > pageHeight - 120) {
+        pdf.addPage();
+        yPos = margin + 10;
+      }
+      pdf.setTextColor(19, 58, 82);
+      pdf.setFontSize(11);
+      pdf.setFont('helvetica', 'bold');
+      pdf.text(layouts.length > 1 ? `Run ${layout.runIndex + 1}` : 'Custom 2x12 Stringer', margin, yPos);
+      yPos += 4;
+
+      const toPdf = fitStringerProfile(layout.profile, margin, yPos, contentWidth, 55);
+      const points = layout.profile.map(toPdf);
+      pdf.setDrawColor(93, 64, 55);
+      pdf.setLineWidth(0.4);
+      points.forEach((p, i) => {
+        const next = points[(i + 1) % points.length];
+        pdf.line(p.x, p.y, next.x, next.y);
+      });
+      yPos += 62;
+
+      pdf.setFontSize(9);
+      getStringerLayoutRows(layout).forEach(([label, value]) => {
+        const isThroatViolation = label === 'Throat depth' && !layout.throatOk;
+        pdf.setTextColor(isThroatViolation ? 220 : 60, isThroatViolation ? 38 : 60, isThroatViolation ? 38 : 60);
+        pdf.setFont('helvetica', 'bold');
+        pdf.text(`${label}:`, margin, yPos);
+        pdf.setFont('helvetica', 'normal');
+        pdf.text(value.replace('°', ' deg'), margin + 60, yPos);
+        yPos += 6;
+      });
+      yPos += 6;
+    });
+  });
+}
+
+// ==========================================
+// Help Wizard System
+// ==========================================
+
+let wizardCurrentStep = 0;
+let wizardSteps = [];
+
+// Define the wizard steps with target elements and content
+const wizardStepDefinitions = [
+  {
+    target: null, // Welcome step - centered
+    title: "Welcome to TUDS Pro Deck Estimator!",
+    description: "This interactive tool helps you design and estimate materials for your deck project. Let's take a quick tour of the main features.",
+    isWelcome: true
+  },
+  {
+    target: '#templatePanel',
+    title: "Quick Start Templates",
+    description: "Choose from pre-built deck shapes like Rectangle, L-Shape, or Wrap-Around to quickly start your design. Perfect for common deck layouts.",
+    position: 'right'
+  },
+  {
+    target: '#quickDimensionsPanel',
+    title: "Quick Rectangle",
+    description: "Enter width and depth to instantly create a rectangular deck. Great for simple deck designs when you know your dimensions.",
+    position: 'right'
+  },
+  {
+    target: '#canvasContainer',
+    title: "Drawing Canvas",
+    description: "This is where your deck takes shape. Click to place points and create your deck outline. The grid helps you align dimensions precisely.",
+    position: 'left'
+  },
+  {
+    target: '#progressBar',
+    title: "Workflow Steps",
+    description: "Follow these steps from Draw to Materials. Each step guides you through the deck planning process, from shape design to final cost estimate.",
     position: 'bottom'
   },
   {
@@ -8852,6 +9806,13 @@ window.update3DPreview = function() {
     const ly2 = (structure.ledger.p2.y - bounds.minY) * scale;
     drawLedger3D(ctx, toIso, lx1, ly1, lx2, ly2, 0, scale);
   }
+  if (structure.wrapLedger) {
+    const wx1 = (structure.wrapLedger.p1.x - bounds.minX) * scale;
+    const wy1 = (structure.wrapLedger.p1.y - bounds.minY) * scale;
+    const wx2 = (structure.wrapLedger.p2.x - bounds.minX) * scale;
+    const wy2 = (structure.wrapLedger.p2.y - bounds.minY) * scale;
+    drawLedger3D(ctx, toIso, wx1, wy1, wx2, wy2, 0, scale);
+  }
 
   // Draw joists
   if (showJoists && structure.joists && structure.joists.length > 0) {
@@ -8867,11 +9828,16 @@ window.update3DPreview = function() {
   // Draw rim joists / outer rim
   if (structure.rimJoists && structure.rimJoists.length > 0) {
     structure.rimJoists.forEach(rim => {
-      const rx1 = (rim.p1.x - bounds.minX) * scale;
-      const ry1 = (rim.p1.y - bounds.minY) * scale;
-      const rx2 = (rim.p2.x - bounds.minX) * scale;
-      const ry2 = (rim.p2.y - bounds.minY) * scale;
-      drawRim3D(ctx, toIso, rx1, ry1, rx2, ry2, 0, scale);
+      const path = rim.isCurved
+        ? [rim.p1, ...arcCalculations.getArcPoints(rim.p1, rim.p2, rim.sagitta), rim.p2]
+        : [rim.p1, rim.p2];
+      for (let i = 1; i < path.length; i++) {
+        const rx1 = (path[i - 1].x - bounds.minX) * scale;
+        const ry1 = (path[i - 1].y - bounds.minY) * scale;
+        const rx2 = (path[i].x - bounds.minX) * scale;
+        const ry2 = (path[i].y - bounds.minY) * scale;
+        drawRim3D(ctx, toIso, rx1, ry1, rx2, ry2, 0, scale);
+      }
     });
   }
 
@@ -9272,8 +10238,8 @@ function initializeDeckingStep() {
   // Set up material change listener
   setupDeckingMaterialListener();
 
-  // Update cedar size visibility based on current material
-  updateCedarSizeVisibility();
+  // Show the cedar size or composite options for the current material
+  updateMaterialOptionsVisibility();
 
   // Calculate and show breaker board suggestions
   updateBreakerSuggestion();
@@ -9288,6 +10254,36 @@ function initializeDeckingStep() {
   redrawApp();
 }
 
+/**
+ * Set the decking step controls to match appState.decking, e.g. after a project loads.
+ * Values are set without change events so the plan isn't regenerated once per control.
+ */
+function syncDeckingControls() {
+  [
+    ['deckingMaterial', 'material'],
+    ['cedarBoardSize', 'cedarSize'],
+    ['deckingBoardEdge', 'boardEdge'],
+    ['deckingBoardColor', 'boardColor'],
+    ['deckingPattern', 'pattern'],
+    ['deckingPictureFrame', 'pictureFrame']
+  ].forEach(([selectId, key]) => {
+    const select = document.getElementById(selectId);
+    if (select) select.value = appState.decking[key];
+    const container = document.querySelector(`[data-selector="${selectId}"]`);
+    if (container) {
+      container.querySelectorAll('.visual-option').forEach(opt => {
+        opt.classList.toggle('selected', opt.dataset.value === appState.decking[key]);
+      });
+    }
+  });
+
+  const angleInput = document.getElementById('deckingBoardAngle');
+  if (angleInput) angleInput.value = appState.decking.boardAngle;
+
+  updateMaterialOptionsVisibility();
+  renderBreakerBoardsList();
+}
+
 /**
  * Cleanup when leaving the decking step
  */
@@ -9330,35 +10326,70 @@ function setupDeckingMaterialListener() {
   const materialSelect = document.getElementById('deckingMaterial');
   if (materialSelect && !materialSelect.dataset.deckingListenerAdded) {
     materialSelect.addEventListener('change', (e) => {
+      const previousMaxSpacing = deckingProductCalculations.getDeckingMaxJoistSpacing(appState.decking);
       appState.decking.material = e.target.value;
-      updateCedarSizeVisibility();
-      updateDeckingSummary();
-      redrawApp();
+      updateMaterialOptionsVisibility();
+      refreshAfterDeckingChange(previousMaxSpacing);
       console.log(`[Decking] Material changed to: ${e.target.value}`);
     });
     materialSelect.dataset.deckingListenerAdded = 'true';
   }
 
-  // Board direction listener
-  const directionSelect = document.getElementById('boardDirection');
-  if (directionSelect && !directionSelect.dataset.deckingListenerAdded) {
-    directionSelect.addEventListener('change', (e) => {
-      // Debounce guard to prevent infinite loops from visual selector
-      if (directionSelect.dataset.processing === 'true') return;
-      if (appState.decking.boardDirection === e.target.value) return; // No change
+  // Composite and PVC board edge and colour listeners
+  [['deckingBoardEdge', 'boardEdge'], ['deckingBoardColor', 'boardColor']].forEach(([selectId, key]) => {
+    const select = document.getElementById(selectId);
+    if (select && !select.dataset.deckingListenerAdded) {
+      select.addEventListener('change', (e) => {
+        const previousMaxSpacing = deckingProductCalculations.getDeckingMaxJoistSpacing(appState.decking);
+        appState.decking[key] = e.target.value;
+        updateMaterialOptionsVisibility();
+        refreshAfterDeckingChange(previousMaxSpacing);
+        console.log(`[Decking] ${key} changed to: ${e.target.value}`);
+      });
+      select.dataset.deckingListenerAdded = 'true';
+    }
+  });
 
-      directionSelect.dataset.processing = 'true';
-      appState.decking.boardDirection = e.target.value;
-      updateDeckingSummary();
-      redrawApp();
-      console.log(`[Decking] Direction changed to: ${e.target.value}`);
+  // Board pattern listener. A pattern's seams are framed with blocking, so moving to or
+  // from one regenerates the plan.
+  const patternSelect = document.getElementById('deckingPattern');
+  const angleInput = document.getElementById('deckingBoardAngle');
+  if (patternSelect && !patternSelect.dataset.deckingListenerAdded) {
+    patternSelect.addEventListener('change', (e) => {
+      // Debounce guard to prevent infinite loops from visual selector
+      if (patternSelect.dataset.processing === 'true') return;
+      if (appState.decking.pattern === e.target.value) return; // No change
+
+      patternSelect.dataset.processing = 'true';
+      const previousMaxSpacing = deckingProductCalculations.getDeckingMaxJoistSpacing(appState.decking);
+      const hadSeams = appState.decking.pattern !== 'straight';
+      appState.decking.pattern = e.target.value;
+      // Patterns always lean, 45° unless an angle is already set
+      appState.decking.boardAngle = deckingProductCalculations.getDeckingPattern(appState.decking).angleDegrees;
+      if (angleInput) angleInput.value = appState.decking.boardAngle;
+      refreshAfterDeckingChange(previousMaxSpacing, hadSeams || e.target.value !== 'straight');
+      console.log(`[Decking] Pattern changed to: ${e.target.value}`);
 
       // Clear processing flag after a short delay
       setTimeout(() => {
-        directionSelect.dataset.processing = 'false';
+        patternSelect.dataset.processing = 'false';
       }, 100);
     });
-    directionSelect.dataset.deckingListenerAdded = 'true';
+    patternSelect.dataset.deckingListenerAdded = 'true';
+  }
+
+  // Board angle listener; the angle sets how many seams a pattern needs
+  if (angleInput && !angleInput.dataset.deckingListenerAdded) {
+    angleInput.addEventListener('change', (e) => {
+      const previousMaxSpacing = deckingProductCalculations.getDeckingMaxJoistSpacing(appState.decking);
+      appState.decking.boardAngle = parseFloat(e.target.value) || 0;
+      const pattern = deckingProductCalculations.getDeckingPattern(appState.decking);
+      appState.decking.boardAngle = pattern.angleDegrees;
+      e.target.value = pattern.angleDegrees;
+      refreshAfterDeckingChange(previousMaxSpacing, pattern.id !== 'straight');
+      console.log(`[Decking] Board angle changed to: ${pattern.angleDegrees}°`);
+    });
+    angleInput.dataset.deckingListenerAdded = 'true';
   }
 
   // Picture frame listener
@@ -9396,6 +10427,26 @@ function setupDeckingMaterialListener() {
   }
 }
 
+/**
+ * Keep the snow load field in step with the municipality lookup.
+ * A selected municipality fills the snow load and locks the field; "manual" unlocks it.
+ */
+function setupDesignLoadInputs() {
+  const municipalitySelect = document.getElementById('loadMunicipality');
+  const snowInput = document.getElementById('snowLoadPsf');
+  if (!municipalitySelect || !snowInput) return;
+
+  const syncSnowLoad = () => {
+    const snowLoadPsf = dataManager.getMunicipalitySnowLoadPsf(municipalitySelect.value);
+    if (snowLoadPsf !== null) snowInput.value = snowLoadPsf;
+    snowInput.readOnly = snowLoadPsf !== null;
+    updateConfigSectionValues();
+  };
+
+  municipalitySelect.addEventListener('change', syncSnowLoad);
+  syncSnowLoad();
+}
+
 /**
  * Set up listeners for structural input changes (joistSpacing, postSize, attachmentType, etc.)
  * When these inputs change, we need to redraw the canvas and regenerate the plan if one exists
@@ -9403,6 +10454,14 @@ function setupDeckingMaterialListener() {
 function setupStructuralInputListeners() {
   const structuralInputs = [
     'joistSpacing',
+    'lumberSpecies',
+    'loadMunicipality',
+    'liveLoadPsf',
+    'deadLoadPsf',
+    'snowLoadPsf',
+    'deflectionLimit',
+    'soilClass',
+    'frostDepthInches',
     'postSize',
     'attachmentType',
     'footingType',
@@ -9421,6 +10480,9 @@ function setupStructuralInputListeners() {
 
         console.log(`[Structure] ${inputId} changed to: ${e.target.value}`);
 
+        // Update collapsed section summary values
+        updateConfigSectionValues();
+
         // If a plan has been generated, regenerate it with the new settings
         if (appState.structuralComponents && !appState.structuralComponents.error && appState.isShapeClosed) {
           console.log('[Structure] Regenerating plan with updated settings...');
@@ -9442,9 +10504,9 @@ function setupStructuralInputListeners() {
 }
 
 /**
- * Show/hide cedar size selector based on material selection
+ * Show/hide the cedar size selector and the composite/PVC options based on material selection
  */
-function updateCedarSizeVisibility() {
+function updateMaterialOptionsVisibility() {
   const cedarSizeSection = document.getElementById('cedarSizeSelector');
   if (cedarSizeSection) {
     if (appState.decking.material === 'cedar') {
@@ -9453,6 +10515,54 @@ function updateCedarSizeVisibility() {
       cedarSizeSection.classList.add('hidden');
     }
   }
+
+  const compositeOptions = document.getElementById('compositeOptions');
+  if (!compositeOptions) return;
+  const isManufactured = deckingProductCalculations.isManufacturedDecking(appState.decking.material);
+  compositeOptions.classList.toggle('hidden', !isManufactured);
+  const note = document.getElementById('deckingProductNote');
+  if (note && isManufactured) {
+    const product = deckingProductCalculations.getDeckingProduct(appState.decking);
+    note.textContent =
+      `Joists at ${product.maxJoistSpacingInches}" O.C. (${product.maxDiagonalJoistSpacingInches}" diagonal). ` +
+      `Gaps ${utils.decimalToFraction(product.sideGapInches)}" side, ${utils.decimalToFraction(product.endGapInches)}" at butt joints. ` +
+      `Matching fascia: ${product.fasciaStockName}.`;
+  }
+}
+
+/**
+ * Refresh the plan after a decking product, pattern or breaker change. When the change moves
+ * the joist spacing the boards allow, or the pattern seams that need blocking, the structure
+ * is regenerated so calculateStructure can frame for it; otherwise the canvas, 3D view and
+ * BOM are refreshed.
+ * @param {number} previousMaxSpacing - Max joist spacing for the decking before the change
+ * @param {boolean} [seamsChanged] - Whether pattern seams may have moved
+ */
+function refreshAfterDeckingChange(previousMaxSpacing, seamsChanged = false) {
+  const maxSpacing = deckingProductCalculations.getDeckingMaxJoistSpacing(appState.decking);
+  const hasPlan = appState.structuralComponents && !appState.structuralComponents.error && appState.isShapeClosed;
+  if (hasPlan && (seamsChanged || maxSpacing !== previousMaxSpacing)) {
+    console.log('[Decking] Framing for the decking changed, regenerating plan...');
+    handleGeneratePlan();
+  } else {
+    if (hasPlan) recalculateAndUpdateBOM();
+    redrawApp();
+    update3DView();
+  }
+  updateDeckingSummary();
+}
+
+/**
+ * Refresh after a breaker board is added or removed. Breakers are the seams of a herringbone
+ * or chevron deck, which are framed with blocking.
+ */
+function refreshAfterBreakerChange() {
+  if (appState.decking.pattern === 'straight') {
+    updateDeckingSummary();
+    redrawApp();
+    return;
+  }
+  refreshAfterDeckingChange(deckingProductCalculations.getDeckingMaxJoistSpacing(appState.decking), true);
 }
 
 /**
@@ -9462,7 +10572,10 @@ function calculateBreakerSuggestion() {
   if (!appState.deckDimensions) return null;
 
   // Get the deck depth (perpendicular to joists, parallel to boards)
-  const deckWidth = appState.deckDimensions.widthFeet || appState.deckDimensions.width || 0; // In feet
+  const layout = getDeckingLayoutForTier(appState.activeTierId);
+  const deckWidth = layout
+    ? layout.runLengthFeet
+    : appState.deckDimensions.widthFeet || appState.deckDimensions.width || 0; // In feet
 
   // Available board lengths (8' to 16' standard)
   const standardLengths = [8, 10, 12, 14, 16];
@@ -9605,8 +10718,7 @@ function addBreakerBoard(position) {
 window.removeBreakerBoard = function(id) {
   appState.decking.breakerBoards = appState.decking.breakerBoards.filter(b => b.id !== id);
   renderBreakerBoardsList();
-  updateDeckingSummary();
-  redrawApp();
+  refreshAfterBreakerChange();
   console.log(`[Decking] Removed breaker board ${id}`);
 };
 
@@ -9719,18 +10831,22 @@ function handleBreakerPlacement(modelX, modelY) {
   if (!appState.decking.breakerPlacementMode) return false;
   if (!appState.deckDimensions) return false;
 
-  // Calculate position from ledger (assuming ledger is at top/y=0 in model space)
-  // This is simplified - in reality we'd need to consider deck orientation
-  const position = Math.abs(modelY) / config.PIXELS_PER_FOOT;
+  // Position square to the joists from the deck's start; without a layout to go by,
+  // assume the ledger is at the top (y=0) in model space
+  const layout = getDeckingLayoutForTier(appState.activeTierId);
+  const position = layout
+    ? ((layout.runsAlongX ? modelX : modelY) - layout.runStart) / config.PIXELS_PER_FOOT
+    : Math.abs(modelY) / config.PIXELS_PER_FOOT;
 
   // Clamp to deck bounds
-  const maxPosition = appState.deckDimensions.widthFeet || appState.deckDimensions.width || 20;
+  const maxPosition = layout
+    ? layout.runLengthFeet
+    : appState.deckDimensions.widthFeet || appState.deckDimensions.width || 20;
   const clampedPosition = Math.max(1, Math.min(position, maxPosition - 1));
 
   addBreakerBoard(clampedPosition);
   exitBreakerPlacementMode();
-  updateDeckingSummary();
-  redrawApp();
+  refreshAfterBreakerChange();
 
   return true;
 }
@@ -9749,35 +10865,46 @@ function updateDeckingSummary() {
   const summaryDiv = document.getElementById('deckingSummary');
   if (!summaryDiv) return;
 
-  const material = appState.decking.material;
-  const direction = appState.decking.boardDirection;
+  const pattern = deckingProductCalculations.getDeckingPattern(appState.decking);
   const pictureFrame = appState.decking.pictureFrame;
   const breakerCount = appState.decking.breakerBoards.length;
+  const product = deckingProductCalculations.getDeckingProduct(appState.decking);
 
   // Calculate estimated board count based on deck area
   let boardCount = '--';
   let sqft = '--';
+  const layout = getDeckingLayoutForTier(appState.activeTierId);
 
   if (appState.deckDimensions) {
     const area = appState.deckDimensions.actualAreaSqFt || appState.deckDimensions.area || 0;
     sqft = area.toFixed(0);
 
-    // Estimate boards: 5.5" coverage per board = 0.458 sq ft per linear foot
-    // Add 10% waste for horizontal, 15% for diagonal
-    const wasteMultiplier = direction === 'diagonal' ? 1.15 : 1.10;
-    const boardCoverage = 5.5 / 12; // feet per board width
+    // Estimate boards from the board face width (5.5" covers 0.458 sq ft per linear foot)
+    // plus the pattern's usual waste; a layout replaces this with its own count
+    const wasteMultiplier = 1 + (pattern.id === 'straight' && pattern.angled
+      ? config.DECKING_ANGLED_ESTIMATE_WASTE
+      : config.DECKING_PATTERNS[pattern.id].estimateWaste);
+    const boardCoverage = product.boardWidthInches / 12; // feet per board width
 
     // This is a rough estimate - actual calculation would be more complex
     const estimatedLinearFeet = area / boardCoverage * wasteMultiplier;
     boardCount = Math.ceil(estimatedLinearFeet / 12); // Assuming 12' average board length
   }
+  if (layout) {
+    // Every board is laid out, so count them by stock length
+    boardCount = Object.keys(layout.stockCounts)
+      .sort((a, b) => a - b)
+      .map(length => `${layout.stockCounts[length]} x ${length}'`)
+      .join(', ');
+  }
 
-  // Material display name
-  const materialNames = {
-    'pt': 'Pressure Treated',
-    'cedar': 'Cedar',
-    'composite': 'Composite'
-  };
+  // Layout warnings, plus one when the boards need closer joists than the framing has
+  const warnings = layout ? [...layout.warnings] : [];
+  const structure = appState.structuralComponents;
+  const spacingWarning = structure && !structure.error
+    ? deckingProductCalculations.checkDeckingJoistSpacing(structure.joistSpacingInches, appState.decking)
+    : null;
+  if (spacingWarning) warnings.push(spacingWarning);
 
   summaryDiv.innerHTML = `
     <div class="decking-summary-header">
@@ -9789,15 +10916,15 @@ function updateDeckingSummary() {
     <div class="decking-summary-grid">
       <div class="decking-summary-item">
         <span class="decking-summary-label">Material</span>
-        <span class="decking-summary-value">${materialNames[material] || material}</span>
+        <span class="decking-summary-value">${product.label}${product.color ? ` (${product.color.label})` : ''}</span>
       </div>
       <div class="decking-summary-item">
         <span class="decking-summary-label">Area</span>
         <span class="decking-summary-value">${sqft} sq ft</span>
       </div>
       <div class="decking-summary-item">
-        <span class="decking-summary-label">Direction</span>
-        <span class="decking-summary-value">${direction === 'diagonal' ? 'Diagonal (45°)' : 'Horizontal'}</span>
+        <span class="decking-summary-label">Pattern</span>
+        <span class="decking-summary-value">${pattern.label}${pattern.angled ? ` (${Math.abs(pattern.angleDegrees)}°)` : ''}</span>
       </div>
       <div class="decking-summary-item">
         <span class="decking-summary-label">Picture Frame</span>
@@ -9809,7 +10936,24 @@ function updateDeckingSummary() {
         <span class="decking-summary-value">${breakerCount}</span>
       </div>
       ` : ''}
+      ${layout && layout.seams.length > 0 ? `
+      <div class="decking-summary-item">
+        <span class="decking-summary-label">Seams</span>
+        <span class="decking-summary-value">${layout.seams.length}</span>
+      </div>
+      ` : ''}
+      ${layout ? `
+      <div class="decking-summary-item">
+        <span class="decking-summary-label">Boards</span>
+        <span class="decking-summary-value">${boardCount}</span>
+      </div>
+      <div class="decking-summary-item">
+        <span class="decking-summary-label">Waste</span>
+        <span class="decking-summary-value">${layout.totals.wastePercent.toFixed(0)}%</span>
+      </div>
+      ` : ''}
     </div>
+    ${warnings.map(w => `<div class="load-zone-warning">${w}</div>`).join('')}
   `;
 }
 
@@ -9820,6 +10964,1207 @@ window.updateLayerCheckboxes = updateLayerCheckboxes;
 window.handleBreakerPlacement = handleBreakerPlacement;
 window.updateDeckingSummary = updateDeckingSummary;
 
+// ================================================
+// RAILING STEP FUNCTIONS
+// ================================================
+
+/**
+ * Whether the current build mode includes the railing step
+ */
+function isRailingInBuild() {
+  return getVisibleSteps().includes('railing');
+}
+
+/**
+ * Get the deck surface height (inches) above grade for a tier, used for guard requirements
+ * and skirting heights
+ * @param {string} tierId - Tier ID ('upper' | 'lower')
+ */
+function getDeckHeightInchesForTier(tierId) {
+  const tier = appState.tiers?.[tierId];
+  if (appState.tiersEnabled && tier) {
+    return (tier.heightFeet || 0) * 12 + (tier.heightInches || 0);
+  }
+  return uiController.getFormInputs().deckHeight || 0;
+}
+
+/**
+ * Compute the railing layout (posts, sections, gates) for a tier
+ * @param {string} tierId - Tier ID ('upper' | 'lower')
+ * @returns {Object|null} Layout from railingCalculations.calculateRailingLayout
+ */
+function getRailingLayoutForTier(tierId) {
+  const tier = appState.tiers?.[tierId];
+  if (!tier || !tier.isShapeClosed || !tier.points || tier.points.length < 3) return null;
+
+  const ledgerEdgeIndices = getAttachmentType() === 'house_rim' ? tier.selectedWallIndices || [] : [];
+
+  return railingCalculations.calculateRailingLayout(
+    tier.points,
+    tier.railingEdgeIndices || [],
+    appState.stairs,
+    appState.railing,
+    {
+      deckHeightInches: getDeckHeightInchesForTier(tierId),
+      ledgerEdgeIndices,
+      tierId
+    }
+  );
+}
+
+/**
+ * Outline of a tier with its curved edges expanded
+ * @param {string} tierId - Tier ID ('upper' | 'lower')
+ */
+function getDeckOutlineForTier(tierId) {
+  const tier = appState.tiers?.[tierId];
+  if (!tier || !tier.isShapeClosed || !tier.points || tier.points.length < 3) return null;
+
+  return arcCalculations.expandArcEdges(tier.points, tier.edgeArcs, tier.selectedWallIndices).points;
+}
+
+/**
+ * Lay out every deck board on a tier in the chosen pattern and angle
+ * @param {string} tierId - Tier ID ('upper' | 'lower')
+ */
+function getDeckingLayoutForTier(tierId) {
+  const points = getDeckOutlineForTier(tierId);
+  if (!points) return null;
+
+  const tier = appState.tiers[tierId];
+  return deckingLayoutCalculations.calculateDeckingLayout(
+    points,
+    tier.structuralComponents,
+    appState.decking,
+    { cutouts: getCutoutsForTier(tierId) }
+  );
+}
+
+/**
+ * Initialize the railing step when entering it
+ */
+function initializeRailingStep() {
+  unlockRailingLayer();
+  appState.stairPlacementMode = false;
+  appState.wallSelectionMode = false;
+
+  // Ensure structure is calculated if jumping directly here
+  if (!appState.structuralComponents && appState.isShapeClosed) {
+    onStepComplete('structure');
+    triggerAutoCalculation();
+  }
+
+  setRailingMode('edges');
+  syncRailingForm();
+  recalculateAndUpdateBOM();
+  renderRailingPanel();
+  redrawApp();
+}
+
+/**
+ * Cleanup when leaving the railing step
+ */
+function cleanupRailingStep() {
+  exitRailingModes();
+}
+
+/**
+ * Turn off railing edge/gate modes and reset hover state
+ */
+function exitRailingModes() {
+  appState.railing.edgeSelectionMode = false;
+  appState.railing.gatePlacementMode = false;
+  appState.hoveredRailingEdgeIndex = -1;
+  updateRailingModeButtons();
+
+  const canvas = document.getElementById('deckCanvas');
+  if (canvas) {
+    canvas.style.cursor = 'default';
+  }
+}
+
+/**
+ * Switch between railing edge selection and gate placement
+ * @param {string} mode - 'edges' | 'gate'
+ */
+function setRailingMode(mode) {
+  appState.railing.edgeSelectionMode = mode === 'edges';
+  appState.railing.gatePlacementMode = mode === 'gate';
+  updateRailingModeButtons();
+
+  uiController.updateCanvasStatus(
+    mode === 'gate'
+      ? 'Click a railed edge to place a gate (ESC to cancel).'
+      : 'Click deck edges to add or remove railing.'
+  );
+  console.log(`[Railing] Mode: ${mode}`);
+  redrawApp();
+}
+
+function updateRailingModeButtons() {
+  const edgeBtn = document.getElementById('railingEdgeModeBtn');
+  const gateBtn = document.getElementById('railingGateModeBtn');
+  if (edgeBtn) edgeBtn.classList.toggle('active', appState.railing.edgeSelectionMode);
+  if (gateBtn) gateBtn.classList.toggle('active', appState.railing.gatePlacementMode);
+}
+
+/**
+ * Sync the railing form controls with appState.railing
+ */
+function syncRailingForm() {
+  setValue('railHeight', String(appState.railing.railHeight));
+  setValue('railPostSpacing', String(appState.railing.maxPostSpacingFt));
+  setValue('railGateWidth', String(appState.railing.gateWidthFt));
+  const capRail = document.getElementById('railCapRail');
+  if (capRail) capRail.checked = appState.railing.capRail;
+}
+
+/**
+ * Update a railing setting from the railing form
+ * @param {string} key - railHeight | maxPostSpacingFt | gateWidthFt | capRail
+ * @param {*} value - New value from the form control
+ */
+function updateRailingSetting(key, value) {
+  switch (key) {
+    case 'railHeight':
+      appState.railing.railHeight = value === 'auto' ? 'auto' : parseFloat(value);
+      break;
+    case 'maxPostSpacingFt':
+    case 'gateWidthFt':
+      appState.railing[key] = parseFloat(value) || appState.railing[key];
+      break;
+    case 'capRail':
+      appState.railing.capRail = !!value;
+      break;
+    default:
+      return;
+  }
+
+  console.log(`[Railing] ${key} changed to: ${appState.railing[key]}`);
+  recalculateAndUpdateBOM();
+  renderRailingPanel();
+  redrawApp();
+}
+
+/**
+ * Handle a canvas click while editing railing edges or placing a gate
+ */
+function handleRailingClick(modelX, modelY) {
+  if (!appState.isShapeClosed) return false;
+
+  const edgeIndex = canvasLogic.findClickedWallIndex(modelX, modelY, appState.points, appState.viewportScale);
+  if (edgeIndex < 0) return false;
+
+  const p1 = appState.points[edgeIndex];
+  const p2 = appState.points[(edgeIndex + 1) % appState.points.length];
+  if (utils.distance(p1, p2) < config.EPSILON) return false;
+
+  if (getAttachmentType() === 'house_rim' && appState.selectedWallIndices.includes(edgeIndex)) {
+    uiController.updateCanvasStatus('The house side does not get railing.');
+    return false;
+  }
+
+  if (appState.railing.gatePlacementMode) {
+    if (!appState.railingEdgeIndices.includes(edgeIndex)) {
+      uiController.updateCanvasStatus('Add railing to this edge before placing a gate.');
+      return false;
+    }
+
+    const gate = railingCalculations.placeGateOnEdge(
+      appState.points,
+      edgeIndex,
+      { x: modelX, y: modelY },
+      appState.railing.gateWidthFt
+    );
+    if (!gate) {
+      uiController.updateCanvasStatus('This edge is too short for a gate.');
+      return false;
+    }
+
+    appState.railing.gates.push({
+      ...gate,
+      id: `gate-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      tierId: appState.activeTierId
+    });
+    saveHistoryState('Add gate');
+    setRailingMode('edges');
+  } else {
+    const indices = appState.railingEdgeIndices;
+    if (indices.includes(edgeIndex)) {
+      appState.railingEdgeIndices = indices.filter(i => i !== edgeIndex);
+      // Gates can't hang on an edge without railing
+      appState.railing.gates = appState.railing.gates.filter(
+        g => !(g.edgeIndex === edgeIndex && g.tierId === appState.activeTierId)
+      );
+    } else {
+      appState.railingEdgeIndices = [...indices, edgeIndex];
+    }
+    saveHistoryState('Toggle railing edge');
+  }
+
+  recalculateAndUpdateBOM();
+  renderRailingPanel();
+  redrawApp();
+  return true;
+}
+
+/**
+ * Add railing to every edge of the active tier except the house side
+ */
+function railAllOpenEdges() {
+  if (!appState.isShapeClosed) return;
+
+  const ledgerEdges = getAttachmentType() === 'house_rim' ? appState.selectedWallIndices : [];
+  const edges = [];
+  for (let i = 0; i < appState.points.length; i++) {
+    const p1 = appState.points[i];
+    const p2 = appState.points[(i + 1) % appState.points.length];
+    if (ledgerEdges.includes(i) || utils.distance(p1, p2) < config.EPSILON) continue;
+    edges.push(i);
+  }
+
+  appState.railingEdgeIndices = edges;
+  saveHistoryState('Rail all open edges');
+  recalculateAndUpdateBOM();
+  renderRailingPanel();
+  redrawApp();
+}
+
+/**
+ * Toggle the railing on one side of a stair
+ * @param {number} index - Stair index in appState.stairs
+ * @param {string} side - 'left' | 'right' (as seen walking down)
+ */
+function toggleStairRailingSide(index, side) {
+  const stair = appState.stairs[index];
+  if (!stair) return;
+
+  stair.railingSides = { left: false, right: false, ...stair.railingSides };
+  stair.railingSides[side] = !stair.railingSides[side];
+  saveHistoryState('Toggle stair railing');
+  recalculateAndUpdateBOM();
+  renderRailingPanel();
+  redrawApp();
+}
+
+/**
+ * Remove a gate by ID
+ */
+function removeRailingGate(gateId) {
+  appState.railing.gates = appState.railing.gates.filter(g => g.id !== gateId);
+  saveHistoryState('Remove gate');
+  recalculateAndUpdateBOM();
+  renderRailingPanel();
+  redrawApp();
+}
+
+/**
+ * Render the stair sides, gates, summary and warnings in the railing panel
+ */
+function renderRailingPanel() {
+  const layout = appState.isShapeClosed ? getRailingLayoutForTier(appState.activeTierId) : null;
+
+  const stairList = document.getElementById('railingStairList');
+  if (stairList) {
+    const tierStairs = appState.stairs
+      .map((stair, index) => ({ stair, index }))
+      .filter(({ stair }) => !appState.tiersEnabled ||
+        stair.sourceTierId === appState.activeTierId ||
+        (!stair.sourceTierId && appState.activeTierId === 'upper'));
+
+    stairList.innerHTML = tierStairs.length === 0
+      ? '<p class="text-gray-500 text-sm">No stairs on this deck</p>'
+      : tierStairs.map(({ stair, index }) => {
+        const sides = stair.railingSides || {};
+        return `
+          <div class="railing-stair-item">
+            <span>Stairs ${index + 1} (${stair.calculatedNumRisers || '--'} risers)</span>
+            <label class="railing-checkbox">
+              <input type="checkbox" ${sides.left ? 'checked' : ''} onchange="toggleStairRailingSide(${index}, 'left')">
+              <span>Left</span>
+            </label>
+            <label class="railing-checkbox">
+              <input type="checkbox" ${sides.right ? 'checked' : ''} onchange="toggleStairRailingSide(${index}, 'right')">
+              <span>Right</span>
+            </label>
+          </div>
+        `;
+      }).join('');
+  }
+
+  const gateList = document.getElementById('railingGateList');
+  if (gateList) {
+    const gates = layout ? layout.gates : [];
+    gateList.innerHTML = gates.length === 0
+      ? '<p class="text-gray-500 text-sm">No gates. Use "Add Gate" then click a railed edge.</p>'
+      : gates.map(gate => `
+        <div class="breaker-board-item" data-id="${gate.id}">
+          <div class="breaker-board-info">
+            <div class="breaker-board-marker railing-gate-marker"></div>
+            <span class="breaker-board-position">${utils.formatFeetInches(gate.widthFeet)} gate on edge ${gate.edgeIndex + 1}</span>
+          </div>
+          <button class="breaker-remove-btn" onclick="removeRailingGate('${gate.id}')">Remove</button>
+        </div>
+      `).join('');
+  }
+
+  const summaryDiv = document.getElementById('railingSummary');
+  if (summaryDiv) {
+    const totals = layout ? layout.totals : null;
+    summaryDiv.innerHTML = `
+      <div class="decking-summary-header">
+        <h4>Railing Summary</h4>
+      </div>
+      <div class="decking-summary-grid">
+        <div class="decking-summary-item">
+          <span class="decking-summary-label">Height</span>
+          <span class="decking-summary-value">${layout ? layout.railHeightInches + '"' : '--'}</span>
+        </div>
+        <div class="decking-summary-item">
+          <span class="decking-summary-label">Linear Feet</span>
+          <span class="decking-summary-value">${totals ? totals.linearFeet.toFixed(1) : '--'}</span>
+        </div>
+        <div class="decking-summary-item">
+          <span class="decking-summary-label">Posts</span>
+          <span class="decking-summary-value">${totals ? totals.postCount : '--'}</span>
+        </div>
+        <div class="decking-summary-item">
+          <span class="decking-summary-label">Balusters</span>
+          <span class="decking-summary-value">${totals ? totals.balusterCount : '--'}</span>
+        </div>
+      </div>
+    `;
+  }
+
+  const warningsDiv = document.getElementById('railingWarnings');
+  if (warningsDiv) {
+    const warnings = layout ? layout.warnings : [];
+    warningsDiv.innerHTML = warnings.map(w => `<div class="railing-warning">${w}</div>`).join('');
+  }
+}
+
+// Add keyboard handler for ESC to leave gate placement
+document.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape' && appState.railing.gatePlacementMode) {
+    setRailingMode('edges');
+  }
+});
+
+// Export railing functions for onclick handlers
+window.setRailingMode = setRailingMode;
+window.updateRailingSetting = updateRailingSetting;
+window.railAllOpenEdges = railAllOpenEdges;
+window.toggleStairRailingSide = toggleStairRailingSide;
+window.removeRailingGate = removeRailingGate;
+window.renderRailingPanel = renderRailingPanel;
+
+// ================================================
+// FASCIA & SKIRTING STEP FUNCTIONS
+// ================================================
+
+/**
+ * Whether the current build mode includes the fascia & skirting step
+ */
+function isFasciaInBuild() {
+  return getVisibleSteps().includes('fascia');
+}
+
+/**
+ * Compute the fascia and skirting on a tier's exposed rim joists
+ * @param {string} tierId - Tier ID ('upper' | 'lower')
+ * @returns {Object|null} Layout from fasciaCalculations.calculateFasciaLayout
+ */
+function getFasciaLayoutForTier(tierId) {
+  const tier = appState.tiers?.[tierId];
+  if (!tier || !tier.isShapeClosed || !tier.points || tier.points.length < 3) return null;
+  const structure = tier.structuralComponents;
+  if (!structure || structure.error || !structure.rimJoists) return null;
+
+  return fasciaCalculations.calculateFasciaLayout(
+    tier.points,
+    structure.rimJoists,
+    appState.fascia,
+    {
+      deckHeightInches: getDeckHeightInchesForTier(tierId),
+      houseEdgeIndices: tier.selectedWallIndices || [],
+      deckingState: appState.decking
+    }
+  );
+}
+
+/**
+ * Initialize the fascia & skirting step when entering it
+ */
+function initializeFasciaStep() {
+  appState.stairPlacementMode = false;
+  appState.wallSelectionMode = false;
+
+  // Ensure structure is calculated if jumping directly here
+  if (!appState.structuralComponents && appState.isShapeClosed) {
+    onStepComplete('structure');
+    triggerAutoCalculation();
+  }
+
+  syncFasciaForm();
+  recalculateAndUpdateBOM();
+  renderFasciaPanel();
+  redrawApp();
+}
+
+/**
+ * Sync the fascia & skirting form controls with appState.fascia
+ */
+function syncFasciaForm() {
+  setValue('fasciaEnabled', appState.fascia.enabled ? 'yes' : 'no');
+  setValue('skirtingType', appState.fascia.skirting);
+  setValue('skirtingGroundGap', String(appState.fascia.groundGapInches));
+}
+
+/**
+ * Update a fascia or skirting setting from the form
+ * @param {string} key - enabled | skirting | groundGapInches
+ * @param {*} value - New value from the form control
+ */
+function updateFasciaSetting(key, value) {
+  switch (key) {
+    case 'enabled':
+      appState.fascia.enabled = value === 'yes';
+      break;
+    case 'skirting':
+      appState.fascia.skirting = value;
+      break;
+    case 'groundGapInches': {
+      const gap = parseFloat(value);
+      appState.fascia.groundGapInches = gap >= 0 ? gap : appState.fascia.groundGapInches;
+      break;
+    }
+    default:
+      return;
+  }
+
+  console.log(`[Fascia] ${key} changed to: ${appState.fascia[key]}`);
+  recalculateAndUpdateBOM();
+  renderFasciaPanel();
+  update3DView();
+}
+
+/**
+ * Render the fascia & skirting summary for the active tier
+ */
+function renderFasciaPanel() {
+  const layout = appState.isShapeClosed ? getFasciaLayoutForTier(appState.activeTierId) : null;
+
+  const groundGapSection = document.getElementById('skirtingGroundGapSection');
+  if (groundGapSection) {
+    groundGapSection.classList.toggle('hidden', appState.fascia.skirting === 'none');
+  }
+
+  const note = document.getElementById('fasciaProductNote');
+  if (note) {
+    note.textContent = layout && layout.fasciaEnabled
+      ? `${layout.fasciaStockName} to match the decking, on ${layout.runs.length} exposed edge${layout.runs.length === 1 ? '' : 's'}.`
+      : '';
+  }
+
+  const summaryDiv = document.getElementById('fasciaSummary');
+  if (summaryDiv) {
+    const totals = layout ? layout.totals : null;
+    const fasciaBoards = layout
+      ? Object.values(layout.fasciaStockCounts).reduce((sum, count) => sum + count, 0)
+      : 0;
+    const skirtingCount = !layout || layout.skirting === 'none'
+      ? '--'
+      : layout.skirting === 'lattice'
+        ? `${layout.latticePanelCount} panels`
+        : `${Object.values(layout.skirtingStockCounts).reduce((sum, count) => sum + count, 0)} boards`;
+    summaryDiv.innerHTML = `
+      <div class="decking-summary-header">
+        <h4>Fascia & Skirting Summary</h4>
+      </div>
+      <div class="decking-summary-grid">
+        <div class="decking-summary-item">
+          <span class="decking-summary-label">Exposed Rim</span>
+          <span class="decking-summary-value">${totals ? totals.exposedFeet.toFixed(1) + ' ft' : '--'}</span>
+        </div>
+        <div class="decking-summary-item">
+          <span class="decking-summary-label">Fascia Boards</span>
+          <span class="decking-summary-value">${layout && layout.fasciaEnabled ? fasciaBoards : '--'}</span>
+        </div>
+        <div class="decking-summary-item">
+          <span class="decking-summary-label">Skirting Area</span>
+          <span class="decking-summary-value">${totals && totals.skirtingSqFt > 0 ? totals.skirtingSqFt.toFixed(1) + ' sq ft' : '--'}</span>
+        </div>
+        <div class="decking-summary-item">
+          <span class="decking-summary-label">${layout ? layout.skirtingLabel : 'Skirting'}</span>
+          <span class="decking-summary-value">${skirtingCount}</span>
+        </div>
+      </div>
+    `;
+  }
+
+  const warningsDiv = document.getElementById('fasciaWarnings');
+  if (warningsDiv) {
+    const warnings = layout ? layout.warnings : [];
+    warningsDiv.innerHTML = warnings.map(w => `<div class="railing-warning">${w}</div>`).join('');
+  }
+}
+
+// Export fascia functions for onclick handlers
+window.updateFasciaSetting = updateFasciaSetting;
+window.renderFasciaPanel = renderFasciaPanel;
+
+// ================================================
+// HEAVY LOAD ZONES
+// ================================================
+
+/**
+ * Load zones drawn on a tier
+ * @param {string} tierId - Tier id
+ * @returns {Array} Zones for that tier
+ */
+function getLoadZonesForTier(tierId) {
+  return appState.loadZones.filter(zone => (zone.tierId || 'upper') === tierId);
+}
+
+/**
+ * Start drawing a load zone: two clicks, corner to corner or center to edge
+ */
+function startLoadZonePlacement() {
+  if (!appState.isShapeClosed) {
+    uiController.updateCanvasStatus('Draw and close the deck shape before adding a load zone.');
+    return;
+  }
+
+  const shape = document.getElementById('loadZoneShape')?.value || 'rect';
+  appState.loadZonePlacementMode = true;
+  appState.loadZonePlacementShape = shape;
+  appState.loadZoneFirstPoint = null;
+  updateLoadZonePlaceButton();
+
+  uiController.updateCanvasStatus(
+    shape === 'circle'
+      ? 'Click the center of the load zone (ESC to cancel).'
+      : 'Click one corner of the load zone (ESC to cancel).'
+  );
+  const canvas = document.getElementById('deckCanvas');
+  if (canvas) canvas.style.cursor = 'crosshair';
+  redrawApp();
+}
+
+/**
+ * Leave load zone placement without adding a zone
+ */
+function exitLoadZonePlacement() {
+  if (!appState.loadZonePlacementMode) return;
+  appState.loadZonePlacementMode = false;
+  appState.loadZoneFirstPoint = null;
+  updateLoadZonePlaceButton();
+
+  const canvas = document.getElementById('deckCanvas');
+  if (canvas) canvas.style.cursor = 'default';
+  redrawApp();
+}
+
+function updateLoadZonePlaceButton() {
+  const btn = document.getElementById('loadZonePlaceBtn');
+  if (btn) btn.classList.toggle('active', appState.loadZonePlacementMode);
+}
+
+/**
+ * Handle a canvas click while placing a load zone
+ */
+function handleLoadZoneClick(modelX, modelY) {
+  if (!appState.loadZonePlacementMode) return false;
+
+  const snappedPos = canvasLogic.getSnappedPos(modelX, modelY, [], false, false, false);
+  const shape = appState.loadZonePlacementShape;
+
+  if (!appState.loadZoneFirstPoint) {
+    appState.loadZoneFirstPoint = { x: snappedPos.x, y: snappedPos.y };
+    uiController.updateCanvasStatus(
+      shape === 'circle'
+        ? 'Click a point on the edge of the load zone.'
+        : 'Click the opposite corner of the load zone.'
+    );
+    redrawApp();
+    return true;
+  }
+
+  const zone = loadZoneCalculations.createLoadZoneFromPoints(
+    shape,
+    appState.loadZoneFirstPoint,
+    snappedPos,
+    document.getElementById('loadZoneLoadType')?.value,
+    parseFloat(document.getElementById('loadZoneLoadValue')?.value)
+  );
+  if (!zone) {
+    uiController.updateCanvasStatus('Load zone needs some size - click a different point.');
+    return false;
+  }
+
+  appState.loadZones.push({
+    ...zone,
+    id: `zone-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    tierId: appState.activeTierId,
+    label: document.getElementById('loadZoneLabel')?.value.trim() || ''
+  });
+  exitLoadZonePlacement();
+  saveHistoryState('Add load zone');
+  refreshLoadZoneFraming();
+  uiController.updateCanvasStatus('Load zone added. Framing under it has been updated.');
+  return true;
+}
+
+/**
+ * Remove a load zone and re-frame the deck
+ * @param {string} zoneId - Zone id
+ */
+function removeLoadZone(zoneId) {
+  appState.loadZones = appState.loadZones.filter(zone => zone.id !== zoneId);
+  saveHistoryState('Remove load zone');
+  refreshLoadZoneFraming();
+}
+
+// Recalculate framing after the zones change
+function refreshLoadZoneFraming() {
+  if (appState.structuralComponents && !appState.structuralComponents.error && appState.isShapeClosed) {
+    handleGeneratePlan();
+  } else {
+    redrawApp();
+  }
+  updateConfigSectionValues();
+  renderLoadZonePanel();
+}
+
+/**
+ * Render the load zone list with the framing each zone added
+ */
+function renderLoadZonePanel() {
+  const list = document.getElementById('loadZoneList');
+  if (!list) return;
+
+  const zones = getLoadZonesForTier(appState.activeTierId);
+  const summaries = appState.structuralComponents?.loadZones || [];
+
+  list.innerHTML = zones.length === 0
+    ? '<p class="text-gray-500 text-sm">No load zones. Use "Draw Load Zone" for a hot tub or planter.</p>'
+    : zones.map((zone, index) => {
+      const summary = summaries.find(s => s.id === zone.id);
+      const size = zone.shape === 'circle'
+        ? `${utils.formatFeetInches(zone.radiusFeet * 2)} dia.`
+        : `${utils.formatFeetInches(zone.widthFeet)} x ${utils.formatFeetInches(zone.depthFeet)}`;
+      const load = zone.loadType === 'total' ? `${zone.loadValue} lbs` : `${zone.loadValue} psf`;
+      const framing = summary
+        ? `${summary.joistSpacingInches}" O.C., +${summary.addedJoists} joists, +${summary.addedBeams} beams, +${summary.addedPosts} posts`
+        : '';
+      const warnings = summary ? summary.warnings.map(w => `<div class="load-zone-warning">${w}</div>`).join('') : '';
+      return `
+        <div class="load-zone-item" data-id="${zone.id}">
+          <div class="breaker-board-item">
+            <div class="breaker-board-info">
+              <div class="breaker-board-marker load-zone-marker"></div>
+              <span class="breaker-board-position">${zone.label || `Zone ${index + 1}`}: ${size}, ${load}</span>
+            </div>
+            <button class="breaker-remove-btn" onclick="removeLoadZone('${zone.id}')">Remove</button>
+          </div>
+          ${framing ? `<div class="load-zone-framing">${framing}</div>` : ''}
+          ${warnings}
+        </div>
+      `;
+    }).join('');
+}
+
+// Add keyboard handler for ESC to leave load zone placement
+document.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape' && appState.loadZonePlacementMode) {
+    exitLoadZonePlacement();
+    uiController.updateCanvasStatus('Load zone placement cancelled.');
+  }
+});
+
+// Export load zone functions for onclick handlers
+window.startLoadZonePlacement = startLoadZonePlacement;
+window.removeLoadZone = removeLoadZone;
+
+// ================================================
+// OPENINGS (CUTOUTS)
+// ================================================
+
+/**
+ * Openings drawn on a tier
+ * @param {string} tierId - Tier id
+ * @returns {Array} Cutouts for that tier
+ */
+function getCutoutsForTier(tierId) {
+  return appState.cutouts.filter(cutout => (cutout.tierId || 'upper') === tierId);
+}
+
+/**
+ * Start drawing an opening: two clicks for a rectangle or circle, or corner by corner
+ */
+function startCutoutPlacement() {
+  if (!appState.isShapeClosed) {
+    uiController.updateCanvasStatus('Draw and close the deck shape before adding an opening.');
+    return;
+  }
+
+  const shape = document.getElementById('cutoutShape')?.value || 'rect';
+  appState.cutoutPlacementMode = true;
+  appState.cutoutPlacementShape = shape;
+  appState.cutoutDraftPoints = [];
+  updateCutoutPlaceButton();
+
+  const prompts = {
+    rect: 'Click one corner of the opening (ESC to cancel).',
+    circle: 'Click the center of the opening (ESC to cancel).',
+    polygon: 'Click the corners of the opening, then click the first corner or press Enter to close it (ESC to cancel).'
+  };
+  uiController.updateCanvasStatus(prompts[shape] || prompts.rect);
+  const canvas = document.getElementById('deckCanvas');
+  if (canvas) canvas.style.cursor = 'crosshair';
+  redrawApp();
+}
+
+/**
+ * Leave opening placement without adding one
+ */
+function exitCutoutPlacement() {
+  if (!appState.cutoutPlacementMode) return;
+  appState.cutoutPlacementMode = false;
+  appState.cutoutDraftPoints = [];
+  updateCutoutPlaceButton();
+
+  const canvas = document.getElementById('deckCanvas');
+  if (canvas) canvas.style.cursor = 'default';
+  redrawApp();
+}
+
+function updateCutoutPlaceButton() {
+  const btn = document.getElementById('cutoutPlaceBtn');
+  if (btn) btn.classList.toggle('active', appState.cutoutPlacementMode);
+}
+
+/**
+ * Handle a canvas click while placing an opening
+ */
+function handleCutoutClick(modelX, modelY) {
+  if (!appState.cutoutPlacementMode) return false;
+
+  const shape = appState.cutoutPlacementShape;
+  const draft = appState.cutoutDraftPoints;
+  const snappedPos = shape === 'polygon'
+    ? canvasLogic.getSnappedPos(modelX, modelY, draft, false, true, true)
+    : canvasLogic.getSnappedPos(modelX, modelY, [], false, false, false);
+
+  if (shape === 'polygon') {
+    const closeDistance = config.SNAP_TOLERANCE_PIXELS / appState.viewportScale;
+    if (draft.length >= 3 && utils.distance(snappedPos, draft[0]) <= closeDistance) {
+      return addCutout(cutoutCalculations.createPolygonCutout(draft));
+    }
+    draft.push({ x: snappedPos.x, y: snappedPos.y });
+    uiController.updateCanvasStatus(
+      draft.length >= 3
+        ? 'Click the next corner, or click the first corner / press Enter to close the opening.'
+        : 'Click the next corner of the opening.'
+    );
+    redrawApp();
+    return true;
+  }
+
+  if (draft.length === 0) {
+    draft.push({ x: snappedPos.x, y: snappedPos.y });
+    uiController.updateCanvasStatus(
+      shape === 'circle'
+        ? 'Click a point on the edge of the opening.'
+        : 'Click the opposite corner of the opening.'
+    );
+    redrawApp();
+    return true;
+  }
+
+  return addCutout(cutoutCalculations.createCutoutFromPoints(shape, draft[0], snappedPos));
+}
+
+// Add a finished opening if it fits inside the deck clear of the others
+function addCutout(cutout) {
+  if (!cutout) {
+    uiController.updateCanvasStatus('Opening needs some size - click a different point.');
+    return false;
+  }
+
+  const problem = cutoutCalculations.validateCutoutPlacement(
+    cutout,
+    getDeckOutlinePoints(),
+    getCutoutsForTier(appState.activeTierId)
+  );
+  if (problem) {
+    uiController.updateCanvasStatus(problem);
+    if (appState.cutoutPlacementShape === 'polygon') {
+      appState.cutoutDraftPoints = [];
+      redrawApp();
+    }
+    return false;
+  }
+
+  appState.cutouts.push({
+    ...cutout,
+    id: `cutout-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    tierId: appState.activeTierId,
+    label: document.getElementById('cutoutLabel')?.value.trim() || ''
+  });
+  exitCutoutPlacement();
+  saveHistoryState('Add opening');
+  refreshCutouts();
+  uiController.updateCanvasStatus('Opening added. Joists around it are headered off.');
+  return true;
+}
+
+/**
+ * Remove an opening and re-frame the deck
+ * @param {string} cutoutId - Cutout id
+ */
+function removeCutout(cutoutId) {
+  appState.cutouts = appState.cutouts.filter(cutout => cutout.id !== cutoutId);
+  saveHistoryState('Remove opening');
+  refreshCutouts();
+}
+
+// Recalculate area and framing after the openings change
+function refreshCutouts() {
+  calculateAndUpdateDeckDimensions();
+  if (appState.structuralComponents && !appState.structuralComponents.error && appState.isShapeClosed) {
+    handleGeneratePlan();
+  } else {
+    redrawApp();
+  }
+  renderCutoutPanel();
+}
+
+/**
+ * Render the opening list with the framing each one needs
+ */
+function renderCutoutPanel() {
+  const list = document.getElementById('cutoutList');
+  if (!list) return;
+
+  const cutouts = getCutoutsForTier(appState.activeTierId);
+  const summaries = appState.structuralComponents?.cutouts || [];
+
+  list.innerHTML = cutouts.length === 0
+    ? '<p class="text-gray-500 text-sm">No openings. Use "Draw Opening" for a tree, sunken hot tub or hatch.</p>'
+    : cutouts.map((cutout, index) => {
+      const summary = summaries.find(s => s.id === cutout.id);
+      const bounds = cutoutCalculations.getCutoutBounds(cutout);
+      const size = cutout.shape === 'circle'
+        ? `${utils.formatFeetInches(cutout.radiusFeet * 2)} dia.`
+        : `${utils.formatFeetInches((bounds.maxX - bounds.minX) / config.PIXELS_PER_FOOT)} x ${utils.formatFeetInches((bounds.maxY - bounds.minY) / config.PIXELS_PER_FOOT)}`;
+      const area = `${cutoutCalculations.getCutoutAreaSqFt(cutout).toFixed(1)} sq ft`;
+      const framing = summary && summary.headeredJoists > 0
+        ? `${summary.headeredJoists} joists headered off, ${summary.tailJoists} tail joists, doubled trimmers and headers`
+        : '';
+      const warnings = summary ? summary.warnings.map(w => `<div class="load-zone-warning">${w}</div>`).join('') : '';
+      return `
+        <div class="load-zone-item" data-id="${cutout.id}">
+          <div class="breaker-board-item">
+            <div class="breaker-board-info">
+              <div class="breaker-board-marker cutout-marker"></div>
+              <span class="breaker-board-position">${cutout.label || `Opening ${index + 1}`}: ${size}, ${area}</span>
+            </div>
+            <button class="breaker-remove-btn" onclick="removeCutout('${cutout.id}')">Remove</button>
+          </div>
+          ${framing ? `<div class="load-zone-framing">${framing}</div>` : ''}
+          ${warnings}
+        </div>
+      `;
+    }).join('');
+}
+
+// ESC leaves opening placement; Enter closes a polygon opening
+document.addEventListener('keydown', (e) => {
+  if (!appState.cutoutPlacementMode) return;
+  if (e.key === 'Escape') {
+    exitCutoutPlacement();
+    uiController.updateCanvasStatus('Opening placement cancelled.');
+  } else if (e.key === 'Enter' && appState.cutoutPlacementShape === 'polygon' && appState.cutoutDraftPoints.length >= 3) {
+    e.preventDefault();
+    addCutout(cutoutCalculations.createPolygonCutout(appState.cutoutDraftPoints));
+  }
+});
+
+// Export opening functions for onclick handlers
+window.startCutoutPlacement = startCutoutPlacement;
+window.removeCutout = removeCutout;
+
+// ================================================
+// SECTION JOIST DIRECTIONS
+// ================================================
+
+/**
+ * Start picking decomposed sections to turn their joists
+ */
+function startSectionDirectionMode() {
+  if (!appState.isShapeClosed || !isComplexShape()) {
+    uiController.updateCanvasStatus('Joist direction can be set per section on decks with more than one section.');
+    return;
+  }
+  const structure = appState.structuralComponents;
+  if (structure?.wrapAround) {
+    uiController.updateCanvasStatus('A wrap-around deck frames each side square to its own wall.');
+    return;
+  }
+  if (!structure || structure.error || !structure.sectionJoistDirections) {
+    uiController.updateCanvasStatus('Generate the plan first so each section shows which way its joists run.');
+    return;
+  }
+
+  appState.sectionDirectionMode = true;
+  updateSectionDirectionButton();
+  uiController.updateCanvasStatus('Click a section to turn its joists. Click it again to set it back (ESC when done).');
+  const canvas = document.getElementById('deckCanvas');
+  if (canvas) canvas.style.cursor = 'pointer';
+  redrawApp();
+}
+
+/**
+ * Stop picking sections
+ */
+function exitSectionDirectionMode() {
+  if (!appState.sectionDirectionMode) return;
+  appState.sectionDirectionMode = false;
+  updateSectionDirectionButton();
+
+  const canvas = document.getElementById('deckCanvas');
+  if (canvas) canvas.style.cursor = 'default';
+  redrawApp();
+}
+
+function updateSectionDirectionButton() {
+  const btn = document.getElementById('sectionDirectionBtn');
+  if (btn) btn.classList.toggle('active', appState.sectionDirectionMode);
+}
+
+/**
+ * Handle a canvas click while picking sections: turns the clicked section's joists, or
+ * sets a turned section back to the deck's direction
+ */
+function handleSectionDirectionClick(modelX, modelY) {
+  if (!appState.sectionDirectionMode) return false;
+
+  const section = (appState.rectangularSections || []).find(s =>
+    shapeDecomposer.isPointInsidePolygon({ x: modelX, y: modelY }, s.corners)
+  );
+  if (!section) {
+    uiController.updateCanvasStatus('Click inside one of the deck sections.');
+    return false;
+  }
+
+  const current = (appState.structuralComponents?.sectionJoistDirections || [])
+    .find(entry => entry.sectionId === section.id);
+  if (!current) return false;
+  if (appState.sectionJoistDirections[section.id] || current.isTurned) {
+    delete appState.sectionJoistDirections[section.id];
+  } else {
+    appState.sectionJoistDirections[section.id] = current.joistsRunVertically ? 'horizontal' : 'vertical';
+  }
+
+  saveHistoryState('Change section joist direction');
+  handleGeneratePlan();
+
+  const index = appState.rectangularSections.indexOf(section) + 1;
+  uiController.updateCanvasStatus(
+    appState.sectionJoistDirections[section.id]
+      ? `Section R${index} joists turned. A beam carries them where they meet the next section.`
+      : `Section R${index} joists follow the rest of the deck again.`
+  );
+  return true;
+}
+
+// ESC stops picking sections
+document.addEventListener('keydown', (e) => {
+  if (!appState.sectionDirectionMode || e.key !== 'Escape') return;
+  exitSectionDirectionMode();
+  uiController.updateCanvasStatus('Section joist directions set.');
+});
+
+window.startSectionDirectionMode = startSectionDirectionMode;
+
+// ================================================
+// MOVED BEAMS AND POSTS
+// ================================================
+
+/**
+ * Turn beam and post dragging on or off
+ */
+function toggleFramingEditMode() {
+  if (appState.framingEditMode) {
+    exitFramingEditMode();
+    uiController.updateCanvasStatus('Moved framing set.');
+    return;
+  }
+  const structure = appState.structuralComponents;
+  if (!appState.isShapeClosed || !structure || structure.error) {
+    uiController.updateCanvasStatus('Generate the plan first, then drag its beams and posts.');
+    return;
+  }
+
+  appState.framingEditMode = true;
+  updateFramingEditButton();
+  uiController.updateCanvasStatus('Drag a drop beam across the joists or a post along its beam (ESC when done).');
+  const canvas = document.getElementById('deckCanvas');
+  if (canvas) canvas.style.cursor = 'move';
+  redrawApp();
+}
+
+/**
+ * Stop dragging beams and posts
+ */
+function exitFramingEditMode() {
+  if (!appState.framingEditMode) return;
+  appState.framingEditMode = false;
+  appState.framingDrag = null;
+  updateFramingEditButton();
+
+  const canvas = document.getElementById('deckCanvas');
+  if (canvas) canvas.style.cursor = 'default';
+  redrawApp();
+}
+
+function updateFramingEditButton() {
+  const btn = document.getElementById('framingEditBtn');
+  if (btn) btn.classList.toggle('active', appState.framingEditMode);
+}
+
+/**
+ * Pick up the beam or post under the mouse
+ * @returns {boolean} True when a drag started
+ */
+function startFramingDrag(modelMouse) {
+  const structure = appState.structuralComponents;
+  if (!structure || structure.error) return false;
+
+  const hit = framingOverrideCalculations.findFramingMemberAt(
+    structure,
+    modelMouse,
+    config.SNAP_TOLERANCE_PIXELS / appState.viewportScale
+  );
+  if (!hit) return false;
+
+  appState.framingDrag = {
+    type: hit.type,
+    member: hit.type === 'post' ? hit.post : hit.beam,
+    structure,
+    startOverrides: appState.framingOverrides,
+    moved: false,
+    lastOverride: null
+  };
+  const canvas = document.getElementById('deckCanvas');
+  if (canvas) canvas.style.cursor = 'grabbing';
+  return true;
+}
+
+/**
+ * Move the dragged member and re-frame the deck around it
+ */
+function updateFramingDrag(modelMouse) {
+  const drag = appState.framingDrag;
+  const override = drag.type === 'beam'
+    ? framingOverrideCalculations.createBeamOverride(drag.member, modelMouse)
+    : framingOverrideCalculations.createPostOverride(drag.structure, drag.member, modelMouse);
+  if (!override || JSON.stringify(override) === JSON.stringify(drag.lastOverride)) return;
+  drag.lastOverride = override;
+  drag.moved = true;
+
+  const type = drag.type === 'beam' ? 'beams' : 'posts';
+  appState.framingOverrides = framingOverrideCalculations.setFramingOverride(drag.startOverrides, type, override);
+  const structure = calculateStructuralComponents(uiController.getFormInputs());
+  if (structure && !structure.error) appState.structuralComponents = structure;
+
+  const movedFeet = drag.type === 'beam'
+    ? Math.abs(override.toCoord - override.fromCoord) / config.PIXELS_PER_FOOT
+    : utils.distance(override.from, override.to) / config.PIXELS_PER_FOOT;
+  const warnings = appState.structuralComponents?.movedFraming?.warnings || [];
+  uiController.updateCanvasStatus(
+    `${drag.type === 'beam' ? 'Beam' : 'Post'} ${utils.formatFeetInches(movedFeet)} from its automatic spot.` +
+    (warnings.length > 0 ? ` ${warnings.join(' ')}` : '')
+  );
+  redrawApp();
+}
+
+/**
+ * Drop the dragged member and refresh the plan and materials
+ */
+function finishFramingDrag() {
+  const drag = appState.framingDrag;
+  appState.framingDrag = null;
+  const canvas = document.getElementById('deckCanvas');
+  if (canvas) canvas.style.cursor = appState.framingEditMode ? 'move' : 'default';
+  if (!drag?.moved) return;
+
+  saveHistoryState(drag.type === 'beam' ? 'Move beam' : 'Move post');
+  handleGeneratePlan();
+  renderFramingOverridePanel();
+}
+
+/**
+ * Put every beam and post back where the calculator places it
+ */
+function resetFramingOverrides() {
+  const overrides = appState.framingOverrides;
+  if (!overrides || (overrides.beams.length === 0 && overrides.posts.length === 0)) return;
+  appState.framingOverrides = { beams: [], posts: [] };
+  saveHistoryState('Reset moved framing');
+  handleGeneratePlan();
+  renderFramingOverridePanel();
+  uiController.updateCanvasStatus('Beams and posts are back in their automatic spots.');
+}
+
+/**
+ * Render what has been moved and any warnings about it
+ */
+function renderFramingOverridePanel() {
+  const panel = document.getElementById('framingOverrideStatus');
+  if (!panel) return;
+
+  const moved = appState.structuralComponents?.movedFraming;
+  const beams = moved?.movedBeams || 0;
+  const posts = moved?.movedPosts || 0;
+  if (!moved || (beams === 0 && posts === 0 && moved.warnings.length === 0)) {
+    panel.innerHTML = '<p class="text-gray-500 text-sm">All beams and posts are in their automatic spots.</p>';
+    return;
+  }
+
+  const counts = [
+    beams > 0 ? `${beams} beam${beams === 1 ? '' : 's'} moved` : '',
+    posts > 0 ? `${posts} post${posts === 1 ? '' : 's'} moved` : ''
+  ].filter(Boolean).join(', ');
+  const warnings = moved.warnings.map(w => `<div class="load-zone-warning">${w}</div>`).join('');
+  panel.innerHTML = `
+    ${counts ? `<div class="load-zone-framing">${counts}</div>` : ''}
+    ${warnings}
+  `;
+}
+
+// ESC drops a drag back where it started, or stops moving framing
+document.addEventListener('keydown', (e) => {
+  if (!appState.framingEditMode || e.key !== 'Escape') return;
+  if (appState.framingDrag) {
+    const drag = appState.framingDrag;
+    appState.framingDrag = null;
+    if (drag.moved) {
+      appState.framingOverrides = drag.startOverrides;
+      appState.structuralComponents = drag.structure;
+      redrawApp();
+    }
+    uiController.updateCanvasStatus('Move cancelled.');
+    return;
+  }
+  exitFramingEditMode();
+  uiController.updateCanvasStatus('Moved framing set.');
+});
+
+window.toggleFramingEditMode = toggleFramingEditMode;
+window.resetFramingOverrides = resetFramingOverrides;
+
 // ==========================================
 // Firebase Authentication UI
 // ==========================================
@@ -0,0 +1,260 @@
+// arcCalculations.js - Curved (arc) deck edges
+// An edge bulges into a circular arc set by its sagitta: the signed offset of the arc's
+// midpoint from the chord, along the chord normal (-dy, dx). Drawings keep the straight
+// chord points plus a map of edge index -> sagitta; framing follows the arc as straight
+// facets (expandArcEdges) and the curved rim is built kerfed or laminated.
+
+import {
+  EPSILON,
+  PIXELS_PER_FOOT,
+  GRID_SPACING_PIXELS,
+  ARC_FACET_MAX_DEVIATION_INCHES,
+  ARC_MIN_SAGITTA_INCHES,
+  KERFED_RIM_MIN_RADIUS_FEET,
+  LAMINATED_RIM_PLY_THICKNESS_INCHES,
+} from "./config.js";
+
+const RIM_THICKNESS_INCHES = 1.5;
+const DEFAULT_FACET_DEVIATION_PIXELS = (ARC_FACET_MAX_DEVIATION_INCHES / 12) * PIXELS_PER_FOOT;
+
+// ================================================
+// ARC GEOMETRY
+// ================================================
+
+/**
+ * Sagitta stored for an edge, or 0 for a straight edge.
+ * @param {Object} edgeArcs - Map of edge index -> sagitta (model pixels)
+ * @param {number} edgeIndex
+ * @returns {number}
+ */
+export function getEdgeSagitta(edgeArcs, edgeIndex) {
+  const sagitta = Number(edgeArcs?.[edgeIndex]);
+  return Number.isFinite(sagitta) && Math.abs(sagitta) > EPSILON ? sagitta : 0;
+}
+
+/**
+ * Circle geometry for an edge bulged by a sagitta.
+ * @param {{x: number, y: number}} p1 - Edge start
+ * @param {{x: number, y: number}} p2 - Edge end
+ * @param {number} sagitta - Signed bulge along the chord normal (model pixels)
+ * @returns {Object|null} {center, radius, startAngle, sweep, apex, chordLength, lengthPixels,
+ *   lengthFeet, radiusFeet}, or null for a straight edge. sweep is signed; startAngle + sweep
+ *   is the angle of p2.
+ */
+export function getArcGeometry(p1, p2, sagitta) {
+  const dx = p2.x - p1.x;
+  const dy = p2.y - p1.y;
+  const chordLength = Math.hypot(dx, dy);
+  if (chordLength < EPSILON || !sagitta || Math.abs(sagitta) < EPSILON) return null;
+
+  const normal = { x: -dy / chordLength, y: dx / chordLength };
+  const mid = { x: (p1.x + p2.x) / 2, y: (p1.y + p2.y) / 2 };
+  const s = Math.abs(sagitta);
+  const radius = (chordLength * chordLength) / (8 * s) + s / 2;
+  const centerOffset = sagitta - Math.sign(sagitta) * radius;
+  const center = { x: mid.x + normal.x * centerOffset, y: mid.y + normal.y * centerOffset };
+  const apex = { x: mid.x + normal.x * sagitta, y: mid.y + normal.y * sagitta };
+
+  const sweepMagnitude = 4 * Math.atan((2 * s) / chordLength);
+  const startAngle = Math.atan2(p1.y - center.y, p1.x - center.x);
+  const apexAngle = Math.atan2(apex.y - center.y, apex.x - center.x);
+  let halfTurn = apexAngle - startAngle;
+  while (halfTurn > Math.PI) halfTurn -= 2 * Math.PI;
+  while (halfTurn <= -Math.PI) halfTurn += 2 * Math.PI;
+  const sweep = Math.sign(halfTurn) * sweepMagnitude;
+
+  const lengthPixels = radius * sweepMagnitude;
+  return {
+    center,
+    radius,
+    startAngle,
+    sweep,
+    apex,
+    chordLength,
+    lengthPixels,
+    lengthFeet: lengthPixels / PIXELS_PER_FOOT,
+    radiusFeet: radius / PIXELS_PER_FOOT,
+  };
+}
+
+/**
+ * Points along the arc between (not including) p1 and p2, spaced so the straight
+ * facets between them stay within maxDeviationPixels of the curve.
+ * @param {{x: number, y: number}} p1
+ * @param {{x: number, y: number}} p2
+ * @param {number} sagitta - Model pixels
+ * @param {number} [maxDeviationPixels]
+ * @returns {Array<{x: number, y: number}>}
+ */
+export function getArcPoints(p1, p2, sagitta, maxDeviationPixels = DEFAULT_FACET_DEVIATION_PIXELS) {
+  const arc = getArcGeometry(p1, p2, sagitta);
+  if (!arc) return [];
+
+  const deviation = Math.min(Math.max(maxDeviationPixels, EPSILON), arc.radius);
+  const maxFacetAngle = 2 * Math.acos(1 - deviation / arc.radius);
+  const facetCount = Math.max(2, Math.ceil(Math.abs(arc.sweep) / maxFacetAngle));
+
+  const points = [];
+  for (let i = 1; i < facetCount; i++) {
+    const angle = arc.startAngle + (arc.sweep * i) / facetCount;
+    points.push({
+      x: arc.center.x + arc.radius * Math.cos(angle),
+      y: arc.center.y + arc.radius * Math.sin(angle),
+    });
+  }
+  return points;
+}
+
+/**
+ * Sagitta for an edge whose midpoint is dragged to a point. Snaps to the 1" grid, is
+ * limited to a half circle, and drops to 0 (straight) when shallower than the minimum bulge.
+ * @param {{x: number, y: number}} p1
+ * @param {{x: number, y: number}} p2
+ * @param {{x: number, y: number}} point - Dragged position (model pixels)
+ * @returns {number} Sagitta in model pixels
+ */
+export function getSnappedSagitta(p1, p2, point) {
+  const dx = p2.x - p1.x;
+  const dy = p2.y - p1.y;
+  const chordLength = Math.hypot(dx, dy);
+  if (chordLength < EPSILON) return 0;
+
+  const mid = { x: (p1.x + p2.x) / 2, y: (p1.y + p2.y) / 2 };
+  const raw = ((point.x - mid.x) * -dy + (point.y - mid.y) * dx) / chordLength;
+  const limited = Math.max(-chordLength / 2, Math.min(chordLength / 2, raw));
+  const snapped = Math.round(limited / GRID_SPACING_PIXELS) * GRID_SPACING_PIXELS;
+  const minSagittaPixels = (ARC_MIN_SAGITTA_INCHES / 12) * PIXELS_PER_FOOT;
+  return Math.abs(snapped) < minSagittaPixels ? 0 : snapped;
+}
+
+// ================================================
+// OUTLINES WITH CURVED EDGES
+// ================================================
+
+function getUniqueVertexCount(points) {
+  if (points.length < 2) return points.length;
+  const first = points[0];
+  const last = points[points.length - 1];
+  const hasClosingPoint = Math.abs(first.x - last.x) < 1 && Math.abs(first.y - last.y) < 1;
+  return hasClosingPoint ? points.length - 1 : points.length;
+}
+
+/**
+ * Replaces curved edges with straight facets that follow the arc.
+ * A closing point (last point repeating the first) is kept.
+ * @param {Array<{x: number, y: number}>} points - Outline with straight chords
+ * @param {Object} edgeArcs - Map of edge index -> sagitta (model pixels)
+ * @param {Array<number>} [straightEdges] - Edges kept straight whatever their sagitta (ledgers)
+ * @param {number} [maxDeviationPixels]
+ * @returns {{points: Array, vertexIndexMap: Array<number>, arcs: Array<Object>}}
+ *   vertexIndexMap[i] is the index of original vertex i (and so of the first piece of
+ *   edge i) in the new outline. Each arc lists its original edgeIndex, chord ends, geometry,
+ *   and the new edges that facet it (facetStart, facetCount).
+ */
+export function expandArcEdges(points, edgeArcs, straightEdges = [], maxDeviationPixels = DEFAULT_FACET_DEVIATION_PIXELS) {
+  const uniqueCount = getUniqueVertexCount(points || []);
+  const result = { points: [], vertexIndexMap: [], arcs: [] };
+  if (uniqueCount < 3) {
+    result.points = (points || []).map((p) => ({ ...p }));
+    result.vertexIndexMap = result.points.map((_, i) => i);
+    return result;
+  }
+
+  for (let i = 0; i < uniqueCount; i++) {
+    const p1 = points[i];
+    const p2 = points[(i + 1) % uniqueCount];
+    result.vertexIndexMap.push(result.points.length);
+    result.points.push({ ...p1 });
+
+    const sagitta = straightEdges.includes(i) ? 0 : getEdgeSagitta(edgeArcs, i);
+    const arc = sagitta ? getArcGeometry(p1, p2, sagitta) : null;
+    if (!arc) continue;
+
+    const arcPoints = getArcPoints(p1, p2, sagitta, maxDeviationPixels);
+    result.arcs.push({
+      edgeIndex: i,
+      p1: { ...p1 },
+      p2: { ...p2 },
+      sagitta,
+      ...arc,
+      facetStart: result.points.length - 1,
+      facetCount: arcPoints.length + 1,
+    });
+    result.points.push(...arcPoints);
+  }
+
+  if (uniqueCount < points.length) {
+    result.vertexIndexMap.push(result.points.length);
+    result.points.push({ ...points[0] });
+  }
+  return result;
+}
+
+/**
+ * Area, perimeter and bounds of an outline, following its curved edges.
+ * @param {Array<{x: number, y: number}>} points - Outline with straight chords
+ * @param {Object} edgeArcs - Map of edge index -> sagitta (model pixels)
+ * @returns {{areaSqFt: number, perimeterFeet: number, minX: number, maxX: number, minY: number, maxY: number}}
+ */
+export function getOutlineMetrics(points, edgeArcs) {
+  const uniqueCount = getUniqueVertexCount(points || []);
+  let signedArea = 0;
+  let perimeter = 0;
+  for (let i = 0; i < uniqueCount; i++) {
+    const p1 = points[i];
+    const p2 = points[(i + 1) % uniqueCount];
+    signedArea += p1.x * p2.y - p2.x * p1.y;
+  }
+  signedArea /= 2;
+
+  let segmentArea = 0;
+  for (let i = 0; i < uniqueCount; i++) {
+    const p1 = points[i];
+    const p2 = points[(i + 1) % uniqueCount];
+    const arc = getArcGeometry(p1, p2, getEdgeSagitta(edgeArcs, i));
+    if (!arc) {
+      perimeter += Math.hypot(p2.x - p1.x, p2.y - p1.y);
+      continue;
+    }
+    perimeter += arc.lengthPixels;
+    // Circular segment between chord and arc; adds area when it bulges out of the outline
+    const sweep = Math.abs(arc.sweep);
+    const area = (arc.radius * arc.radius * (sweep - Math.sin(sweep))) / 2;
+    const bulge = (arc.apex.x - p1.x) * (p2.y - p1.y) - (arc.apex.y - p1.y) * (p2.x - p1.x);
+    segmentArea += Math.sign(bulge) === Math.sign(signedArea) ? area : -area;
+  }
+
+  const outline = expandArcEdges(points || [], edgeArcs, [], GRID_SPACING_PIXELS / 4).points;
+  const xs = outline.map((p) => p.x);
+  const ys = outline.map((p) => p.y);
+  const pixelsPerSqFt = PIXELS_PER_FOOT * PIXELS_PER_FOOT;
+  return {
+    areaSqFt: (Math.abs(signedArea) + segmentArea) / pixelsPerSqFt,
+    perimeterFeet: perimeter / PIXELS_PER_FOOT,
+    minX: xs.length ? Math.min(...xs) : 0,
+    maxX: xs.length ? Math.max(...xs) : 0,
+    minY: ys.length ? Math.min(...ys) : 0,
+    maxY: ys.length ? Math.max(...ys) : 0,
+  };
+}
+
+// ================================================
+// CURVED RIMS
+// ================================================
+
+/**
+ * How a curved rim is built. Gentle curves are kerfed from regular rim stock; tighter
+ * curves are glued up from thin bending plies.
+ * @param {number} radiusFeet
+ * @returns {{method: string, plies: number}} method is 'kerfed' | 'laminated';
+ *   plies is 1 for a kerfed rim
+ */
+export function getArcRimSpec(radiusFeet) {
+  if (radiusFeet >= KERFED_RIM_MIN_RADIUS_FEET) {
+    return { method: "kerfed", plies: 1 };
+  }
+  return {
+    method: "laminated",
+    plies: Math.ceil(RIM_THICKNESS_INCHES / LAMINATED_RIM_PLY_THICKNESS_INCHES),
+  };
+}
@@ -1,7 +1,29 @@
 // bomCalculations.js (v33 - Updated Landing Depths/Qty Rules)
 import { getParsedStockData } from "./dataManager.js";
-import { EPSILON } from "./config.js";
+import {
+  EPSILON,
+  ACTUAL_2X_THICKNESS_INCHES,
+  RAILING_POST_MOUNT_DEPTH_INCHES,
+  CONCRETE_BAG_YIELD_CU_FT,
+  CONCRETE_WASTE_FACTOR,
+  SONOTUBE_FORM_LENGTH_INCHES,
+  BENDING_PLY_SHEET_LENGTH_FEET,
+  BENDING_PLY_SHEET_WIDTH_INCHES,
+  CURVED_FASCIA_WIDTH_INCHES,
+  FASCIA_STOCK_LENGTH_FEET,
+  LATERAL_LOAD_SCREWS_PER_DEVICE,
+  SKEWED_HANGER_STOCK_ANGLE_DEGREES,
+  SKEWED_HANGER_STOCK_TOLERANCE_DEGREES,
+  SKEWED_HANGER_FIELD_MAX_ANGLE_DEGREES,
+  DECKING_PATTERNS,
+  DECKING_ANGLED_ESTIMATE_WASTE,
+} from "./config.js";
 import { formatFeetInches } from "./utils.js";
+import { calculateBalusterCount } from "./railingCalculations.js";
+import { getDeckingProduct, getDeckingPattern, getDeckingFastenerCount } from "./deckingProductCalculations.js";
+import { calculatePictureFrameBoards } from "./deckingLayoutCalculations.js";
+import { calculateStringerLayout } from "./stairCalculations.js";
+import { getRimDepthInches } from "./fasciaCalculations.js";
 
 // --- Stock Selection Helper Functions ---
 function findBestStockLength(requiredLengthFeet, availableStockForSize) {
@@ -88,15 +110,19 @@ function getCategoryForUsage(usage) {
     return "STAIRS";
   }
 
+  // Check for fascia and skirting before decking, since board skirting is cut from deck boards
+  if (usageStr.includes("fascia") || usageStr.includes("skirting") || usageStr.includes("lattice")) {
+    return "FASCIA & SKIRTING";
+  }
+
   // Check for decking materials
-  if (usageStr.includes("decking") || usageStr.includes("deck board") || usageStr.includes("fascia") ||
-      usageStr.includes("picture frame")) {
+  if (usageStr.includes("decking") || usageStr.includes("deck board") || usageStr.includes("picture frame")) {
     return "DECKING";
   }
 
   // Check for railing materials
   if (usageStr.includes("railing") || usageStr.includes("baluster") || usageStr.includes("handrail") ||
-      usageStr.includes("spindle") || usageStr.includes("newel")) {
+      usageStr.includes("spindle") || usageStr.includes("newel") || usageStr.includes("gate")) {
     return "RAILING";
   }
 
@@ -124,6 +150,16 @@ function getSimplifiedUsage(usage) {
   const usageStr = String(usage).toLowerCase();
 
   // Map usage strings to simple descriptions
+  if (usageStr.includes("baluster")) return "Balusters";
+  if (usageStr.includes("railing")) {
+    if (usageStr.includes("gate")) return "Railing Gate";
+    if (usageStr.includes("bolt") || usageStr.includes("screw")) return "Railing Fasteners";
+    if (usageStr.includes("post")) return "Railing Posts";
+    return "Railing";
+  }
+  if (usageStr.includes("fascia")) return "Fascia";
+  if (usageStr.includes("skirting") || usageStr.includes("lattice")) return "Skirting";
+  if (usageStr.includes("landing") && !usageStr.includes("stringer")) return "Landing";
   if (usageStr.includes("joist")) return "Joists";
   if (usageStr.includes("ledger")) return "Ledger";
   if (usageStr.includes("rim")) return "Rim Joists";
@@ -409,6 +445,28 @@ function optimizeLumberCutting(
   }
 }
 
+/**
+ * Stocked lengths of one lumber size, shortest first and cheapest first within a length
+ * @param {Array} parsedStockData - Stock data array
+ * @param {string} materialSize - Nominal size, e.g. "2x4"
+ * @returns {Array} Stock items
+ */
+function getLumberStock(parsedStockData, materialSize) {
+  return parsedStockData
+    .filter(
+      (item) =>
+        item.lumber_size === materialSize &&
+        typeof item.lumber_length_ft === "number" &&
+        item.lumber_length_ft > 0
+    )
+    .sort((a, b) => {
+      if (a.lumber_length_ft !== b.lumber_length_ft) {
+        return a.lumber_length_ft - b.lumber_length_ft;
+      }
+      return (a.retail_price || Infinity) - (b.retail_price || Infinity);
+    });
+}
+
 // --- Component Processing Functions ---
 function processLumber(structure, inputs, bomItems, parsedStockData) {
   const allLumberPieces = [
@@ -421,6 +479,15 @@ function processLumber(structure, inputs, bomItems, parsedStockData) {
           },
         ]
       : []),
+    ...(structure.wrapLedger
+      ? [
+          {
+            ...structure.wrapLedger,
+            usage: "Ledger",
+            lengthFeet: structure.wrapLedger.lengthFeet,
+          },
+        ]
+      : []),
     ...structure.beams.flatMap((beam) =>
       Array(beam.ply || 1)
         .fill(null)
@@ -440,6 +507,10 @@ function processLumber(structure, inputs, bomItems, parsedStockData) {
       return { ...j, usage };
     }),
     ...structure.rimJoists.map((r) => {
+      // Laminated curved rims are glued up on site (see processCurvedEdges)
+      if (r.isCurved) {
+        return r.rimMethod === "kerfed" ? { ...r, usage: `${r.usage} (kerfed)` } : null;
+      }
       // Include cut angle info for rim joists too
       let usage = r.usage || "Rim/End Joist";
       if (r.cutAngle && r.cutAngle !== 90) {
@@ -483,19 +554,7 @@ function processLumber(structure, inputs, bomItems, parsedStockData) {
       ...requiredLumberByMaterialSize[materialSize],
     ];
 
-    const availableStockForThisSize = parsedStockData
-      .filter(
-        (item) =>
-          item.lumber_size === materialSize &&
-          typeof item.lumber_length_ft === "number" &&
-          item.lumber_length_ft > 0
-      )
-      .sort((a, b) => {
-        if (a.lumber_length_ft !== b.lumber_length_ft) {
-          return a.lumber_length_ft - b.lumber_length_ft;
-        }
-        return (a.retail_price || Infinity) - (b.retail_price || Infinity);
-      });
+    const availableStockForThisSize = getLumberStock(parsedStockData, materialSize);
 
     if (availableStockForThisSize.length === 0) {
       piecesToCutForThisSize.forEach((piece) =>
@@ -558,43 +617,150 @@ function processLumber(structure, inputs, bomItems, parsedStockData) {
   }
 }
 
+/**
+ * Curved edges: bending ply sheets for laminated rims and flexible fascia boards, both
+ * sized from the arc length. Kerfed rims are cut from regular rim stock in processLumber.
+ * Each ply is a run of 8' strips ripped to the rim depth, joints staggered between plies.
+ * @param {Object} structure - Structural components with curved rim joists
+ * @param {Object} bomItems - BOM items object to add to
+ * @param {Array} parsedStockData - Stock data array
+ * @param {boolean} includeFascia - False when fascia is left off the build
+ */
+function processCurvedEdges(structure, bomItems, parsedStockData, includeFascia = true) {
+  const curvedRims = (structure.rimJoists || []).filter((r) => r.isCurved && r.lengthFeet > EPSILON);
+  if (curvedRims.length === 0) return;
+
+  const laminatedRims = curvedRims.filter((r) => r.rimMethod === "laminated");
+  if (laminatedRims.length > 0) {
+    const strips = laminatedRims.reduce(
+      (sum, r) => sum + r.plies * Math.ceil(r.lengthFeet / BENDING_PLY_SHEET_LENGTH_FEET - EPSILON),
+      0
+    );
+    const stripsPerSheet = Math.max(
+      1,
+      Math.floor(BENDING_PLY_SHEET_WIDTH_INCHES / Math.max(...laminatedRims.map((r) => getRimDepthInches(r.size))))
+    );
+    const plyItem = parsedStockData.find((i) => i.item?.toLowerCase().includes("bending plywood 3/8"));
+    const radiusFeet = Math.min(...laminatedRims.map((r) => r.radiusFeet));
+    addItemToBOMAggregated(
+      bomItems,
+      plyItem,
+      `Laminated Curved Rim (${laminatedRims[0].plies} plies of 3/8" bending ply, ${formatFeetInches(radiusFeet)} min radius)`,
+      Math.ceil(strips / stripsPerSheet),
+      "FRAMING"
+    );
+  }
+
+  if (!includeFascia) return;
+  const fasciaBoards = curvedRims.reduce(
+    (sum, r) =>
+      sum +
+      Math.ceil(getRimDepthInches(r.size) / CURVED_FASCIA_WIDTH_INCHES - EPSILON) *
+        Math.ceil(r.lengthFeet / FASCIA_STOCK_LENGTH_FEET - EPSILON),
+    0
+  );
+  const fasciaItem = parsedStockData.find((i) => i.item?.toLowerCase().includes("bendable pvc fascia"));
+  addItemToBOMAggregated(bomItems, fasciaItem, "Curved Fascia (bendable PVC)", fasciaBoards, "FASCIA & SKIRTING");
+}
+
+/**
+ * Finds the footing (and slab, for GH levellers) stock items for a footing type
+ * @param {string} footingType - gh_levellers | pylex | helical | concrete_pier
+ * @param {Array} parsedStockData - Stock data array
+ * @param {number} [diameterInches] - Pier diameter; picks the smallest sonotube that fits
+ * @returns {{footingItem: Object|null, slabItem: Object|null, footingDesc: string}}
+ */
+function getFootingStock(footingType, parsedStockData, diameterInches = 0) {
+  let footingItem = null,
+    slabItem = null,
+    footingDesc = "Footing";
+  if (footingType === "gh_levellers") {
+    footingItem = parsedStockData.find((i) =>
+      i.item?.toLowerCase().includes("gh deck leveller")
+    );
+    slabItem = parsedStockData.find((i) =>
+      i.item?.toLowerCase().includes("deck slab 16x16")
+    );
+    footingDesc = "GH Leveller + Slab";
+  } else if (footingType === "pylex") {
+    footingItem = parsedStockData.find((i) =>
+      i.item?.toLowerCase().includes('pylex 50" screw pile')
+    );
+    footingDesc = 'Pylex 50" Screw Pile';
+  } else if (footingType === "helical") {
+    footingItem = parsedStockData.find((i) =>
+      i.item?.toLowerCase().includes("helical screw pile installed")
+    );
+    footingDesc = "Helical Pile (Installed)";
+  } else if (footingType === "concrete_pier") {
+    footingItem =
+      parsedStockData
+        .filter((i) => i.item?.toLowerCase().includes("sonotube"))
+        .map((i) => ({ stock: i, diameter: parseInt(i.item.match(/(\d+)"/)?.[1] || "0", 10) }))
+        .filter((form) => form.diameter >= diameterInches)
+        .sort((a, b) => a.diameter - b.diameter)[0]?.stock || null;
+    footingDesc = `Sonotube Form ${diameterInches}" (Concrete Pier)`;
+  }
+  return { footingItem, slabItem, footingDesc };
+}
+
+/**
+ * Adds footing stock for a set of footings. Concrete piers are grouped by diameter so each
+ * takes a matching sonotube, with enough 4' forms stacked to reach the pier depth, and
+ * concrete bags cover the total pier volume plus waste.
+ * @param {Object} bomItems - BOM accumulator
+ * @param {Array} footings - Footings from the structure or a landing
+ * @param {string} footingType - gh_levellers | pylex | helical | concrete_pier
+ * @param {Array} parsedStockData - Stock data array
+ * @param {string} usagePrefix - Prepended to each usage (e.g. the landing name)
+ * @param {string} category - BOM category
+ */
+function addFootingItems(bomItems, footings, footingType, parsedStockData, usagePrefix, category) {
+  const groups = {};
+  footings.forEach((footing) => {
+    const diameter = footingType === "concrete_pier" ? footing.diameter || 0 : 0;
+    const forms =
+      footingType === "concrete_pier"
+        ? Math.max(1, Math.ceil((footing.depthInches || 0) / SONOTUBE_FORM_LENGTH_INCHES))
+        : 1;
+    groups[diameter] = groups[diameter] || { footingCount: 0, formCount: 0 };
+    groups[diameter].footingCount += 1;
+    groups[diameter].formCount += forms;
+  });
+
+  Object.entries(groups).forEach(([diameter, { footingCount, formCount }]) => {
+    const { footingItem, slabItem, footingDesc } = getFootingStock(
+      footingType,
+      parsedStockData,
+      Number(diameter)
+    );
+    addItemToBOMAggregated(bomItems, footingItem, `${usagePrefix}${footingDesc}`, formCount, category);
+    if (slabItem) {
+      addItemToBOMAggregated(bomItems, slabItem, `${usagePrefix}Deck Slab 16x16`, footingCount, category);
+    }
+  });
+
+  const concreteCuFt = footings.reduce((sum, footing) => sum + (footing.concreteVolumeCuFt || 0), 0);
+  if (concreteCuFt > EPSILON) {
+    const bagCount = Math.ceil((concreteCuFt * CONCRETE_WASTE_FACTOR) / CONCRETE_BAG_YIELD_CU_FT);
+    const concreteItem = parsedStockData.find((i) =>
+      i.item?.toLowerCase().includes("quikrete 30kg")
+    );
+    addItemToBOMAggregated(
+      bomItems,
+      concreteItem,
+      `${usagePrefix}Pier Concrete (${concreteCuFt.toFixed(1)} cu ft)`,
+      bagCount,
+      category
+    );
+  }
+}
+
 function processFootings(structure, inputs, bomItems, parsedStockData) {
   const footingCount = structure.footings?.length || 0;
   console.log('[BOM Footings] Footing count:', footingCount, 'Footing type:', inputs?.footingType);
   if (footingCount > 0) {
-    const footingType = inputs.footingType;
-    let footingItem = null,
-      slabItem = null,
-      footingDesc = "Footing";
-    if (footingType === "gh_levellers") {
-      footingItem = parsedStockData.find((i) =>
-        i.item?.toLowerCase().includes("gh deck leveller")
-      );
-      slabItem = parsedStockData.find((i) =>
-        i.item?.toLowerCase().includes("deck slab 16x16")
-      );
-      footingDesc = "GH Leveller + Slab";
-    } else if (footingType === "pylex") {
-      footingItem = parsedStockData.find((i) =>
-        i.item?.toLowerCase().includes('pylex 50" screw pile')
-      );
-      footingDesc = 'Pylex 50" Screw Pile';
-    } else if (footingType === "helical") {
-      footingItem = parsedStockData.find((i) =>
-        i.item?.toLowerCase().includes("helical screw pile installed")
-      );
-      footingDesc = "Helical Pile (Installed)";
-    }
-    
-    addItemToBOMAggregated(bomItems, footingItem, footingDesc, footingCount, "BEAMS & POSTS");
-    if (slabItem)
-      addItemToBOMAggregated(
-        bomItems,
-        slabItem,
-        "Deck Slab 16x16",
-        footingCount,
-        "BEAMS & POSTS"
-      );
+    addFootingItems(bomItems, structure.footings, inputs.footingType, parsedStockData, "", "BEAMS & POSTS");
   }
 }
 
@@ -637,75 +803,62 @@ function processHardwareAndAccessories(
     structure.beams?.[0]?.size ||
     "2x8";
 
+  // Ledger / wall rim fasteners from the IRC R507.9.1.3 schedule
+  const ledgerFasteners = structure.ledgerFasteners;
   console.log('[BOM Hardware] Ledger fasteners check:', {
     attachmentType: inputs.attachmentType,
-    hasLedger: !!structure.ledger,
-    ledgerLength: structure.ledger?.lengthFeet
+    spacingInches: ledgerFasteners?.spacingInches,
+    count: ledgerFasteners?.totalCount
   });
 
-  if (inputs.attachmentType === "house_rim" && structure.ledger) {
-    const lenIn = structure.ledger.lengthFeet * 12;
-    const count = Math.max(4, Math.ceil(lenIn / 16) * 2);
+  if (ledgerFasteners && ledgerFasteners.totalCount > 0) {
     const item = parsedStockData.find(
-      (i) =>
-        i.item?.toLowerCase().includes("grk rugged") &&
-        i.item?.includes('4"') &&
-        i.item?.toLowerCase().includes("single")
-    );
-    console.log('[BOM Hardware] Adding ledger fasteners:', count, 'Found item:', !!item);
-    addItemToBOMAggregated(bomItems, item, 'Ledger Fastener (GRK 4")', count, "BEAMS & POSTS");
-  } else if (
-    inputs.attachmentType === "concrete" &&
-    structure.rimJoists?.some((r) => r.usage === "Wall Rim Joist")
-  ) {
-    const wallRim = structure.rimJoists.find(
-      (r) => r.usage === "Wall Rim Joist"
+      (i) => i.item?.toLowerCase() === ledgerFasteners.stockSearch
     );
-    if (wallRim) {
-      const lenIn = wallRim.lengthFeet * 12;
-      const count = Math.max(4, Math.ceil(lenIn / 16) * 2);
-      const searchTerm = "titen hd mg 1/2x4 single";
-      const item = parsedStockData.find(
-        (i) => i.item?.toLowerCase() === searchTerm
-      );
-      addItemToBOMAggregated(
-        bomItems,
-        item,
-        "Wall Rim Fastener (Titen HD 1/2X4)",
-        count,
-        "BEAMS & POSTS"
-      );
-    }
+    const usage = ledgerFasteners.member === "Ledger"
+      ? `Ledger Fastener (${ledgerFasteners.fastenerLabel} @ ${ledgerFasteners.spacingInches}" O.C.)`
+      : `Wall Rim Fastener (${ledgerFasteners.fastenerLabel} @ ${ledgerFasteners.spacingInches}" O.C.)`;
+    console.log('[BOM Hardware] Adding ledger fasteners:', ledgerFasteners.totalCount, 'Found item:', !!item);
+    addItemToBOMAggregated(bomItems, item, usage, ledgerFasteners.totalCount, "BEAMS & POSTS");
   }
 
-  // H2.5Z hurricane ties: only for drop beam configurations
-  // One tie per joist at each drop beam intersection
-  console.log('[BOM Hardware] Hurricane ties check:', {
-    beamType: inputs.beamType,
-    beamCount: structure.beams?.length || 0,
-    beams: structure.beams?.map(b => ({ usage: b.usage, isFlush: b.isFlush }))
-  });
+  // Lateral load connectors (IRC R507.9.2): DTT2Z hold-downs at each end of the attached edge
+  const lateralLoad = structure.lateralLoad;
+  if (lateralLoad && lateralLoad.count > 0) {
+    const dttItem = parsedStockData.find((i) =>
+      i.item?.toLowerCase().includes("dtt2z")
+    );
+    console.log('[BOM Hardware] Lateral load connectors:', lateralLoad.count, 'devices:', lateralLoad.deviceCount, 'Found item:', !!dttItem);
+    addItemToBOMAggregated(
+      bomItems,
+      dttItem,
+      `Lateral Load Connector (${lateralLoad.deviceLabel})`,
+      lateralLoad.deviceCount,
+      "HARDWARE"
+    );
+    // Each device fastens to its joist with 1/4" SDS screws, not the #9 connector screws
+    addFastenerBoxes(
+      bomItems,
+      parsedStockData,
+      'simpson sds heavy-duty connector screw 1/4 x 1-1/2"',
+      lateralLoad.deviceCount * LATERAL_LOAD_SCREWS_PER_DEVICE,
+      "SDS Screws for Lateral Load Connectors",
+      "HARDWARE"
+    );
 
-  if (inputs.beamType === "drop") {
-    const dropBeamCount = structure.beams?.filter(b => !b.isFlush).length || 0;
-    console.log('[BOM Hardware] Drop beam count:', dropBeamCount);
-
-    if (dropBeamCount > 0) {
-      const joistCount = (structure.joists || []).length;
-      const endJoistCount = (structure.rimJoists || []).filter(
-        (r) => r.usage === "End Joist"
-      ).length;
-      const tieCount = (joistCount + endJoistCount) * dropBeamCount;
-      console.log('[BOM Hardware] Hurricane tie count:', tieCount, '(joists:', joistCount, 'endJoists:', endJoistCount, ')');
-
-      if (tieCount > 0) {
-        const h25Item = parsedStockData.find((i) =>
-          i.item?.toLowerCase().includes("h2.5az")
-        );
-        console.log('[BOM Hardware] H2.5AZ item found:', !!h25Item);
-        addItemToBOMAggregated(bomItems, h25Item, "H2.5 Tie (Drop Beam)", tieCount, "HARDWARE");
-        if (h25Item) totalScrews1_5 += tieCount * 10;
-      }
+    if (lateralLoad.attachmentType === "house_rim") {
+      // 1/2" threaded rod through the ledger and house rim joins each pair of devices
+      const rodItem = parsedStockData.find(
+        (i) =>
+          i.item?.toLowerCase().includes("threaded rod") &&
+          i.item?.toLowerCase().includes("1/2")
+      );
+      addItemToBOMAggregated(bomItems, rodItem, "Lateral Load Threaded Rod (1/2\")", lateralLoad.count, "HARDWARE");
+    } else {
+      const anchorItem = parsedStockData.find(
+        (i) => i.item?.toLowerCase() === "titen hd mg 1/2x4 single"
+      );
+      addItemToBOMAggregated(bomItems, anchorItem, "Lateral Load Anchor (Titen HD 1/2\")", lateralLoad.count, "HARDWARE");
     }
   }
 
@@ -714,6 +867,11 @@ function processHardwareAndAccessories(
   const candidateJoistSegmentsForHangers = (structure.joists || []).filter(
     (j) => j.usage === "Joist" || j.usage === "Picture Frame Joist"
   );
+  // Joists headered off around an opening still hang at their supports through their tail joists
+  const cutouts = structure.cutouts || [];
+  const headeredJoistSegments = cutouts.reduce((sum, c) => sum + c.headeredJoists, 0);
+  let hangersPerJoistRun = 0;
+  let numMidBeamsForHangers = 0;
 
   console.log('[BOM Hardware] Joist hanger calculation:', {
     candidateJoists: candidateJoistSegmentsForHangers.length,
@@ -722,12 +880,13 @@ function processHardwareAndAccessories(
     hasLedger: !!structure.ledger
   });
 
-  if (candidateJoistSegmentsForHangers.length > 0) {
+  if (candidateJoistSegmentsForHangers.length + headeredJoistSegments > 0) {
     // Calculate joist runs (segments may be split by mid-beams)
-    const numJoistSegments = candidateJoistSegmentsForHangers.length;
+    const numJoistSegments = candidateJoistSegmentsForHangers.length + headeredJoistSegments;
     const numMidBeams = structure.beams?.filter(
       (b) => b.usage?.includes("Mid Beam")
     ).length || 0;
+    numMidBeamsForHangers = numMidBeams;
     const numJoistRuns = numMidBeams > 0
       ? Math.ceil(numJoistSegments / (numMidBeams + 1))
       : numJoistSegments;
@@ -765,27 +924,51 @@ function processHardwareAndAccessories(
         console.log('[BOM Hardware] Adding hangers at outer beam:', numJoistRuns);
       }
     }
+    hangersPerJoistRun = hanger_count_final / numJoistRuns;
   }
 
-  console.log('[BOM Hardware] Total joist hangers:', hanger_count_final);
+  // Openings: tail joists hang from the headers, headers from the trimmers, and each
+  // trimmer pair takes a double hanger wherever a joist run would take a single one
+  const trimmerRuns = Math.ceil(
+    cutouts.reduce((sum, c) => sum + c.trimmerPlies, 0) / 2 / (numMidBeamsForHangers + 1)
+  );
+  const cutoutDoubleHangers =
+    Math.round(trimmerRuns * hangersPerJoistRun) + cutouts.reduce((sum, c) => sum + c.headerHangers, 0);
+  hanger_count_final += cutouts.reduce((sum, c) => sum + c.tailHangers, 0);
+
+  // Joists of a turned section hang on a flush junction beam where they meet the rest of the deck
+  hanger_count_final += (structure.sectionJunctions || [])
+    .filter((junction) => junction.isFlush)
+    .reduce((sum, junction) => sum + junction.endingJoists, 0);
+
+  // Joists meeting an angled ledger hang in skewed hangers instead of straight ones
+  const skewedHangerJoists = (structure.joists || []).filter(
+    (j) => j.skewHanger && (candidateJoistSegmentsForHangers.includes(j) || j.usage === "Tail Joist")
+  );
+  if (inputs.attachmentType === "house_rim" && structure.ledger) {
+    hanger_count_final = Math.max(0, hanger_count_final - skewedHangerJoists.length);
+  }
+
+  console.log('[BOM Hardware] Total joist hangers:', hanger_count_final, 'skewed:', skewedHangerJoists.length);
+
+  let hangerLookup = "";
+  let screws_1_5_per_hanger = 0;
+  let screws_2_5_per_hanger = 0;
+  if (primaryJoistSize === "2x6") {
+    hangerLookup = "lus26z";
+    screws_1_5_per_hanger = 4;
+    screws_2_5_per_hanger = 4;
+  } else if (primaryJoistSize === "2x8") {
+    hangerLookup = "lus28z";
+    screws_1_5_per_hanger = 6;
+    screws_2_5_per_hanger = 4;
+  } else if (primaryJoistSize === "2x10" || primaryJoistSize === "2x12") {
+    hangerLookup = "lus210z";
+    screws_1_5_per_hanger = 8;
+    screws_2_5_per_hanger = 4;
+  }
 
   if (hanger_count_final > 0) {
-    let hangerLookup = "";
-    let screws_1_5_per_hanger = 0;
-    let screws_2_5_per_hanger = 0;
-    if (primaryJoistSize === "2x6") {
-      hangerLookup = "lus26z";
-      screws_1_5_per_hanger = 4;
-      screws_2_5_per_hanger = 4;
-    } else if (primaryJoistSize === "2x8") {
-      hangerLookup = "lus28z";
-      screws_1_5_per_hanger = 6;
-      screws_2_5_per_hanger = 4;
-    } else if (primaryJoistSize === "2x10" || primaryJoistSize === "2x12") {
-      hangerLookup = "lus210z";
-      screws_1_5_per_hanger = 8;
-      screws_2_5_per_hanger = 4;
-    }
     if (hangerLookup) {
       const item = parsedStockData.find(
         (i) =>
@@ -806,50 +989,115 @@ function processHardwareAndAccessories(
     }
   }
 
-  const postCount = structure.posts?.length || 0;
-  console.log('[BOM Hardware] Beam connectors check:', {
-    postCount,
-    postSize: structure.posts?.[0]?.size
+  // Double hangers for opening headers and trimmers, nailed off like the single hangers
+  if (cutoutDoubleHangers > 0) {
+    const doubleModel = `LUS${primaryJoistSize === "2x10" || primaryJoistSize === "2x12" ? "210" : primaryJoistSize.replace("2x", "2")}-2Z`;
+    const item = parsedStockData.find((i) =>
+      i.item?.toLowerCase().includes(doubleModel.toLowerCase())
+    );
+    addItemToBOMAggregated(
+      bomItems,
+      item,
+      `Double Joist Hanger (${doubleModel} for Opening Header/Trimmer)`,
+      cutoutDoubleHangers,
+      "HARDWARE"
+    );
+    if (item) {
+      totalScrews1_5 += cutoutDoubleHangers * screws_1_5_per_hanger;
+      totalScrews2_5 += cutoutDoubleHangers * screws_2_5_per_hanger;
+    }
+  }
+
+  // Skewed hangers: SUL/SUR stock is a fixed 45° skew; other angles take an LSSU bent to
+  // the actual angle on site, and only skews past its range need a custom hanger
+  const skewedHangerGroups = {};
+  skewedHangerJoists.forEach((j) => {
+    const { angleDeg, hand } = j.skewHanger;
+    const size = j.size || primaryJoistSize;
+    const isDeep = size === "2x10" || size === "2x12";
+    const handLabel = hand === "right" ? "Right" : "Left";
+    const isStockSkew =
+      Math.abs(angleDeg - SKEWED_HANGER_STOCK_ANGLE_DEGREES) <= SKEWED_HANGER_STOCK_TOLERANCE_DEGREES;
+    const isFieldSkew = !isStockSkew && angleDeg <= SKEWED_HANGER_FIELD_MAX_ANGLE_DEGREES;
+    let model = null;
+    let usage = `Skewed Joist Hanger (${size} ${handLabel} ${angleDeg}°, custom skew) - No Stock`;
+    if (isStockSkew) {
+      model = `${hand === "right" ? "SUR" : "SUL"}${isDeep ? "210" : "26"}Z`;
+      usage = `Skewed Joist Hanger (${size} ${handLabel} ${SKEWED_HANGER_STOCK_ANGLE_DEGREES}°)`;
+    } else if (isFieldSkew) {
+      model = `LSSU${isDeep ? "210" : "28"}Z`;
+      usage = `Skewed Joist Hanger (${size} ${handLabel}, field-skewed to ${angleDeg}°)`;
+    }
+    const key = isStockSkew ? model : `${model}|${size}|${hand}|${angleDeg}`;
+    if (!skewedHangerGroups[key]) {
+      skewedHangerGroups[key] = {
+        item: model
+          ? parsedStockData.find((i) => i.item?.toLowerCase().includes(model.toLowerCase()))
+          : null,
+        usage,
+        qty: 0,
+      };
+    }
+    skewedHangerGroups[key].qty += 1;
+  });
+  Object.values(skewedHangerGroups).forEach(({ item, usage, qty }) => {
+    addItemToBOMAggregated(bomItems, item, usage, qty, "HARDWARE");
+    if (item) {
+      totalScrews1_5 += qty * screws_1_5_per_hanger;
+      totalScrews2_5 += qty * screws_2_5_per_hanger;
+    }
   });
 
-  if (postCount > 0 && structure.posts[0]?.size) {
-    const pSize = structure.posts[0].size;
-    const mainBeamConnectedToPosts = structure.beams?.find(
-      (b) => b.usage !== "Ledger" && b.lengthFeet > 0
-    );
-    const beamPlyForConnector =
-      mainBeamConnectedToPosts?.ply || (pSize === "6x6" ? 3 : 2);
-
-    let connectorLookup = "";
-    let screws_per_bcs = 0;
-
-    if (pSize === "4x4" && beamPlyForConnector === 2) {
-      connectorLookup = "bcs2-2/4z";
-      screws_per_bcs = 12;
-    } else if (pSize === "6x6" && beamPlyForConnector === 3) {
-      connectorLookup = "bcs2-3/6z";
-      screws_per_bcs = 16;
+  // Post connectors: caps, bases and hurricane ties from each post's connector spec
+  const connectorTotals = {};
+  const addConnector = (connector, usage, qty, screwLength) => {
+    if (!connector || qty <= 0) return;
+    const key = `${usage}|${connector.label}`;
+    if (!connectorTotals[key]) {
+      connectorTotals[key] = { connector, usage: `${usage} (${connector.label})`, qty: 0, screwLength };
     }
+    connectorTotals[key].qty += qty;
+  };
 
-    console.log('[BOM Hardware] Beam connector lookup:', connectorLookup, 'beamPly:', beamPlyForConnector);
+  (structure.posts || []).forEach((post) => {
+    const spec = post.connectors;
+    if (!spec) return;
+    addConnector(spec.cap, spec.position === "corner" ? "Corner Post Cap" : "Beam Connector", 1, 2.5);
+    addConnector(spec.base, "Post Base", 1, 1.5);
+    addConnector(spec.hurricaneTies, "H2.5 Tie (Drop Beam)", spec.hurricaneTies?.count || 0, 1.5);
+  });
 
-    if (connectorLookup) {
-      const item = parsedStockData.find(
-        (i) =>
-          i.item?.toLowerCase().includes(connectorLookup) &&
-          i.item?.toLowerCase().includes("bcs")
-      );
-      console.log('[BOM Hardware] BCS item found:', !!item);
-      addItemToBOMAggregated(
+  console.log('[BOM Hardware] Post connector totals:', Object.values(connectorTotals).map(
+    (t) => `${t.usage}: ${t.qty}`
+  ));
+
+  Object.values(connectorTotals).forEach(({ connector, usage, qty, screwLength }) => {
+    const item = parsedStockData.find((i) =>
+      i.item?.toLowerCase().includes(connector.stockSearch)
+    );
+    addItemToBOMAggregated(
+      bomItems,
+      item,
+      usage,
+      qty,
+      usage.startsWith("H2.5") ? "HARDWARE" : "BEAMS & POSTS"
+    );
+    if (!item) return;
+    if (connector.screwStockSearch) {
+      addFastenerBoxes(
         bomItems,
-        item,
-        `Beam Connector (${pSize} Post, ${beamPlyForConnector}-ply Beam)`,
-        postCount,
+        parsedStockData,
+        connector.screwStockSearch,
+        qty * connector.screws,
+        `SDS Screws for ${usage}`,
         "BEAMS & POSTS"
       );
-      if (item) totalScrews2_5 += postCount * screws_per_bcs;
+    } else if (screwLength === 2.5) {
+      totalScrews2_5 += qty * connector.screws;
+    } else if (screwLength === 1.5) {
+      totalScrews1_5 += qty * connector.screws;
     }
-  }
+  });
 
   const numCornerAngles = structure.cornerCount || 4;
   console.log('[BOM Hardware] Corner angles check:', {
@@ -950,7 +1198,8 @@ function processHardwareAndAccessories(
     let lfProtectJoistsRimsLedger =
       (structure.joists?.reduce((s, j) => s + j.lengthFeet, 0) || 0) +
       (structure.rimJoists?.reduce((s, r) => s + r.lengthFeet, 0) || 0) +
-      (structure.ledger?.lengthFeet || 0);
+      (structure.ledger?.lengthFeet || 0) +
+      (structure.wrapLedger?.lengthFeet || 0);
     const rollFt = 65;
 
     if (inputs.joistProtection === "gtape") {
@@ -1054,37 +1303,25 @@ function processStairs(
       maxAvailablePylexStepSize = 7;
     else if (allPylexStringerItems.length === 0) maxAvailablePylexStepSize = 0;
 
-    stairs.forEach((stair, index) => {
-      if (stair.calculationError) {
-        addItemToBOMAggregated(
-          bomItems,
-          null,
-          `Stair ${index + 1} - Error: ${stair.calculationError}`,
-          1,
-          "STAIRS"
-        );
-        return;
-      }
-      const stairDescSuffix = stairs.length > 1 ? ` (Stair ${index + 1})` : "";
-      let needsPylexConnectorsForThisStairSet = false;
-
+    // Stringers for one run; each run gets its own set sized to its tread count
+    const processStairRunStringers = (stair, run, descSuffix) => {
       if (
         stair.stringerType === "pylex_steel" &&
-        stair.calculatedStringerQty > 0
+        run.stringerQty > 0
       ) {
-        totalPylexStringerPiecesForFasteners += stair.calculatedStringerQty;
+        totalPylexStringerPiecesForFasteners += run.stringerQty;
         if (maxAvailablePylexStepSize === 0) {
           addItemToBOMAggregated(
             bomItems,
             null,
-            `Pylex Stringers${stairDescSuffix} - No Pylex Stock Found`,
-            stair.calculatedStringerQty,
+            `Pylex Stringers${descSuffix} - No Pylex Stock Found`,
+            run.stringerQty,
             "STAIRS"
           );
-        } else if (stair.calculatedNumSteps <= maxAvailablePylexStepSize) {
+        } else if (run.numTreads <= maxAvailablePylexStepSize) {
           const stepsToLookup = Math.min(
             maxAvailablePylexStepSize,
-            Math.max(1, stair.calculatedNumSteps || 1)
+            Math.max(1, run.numTreads || 1)
           );
           const searchTerm = `${stepsToLookup} step`.toLowerCase();
           const pylexItem = allPylexStringerItems.find((i) =>
@@ -1093,13 +1330,13 @@ function processStairs(
           addItemToBOMAggregated(
             bomItems,
             pylexItem,
-            `Pylex Stringer (${stepsToLookup}-Step)${stairDescSuffix}`,
-            stair.calculatedStringerQty,
+            `Pylex Stringer (${stepsToLookup}-Step)${descSuffix}`,
+            run.stringerQty,
             "STAIRS"
           );
         } else {
           // Need to split into multiple stringer pieces
-          let remainingSteps = stair.calculatedNumSteps;
+          let remainingSteps = run.numTreads;
           let partNumber = 1;
           let totalParts = 0;
 
@@ -1123,8 +1360,8 @@ function processStairs(
             addItemToBOMAggregated(
               bomItems,
               pylexItem,
-              `Pylex Stringer (${partSteps}-Step ${partLabel})${stairDescSuffix}`,
-              stair.calculatedStringerQty,
+              `Pylex Stringer (${partSteps}-Step ${partLabel})${descSuffix}`,
+              run.stringerQty,
               "STAIRS"
             );
 
@@ -1144,29 +1381,29 @@ function processStairs(
             addItemToBOMAggregated(
               bomItems,
               connectorItem,
-              `Pylex Stringer Connector${stairDescSuffix}`,
-              stair.calculatedStringerQty * connectorsPerStringer,
+              `Pylex Stringer Connector${descSuffix}`,
+              run.stringerQty * connectorsPerStringer,
               "STAIRS"
             );
           }
         }
       } else if (
         stair.stringerType === "lvl_wood" &&
-        stair.calculatedStringerQty > 0
+        run.stringerQty > 0
       ) {
         const maxLVLSteps = 10;
 
         // Check if stairs exceed max LVL capacity (requires landing)
-        if (stair.calculatedNumSteps > maxLVLSteps) {
+        if (run.numTreads > maxLVLSteps) {
           addItemToBOMAggregated(
             bomItems,
             null,
-            `LVL Stringer${stairDescSuffix} - LANDING REQUIRED (${stair.calculatedNumSteps} steps exceeds ${maxLVLSteps}-step max)`,
-            stair.calculatedStringerQty,
+            `LVL Stringer${descSuffix} - LANDING REQUIRED (${run.numTreads} steps exceeds ${maxLVLSteps}-step max)`,
+            run.stringerQty,
             "STAIRS"
           );
         } else {
-          const stepsToLookup = Math.max(2, stair.calculatedNumSteps || 2);
+          const stepsToLookup = Math.max(2, run.numTreads || 2);
           const searchTerm = `${stepsToLookup} step`.toLowerCase();
           const lvlItem = parsedStockData.find(
             (i) =>
@@ -1178,30 +1415,25 @@ function processStairs(
           addItemToBOMAggregated(
             bomItems,
             lvlItem,
-            `LVL Stringer (${stepsToLookup}-Step)${stairDescSuffix}`,
-            stair.calculatedStringerQty,
+            `LVL Stringer (${stepsToLookup}-Step)${descSuffix}`,
+            run.stringerQty,
             "STAIRS"
           );
         }
       } else if (
         stair.stringerType === "custom_2x12" &&
-        stair.calculatedStringerQty > 0
+        run.stringerQty > 0
       ) {
-        const totalRiseInchesForStringer =
-          stair.deckHeightInches || deckHeightInches;
-        const totalRunInchesForStringer = stair.calculatedTotalRunInches;
-        const stringerLengthFeetEach =
-          Math.sqrt(
-            Math.pow(totalRiseInchesForStringer / 12, 2) +
-              Math.pow(totalRunInchesForStringer / 12, 2)
-          ) + 0.5;
+        // Same cut length as the stringer layout sheet
+        const stringerLayout = calculateStringerLayout({ ...stair, runs: [run] })[0];
+        const stringerLengthFeetEach = stringerLayout ? stringerLayout.lengthInches / 12 : 0;
 
         if (stringerLengthFeetEach > EPSILON) {
           const stringerPiecesForOptimization = [];
-          for (let i = 0; i < stair.calculatedStringerQty; i++) {
+          for (let i = 0; i < run.stringerQty; i++) {
             stringerPiecesForOptimization.push({
               length: stringerLengthFeetEach,
-              usage: `Custom Stringer${stairDescSuffix}`,
+              usage: `Custom Stringer${descSuffix}`,
             });
           }
           const available2x12Stock = parsedStockData
@@ -1231,23 +1463,120 @@ function processStairs(
               addItemToBOMAggregated(
                 bomItems,
                 null,
-                `Custom 2x12 Stringer${stairDescSuffix} - No Stock`,
+                `Custom 2x12 Stringer${descSuffix} - No Stock`,
                 1,
                 "STAIRS"
               );
             });
           }
         }
-      } else if (stair.calculatedStringerQty > 0) {
+      } else if (run.stringerQty > 0) {
         // Fallback for unknown or missing stringer type
         addItemToBOMAggregated(
           bomItems,
           null,
-          `Stringers${stairDescSuffix} - Unknown type "${stair.stringerType || 'not specified'}"`,
-          stair.calculatedStringerQty,
+          `Stringers${descSuffix} - Unknown type "${stair.stringerType || 'not specified'}"`,
+          run.stringerQty,
           "STAIRS"
         );
       }
+    };
+
+    // Posts, footings, framing and decking for an intermediate landing
+    const processStairLanding = (landing, landingIndex, descSuffix) => {
+      const landingDesc = `Landing ${landingIndex + 1}${descSuffix}`;
+      const piecesBySize = {};
+      const addPiece = (size, length, usage) => {
+        if (!piecesBySize[size]) piecesBySize[size] = [];
+        piecesBySize[size].push({ length, usage });
+      };
+
+      landing.posts.forEach((post) =>
+        addPiece(post.size, post.heightFeet, `${landingDesc} Post`)
+      );
+      landing.framing.rimJoists.forEach((rim) =>
+        addPiece(landing.framing.size, rim.lengthFeet, `${landingDesc} Rim`)
+      );
+      landing.framing.joists.forEach((joist) =>
+        addPiece(landing.framing.size, joist.lengthFeet, `${landingDesc} Joist`)
+      );
+
+      for (const materialSize in piecesBySize) {
+        const pieces = piecesBySize[materialSize].filter((p) => p.length > EPSILON);
+        if (pieces.length === 0) continue;
+        const availableStock = parsedStockData
+          .filter(
+            (i) =>
+              i.lumber_size === materialSize &&
+              typeof i.lumber_length_ft === "number" &&
+              i.lumber_length_ft > 0
+          )
+          .sort((a, b) => a.lumber_length_ft - b.lumber_length_ft);
+        if (availableStock.length === 0) {
+          addItemToBOMAggregated(bomItems, null, `${landingDesc} (${materialSize}) - No Stock`, pieces.length, "STAIRS");
+          continue;
+        }
+        optimizeLumberCutting(pieces, materialSize, availableStock, bomItems, wrappedBomAdder);
+      }
+
+      // Landing decking in 5/4x6 PT boards
+      const boardStock = parsedStockData
+        .filter((i) => i.item?.toLowerCase().includes("5/4x6 pt brown deck board"))
+        .sort((a, b) => a.lumber_length_ft - b.lumber_length_ft);
+      const boards = Array.from({ length: landing.deckBoards.count }, () => ({
+        length: landing.deckBoards.lengthFeet,
+        usage: `${landingDesc} Decking`,
+      }));
+      if (boardStock.length > 0) {
+        optimizeLumberCutting(boards, "5/4x6", boardStock, bomItems, wrappedBomAdder);
+      } else {
+        addItemToBOMAggregated(bomItems, null, `${landingDesc} Decking - No Stock`, boards.length, "STAIRS");
+      }
+
+      addFootingItems(
+        bomItems,
+        landing.footings,
+        landing.footings[0]?.type,
+        parsedStockData,
+        `${landingDesc} `,
+        "STAIRS"
+      );
+    };
+
+    stairs.forEach((stair, index) => {
+      if (stair.calculationError) {
+        addItemToBOMAggregated(
+          bomItems,
+          null,
+          `Stair ${index + 1} - Error: ${stair.calculationError}`,
+          1,
+          "STAIRS"
+        );
+        return;
+      }
+      const stairDescSuffix = stairs.length > 1 ? ` (Stair ${index + 1})` : "";
+      // Stairs calculated before multi-run support are a single run
+      const runs = stair.runs && stair.runs.length > 0
+        ? stair.runs
+        : [{
+            numTreads: stair.calculatedNumSteps,
+            numRisers: stair.calculatedNumRisers,
+            totalRunInches: stair.calculatedTotalRunInches,
+            topHeightInches: stair.deckHeightInches || deckHeightInches,
+            bottomHeightInches: 0,
+            stringerQty: stair.calculatedStringerQty,
+          }];
+
+      runs.forEach((run, runIndex) => {
+        const runDescSuffix = runs.length > 1
+          ? ` (${stairs.length > 1 ? `Stair ${index + 1} ` : ""}Run ${runIndex + 1})`
+          : stairDescSuffix;
+        processStairRunStringers(stair, run, runDescSuffix);
+      });
+
+      stair.landings?.forEach((landing) => {
+        processStairLanding(landing, landing.index, stairDescSuffix);
+      });
 
       // Landing Materials
       if (stair.landingType === "slabs_16x16") {
@@ -1321,7 +1650,8 @@ function processStairs(
             ?.toLowerCase()
             .includes("lscz adjustable stair stringer connector")
         );
-        const numLSCZConnectors = stair.calculatedStringerQty * 1;
+        // Each run hangs its stringers from the deck rim or a landing rim
+        const numLSCZConnectors = runs.reduce((sum, run) => sum + run.stringerQty, 0);
         addItemToBOMAggregated(
           bomItems,
           lsczItem,
@@ -1359,160 +1689,287 @@ function processStairs(
  * @param {Object} deckDimensions - Deck dimensions
  * @param {Object} bomItems - BOM items object to add to
  * @param {Array} parsedStockData - Stock data array
+ * @param {Object} [deckingLayout] - Board-by-board layout from calculateDeckingLayout; its
+ *   exact counts per stock length, offcuts included, replace the area estimate
+ * @param {number} [joistSpacingInches] - Framed joist spacing; clips and composite screws go
+ *   in at every joist a board crosses
+ * @param {Array<Object>} [pictureFrameBoards] - Frame boards cut to the deck's edges
+ *   (calculatePictureFrameBoards), measured for the estimate when there is no layout
  */
-function processDeckingMaterials(deckingState, deckDimensions, bomItems, parsedStockData) {
+function processDeckingMaterials(deckingState, deckDimensions, bomItems, parsedStockData, deckingLayout = null, joistSpacingInches = 16, pictureFrameBoards = null) {
   if (!deckingState || !deckDimensions) return;
 
-  const { material, cedarSize, boardDirection, pictureFrame, breakerBoards = [] } = deckingState;
+  const { pictureFrame } = deckingState;
+  const product = getDeckingProduct(deckingState);
+  const pattern = getDeckingPattern(deckingState);
+  // Composite and PVC boards come in several colours under one stock item
+  const colorNote = product.color ? ` - ${product.color.label}` : '';
   const areaSqFt = deckDimensions.actualAreaSqFt || deckDimensions.area || 0;
   const widthFeet = deckDimensions.widthFeet || deckDimensions.width || 0;
-  const depthFeet = deckDimensions.depthFeet || deckDimensions.depth || 0;
 
   if (areaSqFt <= 0) return;
 
-  // Determine board size and coverage
-  // 5/4x6 board: 5.5" actual width, coverage ~0.458 sq ft per linear foot
-  // 5/4x5 board: 4.5" actual width, coverage ~0.375 sq ft per linear foot
-  const boardWidthInches = (material === 'cedar' && cedarSize === '5/4x5') ? 4.5 : 5.5;
-  const coveragePerLF = boardWidthInches / 12; // sq ft per linear foot
+  const addDeckBoards = (lengthFeet, boardsNeeded) => {
+    const boardSearchTerm = `${product.stockName} Deck Board ${lengthFeet}'`;
 
-  // Calculate linear feet needed
-  let linearFeetNeeded = areaSqFt / coveragePerLF;
+    const boardItem = parsedStockData.find(i =>
+      i.item?.toLowerCase().includes(boardSearchTerm.toLowerCase())
+    );
 
-  // Add waste factor
-  let wasteFactor = 1.10; // 10% base waste
-  if (boardDirection === 'diagonal') {
-    wasteFactor = 1.15; // 15% for diagonal
-  }
-  linearFeetNeeded *= wasteFactor;
-
-  // Calculate perimeter for picture frame
-  let perimeterFeet = 0;
-  if (pictureFrame !== 'none') {
-    perimeterFeet = 2 * (widthFeet + depthFeet);
-    if (pictureFrame === 'double') {
-      perimeterFeet *= 2;
+    if (boardItem) {
+      addItemToBOMAggregated(bomItems, boardItem, `Decking Boards (${lengthFeet}')${colorNote}`, boardsNeeded, "DECKING");
+    } else {
+      // Fallback - try to find any matching board
+      const fallbackItem = parsedStockData.find(i =>
+        i.item?.toLowerCase().includes(product.stockName.toLowerCase())
+      );
+      if (fallbackItem) {
+        addItemToBOMAggregated(bomItems, fallbackItem, `Decking Boards${colorNote}`, boardsNeeded, "DECKING");
+      }
+    }
+  };
+
+  if (deckingLayout) {
+    // Every board is placed, so order exactly what the layout cuts from
+    Object.keys(deckingLayout.stockCounts)
+      .map(Number)
+      .sort((a, b) => a - b)
+      .forEach((lengthFeet) => addDeckBoards(lengthFeet, deckingLayout.stockCounts[lengthFeet]));
+  } else {
+    // Determine board size and coverage
+    // 5/4x6 board: 5.5" actual width, coverage ~0.458 sq ft per linear foot
+    // 5/4x5 board: 4.5" actual width, coverage ~0.375 sq ft per linear foot
+    const coveragePerLF = product.boardWidthInches / 12; // sq ft per linear foot
+
+    // Calculate linear feet needed
+    let linearFeetNeeded = areaSqFt / coveragePerLF;
+
+    // Add waste factor for the pattern (angled straight boards waste more than square ones)
+    const wasteFactor = 1 + (pattern.id === 'straight' && pattern.angled
+      ? DECKING_ANGLED_ESTIMATE_WASTE
+      : DECKING_PATTERNS[pattern.id].estimateWaste);
+    linearFeetNeeded *= wasteFactor;
+
+    // Picture frame boards are cut to the deck's edges and openings, mitred at each corner
+    if (pictureFrame !== 'none') {
+      const frameFeet = pictureFrameBoards
+        ? pictureFrameBoards.reduce((sum, board) => sum + board.lengthFeet, 0)
+        : ((deckDimensions.perimeterFeet || 0) + (deckDimensions.cutoutPerimeterFeet || 0)) *
+          (pictureFrame === 'double' ? 2 : 1);
+      linearFeetNeeded += frameFeet * 1.1; // 10% waste for picture frame
+    }
+
+    // Determine optimal board length to use
+    const availableLengths = product.stockLengthsFeet;
+    let bestLength = 12; // Default to 12'
+
+    // Use longest practical board length based on deck dimensions
+    if (!pattern.angled) {
+      // Boards run parallel to width
+      for (let i = availableLengths.length - 1; i >= 0; i--) {
+        if (availableLengths[i] >= widthFeet) {
+          bestLength = availableLengths[i];
+          break;
+        }
+      }
+    } else {
+      // Angled boards - use longer boards
+      bestLength = 16;
     }
-    // Picture frame uses perpendicular boards - add to linear feet
-    linearFeetNeeded += perimeterFeet * 1.1; // 10% waste for picture frame
+
+    // Calculate number of boards needed
+    addDeckBoards(bestLength, Math.ceil(linearFeetNeeded / bestLength));
   }
 
-  // Determine optimal board length to use
-  const availableLengths = [8, 10, 12, 14, 16];
-  let bestLength = 12; // Default to 12'
-
-  // Use longest practical board length based on deck dimensions
-  if (boardDirection === 'horizontal') {
-    // Boards run parallel to width
-    for (let i = availableLengths.length - 1; i >= 0; i--) {
-      if (availableLengths[i] >= widthFeet) {
-        bestLength = availableLengths[i];
-        break;
+  // Fasteners follow the product: face screws, hidden screws or hidden clips
+  const fastenerCount = getDeckingFastenerCount(deckingState, areaSqFt, joistSpacingInches);
+  addFastenerBoxes(bomItems, parsedStockData, product.fastener.stockName, fastenerCount, product.fastener.label, "DECKING");
+}
+
+/**
+ * Orders boxed fasteners (items sold as "...100ct") to cover a count: as many of the largest
+ * boxes as fit, then the smallest box for the remainder.
+ * @param {Object} bomItems - BOM items object to add to
+ * @param {Array} parsedStockData - Stock data array
+ * @param {string} stockName - Item name shared by the box sizes
+ * @param {number} count - Fasteners needed
+ * @param {string} label - BOM usage
+ * @param {string} category - BOM category
+ */
+function addFastenerBoxes(bomItems, parsedStockData, stockName, count, label, category) {
+  const fastenerBoxes = parsedStockData.filter(i =>
+    i.item?.toLowerCase().includes(stockName.toLowerCase())
+  ).sort((a, b) => {
+    // Extract count from item name, largest box first
+    const aMatch = a.item.match(/(\d+)ct/);
+    const bMatch = b.item.match(/(\d+)ct/);
+    return (bMatch ? parseInt(bMatch[1]) : 0) - (aMatch ? parseInt(aMatch[1]) : 0);
+  });
+
+  if (fastenerBoxes.length > 0) {
+    // Find optimal box combination
+    let remaining = count;
+    for (const box of fastenerBoxes) {
+      const countMatch = box.item.match(/(\d+)ct/);
+      if (countMatch) {
+        const boxCount = parseInt(countMatch[1]);
+        const boxesNeeded = Math.floor(remaining / boxCount);
+        if (boxesNeeded > 0) {
+          addItemToBOMAggregated(bomItems, box, label, boxesNeeded, category);
+          remaining -= boxesNeeded * boxCount;
+        }
       }
     }
-  } else {
-    // Diagonal - use longer boards
-    bestLength = 16;
+    // Get smallest box for remainder
+    if (remaining > 0) {
+      const smallestBox = fastenerBoxes[fastenerBoxes.length - 1];
+      addItemToBOMAggregated(bomItems, smallestBox, label, 1, category);
+    }
   }
+}
+
+function processRailing(railingLayout, bomItems, parsedStockData) {
+  if (!railingLayout || railingLayout.sections.length === 0) return;
+
+  const railHeightInches = railingLayout.railHeightInches;
+  const postLengthFeet = (railHeightInches + RAILING_POST_MOUNT_DEPTH_INCHES) / 12;
+  const gateStileClearInches = 2 * ACTUAL_2X_THICKNESS_INCHES;
 
-  // Calculate number of boards needed
-  const boardsNeeded = Math.ceil(linearFeetNeeded / bestLength);
+  const piecesBySize = { "4x4": [], "2x4": [], "2x6": [] };
+  railingLayout.posts.forEach(() => {
+    piecesBySize["4x4"].push({ length: postLengthFeet, usage: "Railing Post" });
+  });
+  railingLayout.sections.forEach((section) => {
+    // Top and bottom rails between posts, plus the flat cap over the top rail
+    piecesBySize["2x4"].push({ length: section.lengthFeet, usage: "Railing Rail" });
+    piecesBySize["2x4"].push({ length: section.lengthFeet, usage: "Railing Rail" });
+    if (railingLayout.capRail) {
+      piecesBySize["2x6"].push({ length: section.lengthFeet, usage: "Railing Cap" });
+    }
+  });
+
+  let gateBalusters = 0;
+  railingLayout.gates.forEach((gate) => {
+    const gateHeightFeet = railHeightInches / 12;
+    piecesBySize["2x4"].push({ length: gate.widthFeet, usage: "Railing Gate Frame" });
+    piecesBySize["2x4"].push({ length: gate.widthFeet, usage: "Railing Gate Frame" });
+    piecesBySize["2x4"].push({ length: gateHeightFeet, usage: "Railing Gate Frame" });
+    piecesBySize["2x4"].push({ length: gateHeightFeet, usage: "Railing Gate Frame" });
+    piecesBySize["2x4"].push({
+      length: Math.hypot(gate.widthFeet, gateHeightFeet),
+      usage: "Railing Gate Brace",
+    });
+    gateBalusters += calculateBalusterCount(gate.widthFeet * 12 - gateStileClearInches);
+  });
+
+  const wrappedBomAdder = (stock, usage, qty, category = null) =>
+    addItemToBOMAggregated(bomItems, stock, usage, qty, category);
 
-  // Find the appropriate stock item
-  let boardSearchTerm = '';
-  if (material === 'pt') {
-    boardSearchTerm = `5/4x6 PT Brown Deck Board ${bestLength}'`;
-  } else if (material === 'cedar') {
-    const size = cedarSize === '5/4x5' ? '5/4x5' : '5/4x6';
-    boardSearchTerm = `${size} Cedar Deck Board ${bestLength}'`;
+  for (const materialSize in piecesBySize) {
+    const pieces = piecesBySize[materialSize].filter((p) => p.length > EPSILON);
+    if (pieces.length === 0) continue;
+    const availableStock = parsedStockData
+      .filter(
+        (item) =>
+          item.lumber_size === materialSize &&
+          typeof item.lumber_length_ft === "number" &&
+          item.lumber_length_ft > 0
+      )
+      .sort((a, b) => a.lumber_length_ft - b.lumber_length_ft);
+    if (availableStock.length === 0) {
+      addItemToBOMAggregated(bomItems, null, `Railing (${materialSize}) - No Stock`, pieces.length, "RAILING");
+      continue;
+    }
+    optimizeLumberCutting(pieces, materialSize, availableStock, bomItems, wrappedBomAdder);
   }
 
-  const boardItem = parsedStockData.find(i =>
-    i.item?.toLowerCase().includes(boardSearchTerm.toLowerCase())
+  // Balusters - 36" stock for 36" guards, 42" stock for anything taller
+  const balusterCount = railingLayout.totals.balusterCount + gateBalusters;
+  const balusterTerm = railHeightInches > 36 ? '2x2 pt brown baluster 42"' : '2x2 pt brown baluster 36"';
+  const balusterItem = parsedStockData.find((i) =>
+    i.item?.toLowerCase().includes(balusterTerm)
   );
+  addItemToBOMAggregated(bomItems, balusterItem, "Balusters", balusterCount, "RAILING");
 
-  if (boardItem) {
-    addItemToBOMAggregated(bomItems, boardItem, `Decking Boards (${bestLength}')`, boardsNeeded, "DECKING");
-  } else {
-    // Fallback - try to find any matching board
-    const fallbackTerm = material === 'pt' ? '5/4x6 PT' : '5/4x6 Cedar';
-    const fallbackItem = parsedStockData.find(i =>
-      i.item?.toLowerCase().includes(fallbackTerm.toLowerCase())
+  // Posts are through-bolted to the rim or stringer with two carriage bolts each
+  const boltItem = parsedStockData.find((i) =>
+    i.item?.toLowerCase().includes("carriage bolt hdg 1/2 x 8")
+  );
+  addItemToBOMAggregated(bomItems, boltItem, "Railing Post Bolts", railingLayout.posts.length * 2, "RAILING");
+
+  if (railingLayout.gates.length > 0) {
+    const gateKit = parsedStockData.find((i) =>
+      i.item?.toLowerCase().includes("gate hardware kit")
     );
-    if (fallbackItem) {
-      addItemToBOMAggregated(bomItems, fallbackItem, 'Decking Boards', boardsNeeded, "DECKING");
-    }
+    addItemToBOMAggregated(bomItems, gateKit, "Railing Gate Hardware", railingLayout.gates.length, "RAILING");
   }
 
-  // Calculate screws needed
-  // Approximately 2 screws per sq ft for face screwing, 1.5 for hidden
-  let screwsPerSqFt = material === 'cedar' ? 1.5 : 2; // Camo uses fewer screws
-  let totalScrews = Math.ceil(areaSqFt * screwsPerSqFt);
-
-  // Find best screw box combination
-  if (material === 'pt') {
-    // Use DSB 2-1/2" screws for 5/4 boards
-    const screwBoxes = parsedStockData.filter(i =>
-      i.item?.toLowerCase().includes('dsb deck screw 2-1/2')
-    ).sort((a, b) => {
-      // Extract count from item name
-      const aMatch = a.item.match(/(\d+)ct/);
-      const bMatch = b.item.match(/(\d+)ct/);
-      return (bMatch ? parseInt(bMatch[1]) : 0) - (aMatch ? parseInt(aMatch[1]) : 0);
-    });
+  // Screws: 2 per baluster end, 2 per rail end, cap screwed down every foot
+  const railScrews = railingLayout.sections.length * 2 * 2 * 2;
+  const capScrews = railingLayout.capRail
+    ? Math.ceil(railingLayout.totals.linearFeet) * 2
+    : 0;
+  const totalScrews = balusterCount * 4 + railScrews + capScrews;
+  const screwItem = parsedStockData.find((i) =>
+    i.item?.toLowerCase().includes('brown deck screw #8 3" per lb')
+  );
+  // Roughly 60 #8 x 3" screws per pound
+  addItemToBOMAggregated(bomItems, screwItem, "Railing Screws", Math.ceil(totalScrews / 60), "RAILING");
+}
 
-    if (screwBoxes.length > 0) {
-      // Find optimal box combination
-      let remaining = totalScrews;
-      for (const box of screwBoxes) {
-        const countMatch = box.item.match(/(\d+)ct/);
-        if (countMatch) {
-          const boxCount = parseInt(countMatch[1]);
-          const boxesNeeded = Math.floor(remaining / boxCount);
-          if (boxesNeeded > 0) {
-            addItemToBOMAggregated(bomItems, box, `Deck Screws 2-1/2"`, boxesNeeded, "DECKING");
-            remaining -= boxesNeeded * boxCount;
-          }
-        }
-      }
-      // Get smallest box for remainder
-      if (remaining > 0 && screwBoxes.length > 0) {
-        const smallestBox = screwBoxes[screwBoxes.length - 1];
-        addItemToBOMAggregated(bomItems, smallestBox, `Deck Screws 2-1/2"`, 1, "DECKING");
-      }
-    }
-  } else if (material === 'cedar') {
-    // Use Camo hidden screws
-    const camoBoxes = parsedStockData.filter(i =>
-      i.item?.toLowerCase().includes('camo hidden deck screw')
-    ).sort((a, b) => {
-      const aMatch = a.item.match(/(\d+)ct/);
-      const bMatch = b.item.match(/(\d+)ct/);
-      return (bMatch ? parseInt(bMatch[1]) : 0) - (aMatch ? parseInt(aMatch[1]) : 0);
+/**
+ * Fascia boards, skirting (lattice panels or deck boards), the 2x4 skirting framing and
+ * their screws, from a layout made by fasciaCalculations.calculateFasciaLayout.
+ * @param {Object|null} fasciaLayout - Fascia and skirting layout for the deck
+ * @param {Object} bomItems - BOM items object to add to
+ * @param {Array} parsedStockData - Stock data array
+ */
+function processFascia(fasciaLayout, bomItems, parsedStockData) {
+  if (!fasciaLayout || fasciaLayout.runs.length === 0) return;
+  const category = "FASCIA & SKIRTING";
+  const findStock = (term) => parsedStockData.find((i) => i.item?.toLowerCase().includes(term.toLowerCase()));
+
+  Object.keys(fasciaLayout.fasciaStockCounts).forEach((lengthFeet) => {
+    const fasciaItem = findStock(`${fasciaLayout.fasciaStockName} ${lengthFeet}'`);
+    addItemToBOMAggregated(bomItems, fasciaItem, `Fascia Boards (${lengthFeet}')`, fasciaLayout.fasciaStockCounts[lengthFeet], category);
+  });
+
+  if (fasciaLayout.latticePanelCount > 0) {
+    addItemToBOMAggregated(bomItems, findStock("PT Brown Lattice Panel 4x8"), "Skirting Lattice Panels", fasciaLayout.latticePanelCount, category);
+  }
+
+  // Board skirting is cut from the deck boards, in their colour
+  const colorNote = fasciaLayout.skirtingBoardColor ? ` - ${fasciaLayout.skirtingBoardColor.label}` : "";
+  Object.keys(fasciaLayout.skirtingStockCounts).forEach((lengthFeet) => {
+    const boardItem = findStock(`${fasciaLayout.skirtingBoardStockName} Deck Board ${lengthFeet}'`);
+    addItemToBOMAggregated(bomItems, boardItem, `Skirting Boards (${lengthFeet}')${colorNote}`, fasciaLayout.skirtingStockCounts[lengthFeet], category);
+  });
+
+  // Skirting studs and rails are cut from stocked lumber like the deck framing
+  const framingBySize = {};
+  fasciaLayout.framing
+    .filter((piece) => piece.lengthFeet > EPSILON)
+    .forEach((piece) => {
+      framingBySize[piece.size] = framingBySize[piece.size] || [];
+      framingBySize[piece.size].push({ length: piece.lengthFeet, usage: piece.usage });
     });
+  Object.entries(framingBySize).forEach(([materialSize, pieces]) => {
+    optimizeLumberCutting(pieces, materialSize, getLumberStock(parsedStockData, materialSize), bomItems, (stock, usage, qty) =>
+      addItemToBOMAggregated(bomItems, stock, usage, qty, category)
+    );
+  });
 
-    if (camoBoxes.length > 0) {
-      let remaining = totalScrews;
-      for (const box of camoBoxes) {
-        const countMatch = box.item.match(/(\d+)ct/);
-        if (countMatch) {
-          const boxCount = parseInt(countMatch[1]);
-          const boxesNeeded = Math.floor(remaining / boxCount);
-          if (boxesNeeded > 0) {
-            addItemToBOMAggregated(bomItems, box, 'Camo Hidden Screws', boxesNeeded, "DECKING");
-            remaining -= boxesNeeded * boxCount;
-          }
-        }
-      }
-      if (remaining > 0 && camoBoxes.length > 0) {
-        const smallestBox = camoBoxes[camoBoxes.length - 1];
-        addItemToBOMAggregated(bomItems, smallestBox, 'Camo Hidden Screws', 1, "DECKING");
-      }
-    }
+  const { face, framingScrewCount } = fasciaLayout.fasteners;
+  if (face.count > 0) {
+    addFastenerBoxes(bomItems, parsedStockData, face.stockName, face.count, face.label, category);
+  }
+  if (framingScrewCount > 0) {
+    // Roughly 60 #8 x 3" screws per pound
+    addItemToBOMAggregated(bomItems, findStock('Brown Deck Screw #8 3" per LB'), "Skirting Framing Screws", Math.ceil(framingScrewCount / 60), category);
   }
 }
 
-export function calculateBOM(structure, inputs, stairs, deckDimensions, deckingState = null) {
+export function calculateBOM(structure, inputs, stairs, deckDimensions, deckingState = null, railingLayout = null, deckingLayout = null, deckPoints = null, fasciaLayout = null) {
   const bomItems = {};
   const parsedStockData = getParsedStockData();
 
@@ -1535,6 +1992,7 @@ export function calculateBOM(structure, inputs, stairs, deckDimensions, deckingS
 
   try {
     processLumber(structure, inputs, bomItems, parsedStockData);
+    processCurvedEdges(structure, bomItems, parsedStockData, fasciaLayout?.fasciaEnabled !== false);
     processFootings(structure, inputs, bomItems, parsedStockData);
     let screwCounts = processHardwareAndAccessories(
       structure,
@@ -1554,9 +2012,22 @@ export function calculateBOM(structure, inputs, stairs, deckDimensions, deckingS
 
     // Process decking materials if decking state is provided
     if (deckingState) {
-      processDeckingMaterials(deckingState, deckDimensions, bomItems, parsedStockData);
+      processDeckingMaterials(
+        deckingState,
+        deckDimensions,
+        bomItems,
+        parsedStockData,
+        deckingLayout,
+        structure.joistSpacingInches || inputs.joistSpacing,
+        !deckingLayout && deckPoints
+          ? calculatePictureFrameBoards(deckPoints, deckingState, { cutouts: inputs.cutouts })
+          : null
+      );
     }
 
+    processRailing(railingLayout, bomItems, parsedStockData);
+    processFascia(fasciaLayout, bomItems, parsedStockData);
+
     const findBestScrewBoxes = (
       totalNeeded,
       screwDesc,
@@ -0,0 +1,344 @@
+// calculationReport.js - Structural calculation report for permit reviewers and engineers
+// Lays out, for every joist group, beam segment, post and footing, the inputs, the table or
+// formula used, the limit and pass/fail. The report is plain data so it can be exported as
+// JSON as-is, rendered to a standalone HTML document, or drawn into the PDF.
+
+import {
+  FOOTING_TYPE_LABELS,
+  MAX_POST_HEIGHT_FEET,
+  MIN_JOIST_FREQUENCY_HZ,
+  PIXELS_PER_FOOT,
+} from "./config.js";
+import {
+  getSpanTable,
+  getMaxJoistSpans,
+  getMaxBeamSpan,
+  resolveDesignLoad,
+} from "./dataManager.js";
+import { resolveDeflectionLimit, getMechanicsJoistMaxSpan } from "./mechanicsCalculations.js";
+
+const REPORT_BASIS = "IRC 2021 R507 span tables; NDS 2018 design values for member checks";
+
+const round = (value, decimals = 2) => {
+  if (value === null || value === undefined || !Number.isFinite(value)) return null;
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+const input = (name, value, unit = "") => ({ name, value: typeof value === "number" ? round(value) : value, unit });
+
+/**
+ * One pass/fail line. comparison "max" passes when value <= limit, "min" when value >= limit.
+ * @returns {{name: string, method: string, value: number, limit: number, unit: string, comparison: string, passes: boolean}}
+ */
+function check(name, method, value, limit, unit, comparison = "max") {
+  const passes =
+    value === null || limit === null || limit === undefined
+      ? false
+      : comparison === "min"
+        ? value >= limit - 1e-6
+        : value <= limit + 1e-6;
+  return { name, method, value: round(value), limit: round(limit), unit, comparison, passes };
+}
+
+// Bending, shear and deflection lines shared by joists and beams
+function memberChecks(result) {
+  return [
+    check("Bending", "fb = M / S, M = wL² / 8", result.bendingStressPsi, result.allowableBendingPsi, "psi"),
+    check("Shear", "fv = 1.5 V / A, V = wL / 2", result.shearStressPsi, result.allowableShearPsi, "psi"),
+    check(
+      "Live load deflection",
+      `Δ = 5wL⁴ / 384EI ≤ L/${result.deflectionLimit}`,
+      result.liveDeflectionIn,
+      result.allowableDeflectionIn,
+      "in"
+    ),
+  ];
+}
+
+function buildJoistItems(structure, context) {
+  const { designLoad, spanTable, deflectionLimit } = context;
+  const tableRows = getMaxJoistSpans(spanTable.key, designLoad);
+
+  return (structure.mechanics?.joists || []).map((run, index) => {
+    const tributaryWidthFt = run.spacingInches / 12;
+    const tableRow = tableRows.find((r) => r.size === run.size && r.spacing === run.spacingInches);
+    const maxSpanFt = tableRow
+      ? tableRow.maxSpanFt
+      : getMechanicsJoistMaxSpan(run.size, run.spacingInches, designLoad, spanTable.key, deflectionLimit);
+    const spanMethod = tableRow
+      ? `IRC Table R507.6 (${spanTable.label})`
+      : "Member checks (no span table row for this spacing)";
+
+    const checks = [
+      check("Joist span", spanMethod, run.spanFt, maxSpanFt, "ft"),
+      ...memberChecks(run),
+      check("Vibration", "f = π/2L² √(gEI / w_dead)", run.frequencyHz, MIN_JOIST_FREQUENCY_HZ, "Hz", "min"),
+    ];
+    return {
+      id: `J${index + 1}`,
+      label: `${run.size} @ ${run.spacingInches}" O.C.`,
+      count: run.count,
+      inputs: [
+        input("Span", run.spanFt, "ft"),
+        input("Tributary width", tributaryWidthFt, "ft"),
+        input("Design load", designLoad.totalLoadPsf, "psf"),
+        input("Line load", designLoad.totalLoadPsf * tributaryWidthFt, "plf"),
+      ],
+      checks,
+      passes: checks.every((c) => c.passes),
+    };
+  });
+}
+
+function buildBeamItems(structure, context) {
+  const { designLoad, spanTable } = context;
+
+  return (structure.mechanics?.beams || []).map((segment, index) => {
+    // IRC beam tables are indexed by the joist span the beam carries half of
+    const effectiveJoistSpanFt = segment.tributaryWidthFt * 2;
+    const maxSpanFt = getMaxBeamSpan(segment.size, segment.ply, effectiveJoistSpanFt, spanTable.key, designLoad);
+
+    const checks = [
+      check("Beam span", `IRC Table R507.5 (${spanTable.label})`, segment.spanFt, maxSpanFt, "ft"),
+      ...memberChecks(segment),
+    ];
+    return {
+      id: `B${index + 1}`,
+      label: `${segment.ply}-ply ${segment.size}${segment.usage ? ` ${segment.usage}` : ""}`,
+      count: 1,
+      inputs: [
+        input("Span (post to post)", segment.spanFt, "ft"),
+        input("Tributary width", segment.tributaryWidthFt, "ft"),
+        input("Table joist span (2 x tributary)", effectiveJoistSpanFt, "ft"),
+        input("Design load", designLoad.totalLoadPsf, "psf"),
+        input("Line load", designLoad.totalLoadPsf * segment.tributaryWidthFt, "plf"),
+      ],
+      checks,
+      passes: checks.every((c) => c.passes),
+    };
+  });
+}
+
+// Footing under a post, matched by position
+function findFootingAt(footings, post) {
+  const tolerance = PIXELS_PER_FOOT / 4;
+  return footings.find((f) => Math.abs(f.x - post.x) <= tolerance && Math.abs(f.y - post.y) <= tolerance) || null;
+}
+
+function buildPostItems(structure, context) {
+  const footings = structure.footings || [];
+
+  return (structure.posts || []).map((post, index) => {
+    const footing = findFootingAt(footings, post);
+    const loadPsf = footing?.designLoadPsf || context.designLoad.totalLoadPsf;
+    const maxHeightFt = MAX_POST_HEIGHT_FEET[post.size] ?? null;
+
+    const checks = [check("Post height", "IRC Table R507.4", post.heightFeet, maxHeightFt, "ft")];
+    return {
+      id: `P${index + 1}`,
+      label: `${post.size} post${post.usage ? ` - ${post.usage}` : ""}`,
+      count: 1,
+      inputs: [
+        input("Height", post.heightFeet, "ft"),
+        input("Tributary area", footing?.tributaryArea ?? null, "sq ft"),
+        input("Axial load", footing?.tributaryArea ? footing.tributaryArea * loadPsf : null, "lbs"),
+        input("Cap / base", [post.connectors?.cap?.label, post.connectors?.base?.label].filter(Boolean).join(" / ") || "--"),
+      ],
+      checks,
+      passes: checks.every((c) => c.passes),
+    };
+  });
+}
+
+function buildFootingItems(structure, inputs, context) {
+  const attached = inputs.attachmentType !== "floating";
+
+  return (structure.footings || []).map((footing, index) => {
+    const loadPsf = footing.designLoadPsf || context.designLoad.totalLoadPsf;
+    const loadLbs = footing.tributaryArea ? footing.tributaryArea * loadPsf : null;
+    const soilBearing = footing.soilBearingCapacity ?? context.site?.soilBearingCapacity ?? null;
+    const typeLabel = FOOTING_TYPE_LABELS[footing.type] || footing.type;
+
+    const checks = [];
+    if (footing.diameter && loadLbs && soilBearing) {
+      const requiredAreaSqFt = loadLbs / soilBearing;
+      const providedAreaSqFt = (Math.PI * Math.pow(footing.diameter / 2, 2)) / 144;
+      checks.push(check("Bearing area", "A = P / q (IRC R403.1)", requiredAreaSqFt, providedAreaSqFt, "sq ft"));
+    }
+    if (attached && footing.frostDepthInches && footing.depthInches !== null && footing.depthInches !== undefined) {
+      checks.push(check("Frost depth", "IRC R403.1.4", footing.depthInches, footing.frostDepthInches, "in", "min"));
+    }
+    return {
+      id: `F${index + 1}`,
+      label: footing.diameter ? `${footing.diameter}" ${typeLabel}` : typeLabel,
+      count: 1,
+      inputs: [
+        input("Tributary area", footing.tributaryArea ?? null, "sq ft"),
+        input("Design load", loadPsf, "psf"),
+        input("Footing load", loadLbs, "lbs"),
+        input("Soil bearing", soilBearing, "psf"),
+      ],
+      checks,
+      passes: checks.every((c) => c.passes),
+      ...(footing.warning ? { note: footing.warning } : {}),
+    };
+  });
+}
+
+/**
+ * Builds the calculation report for a generated structure.
+ * @param {Object} structure - calculateStructure / multi-section output (with mechanics)
+ * @param {Object} inputs - Form inputs used to generate it
+ * @param {Object} [options] - { title, generatedAt (ISO string) }
+ * @returns {Object} Plain-data report: criteria, sections of items with inputs and checks, summary
+ */
+export function buildCalculationReport(structure, inputs, options = {}) {
+  const designLoad = structure.designLoad || resolveDesignLoad(inputs);
+  const spanTable = structure.spanTable || getSpanTable(inputs.lumberSpecies, designLoad);
+  const deflectionLimit = structure.mechanics?.deflectionLimit || resolveDeflectionLimit(inputs.deflectionLimit);
+  const site = structure.footingSite || null;
+  const context = { designLoad, spanTable, deflectionLimit, site };
+
+  const sections = [
+    { key: "joists", title: "Joists", items: buildJoistItems(structure, context) },
+    { key: "beams", title: "Beams", items: buildBeamItems(structure, context) },
+    { key: "posts", title: "Posts", items: buildPostItems(structure, context) },
+    { key: "footings", title: "Footings", items: buildFootingItems(structure, inputs, context) },
+  ];
+  const items = sections.flatMap((section) => section.items);
+  const failures = items.filter((item) => !item.passes).map((item) => item.id);
+
+  return {
+    title: options.title || "Structural Calculation Report",
+    generatedAt: options.generatedAt || new Date().toISOString(),
+    basis: REPORT_BASIS,
+    criteria: [
+      input("Live load", designLoad.liveLoadPsf, "psf"),
+      input("Snow load", designLoad.snowLoadPsf, "psf"),
+      input("Dead load", designLoad.deadLoadPsf, "psf"),
+      input("Total design load", designLoad.totalLoadPsf, `psf (${designLoad.governs} governs)`),
+      input("Species / grade", spanTable.label),
+      input("Deflection limit", `L/${deflectionLimit}`),
+      input("Joist spacing", structure.joistSpacingInches || inputs.joistSpacing, "in O.C."),
+      input("Soil bearing", site?.soilBearingCapacity ?? null, "psf"),
+      input("Frost depth", site?.frostDepthInches ?? null, "in"),
+    ],
+    sections,
+    notes: [
+      ...(structure.mechanics?.adjustments || []),
+      ...(structure.beamWarning ? [structure.beamWarning] : []),
+      ...(structure.frostWarning ? [structure.frostWarning] : []),
+    ],
+    summary: { items: items.length, failures, allPass: failures.length === 0 },
+  };
+}
+
+const escapeHtml = (value) =>
+  String(value ?? "--")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * Formats a report value with its unit, or "--" when missing.
+ * @param {number|string|null} value
+ * @param {string} [unit]
+ * @returns {string}
+ */
+export function formatReportValue(value, unit = "") {
+  if (value === null || value === undefined || value === "") return "--";
+  return unit ? `${value} ${unit}` : String(value);
+}
+
+function renderItemHtml(item) {
+  const inputs = item.inputs
+    .map((i) => `<span class="input"><b>${escapeHtml(i.name)}:</b> ${escapeHtml(formatReportValue(i.value, i.unit))}</span>`)
+    .join("");
+  const rows = item.checks
+    .map(
+      (c) => `
+        <tr class="${c.passes ? "pass" : "fail"}">
+          <td>${escapeHtml(c.name)}</td>
+          <td>${escapeHtml(c.method)}</td>
+          <td>${escapeHtml(formatReportValue(c.value, c.unit))}</td>
+          <td>${c.comparison === "min" ? "≥" : "≤"} ${escapeHtml(formatReportValue(c.limit, c.unit))}</td>
+          <td>${c.passes ? "PASS" : "FAIL"}</td>
+        </tr>`
+    )
+    .join("");
+  return `
+    <div class="item">
+      <h3>${escapeHtml(item.id)} - ${escapeHtml(item.label)}${item.count > 1 ? ` (x${item.count})` : ""}
+        <span class="status ${item.passes ? "pass" : "fail"}">${item.passes ? "PASS" : "FAIL"}</span></h3>
+      <div class="inputs">${inputs}</div>
+      ${rows ? `<table><thead><tr><th>Check</th><th>Table / formula</th><th>Value</th><th>Limit</th><th>Result</th></tr></thead><tbody>${rows}</tbody></table>` : ""}
+      ${item.note ? `<p class="note">${escapeHtml(item.note)}</p>` : ""}
+    </div>`;
+}
+
+/**
+ * Renders the report as a standalone HTML document (inline styles, no scripts).
+ * @param {Object} report - buildCalculationReport output
+ * @returns {string} Complete HTML document
+ */
+export function renderCalculationReportHtml(report) {
+  const criteria = report.criteria
+    .map((c) => `<tr><td>${escapeHtml(c.name)}</td><td>${escapeHtml(formatReportValue(c.value, c.unit))}</td></tr>`)
+    .join("");
+  const sections = report.sections
+    .map(
+      (section) => `
+    <section>
+      <h2>${escapeHtml(section.title)}</h2>
+      ${section.items.length > 0 ? section.items.map(renderItemHtml).join("") : "<p>None</p>"}
+    </section>`
+    )
+    .join("");
+  const notes = report.notes.length
+    ? `<section><h2>Notes</h2><ul>${report.notes.map((n) => `<li>${escapeHtml(n)}</li>`).join("")}</ul></section>`
+    : "";
+  const summary = report.summary.allPass
+    ? `All ${report.summary.items} items pass.`
+    : `${report.summary.failures.length} of ${report.summary.items} items fail: ${report.summary.failures.join(", ")}.`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(report.title)}</title>
+<style>
+  body { font-family: Helvetica, Arial, sans-serif; color: #1f2937; margin: 32px; font-size: 13px; }
+  h1 { color: #133a52; margin-bottom: 4px; }
+  h2 { color: #133a52; border-bottom: 2px solid #133a52; padding-bottom: 4px; margin-top: 28px; }
+  h3 { font-size: 14px; margin: 16px 0 6px; }
+  table { border-collapse: collapse; width: 100%; margin-bottom: 8px; }
+  th, td { border: 1px solid #d1d5db; padding: 4px 8px; text-align: left; }
+  th { background: #f3f4f6; }
+  .meta { color: #6b7280; }
+  .inputs { display: flex; flex-wrap: wrap; gap: 4px 16px; margin-bottom: 6px; }
+  .status { font-size: 11px; padding: 2px 6px; border-radius: 4px; margin-left: 8px; }
+  .status.pass, tr.pass td:last-child { color: #166534; }
+  .status.fail, tr.fail td:last-child { color: #b91c1c; font-weight: bold; }
+  .status.pass { background: #dcfce7; }
+  .status.fail { background: #fee2e2; }
+  .note { color: #b45309; }
+  .criteria { width: auto; }
+</style>
+</head>
+<body>
+  <h1>${escapeHtml(report.title)}</h1>
+  <p class="meta">Generated ${escapeHtml(report.generatedAt)} &middot; ${escapeHtml(report.basis)}</p>
+  <p><strong>${escapeHtml(summary)}</strong></p>
+  <section>
+    <h2>Design Criteria</h2>
+    <table class="criteria"><tbody>${criteria}</tbody></table>
+  </section>
+  ${sections}
+  ${notes}
+  <p class="meta">Verify all values with your local building department before construction.</p>
+</body>
+</html>
+`;
+}
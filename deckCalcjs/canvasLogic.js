@@ -1,6 +1,13 @@
 // canvasLogic.js (v10 - Touch support for mobile/tablet)
 import * as config from "./config.js";
 import * as utils from "./utils.js";
+import { getStairPlanLayout } from "./stairCalculations.js";
+import { createLoadZoneFromPoints, getLoadZoneBounds } from "./loadZoneCalculations.js";
+import { snapToAngle, ALLOWED_ANGLES } from "./drawingStateMachine.js";
+import { expandArcEdges, getArcPoints } from "./arcCalculations.js";
+import { createCutoutFromPoints } from "./cutoutCalculations.js";
+import { isMovableBeam } from "./framingOverrideCalculations.js";
+import { getDeckingPattern, getDeckingProduct } from "./deckingProductCalculations.js";
 
 // --- Module State (Private) ---
 let ctx = null;
@@ -359,6 +366,14 @@ function drawDeckContent(currentCtx, state) {
       decking: true
     },
     decking = null, // Decking configuration state
+    railing = null, // Railing configuration state
+    railingLayout = null, // Computed railing posts/sections/gates for this tier
+    deckingLayout = null, // Board-by-board decking layout for this tier
+    railingEdgeIndices = [],
+    hoveredRailingEdgeIndex = -1,
+    loadZones = [], // Heavy load zones (all tiers)
+    cutouts = [], // Openings in the deck surface (all tiers)
+    edgeArcs = {}, // Curved edges: edge index -> sagitta
     wizardStep = 'draw' // Current wizard step
   } = state;
 
@@ -370,14 +385,19 @@ function drawDeckContent(currentCtx, state) {
   const scaledLineWidth = (width) =>
     Math.max(0.5 / effectiveScale, width / effectiveScale);
 
+  // Curved edges traced finely enough to look smooth at any zoom
+  const outlinePoints = isShapeClosed && Object.keys(edgeArcs || {}).length > 0
+    ? expandArcEdges(points, edgeArcs, [], config.GRID_SPACING_PIXELS / 4).points
+    : points;
+
   // Draw outline if visible
   if (points.length > 0 && layerVisibility.outline) {
     currentCtx.strokeStyle = config.DECK_OUTLINE_COLOR;
     currentCtx.lineWidth = scaledLineWidth(2);
     currentCtx.beginPath();
-    currentCtx.moveTo(points[0].x, points[0].y);
-    for (let i = 1; i < points.length; i++)
-      currentCtx.lineTo(points[i].x, points[i].y);
+    currentCtx.moveTo(outlinePoints[0].x, outlinePoints[0].y);
+    for (let i = 1; i < outlinePoints.length; i++)
+      currentCtx.lineTo(outlinePoints[i].x, outlinePoints[i].y);
 
     if (isShapeClosed) {
       currentCtx.closePath();
@@ -478,11 +498,13 @@ function drawDeckContent(currentCtx, state) {
   }
 
   // Draw decomposition shading (behind structural elements but above grid)
-  if (isShapeClosed && state.showDecompositionShading && state.rectangularSections && state.rectangularSections.length > 0) {
+  // Picking section joist directions shows the sections with the way each one's joists run
+  if (isShapeClosed && (state.showDecompositionShading || state.sectionDirectionMode) && state.rectangularSections && state.rectangularSections.length > 0) {
     drawDecompositionShading(
       currentCtx,
       state.rectangularSections,
-      effectiveScale
+      effectiveScale,
+      state.sectionDirectionMode ? state.structuralComponents?.sectionJoistDirections : null
     );
   }
 
@@ -509,6 +531,27 @@ function drawDeckContent(currentCtx, state) {
     );
   }
 
+  // Mark beams and posts moved off their automatic spots, and what can be dragged while moving them
+  if (isShapeClosed && structuralComponents && !structuralComponents.error && !state.isBlueprintMode && !isScaledForPrint) {
+    drawMovedFramingInternal(currentCtx, structuralComponents, state.framingEditMode, effectiveScale);
+  }
+
+  // Draw heavy load zones over the framing they reinforce
+  if (isShapeClosed && (loadZones.length > 0 || state.loadZonePlacementMode)) {
+    drawLoadZonesInternal(
+      currentCtx,
+      loadZones.filter((zone) => (zone.tierId || 'upper') === (state.activeTierId || 'upper')),
+      state.loadZonePlacementMode ? state.loadZoneFirstPoint : null,
+      state.loadZonePlacementShape,
+      currentModelMousePos,
+      effectiveScale,
+      state.isBlueprintMode
+    );
+  }
+
+  // Openings on the active tier cut through the decking
+  const tierCutouts = cutouts.filter((cutout) => (cutout.tierId || 'upper') === (state.activeTierId || 'upper'));
+
   // Draw decking boards if on decking step or beyond (and layer is visible)
   const showDecking = decking &&
                       isShapeClosed &&
@@ -518,11 +561,26 @@ function drawDeckContent(currentCtx, state) {
   if (showDecking) {
     drawDeckingBoards(
       currentCtx,
-      points,
+      outlinePoints,
       deckDimensions,
       decking,
       effectiveScale,
-      isScaledForPrint
+      isScaledForPrint,
+      tierCutouts,
+      deckingLayout
+    );
+  }
+
+  // Openings go over the decking so their edges stay visible
+  if (isShapeClosed && (tierCutouts.length > 0 || state.cutoutPlacementMode)) {
+    drawCutoutsInternal(
+      currentCtx,
+      tierCutouts,
+      state.cutoutPlacementMode ? state.cutoutDraftPoints : [],
+      state.cutoutPlacementShape,
+      currentModelMousePos,
+      effectiveScale,
+      state.isBlueprintMode
     );
   }
 
@@ -543,6 +601,240 @@ function drawDeckContent(currentCtx, state) {
       points
     );
   }
+
+  // Draw railing on top of decking and stairs
+  const isEditingRailing = railing && (railing.edgeSelectionMode || railing.gatePlacementMode);
+  if (isShapeClosed && (layerVisibility.railing !== false || isEditingRailing)) {
+    drawRailingInternal(
+      currentCtx,
+      railingLayout,
+      points,
+      isEditingRailing ? hoveredRailingEdgeIndex : -1,
+      railingEdgeIndices,
+      effectiveScale,
+      state.isBlueprintMode
+    );
+  }
+
+  // Connector spec for the post under the mouse
+  const hoveredPost = structuralComponents?.posts?.[state.hoveredPostIndex];
+  if (hoveredPost && hoveredPost.connectors && isShapeClosed && !isScaledForPrint && layerVisibility.posts) {
+    drawPostConnectorTooltip(currentCtx, hoveredPost, effectiveScale);
+  }
+}
+
+/**
+ * Draws a post's connector specification in a box beside the post.
+ * @param {CanvasRenderingContext2D} currentCtx - Canvas context
+ * @param {Object} post - Post with a connectors spec
+ * @param {number} scale - Viewport scale
+ */
+function drawPostConnectorTooltip(currentCtx, post, scale) {
+  const spec = post.connectors;
+  const lines = [
+    `${post.size} ${spec.position === "corner" ? "corner" : "inline"} post, ${spec.beamPly}-ply beam`,
+    `Cap: ${spec.cap ? spec.cap.label : "custom connector"}`,
+  ];
+  if (spec.base) lines.push(`Base: ${spec.base.label}`);
+  if (spec.hurricaneTies) lines.push(`Ties: ${spec.hurricaneTies.count} x ${spec.hurricaneTies.label}`);
+  spec.warnings.forEach((warning) => lines.push(warning));
+
+  const fontSize = 11 / scale;
+  const lineHeight = fontSize * 1.35;
+  const padding = 6 / scale;
+  currentCtx.save();
+  currentCtx.font = `${fontSize}px Arial`;
+  currentCtx.textAlign = "left";
+  currentCtx.textBaseline = "top";
+  const boxWidth = Math.max(...lines.map((line) => currentCtx.measureText(line).width)) + padding * 2;
+  const boxHeight = lines.length * lineHeight + padding * 2;
+  const boxX = post.x + 10 / scale;
+  const boxY = post.y - boxHeight - 10 / scale;
+
+  currentCtx.fillStyle = "rgba(17, 24, 39, 0.9)";
+  currentCtx.beginPath();
+  currentCtx.roundRect(boxX, boxY, boxWidth, boxHeight, 4 / scale);
+  currentCtx.fill();
+
+  lines.forEach((line, index) => {
+    currentCtx.fillStyle = index >= lines.length - spec.warnings.length ? "#FCD34D" : "#FFFFFF";
+    currentCtx.fillText(line, boxX + padding, boxY + padding + index * lineHeight);
+  });
+  currentCtx.restore();
+}
+
+/**
+ * Draws load zone outlines and the zone being placed.
+ * @param {CanvasRenderingContext2D} currentCtx - Canvas context
+ * @param {Array} zones - Load zones on the active tier
+ * @param {{x: number, y: number}|null} firstPoint - First click of a zone being placed
+ * @param {string} placementShape - 'rect' | 'circle' for the zone being placed
+ * @param {{x: number, y: number}|null} mousePos - Current model mouse position
+ * @param {number} scale - Viewport scale
+ * @param {boolean} isBlueprintMode - Blueprint styling
+ */
+function drawLoadZonesInternal(currentCtx, zones, firstPoint, placementShape, mousePos, scale, isBlueprintMode = false) {
+  if (!currentCtx || scale === 0) return;
+  const color = isBlueprintMode ? config.BLUEPRINT_LINE_MEDIUM : config.LOAD_ZONE_COLOR;
+
+  const traceZone = (zone) => {
+    currentCtx.beginPath();
+    if (zone.shape === "circle") {
+      currentCtx.arc(zone.centerX, zone.centerY, zone.radiusFeet * config.PIXELS_PER_FOOT, 0, Math.PI * 2);
+    } else {
+      const b = getLoadZoneBounds(zone);
+      currentCtx.rect(b.minX, b.minY, b.maxX - b.minX, b.maxY - b.minY);
+    }
+  };
+
+  currentCtx.save();
+  currentCtx.strokeStyle = color;
+  currentCtx.lineWidth = Math.max(0.5 / scale, 2 / scale);
+  currentCtx.setLineDash([8 / scale, 4 / scale]);
+
+  zones.forEach((zone) => {
+    traceZone(zone);
+    if (!isBlueprintMode) {
+      currentCtx.fillStyle = "rgba(219, 39, 119, 0.08)";
+      currentCtx.fill();
+    }
+    currentCtx.stroke();
+
+    const load = zone.loadType === "total" ? `${zone.loadValue} lbs` : `${zone.loadValue} psf`;
+    currentCtx.fillStyle = color;
+    currentCtx.font = `bold ${12 / scale}px Arial`;
+    currentCtx.textAlign = "center";
+    currentCtx.textBaseline = "middle";
+    currentCtx.fillText(zone.label ? `${zone.label} (${load})` : load, zone.centerX, zone.centerY);
+  });
+
+  // Rubber-band preview while placing
+  if (firstPoint && mousePos) {
+    const preview = createLoadZoneFromPoints(placementShape, firstPoint, mousePos, "psf", 0);
+    if (preview) {
+      currentCtx.globalAlpha = 0.6;
+      traceZone(preview);
+      currentCtx.stroke();
+    }
+  }
+  currentCtx.restore();
+}
+
+/**
+ * Highlights moved beams (with their automatic line ghosted) and moved posts. While beams and
+ * posts can be dragged, every movable beam gets a light dashed outline.
+ * @param {CanvasRenderingContext2D} currentCtx
+ * @param {Object} components - Calculated structure
+ * @param {boolean} isEditing - Beam and post dragging is on
+ * @param {number} scale - Viewport scale
+ */
+function drawMovedFramingInternal(currentCtx, components, isEditing, scale) {
+  if (!currentCtx || scale === 0) return;
+  const beams = components.beams || [];
+  const movedPosts = (components.posts || []).filter((post) => post.isMoved);
+  if (!isEditing && movedPosts.length === 0 && !beams.some((beam) => beam.isMoved)) return;
+
+  currentCtx.save();
+  currentCtx.strokeStyle = config.MOVED_FRAMING_COLOR;
+  currentCtx.lineCap = "round";
+
+  beams.forEach((beam) => {
+    if (beam.isMoved) {
+      // Where the beam would have gone
+      const offset = beam.moveOffset || { x: 0, y: 0 };
+      currentCtx.globalAlpha = 0.5;
+      currentCtx.lineWidth = 2 / scale;
+      currentCtx.setLineDash([6 / scale, 4 / scale]);
+      currentCtx.beginPath();
+      currentCtx.moveTo(beam.p1.x - offset.x, beam.p1.y - offset.y);
+      currentCtx.lineTo(beam.p2.x - offset.x, beam.p2.y - offset.y);
+      currentCtx.stroke();
+
+      currentCtx.globalAlpha = 1;
+      currentCtx.lineWidth = 4 / scale;
+      currentCtx.setLineDash([]);
+    } else if (isEditing && isMovableBeam(beam)) {
+      currentCtx.globalAlpha = 0.6;
+      currentCtx.lineWidth = 2 / scale;
+      currentCtx.setLineDash([4 / scale, 4 / scale]);
+    } else {
+      return;
+    }
+    currentCtx.beginPath();
+    currentCtx.moveTo(beam.p1.x, beam.p1.y);
+    currentCtx.lineTo(beam.p2.x, beam.p2.y);
+    currentCtx.stroke();
+  });
+
+  currentCtx.globalAlpha = 1;
+  currentCtx.lineWidth = 2 / scale;
+  currentCtx.setLineDash([]);
+  movedPosts.forEach((post) => {
+    currentCtx.beginPath();
+    currentCtx.arc(post.x, post.y, 10 / scale, 0, Math.PI * 2);
+    currentCtx.stroke();
+  });
+  currentCtx.restore();
+}
+
+/**
+ * Draws openings as holes through the deck, plus the outline of the one being drawn
+ * @param {CanvasRenderingContext2D} currentCtx
+ * @param {Array} cutouts - Cutouts on the active tier
+ * @param {Array} draftPoints - Clicks so far for the opening being drawn
+ * @param {string} placementShape - 'rect' | 'circle' | 'polygon'
+ * @param {{x: number, y: number}|null} mousePos - Model mouse position
+ * @param {number} scale
+ * @param {boolean} isBlueprintMode
+ */
+function drawCutoutsInternal(currentCtx, cutouts, draftPoints, placementShape, mousePos, scale, isBlueprintMode = false) {
+  if (!currentCtx || scale === 0) return;
+  const color = isBlueprintMode ? config.BLUEPRINT_LINE_HEAVY : config.CUTOUT_COLOR;
+
+  const traceRing = (points, close = true) => {
+    currentCtx.beginPath();
+    currentCtx.moveTo(points[0].x, points[0].y);
+    points.slice(1).forEach((p) => currentCtx.lineTo(p.x, p.y));
+    if (close) currentCtx.closePath();
+  };
+
+  currentCtx.save();
+  currentCtx.strokeStyle = color;
+  currentCtx.lineWidth = Math.max(0.5 / scale, 2 / scale);
+
+  cutouts.forEach((cutout) => {
+    traceRing(cutout.points);
+    if (!isBlueprintMode) {
+      currentCtx.fillStyle = "rgba(31, 41, 55, 0.12)";
+      currentCtx.fill();
+    }
+    currentCtx.stroke();
+
+    if (cutout.label) {
+      currentCtx.fillStyle = color;
+      currentCtx.font = `bold ${12 / scale}px Arial`;
+      currentCtx.textAlign = "center";
+      currentCtx.textBaseline = "middle";
+      currentCtx.fillText(cutout.label, cutout.centerX, cutout.centerY);
+    }
+  });
+
+  // Rubber-band preview while placing
+  if (draftPoints.length > 0 && mousePos) {
+    currentCtx.globalAlpha = 0.6;
+    currentCtx.setLineDash([8 / scale, 4 / scale]);
+    if (placementShape === "polygon") {
+      traceRing([...draftPoints, mousePos], false);
+      currentCtx.stroke();
+    } else {
+      const preview = createCutoutFromPoints(placementShape, draftPoints[0], mousePos);
+      if (preview) {
+        traceRing(preview.points);
+        currentCtx.stroke();
+      }
+    }
+  }
+  currentCtx.restore();
 }
 
 // Draw blueprint scale indicator in screen coordinates (bottom-left corner)
@@ -1075,7 +1367,7 @@ export function getSnappedPos(
   modelPoints,
   isShapeClosed,
   forceOrthogonal = true,
-  allow45Degrees = true // New parameter to enable 45-degree snapping
+  allowAngles = true // Snap to every ANGLE_SNAP_STEP_DEGREES instead of only 90°
 ) {
   // For the first point, snap to 12" (1 foot) grid
   if (!modelPoints || modelPoints.length === 0) {
@@ -1097,67 +1389,11 @@ export function getSnappedPos(
     const absDx = Math.abs(dx);
     const absDy = Math.abs(dy);
 
-    if (allow45Degrees) {
-      // Calculate angle from previous point to current snapped position
-      const distance = Math.sqrt(dx * dx + dy * dy);
-
-      if (distance > 5) { // Only snap if far enough from previous point
-        // Calculate current angle in degrees (-180 to 180)
-        const angleRad = Math.atan2(dy, dx);
-        const angleDeg = angleRad * (180 / Math.PI);
-
-        // Valid snap angles: 0, 45, 90, 135, 180, -45, -90, -135
-        const snapAngles = [0, 45, 90, 135, 180, -45, -90, -135, -180];
-        const snapThreshold = 22.5; // Degrees - halfway between snap angles
-
-        // Find nearest snap angle
-        let nearestAngle = 0;
-        let minDiff = Infinity;
-        for (const snap of snapAngles) {
-          const diff = Math.abs(angleDeg - snap);
-          if (diff < minDiff) {
-            minDiff = diff;
-            nearestAngle = snap;
-          }
-        }
-
-        // Calculate snapped position at the nearest valid angle
-        const snappedAngleRad = nearestAngle * (Math.PI / 180);
-        const snappedDx = distance * Math.cos(snappedAngleRad);
-        const snappedDy = distance * Math.sin(snappedAngleRad);
-
-        // Apply to get new snapped position
-        snappedX = prevPoint.x + snappedDx;
-        snappedY = prevPoint.y + snappedDy;
-
-        // Re-snap to grid while maintaining angle
-        // For orthogonal lines, snap both coordinates
-        // For 45-degree lines, snap one coordinate and calculate the other
-        if (Math.abs(nearestAngle) === 0 || Math.abs(nearestAngle) === 180) {
-          // Horizontal line - snap X, keep Y at previous
-          snappedX = Math.round(snappedX / GSP) * GSP;
-          snappedY = prevPoint.y;
-        } else if (Math.abs(nearestAngle) === 90) {
-          // Vertical line - snap Y, keep X at previous
-          snappedX = prevPoint.x;
-          snappedY = Math.round(snappedY / GSP) * GSP;
-        } else {
-          // 45-degree line - snap to grid while maintaining 45° angle
-          // Snap X first, then calculate Y to maintain 45° angle
-          snappedX = Math.round(snappedX / GSP) * GSP;
-          const gridDx = snappedX - prevPoint.x;
-          // For 45°, |dy| should equal |dx|
-          const sign = (nearestAngle > 0 && nearestAngle < 180) ? 1 : -1;
-          const diagonal45 = (nearestAngle === 45 || nearestAngle === -135);
-          if (diagonal45) {
-            snappedY = prevPoint.y + Math.abs(gridDx) * Math.sign(dy);
-          } else {
-            snappedY = prevPoint.y - Math.abs(gridDx) * Math.sign(dy) * -1;
-          }
-          // Ensure the 45° relationship: |dx| = |dy|
-          snappedY = prevPoint.y + Math.abs(gridDx) * Math.sign(snappedY - prevPoint.y);
-        }
-      }
+    if (allowAngles) {
+      // Same angle snapping the click handler uses, so the preview matches the placed point
+      const snapped = snapToAngle({ x: snappedX, y: snappedY }, prevPoint, ALLOWED_ANGLES, GSP);
+      snappedX = snapped.x;
+      snappedY = snapped.y;
     } else {
       // Original orthogonal-only logic
       if (absDx < absDy) {
@@ -1460,7 +1696,7 @@ export function findClickedWallIndex(
   return -1;
 }
 
-function drawDecompositionShading(currentCtx, rectangularSections, scale) {
+function drawDecompositionShading(currentCtx, rectangularSections, scale, sectionDirections = null) {
   if (!currentCtx || !rectangularSections || rectangularSections.length === 0 || scale === 0) return;
 
   const colors = [
@@ -1504,7 +1740,46 @@ function drawDecompositionShading(currentCtx, rectangularSections, scale) {
     
     const label = `R${index + 1}${rect.isLedgerRectangle ? ' (Ledger)' : ''}`;
     currentCtx.fillText(label, centerX, centerY);
+
+    const direction = sectionDirections?.find(entry => entry.sectionId === rect.id);
+    if (direction) {
+      drawSectionJoistArrow(currentCtx, centerX, centerY + 18 / scale, direction, scale);
+    }
+  });
+}
+
+// Double-headed arrow along a section's joists, labelled when the user turned them
+function drawSectionJoistArrow(currentCtx, centerX, centerY, direction, scale) {
+  const half = 24 / scale;
+  const head = 6 / scale;
+  const dx = direction.joistsRunVertically ? 0 : 1;
+  const dy = direction.joistsRunVertically ? 1 : 0;
+  const color = direction.isTurned ? '#D97706' : '#374151';
+
+  currentCtx.save();
+  currentCtx.strokeStyle = color;
+  currentCtx.lineWidth = 2 / scale;
+  currentCtx.setLineDash([]);
+  currentCtx.beginPath();
+  currentCtx.moveTo(centerX - dx * half, centerY - dy * half);
+  currentCtx.lineTo(centerX + dx * half, centerY + dy * half);
+  [-1, 1].forEach(sign => {
+    const tipX = centerX + sign * dx * half;
+    const tipY = centerY + sign * dy * half;
+    currentCtx.moveTo(tipX - sign * dx * head + dy * head, tipY - sign * dy * head + dx * head);
+    currentCtx.lineTo(tipX, tipY);
+    currentCtx.lineTo(tipX - sign * dx * head - dy * head, tipY - sign * dy * head - dx * head);
   });
+  currentCtx.stroke();
+
+  if (direction.isTurned) {
+    currentCtx.fillStyle = color;
+    currentCtx.font = `${Math.max(8, 10 / scale)}px Arial`;
+    currentCtx.textAlign = 'center';
+    currentCtx.textBaseline = 'top';
+    currentCtx.fillText('Turned', centerX, centerY + (dy ? half : 0) + 6 / scale);
+  }
+  currentCtx.restore();
 }
 
 function drawRectangleShading(currentCtx, rectangle, colorIndex, scale) {
@@ -1561,6 +1836,9 @@ function drawStructuralComponentsInternal(
     midSpanBlocking = [],
     pictureFrameBlocking = [],
     diagonalLedgers = [],
+    wrapLedger = null,
+    ledgerFasteners = null,
+    lateralLoad = null,
   } = components;
   const scaledLineWidth = (width) => Math.max(0.5 / scale, width / scale);
   
@@ -1736,6 +2014,11 @@ function drawStructuralComponentsInternal(
     drawToScaleLine(ledger.p1, ledger.p2, LUMBER_THICKNESS_PIXELS, config.LEDGER_COLOR, false, 1.0, 'ledger');
   }
 
+  // Draw the ledger on the second wall of a wrap-around deck
+  if (wrapLedger && layerVisibility.ledger) {
+    drawToScaleLine(wrapLedger.p1, wrapLedger.p2, LUMBER_THICKNESS_PIXELS, config.LEDGER_COLOR, false, 1.0, 'ledger');
+  }
+
   // Draw diagonal ledgers (for bay window configurations where diagonals attach to house)
   if (diagonalLedgers.length > 0 && layerVisibility.ledger) {
     diagonalLedgers.forEach((diagLedger) => {
@@ -1784,7 +2067,13 @@ function drawStructuralComponentsInternal(
     // Draw rim joists (typically single 2x boards around the perimeter)
     // Enhanced for multi-section: rim joists may be merged across sections
     rimJoists.forEach((rim) => {
-      if (rim.isMerged) {
+      if (rim.isCurved) {
+        // Kerfed or laminated rim bent along a curved edge
+        const curve = [rim.p1, ...getArcPoints(rim.p1, rim.p2, rim.sagitta, config.GRID_SPACING_PIXELS / 4), rim.p2];
+        curve.slice(1).forEach((p, i) =>
+          drawToScaleLine(curve[i], p, LUMBER_THICKNESS_PIXELS, config.JOIST_RIM_COLOR, false, 1.0, 'rimJoist')
+        );
+      } else if (rim.isMerged) {
         // Draw merged rim joists with enhanced styling to show continuity
         drawToScaleLine(rim.p1, rim.p2, LUMBER_THICKNESS_PIXELS, config.JOIST_RIM_COLOR, false, 1.3, 'rimJoist');
       } else {
@@ -2104,6 +2393,72 @@ function drawStructuralComponentsInternal(
       drawBlueprintAnnotation(labelX, labelY, '2x10 LEDGER', ledgerAngle);
     }
 
+    if (wrapLedger && layerVisibility.ledger) {
+      const wrapAngle = Math.atan2(wrapLedger.p2.y - wrapLedger.p1.y, wrapLedger.p2.x - wrapLedger.p1.x);
+      const offsetDist = 10 / scale;
+      const labelX = (wrapLedger.p1.x + wrapLedger.p2.x) / 2 - Math.sin(wrapAngle) * offsetDist;
+      const labelY = (wrapLedger.p1.y + wrapLedger.p2.y) / 2 + Math.cos(wrapAngle) * offsetDist;
+      drawBlueprintAnnotation(labelX, labelY, '2x10 LEDGER', wrapAngle);
+    }
+
+    // Ledger fastener pattern - top/bottom rows drawn either side of the member
+    if (ledgerFasteners && layerVisibility.ledger) {
+      const rowOffset = 2.5 / scale;
+      currentCtx.fillStyle = config.BLUEPRINT_LINE_HEAVY;
+      ledgerFasteners.runs.forEach((run, runIndex) => {
+        const runAngle = Math.atan2(run.p2.y - run.p1.y, run.p2.x - run.p1.x);
+        const perpX = -Math.sin(runAngle);
+        const perpY = Math.cos(runAngle);
+        run.fasteners.forEach((fastener) => {
+          const side = fastener.row === 'top' ? -1 : 1;
+          currentCtx.beginPath();
+          currentCtx.arc(
+            fastener.x + perpX * rowOffset * side,
+            fastener.y + perpY * rowOffset * side,
+            1.5 / scale,
+            0,
+            Math.PI * 2
+          );
+          currentCtx.fill();
+        });
+
+        // Schedule note on the first run only, further in than the ledger label
+        if (runIndex === 0) {
+          const noteDist = 24 / scale;
+          drawBlueprintAnnotation(
+            (run.p1.x + run.p2.x) / 2 + perpX * noteDist,
+            (run.p1.y + run.p2.y) / 2 + perpY * noteDist,
+            `${ledgerFasteners.fastenerLabel} @ ${ledgerFasteners.spacingInches}" O.C. STAGGERED`,
+            runAngle
+          );
+        }
+      });
+    }
+
+    // Lateral load connectors - square marker and callout at each device
+    if (lateralLoad && layerVisibility.ledger) {
+      const markerSize = 6 / scale;
+      currentCtx.strokeStyle = config.BLUEPRINT_LINE_HEAVY;
+      currentCtx.lineWidth = scaledLineWidth(config.BLUEPRINT_LINE_WEIGHT_MEDIUM);
+      lateralLoad.connectors.forEach((connector) => {
+        currentCtx.strokeRect(
+          connector.x - markerSize / 2,
+          connector.y - markerSize / 2,
+          markerSize,
+          markerSize
+        );
+        const run = ledgerFasteners?.runs?.[connector.runIndex];
+        const runAngle = run ? Math.atan2(run.p2.y - run.p1.y, run.p2.x - run.p1.x) : ledgerAngle;
+        const noteDist = 38 / scale;
+        drawBlueprintAnnotation(
+          connector.x - Math.sin(runAngle) * noteDist,
+          connector.y + Math.cos(runAngle) * noteDist,
+          lateralLoad.devicesPerConnection > 1 ? `${lateralLoad.deviceLabel} PAIR + 1/2" ROD` : lateralLoad.deviceLabel,
+          runAngle
+        );
+      });
+    }
+
     // Beam annotations - position above the beam line
     if (layerVisibility.beams) {
       beams.forEach((beam, idx) => {
@@ -2355,6 +2710,21 @@ function drawStairsInternal(
     if (!stair.rimP1 || !stair.rimP2 || typeof stair.positionX !== "number")
       return;
 
+    // Stairs with landings are drawn run by run
+    if (stair.runs && stair.runs.length > 1) {
+      drawMultiRunStairInternal(
+        currentCtx,
+        stair,
+        index,
+        index === selectedIndex,
+        index === hoveredStairIndex && !isBeingDragged,
+        deckPoints,
+        scale,
+        isScaledForPrint
+      );
+      return;
+    }
+
     const stairWidthPixelsModel = (stair.widthFt || 4) * config.PIXELS_PER_FOOT;
     const totalRunPixelsModel =
       (stair.calculatedTotalRunInches / 12) * config.PIXELS_PER_FOOT;
@@ -2701,6 +3071,202 @@ function drawStairsInternal(
   });
 }
 
+/**
+ * Draws a stair with landings: each run's stringers and treads, then the landing
+ * platforms and their posts. Geometry comes from the stair's local run layout.
+ */
+function drawMultiRunStairInternal(
+  currentCtx,
+  stair,
+  index,
+  isSelected,
+  isHovered,
+  deckPoints,
+  scale,
+  isScaledForPrint
+) {
+  const plan = getStairPlanLayout(stair, deckPoints);
+  if (!plan) return;
+  const scaledLineWidth = (width) => Math.max(0.5 / scale, width / scale);
+  const lerp = (a, b, t) => ({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+  const tracePolygon = (corners) => {
+    currentCtx.beginPath();
+    currentCtx.moveTo(corners[0].x, corners[0].y);
+    for (let i = 1; i < corners.length; i++) {
+      currentCtx.lineTo(corners[i].x, corners[i].y);
+    }
+    currentCtx.closePath();
+  };
+
+  currentCtx.save();
+
+  plan.landings.forEach((landing) => {
+    tracePolygon(landing.corners);
+    currentCtx.fillStyle = "rgba(139, 115, 85, 0.15)";
+    currentCtx.fill();
+    currentCtx.strokeStyle = isSelected ? config.STAIR_SELECTED_COLOR : config.STAIR_STRINGER_COLOR;
+    currentCtx.lineWidth = scaledLineWidth(isSelected ? 2 : 1.5);
+    currentCtx.stroke();
+
+    const postSize = (3.5 / 12) * config.PIXELS_PER_FOOT;
+    currentCtx.fillStyle = config.STAIR_STRINGER_COLOR;
+    landing.posts.forEach((post) => {
+      currentCtx.fillRect(post.x - postSize / 2, post.y - postSize / 2, postSize, postSize);
+    });
+  });
+
+  plan.runs.forEach((run, runIndex) => {
+    const stringerQty = stair.runs[runIndex]?.stringerQty || stair.calculatedStringerQty || 2;
+    currentCtx.lineWidth = scaledLineWidth(isSelected ? 2 : 1);
+    currentCtx.strokeStyle = isSelected ? config.STAIR_SELECTED_COLOR : config.STAIR_STRINGER_COLOR;
+    for (let i = 0; i < stringerQty; i++) {
+      const fraction = stringerQty <= 1 ? 0.5 : i / (stringerQty - 1);
+      const top = lerp(run.topLeft, run.topRight, fraction);
+      const bottom = lerp(run.bottomLeft, run.bottomRight, fraction);
+      currentCtx.beginPath();
+      currentCtx.moveTo(top.x, top.y);
+      currentCtx.lineTo(bottom.x, bottom.y);
+      currentCtx.stroke();
+    }
+
+    currentCtx.strokeStyle = isSelected ? config.STAIR_SELECTED_COLOR : config.STAIR_TREAD_COLOR;
+    for (let j = 0; j < run.numTreads; j++) {
+      const t = (j + 1) / run.numTreads;
+      const treadStart = lerp(run.topLeft, run.bottomLeft, t);
+      const treadEnd = lerp(run.topRight, run.bottomRight, t);
+      currentCtx.beginPath();
+      currentCtx.moveTo(treadStart.x, treadStart.y);
+      currentCtx.lineTo(treadEnd.x, treadEnd.y);
+      currentCtx.stroke();
+    }
+  });
+
+  if ((isSelected || isHovered) && !isScaledForPrint) {
+    const outlines = [
+      ...plan.runs.map((run) => [run.topLeft, run.topRight, run.bottomRight, run.bottomLeft]),
+      ...plan.landings.map((landing) => landing.corners),
+    ];
+    currentCtx.strokeStyle = isSelected ? config.STAIR_SELECTED_COLOR : "rgba(59, 130, 246, 0.6)";
+    currentCtx.lineWidth = scaledLineWidth(isSelected ? 2 : 1.5);
+    currentCtx.setLineDash(
+      isSelected ? [scaledLineWidth(8), scaledLineWidth(4)] : [scaledLineWidth(4), scaledLineWidth(2)]
+    );
+    outlines.forEach((corners) => {
+      tracePolygon(corners);
+      if (isSelected) {
+        currentCtx.fillStyle = "rgba(59, 130, 246, 0.1)";
+        currentCtx.fill();
+      }
+      currentCtx.stroke();
+    });
+
+    if (isSelected) {
+      const indicator = plan.runs[0].topLeft;
+      currentCtx.setLineDash([]);
+      currentCtx.fillStyle = config.STAIR_SELECTED_COLOR;
+      currentCtx.beginPath();
+      currentCtx.arc(indicator.x, indicator.y, 12 / scale, 0, Math.PI * 2);
+      currentCtx.fill();
+      currentCtx.fillStyle = "white";
+      currentCtx.font = `${Math.max(8, 10 / scale)}px Arial`;
+      currentCtx.textAlign = "center";
+      currentCtx.textBaseline = "middle";
+      currentCtx.fillText(index + 1, indicator.x, indicator.y);
+    }
+  }
+
+  currentCtx.restore();
+  stair.deleteButtonBounds = null;
+}
+
+function drawRailingInternal(
+  currentCtx,
+  railingLayout,
+  points,
+  hoveredEdgeIndex,
+  railingEdgeIndices,
+  scale,
+  isBlueprintMode = false
+) {
+  if (!currentCtx || scale === 0) return;
+  const scaledLineWidth = (width) => Math.max(0.5 / scale, width / scale);
+  const railColor = isBlueprintMode ? config.BLUEPRINT_LINE_MEDIUM : config.RAILING_COLOR;
+  const postColor = isBlueprintMode ? config.BLUEPRINT_LINE_HEAVY : config.RAILING_POST_COLOR;
+
+  currentCtx.save();
+
+  // Hovered edge preview while picking edges or placing a gate
+  if (hoveredEdgeIndex >= 0 && points && hoveredEdgeIndex < points.length) {
+    const p1 = points[hoveredEdgeIndex];
+    const p2 = points[(hoveredEdgeIndex + 1) % points.length];
+    const isSelected = railingEdgeIndices.includes(hoveredEdgeIndex);
+    currentCtx.strokeStyle = isSelected ? "rgba(220, 38, 38, 0.5)" : "rgba(15, 118, 110, 0.4)";
+    currentCtx.lineWidth = scaledLineWidth(10);
+    currentCtx.lineCap = "round";
+    currentCtx.beginPath();
+    currentCtx.moveTo(p1.x, p1.y);
+    currentCtx.lineTo(p2.x, p2.y);
+    currentCtx.stroke();
+  }
+
+  if (!railingLayout) {
+    currentCtx.restore();
+    return;
+  }
+
+  // Rails - stair rails dashed to read as sloped
+  railingLayout.sections.forEach((section) => {
+    currentCtx.strokeStyle = railColor;
+    currentCtx.lineWidth = scaledLineWidth(section.kind === "stair" ? 2 : 3);
+    currentCtx.setLineDash(section.kind === "stair" ? [scaledLineWidth(6), scaledLineWidth(3)] : []);
+    currentCtx.beginPath();
+    currentCtx.moveTo(section.p1.x, section.p1.y);
+    currentCtx.lineTo(section.p2.x, section.p2.y);
+    currentCtx.stroke();
+  });
+  currentCtx.setLineDash([]);
+
+  // Gates - opening with a quarter swing arc
+  railingLayout.gates.forEach((gate) => {
+    const dx = gate.p2.x - gate.p1.x;
+    const dy = gate.p2.y - gate.p1.y;
+    const width = Math.sqrt(dx * dx + dy * dy);
+    if (width < config.EPSILON) return;
+    const angle = Math.atan2(dy, dx);
+    currentCtx.strokeStyle = isBlueprintMode ? config.BLUEPRINT_LINE_LIGHT : config.RAILING_GATE_COLOR;
+    currentCtx.lineWidth = scaledLineWidth(1.5);
+    currentCtx.setLineDash([scaledLineWidth(4), scaledLineWidth(3)]);
+    currentCtx.beginPath();
+    currentCtx.arc(gate.p1.x, gate.p1.y, width, angle, angle + Math.PI / 2);
+    currentCtx.stroke();
+    currentCtx.setLineDash([]);
+    currentCtx.lineWidth = scaledLineWidth(2);
+    currentCtx.beginPath();
+    currentCtx.moveTo(gate.p1.x, gate.p1.y);
+    currentCtx.lineTo(
+      gate.p1.x + Math.cos(angle + Math.PI / 2) * width,
+      gate.p1.y + Math.sin(angle + Math.PI / 2) * width
+    );
+    currentCtx.stroke();
+  });
+
+  // Posts - drawn at true 4x4 size, with a minimum on-screen size
+  const postSizeModel = Math.max(
+    (config.ACTUAL_4X4_WIDTH_INCHES / 12) * config.PIXELS_PER_FOOT,
+    6 / scale
+  );
+  railingLayout.posts.forEach((post) => {
+    const half = postSizeModel / 2;
+    currentCtx.fillStyle = post.type === "gate" && !isBlueprintMode ? config.RAILING_GATE_COLOR : postColor;
+    currentCtx.fillRect(post.x - half, post.y - half, postSizeModel, postSizeModel);
+    currentCtx.strokeStyle = config.POST_STROKE_COLOR;
+    currentCtx.lineWidth = scaledLineWidth(1);
+    currentCtx.strokeRect(post.x - half, post.y - half, postSizeModel, postSizeModel);
+  });
+
+  currentCtx.restore();
+}
+
 export function findClickedRimJoistIndex(
   modelMouseX,
   modelMouseY,
@@ -2763,6 +3329,29 @@ export function findHoveredStairIndex(
   return -1;
 }
 
+/**
+ * Index of the post under the mouse, within a few screen pixels of its center.
+ * @param {number} modelMouseX - Mouse X in model coordinates
+ * @param {number} modelMouseY - Mouse Y in model coordinates
+ * @param {Array} posts - Structural posts
+ * @param {number} viewportScale - Viewport scale
+ * @returns {number} Post index, or -1
+ */
+export function findHoveredPostIndex(modelMouseX, modelMouseY, posts, viewportScale) {
+  if (!posts || posts.length === 0 || viewportScale === 0) return -1;
+  const hitRadius = Math.max(8 / viewportScale, (5.5 / 12) * config.PIXELS_PER_FOOT);
+  let closestIndex = -1;
+  let closestDistance = hitRadius;
+  posts.forEach((post, index) => {
+    const d = Math.hypot(modelMouseX - post.x, modelMouseY - post.y);
+    if (d <= closestDistance) {
+      closestDistance = d;
+      closestIndex = index;
+    }
+  });
+  return closestIndex;
+}
+
 export function isPointInStairDeleteButton(
   modelMouseX,
   modelMouseY,
@@ -3007,19 +3596,22 @@ export function drawMeasurementOverlay(currentCtx, measurePoint1, measurePoint2,
  * @param {Object} deckingState - Decking configuration from appState.decking
  * @param {number} scale - Current viewport scale
  * @param {boolean} isScaledForPrint - Whether rendering for print
+ * @param {Array} [cutouts] - Openings left out of the decking
+ * @param {Object} [deckingLayout] - Board-by-board layout; drawn board for board in place of
+ *   the pattern fill when given. Without one, angled boards and patterns are shown as 45°
+ *   boards.
  */
-function drawDeckingBoards(currentCtx, points, deckDimensions, deckingState, scale, isScaledForPrint) {
+function drawDeckingBoards(currentCtx, points, deckDimensions, deckingState, scale, isScaledForPrint, cutouts = [], deckingLayout = null) {
   if (!points || points.length < 3 || !deckDimensions || !deckingState) return;
   if (!deckingState.showBoardLines) return;
 
-  const { material, boardDirection, pictureFrame, breakerBoards = [] } = deckingState;
+  const { pictureFrame, breakerBoards = [] } = deckingState;
   const { minX, maxX, minY, maxY } = deckDimensions;
 
-  // Board dimensions (5/4x6 = 5.5" actual width)
-  const boardWidthInches = 5.5;
-  const gapInches = 0.1875; // 3/16" gap between boards
+  // Board width and side gap come from the selected product
+  const { boardWidthInches, sideGapInches } = getDeckingProduct(deckingState);
   const boardWidthPx = boardWidthInches / 12 * config.PIXELS_PER_FOOT;
-  const gapPx = gapInches / 12 * config.PIXELS_PER_FOOT;
+  const gapPx = sideGapInches / 12 * config.PIXELS_PER_FOOT;
   const boardSpacing = boardWidthPx + gapPx;
 
   // Picture frame border width (one board width per layer)
@@ -3028,7 +3620,7 @@ function drawDeckingBoards(currentCtx, points, deckDimensions, deckingState, sca
                              pictureFrame === 'single' ? pictureFrameWidth : 0;
 
   // Material-specific colors
-  const materialColors = getMaterialColors(material);
+  const materialColors = getMaterialColors(deckingState);
 
   const scaledLineWidth = (width) => Math.max(0.5 / scale, width / scale);
 
@@ -3042,26 +3634,36 @@ function drawDeckingBoards(currentCtx, points, deckDimensions, deckingState, sca
     currentCtx.lineTo(points[i].x, points[i].y);
   }
   currentCtx.closePath();
-  currentCtx.clip();
+  // Openings are holes in the clip
+  cutouts.forEach((cutout) => {
+    currentCtx.moveTo(cutout.points[0].x, cutout.points[0].y);
+    cutout.points.slice(1).forEach((p) => currentCtx.lineTo(p.x, p.y));
+    currentCtx.closePath();
+  });
+  currentCtx.clip("evenodd");
 
   // Draw main deck boards as filled rectangles FIRST
   // Pass the polygon points for proper boundary-aware drawing
-  if (boardDirection === 'horizontal') {
+  if (deckingLayout) {
+    drawLayoutBoards(currentCtx, deckingLayout, materialColors, scale);
+  } else if (!getDeckingPattern(deckingState).angled) {
     drawHorizontalBoards(currentCtx, minX, maxX, minY, maxY, pictureFrameOffset,
                          boardWidthPx, gapPx, materialColors, scale);
-  } else if (boardDirection === 'diagonal') {
+  } else {
     drawDiagonalBoardsClipped(currentCtx, points, minX, maxX, minY, maxY, pictureFrameOffset,
                               boardWidthPx, gapPx, materialColors, scale);
   }
 
   // Draw picture frame border AFTER main boards so it's visible on top
   // Picture frame also needs to respect the polygon boundary
-  if (pictureFrame !== 'none') {
+  if (pictureFrame !== 'none' && deckingLayout) {
+    drawLayoutPictureFrame(currentCtx, deckingLayout.pictureFrameBoards, materialColors, scaledLineWidth);
+  } else if (pictureFrame !== 'none') {
     drawPictureFrameBorderClipped(currentCtx, points, pictureFrame, materialColors, scaledLineWidth);
   }
 
-  // Draw breaker boards
-  if (breakerBoards.length > 0) {
+  // Draw breaker boards (the layout already drew them as boards)
+  if (breakerBoards.length > 0 && !deckingLayout) {
     drawBreakerBoards(currentCtx, breakerBoards, deckDimensions, scale, scaledLineWidth);
   }
 
@@ -3069,9 +3671,10 @@ function drawDeckingBoards(currentCtx, points, deckDimensions, deckingState, sca
 }
 
 /**
- * Get material-specific colors and patterns
+ * Get material-specific colors and patterns. Composite and PVC boards take the fill of the
+ * colour picked for them.
  */
-function getMaterialColors(material) {
+function getMaterialColors(deckingState) {
   const colors = {
     pt: {
       // Pressure-treated brown wood
@@ -3105,9 +3708,23 @@ function getMaterialColors(material) {
       hasKnots: false,
       hasGrain: true,
       grainIntensity: 0.2
+    },
+    pvc: {
+      // Cellular PVC: even colour with a faint embossed grain
+      boardFill: 'rgb(120, 100, 85)',
+      boardVariance: 3,
+      boardStroke: 'rgb(90, 75, 60)',
+      grainColor: 'rgba(100, 85, 70, 0.1)',
+      knotColor: null,
+      hasKnots: false,
+      hasGrain: true,
+      grainIntensity: 0.1
     }
   };
-  return colors[material] || colors.pt;
+  const product = getDeckingProduct(deckingState);
+  const base = colors[product.family === 'wood' ? product.id : product.family] || colors.pt;
+  if (!product.color) return base;
+  return { ...base, boardFill: product.color.fill, boardStroke: product.color.stroke };
 }
 
 /**
@@ -3137,6 +3754,50 @@ function drawHorizontalBoards(ctx, minX, maxX, minY, maxY, offset, boardWidth, g
   }
 }
 
+/**
+ * Draw every board of a decking layout, with a joint line at each butt end. Boards are
+ * drawn lengthwise in their own frame and clipped to their corners, so angled boards and
+ * ends cut along a joist or seam come out in shape.
+ */
+function drawLayoutBoards(ctx, layout, colors, scale) {
+  layout.boards.forEach((board, boardIndex) => {
+    const [c0, c1, c2, c3] = board.corners;
+    // Start from the corner that puts the board's width on the drawing's +Y side
+    const turnsLeft = (c1.x - c0.x) * (c3.y - c0.y) - (c1.y - c0.y) * (c3.x - c0.x) > 0;
+    const origin = turnsLeft ? c0 : c3;
+    const along = turnsLeft ? c1 : c2;
+    const angle = Math.atan2(along.y - origin.y, along.x - origin.x);
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const local = board.corners.map((p) => ({
+      x: (p.x - origin.x) * cos + (p.y - origin.y) * sin,
+      y: -(p.x - origin.x) * sin + (p.y - origin.y) * cos
+    }));
+    const minX = Math.min(...local.map((p) => p.x));
+    const minY = Math.min(...local.map((p) => p.y));
+
+    ctx.save();
+    ctx.beginPath();
+    board.corners.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+    ctx.closePath();
+    ctx.clip();
+    ctx.translate(origin.x, origin.y);
+    ctx.rotate(angle);
+    drawSingleBoard(ctx, minX, minY, Math.max(...local.map((p) => p.x)) - minX,
+                    Math.max(...local.map((p) => p.y)) - minY, colors, boardIndex, scale, 'horizontal');
+    ctx.restore();
+
+    ctx.strokeStyle = colors.boardStroke;
+    ctx.lineWidth = Math.max(1, 1.5 / scale);
+    ctx.beginPath();
+    ctx.moveTo(c0.x, c0.y);
+    ctx.lineTo(c3.x, c3.y);
+    ctx.moveTo(c1.x, c1.y);
+    ctx.lineTo(c2.x, c2.y);
+    ctx.stroke();
+  });
+}
+
 /**
  * Draw diagonal deck boards at 45 degrees
  */
@@ -3541,15 +4202,7 @@ function drawPictureFrameBorderClipped(currentCtx, points, pictureFrame, colors,
   const numBoards = pictureFrame === 'double' ? 2 : 1;
 
   // Board colors - darker than main boards
-  const baseColor = colors.boardFill || 'rgb(139, 105, 70)';
-  const rgbMatch = baseColor.match(/\d+/g);
-  const darkenFactor = 0.7;
-  const boardFill = rgbMatch
-    ? `rgb(${Math.round(rgbMatch[0] * darkenFactor)}, ${Math.round(rgbMatch[1] * darkenFactor)}, ${Math.round(rgbMatch[2] * darkenFactor)})`
-    : 'rgb(97, 74, 49)';
-  const boardStroke = rgbMatch
-    ? `rgb(${Math.round(rgbMatch[0] * 0.5)}, ${Math.round(rgbMatch[1] * 0.5)}, ${Math.round(rgbMatch[2] * 0.5)})`
-    : 'rgb(70, 53, 35)';
+  const { boardFill, boardStroke } = getPictureFrameColors(colors);
 
   // Determine polygon winding order
   let windingSum = 0;
@@ -3632,6 +4285,41 @@ function drawPictureFrameBorderClipped(currentCtx, points, pictureFrame, colors,
   }
 }
 
+/**
+ * Picture frame board colors - the main board color darkened
+ */
+function getPictureFrameColors(colors) {
+  const baseColor = colors.boardFill || 'rgb(139, 105, 70)';
+  const rgbMatch = baseColor.match(/\d+/g);
+  const darkenFactor = 0.7;
+  return {
+    boardFill: rgbMatch
+      ? `rgb(${Math.round(rgbMatch[0] * darkenFactor)}, ${Math.round(rgbMatch[1] * darkenFactor)}, ${Math.round(rgbMatch[2] * darkenFactor)})`
+      : 'rgb(97, 74, 49)',
+    boardStroke: rgbMatch
+      ? `rgb(${Math.round(rgbMatch[0] * 0.5)}, ${Math.round(rgbMatch[1] * 0.5)}, ${Math.round(rgbMatch[2] * 0.5)})`
+      : 'rgb(70, 53, 35)',
+  };
+}
+
+/**
+ * Draw the layout's picture frame boards, each cut to its edge and mitred at the corners
+ */
+function drawLayoutPictureFrame(currentCtx, frameBoards, colors, scaledLineWidth) {
+  const { boardFill, boardStroke } = getPictureFrameColors(colors);
+  currentCtx.fillStyle = boardFill;
+  currentCtx.strokeStyle = boardStroke;
+  currentCtx.lineWidth = scaledLineWidth(1);
+  currentCtx.setLineDash([]);
+  frameBoards.forEach((board) => {
+    currentCtx.beginPath();
+    board.corners.forEach((p, i) => (i === 0 ? currentCtx.moveTo(p.x, p.y) : currentCtx.lineTo(p.x, p.y)));
+    currentCtx.closePath();
+    currentCtx.fill();
+    currentCtx.stroke();
+  });
+}
+
 /**
  * Draw breaker board lines
  */
@@ -26,6 +26,8 @@ export const INITIAL_VIEW_WIDTH_FEET = 50;
 export const INITIAL_VIEW_HEIGHT_FEET = 40;
 
 export const SNAP_TOLERANCE_PIXELS = 10; // How close to snap (this is in SCREEN pixels)
+export const ANGLE_SNAP_STEP_DEGREES = 15; // Drawn edges snap to multiples of this angle
+export const MIN_CORNER_ANGLE_DEGREES = 15; // Sharper corners can't be framed
 // Cantilever rules based on joist size (in feet)
 // 2x6: No cantilever allowed
 // 2x8: Up to 16 inches (1.33 ft)
@@ -51,6 +53,294 @@ export const MIN_HEIGHT_FOR_NO_2X6_INCHES = 24; // 2 feet
 
 export const JOIST_SIZE_ORDER = ["2x6", "2x8", "2x10", "2x12"];
 
+// Skewed joist hangers where joists meet an angled ledger
+export const SKEWED_HANGER_MIN_ANGLE_DEGREES = 2; // Below this a straight hanger is used
+export const SKEWED_HANGER_STOCK_ANGLE_DEGREES = 45; // SUL/SUR hangers are fixed 45° skews
+export const SKEWED_HANGER_STOCK_TOLERANCE_DEGREES = 5;
+export const SKEWED_HANGER_FIELD_MAX_ANGLE_DEGREES = 67.5; // LSSU hangers bend on site from 0° up to this skew
+
+// Member mechanics check (NDS design values, exterior framing)
+export const DEFAULT_DEFLECTION_LIMIT = 360; // Live load deflection L/360
+export const DEFLECTION_LIMIT_OPTIONS = [360, 480]; // L/480 for composite decking that asks for it
+export const MIN_JOIST_FREQUENCY_HZ = 8; // Joists below this natural frequency feel bouncy
+export const WET_SERVICE_FACTORS = { fb: 0.85, fv: 0.97, e: 0.9 }; // NDS CM - deck framing stays wet
+export const WET_SERVICE_FB_THRESHOLD_PSI = 1150; // CM for bending only applies above this Fb
+export const REPETITIVE_MEMBER_FACTOR = 1.15; // Cr for joists 24" O.C. or closer
+export const SNOW_LOAD_DURATION_FACTOR = 1.15; // CD when snow governs
+export const MAX_JOIST_STOCK_LENGTH_FEET = 16; // Longest joist the span tables allow for
+export const MAX_POST_HEIGHT_FEET = { "4x4": 8, "6x6": 14 }; // IRC Table R507.4, top of footing to underside of beam
+
+// Railing layout rules
+export const RAILING_MAX_POST_SPACING_FEET = 6; // Max centre-to-centre spacing for 4x4 guard posts
+export const RAILING_BALUSTER_MAX_GAP_INCHES = 4; // A 4" sphere must not pass between balusters
+export const RAILING_BALUSTER_WIDTH_INCHES = 1.5; // Actual width of a 2x2 baluster
+export const RAILING_POST_MOUNT_DEPTH_INCHES = 12; // Post length below the deck surface (bolted to rim/stringer)
+export const RAILING_GUARD_REQUIRED_HEIGHT_INCHES = 24; // Guards required above 600mm (OBC 9.8.8.1)
+export const RAILING_TALL_GUARD_THRESHOLD_INCHES = 71; // Above 1800mm the guard must be 42" (OBC 9.8.8.3)
+export const DEFAULT_GATE_WIDTH_FEET = 3;
+
+// Board-by-board decking layout
+export const DECKING_BOARD_LENGTHS_FEET = [8, 10, 12, 14, 16];
+export const DECKING_BOARD_GAP_INCHES = 0.1875; // 3/16" between courses
+export const DECKING_JOINT_STAGGER_JOISTS = 2; // Butt joints in neighbouring courses land at least this many joists apart
+export const DECKING_MIN_BOARD_SPAN_JOISTS = 2; // Shortest piece spans this many joist bays (bears on 3 joists)
+
+// Decking product lines. Composite and PVC lines are keyed by family and board edge
+// (grooved boards take hidden clips, square-edge boards are face-screwed and plugged).
+// Joist spacing limits are for boards square to the joists and for diagonal boards:
+// IRC Table R507.7 for 5/4 wood, the manufacturer's install guide for composite and PVC.
+// Side gaps are between courses; end gaps are left at butt joints.
+export const DECKING_PRODUCTS = {
+  pt: {
+    label: "Pressure Treated",
+    family: "wood",
+    stockName: "5/4x6 PT Brown",
+    boardWidthInches: 5.5,
+    edge: "square",
+    stockLengthsFeet: DECKING_BOARD_LENGTHS_FEET,
+    sideGapInches: DECKING_BOARD_GAP_INCHES,
+    endGapInches: 0,
+    maxJoistSpacingInches: 16,
+    maxDiagonalJoistSpacingInches: 12,
+    fastener: { stockName: "DSB Deck Screw 2-1/2", label: 'Deck Screws 2-1/2"', perSqFt: 2 },
+    fasciaStockName: "PT Brown Fascia 1x10",
+    fasciaWidthInches: 9.25,
+  },
+  cedar: {
+    label: "Cedar",
+    family: "wood",
+    stockName: "5/4x6 Cedar",
+    boardWidthInches: 5.5,
+    edge: "square",
+    stockLengthsFeet: DECKING_BOARD_LENGTHS_FEET,
+    sideGapInches: DECKING_BOARD_GAP_INCHES,
+    endGapInches: 0,
+    maxJoistSpacingInches: 16,
+    maxDiagonalJoistSpacingInches: 12,
+    fastener: { stockName: "Camo Hidden Deck Screw", label: "Camo Hidden Screws", perSqFt: 1.5 },
+    fasciaStockName: "Cedar Fascia 1x10",
+    fasciaWidthInches: 9.25,
+  },
+  composite_grooved: {
+    label: "Composite, Grooved Edge",
+    family: "composite",
+    stockName: "5/4x6 Composite Grooved",
+    boardWidthInches: 5.5,
+    edge: "grooved",
+    stockLengthsFeet: [12, 16, 20],
+    sideGapInches: 0.1875, // Set by the clip
+    endGapInches: 0.125,
+    maxJoistSpacingInches: 16,
+    maxDiagonalJoistSpacingInches: 12,
+    fastener: { stockName: "Hidden Deck Clip", label: "Hidden Deck Clips", perJoistCrossing: 1 },
+    fasciaStockName: "Composite Fascia 1x12",
+    fasciaWidthInches: 11.25,
+  },
+  composite_square: {
+    label: "Composite, Square Edge",
+    family: "composite",
+    stockName: "5/4x6 Composite Square Edge",
+    boardWidthInches: 5.5,
+    edge: "square",
+    stockLengthsFeet: [12, 16, 20],
+    sideGapInches: 0.1875,
+    endGapInches: 0.125,
+    maxJoistSpacingInches: 16,
+    maxDiagonalJoistSpacingInches: 12,
+    fastener: { stockName: "Composite Cap Screw 2-1/2", label: "Colour-Match Cap Screws", perJoistCrossing: 2 },
+    fasciaStockName: "Composite Fascia 1x12",
+    fasciaWidthInches: 11.25,
+  },
+  pvc_grooved: {
+    label: "PVC, Grooved Edge",
+    family: "pvc",
+    stockName: "5/4x6 PVC Grooved",
+    boardWidthInches: 5.5,
+    edge: "grooved",
+    stockLengthsFeet: [12, 16, 20],
+    sideGapInches: 0.1875,
+    endGapInches: 0.1875, // PVC moves more with temperature than composite
+    maxJoistSpacingInches: 16,
+    maxDiagonalJoistSpacingInches: 12,
+    fastener: { stockName: "Hidden Deck Clip", label: "Hidden Deck Clips", perJoistCrossing: 1 },
+    fasciaStockName: "PVC Fascia 1x12",
+    fasciaWidthInches: 11.25,
+  },
+  pvc_square: {
+    label: "PVC, Square Edge",
+    family: "pvc",
+    stockName: "5/4x6 PVC Square Edge",
+    boardWidthInches: 5.5,
+    edge: "square",
+    stockLengthsFeet: [12, 16, 20],
+    sideGapInches: 0.1875,
+    endGapInches: 0.1875,
+    maxJoistSpacingInches: 16,
+    maxDiagonalJoistSpacingInches: 12,
+    fastener: { stockName: "PVC Plug & Screw Kit", label: "PVC Screws & Plugs", perJoistCrossing: 2 },
+    fasciaStockName: "PVC Fascia 1x12",
+    fasciaWidthInches: 11.25,
+  },
+};
+
+// Colours offered in the composite and PVC lines (canvas fill/stroke and 3D viewer hex)
+export const DECKING_COLORS = {
+  grey: { label: "Grey", fill: "rgb(140, 138, 132)", stroke: "rgb(105, 103, 98)", hex: 0x8c8a84 },
+  brown: { label: "Brown", fill: "rgb(122, 92, 68)", stroke: "rgb(92, 68, 50)", hex: 0x7a5c44 },
+  tan: { label: "Tan", fill: "rgb(192, 168, 134)", stroke: "rgb(150, 128, 100)", hex: 0xc0a886 },
+};
+export const DEFAULT_DECKING_COLOR = "grey";
+
+// Board patterns. Straight courses can be turned to any angle off square to the joists;
+// herringbone and chevron alternate the angle strip by strip between seam boards that run
+// with the joists. estimateWaste is only used when there is no framing to lay boards on.
+export const DECKING_PATTERNS = {
+  straight: { label: "Straight", estimateWaste: 0.1 },
+  herringbone: { label: "Herringbone", estimateWaste: 0.2 },
+  chevron: { label: "Chevron", estimateWaste: 0.2 },
+};
+export const DECKING_ANGLED_ESTIMATE_WASTE = 0.15; // Straight boards laid off square
+export const DECKING_MAX_BOARD_ANGLE_DEGREES = 60; // Steeper boards run nearly along the joists
+export const DECKING_MIN_PATTERN_ANGLE_DEGREES = 15;
+export const DECKING_DEFAULT_PATTERN_ANGLE_DEGREES = 45;
+
+// Fascia and skirting on the exposed rim joists
+export const DECKING_BOARD_THICKNESS_INCHES = 1; // 5/4 boards; the rims sit this far below the deck surface
+export const FASCIA_STOCK_LENGTH_FEET = 12;
+export const FASCIA_SCREW_SPACING_INCHES = 16; // Two face screws per course at this spacing
+// Face screws for fascia and board skirting, by decking family (hidden clips can't hold a fascia)
+export const FASCIA_FASTENERS = {
+  wood: { stockName: "DSB Deck Screw 2-1/2", label: "Fascia & Skirting Screws" },
+  composite: { stockName: "Composite Cap Screw 2-1/2", label: "Fascia & Skirting Cap Screws" },
+  pvc: { stockName: "PVC Plug & Screw Kit", label: "Fascia & Skirting Screws & Plugs" },
+};
+// Skirting hung below the rims; studs lap up the inside of the rim and stand on a bottom rail
+export const SKIRTING_TYPES = {
+  none: { label: "None" },
+  lattice: { label: "Lattice Panels", studSpacingInches: 24 },
+  boards: { label: "Horizontal Deck Boards", studSpacingInches: 16 },
+};
+export const SKIRTING_DEFAULT_GROUND_GAP_INCHES = 2; // Kept clear of grade for drainage and frost
+export const SKIRTING_MIN_HEIGHT_INCHES = 3; // Shorter gaps under the rim are left open
+export const LATTICE_PANEL_WIDTH_FEET = 8;
+export const LATTICE_PANEL_HEIGHT_FEET = 4;
+export const SKIRTING_SCREW_SPACING_INCHES = 12; // Lattice screwed off along every stud and rail
+export const SKIRTING_FRAMING_SIZE = "2x4"; // Studs and bottom rail, cut from stocked lumber
+
+// Stair landings and multi-run stairs
+export const STAIR_MAX_FLIGHT_RISE_INCHES = 144; // Max rise of one flight between landings (OBC 9.8.3.3 3.7m, IRC 12'7")
+export const STAIR_MIN_LANDING_DEPTH_INCHES = 36; // Landing depth in the direction of travel (OBC 9.8.6.3 / IRC R311.7.6)
+export const STAIR_LANDING_JOIST_SIZE = "2x8";
+export const STAIR_LANDING_JOIST_SPACING_INCHES = 16;
+export const STAIR_LANDING_TALL_POST_THRESHOLD_INCHES = 96; // 4x4 landing posts up to 8', 6x6 above
+
+// Stair geometry defaults (each stair can override these)
+export const STAIR_DEFAULT_TARGET_RISE_INCHES = 7.5;
+export const STAIR_DEFAULT_TREAD_DEPTH_INCHES = 11.25; // Two 5/4x6 boards with a gap
+export const STAIR_DEFAULT_NOSING_INCHES = 0.75; // Tread depth minus nosing gives the run per step
+export const STAIR_COMFORT_MIN_INCHES = 24; // 2R + T comfort range
+export const STAIR_COMFORT_MAX_INCHES = 25.5;
+export const STAIR_GRADE_TOLERANCE_INCHES = 0.125; // Sloped-grade iteration stops when the foot moves less than this
+export const STAIR_GRADE_MAX_ITERATIONS = 10;
+
+// Site-cut 2x12 stringers
+export const STRINGER_STOCK_DEPTH_INCHES = 11.25; // Actual depth of a 2x12
+export const STRINGER_MIN_THROAT_INCHES = 5; // Uncut wood left below each notch
+export const STAIR_TREAD_THICKNESS_INCHES = 1; // 5/4 treads; the bottom of the stringer drops by this
+export const STRINGER_END_ALLOWANCE_FEET = 0.5; // Extra length for the top and bottom cuts
+export const STRINGER_STOCK_LENGTHS_FEET = [8, 10, 12, 14, 16, 18, 20];
+
+// Building code limits for private (dwelling) stairs. "Run" is nosing to nosing,
+// "tread depth" is the full tread including the nosing. null means no limit.
+export const DEFAULT_STAIR_CODE_PROFILE = "obc";
+export const STAIR_CODE_PROFILES = {
+  obc: {
+    label: "OBC 9.8 (Ontario)",
+    riseReference: "OBC 9.8.4.1",
+    minRiseInches: 4.92, // 125 mm
+    maxRiseInches: 7.87, // 200 mm
+    minRunInches: 8.27, // 210 mm
+    maxRunInches: 13.98, // 355 mm
+    minTreadDepthInches: 9.25, // 235 mm
+    maxTreadDepthInches: 13.98, // 355 mm
+    minNosingInches: 0,
+    maxNosingInches: 0.98, // 25 mm (OBC 9.8.4.8)
+    nosingRequiredBelowRunInches: null,
+    minWidthInches: 33.86, // 860 mm (OBC 9.8.2.1)
+  },
+  irc: {
+    label: "IRC R311.7",
+    riseReference: "IRC R311.7.5",
+    minRiseInches: null,
+    maxRiseInches: 7.75,
+    minRunInches: 10,
+    maxRunInches: null,
+    minTreadDepthInches: null,
+    maxTreadDepthInches: null,
+    minNosingInches: 0.75,
+    maxNosingInches: 1.25,
+    nosingRequiredBelowRunInches: 11, // Nosing not required on 11" treads (R311.7.5.3)
+    minWidthInches: 36, // IRC R311.7.1
+  },
+};
+
+// Footings and frost
+export const DEFAULT_FROST_DEPTH_INCHES = 48; // Typical southern Ontario frost depth (OBC 9.12.2.2)
+// How deep each footing type bears below grade. null = poured to the frost depth.
+export const FOOTING_BEARING_DEPTH_INCHES = {
+  gh_levellers: 0, // Sits on a slab at grade
+  pylex: 50,
+  helical: 120,
+  concrete_pier: null,
+};
+export const FOOTING_TYPE_LABELS = {
+  gh_levellers: "GH levellers",
+  pylex: 'Pylex 50" screw piles',
+  helical: "Helical piles",
+  concrete_pier: "Concrete piers",
+};
+export const CONCRETE_BAG_YIELD_CU_FT = 0.5; // Quikrete 30 kg bag
+export const CONCRETE_WASTE_FACTOR = 1.1;
+export const SONOTUBE_FORM_LENGTH_INCHES = 48; // Stocked forms are 4' long; deeper piers stack two
+
+// Heavy load zones (hot tubs, planters)
+export const LOAD_ZONE_JOIST_SPACINGS_INCHES = [16, 12, 8, 6]; // Tightest spacing tried last
+export const LOAD_ZONE_SUPPORT_TOLERANCE_FEET = 1; // Existing beam/ledger this close to a zone edge carries it
+export const LOAD_ZONE_MAX_SPANS = 4; // Max joist spans under a single zone before it needs engineering
+export const DEFAULT_LOAD_ZONE_PSF = 100; // Typical filled hot tub
+
+// Curved (arc) deck edges
+export const ARC_FACET_MAX_DEVIATION_INCHES = 2; // Framing follows the arc in straight facets this close to the curve
+export const ARC_MIN_SAGITTA_INCHES = 3; // Shallower bulges snap back to a straight edge
+export const KERFED_RIM_MIN_RADIUS_FEET = 6; // Tighter curves need a laminated rim
+export const LAMINATED_RIM_PLY_THICKNESS_INCHES = 0.375; // Bending plies glued up to the 1-1/2" rim thickness
+export const BENDING_PLY_SHEET_LENGTH_FEET = 8; // Long-grain sheets bend along their 8' length
+export const BENDING_PLY_SHEET_WIDTH_INCHES = 48; // Ripped into strips the depth of the rim
+export const CURVED_FASCIA_WIDTH_INCHES = 11.25; // Bendable PVC 1x12 fascia, heat-bent to the curve
+
+// Openings (cutouts) in the deck surface - trees, sunken hot tubs, access hatches
+export const CUTOUT_CIRCLE_SEGMENTS = 48; // Straight sides used for a circular opening
+export const CUTOUT_MAX_HEADER_SPAN_FEET = 6; // Wider openings need the doubled headers engineered
+export const CUTOUT_MIN_TAIL_JOIST_INCHES = 6; // Shorter tail joist stubs between a header and its support are left out
+
+// Wrap-around decks (ledgers on two walls meeting at an outside house corner)
+export const WRAP_AROUND_MIN_JACK_JOIST_INCHES = 6; // Shorter jack joist stubs at the hip beam are left out
+export const WRAP_AROUND_PERPENDICULAR_TOLERANCE_DEGREES = 1; // Walls this close to square count as a house corner
+
+// Beams and posts moved by hand on the framing plan
+export const FRAMING_OVERRIDE_SNAP_INCHES = 1; // Dragged beams and posts land on whole inches
+export const FRAMING_OVERRIDE_POST_MATCH_INCHES = 6; // A saved post move applies to the automatic post this close
+
+// Ledger fastener placement (IRC Table R507.9.1.3(2))
+export const LEDGER_FASTENER_EDGE_DISTANCE_INCHES = 2; // From top and bottom edges - meets both ledger and band joist minimums
+export const LEDGER_FASTENER_END_DISTANCE_INCHES = 3; // End pairs sit 2"-5" from each ledger end
+
+// Lateral load connection (IRC R507.9.2 Method 1)
+export const LATERAL_LOAD_MIN_DECK_HEIGHT_INCHES = 24; // Required once the deck is high enough to need guards
+export const LATERAL_LOAD_END_DISTANCE_INCHES = 24; // One device within 24" of each end of the attached edge
+export const LATERAL_LOAD_DEVICE_CAPACITY_LBS = 1500; // Minimum allowable capacity per device (DTT2Z)
+export const LATERAL_LOAD_SCREWS_PER_DEVICE = 8; // 1/4" x 1-1/2" SDS screws into the joist
+
 // Colors (can be centralized here if used in JS, though mostly in CSS)
 export const DECK_OUTLINE_COLOR = "#4A90E2";
 export const LEDGER_COLOR = "#FFA500";
@@ -64,6 +354,12 @@ export const BLOCKING_COLOR = "#8B5CF6";
 export const STAIR_STRINGER_COLOR = "#8D6E63";
 export const STAIR_TREAD_COLOR = "#A1887F";
 export const STAIR_SELECTED_COLOR = "#4A90E2";
+export const RAILING_COLOR = "#0F766E";
+export const RAILING_POST_COLOR = "#134E4A";
+export const RAILING_GATE_COLOR = "#F59E0B";
+export const LOAD_ZONE_COLOR = "#DB2777";
+export const CUTOUT_COLOR = "#1F2937";
+export const MOVED_FRAMING_COLOR = "#D97706";
 
 // Blueprint Mode Colors (Modern CAD Style)
 export const BLUEPRINT_BG = '#ffffff';
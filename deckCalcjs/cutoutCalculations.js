@@ -0,0 +1,394 @@
+// cutoutCalculations.js - Openings (cutouts) inside the deck outline
+// A cutout is an inner ring in the deck surface: a tree, a sunken hot tub, an access hatch.
+// Joists crossing it are headered off: doubled trimmers run past its sides, doubled headers
+// span between the trimmers at its ends and the cut joists become tail joists hung from the
+// headers. calculateStructure merges the framing into the regular components; decking and
+// area leave the opening out.
+
+import {
+  EPSILON,
+  PIXELS_PER_FOOT,
+  CUTOUT_CIRCLE_SEGMENTS,
+  CUTOUT_MAX_HEADER_SPAN_FEET,
+  CUTOUT_MIN_TAIL_JOIST_INCHES,
+} from "./config.js";
+import { isPointInsidePolygon } from "./structuralValidator.js";
+
+const LUMBER_THICKNESS_PIXELS = (1.5 / 12) * PIXELS_PER_FOOT;
+const MIN_TAIL_PIXELS = (CUTOUT_MIN_TAIL_JOIST_INCHES / 12) * PIXELS_PER_FOOT;
+
+// ================================================
+// CUTOUT GEOMETRY
+// ================================================
+
+const toNearestInch = (pixels) => Math.round((pixels / PIXELS_PER_FOOT) * 12) / 12;
+
+function getSignedRingArea(points) {
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    const p1 = points[i];
+    const p2 = points[(i + 1) % points.length];
+    area += p1.x * p2.y - p2.x * p1.y;
+  }
+  return area / 2;
+}
+
+// Drop a closing point that repeats the first
+function getOpenRing(points) {
+  if (points.length > 1) {
+    const first = points[0];
+    const last = points[points.length - 1];
+    if (Math.abs(first.x - last.x) < 1 && Math.abs(first.y - last.y) < 1) {
+      return points.slice(0, -1);
+    }
+  }
+  return points;
+}
+
+/**
+ * Creates a rectangular or circular cutout from the two placement clicks.
+ * Rectangles use opposite corners; circles use the center and a point on the edge.
+ * @param {string} shape - 'rect' | 'circle'
+ * @param {{x: number, y: number}} p1 - First click (model pixels)
+ * @param {{x: number, y: number}} p2 - Second click (model pixels)
+ * @returns {Object|null} {shape, points, centerX, centerY, radiusFeet?}, or null if it has no area
+ */
+export function createCutoutFromPoints(shape, p1, p2) {
+  if (shape === "circle") {
+    const radiusFeet = toNearestInch(Math.hypot(p2.x - p1.x, p2.y - p1.y));
+    if (radiusFeet <= 0) return null;
+    const radius = radiusFeet * PIXELS_PER_FOOT;
+    const points = [];
+    for (let i = 0; i < CUTOUT_CIRCLE_SEGMENTS; i++) {
+      const angle = (i / CUTOUT_CIRCLE_SEGMENTS) * Math.PI * 2;
+      points.push({ x: p1.x + radius * Math.cos(angle), y: p1.y + radius * Math.sin(angle) });
+    }
+    return { shape: "circle", centerX: p1.x, centerY: p1.y, radiusFeet, points };
+  }
+
+  if (Math.abs(p2.x - p1.x) < EPSILON || Math.abs(p2.y - p1.y) < EPSILON) return null;
+  return {
+    shape: "rect",
+    centerX: (p1.x + p2.x) / 2,
+    centerY: (p1.y + p2.y) / 2,
+    points: [
+      { x: p1.x, y: p1.y },
+      { x: p2.x, y: p1.y },
+      { x: p2.x, y: p2.y },
+      { x: p1.x, y: p2.y },
+    ],
+  };
+}
+
+/**
+ * Creates a cutout from clicked vertices.
+ * @param {Array<{x: number, y: number}>} points - Ring vertices, optionally closed
+ * @returns {Object|null} {shape: 'polygon', points, centerX, centerY}, or null with fewer than 3 corners or no area
+ */
+export function createPolygonCutout(points) {
+  const ring = getOpenRing(points || []).map((p) => ({ x: p.x, y: p.y }));
+  if (ring.length < 3 || Math.abs(getSignedRingArea(ring)) < EPSILON) return null;
+  const bounds = getCutoutBounds({ points: ring });
+  return {
+    shape: "polygon",
+    centerX: (bounds.minX + bounds.maxX) / 2,
+    centerY: (bounds.minY + bounds.maxY) / 2,
+    points: ring,
+  };
+}
+
+/**
+ * Plan area of a cutout (sq ft). Circles use the true circle.
+ * @param {Object} cutout
+ * @returns {number}
+ */
+export function getCutoutAreaSqFt(cutout) {
+  if (cutout.shape === "circle") return Math.PI * cutout.radiusFeet * cutout.radiusFeet;
+  return Math.abs(getSignedRingArea(cutout.points)) / (PIXELS_PER_FOOT * PIXELS_PER_FOOT);
+}
+
+/**
+ * Length of a cutout's edge (ft), trimmed with deck boards or a picture frame.
+ * @param {Object} cutout
+ * @returns {number}
+ */
+export function getCutoutPerimeterFeet(cutout) {
+  if (cutout.shape === "circle") return 2 * Math.PI * cutout.radiusFeet;
+  const ring = cutout.points;
+  let perimeter = 0;
+  ring.forEach((p, i) => {
+    const next = ring[(i + 1) % ring.length];
+    perimeter += Math.hypot(next.x - p.x, next.y - p.y);
+  });
+  return perimeter / PIXELS_PER_FOOT;
+}
+
+/**
+ * @param {Object} cutout
+ * @returns {{minX: number, maxX: number, minY: number, maxY: number}}
+ */
+export function getCutoutBounds(cutout) {
+  const xs = cutout.points.map((p) => p.x);
+  const ys = cutout.points.map((p) => p.y);
+  return { minX: Math.min(...xs), maxX: Math.max(...xs), minY: Math.min(...ys), maxY: Math.max(...ys) };
+}
+
+/**
+ * Whether a point falls in any of the cutouts.
+ * @param {{x: number, y: number}} point
+ * @param {Array<Object>} cutouts
+ * @returns {boolean}
+ */
+export function isPointInCutout(point, cutouts) {
+  return (cutouts || []).some((cutout) => isPointInsidePolygon(point, cutout.points));
+}
+
+/**
+ * Checks that a new cutout sits inside the deck outline and clear of the other cutouts.
+ * @param {Object} cutout - New cutout
+ * @param {Array<{x: number, y: number}>} deckPoints - Deck outline
+ * @param {Array<Object>} [otherCutouts] - Cutouts already on the tier
+ * @returns {string|null} Problem to show the user, or null if it can be added
+ */
+export function validateCutoutPlacement(cutout, deckPoints, otherCutouts = []) {
+  if (!cutout.points.every((p) => isPointInsidePolygon(p, deckPoints))) {
+    return "Openings must be drawn inside the deck outline.";
+  }
+  const overlaps = otherCutouts.some(
+    (other) =>
+      cutout.points.some((p) => isPointInsidePolygon(p, other.points)) ||
+      other.points.some((p) => isPointInsidePolygon(p, cutout.points))
+  );
+  return overlaps ? "Openings can't overlap each other." : null;
+}
+
+// ================================================
+// FRAMING AROUND THE OPENING
+// ================================================
+
+// Joist direction from the main joists: true when they run along Y
+function getJoistsRunVertical(joists) {
+  const joist = joists.find((j) => j.usage === "Joist") || joists[0];
+  if (!joist) return null;
+  const dx = Math.abs(joist.p2.x - joist.p1.x);
+  const dy = Math.abs(joist.p2.y - joist.p1.y);
+  if (Math.min(dx, dy) > EPSILON) return undefined; // Joists run at an angle to the plan
+  return dy > dx;
+}
+
+function makePoint(vertical, alongCoord, crossCoord) {
+  return vertical ? { x: crossCoord, y: alongCoord } : { x: alongCoord, y: crossCoord };
+}
+
+function makeMember(vertical, cross, alongStart, alongEnd, size, usage, cutoutId) {
+  return {
+    p1: makePoint(vertical, alongStart, cross),
+    p2: makePoint(vertical, alongEnd, cross),
+    size,
+    lengthFeet: Math.abs(alongEnd - alongStart) / PIXELS_PER_FOOT,
+    usage,
+    cutoutId,
+  };
+}
+
+/**
+ * Framing for one cutout. The opening is framed to its bounding box: trimmer plies run the
+ * full span of the joists they replace along each side, header plies span between the
+ * trimmers at each end that has tail joists, and joists crossing the box are cut back to
+ * the headers. Joists only partly in a trimmer's way are replaced by it.
+ *
+ * @param {Object} cutout - Cutout
+ * @param {Object} structure - Components from calculateStructure
+ * @param {Array<{x: number, y: number}>} deckPoints - Deck outline
+ * @returns {{summary: Object, removedJoists: Array, removedBlocking: Array, joists: Array, blocking: Array}}
+ */
+export function calculateCutoutFraming(cutout, structure, deckPoints) {
+  const summary = {
+    id: cutout.id,
+    label: cutout.label || "",
+    shape: cutout.shape,
+    areaSqFt: getCutoutAreaSqFt(cutout),
+    perimeterFeet: getCutoutPerimeterFeet(cutout),
+    headerSpanFeet: 0,
+    headeredJoists: 0,
+    tailJoists: 0,
+    trimmerPlies: 0,
+    headerPlies: 0,
+    tailHangers: 0,
+    headerHangers: 0,
+    warnings: [],
+  };
+  const empty = { summary, removedJoists: [], removedBlocking: [], joists: [], blocking: [] };
+
+  const joists = structure.joists || [];
+  const vertical = getJoistsRunVertical(joists);
+  if (vertical === null) {
+    summary.warnings.push("No joist framing to header off around this opening.");
+    return empty;
+  }
+  if (vertical === undefined) {
+    summary.warnings.push("Joists run at an angle here - frame this opening on site.");
+    return empty;
+  }
+  if (deckPoints && deckPoints.length >= 3 && !cutout.points.every((p) => isPointInsidePolygon(p, deckPoints))) {
+    summary.warnings.push("Opening extends past the deck outline.");
+  }
+
+  const along = vertical ? "y" : "x";
+  const cross = vertical ? "x" : "y";
+  const bounds = getCutoutBounds(cutout);
+  const alongMin = vertical ? bounds.minY : bounds.minX;
+  const alongMax = vertical ? bounds.maxY : bounds.maxX;
+  const crossMin = vertical ? bounds.minX : bounds.minY;
+  const crossMax = vertical ? bounds.maxX : bounds.maxY;
+  const T = LUMBER_THICKNESS_PIXELS;
+
+  // Joists crossing the opening or in the way of a trimmer
+  const mainJoist = joists.find((j) => j.usage === "Joist") || joists[0];
+  const cutSegments = [];
+  const replacedSegments = [];
+  joists.forEach((joist) => {
+    if (Math.abs(joist.p1[cross] - joist.p2[cross]) > EPSILON) return;
+    const start = Math.min(joist.p1[along], joist.p2[along]);
+    const end = Math.max(joist.p1[along], joist.p2[along]);
+    if (end <= alongMin - 2 * T + EPSILON || start >= alongMax + 2 * T - EPSILON) return;
+    const pos = joist.p1[cross];
+    if (pos <= crossMin - 2.5 * T + EPSILON || pos >= crossMax + 2.5 * T - EPSILON) return;
+
+    const segment = { joist, start, end, pos };
+    if (pos >= crossMin + T / 2 && pos <= crossMax - T / 2) {
+      cutSegments.push(segment);
+    } else {
+      replacedSegments.push(segment);
+    }
+  });
+
+  if (cutSegments.length === 0 && replacedSegments.length === 0) {
+    summary.warnings.push("No joists cross this opening.");
+    return empty;
+  }
+
+  const size = mainJoist.size;
+  const id = cutout.id;
+  const added = [];
+
+  // --- Tail joists, cut back to the headers ---
+  const hasTailAt = { start: false, end: false };
+  cutSegments.forEach(({ joist, start, end, pos }) => {
+    const p1AtStart = joist.p1[along] <= joist.p2[along];
+    const pieces = [];
+    if (alongMin - 2 * T - start >= MIN_TAIL_PIXELS) {
+      pieces.push({ side: "start", from: start, to: alongMin - 2 * T, keepsP1: p1AtStart });
+    }
+    if (end - (alongMax + 2 * T) >= MIN_TAIL_PIXELS) {
+      pieces.push({ side: "end", from: alongMax + 2 * T, to: end, keepsP1: !p1AtStart });
+    }
+    if (pieces.length > 0) summary.headeredJoists++;
+
+    pieces.forEach((piece) => {
+      hasTailAt[piece.side] = true;
+      const tail = { ...joist, ...makeMember(vertical, pos, piece.from, piece.to, joist.size, "Tail Joist", id) };
+      if (!p1AtStart) {
+        [tail.p1, tail.p2] = [tail.p2, tail.p1]; // Same direction as the joist it was cut from
+      }
+      if (!piece.keepsP1) delete tail.skewHanger;
+      added.push(tail);
+      summary.tailJoists++;
+      summary.tailHangers++;
+    });
+  });
+
+  // --- Doubled trimmers along both sides, over each span the opening touches ---
+  const spans = [];
+  [...cutSegments, ...replacedSegments].forEach(({ start, end }) => {
+    if (!spans.some((s) => Math.abs(s.start - start) < T && Math.abs(s.end - end) < T)) {
+      spans.push({ start, end });
+    }
+  });
+  [crossMin - T / 2, crossMin - 1.5 * T, crossMax + T / 2, crossMax + 1.5 * T].forEach((pos) => {
+    spans.forEach(({ start, end }) => {
+      added.push(makeMember(vertical, pos, start, end, size, "Trimmer Joist", id));
+      summary.trimmerPlies++;
+    });
+  });
+
+  // --- Doubled headers at each end carrying tail joists ---
+  const headerSpan = crossMax - crossMin;
+  summary.headerSpanFeet = headerSpan / PIXELS_PER_FOOT;
+  const headerLines = [
+    ...(hasTailAt.start ? [alongMin - T / 2, alongMin - 1.5 * T] : []),
+    ...(hasTailAt.end ? [alongMax + T / 2, alongMax + 1.5 * T] : []),
+  ];
+  headerLines.forEach((coord) => {
+    added.push({
+      p1: makePoint(vertical, coord, crossMin),
+      p2: makePoint(vertical, coord, crossMax),
+      size,
+      lengthFeet: summary.headerSpanFeet,
+      usage: "Cutout Header",
+      cutoutId: id,
+    });
+    summary.headerPlies++;
+  });
+  summary.headerHangers = headerLines.length; // Two plies per header, a double hanger at each end
+
+  if (summary.headerPlies > 0 && summary.headerSpanFeet > CUTOUT_MAX_HEADER_SPAN_FEET + EPSILON) {
+    summary.warnings.push(
+      `Header spans ${summary.headerSpanFeet.toFixed(1)}' - openings over ${CUTOUT_MAX_HEADER_SPAN_FEET}' wide need the headers engineered.`
+    );
+  }
+
+  // Blocking rows through the opening stop at the trimmers
+  const removedBlocking = [];
+  const blocking = [];
+  (structure.midSpanBlocking || []).forEach((block) => {
+    const coord = block.p1[along];
+    if (Math.abs(block.p2[along] - coord) > EPSILON) return;
+    if (coord <= alongMin - 2 * T || coord >= alongMax + 2 * T) return;
+    const rowMin = Math.min(block.p1[cross], block.p2[cross]);
+    const rowMax = Math.max(block.p1[cross], block.p2[cross]);
+    if (rowMax <= crossMin - 2 * T || rowMin >= crossMax + 2 * T) return;
+
+    removedBlocking.push(block);
+    [[rowMin, crossMin - 2 * T], [crossMax + 2 * T, rowMax]].forEach(([from, to]) => {
+      if (to - from <= EPSILON) return;
+      blocking.push({
+        ...block,
+        p1: makePoint(vertical, coord, from),
+        p2: makePoint(vertical, coord, to),
+        lengthFeet: (to - from) / PIXELS_PER_FOOT,
+      });
+    });
+  });
+
+  return {
+    summary,
+    removedJoists: [...cutSegments, ...replacedSegments].map((s) => s.joist),
+    removedBlocking,
+    joists: added,
+    blocking,
+  };
+}
+
+/**
+ * Frames every cutout in a structure (mutated in place) and records the cutout summaries
+ * on structure.cutouts. Run before the load zones so zone infill sees the tail joists.
+ * @param {Object} structure - Components from calculateStructure or the multi-section merge
+ * @param {Object} inputs - Form inputs including cutouts
+ * @param {Array<{x: number, y: number}>} deckPoints - Deck outline
+ * @returns {Array<Object>} Cutout summaries
+ */
+export function applyCutoutFraming(structure, inputs, deckPoints) {
+  const cutouts = Array.isArray(inputs.cutouts) ? inputs.cutouts : [];
+  structure.cutouts = cutouts.map((cutout) => {
+    const framing = calculateCutoutFraming(cutout, structure, deckPoints);
+    structure.joists = structure.joists.filter((j) => !framing.removedJoists.includes(j));
+    structure.joists.push(...framing.joists);
+    if (structure.midSpanBlocking) {
+      structure.midSpanBlocking = structure.midSpanBlocking.filter((b) => !framing.removedBlocking.includes(b));
+      structure.midSpanBlocking.push(...framing.blocking);
+    }
+    return framing.summary;
+  });
+  return structure.cutouts;
+}
@@ -135,6 +135,22 @@ const rawStockListCSV = `System ID,Item,Retail Price
 210000010023,"5/4x5 Cedar Deck Board 12'",$23.99
 210000010024,"5/4x5 Cedar Deck Board 14'",$27.99
 210000010025,"5/4x5 Cedar Deck Board 16'",$31.99
+210000010031,"5/4x6 Composite Grooved Deck Board 12'",$54.99
+210000010032,"5/4x6 Composite Grooved Deck Board 16'",$72.99
+210000010033,"5/4x6 Composite Grooved Deck Board 20'",$90.99
+210000010041,"5/4x6 Composite Square Edge Deck Board 12'",$54.99
+210000010042,"5/4x6 Composite Square Edge Deck Board 16'",$72.99
+210000010043,"5/4x6 Composite Square Edge Deck Board 20'",$90.99
+210000010051,"5/4x6 PVC Grooved Deck Board 12'",$74.99
+210000010052,"5/4x6 PVC Grooved Deck Board 16'",$99.99
+210000010053,"5/4x6 PVC Grooved Deck Board 20'",$124.99
+210000010061,"5/4x6 PVC Square Edge Deck Board 12'",$74.99
+210000010062,"5/4x6 PVC Square Edge Deck Board 16'",$99.99
+210000010063,"5/4x6 PVC Square Edge Deck Board 20'",$124.99
+210000010081,"Composite Fascia 1x12 12'",$79.99
+210000010082,"PVC Fascia 1x12 12'",$94.99
+210000010083,"PT Brown Fascia 1x10 12'",$21.99
+210000010084,"Cedar Fascia 1x10 12'",$36.99
 210000010101,"DSB Deck Screw 2-1/2"" 100ct",$12.99
 210000010102,"DSB Deck Screw 2-1/2"" 350ct",$39.99
 210000010103,"DSB Deck Screw 2-1/2"" 1000ct",$99.99
@@ -143,7 +159,43 @@ const rawStockListCSV = `System ID,Item,Retail Price
 210000010113,"DSB Deck Screw 3"" 1000ct",$109.99
 210000010201,"Camo Hidden Deck Screw 2-3/8"" 100ct",$29.99
 210000010202,"Camo Hidden Deck Screw 2-3/8"" 350ct",$89.99
-210000010203,"Camo Hidden Deck Screw 2-3/8"" 700ct",$169.99`;
+210000010203,"Camo Hidden Deck Screw 2-3/8"" 700ct",$169.99
+210000010211,Hidden Deck Clip c/w Screws 90ct,$44.99
+210000010212,Hidden Deck Clip c/w Screws 450ct,$199.99
+210000010221,"Composite Cap Screw 2-1/2"" 100ct",$19.99
+210000010222,"Composite Cap Screw 2-1/2"" 350ct",$59.99
+210000010231,PVC Plug & Screw Kit 100ct,$29.99
+210000010232,PVC Plug & Screw Kit 375ct,$99.99
+210000010301,"2x2 PT Brown Baluster 36""",$2.49
+210000010302,"2x2 PT Brown Baluster 42""",$2.89
+210000010311,"Carriage Bolt HDG 1/2 x 8"" c/w Nut & Washer",$2.79
+210000010321,Gate Hardware Kit (Hinges & Latch) Black,$34.99
+210000010401,PT Brown Lattice Panel 4x8,$42.99
+210000010501,Simpson DTT2Z Deck Tension Tie Z-MAX,$16.49
+210000010502,"Simpson SDS Heavy-Duty Connector Screw 1/4 x 1-1/2"" 12ct",$9.99
+210000010503,"Simpson SDS Heavy-Duty Connector Screw 1/4 x 1-1/2"" 50ct",$36.99
+210000010504,"Threaded Rod HDG 1/2 x 12"" c/w Nuts & Washers",$6.49
+210000010511,Simpson LCE4Z Post Cap Z-MAX,$8.99
+210000010512,Simpson ECCQ3-6SDS2.5 End Column Cap,$64.99
+210000010513,"Simpson SDS Heavy-Duty Connector Screw 1/4 x 2-1/2"" 12ct",$11.49
+210000010514,Simpson ABU44Z Adjustable Post Base Z-MAX,$17.49
+210000010515,Simpson ABU66Z Adjustable Post Base Z-MAX,$29.99
+210000010521,"Sonotube Concrete Form 8"" x 4'",$9.99
+210000010522,"Sonotube Concrete Form 10"" x 4'",$12.49
+210000010523,"Sonotube Concrete Form 12"" x 4'",$15.99
+210000010524,"Sonotube Concrete Form 14"" x 4'",$19.99
+210000010525,"Sonotube Concrete Form 16"" x 4'",$24.99
+210000010526,"Sonotube Concrete Form 18"" x 4'",$31.99
+210000010527,"Sonotube Concrete Form 20"" x 4'",$38.99
+210000010528,"Sonotube Concrete Form 24"" x 4'",$54.99
+210000010531,"Lag Screw HDG 1/2 x 4"" c/w Washer",$1.29
+210000010541,Simpson LUS26-2Z 2x6 Double Face Mount Hanger Z-MAX,$4.99
+210000010542,Simpson LUS28-2Z 2x8 Double Face Mount Hanger Z-MAX,$5.79
+210000010543,Simpson LUS210-2Z 2x10 Double Face Mount Hanger Z-MAX,$6.49
+210000010551,"Bending Plywood 3/8"" 4x8 Sheet Long Grain",$64.99
+210000010552,"Bendable PVC Fascia Board 1x12 12'",$119.99
+210000010561,Simpson LSSU28Z 2x8 Field-Skewable Hanger Z-MAX,$9.49
+210000010562,Simpson LSSU210Z 2x10 Field-Skewable Hanger Z-MAX,$10.99`;
 
 // Max Joist Span Data Structure (this would ideally come from a CSV too, but embedded for now)
 const maxJoistSpansData = [
@@ -157,7 +209,7 @@ const maxJoistSpansData = [
   { size: "2x12", spacing: 16, maxSpanFt: 16.0 }, // 16'0" = 16.0 ft (Assuming 16' based on prev data)
 ];
 
-// IRC Table R507.6 - Maximum Beam Spans (Southern Pine #2, 40 PSF live + 10 PSF dead)
+// IRC Table R507.5 - Maximum Beam Spans (Southern Pine #2, 40 PSF live + 10 PSF dead)
 // Organized by beam ply count, beam size, and joist span (tributary width)
 // Values are in feet
 const maxBeamSpansData = {
@@ -217,15 +269,544 @@ const maxBeamSpansData = {
   }
 };
 
+// IRC Table R507.6 deck joist spans for the other species groups (No. 2, 40 live + 10 dead)
+// at the spacings in the shop table. The IRC gives one row for Douglas fir-larch, hem-fir
+// and spruce-pine-fir, so those three species share it.
+const ircJoistSpansDfHfSpfNo2Data = [
+  { size: "2x6", spacing: 12, maxSpanFt: 9 + 6 / 12 }, // 9'6"
+  { size: "2x6", spacing: 16, maxSpanFt: 8 + 8 / 12 }, // 8'8"
+  { size: "2x8", spacing: 12, maxSpanFt: 12 + 6 / 12 }, // 12'6"
+  { size: "2x8", spacing: 16, maxSpanFt: 11 + 1 / 12 }, // 11'1"
+  { size: "2x10", spacing: 12, maxSpanFt: 15 + 8 / 12 }, // 15'8"
+  { size: "2x10", spacing: 16, maxSpanFt: 13 + 7 / 12 }, // 13'7"
+  { size: "2x12", spacing: 12, maxSpanFt: 18.0 }, // 18'0"
+  { size: "2x12", spacing: 16, maxSpanFt: 15 + 9 / 12 }, // 15'9"
+];
+
+// IRC Table R507.6 row for redwood, western cedars, ponderosa pine and red pine
+const ircJoistSpansCedarNo2Data = [
+  { size: "2x6", spacing: 12, maxSpanFt: 8 + 10 / 12 }, // 8'10"
+  { size: "2x6", spacing: 16, maxSpanFt: 8.0 }, // 8'0"
+  { size: "2x8", spacing: 12, maxSpanFt: 11 + 8 / 12 }, // 11'8"
+  { size: "2x8", spacing: 16, maxSpanFt: 10 + 7 / 12 }, // 10'7"
+  { size: "2x10", spacing: 12, maxSpanFt: 14 + 11 / 12 }, // 14'11"
+  { size: "2x10", spacing: 16, maxSpanFt: 13.0 }, // 13'0"
+  { size: "2x12", spacing: 12, maxSpanFt: 17 + 5 / 12 }, // 17'5"
+  { size: "2x12", spacing: 16, maxSpanFt: 15 + 1 / 12 }, // 15'1"
+];
+
+// IRC Table R507.5 deck beam spans (No. 2, 40 live + 10 dead), shaped like maxBeamSpansData.
+// Douglas fir-larch, hem-fir and spruce-pine-fir share one row.
+const ircBeamSpansDfHfSpfNo2Data = {
+  2: {
+    "2x6": [
+      { joistSpanFt: 6, maxBeamSpanFt: 5 + 11/12 },  // 5'11"
+      { joistSpanFt: 8, maxBeamSpanFt: 5 + 1/12 },   // 5'1"
+      { joistSpanFt: 10, maxBeamSpanFt: 4 + 7/12 },  // 4'7"
+      { joistSpanFt: 12, maxBeamSpanFt: 4 + 2/12 },  // 4'2"
+    ],
+    "2x8": [
+      { joistSpanFt: 6, maxBeamSpanFt: 7 + 5/12 },   // 7'5"
+      { joistSpanFt: 8, maxBeamSpanFt: 6 + 5/12 },   // 6'5"
+      { joistSpanFt: 10, maxBeamSpanFt: 5 + 9/12 },  // 5'9"
+      { joistSpanFt: 12, maxBeamSpanFt: 5 + 3/12 },  // 5'3"
+    ],
+    "2x10": [
+      { joistSpanFt: 6, maxBeamSpanFt: 9 + 1/12 },   // 9'1"
+      { joistSpanFt: 8, maxBeamSpanFt: 7 + 10/12 },  // 7'10"
+      { joistSpanFt: 10, maxBeamSpanFt: 7 + 0/12 },  // 7'0"
+      { joistSpanFt: 12, maxBeamSpanFt: 6 + 5/12 },  // 6'5"
+    ],
+    "2x12": [
+      { joistSpanFt: 6, maxBeamSpanFt: 10 + 7/12 },  // 10'7"
+      { joistSpanFt: 8, maxBeamSpanFt: 9 + 2/12 },   // 9'2"
+      { joistSpanFt: 10, maxBeamSpanFt: 8 + 2/12 },  // 8'2"
+      { joistSpanFt: 12, maxBeamSpanFt: 7 + 5/12 },  // 7'5"
+    ],
+  },
+  3: {
+    "2x6": [
+      { joistSpanFt: 6, maxBeamSpanFt: 7 + 2/12 },   // 7'2"
+      { joistSpanFt: 8, maxBeamSpanFt: 6 + 5/12 },   // 6'5"
+      { joistSpanFt: 10, maxBeamSpanFt: 5 + 9/12 },  // 5'9"
+      { joistSpanFt: 12, maxBeamSpanFt: 5 + 3/12 },  // 5'3"
+    ],
+    "2x8": [
+      { joistSpanFt: 6, maxBeamSpanFt: 9 + 5/12 },   // 9'5"
+      { joistSpanFt: 8, maxBeamSpanFt: 8 + 5/12 },   // 8'5"
+      { joistSpanFt: 10, maxBeamSpanFt: 7 + 6/12 },  // 7'6"
+      { joistSpanFt: 12, maxBeamSpanFt: 6 + 10/12 }, // 6'10"
+    ],
+    "2x10": [
+      { joistSpanFt: 6, maxBeamSpanFt: 11 + 9/12 },  // 11'9"
+      { joistSpanFt: 8, maxBeamSpanFt: 10 + 5/12 },  // 10'5"
+      { joistSpanFt: 10, maxBeamSpanFt: 9 + 3/12 },  // 9'3"
+      { joistSpanFt: 12, maxBeamSpanFt: 8 + 6/12 },  // 8'6"
+    ],
+    "2x12": [
+      { joistSpanFt: 6, maxBeamSpanFt: 13 + 9/12 },  // 13'9"
+      { joistSpanFt: 8, maxBeamSpanFt: 12 + 2/12 },  // 12'2"
+      { joistSpanFt: 10, maxBeamSpanFt: 10 + 11/12 }, // 10'11"
+      { joistSpanFt: 12, maxBeamSpanFt: 9 + 11/12 }, // 9'11"
+    ],
+  },
+};
+
+// IRC Table R507.5 row for redwood, western cedars, ponderosa pine and red pine
+const ircBeamSpansCedarNo2Data = {
+  2: {
+    "2x6": [
+      { joistSpanFt: 6, maxBeamSpanFt: 5 + 3/12 },   // 5'3"
+      { joistSpanFt: 8, maxBeamSpanFt: 4 + 6/12 },   // 4'6"
+      { joistSpanFt: 10, maxBeamSpanFt: 4 + 0/12 },  // 4'0"
+      { joistSpanFt: 12, maxBeamSpanFt: 3 + 8/12 },  // 3'8"
+    ],
+    "2x8": [
+      { joistSpanFt: 6, maxBeamSpanFt: 6 + 7/12 },   // 6'7"
+      { joistSpanFt: 8, maxBeamSpanFt: 5 + 8/12 },   // 5'8"
+      { joistSpanFt: 10, maxBeamSpanFt: 5 + 1/12 },  // 5'1"
+      { joistSpanFt: 12, maxBeamSpanFt: 4 + 8/12 },  // 4'8"
+    ],
+    "2x10": [
+      { joistSpanFt: 6, maxBeamSpanFt: 8 + 1/12 },   // 8'1"
+      { joistSpanFt: 8, maxBeamSpanFt: 7 + 0/12 },   // 7'0"
+      { joistSpanFt: 10, maxBeamSpanFt: 6 + 3/12 },  // 6'3"
+      { joistSpanFt: 12, maxBeamSpanFt: 5 + 8/12 },  // 5'8"
+    ],
+    "2x12": [
+      { joistSpanFt: 6, maxBeamSpanFt: 9 + 5/12 },   // 9'5"
+      { joistSpanFt: 8, maxBeamSpanFt: 8 + 2/12 },   // 8'2"
+      { joistSpanFt: 10, maxBeamSpanFt: 7 + 3/12 },  // 7'3"
+      { joistSpanFt: 12, maxBeamSpanFt: 6 + 8/12 },  // 6'8"
+    ],
+  },
+  3: {
+    "2x6": [
+      { joistSpanFt: 6, maxBeamSpanFt: 6 + 6/12 },   // 6'6"
+      { joistSpanFt: 8, maxBeamSpanFt: 5 + 8/12 },   // 5'8"
+      { joistSpanFt: 10, maxBeamSpanFt: 5 + 1/12 },  // 5'1"
+      { joistSpanFt: 12, maxBeamSpanFt: 4 + 7/12 },  // 4'7"
+    ],
+    "2x8": [
+      { joistSpanFt: 6, maxBeamSpanFt: 8 + 6/12 },   // 8'6"
+      { joistSpanFt: 8, maxBeamSpanFt: 7 + 4/12 },   // 7'4"
+      { joistSpanFt: 10, maxBeamSpanFt: 6 + 6/12 },  // 6'6"
+      { joistSpanFt: 12, maxBeamSpanFt: 6 + 0/12 },  // 6'0"
+    ],
+    "2x10": [
+      { joistSpanFt: 6, maxBeamSpanFt: 10 + 5/12 },  // 10'5"
+      { joistSpanFt: 8, maxBeamSpanFt: 9 + 1/12 },   // 9'1"
+      { joistSpanFt: 10, maxBeamSpanFt: 8 + 1/12 },  // 8'1"
+      { joistSpanFt: 12, maxBeamSpanFt: 7 + 4/12 },  // 7'4"
+    ],
+    "2x12": [
+      { joistSpanFt: 6, maxBeamSpanFt: 12 + 1/12 },  // 12'1"
+      { joistSpanFt: 8, maxBeamSpanFt: 10 + 6/12 },  // 10'6"
+      { joistSpanFt: 10, maxBeamSpanFt: 9 + 5/12 },  // 9'5"
+      { joistSpanFt: 12, maxBeamSpanFt: 8 + 7/12 },  // 8'7"
+    ],
+  },
+};
+
+// Rounds a length in feet down to the nearest whole inch (tolerant of float noise)
+function floorToInch(feet) {
+  return Math.floor(feet * 12 + 1e-6) / 12;
+}
+
+/**
+ * Scales every entry of a beam span table, rounding down to the nearest inch.
+ * @param {Object} beamSpans - Table shaped like maxBeamSpansData
+ * @param {number} factor - Multiplier applied to maxBeamSpanFt
+ * @returns {Object} New table with the same shape
+ */
+function scaleBeamSpans(beamSpans, factor) {
+  const scaled = {};
+  for (const [ply, sizes] of Object.entries(beamSpans)) {
+    scaled[ply] = {};
+    for (const [size, entries] of Object.entries(sizes)) {
+      scaled[ply][size] = entries.map((entry) => ({
+        joistSpanFt: entry.joistSpanFt,
+        maxBeamSpanFt: floorToInch(entry.maxBeamSpanFt * factor),
+      }));
+    }
+  }
+  return scaled;
+}
+
+/**
+ * Holds a species joist table to the shop table, so no species spans further than
+ * Southern Pine and every span stays within 16' stock.
+ * @param {Array} joistSpans - Table shaped like maxJoistSpansData
+ * @param {Array} capSpans - Shop table for the same sizes and spacings
+ * @returns {Array} New table with the same shape
+ */
+function capJoistSpans(joistSpans, capSpans) {
+  return joistSpans.map((rule) => {
+    const cap = capSpans.find((c) => c.size === rule.size && c.spacing === rule.spacing);
+    return cap ? { ...rule, maxSpanFt: Math.min(rule.maxSpanFt, cap.maxSpanFt) } : rule;
+  });
+}
+
+/**
+ * Holds a species beam table to the Southern Pine table, entry by entry.
+ * @param {Object} beamSpans - Table shaped like maxBeamSpansData
+ * @param {Object} capSpans - Southern Pine table
+ * @returns {Object} New table with the same shape
+ */
+function capBeamSpans(beamSpans, capSpans) {
+  const capped = {};
+  for (const [ply, sizes] of Object.entries(beamSpans)) {
+    capped[ply] = {};
+    for (const [size, entries] of Object.entries(sizes)) {
+      capped[ply][size] = entries.map((entry) => {
+        const cap = capSpans[ply]?.[size]?.find((c) => c.joistSpanFt === entry.joistSpanFt);
+        return cap ? { ...entry, maxBeamSpanFt: Math.min(entry.maxBeamSpanFt, cap.maxBeamSpanFt) } : entry;
+      });
+    }
+  }
+  return capped;
+}
+
+// --- Span Table Registry ---
+// Keyed by species, then grade, then load case. Load case keys are "<live>L<dead>D" in psf.
+// Callers use "<species>_<grade>" keys (e.g., "hf_no2"). The IRC R507.5 / R507.6 tables are
+// written for No. 2, so that is the grade registered for each species. Each grade also carries
+// its NDS reference design values (psi) for the mechanics checks; Fb includes the size factor.
+const DEFAULT_SPAN_TABLE_KEY = "sp_no2";
+const DEFAULT_SPAN_LOAD_CASE = "40L10D";
+
+const dfHfSpfNo2Tables = {
+  joists: capJoistSpans(ircJoistSpansDfHfSpfNo2Data, maxJoistSpansData),
+  beams: capBeamSpans(ircBeamSpansDfHfSpfNo2Data, maxBeamSpansData),
+};
+
+const spanTableRegistry = {
+  sp: {
+    label: "Southern Pine",
+    grades: {
+      no2: {
+        label: "#2",
+        loadCases: {
+          "40L10D": { joists: maxJoistSpansData, beams: maxBeamSpansData },
+        },
+        designValues: {
+          fbPsi: { "2x6": 1250, "2x8": 1200, "2x10": 1050, "2x12": 975 },
+          fvPsi: 175,
+          ePsi: 1600000,
+        },
+      },
+    },
+  },
+  dfl: {
+    label: "Douglas Fir-Larch",
+    grades: {
+      no2: {
+        label: "#2",
+        loadCases: { "40L10D": dfHfSpfNo2Tables },
+        designValues: {
+          fbPsi: { "2x6": 1170, "2x8": 1080, "2x10": 990, "2x12": 900 },
+          fvPsi: 180,
+          ePsi: 1600000,
+        },
+      },
+    },
+  },
+  hf: {
+    label: "Hem-Fir",
+    grades: {
+      no2: {
+        label: "#2",
+        loadCases: { "40L10D": dfHfSpfNo2Tables },
+        designValues: {
+          fbPsi: { "2x6": 1105, "2x8": 1020, "2x10": 935, "2x12": 850 },
+          fvPsi: 150,
+          ePsi: 1300000,
+        },
+      },
+    },
+  },
+  spf: {
+    label: "SPF",
+    grades: {
+      no2: {
+        label: "#2",
+        loadCases: { "40L10D": dfHfSpfNo2Tables },
+        designValues: {
+          fbPsi: { "2x6": 1138, "2x8": 1050, "2x10": 963, "2x12": 875 },
+          fvPsi: 135,
+          ePsi: 1400000,
+        },
+      },
+    },
+  },
+  cedar: {
+    label: "Western Cedar",
+    grades: {
+      no2: {
+        label: "#2",
+        loadCases: {
+          "40L10D": {
+            joists: capJoistSpans(ircJoistSpansCedarNo2Data, maxJoistSpansData),
+            beams: capBeamSpans(ircBeamSpansCedarNo2Data, maxBeamSpansData),
+          },
+        },
+        designValues: {
+          fbPsi: { "2x6": 910, "2x8": 840, "2x10": 770, "2x12": 700 },
+          fvPsi: 155,
+          ePsi: 1000000,
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Finds the registry entry for a "<species>_<grade>" key.
+ * @param {string} spanTableKey - Span table key (e.g., "spf_no2")
+ * @returns {{key: string, label: string, species: string, grade: string, loadCases: Object, designValues: Object}|null}
+ */
+function findSpanTableEntry(spanTableKey) {
+  const [species, grade] = String(spanTableKey || "").split("_");
+  const speciesEntry = spanTableRegistry[species];
+  const gradeEntry = speciesEntry?.grades?.[grade];
+  if (!gradeEntry) return null;
+  return {
+    ...gradeEntry,
+    key: `${species}_${grade}`,
+    label: `${speciesEntry.label} ${gradeEntry.label}`,
+    species,
+    grade,
+  };
+}
+
+// --- Lumber Properties ---
+// Actual dressed dimensions of the framing sizes, in inches
+const lumberSectionData = {
+  "2x6": { widthIn: 1.5, depthIn: 5.5 },
+  "2x8": { widthIn: 1.5, depthIn: 7.25 },
+  "2x10": { widthIn: 1.5, depthIn: 9.25 },
+  "2x12": { widthIn: 1.5, depthIn: 11.25 },
+};
+
+/**
+ * Section properties and reference design values for one ply of a framing size.
+ * Unknown span table keys use the default species.
+ * @param {string} spanTableKey - Span table / species key (e.g., "sp_no2")
+ * @param {string} size - Nominal size (e.g., "2x10")
+ * @returns {{size: string, widthIn: number, depthIn: number, areaIn2: number, sectionModulusIn3: number,
+ *   momentOfInertiaIn4: number, fbPsi: number, fvPsi: number, ePsi: number}|null} Null for unknown sizes
+ */
+function getLumberProperties(spanTableKey, size) {
+  const section = lumberSectionData[size];
+  if (!section) return null;
+  const values = (findSpanTableEntry(spanTableKey) || findSpanTableEntry(DEFAULT_SPAN_TABLE_KEY)).designValues;
+  const { widthIn, depthIn } = section;
+  return {
+    size,
+    widthIn,
+    depthIn,
+    areaIn2: widthIn * depthIn,
+    sectionModulusIn3: (widthIn * depthIn * depthIn) / 6,
+    momentOfInertiaIn4: (widthIn * Math.pow(depthIn, 3)) / 12,
+    fbPsi: values.fbPsi[size],
+    fvPsi: values.fvPsi,
+    ePsi: values.ePsi,
+  };
+}
+
+// --- Design Loads ---
+const KPA_TO_PSF = 20.885;
+const DEFAULT_LIVE_LOAD_PSF = 40;
+const DEFAULT_DEAD_LOAD_PSF = 10;
+
+// OBC 9.4.2.2: specified snow load S = Cb * Ss + Sr. Cb = 0.55 is used for every deck,
+// which is conservative for narrow decks that could use 0.45.
+const DECK_SNOW_BASIC_FACTOR = 0.55;
+
+// Ground snow (Ss) and associated rain (Sr) loads in kPa from OBC SB-1 for the
+// municipalities we serve most. Confirm against the current SB-1 table for permits.
+const climateSnowLoads = {
+  toronto: { label: "Toronto", ssKpa: 0.9, srKpa: 0.4 },
+  hamilton: { label: "Hamilton", ssKpa: 1.1, srKpa: 0.4 },
+  niagara_falls: { label: "Niagara Falls", ssKpa: 1.1, srKpa: 0.4 },
+  windsor: { label: "Windsor", ssKpa: 0.8, srKpa: 0.4 },
+  london: { label: "London", ssKpa: 1.9, srKpa: 0.4 },
+  kitchener: { label: "Kitchener-Waterloo", ssKpa: 1.9, srKpa: 0.4 },
+  kingston: { label: "Kingston", ssKpa: 2.0, srKpa: 0.4 },
+  peterborough: { label: "Peterborough", ssKpa: 2.2, srKpa: 0.4 },
+  ottawa: { label: "Ottawa", ssKpa: 2.4, srKpa: 0.4 },
+  barrie: { label: "Barrie", ssKpa: 2.5, srKpa: 0.4 },
+  collingwood: { label: "Collingwood", ssKpa: 2.7, srKpa: 0.4 },
+  north_bay: { label: "North Bay", ssKpa: 2.9, srKpa: 0.4 },
+  huntsville: { label: "Huntsville", ssKpa: 3.0, srKpa: 0.4 },
+  sault_ste_marie: { label: "Sault Ste. Marie", ssKpa: 3.1, srKpa: 0.4 },
+};
+
+/**
+ * Deck snow load for a municipality in the bundled climate table.
+ * @param {string} municipalityKey - Key into the climate table (e.g., "ottawa")
+ * @returns {number|null} Specified snow load in psf (rounded to 0.1), or null if unknown
+ */
+function getMunicipalitySnowLoadPsf(municipalityKey) {
+  const climate = climateSnowLoads[municipalityKey];
+  if (!climate) return null;
+  const snowKpa = DECK_SNOW_BASIC_FACTOR * climate.ssKpa + climate.srKpa;
+  return Math.round(snowKpa * KPA_TO_PSF * 10) / 10;
+}
+
+/**
+ * Lists the bundled municipalities with their deck snow loads.
+ * @returns {Array<{key: string, label: string, snowLoadPsf: number}>}
+ */
+function getClimateMunicipalities() {
+  return Object.entries(climateSnowLoads).map(([key, climate]) => ({
+    key,
+    label: climate.label,
+    snowLoadPsf: getMunicipalitySnowLoadPsf(key),
+  }));
+}
+
+/**
+ * Resolves the project design load from form-style inputs.
+ * Live and snow loads are not combined on a deck - whichever is larger governs.
+ * A known municipality overrides the entered snow load.
+ *
+ * @param {Object} [loadInputs] - { liveLoadPsf, deadLoadPsf, snowLoadPsf, loadMunicipality }
+ * @returns {{liveLoadPsf: number, deadLoadPsf: number, snowLoadPsf: number, municipality: string|null,
+ *   governingLoadPsf: number, governs: string, totalLoadPsf: number}}
+ */
+function resolveDesignLoad(loadInputs = {}) {
+  const toPsf = (value, fallback) => {
+    if (value === "" || value === null || value === undefined) return fallback;
+    const num = Number(value);
+    return Number.isFinite(num) && num >= 0 ? num : fallback;
+  };
+
+  const liveLoadPsf = toPsf(loadInputs.liveLoadPsf, DEFAULT_LIVE_LOAD_PSF);
+  const deadLoadPsf = toPsf(loadInputs.deadLoadPsf, DEFAULT_DEAD_LOAD_PSF);
+  const municipalitySnow = getMunicipalitySnowLoadPsf(loadInputs.loadMunicipality);
+  const snowLoadPsf = municipalitySnow ?? toPsf(loadInputs.snowLoadPsf, 0);
+  const governs = snowLoadPsf > liveLoadPsf ? "snow" : "live";
+  const governingLoadPsf = Math.max(liveLoadPsf, snowLoadPsf);
+
+  return {
+    liveLoadPsf,
+    deadLoadPsf,
+    snowLoadPsf,
+    municipality: municipalitySnow !== null ? loadInputs.loadMunicipality : null,
+    governingLoadPsf,
+    governs,
+    totalLoadPsf: governingLoadPsf + deadLoadPsf,
+  };
+}
+
+// Parses a "<live>L<dead>D" load case key into psf values
+function parseLoadCaseKey(loadCase) {
+  const match = /^(\d+(?:\.\d+)?)L(\d+(?:\.\d+)?)D$/.exec(loadCase || "");
+  return match ? { liveLoadPsf: parseFloat(match[1]), deadLoadPsf: parseFloat(match[2]) } : null;
+}
+
+/**
+ * Span reduction factor for a design load heavier than a table's load case.
+ * Bending capacity scales with 1/sqrt(total load); live load deflection scales with
+ * 1/cbrt(live load). The smaller of the two governs. Lighter loads never lengthen spans.
+ * @param {{liveLoadPsf: number, deadLoadPsf: number}} tableLoad - Load case the table was built for
+ * @param {{governingLoadPsf: number, totalLoadPsf: number}} designLoad - Resolved design load
+ * @returns {number} Factor between 0 and 1
+ */
+function getSpanLoadFactor(tableLoad, designLoad) {
+  const bending = Math.sqrt((tableLoad.liveLoadPsf + tableLoad.deadLoadPsf) / designLoad.totalLoadPsf);
+  const deflection = Math.cbrt(tableLoad.liveLoadPsf / designLoad.governingLoadPsf);
+  return Math.min(1, bending, deflection);
+}
+
+/**
+ * Looks up a span table by species/grade key and load case.
+ * Unknown keys or load cases fall back to the default table so callers always get data.
+ * When a design load object is passed instead of a load case key, a matching registered
+ * case is used if one exists; otherwise the default case is reduced for the heavier load.
+ * @param {string} [spanTableKey] - Registry key (e.g., "sp_no2", "spf_no2")
+ * @param {string|Object} [loadCase] - Load case key (e.g., "40L10D") or design load inputs
+ * @returns {{key: string, label: string, loadCase: string, spanFactor: number, joists: Array, beams: Object}}
+ */
+function getSpanTable(spanTableKey = DEFAULT_SPAN_TABLE_KEY, loadCase = DEFAULT_SPAN_LOAD_CASE) {
+  let entry = findSpanTableEntry(spanTableKey || DEFAULT_SPAN_TABLE_KEY);
+  if (!entry) {
+    console.warn(`[getSpanTable] Unknown span table "${spanTableKey}", using ${DEFAULT_SPAN_TABLE_KEY}`);
+    entry = findSpanTableEntry(DEFAULT_SPAN_TABLE_KEY);
+  }
+  const { key } = entry;
+
+  let designLoad = null;
+  let resolvedLoadCase = loadCase || DEFAULT_SPAN_LOAD_CASE;
+  if (loadCase && typeof loadCase === "object") {
+    designLoad = resolveDesignLoad(loadCase);
+    resolvedLoadCase = `${designLoad.governingLoadPsf}L${designLoad.deadLoadPsf}D`;
+  }
+
+  let tables = entry.loadCases[resolvedLoadCase];
+  let spanFactor = 1;
+  if (!tables) {
+    if (designLoad) {
+      spanFactor = getSpanLoadFactor(parseLoadCaseKey(DEFAULT_SPAN_LOAD_CASE), designLoad);
+    } else {
+      console.warn(`[getSpanTable] No ${resolvedLoadCase} load case for "${key}", using ${DEFAULT_SPAN_LOAD_CASE}`);
+      resolvedLoadCase = DEFAULT_SPAN_LOAD_CASE;
+    }
+    tables = entry.loadCases[DEFAULT_SPAN_LOAD_CASE];
+  }
+
+  if (spanFactor < 1) {
+    return {
+      key,
+      label: entry.label,
+      loadCase: resolvedLoadCase,
+      spanFactor,
+      joists: tables.joists.map((rule) => ({ ...rule, maxSpanFt: floorToInch(rule.maxSpanFt * spanFactor) })),
+      beams: scaleBeamSpans(tables.beams, spanFactor),
+    };
+  }
+
+  return {
+    key,
+    label: entry.label,
+    loadCase: resolvedLoadCase,
+    spanFactor,
+    joists: tables.joists,
+    beams: tables.beams,
+  };
+}
+
+/**
+ * Lists the registered species/grade span tables for building selectors.
+ * @returns {Array<{key: string, label: string, species: string, grade: string, loadCases: string[]}>}
+ */
+function getSpanTableOptions() {
+  return Object.entries(spanTableRegistry).flatMap(([species, speciesEntry]) =>
+    Object.keys(speciesEntry.grades).map((grade) => {
+      const entry = findSpanTableEntry(`${species}_${grade}`);
+      return {
+        key: entry.key,
+        label: entry.label,
+        species,
+        grade,
+        loadCases: Object.keys(entry.loadCases),
+      };
+    })
+  );
+}
+
 /**
  * Gets the maximum allowable beam span based on IRC Table R507.6
  * @param {string} beamSize - Beam lumber size (e.g., "2x8", "2x10")
  * @param {number} beamPly - Number of plies (2 or 3)
  * @param {number} joistSpanFt - The joist span in feet (tributary width for the beam)
+ * @param {string} [spanTableKey] - Species/grade span table key (defaults to Southern Pine #2)
+ * @param {string|Object} [loadCase] - Load case key or design load (defaults to 40 live + 10 dead)
  * @returns {number|null} Maximum beam span in feet, or null if not found
  */
-function getMaxBeamSpan(beamSize, beamPly, joistSpanFt) {
-  const plyData = maxBeamSpansData[beamPly];
+function getMaxBeamSpan(beamSize, beamPly, joistSpanFt, spanTableKey, loadCase) {
+  const plyData = getSpanTable(spanTableKey, loadCase).beams[beamPly];
   if (!plyData) {
     console.warn(`[getMaxBeamSpan] Invalid beam ply count: ${beamPly}`);
     return null;
@@ -272,10 +853,12 @@ function getMaxBeamSpan(beamSize, beamPly, joistSpanFt) {
  * @param {string} beamSize - Beam lumber size (e.g., "2x8")
  * @param {number} beamPly - Number of plies (2 or 3)
  * @param {number} joistSpanFt - The joist span in feet
+ * @param {string} [spanTableKey] - Species/grade span table key
+ * @param {string|Object} [loadCase] - Load case key or design load
  * @returns {{valid: boolean, maxSpan: number, message: string}}
  */
-function validateBeamSpan(actualBeamSpanFt, beamSize, beamPly, joistSpanFt) {
-  const maxSpan = getMaxBeamSpan(beamSize, beamPly, joistSpanFt);
+function validateBeamSpan(actualBeamSpanFt, beamSize, beamPly, joistSpanFt, spanTableKey, loadCase) {
+  const maxSpan = getMaxBeamSpan(beamSize, beamPly, joistSpanFt, spanTableKey, loadCase);
 
   if (maxSpan === null) {
     return {
@@ -301,13 +884,15 @@ function validateBeamSpan(actualBeamSpanFt, beamSize, beamPly, joistSpanFt) {
  * @param {number} requiredBeamSpanFt - Required beam span between posts
  * @param {number} joistSpanFt - Joist span (tributary width)
  * @param {number} beamPly - Number of plies (2 or 3)
+ * @param {string} [spanTableKey] - Species/grade span table key
+ * @param {string|Object} [loadCase] - Load case key or design load
  * @returns {{size: string, maxSpan: number}|null} Recommended beam size or null if none adequate
  */
-function recommendBeamSize(requiredBeamSpanFt, joistSpanFt, beamPly) {
+function recommendBeamSize(requiredBeamSpanFt, joistSpanFt, beamPly, spanTableKey, loadCase) {
   const sizes = ["2x6", "2x8", "2x10", "2x12"];
 
   for (const size of sizes) {
-    const maxSpan = getMaxBeamSpan(size, beamPly, joistSpanFt);
+    const maxSpan = getMaxBeamSpan(size, beamPly, joistSpanFt, spanTableKey, loadCase);
     if (maxSpan && maxSpan >= requiredBeamSpanFt) {
       return { size, maxSpan };
     }
@@ -315,7 +900,7 @@ function recommendBeamSize(requiredBeamSpanFt, joistSpanFt, beamPly) {
 
   // If no single beam works, return the largest with a note
   const largestSize = sizes[sizes.length - 1];
-  const largestMaxSpan = getMaxBeamSpan(largestSize, beamPly, joistSpanFt);
+  const largestMaxSpan = getMaxBeamSpan(largestSize, beamPly, joistSpanFt, spanTableKey, loadCase);
 
   return {
     size: largestSize,
@@ -557,12 +1142,24 @@ export function getManualSpanRules() {
   return manualSpanRulesInternal;
 }
 
-export function getMaxJoistSpans() {
-  return maxJoistSpansData; // Export the constant array directly
+export function getMaxJoistSpans(spanTableKey, loadCase) {
+  return getSpanTable(spanTableKey, loadCase).joists;
 }
 
-// Export beam span functions (IRC Table R507.6)
-export { getMaxBeamSpan, validateBeamSpan, recommendBeamSize };
+// Export span table registry and beam span functions (IRC Table R507.6)
+export {
+  DEFAULT_SPAN_TABLE_KEY,
+  DEFAULT_SPAN_LOAD_CASE,
+  getSpanTable,
+  getSpanTableOptions,
+  getLumberProperties,
+  getMunicipalitySnowLoadPsf,
+  getClimateMunicipalities,
+  resolveDesignLoad,
+  getMaxBeamSpan,
+  validateBeamSpan,
+  recommendBeamSize,
+};
 
 // ============================================
 // FOOTING SIZE CALCULATIONS (IRC R403.1)
@@ -574,8 +1171,42 @@ const STANDARD_FOOTING_DIAMETERS = [12, 16, 18, 20, 24];
 // Default soil bearing capacity (psf) - conservative value for unknown soil
 const DEFAULT_SOIL_BEARING_CAPACITY = 1500;
 
-// Design load for decks (psf): 40 live + 10 dead per IRC
-const DECK_DESIGN_LOAD_PSF = 50;
+// Presumptive load-bearing values by soil class (IRC Table R401.4.1), in psf
+const DEFAULT_SOIL_CLASS = "clay";
+const soilClasses = {
+  bedrock: { label: "Crystalline bedrock", bearingPsf: 12000 },
+  sedimentary_rock: { label: "Sedimentary rock", bearingPsf: 4000 },
+  gravel: { label: "Sandy gravel / gravel (GW, GP)", bearingPsf: 3000 },
+  sand: { label: "Sand, silty or clayey sand/gravel (SW, SP, SM, SC, GM, GC)", bearingPsf: 2000 },
+  clay: { label: "Clay, silt or unknown (CL, ML, MH, CH)", bearingPsf: DEFAULT_SOIL_BEARING_CAPACITY },
+};
+
+/**
+ * Resolves site inputs used for footing design.
+ * Unknown soil classes use the conservative default; missing or invalid frost depth
+ * uses the caller's default.
+ *
+ * @param {Object} [siteInputs] - { soilClass, frostDepthInches }
+ * @param {number} [defaultFrostDepthInches] - Frost depth when none is entered
+ * @returns {{soilClass: string, soilLabel: string, soilBearingCapacity: number, frostDepthInches: number}}
+ */
+function resolveSiteConditions(siteInputs = {}, defaultFrostDepthInches = 0) {
+  const soilClass = soilClasses[siteInputs.soilClass] ? siteInputs.soilClass : DEFAULT_SOIL_CLASS;
+  const frost = Number(siteInputs.frostDepthInches);
+  const hasFrost = siteInputs.frostDepthInches !== "" && siteInputs.frostDepthInches !== null &&
+    siteInputs.frostDepthInches !== undefined && Number.isFinite(frost) && frost >= 0;
+
+  return {
+    soilClass,
+    soilLabel: soilClasses[soilClass].label,
+    soilBearingCapacity: soilClasses[soilClass].bearingPsf,
+    frostDepthInches: hasFrost ? frost : defaultFrostDepthInches,
+  };
+}
+
+// Default design load for decks (psf): 40 live + 10 dead per IRC.
+// Projects with a snow or custom load pass their own total from resolveDesignLoad().
+const DECK_DESIGN_LOAD_PSF = DEFAULT_LIVE_LOAD_PSF + DEFAULT_DEAD_LOAD_PSF;
 
 /**
  * Calculate required footing diameter based on tributary load area
@@ -583,11 +1214,16 @@ const DECK_DESIGN_LOAD_PSF = 50;
  *
  * @param {number} tributaryAreaSqFt - Tributary area supported by this footing (sq ft)
  * @param {number} soilBearingCapacity - Soil bearing capacity in psf (default 1500)
+ * @param {number} designLoadPsf - Total design load in psf (default 50)
  * @returns {Object} { diameter: number, load: number, requiredArea: number, message: string }
  */
-function calculateFootingDiameter(tributaryAreaSqFt, soilBearingCapacity = DEFAULT_SOIL_BEARING_CAPACITY) {
+function calculateFootingDiameter(
+  tributaryAreaSqFt,
+  soilBearingCapacity = DEFAULT_SOIL_BEARING_CAPACITY,
+  designLoadPsf = DECK_DESIGN_LOAD_PSF
+) {
   // Calculate total load on footing
-  const totalLoadLbs = tributaryAreaSqFt * DECK_DESIGN_LOAD_PSF;
+  const totalLoadLbs = tributaryAreaSqFt * designLoadPsf;
 
   // Calculate required footing area (sq ft)
   const requiredAreaSqFt = totalLoadLbs / soilBearingCapacity;
@@ -649,4 +1285,144 @@ function calculateTributaryArea(postSpacingFt, joistSpanFt, isCorner = false) {
 }
 
 // Export footing functions
-export { calculateFootingDiameter, calculateTributaryArea, DECK_DESIGN_LOAD_PSF, DEFAULT_SOIL_BEARING_CAPACITY };
+export {
+  calculateFootingDiameter,
+  calculateTributaryArea,
+  resolveSiteConditions,
+  DECK_DESIGN_LOAD_PSF,
+  DEFAULT_SOIL_BEARING_CAPACITY,
+};
+
+// ============================================
+// LEDGER FASTENERS (IRC R507.9.1.3)
+// ============================================
+
+// IRC Table R507.9.1.3(1) - On-center spacing (inches) of ledger fasteners, 2x8-2x12 ledger
+// to band joist with 15/32" max sheathing, 40 psf live + 10 psf dead, by joist span (ft).
+// 1/2" lag screws vs 1/2" bolts.
+const ledgerFastenerSpacingData = [
+  { maxJoistSpanFt: 6, lagScrew: 30, bolt: 36 },
+  { maxJoistSpanFt: 8, lagScrew: 23, bolt: 36 },
+  { maxJoistSpanFt: 10, lagScrew: 18, bolt: 34 },
+  { maxJoistSpanFt: 12, lagScrew: 15, bolt: 29 },
+  { maxJoistSpanFt: 14, lagScrew: 13, bolt: 24 },
+  { maxJoistSpanFt: 16, lagScrew: 11, bolt: 21 },
+  { maxJoistSpanFt: 18, lagScrew: 10, bolt: 19 },
+];
+const LEDGER_FASTENER_TABLE_LOAD_PSF = 50;
+
+// Fastener used for each attachment type, with the stock item it maps to. The table only
+// covers lags and bolts into a wood band joist, so concrete anchors keep a fixed staggered
+// spacing (a pair every 16") instead of reading a table column.
+const ledgerFastenerTypes = {
+  house_rim: {
+    label: 'Lag Screw 1/2" x 4"',
+    member: "Ledger",
+    column: "lagScrew",
+    stockSearch: 'lag screw hdg 1/2 x 4" c/w washer',
+  },
+  concrete: {
+    label: 'Titen HD 1/2" x 4"',
+    member: "Wall Rim Joist",
+    fixedSpacingInches: 8,
+    basis: 'paired anchors at 16" O.C. (concrete is outside IRC Table R507.9.1.3(1))',
+    stockSearch: "titen hd mg 1/2x4 single",
+  },
+};
+
+/**
+ * Ledger fastener spacing for an attachment type and joist span.
+ * Spacing is tightened in proportion for design loads above the table's 50 psf.
+ * @param {string} attachmentType - house_rim | concrete | floating
+ * @param {number} joistSpanFt - Span of the joists hung from the ledger
+ * @param {{totalLoadPsf: number}} [designLoad] - Resolved design load
+ * @returns {Object|null} Schedule, or null when nothing is fastened to the house
+ */
+function getLedgerFastenerSchedule(attachmentType, joistSpanFt, designLoad) {
+  const fastener = ledgerFastenerTypes[attachmentType];
+  if (!fastener) return null;
+
+  const lastRow = ledgerFastenerSpacingData[ledgerFastenerSpacingData.length - 1];
+  const row = ledgerFastenerSpacingData.find((r) => joistSpanFt <= r.maxJoistSpanFt + 0.001) || lastRow;
+  const tableSpacingInches = fastener.fixedSpacingInches || row[fastener.column];
+  const designLoadPsf = designLoad?.totalLoadPsf || LEDGER_FASTENER_TABLE_LOAD_PSF;
+  const loadFactor = Math.min(1, LEDGER_FASTENER_TABLE_LOAD_PSF / designLoadPsf);
+
+  return {
+    attachmentType,
+    fastenerLabel: fastener.label,
+    member: fastener.member,
+    stockSearch: fastener.stockSearch,
+    joistSpanFt,
+    tableSpacingInches,
+    designLoadPsf,
+    loadFactor,
+    spacingInches: Math.floor(tableSpacingInches * loadFactor),
+    exceedsTable: !fastener.fixedSpacingInches && joistSpanFt > lastRow.maxJoistSpanFt + 0.001,
+    basis: fastener.basis || "IRC Table R507.9.1.3(1)",
+  };
+}
+
+export { getLedgerFastenerSchedule };
+
+// --- Post Connectors ---
+// Post-to-beam caps by post size and beam ply (Simpson Strong-Tie). Inline posts sit under
+// a continuous beam; corner posts carry a beam end or more than one beam. Connectors with a
+// screwStockSearch take those screws instead of the #9 SD connector screws.
+const postCapConnectors = {
+  "4x4": {
+    2: {
+      inline: { label: "BCS2-2/4Z", stockSearch: "bcs2-2/4z", screws: 12 },
+      corner: { label: "LCE4Z", stockSearch: "lce4", screws: 14 },
+    },
+  },
+  "6x6": {
+    3: {
+      inline: { label: "BCS2-3/6Z", stockSearch: "bcs2-3/6z", screws: 16 },
+      corner: {
+        label: "ECCQ3-6SDS2.5",
+        stockSearch: "eccq3-6",
+        screws: 16,
+        screwStockSearch: 'simpson sds heavy-duty connector screw 1/4 x 2-1/2"',
+      },
+    },
+  },
+};
+
+// Post bases for concrete piers - piles and levellers come with their own post bracket
+const postBaseConnectors = {
+  "4x4": { label: "ABU44Z", stockSearch: "abu44z", screws: 12 },
+  "6x6": { label: "ABU66Z", stockSearch: "abu66z", screws: 12 },
+};
+const POST_BASE_FOOTING_TYPES = ["concrete_pier"];
+
+const hurricaneTieConnector = { label: "H2.5AZ", stockSearch: "h2.5az", screws: 10 };
+
+/**
+ * Connector specification for one post.
+ * @param {string} postSize - 4x4 | 6x6
+ * @param {number} beamPly - Ply count of the beam the post carries
+ * @param {string} position - inline | corner
+ * @param {string} footingType - Footing under the post
+ * @param {number} [hurricaneTies=0] - Joist-to-beam ties on the beam length this post carries
+ * @returns {{postSize: string, beamPly: number, position: string, cap: Object|null, base: Object|null, hurricaneTies: Object|null, warnings: string[]}}
+ */
+function getPostConnectorSpec(postSize, beamPly, position, footingType, hurricaneTies = 0) {
+  const warnings = [];
+  const cap = postCapConnectors[postSize]?.[beamPly]?.[position] || null;
+  if (!cap) {
+    warnings.push(`No standard ${position} cap for a ${beamPly}-ply beam on a ${postSize} post - use a custom connector`);
+  }
+
+  return {
+    postSize,
+    beamPly,
+    position,
+    cap,
+    base: POST_BASE_FOOTING_TYPES.includes(footingType) ? postBaseConnectors[postSize] || null : null,
+    hurricaneTies: hurricaneTies > 0 ? { ...hurricaneTieConnector, count: hurricaneTies } : null,
+    warnings,
+  };
+}
+
+export { getPostConnectorSpec };
@@ -11,9 +11,43 @@ import {
   PICTURE_FRAME_DOUBLE_INSET_INCHES,
   MAX_BLOCKING_SPACING_FEET,
   JOIST_SIZE_ORDER,
+  DEFAULT_FROST_DEPTH_INCHES,
+  FOOTING_BEARING_DEPTH_INCHES,
+  FOOTING_TYPE_LABELS,
+  LEDGER_FASTENER_EDGE_DISTANCE_INCHES,
+  LEDGER_FASTENER_END_DISTANCE_INCHES,
+  LATERAL_LOAD_MIN_DECK_HEIGHT_INCHES,
+  LATERAL_LOAD_END_DISTANCE_INCHES,
+  LATERAL_LOAD_DEVICE_CAPACITY_LBS,
+  SKEWED_HANGER_MIN_ANGLE_DEGREES,
 } from "./config.js";
 import { distance } from "./utils.js";
-import { getMaxJoistSpans, recommendBeamSize, validateBeamSpan, calculateFootingDiameter, calculateTributaryArea } from "./dataManager.js";
+import {
+  getMaxJoistSpans,
+  getSpanTable,
+  resolveDesignLoad,
+  resolveSiteConditions,
+  recommendBeamSize,
+  validateBeamSpan,
+  calculateFootingDiameter,
+  calculateTributaryArea,
+  getLedgerFastenerSchedule,
+  getPostConnectorSpec,
+} from "./dataManager.js";
+import { applyLoadZoneFraming } from "./loadZoneCalculations.js";
+import { applyCutoutFraming } from "./cutoutCalculations.js";
+import { applyFramingOverrides } from "./framingOverrideCalculations.js";
+import { getDeckingMaxJoistSpacing, getDeckingPattern, getDeckingProduct } from "./deckingProductCalculations.js";
+import { applyDeckingSeamFraming, applyPictureFrameBlocking } from "./deckingLayoutCalculations.js";
+import { expandArcEdges, getArcRimSpec } from "./arcCalculations.js";
+import {
+  resolveDeflectionLimit,
+  checkJoist,
+  checkBeam,
+  getMechanicsJoistMaxSpan,
+  selectJoistByMechanics,
+  selectBeamByMechanics,
+} from "./mechanicsCalculations.js";
 
 // --- Constants ---
 const ACTUAL_LUMBER_THICKNESS_INCHES = 1.5;
@@ -186,8 +220,17 @@ function calculateLedger(attachToHouse, wallP1, wallP2, ledgerSize) {
   };
 }
 
-function getRequiredJoistSize(spanFeet, spacingInches, deckHeightInches) {
-  const maxJoistSpans = getMaxJoistSpans();
+// Max span for a joist size and spacing: the span table entry, or the mechanics check
+// when the table has no row for that spacing
+function getJoistMaxSpanFt(maxJoistSpans, size, spacingInches, spanTableKey, loadCase, deflectionLimit) {
+  const rule = maxJoistSpans.find((r) => r.size === size && r.spacing === spacingInches);
+  if (rule) return rule.maxSpanFt;
+  const designLoad = resolveDesignLoad(loadCase && typeof loadCase === "object" ? loadCase : {});
+  return getMechanicsJoistMaxSpan(size, spacingInches, designLoad, spanTableKey, deflectionLimit);
+}
+
+function getRequiredJoistSize(spanFeet, spacingInches, deckHeightInches, spanTableKey, loadCase, deflectionLimit) {
+  const maxJoistSpans = getMaxJoistSpans(spanTableKey, loadCase);
   if (!maxJoistSpans || maxJoistSpans.length === 0)
     return {
       size: null,
@@ -199,15 +242,13 @@ function getRequiredJoistSize(spanFeet, spacingInches, deckHeightInches) {
     largestPossibleSpanForAnyAllowedSize = 0;
   for (const currentSize of JOIST_SIZE_ORDER) {
     if (prohibit2x6 && currentSize === "2x6") continue;
-    const rule = maxJoistSpans.find(
-      (r) => r.size === currentSize && r.spacing === spacingInches
-    );
-    if (rule) {
+    const maxSpanFt = getJoistMaxSpanFt(maxJoistSpans, currentSize, spacingInches, spanTableKey, loadCase, deflectionLimit);
+    if (maxSpanFt) {
       largestPossibleSpanForAnyAllowedSize = Math.max(
         largestPossibleSpanForAnyAllowedSize,
-        rule.maxSpanFt
+        maxSpanFt
       );
-      if (!smallestSuitableSize && rule.maxSpanFt >= spanFeet - EPSILON)
+      if (!smallestSuitableSize && maxSpanFt >= spanFeet - EPSILON)
         smallestSuitableSize = currentSize;
     }
   }
@@ -809,117 +850,6 @@ function calculateMidSpanBlockingWithMultipleBeams(
   return midSpanBlocking;
 }
 
-function calculateLadderStylePictureFrameBlocking(
-  isWallHorizontal,
-  deckDimensions,
-  deckExtendsPositiveDir,
-  wallSideActualEdgeCoord,
-  outerActualEdgeCoord,
-  firstPFJoistObject,
-  lastPFJoistObject,
-  blockingMaterialSize,
-  joistSpacingPixels
-) {
-  const pictureFrameBlocking = [];
-  if (!firstPFJoistObject) {
-    return pictureFrameBlocking;
-  }
-
-  const addRungsForBay = (
-    rung_fixed_coord_axis1,
-    rung_fixed_coord_axis2,
-    placement_iteration_axis_start,
-    placement_iteration_axis_end,
-    usage_label
-  ) => {
-    const rungActualLengthOnAxis = Math.abs(
-      rung_fixed_coord_axis2 - rung_fixed_coord_axis1
-    );
-    if (rungActualLengthOnAxis < EPSILON) return;
-
-    const placement_min = Math.min(
-      placement_iteration_axis_start,
-      placement_iteration_axis_end
-    );
-    const placement_max = Math.max(
-      placement_iteration_axis_start,
-      placement_iteration_axis_end
-    );
-
-    for (
-      let iter_pos_along_joist_run = placement_min + joistSpacingPixels;
-      iter_pos_along_joist_run < placement_max - EPSILON;
-      iter_pos_along_joist_run += joistSpacingPixels
-    ) {
-      let p1, p2;
-      if (isWallHorizontal) {
-        p1 = { x: rung_fixed_coord_axis1, y: iter_pos_along_joist_run };
-        p2 = { x: rung_fixed_coord_axis2, y: iter_pos_along_joist_run };
-      } else {
-        p1 = { x: iter_pos_along_joist_run, y: rung_fixed_coord_axis1 };
-        p2 = { x: iter_pos_along_joist_run, y: rung_fixed_coord_axis2 };
-      }
-      if (distance(p1, p2) > EPSILON) {
-        pictureFrameBlocking.push({
-          p1,
-          p2,
-          size: blockingMaterialSize,
-          lengthFeet: distance(p1, p2) / PIXELS_PER_FOOT,
-          usage: usage_label,
-        });
-      }
-    }
-  };
-
-  const placement_axis_start_coord =
-    wallSideActualEdgeCoord +
-    (deckExtendsPositiveDir
-      ? HALF_LUMBER_THICKNESS_PIXELS
-      : -HALF_LUMBER_THICKNESS_PIXELS);
-  const placement_axis_end_coord =
-    outerActualEdgeCoord +
-    (deckExtendsPositiveDir
-      ? -HALF_LUMBER_THICKNESS_PIXELS
-      : HALF_LUMBER_THICKNESS_PIXELS);
-
-  const sideRim1_InnerFace =
-    (isWallHorizontal ? deckDimensions.minX : deckDimensions.minY) +
-    HALF_LUMBER_THICKNESS_PIXELS;
-  const firstPF_Centerline_PerpendicularAxis = isWallHorizontal
-    ? firstPFJoistObject.p1.x
-    : firstPFJoistObject.p1.y;
-  const firstPF_InnerFace_ForBay =
-    firstPF_Centerline_PerpendicularAxis - HALF_LUMBER_THICKNESS_PIXELS;
-
-  addRungsForBay(
-    sideRim1_InnerFace,
-    firstPF_InnerFace_ForBay,
-    placement_axis_start_coord,
-    placement_axis_end_coord,
-    "Ladder Blocking (Side 1)"
-  );
-
-  if (lastPFJoistObject) {
-    const sideRim2_InnerFace =
-      (isWallHorizontal ? deckDimensions.maxX : deckDimensions.maxY) -
-      HALF_LUMBER_THICKNESS_PIXELS;
-    const lastPF_Centerline_PerpendicularAxis = isWallHorizontal
-      ? lastPFJoistObject.p1.x
-      : lastPFJoistObject.p1.y;
-    const lastPF_InnerFace_ForBay =
-      lastPF_Centerline_PerpendicularAxis + HALF_LUMBER_THICKNESS_PIXELS;
-
-    addRungsForBay(
-      lastPF_InnerFace_ForBay,
-      sideRim2_InnerFace,
-      placement_axis_start_coord,
-      placement_axis_end_coord,
-      "Ladder Blocking (Side 2)"
-    );
-  }
-  return pictureFrameBlocking;
-}
-
 export function calculateStructure(
   shapePoints,
   ledgerIndices,  // Array of edge indices that are ledgers (can include diagonal edges)
@@ -927,9 +857,9 @@ export function calculateStructure(
   deckDimensions
 ) {
   // Handle both array and single index for backward compatibility
-  const ledgerIndicesArray = Array.isArray(ledgerIndices) ? ledgerIndices : [ledgerIndices];
+  const ledgerIndicesArray = Array.isArray(ledgerIndices) ? [...ledgerIndices] : [ledgerIndices];
   // Primary wall index determines joist direction (first selected edge)
-  const wallIndex = ledgerIndicesArray[0];
+  let wallIndex = ledgerIndicesArray[0];
 
   const components = {
     ledger: null,
@@ -952,6 +882,27 @@ export function calculateStructure(
   if (!deckDimensions || typeof deckDimensions.widthFeet !== "number")
     return { ...components, error: "Deck dimensions invalid." };
 
+  // Curved edges are framed as straight facets along the arc; ledgers stay straight
+  const arcOutline = expandArcEdges(shapePoints, inputs.edgeArcs, ledgerIndicesArray);
+  if (arcOutline.arcs.length > 0) {
+    shapePoints = arcOutline.points;
+    ledgerIndicesArray.forEach((edgeIndex, i) => {
+      ledgerIndicesArray[i] = arcOutline.vertexIndexMap[edgeIndex];
+    });
+    wallIndex = ledgerIndicesArray[0];
+    const xs = shapePoints.map((p) => p.x);
+    const ys = shapePoints.map((p) => p.y);
+    deckDimensions = {
+      ...deckDimensions,
+      minX: Math.min(...xs),
+      maxX: Math.max(...xs),
+      minY: Math.min(...ys),
+      maxY: Math.max(...ys),
+    };
+    deckDimensions.widthFeet = (deckDimensions.maxX - deckDimensions.minX) / PIXELS_PER_FOOT;
+    deckDimensions.heightFeet = (deckDimensions.maxY - deckDimensions.minY) / PIXELS_PER_FOOT;
+  }
+
   const wallP1 = shapePoints[wallIndex];
   const wallP2 = shapePoints[(wallIndex + 1) % shapePoints.length];
   const isWallHorizontal =
@@ -963,11 +914,37 @@ export function calculateStructure(
     ? deckDimensions.maxX - deckDimensions.minX
     : deckDimensions.maxY - deckDimensions.minY;
   const deckHeightInches = inputs.deckHeight;
+  const designLoad = resolveDesignLoad(inputs);
+  const spanTable = getSpanTable(inputs.lumberSpecies, designLoad);
+  const deflectionLimit = resolveDeflectionLimit(inputs.deflectionLimit);
+  components.designLoad = designLoad;
+  components.spanTable = {
+    key: spanTable.key,
+    label: spanTable.label,
+    loadCase: spanTable.loadCase,
+    spanFactor: spanTable.spanFactor,
+  };
+  components.mechanicsAdjustments = [];
+
+  // The decking sets the widest spacing its boards can span (12" O.C. under angled boards)
+  if (inputs.decking) {
+    const deckingMaxSpacing = getDeckingMaxJoistSpacing(inputs.decking);
+    if (inputs.joistSpacing > deckingMaxSpacing) {
+      const { description } = getDeckingPattern(inputs.decking);
+      components.mechanicsAdjustments.push(
+        `Joists tightened from ${inputs.joistSpacing}" to ${deckingMaxSpacing}" O.C. for ${getDeckingProduct(inputs.decking).label} decking${description}`
+      );
+      inputs = { ...inputs, joistSpacing: deckingMaxSpacing };
+    }
+  }
 
   let joistSizeResult = getRequiredJoistSize(
     components.totalDepthFeet,
     inputs.joistSpacing,
-    deckHeightInches
+    deckHeightInches,
+    spanTable.key,
+    designLoad,
+    deflectionLimit
   );
   if (joistSizeResult.error && !joistSizeResult.requiresMidBeam) {
     return { ...components, error: joistSizeResult.error };
@@ -980,17 +957,17 @@ export function calculateStructure(
 
   if (requiresMidBeam) {
     // Calculate how many mid-beams we need
-    const maxJoistSpans = getMaxJoistSpans();
+    const maxJoistSpans = spanTable.joists;
     let maxAllowableSpan = 0;
     
     // Find the maximum span for any allowed joist size
     for (const currentSize of JOIST_SIZE_ORDER) {
       if (deckHeightInches >= MIN_HEIGHT_FOR_NO_2X6_INCHES && currentSize === "2x6") continue;
-      const rule = maxJoistSpans.find(
-        (r) => r.size === currentSize && r.spacing === inputs.joistSpacing
+      const maxSpanFt = getJoistMaxSpanFt(
+        maxJoistSpans, currentSize, inputs.joistSpacing, spanTable.key, designLoad, deflectionLimit
       );
-      if (rule) {
-        maxAllowableSpan = Math.max(maxAllowableSpan, rule.maxSpanFt);
+      if (maxSpanFt) {
+        maxAllowableSpan = Math.max(maxAllowableSpan, maxSpanFt);
       }
     }
     
@@ -1010,7 +987,10 @@ export function calculateStructure(
     const spanJoistResult = getRequiredJoistSize(
       spanBetweenBeams,
       inputs.joistSpacing,
-      deckHeightInches
+      deckHeightInches,
+      spanTable.key,
+      designLoad,
+      deflectionLimit
     );
     if (spanJoistResult.error || !spanJoistResult.size) {
       return {
@@ -1032,6 +1012,34 @@ export function calculateStructure(
     };
   }
 
+  // Mechanics check: table sizes that fail bending, shear, deflection or vibration
+  // (e.g. at L/480) are upsized, then joist spacing is tightened if no size works
+  const joistSelection = selectJoistByMechanics({
+    size: joistSize,
+    spanFt: spanBetweenBeams,
+    spacingInches: inputs.joistSpacing,
+    spacingOptions: spanTable.joists.map((r) => r.spacing),
+    designLoad,
+    spanTableKey: spanTable.key,
+    deflectionLimit,
+  });
+  if (joistSelection.size !== joistSize || joistSelection.spacingInches !== inputs.joistSpacing) {
+    components.mechanicsAdjustments.push(
+      `Joists changed from ${joistSize} @ ${inputs.joistSpacing}" to ${joistSelection.size} @ ${joistSelection.spacingInches}" O.C. to pass the ${joistSelection.check?.governs} check`
+    );
+    joistSize = joistSelection.size;
+    inputs = { ...inputs, joistSpacing: joistSelection.spacingInches };
+  } else if (!joistSelection.passes) {
+    components.mechanicsAdjustments.push(
+      `No joist size or spacing passes the ${joistSelection.check?.governs} check over ${spanBetweenBeams.toFixed(1)}' - consult an engineer`
+    );
+  }
+  components.joistSpacingInches = inputs.joistSpacing;
+
+  components.joistMaxSpanFt = getJoistMaxSpanFt(
+    spanTable.joists, joistSize, inputs.joistSpacing, spanTable.key, designLoad, deflectionLimit
+  );
+
   let forceSingleSpanJoistsAndRims = false; // Renamed for clarity
   if (
     joistSize === "2x8" &&
@@ -1059,7 +1067,7 @@ export function calculateStructure(
   // IRC Table R507.6 beam sizing based on joist span and beam span
   // spanBetweenBeams = joist span (tributary width beam supports)
   // MAX_POST_SPACING_FEET = beam span between posts (8')
-  const beamSizeResult = recommendBeamSize(MAX_POST_SPACING_FEET, spanBetweenBeams, beamPly);
+  const beamSizeResult = recommendBeamSize(MAX_POST_SPACING_FEET, spanBetweenBeams, beamPly, spanTable.key, designLoad);
   let beamSize;
   if (beamSizeResult.size) {
     beamSize = beamSizeResult.size;
@@ -1070,6 +1078,25 @@ export function calculateStructure(
     components.beamWarning = beamSizeResult.message || "Beam span may exceed IRC limits. Consult a structural engineer.";
   }
 
+  // Mid beams carry joists from both sides; outer beams carry half a joist span
+  const beamSelection = selectBeamByMechanics({
+    size: beamSize,
+    ply: beamPly,
+    spanFt: MAX_POST_SPACING_FEET,
+    tributaryWidthFt: numberOfMidBeams > 0 ? spanBetweenBeams : spanBetweenBeams / 2,
+    designLoad,
+    spanTableKey: spanTable.key,
+    deflectionLimit,
+  });
+  if (beamSelection.size !== beamSize) {
+    components.mechanicsAdjustments.push(
+      `Beams changed from ${beamPly}-ply ${beamSize} to ${beamPly}-ply ${beamSelection.size} to pass the ${beamSelection.check?.governs} check`
+    );
+    beamSize = beamSelection.size;
+  } else if (!beamSelection.passes) {
+    components.beamWarning = `${beamPly}-ply ${beamSize} beam fails the ${beamSelection.check?.governs} check at ${MAX_POST_SPACING_FEET}' post spacing. Consult a structural engineer.`;
+  }
+
   const deckCenterX = (deckDimensions.minX + deckDimensions.maxX) / 2;
   const deckCenterY = (deckDimensions.minY + deckDimensions.maxY) / 2;
   const wallMidX = (wallP1.x + wallP2.x) / 2;
@@ -1491,7 +1518,7 @@ export function calculateStructure(
 
   // ============================================================================
   // EXTEND JOISTS TO DIAGONAL EDGES
-  // For shapes with 45° diagonal edges, extend joists to reach the diagonal rim
+  // For shapes with angled edges, extend joists to reach the angled rim
   // ============================================================================
   if (detectedDiagonalEdges.length > 0) {
     components.joists = extendJoistsToDiagonalEdges(
@@ -1528,6 +1555,11 @@ export function calculateStructure(
     deckExtendsPositiveDir
   );
 
+  // Joists meeting an angled ledger need skewed hangers
+  if (components.diagonalLedgers.length > 0) {
+    components.joists = applySkewedHangers(components.joists, components.diagonalLedgers);
+  }
+
   const deckEdgeP1_WallSide = isWallHorizontal
     ? { x: deckDimensions.minX, y: wallSideActualEdgeCoord }
     : { x: wallSideActualEdgeCoord, y: deckDimensions.minY };
@@ -1646,38 +1678,6 @@ export function calculateStructure(
     );
   }
 
-  let firstPFJoistFromAllJoists = null;
-  let lastPFJoistFromAllJoists = null;
-  if (
-    hasPictureFrame &&
-    components.joists.some((j) => j.usage === "Picture Frame Joist")
-  ) {
-    const allPfJoists = components.joists
-      .filter((j) => j.usage === "Picture Frame Joist")
-      .sort((a, b) => {
-        if (isWallHorizontal) return a.p1.x - b.p1.x;
-        return a.p1.y - b.p1.y;
-      });
-    if (allPfJoists.length > 0) {
-      firstPFJoistFromAllJoists = allPfJoists[0];
-      lastPFJoistFromAllJoists = allPfJoists[allPfJoists.length - 1];
-    }
-  }
-
-  if (hasPictureFrame && firstPFJoistFromAllJoists) {
-    components.pictureFrameBlocking = calculateLadderStylePictureFrameBlocking(
-      isWallHorizontal,
-      deckDimensions,
-      deckExtendsPositiveDir,
-      wallSideActualEdgeCoord,
-      outerActualEdgeCoord,
-      firstPFJoistFromAllJoists,
-      lastPFJoistFromAllJoists,
-      blockingMaterialSize,
-      joistSpacingPixels
-    );
-  }
-
   // Merge colinear beams and recalculate their posts/footings
   const mergeResult = mergeColinearBeamsWithPosts(
     components.beams, 
@@ -1690,12 +1690,26 @@ export function calculateStructure(
   components.beams = mergeResult.beams;
   components.posts = mergeResult.posts;
   components.footings = mergeResult.footings;
+  applyCurvedEdges(components, arcOutline.arcs, arcOutline.points, inputs);
+  applyFramingOverrides(components, inputs);
+  applyCutoutFraming(components, inputs, shapePoints);
+  applyLoadZoneFraming(components, inputs, shapePoints);
+  applyPictureFrameBlocking(components, inputs, shapePoints);
+  applyDeckingSeamFraming(components, inputs, shapePoints);
+  const footingDesign = applyFootingDesign(components.footings, inputs);
+  components.footingSite = footingDesign.site;
+  components.frostWarning = footingDesign.frostWarning;
+  applyLedgerFasteners(components, inputs);
+  applyLateralLoadConnectors(components, inputs);
+  applyPostConnectors(components, inputs);
+  applyMemberMechanics(components, inputs);
 
   components.beams.sort((a, b) => {
     // Sort beams from wall side to outer side
     const getOrder = (beam) => {
       if (beam.usage === "Wall-Side Beam") return 1;
       if (beam.usage === "Outer Beam") return 1000;
+      if (beam.usage === "Load Zone Beam") return 2000; // Zone beams sit under the regular framing
       if (beam.usage === "Mid Beam") return 500;
       // For numbered mid-beams (e.g., "Mid Beam 1", "Mid Beam 2")
       const midBeamMatch = beam.usage.match(/Mid Beam (\d+)/);
@@ -2017,11 +2031,11 @@ function mergeTwoBeams(beam1, beam2) {
 }
 
 // ============================================================================
-// 45-DEGREE ANGLE SUPPORT FUNCTIONS
+// ANGLED EDGE SUPPORT FUNCTIONS
 // ============================================================================
 
 /**
- * Classifies an edge as horizontal, vertical, diagonal (45°), or other
+ * Classifies an edge as horizontal, vertical, diagonal (any other angle), or other (zero length)
  * @param {Object} p1 - Start point {x, y}
  * @param {Object} p2 - End point {x, y}
  * @param {number} tolerance - Angle tolerance in degrees (default 2°)
@@ -2040,9 +2054,8 @@ export function classifyEdge(p1, p2, tolerance = 2) {
 
   if (angleDeg < tolerance) return 'horizontal';
   if (Math.abs(angleDeg - 90) < tolerance) return 'vertical';
-  if (Math.abs(angleDeg - 45) < tolerance) return 'diagonal';
 
-  return 'other';
+  return 'diagonal';
 }
 
 /**
@@ -2088,6 +2101,25 @@ export function getCantileverForJoistSize(joistSize) {
   return CANTILEVER_BY_JOIST_SIZE[joistSize] ?? BEAM_CANTILEVER_FEET;
 }
 
+/**
+ * Gets the perpendicular setback of a beam under an angled edge so the joists
+ * overhang it by cantileverFeet measured along the joists
+ * @param {Object} edgeP1 - Start point of the edge
+ * @param {Object} edgeP2 - End point of the edge
+ * @param {number} cantileverFeet - Allowed joist cantilever
+ * @param {boolean} isWallHorizontal - Whether the ledger is horizontal (joists run in Y)
+ * @returns {number} Setback in feet, measured perpendicular to the edge
+ */
+export function getAngledEdgeSetbackFeet(edgeP1, edgeP2, cantileverFeet, isWallHorizontal) {
+  const length = distance(edgeP1, edgeP2);
+  if (length < EPSILON) return cantileverFeet;
+  // |edge normal · joist direction|: the steeper the edge to the joists, the shorter the setback
+  const normalAlongJoists = isWallHorizontal
+    ? Math.abs(edgeP2.x - edgeP1.x) / length
+    : Math.abs(edgeP2.y - edgeP1.y) / length;
+  return cantileverFeet * normalAlongJoists;
+}
+
 /**
  * Offsets a line segment perpendicular to its direction
  * @param {Object} p1 - Start point
@@ -2236,10 +2268,13 @@ export function generateBeamOutlineFromPerimeter(shapePoints, ledgerIndices, joi
     const perpX = (-dy / len) * windingSign;
     const perpY = (dx / len) * windingSign;
 
-    // Offset the segment inward by cantilever distance
+    // Offset the segment inward so the joists cantilever the same distance past every edge
+    const offsetPixels = edge.isEdgeDiagonal
+      ? getAngledEdgeSetbackFeet(edge.p1, edge.p2, cantileverFeet, isLedgerHorizontal) * PIXELS_PER_FOOT
+      : cantileverPixels;
     const offset = {
-      p1: { x: edge.p1.x + perpX * cantileverPixels, y: edge.p1.y + perpY * cantileverPixels },
-      p2: { x: edge.p2.x + perpX * cantileverPixels, y: edge.p2.y + perpY * cantileverPixels }
+      p1: { x: edge.p1.x + perpX * offsetPixels, y: edge.p1.y + perpY * offsetPixels },
+      p2: { x: edge.p2.x + perpX * offsetPixels, y: edge.p2.y + perpY * offsetPixels }
     };
 
     offsetSegments.push({
@@ -2532,6 +2567,452 @@ function createPost(x, y, size, deckHeightInches, usage) {
   };
 }
 
+/**
+ * Warning for a footing type that does not reach below frost on an attached deck.
+ * Free-standing (floating) decks may move with frost, so they are not checked.
+ * @param {string} footingType - gh_levellers | pylex | helical | concrete_pier
+ * @param {string} attachmentType - house_rim | concrete | floating
+ * @param {number} frostDepthInches - Site frost depth
+ * @returns {string|null}
+ */
+export function getFrostWarning(footingType, attachmentType, frostDepthInches) {
+  if (attachmentType === "floating") return null;
+  const bearingDepth = FOOTING_BEARING_DEPTH_INCHES[footingType];
+  if (bearingDepth === undefined || bearingDepth === null || bearingDepth >= frostDepthInches) {
+    return null;
+  }
+  const label = FOOTING_TYPE_LABELS[footingType] || footingType;
+  if (bearingDepth === 0) {
+    return `${label} sit at grade and are not allowed for an attached deck. Footings must bear below the ${frostDepthInches}" frost depth - use piers or piles, or build the deck free-standing.`;
+  }
+  return `${label} bear at ${bearingDepth}", above the ${frostDepthInches}" frost depth required for an attached deck.`;
+}
+
+/**
+ * Applies the project design load and site conditions to footings.
+ * Load-based footings are re-sized for the design load (or the heavier load zone load
+ * they carry) and soil bearing; footings without a tributary area (helical piles,
+ * merged placeholders) keep their size.
+ * Every footing records the site frost depth and its bearing depth, and poured
+ * concrete piers get their concrete volume.
+ *
+ * @param {Array} footings - Footing objects from createFooting (mutated in place)
+ * @param {Object} inputs - Form inputs (design loads, soilClass, frostDepthInches, footingType, attachmentType)
+ * @returns {{designLoad: Object, site: Object, frostWarning: string|null}}
+ */
+export function applyFootingDesign(footings, inputs) {
+  const designLoad = resolveDesignLoad(inputs);
+  const site = resolveSiteConditions(inputs, DEFAULT_FROST_DEPTH_INCHES);
+
+  footings.forEach((footing) => {
+    footing.soilClass = site.soilClass;
+    footing.soilBearingCapacity = site.soilBearingCapacity;
+    footing.frostDepthInches = site.frostDepthInches;
+
+    if (footing.tributaryArea && footing.diameter) {
+      const footingLoadPsf = footing.loadZonePsf || designLoad.totalLoadPsf;
+      const footingCalc = calculateFootingDiameter(
+        footing.tributaryArea,
+        site.soilBearingCapacity,
+        footingLoadPsf
+      );
+      footing.diameter = footingCalc.diameter;
+      footing.load = footingCalc.load;
+      footing.warning = footingCalc.message;
+      footing.designLoadPsf = footingLoadPsf;
+    }
+
+    const bearingDepth = FOOTING_BEARING_DEPTH_INCHES[footing.type];
+    footing.depthInches = bearingDepth === null ? site.frostDepthInches : bearingDepth ?? null;
+
+    // Pier volume = circular area x depth, in cubic feet
+    footing.concreteVolumeCuFt =
+      footing.type === "concrete_pier" && footing.diameter
+        ? (Math.PI * Math.pow(footing.diameter / 2, 2) * footing.depthInches) / 1728
+        : 0;
+  });
+
+  return {
+    designLoad,
+    site,
+    frostWarning: getFrostWarning(inputs.footingType, inputs.attachmentType, site.frostDepthInches),
+  };
+}
+
+/**
+ * Lays out ledger fasteners along one attached member.
+ * A top/bottom pair sits LEDGER_FASTENER_END_DISTANCE_INCHES from each end; fasteners
+ * between them alternate rows at no more than the schedule spacing (IRC R507.9.1.3).
+ * @param {{x: number, y: number}} p1 - Member start
+ * @param {{x: number, y: number}} p2 - Member end
+ * @param {number} spacingInches - Max on-center spacing
+ * @returns {{p1: Object, p2: Object, lengthFeet: number, fasteners: Array<{x: number, y: number, offsetInches: number, row: string}>}}
+ */
+export function layoutLedgerFasteners(p1, p2, spacingInches) {
+  const lengthInches = (distance(p1, p2) / PIXELS_PER_FOOT) * 12;
+  const run = { p1, p2, lengthFeet: lengthInches / 12, fasteners: [] };
+  if (lengthInches < EPSILON || !(spacingInches > 0)) return run;
+
+  const pointAt = (offsetInches) => {
+    const t = offsetInches / lengthInches;
+    return { x: p1.x + (p2.x - p1.x) * t, y: p1.y + (p2.y - p1.y) * t };
+  };
+  const add = (offsetInches, row) => run.fasteners.push({ ...pointAt(offsetInches), offsetInches, row });
+
+  const endInches = Math.min(LEDGER_FASTENER_END_DISTANCE_INCHES, lengthInches / 2);
+  const innerLength = lengthInches - 2 * endInches;
+  add(endInches, "top");
+  add(endInches, "bottom");
+  if (innerLength < EPSILON) return run;
+
+  const intervals = Math.ceil(innerLength / spacingInches - EPSILON);
+  for (let i = 1; i < intervals; i++) {
+    add(endInches + (innerLength * i) / intervals, i % 2 === 1 ? "bottom" : "top");
+  }
+  add(lengthInches - endInches, "top");
+  add(lengthInches - endInches, "bottom");
+  return run;
+}
+
+// Closest point on a member to a point: distance from the member and position along it (pixels from p1)
+function projectOntoMember(point, member) {
+  const dx = member.p2.x - member.p1.x;
+  const dy = member.p2.y - member.p1.y;
+  const lengthSq = dx * dx + dy * dy;
+  if (lengthSq < EPSILON) return { distance: distance(point, member.p1), along: 0 };
+  const t = Math.max(0, Math.min(1, ((point.x - member.p1.x) * dx + (point.y - member.p1.y) * dy) / lengthSq));
+  return {
+    distance: distance(point, { x: member.p1.x + t * dx, y: member.p1.y + t * dy }),
+    along: t * Math.sqrt(lengthSq),
+  };
+}
+
+// Members fastened to the house: ledger (plus the wrap-around and diagonal ledgers) or the wall rim on a concrete foundation
+function getAttachedMembers(structure, attachmentType) {
+  if (attachmentType === "house_rim") {
+    return [structure.ledger, structure.wrapLedger, ...(structure.diagonalLedgers || [])].filter(Boolean);
+  }
+  if (attachmentType === "concrete") {
+    return (structure.rimJoists || []).filter((r) => r.usage === "Wall Rim Joist");
+  }
+  return [];
+}
+
+// Longest joist span bearing on any of the attached members
+function getLedgerJoistSpan(structure, members) {
+  const tolerance = ACTUAL_LUMBER_THICKNESS_PIXELS;
+  const distanceToMember = (point, member) => projectOntoMember(point, member).distance;
+
+  const spans = (structure.joists || [])
+    .filter((j) => j.usage === "Joist" || j.usage === "Picture Frame Joist")
+    .filter((j) => members.some((m) => distanceToMember(j.p1, m) <= tolerance || distanceToMember(j.p2, m) <= tolerance))
+    .map((j) => j.lengthFeet);
+  return spans.length > 0 ? Math.max(...spans) : structure.totalDepthFeet || 0;
+}
+
+/**
+ * Ledger fastener schedule and stagger pattern for the members attached to the house:
+ * the ledger (and diagonal ledgers) on a house rim, or the wall rim joist on a concrete
+ * foundation. Spacing comes from the span of the joists the ledger carries.
+ * @param {Object} structure - Structural components (mutated: sets ledgerFasteners)
+ * @param {Object} inputs - Form inputs (attachmentType, design loads)
+ * @returns {Object|null} Schedule with fastener runs and totalCount, or null for floating decks
+ */
+export function applyLedgerFasteners(structure, inputs) {
+  const members = getAttachedMembers(structure, inputs.attachmentType);
+  const schedule = members.length > 0
+    ? getLedgerFastenerSchedule(
+        inputs.attachmentType,
+        getLedgerJoistSpan(structure, members),
+        structure.designLoad || resolveDesignLoad(inputs)
+      )
+    : null;
+  if (!schedule) {
+    structure.ledgerFasteners = null;
+    return null;
+  }
+
+  const runs = members.map((member) => layoutLedgerFasteners(member.p1, member.p2, schedule.spacingInches));
+  structure.ledgerFasteners = {
+    ...schedule,
+    edgeDistanceInches: LEDGER_FASTENER_EDGE_DISTANCE_INCHES,
+    endDistanceInches: LEDGER_FASTENER_END_DISTANCE_INCHES,
+    runs,
+    totalCount: runs.reduce((sum, run) => sum + run.fasteners.length, 0),
+  };
+  return structure.ledgerFasteners;
+}
+
+/**
+ * Lateral load connection per IRC R507.9.2 Method 1: two hold-down tension devices
+ * (DTT2Z) per attached edge, each within 24" of an end. Devices go on the joist closest
+ * to each end. On a house rim each connection is a pair of devices (deck joist and
+ * house joist) joined by a threaded rod; on a concrete wall one device is anchored
+ * straight into the foundation.
+ * @param {Object} structure - Structural components (mutated: sets lateralLoad)
+ * @param {Object} inputs - Form inputs (deckHeight, attachmentType)
+ * @returns {Object|null} Connector layout with count, or null when not required
+ */
+export function applyLateralLoadConnectors(structure, inputs) {
+  const members = getAttachedMembers(structure, inputs.attachmentType);
+  const deckHeightInches = Number(inputs.deckHeight) || 0;
+  if (members.length === 0 || deckHeightInches < LATERAL_LOAD_MIN_DECK_HEIGHT_INCHES) {
+    structure.lateralLoad = null;
+    return null;
+  }
+
+  const tolerance = ACTUAL_LUMBER_THICKNESS_PIXELS;
+  const endDistancePixels = (LATERAL_LOAD_END_DISTANCE_INCHES / 12) * PIXELS_PER_FOOT;
+  const joists = (structure.joists || []).filter(
+    (j) => j.usage === "Joist" || j.usage === "Picture Frame Joist"
+  );
+
+  const connectors = [];
+  members.forEach((member, runIndex) => {
+    const length = distance(member.p1, member.p2);
+    if (length < EPSILON) return;
+
+    // Positions along the member where joists bear on it
+    const joistPositions = [];
+    joists.forEach((joist) => {
+      [joist.p1, joist.p2].forEach((point) => {
+        const projection = projectOntoMember(point, member);
+        if (projection.distance <= tolerance) joistPositions.push(projection.along);
+      });
+    });
+    joistPositions.sort((a, b) => a - b);
+
+    const fallback = Math.min(endDistancePixels, length / 2);
+    const startAlong = joistPositions.find((along) => along <= endDistancePixels) ?? fallback;
+    const endAlong =
+      [...joistPositions].reverse().find((along) => length - along <= endDistancePixels && along > startAlong + EPSILON) ??
+      Math.max(length - fallback, startAlong);
+
+    [startAlong, endAlong].forEach((along) => {
+      const t = along / length;
+      connectors.push({
+        x: member.p1.x + (member.p2.x - member.p1.x) * t,
+        y: member.p1.y + (member.p2.y - member.p1.y) * t,
+        offsetInches: Math.round((along / PIXELS_PER_FOOT) * 12 * 10) / 10,
+        runIndex,
+        onJoist: joistPositions.some((position) => Math.abs(position - along) < EPSILON),
+      });
+    });
+  });
+
+  structure.lateralLoad = {
+    attachmentType: inputs.attachmentType,
+    deviceLabel: "DTT2Z",
+    capacityLbs: LATERAL_LOAD_DEVICE_CAPACITY_LBS,
+    devicesPerConnection: inputs.attachmentType === "house_rim" ? 2 : 1,
+    endDistanceInches: LATERAL_LOAD_END_DISTANCE_INCHES,
+    connectors,
+    count: connectors.length,
+    deviceCount: connectors.length * (inputs.attachmentType === "house_rim" ? 2 : 1),
+    basis: "IRC R507.9.2",
+  };
+  return structure.lateralLoad;
+}
+
+// Point where segment a-b crosses segment c-d (ends within tolerance count), or null
+function segmentCrossing(a, b, c, d, tolerance) {
+  const rx = b.x - a.x;
+  const ry = b.y - a.y;
+  const sx = d.x - c.x;
+  const sy = d.y - c.y;
+  const denom = rx * sy - ry * sx;
+  if (Math.abs(denom) < EPSILON) return null;
+  const t = ((c.x - a.x) * sy - (c.y - a.y) * sx) / denom;
+  const u = ((c.x - a.x) * ry - (c.y - a.y) * rx) / denom;
+  const tTol = tolerance / Math.hypot(rx, ry);
+  const uTol = tolerance / Math.hypot(sx, sy);
+  if (t < -tTol || t > 1 + tTol || u < -uTol || u > 1 + uTol) return null;
+  return { x: a.x + rx * t, y: a.y + ry * t };
+}
+
+/**
+ * Connector specification for every post: a cap chosen from post size, beam ply and
+ * corner/inline position, a post base where the footing needs one, and the hurricane
+ * ties for joists crossing the drop beam length the post carries (each crossing goes
+ * to the nearest post on that beam).
+ * @param {Object} structure - Structural components (mutated: sets post.connectors)
+ * @param {Object} inputs - Form inputs (footingType)
+ * @returns {Array} The posts
+ */
+export function applyPostConnectors(structure, inputs) {
+  const posts = structure.posts || [];
+  const beams = (structure.beams || []).filter((b) => b.usage !== "Ledger");
+  const tolerance = ACTUAL_LUMBER_THICKNESS_PIXELS * 2;
+  const beamLine = (beam) => ({ p1: beam.centerlineP1 || beam.p1, p2: beam.centerlineP2 || beam.p2 });
+
+  const postBeams = posts.map((post) =>
+    beams.filter((beam) => projectOntoMember(post, beamLine(beam)).distance <= tolerance)
+  );
+
+  // Hurricane ties: joists and end joists crossing each drop beam, given to the nearest post
+  const tieCounts = posts.map(() => 0);
+  const tiedMembers = [
+    ...(structure.joists || []),
+    ...(structure.rimJoists || []).filter((r) => r.usage === "End Joist"),
+  ];
+  beams
+    .filter((beam) => !beam.isFlush)
+    .forEach((beam) => {
+      const line = beamLine(beam);
+      const beamPostIndices = posts
+        .map((post, index) => index)
+        .filter((index) => postBeams[index].includes(beam));
+      if (beamPostIndices.length === 0) return;
+
+      tiedMembers.forEach((member) => {
+        const crossing = segmentCrossing(member.p1, member.p2, line.p1, line.p2, tolerance);
+        if (!crossing) return;
+        const nearest = beamPostIndices.reduce((best, index) =>
+          distance(posts[index], crossing) < distance(posts[best], crossing) ? index : best
+        );
+        tieCounts[nearest]++;
+      });
+    });
+
+  posts.forEach((post, index) => {
+    const supported = postBeams[index];
+    const atBeamEnd = supported.some((beam) => {
+      const line = beamLine(beam);
+      return distance(post, line.p1) <= tolerance || distance(post, line.p2) <= tolerance;
+    });
+    const position = supported.length > 1 || atBeamEnd ? "corner" : "inline";
+    const beamPly = supported.reduce((max, beam) => Math.max(max, beam.ply || 0), 0) ||
+      (post.size === "6x6" ? 3 : 2);
+    post.connectors = getPostConnectorSpec(post.size, beamPly, position, inputs.footingType, tieCounts[index]);
+  });
+  return posts;
+}
+
+/**
+ * Mechanics report for every joist run and beam segment: bending stress, shear and
+ * live load deflection (plus vibration for joists) against the selected species'
+ * design values. Joist spans are measured between the supports each joist bears on;
+ * beam segments run post to post with the tributary width of the joists they carry.
+ * Load zone framing is designed for its own load and is left out.
+ * @param {Object} structure - Structural components (mutated: sets mechanics)
+ * @param {Object} inputs - Form inputs (joistSpacing, lumberSpecies, design loads, deflectionLimit)
+ * @returns {{deflectionLimit: number, joists: Array, beams: Array, failures: number, allPass: boolean, adjustments: Array<string>}}
+ */
+export function applyMemberMechanics(structure, inputs) {
+  const designLoad = structure.designLoad || resolveDesignLoad(inputs);
+  const spanTableKey = getSpanTable(inputs.lumberSpecies).key;
+  const deflectionLimit = resolveDeflectionLimit(inputs.deflectionLimit);
+  const spacingInches = Number(structure.joistSpacingInches || inputs.joistSpacing) || 16;
+  const tolerance = ACTUAL_LUMBER_THICKNESS_PIXELS * 2;
+  const isZoneMember = (member) => (member.usage || "").startsWith("Load Zone");
+
+  const beams = (structure.beams || []).filter((b) => b.usage !== "Ledger" && !isZoneMember(b));
+  const supports = [
+    ...beams,
+    structure.ledger,
+    structure.wrapLedger,
+    ...(structure.diagonalLedgers || []),
+    ...(structure.rimJoists || []).filter((r) => r.usage === "Wall Rim Joist"),
+  ].filter(Boolean);
+  const beamLine = (beam) => ({ p1: beam.centerlineP1 || beam.p1, p2: beam.centerlineP2 || beam.p2 });
+
+  // Where each joist bears, as distances (ft) from its p1 (opening headers hang across the joists)
+  const joists = (structure.joists || []).filter((j) => !isZoneMember(j) && j.usage !== "Cutout Header");
+  const joistSupports = joists.map((joist) => {
+    const lengthPixels = distance(joist.p1, joist.p2);
+    const bearings = [];
+    supports.forEach((support) => {
+      const line = beamLine(support);
+      const crossing = segmentCrossing(joist.p1, joist.p2, line.p1, line.p2, tolerance);
+      if (!crossing || lengthPixels < EPSILON) return;
+      const alongFt = Math.min(distance(joist.p1, crossing), lengthPixels) / PIXELS_PER_FOOT;
+      if (!bearings.some((b) => Math.abs(b.alongFt - alongFt) < EPSILON)) bearings.push({ alongFt, support });
+    });
+    return { joist, lengthFt: lengthPixels / PIXELS_PER_FOOT, bearings: bearings.sort((a, b) => a.alongFt - b.alongFt) };
+  });
+
+  // Joist runs, grouped by size and span
+  const joistRuns = new Map();
+  joistSupports.forEach(({ joist, lengthFt, bearings }) => {
+    let spanFt = lengthFt;
+    if (bearings.length >= 2) {
+      spanFt = Math.max(...bearings.slice(1).map((b, i) => b.alongFt - bearings[i].alongFt));
+    }
+    spanFt = Math.round(spanFt * 12) / 12;
+    const key = `${joist.size}|${spanFt}`;
+    if (joistRuns.has(key)) {
+      joistRuns.get(key).count++;
+      return;
+    }
+    const check = checkJoist({ size: joist.size, spanFt, spacingInches, designLoad, spanTableKey, deflectionLimit });
+    if (check) joistRuns.set(key, { ...check, count: 1 });
+  });
+
+  // Tributary width per beam: half of each back span plus any cantilever, on each side
+  const beamSegments = [];
+  beams.forEach((beam) => {
+    const line = beamLine(beam);
+    const sideOf = (point) =>
+      Math.sign((line.p2.x - line.p1.x) * (point.y - line.p1.y) - (line.p2.y - line.p1.y) * (point.x - line.p1.x));
+    const tributary = { 1: 0, [-1]: 0 };
+    joistSupports.forEach(({ joist, lengthFt, bearings }) => {
+      const index = bearings.findIndex((b) => b.support === beam);
+      if (index === -1) return;
+      const at = bearings[index].alongFt;
+      const pointAt = (alongFt) => {
+        const t = lengthFt > 0 ? alongFt / lengthFt : 0;
+        return { x: joist.p1.x + (joist.p2.x - joist.p1.x) * t, y: joist.p1.y + (joist.p2.y - joist.p1.y) * t };
+      };
+      const before = index > 0 ? (at - bearings[index - 1].alongFt) / 2 : at;
+      const after = index < bearings.length - 1 ? (bearings[index + 1].alongFt - at) / 2 : lengthFt - at;
+      if (before > EPSILON) {
+        const side = sideOf(pointAt(at - before)) || 1;
+        tributary[side] = Math.max(tributary[side], before);
+      }
+      if (after > EPSILON) {
+        const side = sideOf(pointAt(at + after)) || -1;
+        tributary[side] = Math.max(tributary[side], after);
+      }
+    });
+    const tributaryWidthFt = tributary[1] + tributary[-1];
+    if (tributaryWidthFt < EPSILON) return;
+
+    // Segments between consecutive posts under this beam
+    const postPositions = (structure.posts || [])
+      .map((post) => projectOntoMember(post, line))
+      .filter((projection) => projection.distance <= tolerance)
+      .map((projection) => projection.along)
+      .sort((a, b) => a - b);
+    for (let i = 1; i < postPositions.length; i++) {
+      const spanFt = (postPositions[i] - postPositions[i - 1]) / PIXELS_PER_FOOT;
+      if (spanFt < EPSILON) continue;
+      const check = checkBeam({
+        size: beam.size,
+        ply: beam.ply || 1,
+        spanFt,
+        tributaryWidthFt,
+        designLoad,
+        spanTableKey,
+        deflectionLimit,
+      });
+      if (check) beamSegments.push({ ...check, usage: beam.usage });
+    }
+  });
+
+  const joistResults = [...joistRuns.values()];
+  const failures = [...joistResults, ...beamSegments].filter((result) => !result.passes).length;
+  structure.mechanics = {
+    deflectionLimit,
+    joistSpacingInches: spacingInches,
+    joists: joistResults,
+    beams: beamSegments,
+    failures,
+    allPass: failures === 0,
+    adjustments: structure.mechanicsAdjustments || [],
+  };
+  return structure.mechanics;
+}
+
 /**
  * Creates a footing object with load-based diameter calculation
  * @param {number} x - X coordinate
@@ -2540,7 +3021,7 @@ function createPost(x, y, size, deckHeightInches, usage) {
  * @param {number} tributaryAreaSqFt - Tributary area for load calculation (optional, defaults to typical 32 sqft)
  * @param {boolean} isCorner - Whether this is a corner post (affects load calculation)
  */
-function createFooting(x, y, footingType, tributaryAreaSqFt = 32, isCorner = false) {
+export function createFooting(x, y, footingType, tributaryAreaSqFt = 32, isCorner = false) {
   // Helical piles don't need diameter calculation
   if (footingType === "Helical" || footingType === "helical") {
     return { x, y, type: footingType, diameter: 0 };
@@ -2561,7 +3042,7 @@ function createFooting(x, y, footingType, tributaryAreaSqFt = 32, isCorner = fal
 }
 
 /**
- * Calculates beam and posts for an angled edge (supports 45° diagonals)
+ * Calculates beam and posts for an angled edge (any angle)
  * @param {Object} edgeP1 - Start point of the edge
  * @param {Object} edgeP2 - End point of the edge
  * @param {number} setbackFeet - How far back from the edge the beam centerline should be
@@ -2829,7 +3310,7 @@ export function isPointOnSegment(point, lineP1, lineP2) {
 }
 
 /**
- * Checks if an edge array contains any diagonal (45°) edges
+ * Checks if an edge array contains any diagonal (angled) edges
  * @param {Array} edges - Array of edge objects with p1, p2
  * @returns {boolean} True if any diagonal edges exist
  */
@@ -3384,6 +3865,8 @@ export function handleDiagonalRimJoists(rimJoists, diagonalEdges, deckCenter, ri
       }
 
       if (!intersection) continue;
+      // A diagonal that starts at the rim's end just meets it there (e.g. an inward curve)
+      if (distance(intersection, rimJoist.p1) < 1 || distance(intersection, rimJoist.p2) < 1) continue;
 
 
       // Determine which endpoint to trim (the one "outside" the diagonal)
@@ -3528,6 +4011,200 @@ export function handleDiagonalBeams(beams, diagonalEdges, deckCenter) {
   return modifiedBeams;
 }
 
+/**
+ * Describes the skewed hanger a joist needs where it meets an angled header.
+ * The angle is the joist's skew from square to the header face. The hand is seen
+ * from the joist side facing the header: 'right' when the joist runs toward the
+ * right as it reaches the header (SUR), 'left' otherwise (SUL).
+ * @param {Object} joistP1 - Joist end at the header
+ * @param {Object} joistP2 - Joist end away from the header
+ * @param {Object} headerP1 - Start point of the header
+ * @param {Object} headerP2 - End point of the header
+ * @returns {{angleDeg: number, hand: string}|null} Null when a straight hanger fits
+ */
+export function getSkewedHangerSpec(joistP1, joistP2, headerP1, headerP2) {
+  const joistLength = distance(joistP1, joistP2);
+  const headerLength = distance(headerP1, headerP2);
+  if (joistLength < EPSILON || headerLength < EPSILON) return null;
+
+  // Direction of travel into the header
+  const travel = { x: (joistP1.x - joistP2.x) / joistLength, y: (joistP1.y - joistP2.y) / joistLength };
+  // Header face normal, pointed the way the viewer faces (into the header)
+  let facing = { x: -(headerP2.y - headerP1.y) / headerLength, y: (headerP2.x - headerP1.x) / headerLength };
+  if (facing.x * travel.x + facing.y * travel.y < 0) {
+    facing = { x: -facing.x, y: -facing.y };
+  }
+
+  const squareness = Math.min(1, facing.x * travel.x + facing.y * travel.y);
+  const angleDeg = Math.round(Math.acos(squareness) * (180 / Math.PI));
+  if (angleDeg < SKEWED_HANGER_MIN_ANGLE_DEGREES) return null;
+
+  // Viewer's right-hand side in canvas coordinates (Y down)
+  const right = { x: -facing.y, y: facing.x };
+  const hand = travel.x * right.x + travel.y * right.y > 0 ? "right" : "left";
+  return { angleDeg, hand };
+}
+
+/**
+ * Marks joists that end on an angled header with the skewed hanger they need
+ * @param {Array} joists - Array of joist objects with p1, p2
+ * @param {Array} headers - Angled ledgers or beams the joists hang from, with p1, p2
+ * @returns {Array} Joists, with skewHanger set on those ending at a header
+ */
+export function applySkewedHangers(joists, headers) {
+  return joists.map((joist) => {
+    for (const header of headers) {
+      const headerLength = distance(header.p1, header.p2);
+      if (headerLength < EPSILON) continue;
+      const offLine = (point) =>
+        Math.abs(
+          (header.p2.x - header.p1.x) * (point.y - header.p1.y) -
+          (header.p2.y - header.p1.y) * (point.x - header.p1.x)
+        ) / headerLength;
+      const endsOn = (point) => offLine(point) < 1 && isPointOnSegment(point, header.p1, header.p2);
+
+      const [headerEnd, farEnd] = endsOn(joist.p1)
+        ? [joist.p1, joist.p2]
+        : endsOn(joist.p2) ? [joist.p2, joist.p1] : [null, null];
+      if (!headerEnd) continue;
+
+      const skewHanger = getSkewedHangerSpec(headerEnd, farEnd, header.p1, header.p2);
+      return skewHanger ? { ...joist, skewHanger } : joist;
+    }
+    return joist;
+  });
+}
+
+/**
+ * Builds the framing along curved edges. calculateStructure frames a curved edge as
+ * straight facets; this swaps the facet rim joists for one curved rim (kerfed or
+ * laminated, see getArcRimSpec) and posts the segmented beam under the curve at every
+ * facet joint, where its pieces splice.
+ * @param {Object} structure - Structural components (mutated: rimJoists, posts, footings, arcEdges)
+ * @param {Array} arcs - Arcs from expandArcEdges
+ * @param {Array} outline - Faceted outline from expandArcEdges
+ * @param {Object} inputs - Form inputs (footingType)
+ * @returns {Array} Curved edge summaries, also set as structure.arcEdges
+ */
+export function applyCurvedEdges(structure, arcs, outline, inputs) {
+  structure.arcEdges = [];
+  if (!arcs || arcs.length === 0 || !outline || outline.length < 3) return structure.arcEdges;
+
+  const rimSize = structure.joists?.[0]?.size || structure.rimJoists?.[0]?.size;
+  const joistSpanFt = Math.max(0, ...(structure.joists || []).map((j) => j.lengthFeet || 0));
+  const onSegment = (point, p1, p2) => {
+    const length = distance(p1, p2);
+    if (length < EPSILON) return distance(point, p1) < 1;
+    const offLine = Math.abs((p2.x - p1.x) * (point.y - p1.y) - (p2.y - p1.y) * (point.x - p1.x)) / length;
+    return offLine < 1 && isPointOnSegment(point, p1, p2);
+  };
+
+  for (const arc of arcs) {
+    const facets = [];
+    for (let i = 0; i < arc.facetCount; i++) {
+      facets.push({
+        p1: outline[arc.facetStart + i],
+        p2: outline[(arc.facetStart + i + 1) % outline.length],
+      });
+    }
+
+    // One continuous curved rim replaces the rims along the facets (and a straight rim
+    // still spanning the chord of an inward curve)
+    const onFacet = (member) =>
+      [...facets, arc].some((f) => onSegment(member.p1, f.p1, f.p2) && onSegment(member.p2, f.p1, f.p2));
+    structure.rimJoists = structure.rimJoists.filter((rim) => rim.lengthFeet > EPSILON && !onFacet(rim));
+    const rimSpec = getArcRimSpec(arc.radiusFeet);
+    structure.rimJoists.push({
+      p1: { ...arc.p1 },
+      p2: { ...arc.p2 },
+      sagitta: arc.sagitta,
+      size: rimSize,
+      lengthFeet: arc.lengthFeet,
+      usage: "Curved Rim Joist",
+      isCurved: true,
+      radiusFeet: arc.radiusFeet,
+      rimMethod: rimSpec.method,
+      plies: rimSpec.plies,
+      edgeIndex: arc.edgeIndex,
+    });
+
+    // Beam pieces under the facets, in order along the curve
+    const facetEdges = new Set(facets.map((_, i) => arc.facetStart + i));
+    const beams = structure.beams
+      .filter((b) => facetEdges.has(b.edgeIndex) && b.lengthFeet > EPSILON)
+      .sort((a, b) => a.edgeIndex - b.edgeIndex);
+    if (beams.length > 0) {
+      const oldPosts = structure.posts.filter((p) => beams.some((b) => onSegment(p, b.p1, b.p2)));
+      const template = oldPosts[0] || structure.posts[0];
+      structure.posts = structure.posts.filter((p) => !oldPosts.includes(p));
+      structure.footings = structure.footings.filter((f) => !oldPosts.some((p) => distance(p, f) < 1));
+
+      // Posts at each chain end (inset), every splice, and within long pieces
+      const stations = [];
+      const insetPixels = POST_INSET_FEET * PIXELS_PER_FOOT;
+      const pointAlong = (beam, fromP1) => {
+        const length = distance(beam.p1, beam.p2);
+        const t = length > 2 * insetPixels ? insetPixels / length : 0.5;
+        const s = fromP1 ? t : 1 - t;
+        return { x: beam.p1.x + (beam.p2.x - beam.p1.x) * s, y: beam.p1.y + (beam.p2.y - beam.p1.y) * s };
+      };
+      beams.forEach((beam, i) => {
+        const prev = beams[i - 1];
+        const next = beams[i + 1];
+        const startsChain = !prev || distance(prev.p2, beam.p1) > 1;
+        const endsChain = !next || distance(beam.p2, next.p1) > 1;
+        const start = startsChain ? pointAlong(beam, true) : beam.p1;
+        const end = endsChain ? pointAlong(beam, false) : beam.p2;
+        if (startsChain) stations.push({ ...start, isCorner: true, usage: beam.usage });
+        const bays = Math.ceil(distance(start, end) / (MAX_POST_SPACING_FEET * PIXELS_PER_FOOT));
+        for (let k = 1; k < bays; k++) {
+          stations.push({
+            x: start.x + ((end.x - start.x) * k) / bays,
+            y: start.y + ((end.y - start.y) * k) / bays,
+            usage: beam.usage,
+          });
+        }
+        stations.push({ ...end, isCorner: endsChain, usage: beam.usage });
+      });
+
+      stations.forEach((station, i) => {
+        const neighbours = [stations[i - 1], stations[i + 1]].filter(Boolean);
+        const spacingFt =
+          neighbours.reduce((sum, n) => sum + distance(station, n), 0) / Math.max(1, neighbours.length) / PIXELS_PER_FOOT;
+        structure.posts.push({
+          x: station.x,
+          y: station.y,
+          size: template?.size,
+          heightInches: template?.heightInches,
+          heightFeet: template?.heightFeet,
+          usage: station.usage,
+        });
+        structure.footings.push(
+          createFooting(
+            station.x,
+            station.y,
+            inputs.footingType,
+            calculateTributaryArea(spacingFt, joistSpanFt, !!station.isCorner),
+            !!station.isCorner
+          )
+        );
+      });
+    }
+
+    structure.arcEdges.push({
+      edgeIndex: arc.edgeIndex,
+      chordFeet: arc.chordLength / PIXELS_PER_FOOT,
+      sagittaInches: (Math.abs(arc.sagitta) / PIXELS_PER_FOOT) * 12,
+      radiusFeet: arc.radiusFeet,
+      lengthFeet: arc.lengthFeet,
+      facetCount: arc.facetCount,
+      rimMethod: rimSpec.method,
+      plies: rimSpec.plies,
+    });
+  }
+  return structure.arcEdges;
+}
+
 /**
  * Extends joists to reach diagonal ledgers on the house side (e.g., bay windows)
  * This modifies the START point (p1) of joists to meet diagonal ledger edges
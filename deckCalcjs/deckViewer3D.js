@@ -3,6 +3,8 @@
 
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { expandArcEdges, getArcPoints } from './arcCalculations.js';
+import { getDeckingProduct } from './deckingProductCalculations.js';
 
 // ============================================
 // Constants
@@ -24,6 +26,10 @@ const LUMBER_DIMENSIONS = {
 // Deck board thickness
 const DECK_BOARD_THICKNESS = 1.0 / 12; // ~1 inch for 5/4 boards
 
+// Fascia and skirting sit against the outside face of the rim
+const RIM_HALF_THICKNESS = 0.75 / 12;
+const FASCIA_THICKNESS = 0.75 / 12;
+
 // Colors for different components
 const COLORS = {
   ledger: 0x8B7355,      // Darker brown (against house)
@@ -34,8 +40,10 @@ const COLORS = {
   blocking: 0xD2B48C,    // Tan
   decking: 0xE8D4B8,     // Light wood
   deckingAlt: 0xDCC8AC,  // Alternate board color
+  deckingCedar: 0xB4825A, // Warm cedar
   stairStringer: 0x8B7355,
   stairTread: 0xE8D4B8,
+  lattice: 0xB08D68,     // Weathered PT lattice
   ground: 0x90EE90,      // Light green grass
   house: 0xD3D3D3,       // Light gray
 };
@@ -56,6 +64,7 @@ class DeckViewer3D {
     this.animationId = null;
     this.isInitialized = false;
     this.deckHeightFeet = 4; // Default deck height
+    this.deckingProduct = null; // Decking product rules, set on each build
 
     // Bind methods
     this.animate = this.animate.bind(this);
@@ -206,8 +215,9 @@ class DeckViewer3D {
   /**
    * Build the 3D deck from appState data
    * @param {Object} appState - The application state containing deck data
+   * @param {Object|null} fasciaLayout - Fascia and skirting from fasciaCalculations, if in the build
    */
-  buildDeck(appState) {
+  buildDeck(appState, fasciaLayout = null) {
     if (!this.isInitialized) {
       console.warn('[3D Viewer] Not initialized, cannot build deck');
       return;
@@ -216,7 +226,11 @@ class DeckViewer3D {
     // Clear existing deck
     this.clearDeck();
 
-    const { structuralComponents, points, stairs } = appState;
+    const { structuralComponents, stairs, edgeArcs } = appState;
+    // Curved edges follow their arc
+    const points = appState.points && edgeArcs && Object.keys(edgeArcs).length > 0
+      ? expandArcEdges(appState.points, edgeArcs, [], 1).points
+      : appState.points;
 
     if (!structuralComponents || !points || points.length < 3) {
       console.warn('[3D Viewer] No structural data available');
@@ -225,6 +239,7 @@ class DeckViewer3D {
 
     // Get deck height from appState
     this.deckHeightFeet = this.getDeckHeight(appState);
+    this.deckingProduct = getDeckingProduct(appState.decking);
 
     // Calculate deck center for positioning
     const bounds = this.calculateBounds(points);
@@ -233,6 +248,7 @@ class DeckViewer3D {
 
     // Add house wall (ledger side)
     this.addHouseWall(structuralComponents.ledger, centerX, centerY);
+    this.addHouseWall(structuralComponents.wrapLedger, centerX, centerY);
 
     // Add posts first (they go down to ground)
     if (structuralComponents.posts) {
@@ -248,6 +264,9 @@ class DeckViewer3D {
     if (structuralComponents.ledger) {
       this.addLedger(structuralComponents.ledger, centerX, centerY);
     }
+    if (structuralComponents.wrapLedger) {
+      this.addLedger(structuralComponents.wrapLedger, centerX, centerY);
+    }
 
     // Add joists
     if (structuralComponents.joists) {
@@ -265,7 +284,15 @@ class DeckViewer3D {
     }
 
     // Add decking surface
-    this.addDeckingSurface(points, centerX, centerY);
+    const cutouts = (appState.cutouts || []).filter(
+      (cutout) => (cutout.tierId || 'upper') === (appState.activeTierId || 'upper')
+    );
+    this.addDeckingSurface(points, centerX, centerY, cutouts);
+
+    // Add fascia and skirting over the exposed rims
+    if (fasciaLayout) {
+      this.addFasciaAndSkirting(fasciaLayout, centerX, centerY);
+    }
 
     // Add stairs
     if (stairs && stairs.length > 0) {
@@ -459,15 +486,22 @@ class DeckViewer3D {
 
   addRimJoists(rimJoists, centerX, centerY) {
     for (const rim of rimJoists) {
-      const mesh = this.createLumberMesh(rim.p1, rim.p2, rim.size, COLORS.rimJoist);
+      // A curved rim is built from short straight pieces along its arc
+      const path = rim.isCurved
+        ? [rim.p1, ...getArcPoints(rim.p1, rim.p2, rim.sagitta, 1), rim.p2]
+        : [rim.p1, rim.p2];
 
-      // Position at deck height
-      const dims = LUMBER_DIMENSIONS[rim.size] || LUMBER_DIMENSIONS['2x8'];
-      mesh.position.x -= centerX;
-      mesh.position.z -= centerY;
-      mesh.position.y = this.deckHeightFeet - dims.height / 2;
+      for (let i = 1; i < path.length; i++) {
+        const mesh = this.createLumberMesh(path[i - 1], path[i], rim.size, COLORS.rimJoist);
 
-      this.deckGroup.add(mesh);
+        // Position at deck height
+        const dims = LUMBER_DIMENSIONS[rim.size] || LUMBER_DIMENSIONS['2x8'];
+        mesh.position.x -= centerX;
+        mesh.position.z -= centerY;
+        mesh.position.y = this.deckHeightFeet - dims.height / 2;
+
+        this.deckGroup.add(mesh);
+      }
     }
   }
 
@@ -485,7 +519,7 @@ class DeckViewer3D {
     }
   }
 
-  addDeckingSurface(points, centerX, centerY) {
+  addDeckingSurface(points, centerX, centerY, cutouts = []) {
     if (points.length < 3) return;
 
     // Create a shape from the deck outline
@@ -506,6 +540,18 @@ class DeckViewer3D {
       );
     }
 
+    // Openings go through the surface
+    for (const cutout of cutouts) {
+      const hole = new THREE.Path();
+      cutout.points.forEach((point, i) => {
+        const x = point.x / PIXELS_PER_FOOT - centerX;
+        const y = -(point.y / PIXELS_PER_FOOT - centerY);
+        if (i === 0) hole.moveTo(x, y);
+        else hole.lineTo(x, y);
+      });
+      shape.holes.push(hole);
+    }
+
     // Extrude the shape to create deck boards
     const extrudeSettings = {
       depth: DECK_BOARD_THICKNESS,
@@ -514,7 +560,7 @@ class DeckViewer3D {
 
     const geometry = new THREE.ExtrudeGeometry(shape, extrudeSettings);
     const material = new THREE.MeshStandardMaterial({
-      color: COLORS.decking,
+      color: this.getDeckingColor(),
       roughness: 0.6,
       metalness: 0.0,
     });
@@ -533,14 +579,22 @@ class DeckViewer3D {
     this.addDeckBoardLines(points, centerX, centerY);
   }
 
+  // Composite and PVC boards show their picked colour; wood boards their natural one
+  getDeckingColor() {
+    const product = this.deckingProduct;
+    if (product?.color) return product.color.hex;
+    return product?.id === 'cedar' ? COLORS.deckingCedar : COLORS.decking;
+  }
+
   addDeckBoardLines(points, centerX, centerY) {
     // Calculate bounds
     const bounds = this.calculateBounds(points);
     const deckWidth = (bounds.maxX - bounds.minX) / PIXELS_PER_FOOT;
     const deckDepth = (bounds.maxY - bounds.minY) / PIXELS_PER_FOOT;
 
-    // Create lines every 5.5 inches (deck board width)
-    const boardWidth = 5.5 / 12; // feet
+    // Create a line at every board edge (board width plus its side gap)
+    const product = this.deckingProduct;
+    const boardWidth = product ? (product.boardWidthInches + product.sideGapInches) / 12 : 5.5 / 12; // feet
     const lineMaterial = new THREE.LineBasicMaterial({ color: 0x8B7355, transparent: true, opacity: 0.3 });
 
     // Determine board direction (assume horizontal - parallel to ledger)
@@ -556,6 +610,74 @@ class DeckViewer3D {
     }
   }
 
+  /**
+   * Creates a vertical panel standing on a deck edge, pushed out past the rim's outside face
+   * @param {Object} p1 - Start point (model pixels)
+   * @param {Object} p2 - End point (model pixels)
+   * @param {{x: number, y: number}} outward - Unit normal pointing away from the deck
+   * @param {number} topFeet - Height of the panel's top edge
+   * @param {number} heightFeet - Panel height
+   * @param {THREE.Material} material - Panel material
+   */
+  createEdgePanel(p1, p2, outward, topFeet, heightFeet, material) {
+    const length = Math.hypot(p2.x - p1.x, p2.y - p1.y) / PIXELS_PER_FOOT;
+    const geometry = new THREE.BoxGeometry(length, heightFeet, FASCIA_THICKNESS);
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+
+    const offset = RIM_HALF_THICKNESS + FASCIA_THICKNESS / 2;
+    mesh.position.set(
+      (p1.x + p2.x) / 2 / PIXELS_PER_FOOT + outward.x * offset,
+      topFeet - heightFeet / 2,
+      (p1.y + p2.y) / 2 / PIXELS_PER_FOOT + outward.y * offset
+    );
+    mesh.rotation.y = -Math.atan2(p2.y - p1.y, p2.x - p1.x);
+    return mesh;
+  }
+
+  addFasciaAndSkirting(fasciaLayout, centerX, centerY) {
+    const runsByEdge = {};
+    fasciaLayout.runs.forEach((run) => {
+      runsByEdge[run.edgeIndex] = run;
+    });
+    const boardMaterial = () => new THREE.MeshStandardMaterial({
+      color: this.getDeckingColor(),
+      roughness: 0.6,
+      metalness: 0.0,
+    });
+
+    // Fascia matches the deck boards, course by course from the top of the rim
+    for (const board of fasciaLayout.fasciaBoards) {
+      const mesh = this.createEdgePanel(
+        board.p1,
+        board.p2,
+        runsByEdge[board.edgeIndex].outward,
+        this.deckHeightFeet - board.offsetInches / 12,
+        board.heightInches / 12,
+        boardMaterial()
+      );
+      mesh.position.x -= centerX;
+      mesh.position.z -= centerY;
+      this.deckGroup.add(mesh);
+    }
+
+    // Skirting runs from the bottom of the rim down to its gap above grade
+    for (const panel of fasciaLayout.skirtingPanels) {
+      const run = runsByEdge[panel.edgeIndex];
+      const topFeet = this.deckHeightFeet - run.rimDepthInches / 12;
+      const heightFeet = topFeet - panel.bottomInches / 12;
+      if (heightFeet <= 0) continue;
+      const material = fasciaLayout.skirting === 'lattice'
+        ? new THREE.MeshStandardMaterial({ color: COLORS.lattice, roughness: 0.9, metalness: 0.0, transparent: true, opacity: 0.75 })
+        : boardMaterial();
+      const mesh = this.createEdgePanel(panel.p1, panel.p2, run.outward, topFeet, heightFeet, material);
+      mesh.position.x -= centerX;
+      mesh.position.z -= centerY;
+      this.deckGroup.add(mesh);
+    }
+  }
+
   addStairs(stairs, centerX, centerY) {
     for (const stair of stairs) {
       if (!stair.calculatedNumSteps || !stair.calculatedRunPerStepInches) continue;
@@ -583,7 +705,7 @@ class DeckViewer3D {
 
       // Create treads
       const treadMaterial = new THREE.MeshStandardMaterial({
-        color: COLORS.stairTread,
+        color: this.getDeckingColor(),
         roughness: 0.6,
         metalness: 0.0,
       });
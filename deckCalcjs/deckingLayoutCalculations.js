@@ -0,0 +1,826 @@
+// deckingLayoutCalculations.js - Board-by-board decking layout
+// Lays every course of deck boards across the joists, cutting each course into stock
+// lengths whose butt joints land on a joist and stay clear of the joints in the courses
+// beside it. Breaker boards split the courses and a picture frame borders the outline and
+// any openings. Courses can be turned off square to the joists, and herringbone and
+// chevron patterns lay each strip between seam boards at alternating angles; the seams
+// are framed with blocking by applyDeckingSeamFraming. Frame boards follow the actual
+// edges with a mitre at every corner, and applyPictureFrameBlocking puts the ladder
+// blocking under them. The canvas draws the layout
+// directly and bomCalculations.js counts its boards by stock length. Board width, gaps
+// and stock lengths come from the selected product (deckingProductCalculations.js).
+
+import {
+  EPSILON,
+  PIXELS_PER_FOOT,
+  DECKING_BOARD_LENGTHS_FEET,
+  DECKING_JOINT_STAGGER_JOISTS,
+  DECKING_MIN_BOARD_SPAN_JOISTS,
+} from "./config.js";
+import { getDeckingPattern, getDeckingProduct } from "./deckingProductCalculations.js";
+
+const SUPPORT_TOLERANCE_PIXELS = 1;
+const SAMPLE_INSET_PIXELS = 0.05; // Sample just inside each course edge so outline corners don't count twice
+const MIN_PIECE_PIXELS = PIXELS_PER_FOOT / 12; // Ignore slivers under an inch
+const MIN_RIP_PIXELS = PIXELS_PER_FOOT / 12; // A last course narrower than this is left to the frame or rim
+const LUMBER_THICKNESS_PIXELS = (1.5 / 12) * PIXELS_PER_FOOT;
+const STRAIGHT_CORNER_DEGREES = 0.05; // Edges meeting this close to straight are butted square
+
+// ================================================
+// BOARD SIZES
+// ================================================
+
+/**
+ * Face width of the selected deck board.
+ * @param {Object} deckingState - Decking configuration from appState.decking
+ * @returns {number} Inches
+ */
+export function getDeckingBoardWidthInches(deckingState) {
+  return getDeckingProduct(deckingState).boardWidthInches;
+}
+
+/**
+ * Shortest stock board a piece can be cut from.
+ * @param {number} lengthFeet - Cut length
+ * @param {number[]} [stockLengths] - Stock lengths in feet, shortest first
+ * @returns {number} Stock length in feet (the longest stock when nothing covers it)
+ */
+export function getDeckingStockLength(lengthFeet, stockLengths = DECKING_BOARD_LENGTHS_FEET) {
+  return stockLengths.find((stock) => stock >= lengthFeet - EPSILON) || stockLengths[stockLengths.length - 1];
+}
+
+// Layers of frame boards for a picture frame setting ('none' | 'single' | 'double')
+function getFrameLayers(pictureFrame) {
+  return pictureFrame === "double" ? 2 : pictureFrame === "single" ? 1 : 0;
+}
+
+// ================================================
+// INTERVAL HELPERS
+// ================================================
+// Outlines are worked in local coordinates: "run" square to the joists and "perp" along
+// them, so the same code handles joists running along either axis. Angled courses turn
+// that frame so run follows the boards.
+
+function getOpenRing(points) {
+  if (points.length > 1) {
+    const first = points[0];
+    const last = points[points.length - 1];
+    if (Math.abs(first.x - last.x) < 1 && Math.abs(first.y - last.y) < 1) {
+      return points.slice(0, -1);
+    }
+  }
+  return points;
+}
+
+// Runs of the line perp = coord inside the outline (holes excluded), as sorted [start, end]
+function getLineIntervals(rings, coord) {
+  const crossings = [];
+  rings.forEach((ring) => {
+    ring.forEach((a, i) => {
+      const b = ring[(i + 1) % ring.length];
+      if ((a.perp <= coord) === (b.perp <= coord)) return;
+      crossings.push(a.run + ((coord - a.perp) / (b.perp - a.perp)) * (b.run - a.run));
+    });
+  });
+  crossings.sort((a, b) => a - b);
+  const intervals = [];
+  for (let i = 0; i + 1 < crossings.length; i += 2) {
+    if (crossings[i + 1] - crossings[i] > EPSILON) intervals.push([crossings[i], crossings[i + 1]]);
+  }
+  return intervals;
+}
+
+function intersectIntervals(a, b) {
+  const result = [];
+  a.forEach(([aStart, aEnd]) => {
+    b.forEach(([bStart, bEnd]) => {
+      const start = Math.max(aStart, bStart);
+      const end = Math.min(aEnd, bEnd);
+      if (end - start > EPSILON) result.push([start, end]);
+    });
+  });
+  return result.sort((x, y) => x[0] - y[0]);
+}
+
+function unionIntervals(lists) {
+  const all = lists.flat().sort((x, y) => x[0] - y[0]);
+  const result = [];
+  all.forEach(([start, end]) => {
+    const last = result[result.length - 1];
+    if (last && start <= last[1] + EPSILON) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      result.push([start, end]);
+    }
+  });
+  return result;
+}
+
+/**
+ * Runs of a board band inside the deck. A board cut to an angled edge reaches as far as
+ * either of its long edges does.
+ */
+function getBandIntervals(rings, bandStart, bandEnd) {
+  return unionIntervals([
+    getLineIntervals(rings, bandStart + SAMPLE_INSET_PIXELS),
+    getLineIntervals(rings, (bandStart + bandEnd) / 2),
+    getLineIntervals(rings, bandEnd - SAMPLE_INSET_PIXELS),
+  ]);
+}
+
+// Signed shoelace area; the sign gives the ring's winding
+function getRingArea(ring) {
+  return ring.reduce((sum, a, i) => {
+    const b = ring[(i + 1) % ring.length];
+    return sum + (a.x * b.y - b.x * a.y) / 2;
+  }, 0);
+}
+
+/**
+ * Moves every edge of a ring the given distance towards its inside (outwards for a negative
+ * distance), meeting the moved edges at their intersections. Used to keep the field boards
+ * a picture frame's width off the outline and openings.
+ */
+function insetRing(ring, distance) {
+  if (distance === 0) return ring;
+  const side = getRingArea(ring) > 0 ? 1 : -1;
+  const edges = ring
+    .map((a, i) => {
+      const b = ring[(i + 1) % ring.length];
+      const length = Math.hypot(b.x - a.x, b.y - a.y);
+      if (length < EPSILON) return null;
+      const d = { x: (b.x - a.x) / length, y: (b.y - a.y) / length };
+      return { start: { x: a.x - d.y * side * distance, y: a.y + d.x * side * distance }, d, corner: a };
+    })
+    .filter(Boolean);
+  return edges.map((edge, i) => {
+    const previous = edges[(i + edges.length - 1) % edges.length];
+    const cross = previous.d.x * edge.d.y - previous.d.y * edge.d.x;
+    if (Math.abs(cross) < 1e-6) return edge.start;
+    const t = ((edge.start.x - previous.start.x) * edge.d.y - (edge.start.y - previous.start.y) * edge.d.x) / cross;
+    const point = { x: previous.start.x + t * previous.d.x, y: previous.start.y + t * previous.d.y };
+    // Very sharp corners would throw the meeting point far out; cut them off instead
+    const reach = Math.hypot(point.x - edge.corner.x, point.y - edge.corner.y);
+    return reach > 4 * Math.abs(distance) ? edge.start : point;
+  });
+}
+
+// Drops repeated points so every edge of the ring lines up with its vertex in insetRing
+function getEdgeRing(points) {
+  const ring = getOpenRing(points);
+  return ring.filter((a, i) => {
+    const b = ring[(i + 1) % ring.length];
+    return Math.hypot(b.x - a.x, b.y - a.y) >= EPSILON;
+  });
+}
+
+// Angle the deck takes up at each corner of a ring, in degrees: inside the outline
+// (inward 1) or around an opening (inward -1)
+function getDeckCornerAngles(ring, inward) {
+  const side = getRingArea(ring) > 0 ? 1 : -1;
+  return ring.map((corner, i) => {
+    const previous = ring[(i + ring.length - 1) % ring.length];
+    const next = ring[(i + 1) % ring.length];
+    const d0 = { x: corner.x - previous.x, y: corner.y - previous.y };
+    const d1 = { x: next.x - corner.x, y: next.y - corner.y };
+    const turn = Math.atan2(d0.x * d1.y - d0.y * d1.x, d0.x * d1.x + d0.y * d1.y);
+    return 180 - (turn * side * inward * 180) / Math.PI;
+  });
+}
+
+// ================================================
+// JOISTS
+// ================================================
+
+/**
+ * Boards run square to the joists: along X when most joists run along Y.
+ * @param {Object} structure - Calculated structure
+ * @returns {boolean|null} null when there are no joists to go by
+ */
+export function doBoardsRunAlongX(structure) {
+  let vertical = 0;
+  let horizontal = 0;
+  (structure?.joists || []).forEach((joist) => {
+    const dx = Math.abs(joist.p2.x - joist.p1.x);
+    const dy = Math.abs(joist.p2.y - joist.p1.y);
+    if (dy > dx) vertical++;
+    else if (dx > dy) horizontal++;
+  });
+  if (vertical === 0 && horizontal === 0) return null;
+  return vertical >= horizontal;
+}
+
+// Joists and end rims, as run positions with the perp span they cover
+function getSupportLines(structure, toLocal) {
+  return [...(structure.joists || []), ...(structure.rimJoists || [])]
+    .map((member) => ({ a: toLocal(member.p1), b: toLocal(member.p2) }))
+    .filter(({ a, b }) => Math.abs(a.run - b.run) < SUPPORT_TOLERANCE_PIXELS && Math.abs(a.perp - b.perp) > EPSILON)
+    .map(({ a, b }) => ({
+      run: (a.run + b.run) / 2,
+      perpStart: Math.min(a.perp, b.perp),
+      perpEnd: Math.max(a.perp, b.perp),
+    }));
+}
+
+// Positions along a course of the supports under its middle, for a course turned the given
+// angle (radians) off square to the joists
+function getCourseSupports(supportLines, perpMid, angle = 0) {
+  const sin = Math.sin(angle);
+  const cos = Math.cos(angle);
+  const runs = supportLines
+    .map((line) => ({ line, along: (perpMid + line.run * sin) / cos }))
+    .filter(({ line, along }) => along >= line.perpStart - SUPPORT_TOLERANCE_PIXELS && along <= line.perpEnd + SUPPORT_TOLERANCE_PIXELS)
+    .map(({ line, along }) => line.run * cos + along * sin)
+    .sort((a, b) => a - b);
+  return runs.filter((run, i) => i === 0 || run - runs[i - 1] > SUPPORT_TOLERANCE_PIXELS);
+}
+
+function countSupportsBetween(supports, runA, runB) {
+  const low = Math.min(runA, runB) + SUPPORT_TOLERANCE_PIXELS;
+  const high = Math.max(runA, runB) + SUPPORT_TOLERANCE_PIXELS;
+  return supports.filter((run) => run > low && run <= high).length;
+}
+
+// ================================================
+// COURSES
+// ================================================
+
+// Waste left when a piece is cut from its stock board
+function getCutWastePixels(lengthPixels, stockLengths) {
+  return getDeckingStockLength(lengthPixels / PIXELS_PER_FOOT, stockLengths) * PIXELS_PER_FOOT - lengthPixels;
+}
+
+/**
+ * Cuts one run of a course into pieces. Each butt joint lands on a support, at least
+ * DECKING_JOINT_STAGGER_JOISTS joists from every joint in the previous course, with no
+ * piece spanning fewer than DECKING_MIN_BOARD_SPAN_JOISTS bays. Among the joints that
+ * qualify it takes the one wasting least stock, then the longest piece. Angled courses
+ * are cut square to the joists, so each piece's long edge runs past its centre line by
+ * endAllowancePixels.
+ * @returns {{pieces: Array<[number, number]>, joints: number[], unstaggered: number, offJoist: number}}
+ */
+function fillRun(start, end, supports, previousJoints, minPiecePixels, stockLengths, endAllowancePixels = 0) {
+  const maxStockPixels = Math.max(...stockLengths) * PIXELS_PER_FOOT - endAllowancePixels;
+  const result = { pieces: [], joints: [], unstaggered: 0, offJoist: 0 };
+  const isStaggered = (run) =>
+    previousJoints.every((joint) => countSupportsBetween(supports, run, joint) >= DECKING_JOINT_STAGGER_JOISTS);
+
+  let position = start;
+  while (end - position > maxStockPixels + EPSILON) {
+    const reachable = supports.filter((run) => run > position + EPSILON && run - position <= maxStockPixels + EPSILON);
+    let candidates = reachable.filter((run) => run - position >= minPiecePixels - EPSILON && end - run >= minPiecePixels - EPSILON);
+    if (candidates.length === 0) candidates = reachable;
+
+    let joint;
+    if (candidates.length === 0) {
+      joint = position + maxStockPixels;
+      result.offJoist++;
+    } else {
+      const waste = (run) =>
+        getCutWastePixels(run - position + endAllowancePixels, stockLengths) +
+        (end - run <= maxStockPixels + EPSILON ? getCutWastePixels(end - run + endAllowancePixels, stockLengths) : 0);
+      const ranked = [...candidates].sort((a, b) => waste(a) - waste(b) || b - a);
+      joint = ranked.find(isStaggered);
+      if (joint === undefined) {
+        joint = ranked[0];
+        result.unstaggered++;
+      }
+    }
+    result.pieces.push([position, joint]);
+    result.joints.push(joint);
+    position = joint;
+  }
+  result.pieces.push([position, end]);
+  return result;
+}
+
+// Splits a run with no joints to land on into equal pieces no longer than the longest stock
+function splitEvenly(start, end, stockLengths) {
+  const maxStockPixels = Math.max(...stockLengths) * PIXELS_PER_FOOT;
+  const count = Math.max(1, Math.ceil((end - start) / maxStockPixels - EPSILON));
+  const length = (end - start) / count;
+  return Array.from({ length: count }, (_, i) => [start + i * length, start + (i + 1) * length]);
+}
+
+// ================================================
+// PATTERNS
+// ================================================
+
+/**
+ * Seam boards a herringbone or chevron deck is split at. They run with the joists, and
+ * each strip between them is laid at the opposite angle to the one before. Breaker boards
+ * the designer has placed are used as the seams; otherwise the deck is split into equal
+ * strips narrow enough for each board to be cut from one stock length.
+ * @param {Array<{x: number, y: number}>} points - Deck outline
+ * @param {boolean} runsAlongX - Whether square boards would run along X (doBoardsRunAlongX)
+ * @param {Object} deckingState - Decking configuration from appState.decking
+ * @returns {Array<{id: string, position: number}>} Seam centres in feet square to the joists
+ *   from the deck's start; empty for straight boards
+ */
+export function getPatternSeams(points, runsAlongX, deckingState) {
+  const pattern = getDeckingPattern(deckingState);
+  if (pattern.id === "straight" || !points || points.length < 3 || runsAlongX === null) return [];
+  const breakers = deckingState.breakerBoards || [];
+  if (breakers.length > 0) return breakers.map(({ id, position }) => ({ id, position }));
+
+  const runs = getOpenRing(points).map((p) => (runsAlongX ? p.x : p.y));
+  const runLengthFeet = (Math.max(...runs) - Math.min(...runs)) / PIXELS_PER_FOOT;
+  const maxStockFeet = Math.max(...getDeckingProduct(deckingState).stockLengthsFeet);
+  const stripWidthFeet = maxStockFeet * Math.cos((pattern.angleDegrees * Math.PI) / 180);
+  const strips = Math.max(2, Math.ceil(runLengthFeet / stripWidthFeet - EPSILON));
+  return Array.from({ length: strips - 1 }, (_, i) => ({
+    id: `seam-${i + 1}`,
+    position: (runLengthFeet * (i + 1)) / strips,
+  }));
+}
+
+/**
+ * Frames the seams of a herringbone or chevron deck. The board ends on both sides of a seam
+ * fall between joists, so rows of blocking the joists' size go in across every bay under
+ * the seam board, spaced at the joist spacing along it.
+ * @param {Object} structure - Calculated structure (midSpanBlocking is added to)
+ * @param {Object} inputs - User input parameters; inputs.decking holds the pattern
+ * @param {Array<{x: number, y: number}>} deckPoints - Deck outline
+ * @returns {Array<Object>} The seam blocking added
+ */
+export function applyDeckingSeamFraming(structure, inputs, deckPoints) {
+  const blocking = [];
+  if (!inputs?.decking || getDeckingPattern(inputs.decking).id === "straight") return blocking;
+  if (!structure || structure.error || !deckPoints || deckPoints.length < 3) return blocking;
+  const runsAlongX = doBoardsRunAlongX(structure);
+  if (runsAlongX === null) return blocking;
+
+  const toLocal = (p) => (runsAlongX ? { run: p.x, perp: p.y } : { run: p.y, perp: p.x });
+  const toModel = (run, perp) => (runsAlongX ? { x: run, y: perp } : { x: perp, y: run });
+  const outline = getOpenRing(deckPoints);
+  const holes = (inputs.cutouts || []).filter((cutout) => cutout.points?.length >= 3).map((cutout) => getOpenRing(cutout.points));
+  const crossRings = [outline, ...holes].map((ring) => ring.map((p) => ({ run: toLocal(p).perp, perp: toLocal(p).run })));
+  const runStart = Math.min(...outline.map((p) => toLocal(p).run));
+  const half = ((getDeckingProduct(inputs.decking).boardWidthInches / 12) * PIXELS_PER_FOOT) / 2;
+  const spacingPixels = ((structure.joistSpacingInches || inputs.joistSpacing || 16) / 12) * PIXELS_PER_FOOT;
+  const size = (structure.joists || []).find((joist) => joist.size)?.size;
+  const supportLines = getSupportLines(structure, toLocal);
+
+  getPatternSeams(deckPoints, runsAlongX, inputs.decking).forEach((seam) => {
+    const center = runStart + seam.position * PIXELS_PER_FOOT;
+    getBandIntervals(crossRings, center - half, center + half).forEach(([start, end]) => {
+      const rows = Math.max(1, Math.ceil((end - start) / spacingPixels - EPSILON));
+      for (let i = 0; i < rows; i++) {
+        const perp = start + ((i + 0.5) * (end - start)) / rows;
+        const runs = supportLines
+          .filter((line) => perp >= line.perpStart - SUPPORT_TOLERANCE_PIXELS && perp <= line.perpEnd + SUPPORT_TOLERANCE_PIXELS)
+          .map((line) => line.run)
+          .sort((a, b) => a - b);
+        // Every bay the seam board covers, from the joist before it to the joist after it
+        const first = runs.filter((run) => run <= center - half).pop();
+        const last = runs.find((run) => run >= center + half);
+        if (first === undefined || last === undefined) continue;
+        const stations = runs.filter((run) => run >= first && run <= last);
+        stations.slice(1).forEach((run, j) => {
+          if (run - stations[j] <= SUPPORT_TOLERANCE_PIXELS) return;
+          blocking.push({
+            p1: toModel(stations[j], perp),
+            p2: toModel(run, perp),
+            size,
+            lengthFeet: (run - stations[j]) / PIXELS_PER_FOOT,
+            usage: "Seam Blocking",
+            boardCount: 1,
+          });
+        });
+      }
+    });
+  });
+  if (!structure.midSpanBlocking) structure.midSpanBlocking = [];
+  structure.midSpanBlocking.push(...blocking);
+  return blocking;
+}
+
+// ================================================
+// PICTURE FRAME
+// ================================================
+
+/**
+ * Picture frame boards around the outline and each opening, cut to the actual edges. Each
+ * layer runs a board width and gap inside the last, and neighbouring boards meet at every
+ * corner in a mitre splitting the corner's angle. An edge longer than the longest stock is
+ * split into equal pieces butted square.
+ * @param {Array<{x: number, y: number}>} points - Closed deck outline (curved edges expanded)
+ * @param {Object} deckingState - { material, cedarSize, boardEdge, pictureFrame }
+ * @param {Object} options - { cutouts }
+ * @returns {Array<Object>} Boards with usage "Picture Frame Board", layer, ringIndex (0 for the
+ *   outline, then each opening), edgeIndex, p1 and p2 along the centre line, corners (outer
+ *   edge first), rect, lengthFeet along the longer edge and mitres { start, end }, each
+ *   { cornerAngleDegrees, mitreDegrees } or null for a square end
+ */
+export function calculatePictureFrameBoards(points, deckingState, options = {}) {
+  const layers = getFrameLayers(deckingState?.pictureFrame);
+  if (layers === 0 || !points || points.length < 3) return [];
+  const product = getDeckingProduct(deckingState);
+  const boardWidthPixels = (product.boardWidthInches / 12) * PIXELS_PER_FOOT;
+  const pitch = boardWidthPixels + (product.sideGapInches / 12) * PIXELS_PER_FOOT;
+  const holes = (options.cutouts || []).filter((cutout) => cutout.points?.length >= 3).map((cutout) => cutout.points);
+
+  const boards = [];
+  [points, ...holes].forEach((ringPoints, ringIndex) => {
+    const ring = getEdgeRing(ringPoints);
+    if (ring.length < 3) return;
+    // The deck lies inside the outline and outside each opening
+    const inward = ringIndex === 0 ? 1 : -1;
+    const mitres = getDeckCornerAngles(ring, inward).map((cornerAngleDegrees) =>
+      Math.abs(180 - cornerAngleDegrees) < STRAIGHT_CORNER_DEGREES
+        ? null
+        : { cornerAngleDegrees, mitreDegrees: Math.abs(180 - cornerAngleDegrees) / 2 }
+    );
+    for (let layer = 0; layer < layers; layer++) {
+      const outer = insetRing(ring, inward * layer * pitch);
+      const inner = insetRing(ring, inward * (layer * pitch + boardWidthPixels));
+      ring.forEach((a, i) => {
+        const j = (i + 1) % ring.length;
+        const b = ring[j];
+        const length = Math.hypot(b.x - a.x, b.y - a.y);
+        if (length < MIN_PIECE_PIXELS) return;
+        const d = { x: (b.x - a.x) / length, y: (b.y - a.y) / length };
+        const along = (p) => p.x * d.x + p.y * d.y;
+        const pointAt = (line, position) => ({
+          x: line.x + d.x * (position - along(line)),
+          y: line.y + d.y * (position - along(line)),
+        });
+        // Whichever long edge reaches further sets the cut length at each end
+        const start = Math.min(along(outer[i]), along(inner[i]));
+        const end = Math.max(along(outer[j]), along(inner[j]));
+        if (end - start < MIN_PIECE_PIXELS) return;
+        const pieces = splitEvenly(start, end, product.stockLengthsFeet);
+        pieces.forEach(([pieceStart, pieceEnd], k) => {
+          const first = k === 0;
+          const last = k === pieces.length - 1;
+          const corners = [
+            first ? outer[i] : pointAt(outer[i], pieceStart),
+            last ? outer[j] : pointAt(outer[i], pieceEnd),
+            last ? inner[j] : pointAt(inner[i], pieceEnd),
+            first ? inner[i] : pointAt(inner[i], pieceStart),
+          ];
+          boards.push({
+            usage: "Picture Frame Board",
+            layer,
+            ringIndex,
+            edgeIndex: i,
+            p1: { x: (corners[0].x + corners[3].x) / 2, y: (corners[0].y + corners[3].y) / 2 },
+            p2: { x: (corners[1].x + corners[2].x) / 2, y: (corners[1].y + corners[2].y) / 2 },
+            corners,
+            rect: getBounds(corners),
+            lengthFeet: (pieceEnd - pieceStart) / PIXELS_PER_FOOT,
+            mitres: { start: first ? mitres[i] : null, end: last ? mitres[j] : null },
+          });
+        });
+      });
+    }
+  });
+  return boards;
+}
+
+/**
+ * Ladder blocking behind a picture frame, following the deck's actual edges. Along an edge
+ * running with the joists the frame boards lie between joists, so rungs go from the rim to
+ * the first joist inside it at the joist spacing. Along an edge at an angle to the joists,
+ * a block goes across each bay under the frame's inside edge, where the field boards butt
+ * it. Edges square to the joists bear on the joists, and openings on their headers and
+ * trimmers (applyCutoutFraming).
+ * @param {Object} structure - Calculated structure (pictureFrameBlocking is replaced)
+ * @param {Object} inputs - User input parameters; inputs.pictureFrame sets the frame and
+ *   inputs.decking the board width
+ * @param {Array<{x: number, y: number}>} deckPoints - Deck outline
+ * @returns {Array<Object>} The ladder blocking
+ */
+export function applyPictureFrameBlocking(structure, inputs, deckPoints) {
+  const blocking = [];
+  const layers = getFrameLayers(inputs?.pictureFrame);
+  if (layers === 0 || !structure || structure.error || !deckPoints || deckPoints.length < 3) return blocking;
+  const runsAlongX = doBoardsRunAlongX(structure);
+  if (runsAlongX === null) return blocking;
+
+  const toLocal = (p) => (runsAlongX ? { run: p.x, perp: p.y } : { run: p.y, perp: p.x });
+  const toModel = (run, perp) => (runsAlongX ? { x: run, y: perp } : { x: perp, y: run });
+  const product = getDeckingProduct(inputs.decking);
+  const frameWidth = layers * (((product.boardWidthInches + product.sideGapInches) / 12) * PIXELS_PER_FOOT);
+  const outline = getEdgeRing(deckPoints);
+  const frameInside = insetRing(outline, frameWidth);
+  const spacingPixels = ((structure.joistSpacingInches || inputs.joistSpacing || 16) / 12) * PIXELS_PER_FOOT;
+  const size = (structure.joists || []).find((joist) => joist.size)?.size;
+  const supportLines = getSupportLines(structure, toLocal);
+  const supportsAt = (perp) =>
+    supportLines
+      .filter((line) => perp >= line.perpStart - SUPPORT_TOLERANCE_PIXELS && perp <= line.perpEnd + SUPPORT_TOLERANCE_PIXELS)
+      .map((line) => line.run)
+      .sort((a, b) => a - b);
+  const allRuns = supportLines.map((line) => line.run).sort((a, b) => a - b);
+  const bayRuns = allRuns.filter((run, i) => i === 0 || run - allRuns[i - 1] > SUPPORT_TOLERANCE_PIXELS);
+
+  // Rungs fit between the faces of the members either side
+  const addRung = (perp, runA, runB, edgeIndex) => {
+    const start = Math.min(runA, runB) + LUMBER_THICKNESS_PIXELS / 2;
+    const end = Math.max(runA, runB) - LUMBER_THICKNESS_PIXELS / 2;
+    if (end - start < EPSILON) return;
+    blocking.push({
+      p1: toModel(start, perp),
+      p2: toModel(end, perp),
+      size,
+      lengthFeet: (end - start) / PIXELS_PER_FOOT,
+      usage: `Ladder Blocking (Edge ${edgeIndex + 1})`,
+    });
+  };
+
+  outline.forEach((corner, i) => {
+    const a = toLocal(corner);
+    const b = toLocal(outline[(i + 1) % outline.length]);
+    if (Math.abs(b.perp - a.perp) <= SUPPORT_TOLERANCE_PIXELS) return;
+
+    if (Math.abs(b.run - a.run) <= SUPPORT_TOLERANCE_PIXELS) {
+      const edgeRun = (a.run + b.run) / 2;
+      const inwardRun = Math.sign(toLocal(frameInside[i]).run - edgeRun);
+      const perpEnd = Math.max(a.perp, b.perp);
+      for (let perp = Math.min(a.perp, b.perp) + spacingPixels; perp < perpEnd - EPSILON; perp += spacingPixels) {
+        const joist = supportsAt(perp)
+          .filter((run) => (run - edgeRun) * inwardRun > SUPPORT_TOLERANCE_PIXELS)
+          .sort((x, y) => Math.abs(x - edgeRun) - Math.abs(y - edgeRun))[0];
+        if (joist !== undefined) addRung(perp, edgeRun, joist, i);
+      }
+      return;
+    }
+
+    // Under the frame's inside edge, once per bay it crosses
+    const insideA = toLocal(frameInside[i]);
+    const insideB = toLocal(frameInside[(i + 1) % outline.length]);
+    if (Math.abs(insideB.run - insideA.run) < EPSILON) return;
+    const runLow = Math.min(insideA.run, insideB.run);
+    const runHigh = Math.max(insideA.run, insideB.run);
+    const blockedBays = new Set();
+    bayRuns.slice(1).forEach((run, k) => {
+      const mid = (bayRuns[k] + run) / 2;
+      if (mid < runLow || mid > runHigh) return;
+      const perp = insideA.perp + ((mid - insideA.run) * (insideB.perp - insideA.perp)) / (insideB.run - insideA.run);
+      const here = supportsAt(perp);
+      const before = here.filter((r) => r < mid).pop();
+      const after = here.find((r) => r > mid);
+      if (before === undefined || after === undefined || blockedBays.has(before)) return;
+      blockedBays.add(before);
+      addRung(perp, before, after, i);
+    });
+  });
+  structure.pictureFrameBlocking = blocking;
+  return blocking;
+}
+
+// ================================================
+// LAYOUT
+// ================================================
+
+function getBounds(corners) {
+  const xs = corners.map((p) => p.x);
+  const ys = corners.map((p) => p.y);
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+  return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+}
+
+/**
+ * Lays out every deck board for a tier. Boards run in courses one board wide, square to
+ * the joists or turned off square by the board angle; breaker boards cross the courses and
+ * the picture frame runs around the outline and each opening. Herringbone and chevron decks
+ * are split at seam boards (getPatternSeams) into strips laid at alternating angles, with
+ * the courses lined up across each seam: point to point for chevron, half a board offset
+ * for herringbone.
+ *
+ * @param {Array<{x: number, y: number}>} points - Closed deck outline (curved edges expanded)
+ * @param {Object} structure - Calculated structure; its joists and end rims carry the joints
+ * @param {Object} deckingState - { material, cedarSize, boardEdge, pattern, boardAngle, pictureFrame, breakerBoards }
+ *   where each breaker's position is in feet square to the joists from the deck's start
+ * @param {Object} options - { cutouts }
+ * @returns {Object|null} { runsAlongX, runStart, runLengthFeet, pattern, angleDegrees, seams, boardWidthInches,
+ *   gapInches, courses, boards, pictureFrameBoards, stockCounts, totals, warnings }, where each board has
+ *   its four corners (along one long edge first) and its bounding rect, or null for a deck without
+ *   joists, which keeps the area estimate
+ */
+export function calculateDeckingLayout(points, structure, deckingState, options = {}) {
+  if (!points || points.length < 3 || !structure || structure.error || !deckingState) return null;
+  const runsAlongX = doBoardsRunAlongX(structure);
+  if (runsAlongX === null) return null;
+
+  const toLocal = (p) => (runsAlongX ? { run: p.x, perp: p.y } : { run: p.y, perp: p.x });
+  const toModel = (run, perp) => (runsAlongX ? { x: run, y: perp } : { x: perp, y: run });
+  const outline = getOpenRing(points);
+  const holes = (options.cutouts || []).filter((cutout) => cutout.points?.length >= 3).map((cutout) => getOpenRing(cutout.points));
+
+  const product = getDeckingProduct(deckingState);
+  const pattern = getDeckingPattern(deckingState);
+  const { boardWidthInches, stockLengthsFeet: stockLengths } = product;
+  const boardWidthPixels = (boardWidthInches / 12) * PIXELS_PER_FOOT;
+  const gapPixels = (product.sideGapInches / 12) * PIXELS_PER_FOOT;
+  const inset = getFrameLayers(deckingState.pictureFrame) * (boardWidthPixels + gapPixels);
+  // The field boards stop the frame's width inside the outline and outside each opening
+  const rings = [insetRing(outline, inset), ...holes.map((hole) => insetRing(hole, -inset))].map((ring) => ring.map(toLocal));
+  const crossRings = rings.map((ring) => ring.map((p) => ({ run: p.perp, perp: p.run })));
+
+  const runs = outline.map((p) => toLocal(p).run);
+  const runStart = Math.min(...runs);
+  const runEnd = Math.max(...runs);
+  const layout = {
+    runsAlongX,
+    runStart,
+    runLengthFeet: (runEnd - runStart) / PIXELS_PER_FOOT,
+    pattern: pattern.id,
+    angleDegrees: pattern.angleDegrees,
+    seams: [],
+    boardWidthInches,
+    gapInches: { side: product.sideGapInches, end: product.endGapInches },
+    courses: [],
+    boards: [],
+    pictureFrameBoards: [],
+    stockCounts: {},
+    totals: { courseCount: 0, boardCount: 0, jointCount: 0, linearFeet: 0, stockLinearFeet: 0, wastePercent: 0 },
+    warnings: [],
+  };
+
+  const addBoard = (board) => {
+    const stockLengthFeet = getDeckingStockLength(board.lengthFeet, stockLengths);
+    const entry = { ...board, stockLengthFeet };
+    if (entry.usage === "Picture Frame Board") layout.pictureFrameBoards.push(entry);
+    else layout.boards.push(entry);
+    layout.stockCounts[stockLengthFeet] = (layout.stockCounts[stockLengthFeet] || 0) + 1;
+    layout.totals.boardCount++;
+    layout.totals.linearFeet += board.lengthFeet;
+    layout.totals.stockLinearFeet += stockLengthFeet;
+  };
+
+  // --- Breaker boards and pattern seams ---
+  const breakerBoards = pattern.id === "straight" ? deckingState.breakerBoards || [] : getPatternSeams(points, runsAlongX, deckingState);
+  if (pattern.id !== "straight") layout.seams = breakerBoards;
+  const breakers = [];
+  breakerBoards.forEach((breaker) => {
+    const center = runStart + breaker.position * PIXELS_PER_FOOT;
+    const half = boardWidthPixels / 2;
+    const spans = getBandIntervals(crossRings, center - half, center + half);
+    if (spans.length === 0) {
+      layout.warnings.push(`The breaker board at ${breaker.position.toFixed(1)}' is off the deck.`);
+      return;
+    }
+    breakers.push([center - half - gapPixels, center + half + gapPixels]);
+    spans.forEach(([start, end]) => {
+      splitEvenly(start, end, stockLengths).forEach(([pieceStart, pieceEnd]) => {
+        const corners = [
+          toModel(center - half, pieceStart),
+          toModel(center - half, pieceEnd),
+          toModel(center + half, pieceEnd),
+          toModel(center + half, pieceStart),
+        ];
+        addBoard({
+          usage: "Breaker Board",
+          breakerId: breaker.id,
+          p1: toModel(center, pieceStart),
+          p2: toModel(center, pieceEnd),
+          corners,
+          rect: getBounds(corners),
+          lengthFeet: (pieceEnd - pieceStart) / PIXELS_PER_FOOT,
+        });
+      });
+    });
+  });
+
+  // --- Strips between the breakers ---
+  // Straight courses run through every strip; a pattern lays each strip on its own
+  const strips = [];
+  let stripStart = -Infinity;
+  [...breakers]
+    .sort((a, b) => a[0] - b[0])
+    .forEach(([cutStart, cutEnd]) => {
+      if (cutStart - stripStart > EPSILON) strips.push([stripStart, cutStart]);
+      stripStart = Math.max(stripStart, cutEnd);
+    });
+  strips.push([stripStart, Infinity]);
+  const groups =
+    pattern.id === "straight"
+      ? [{ strips, angleDegrees: pattern.angleDegrees }]
+      : strips.map((strip, i) => ({ strips: [strip], angleDegrees: i % 2 === 0 ? pattern.angleDegrees : -pattern.angleDegrees }));
+
+  // --- Courses ---
+  const supportLines = getSupportLines(structure, toLocal);
+  const pitch = boardWidthPixels + gapPixels;
+  let unstaggered = 0;
+  let offJoist = 0;
+  let origin = null;
+  groups.forEach((group, stripIndex) => {
+    const angle = (group.angleDegrees * Math.PI) / 180;
+    const sin = Math.sin(angle);
+    const cos = Math.cos(angle);
+    const tan = sin / cos;
+    // Course frame: run along the boards, perp across them
+    const groupRings = rings.map((ring) => ring.map((p) => ({ run: p.run * cos + p.perp * sin, perp: -p.run * sin + p.perp * cos })));
+    const toGroupModel = (run, perp) => toModel(run * cos - perp * sin, run * sin + perp * cos);
+    const groupPerps = groupRings[0].map((p) => p.perp);
+    const perpStart = Math.min(...groupPerps);
+    const perpEnd = Math.max(...groupPerps);
+
+    // Each strip's courses meet the last strip's at the seam between them
+    if (origin === null) {
+      origin = perpStart;
+    } else {
+      const previous = groups[stripIndex - 1];
+      const previousSin = Math.sin((previous.angleDegrees * Math.PI) / 180);
+      origin += previous.strips[0][1] * previousSin - group.strips[0][0] * sin;
+      if (pattern.id === "herringbone") origin += pitch / 2;
+    }
+    const firstBand = origin - pitch * Math.ceil((origin - perpStart) / pitch);
+
+    let previousJoints = [];
+    for (let bandStart = firstBand; perpEnd - Math.max(bandStart, perpStart) > MIN_RIP_PIXELS; bandStart += pitch) {
+      const courseStart = Math.max(bandStart, perpStart);
+      const courseEnd = Math.min(bandStart + boardWidthPixels, perpEnd);
+      const perpMid = (courseStart + courseEnd) / 2;
+      // Strip edges run with the joists, so they lean across an angled course
+      const stripIntervals = group.strips.map(([start, end]) => [(start + perpMid * sin) / cos, (end + perpMid * sin) / cos]);
+      const seamEnds = stripIntervals.flat().filter(Number.isFinite);
+      const intervals = courseEnd - courseStart > MIN_RIP_PIXELS
+        ? intersectIntervals(getBandIntervals(groupRings, courseStart, courseEnd), stripIntervals).filter(
+            ([start, end]) => end - start > MIN_PIECE_PIXELS
+          )
+        : [];
+      if (intervals.length === 0) {
+        previousJoints = [];
+        continue;
+      }
+
+      const supports = getCourseSupports(supportLines, perpMid, angle);
+      const spacings = supports.slice(1).map((run, i) => run - supports[i]);
+      const minPiecePixels = spacings.length > 0 ? Math.min(...spacings) * DECKING_MIN_BOARD_SPAN_JOISTS : 0;
+      const course = {
+        index: layout.courses.length,
+        stripIndex,
+        angleDegrees: group.angleDegrees,
+        perpStart: courseStart,
+        perpEnd: courseEnd,
+        widthInches: ((courseEnd - courseStart) / PIXELS_PER_FOOT) * 12,
+        ripped: courseEnd - courseStart < boardWidthPixels - EPSILON,
+        joints: [],
+      };
+      intervals.forEach(([start, end]) => {
+        const filled = fillRun(start, end, supports, previousJoints, minPiecePixels, stockLengths, boardWidthPixels * Math.abs(tan));
+        unstaggered += filled.unstaggered;
+        offJoist += filled.offJoist;
+        course.joints.push(...filled.joints);
+        // Ends on a joist or a seam are cut along it; ends at the outline are cut square
+        const endSlope = (run) =>
+          filled.joints.includes(run) || seamEnds.some((seam) => Math.abs(seam - run) < EPSILON) ? tan : 0;
+        filled.pieces.forEach(([pieceStart, pieceEnd]) => {
+          const corners = [
+            toGroupModel(pieceStart + (courseStart - perpMid) * endSlope(pieceStart), courseStart),
+            toGroupModel(pieceEnd + (courseStart - perpMid) * endSlope(pieceEnd), courseStart),
+            toGroupModel(pieceEnd + (courseEnd - perpMid) * endSlope(pieceEnd), courseEnd),
+            toGroupModel(pieceStart + (courseEnd - perpMid) * endSlope(pieceStart), courseEnd),
+          ];
+          const longEdge = Math.max(
+            Math.hypot(corners[1].x - corners[0].x, corners[1].y - corners[0].y),
+            Math.hypot(corners[2].x - corners[3].x, corners[2].y - corners[3].y)
+          );
+          addBoard({
+            usage: "Deck Board",
+            courseIndex: course.index,
+            stripIndex,
+            angleDegrees: group.angleDegrees,
+            p1: toGroupModel(pieceStart, perpMid),
+            p2: toGroupModel(pieceEnd, perpMid),
+            corners,
+            rect: getBounds(corners),
+            lengthFeet: longEdge / PIXELS_PER_FOOT,
+          });
+        });
+      });
+      layout.courses.push(course);
+      layout.totals.jointCount += course.joints.length;
+      previousJoints = course.joints;
+    }
+  });
+  layout.totals.courseCount = layout.courses.length;
+
+  // --- Picture frame ---
+  calculatePictureFrameBoards(points, deckingState, options).forEach(addBoard);
+
+  // Waste is the stock bought beyond the board area the deck takes
+  const deckAreaSqFt =
+    (Math.abs(getRingArea(outline)) - holes.reduce((sum, hole) => sum + Math.abs(getRingArea(hole)), 0)) /
+    (PIXELS_PER_FOOT * PIXELS_PER_FOOT);
+  const stockAreaSqFt = layout.totals.stockLinearFeet * ((boardWidthInches + product.sideGapInches) / 12);
+  if (stockAreaSqFt > 0) {
+    layout.totals.wastePercent = Math.max(0, (1 - deckAreaSqFt / stockAreaSqFt) * 100);
+  }
+
+  if (unstaggered > 0) {
+    layout.warnings.push(
+      `${unstaggered} butt joint${unstaggered === 1 ? "" : "s"} could not be kept ${DECKING_JOINT_STAGGER_JOISTS} joists from the next course.`
+    );
+  }
+  if (offJoist > 0) {
+    layout.warnings.push(
+      `${offJoist} butt joint${offJoist === 1 ? "" : "s"} had no joist within reach. Add blocking under ${offJoist === 1 ? "it" : "them"}.`
+    );
+  }
+  return layout;
+}
@@ -0,0 +1,119 @@
+// deckingProductCalculations.js - Decking product rules
+// Resolves the decking material picked on the decking step into the rules the rest of the
+// app works to: board width, stock lengths and gaps for the layout, the widest joist
+// spacing the boards can span for calculateStructure, the fasteners bomCalculations.js
+// orders, the matching fascia, and the board colour for the canvas and the 3D viewer.
+// The board pattern and angle are resolved here too, since they set the joist spacing.
+
+import {
+  DECKING_PRODUCTS,
+  DECKING_COLORS,
+  DEFAULT_DECKING_COLOR,
+  DECKING_PATTERNS,
+  DECKING_MAX_BOARD_ANGLE_DEGREES,
+  DECKING_MIN_PATTERN_ANGLE_DEGREES,
+  DECKING_DEFAULT_PATTERN_ANGLE_DEGREES,
+} from "./config.js";
+
+const CEDAR_5_4X5_WIDTH_INCHES = 4.5;
+
+/**
+ * Whether the material is one of the composite or PVC lines.
+ * @param {string} material - appState.decking.material
+ * @returns {boolean}
+ */
+export function isManufacturedDecking(material) {
+  return material === "composite" || material === "pvc";
+}
+
+/**
+ * Product rules for the selected decking.
+ * @param {Object} deckingState - { material, cedarSize, boardEdge, boardColor }
+ * @returns {Object} Entry from DECKING_PRODUCTS plus its id and, for composite and PVC,
+ *   the board colour ({ id, label, fill, stroke, hex }); wood boards have color null
+ */
+export function getDeckingProduct(deckingState) {
+  const material = deckingState?.material || "pt";
+  if (isManufacturedDecking(material)) {
+    const id = `${material}_${deckingState.boardEdge === "square" ? "square" : "grooved"}`;
+    const colorId = DECKING_COLORS[deckingState.boardColor] ? deckingState.boardColor : DEFAULT_DECKING_COLOR;
+    return { id, ...DECKING_PRODUCTS[id], color: { id: colorId, ...DECKING_COLORS[colorId] } };
+  }
+  const id = DECKING_PRODUCTS[material] ? material : "pt";
+  const product = { id, ...DECKING_PRODUCTS[id], color: null };
+  if (id === "cedar" && deckingState?.cedarSize === "5/4x5") {
+    return { ...product, stockName: "5/4x5 Cedar", boardWidthInches: CEDAR_5_4X5_WIDTH_INCHES };
+  }
+  return product;
+}
+
+/**
+ * Board pattern and angle for the decking. Straight boards take any angle up to
+ * DECKING_MAX_BOARD_ANGLE_DEGREES either way off square to the joists; herringbone and
+ * chevron strips lean at least DECKING_MIN_PATTERN_ANGLE_DEGREES, alternating side to side.
+ * @param {Object} deckingState - { pattern, boardAngle }
+ * @returns {{id: string, label: string, angleDegrees: number, angled: boolean, description: string}}
+ *   where description completes "<product> decking..." (e.g. " laid diagonally")
+ */
+export function getDeckingPattern(deckingState) {
+  const id = DECKING_PATTERNS[deckingState?.pattern] ? deckingState.pattern : "straight";
+  const requested = Number(deckingState?.boardAngle) || 0;
+  const clamped = Math.max(-DECKING_MAX_BOARD_ANGLE_DEGREES, Math.min(DECKING_MAX_BOARD_ANGLE_DEGREES, requested));
+  if (id === "straight") {
+    return {
+      id,
+      label: DECKING_PATTERNS[id].label,
+      angleDegrees: clamped,
+      angled: clamped !== 0,
+      description: clamped !== 0 ? " laid diagonally" : "",
+    };
+  }
+  const angleDegrees =
+    clamped === 0 ? DECKING_DEFAULT_PATTERN_ANGLE_DEGREES : Math.max(DECKING_MIN_PATTERN_ANGLE_DEGREES, Math.abs(clamped));
+  return { id, label: DECKING_PATTERNS[id].label, angleDegrees, angled: true, description: ` in a ${id} pattern` };
+}
+
+/**
+ * Widest joist spacing the selected boards can span laid as chosen.
+ * @param {Object} deckingState - Decking configuration from appState.decking
+ * @returns {number} Inches on centre
+ */
+export function getDeckingMaxJoistSpacing(deckingState) {
+  const product = getDeckingProduct(deckingState);
+  return getDeckingPattern(deckingState).angled
+    ? product.maxDiagonalJoistSpacingInches
+    : product.maxJoistSpacingInches;
+}
+
+/**
+ * Checks framed joist spacing against the selected boards.
+ * @param {number} joistSpacingInches - Spacing the structure was framed at
+ * @param {Object} deckingState - Decking configuration from appState.decking
+ * @returns {string|null} Warning when the joists are too far apart for the boards
+ */
+export function checkDeckingJoistSpacing(joistSpacingInches, deckingState) {
+  const maxSpacing = getDeckingMaxJoistSpacing(deckingState);
+  if (!joistSpacingInches || joistSpacingInches <= maxSpacing) return null;
+  const product = getDeckingProduct(deckingState);
+  const { description } = getDeckingPattern(deckingState);
+  return `${product.label} decking${description} needs joists at ${maxSpacing}" O.C. or closer; the framing is at ${joistSpacingInches}" O.C.`;
+}
+
+/**
+ * Number of deck fasteners (screws or hidden clips) for an area of decking. Wood boards are
+ * counted per square foot; composite and PVC per board crossing a joist, which angled
+ * boards do more often.
+ * @param {Object} deckingState - Decking configuration from appState.decking
+ * @param {number} areaSqFt - Decked area
+ * @param {number} joistSpacingInches - Framed joist spacing
+ * @returns {number}
+ */
+export function getDeckingFastenerCount(deckingState, areaSqFt, joistSpacingInches) {
+  if (!(areaSqFt > 0)) return 0;
+  const { fastener, boardWidthInches, sideGapInches } = getDeckingProduct(deckingState);
+  if (fastener.perSqFt) return Math.ceil(areaSqFt * fastener.perSqFt);
+  const { angleDegrees } = getDeckingPattern(deckingState);
+  const crossingsPerSqFt =
+    (12 / (joistSpacingInches || 16)) * (12 / (boardWidthInches + sideGapInches)) / Math.cos((angleDegrees * Math.PI) / 180);
+  return Math.ceil(areaSqFt * crossingsPerSqFt * fastener.perJoistCrossing);
+}
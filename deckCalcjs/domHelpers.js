@@ -40,7 +40,8 @@ const CACHEABLE_ELEMENTS = new Set([
   'pictureFrame',
   'deckingMaterial',
   'cedarSize',
-  'boardDirection',
+  'deckingPattern',
+  'deckingBoardAngle',
 
   // Stair controls
   'stairTargetContainer',
@@ -6,7 +6,7 @@ import { validateShape } from './shapeValidator.js';
 import { simplifyPoints, distance } from './utils.js';
 import {
   PIXELS_PER_FOOT, GRID_SPACING_PIXELS, SNAP_TOLERANCE_PIXELS,
-  EPSILON, MODEL_WIDTH_FEET, MODEL_HEIGHT_FEET
+  EPSILON, MODEL_WIDTH_FEET, MODEL_HEIGHT_FEET, ANGLE_SNAP_STEP_DEGREES
 } from './config.js';
 
 // ============================================================================
@@ -23,6 +23,10 @@ export const DrawingState = Object.freeze({
   STAIR_PLACE:    'STAIR_PLACE',
   MEASURING:      'MEASURING',
   BREAKER_PLACE:  'BREAKER_PLACE',
+  RAILING_EDIT:   'RAILING_EDIT',
+  LOAD_ZONE_PLACE: 'LOAD_ZONE_PLACE',
+  CUTOUT_PLACE:   'CUTOUT_PLACE',
+  SECTION_DIRECTION: 'SECTION_DIRECTION',
 });
 
 // ============================================================================
@@ -42,6 +46,10 @@ export const ActionType = Object.freeze({
   DELEGATE_MEASURE:     'DELEGATE_MEASURE',
   DELEGATE_STAIR:       'DELEGATE_STAIR',
   DELEGATE_BREAKER:     'DELEGATE_BREAKER',
+  DELEGATE_RAILING:     'DELEGATE_RAILING',
+  DELEGATE_LOAD_ZONE:   'DELEGATE_LOAD_ZONE',
+  DELEGATE_CUTOUT:      'DELEGATE_CUTOUT',
+  DELEGATE_SECTION_DIRECTION: 'DELEGATE_SECTION_DIRECTION',
 });
 
 // ============================================================================
@@ -59,6 +67,15 @@ export function getCurrentState(appState) {
   if (appState.decking && appState.decking.breakerPlacementMode)
     return DrawingState.BREAKER_PLACE;
 
+  if (appState.railing && (appState.railing.edgeSelectionMode || appState.railing.gatePlacementMode))
+    return DrawingState.RAILING_EDIT;
+
+  if (appState.loadZonePlacementMode) return DrawingState.LOAD_ZONE_PLACE;
+
+  if (appState.cutoutPlacementMode) return DrawingState.CUTOUT_PLACE;
+
+  if (appState.sectionDirectionMode) return DrawingState.SECTION_DIRECTION;
+
   if (appState.stairPlacementMode) return DrawingState.STAIR_PLACE;
 
   if (appState.isShapeClosed && appState.shapeEditMode)
@@ -92,12 +109,16 @@ export function snapToGrid(x, y, gridSize) {
   };
 }
 
-/** Standard allowed snap angles in degrees */
-const ALLOWED_ANGLES = [0, 45, 90, 135, 180, -45, -90, -135, -180];
+/** Standard allowed snap angles in degrees (every ANGLE_SNAP_STEP_DEGREES from -180 to 180) */
+export const ALLOWED_ANGLES = Array.from(
+  { length: Math.round(360 / ANGLE_SNAP_STEP_DEGREES) + 1 },
+  (_, i) => -180 + i * ANGLE_SNAP_STEP_DEGREES
+);
 
 /**
  * Snaps a position to the nearest allowed angle relative to a previous point,
  * then re-snaps to grid while preserving the angle constraint.
+ * Other angles can't land on grid points, so their length snaps to the grid step instead.
  */
 export function snapToAngle(pos, prevPoint, allowedAngles, gridSize) {
   const dx = pos.x - prevPoint.x;
@@ -129,11 +150,16 @@ export function snapToAngle(pos, prevPoint, allowedAngles, gridSize) {
     // Vertical: lock X to previous, snap Y to grid
     snappedX = prevPoint.x;
     snappedY = Math.round(snappedY / gridSize) * gridSize;
-  } else {
+  } else if (absAngle === 45 || absAngle === 135) {
     // 45/135 degree: snap X to grid, derive Y to maintain |dx| = |dy|
     snappedX = Math.round(snappedX / gridSize) * gridSize;
     const gridDx = snappedX - prevPoint.x;
     snappedY = prevPoint.y + Math.abs(gridDx) * Math.sign(snappedY - prevPoint.y);
+  } else {
+    // Any other angle: keep the direction exact, snap the length to the grid step
+    const snappedDist = Math.max(gridSize, Math.round(dist / gridSize) * gridSize);
+    snappedX = prevPoint.x + snappedDist * Math.cos(snappedAngleRad);
+    snappedY = prevPoint.y + snappedDist * Math.sin(snappedAngleRad);
   }
 
   return { x: snappedX, y: snappedY };
@@ -361,6 +387,18 @@ export function handleClick(modelMousePos, appState, configObj) {
     case DrawingState.BREAKER_PLACE:
       return { type: ActionType.DELEGATE_BREAKER, position: modelMousePos };
 
+    case DrawingState.RAILING_EDIT:
+      return { type: ActionType.DELEGATE_RAILING, position: modelMousePos };
+
+    case DrawingState.LOAD_ZONE_PLACE:
+      return { type: ActionType.DELEGATE_LOAD_ZONE, position: modelMousePos };
+
+    case DrawingState.CUTOUT_PLACE:
+      return { type: ActionType.DELEGATE_CUTOUT, position: modelMousePos };
+
+    case DrawingState.SECTION_DIRECTION:
+      return { type: ActionType.DELEGATE_SECTION_DIRECTION, position: modelMousePos };
+
     case DrawingState.STAIR_PLACE:
       return { type: ActionType.DELEGATE_STAIR, position: modelMousePos };
 
@@ -0,0 +1,317 @@
+// fasciaCalculations.js - Fascia and skirting on the exposed rim joists
+// Works out which rim joists show from the yard, the fascia courses that cover them and the
+// skirting hung below them down to grade. bomCalculations.js orders the boards, lattice,
+// framing and screws from the layout and the 3D viewer draws it.
+// Curved rims are left out: their bendable fascia is ordered with the curved rim itself.
+
+import {
+  EPSILON,
+  PIXELS_PER_FOOT,
+  ACTUAL_2X6_WIDTH_INCHES,
+  ACTUAL_2X8_WIDTH_INCHES,
+  ACTUAL_2X10_WIDTH_INCHES,
+  ACTUAL_2X12_WIDTH_INCHES,
+  DECKING_BOARD_THICKNESS_INCHES,
+  FASCIA_STOCK_LENGTH_FEET,
+  FASCIA_SCREW_SPACING_INCHES,
+  FASCIA_FASTENERS,
+  SKIRTING_TYPES,
+  SKIRTING_DEFAULT_GROUND_GAP_INCHES,
+  SKIRTING_MIN_HEIGHT_INCHES,
+  LATTICE_PANEL_WIDTH_FEET,
+  LATTICE_PANEL_HEIGHT_FEET,
+  SKIRTING_SCREW_SPACING_INCHES,
+  SKIRTING_FRAMING_SIZE,
+} from "./config.js";
+import { getDeckingProduct } from "./deckingProductCalculations.js";
+
+const RIM_DEPTH_INCHES = {
+  "2x6": ACTUAL_2X6_WIDTH_INCHES,
+  "2x8": ACTUAL_2X8_WIDTH_INCHES,
+  "2x10": ACTUAL_2X10_WIDTH_INCHES,
+  "2x12": ACTUAL_2X12_WIDTH_INCHES,
+};
+const RIM_ON_EDGE_TOLERANCE_PIXELS = PIXELS_PER_FOOT / 8; // Rims are framed on the outline
+
+// ================================================
+// RULES
+// ================================================
+
+/**
+ * Actual depth of a rim joist.
+ * @param {string} size - Nominal size, e.g. "2x10"
+ * @returns {number} Depth in inches (2x8 when the size is unknown)
+ */
+export function getRimDepthInches(size) {
+  return RIM_DEPTH_INCHES[size] || ACTUAL_2X8_WIDTH_INCHES;
+}
+
+/**
+ * Height of skirting hung below a rim, from the bottom of the rim down to the ground gap.
+ * The deck height is taken to the deck surface, as it is for guard heights.
+ * @param {number} deckHeightInches - Deck surface height above grade
+ * @param {number} rimDepthInches - Actual depth of the rim
+ * @param {number} groundGapInches - Clearance left above grade
+ * @returns {number} Skirting height in inches, 0 when there is no room for it
+ */
+export function getSkirtingHeightInches(deckHeightInches, rimDepthInches, groundGapInches = SKIRTING_DEFAULT_GROUND_GAP_INCHES) {
+  const height = (deckHeightInches || 0) - DECKING_BOARD_THICKNESS_INCHES - rimDepthInches - groundGapInches;
+  return height >= SKIRTING_MIN_HEIGHT_INCHES ? height : 0;
+}
+
+/**
+ * Splits a run into equal pieces no longer than the longest stock board.
+ * @param {number} lengthFeet - Run length
+ * @param {number[]} stockLengthsFeet - Available board lengths
+ * @returns {{pieceCount: number, pieceLengthFeet: number, stockLengthFeet: number}}
+ *   where stockLengthFeet is the shortest board each piece can be cut from
+ */
+export function cutRunFromStock(lengthFeet, stockLengthsFeet) {
+  const lengths = [...stockLengthsFeet].sort((a, b) => a - b);
+  const pieceCount = Math.max(1, Math.ceil(lengthFeet / lengths[lengths.length - 1] - EPSILON));
+  const pieceLengthFeet = lengthFeet / pieceCount;
+  const stockLengthFeet = lengths.find((length) => length >= pieceLengthFeet - EPSILON) || lengths[lengths.length - 1];
+  return { pieceCount, pieceLengthFeet, stockLengthFeet };
+}
+
+// ================================================
+// GEOMETRY HELPERS
+// ================================================
+
+function getEdge(points, edgeIndex) {
+  const p1 = points[edgeIndex];
+  const p2 = points[(edgeIndex + 1) % points.length];
+  const lengthPixels = Math.hypot(p2.x - p1.x, p2.y - p1.y);
+  return {
+    p1,
+    p2,
+    lengthPixels,
+    ux: lengthPixels > 0 ? (p2.x - p1.x) / lengthPixels : 0,
+    uy: lengthPixels > 0 ? (p2.y - p1.y) / lengthPixels : 0,
+  };
+}
+
+function distanceToSegment(point, p1, p2) {
+  const dx = p2.x - p1.x;
+  const dy = p2.y - p1.y;
+  const lenSq = dx * dx + dy * dy;
+  if (lenSq === 0) return Math.hypot(point.x - p1.x, point.y - p1.y);
+  let t = ((point.x - p1.x) * dx + (point.y - p1.y) * dy) / lenSq;
+  t = Math.max(0, Math.min(1, t));
+  return Math.hypot(point.x - (p1.x + t * dx), point.y - (p1.y + t * dy));
+}
+
+function getSignedArea(points) {
+  let area = 0;
+  points.forEach((p, i) => {
+    const next = points[(i + 1) % points.length];
+    area += p.x * next.y - next.x * p.y;
+  });
+  return area / 2;
+}
+
+function pointAlong(edge, offsetPixels) {
+  return { x: edge.p1.x + edge.ux * offsetPixels, y: edge.p1.y + edge.uy * offsetPixels };
+}
+
+// ================================================
+// LAYOUT
+// ================================================
+
+/**
+ * Deck edges whose rim joists are seen from outside: every outline edge that carries a
+ * straight rim joist and is not against the house.
+ * @param {Array<{x: number, y: number}>} points - Deck outline
+ * @param {Array<Object>} rimJoists - structure.rimJoists from calculateAllRimJoists
+ * @param {number[]} houseEdgeIndices - Edges against the house (ledger or wall rim)
+ * @returns {Array<{edgeIndex: number, p1: Object, p2: Object, lengthFeet: number, rimSize: string,
+ *   rimDepthInches: number, outward: {x: number, y: number}}>} One run per exposed edge
+ */
+export function getExposedRimRuns(points, rimJoists, houseEdgeIndices = []) {
+  if (!points || points.length < 3 || !rimJoists) return [];
+  const outwardSign = getSignedArea(points) > 0 ? 1 : -1;
+  const runs = [];
+
+  points.forEach((_, edgeIndex) => {
+    if (houseEdgeIndices.includes(edgeIndex)) return;
+    const edge = getEdge(points, edgeIndex);
+    if (edge.lengthPixels < EPSILON) return;
+
+    const rimsOnEdge = rimJoists.filter(
+      (rim) =>
+        !rim.isCurved &&
+        distanceToSegment(rim.p1, edge.p1, edge.p2) <= RIM_ON_EDGE_TOLERANCE_PIXELS &&
+        distanceToSegment(rim.p2, edge.p1, edge.p2) <= RIM_ON_EDGE_TOLERANCE_PIXELS
+    );
+    if (rimsOnEdge.length === 0) return;
+
+    // Fascia covers the deepest rim on the edge
+    const deepest = rimsOnEdge.reduce((a, b) => (getRimDepthInches(b.size) > getRimDepthInches(a.size) ? b : a));
+    runs.push({
+      edgeIndex,
+      p1: edge.p1,
+      p2: edge.p2,
+      lengthFeet: edge.lengthPixels / PIXELS_PER_FOOT,
+      rimSize: deepest.size,
+      rimDepthInches: getRimDepthInches(deepest.size),
+      outward: { x: edge.uy * outwardSign || 0, y: -edge.ux * outwardSign || 0 },
+    });
+  });
+
+  return runs;
+}
+
+/**
+ * Lays out fascia and skirting on a deck's exposed rims.
+ * Fascia is run in courses of the matching fascia board until the rim is covered, the last
+ * course ripped to the rim's bottom edge, and face screwed in pairs every 16". Skirting hangs
+ * from the bottom of the rim to the ground gap on 2x4 studs lapped up the inside of the rim,
+ * standing on a 2x4 bottom rail: lattice panels on studs at 24", or horizontal deck boards on
+ * studs at 16".
+ * @param {Array<{x: number, y: number}>} points - Deck outline
+ * @param {Array<Object>} rimJoists - structure.rimJoists
+ * @param {Object} fasciaState - { enabled, skirting, groundGapInches } from appState.fascia
+ * @param {Object} options - { deckHeightInches, houseEdgeIndices, deckingState }
+ * @returns {Object} { runs, fasciaBoards, fasciaStockCounts, skirtingPanels, skirtingBoards,
+ *   skirtingStockCounts, framing, fasteners, totals, warnings } plus the stock names to order
+ */
+export function calculateFasciaLayout(points, rimJoists, fasciaState, options = {}) {
+  const { deckHeightInches = 0, houseEdgeIndices = [], deckingState = null } = options;
+  const product = getDeckingProduct(deckingState);
+  const fasciaEnabled = fasciaState?.enabled !== false;
+  const skirting = SKIRTING_TYPES[fasciaState?.skirting] ? fasciaState.skirting : "none";
+  const groundGapInches = Number.isFinite(fasciaState?.groundGapInches)
+    ? fasciaState.groundGapInches
+    : SKIRTING_DEFAULT_GROUND_GAP_INCHES;
+  const runs = getExposedRimRuns(points, rimJoists, houseEdgeIndices);
+
+  const fasciaBoards = [];
+  const fasciaStockCounts = {};
+  const skirtingPanels = [];
+  const skirtingBoards = [];
+  const skirtingStockCounts = {};
+  const framing = [];
+  const warnings = [];
+  let faceScrewCount = 0;
+  let framingScrewCount = 0;
+  let latticePanelCount = 0;
+  const tooLowEdges = [];
+
+  runs.forEach((run) => {
+    const edge = getEdge(points, run.edgeIndex);
+    const lengthInches = run.lengthFeet * 12;
+
+    if (fasciaEnabled) {
+      const courses = Math.ceil(run.rimDepthInches / product.fasciaWidthInches - EPSILON);
+      const cut = cutRunFromStock(run.lengthFeet, [FASCIA_STOCK_LENGTH_FEET]);
+      for (let course = 0; course < courses; course++) {
+        const offsetInches = course * product.fasciaWidthInches;
+        for (let piece = 0; piece < cut.pieceCount; piece++) {
+          const start = piece * cut.pieceLengthFeet * PIXELS_PER_FOOT;
+          fasciaBoards.push({
+            edgeIndex: run.edgeIndex,
+            course,
+            p1: pointAlong(edge, start),
+            p2: pointAlong(edge, start + cut.pieceLengthFeet * PIXELS_PER_FOOT),
+            lengthFeet: cut.pieceLengthFeet,
+            stockLengthFeet: cut.stockLengthFeet,
+            offsetInches, // Below the top of the rim
+            heightInches: Math.min(product.fasciaWidthInches, run.rimDepthInches - offsetInches),
+          });
+        }
+        fasciaStockCounts[cut.stockLengthFeet] = (fasciaStockCounts[cut.stockLengthFeet] || 0) + cut.pieceCount;
+        faceScrewCount += 2 * (Math.floor(lengthInches / FASCIA_SCREW_SPACING_INCHES + EPSILON) + 1);
+      }
+    }
+
+    if (skirting === "none") return;
+    const heightInches = getSkirtingHeightInches(deckHeightInches, run.rimDepthInches, groundGapInches);
+    if (heightInches <= 0) {
+      tooLowEdges.push(run.edgeIndex + 1);
+      return;
+    }
+
+    skirtingPanels.push({
+      edgeIndex: run.edgeIndex,
+      p1: run.p1,
+      p2: run.p2,
+      lengthFeet: run.lengthFeet,
+      heightInches,
+      bottomInches: groundGapInches,
+    });
+
+    const studCount = Math.floor(lengthInches / SKIRTING_TYPES[skirting].studSpacingInches + EPSILON) + 1;
+    const studLengthFeet = (heightInches + run.rimDepthInches) / 12;
+    for (let i = 0; i < studCount; i++) {
+      framing.push({ edgeIndex: run.edgeIndex, usage: "Skirting Stud", size: SKIRTING_FRAMING_SIZE, lengthFeet: studLengthFeet });
+    }
+    framing.push({ edgeIndex: run.edgeIndex, usage: "Skirting Bottom Rail", size: SKIRTING_FRAMING_SIZE, lengthFeet: run.lengthFeet });
+    // Each stud is screwed to the rim and to the bottom rail with two screws at each
+    framingScrewCount += studCount * 4;
+
+    if (skirting === "lattice") {
+      latticePanelCount +=
+        Math.ceil(run.lengthFeet / LATTICE_PANEL_WIDTH_FEET - EPSILON) *
+        Math.ceil(heightInches / 12 / LATTICE_PANEL_HEIGHT_FEET - EPSILON);
+      framingScrewCount +=
+        studCount * Math.ceil(heightInches / SKIRTING_SCREW_SPACING_INCHES) +
+        2 * Math.ceil(lengthInches / SKIRTING_SCREW_SPACING_INCHES);
+    } else {
+      const courses = Math.ceil(heightInches / (product.boardWidthInches + product.sideGapInches) - EPSILON);
+      const cut = cutRunFromStock(run.lengthFeet, product.stockLengthsFeet);
+      for (let course = 0; course < courses; course++) {
+        for (let piece = 0; piece < cut.pieceCount; piece++) {
+          skirtingBoards.push({
+            edgeIndex: run.edgeIndex,
+            course,
+            lengthFeet: cut.pieceLengthFeet,
+            stockLengthFeet: cut.stockLengthFeet,
+          });
+        }
+        skirtingStockCounts[cut.stockLengthFeet] = (skirtingStockCounts[cut.stockLengthFeet] || 0) + cut.pieceCount;
+      }
+      faceScrewCount += courses * studCount * 2;
+    }
+  });
+
+  if (tooLowEdges.length > 0) {
+    warnings.push(
+      `The deck is too low for skirting under edge${tooLowEdges.length > 1 ? "s" : ""} ${tooLowEdges.join(", ")}; ` +
+        `less than ${SKIRTING_MIN_HEIGHT_INCHES}" is left below the rim.`
+    );
+  }
+  if (skirting !== "none" && rimJoists?.some((rim) => rim.isCurved)) {
+    warnings.push("Skirting under curved edges is not included.");
+  }
+
+  const exposedFeet = runs.reduce((sum, run) => sum + run.lengthFeet, 0);
+  return {
+    runs,
+    fasciaEnabled,
+    fasciaStockName: product.fasciaStockName,
+    fasciaWidthInches: product.fasciaWidthInches,
+    fasciaBoards,
+    fasciaStockCounts,
+    skirting,
+    skirtingLabel: SKIRTING_TYPES[skirting].label,
+    skirtingPanels,
+    skirtingBoards,
+    skirtingBoardStockName: product.stockName,
+    skirtingBoardColor: product.color,
+    skirtingStockCounts,
+    latticePanelCount,
+    framing,
+    fasteners: {
+      face: { ...FASCIA_FASTENERS[product.family], count: faceScrewCount },
+      framingScrewCount,
+    },
+    totals: {
+      exposedFeet,
+      fasciaFeet: fasciaEnabled ? exposedFeet : 0,
+      skirtingFeet: skirtingPanels.reduce((sum, panel) => sum + panel.lengthFeet, 0),
+      skirtingSqFt: skirtingPanels.reduce((sum, panel) => sum + (panel.lengthFeet * panel.heightInches) / 12, 0),
+      studCount: framing.filter((piece) => piece.usage === "Skirting Stud").length,
+    },
+    warnings,
+  };
+}
@@ -0,0 +1,378 @@
+// framingOverrideCalculations.js - Beams and posts moved by hand on the framing plan
+// On site a beam often has to come in to clear a window well, or a post shift off a buried
+// gas line. Overrides record where the user dragged an automatic beam line or post;
+// calculateStructure re-applies them after laying out the framing, so footing design,
+// connectors and the mechanics check all see the framing as moved. Moves that break the
+// post spacing or joist cantilever limits are flagged rather than refused.
+
+import {
+  EPSILON,
+  PIXELS_PER_FOOT,
+  MAX_POST_SPACING_FEET,
+  CANTILEVER_BY_JOIST_SIZE,
+  BEAM_CANTILEVER_FEET,
+  FRAMING_OVERRIDE_SNAP_INCHES,
+  FRAMING_OVERRIDE_POST_MATCH_INCHES,
+} from "./config.js";
+import { distance, formatFeetInches } from "./utils.js";
+
+const LINE_TOLERANCE_PIXELS = PIXELS_PER_FOOT / 8; // 1-1/2" - a post or joist end sitting on a beam line
+const POST_MATCH_TOLERANCE_PIXELS = (FRAMING_OVERRIDE_POST_MATCH_INCHES / 12) * PIXELS_PER_FOOT;
+const CANTILEVER_TOLERANCE_FEET = 1 / 24; // Half an inch of rounding past the limit still passes
+
+// ================================================
+// GEOMETRY
+// ================================================
+
+const isZoneMember = (member) => (member.usage || "").startsWith("Load Zone");
+
+function getCenterline(beam) {
+  return { p1: beam.centerlineP1 || beam.p1, p2: beam.centerlineP2 || beam.p2 };
+}
+
+function isVerticalMember(member) {
+  return Math.abs(member.p1.x - member.p2.x) < Math.abs(member.p1.y - member.p2.y);
+}
+
+function projectOntoSegment(point, p1, p2) {
+  const dx = p2.x - p1.x;
+  const dy = p2.y - p1.y;
+  const lengthSq = dx * dx + dy * dy;
+  if (lengthSq < EPSILON) return { point: { ...p1 }, distance: distance(point, p1), along: 0 };
+  const t = Math.max(0, Math.min(1, ((point.x - p1.x) * dx + (point.y - p1.y) * dy) / lengthSq));
+  const projected = { x: p1.x + t * dx, y: p1.y + t * dy };
+  return { point: projected, distance: distance(point, projected), along: t * Math.sqrt(lengthSq) };
+}
+
+// Distance along the joist from its p1 to where it crosses the line, or null if it doesn't
+function getCrossingAlong(joist, line) {
+  const rx = joist.p2.x - joist.p1.x;
+  const ry = joist.p2.y - joist.p1.y;
+  const sx = line.p2.x - line.p1.x;
+  const sy = line.p2.y - line.p1.y;
+  const denom = rx * sy - ry * sx;
+  if (Math.abs(denom) < EPSILON) return null;
+  const t = ((line.p1.x - joist.p1.x) * sy - (line.p1.y - joist.p1.y) * sx) / denom;
+  const u = ((line.p1.x - joist.p1.x) * ry - (line.p1.y - joist.p1.y) * rx) / denom;
+  const joistLength = Math.hypot(rx, ry);
+  const lineLength = Math.hypot(sx, sy);
+  if (t * joistLength < -LINE_TOLERANCE_PIXELS || (t - 1) * joistLength > LINE_TOLERANCE_PIXELS) return null;
+  if (u * lineLength < -LINE_TOLERANCE_PIXELS || (u - 1) * lineLength > LINE_TOLERANCE_PIXELS) return null;
+  return Math.max(0, Math.min(1, t)) * joistLength;
+}
+
+function snapToInch(pixels) {
+  const step = (FRAMING_OVERRIDE_SNAP_INCHES / 12) * PIXELS_PER_FOOT;
+  return Math.round(pixels / step) * step;
+}
+
+/**
+ * Line of an axis-aligned beam across the joists: x for a beam running up the plan, y for
+ * one running across it
+ * @param {Object} beam - Beam component
+ * @returns {number} Model pixels
+ */
+export function getBeamLineCoord(beam) {
+  const line = getCenterline(beam);
+  return isVerticalMember(beam) ? (line.p1.x + line.p2.x) / 2 : (line.p1.y + line.p2.y) / 2;
+}
+
+/**
+ * Whether a beam can be dragged: drop beams square to the plan. Flush beams sit in the rim
+ * line, and junction, hip and load zone beams are placed where the framing needs them.
+ * @param {Object} beam - Beam component
+ * @returns {boolean}
+ */
+export function isMovableBeam(beam) {
+  if (!beam || beam.isFlush || beam.isJunction || isZoneMember(beam)) return false;
+  return Math.abs(beam.p1.x - beam.p2.x) < 1 || Math.abs(beam.p1.y - beam.p2.y) < 1;
+}
+
+function findBeamUnderPost(beams, post) {
+  let best = null;
+  (beams || []).forEach((beam) => {
+    if (isZoneMember(beam)) return;
+    const projection = projectOntoSegment(post, beam.p1, beam.p2);
+    if (projection.distance <= LINE_TOLERANCE_PIXELS && (!best || projection.distance < best.distance)) {
+      best = { beam, distance: projection.distance };
+    }
+  });
+  return best?.beam || null;
+}
+
+function getPostsOnBeam(posts, beam) {
+  return (posts || []).filter(
+    (post) => projectOntoSegment(post, beam.p1, beam.p2).distance <= LINE_TOLERANCE_PIXELS
+  );
+}
+
+// Moves a post and the footing under it
+function movePost(structure, post, target) {
+  (structure.footings || []).forEach((footing) => {
+    if (distance(footing, post) < 1) {
+      footing.x = target.x;
+      footing.y = target.y;
+    }
+  });
+  if (!post.autoPosition) post.autoPosition = { x: post.x, y: post.y };
+  post.x = target.x;
+  post.y = target.y;
+}
+
+// ================================================
+// PICKING AND RECORDING MOVES
+// ================================================
+
+/**
+ * Finds the post or movable beam under a point on the plan. Posts win over the beam they sit on.
+ * @param {Object} structure - Calculated structure
+ * @param {{x: number, y: number}} point - Model pixels
+ * @param {number} tolerancePixels - Pick distance in model pixels
+ * @returns {Object|null} {type: 'post', post} or {type: 'beam', beam}
+ */
+export function findFramingMemberAt(structure, point, tolerancePixels) {
+  if (!structure || structure.error) return null;
+
+  let best = null;
+  (structure.posts || []).forEach((post) => {
+    if (isZoneMember(post) || !findBeamUnderPost(structure.beams, post)) return;
+    const d = distance(point, post);
+    if (d <= tolerancePixels && (!best || d < best.distance)) best = { type: "post", post, distance: d };
+  });
+  if (best) return best;
+
+  (structure.beams || []).forEach((beam) => {
+    if (!isMovableBeam(beam)) return;
+    const d = projectOntoSegment(point, beam.p1, beam.p2).distance;
+    if (d <= tolerancePixels && (!best || d < best.distance)) best = { type: "beam", beam, distance: d };
+  });
+  return best;
+}
+
+/**
+ * Override moving a beam's line to where it was dropped, to the nearest inch
+ * @param {Object} beam - Beam from the calculated structure (may already be moved)
+ * @param {{x: number, y: number}} point - Drop point (model pixels)
+ * @returns {{isVertical: boolean, fromCoord: number, toCoord: number}}
+ */
+export function createBeamOverride(beam, point) {
+  const isVertical = isVerticalMember(beam);
+  const fromCoord = beam.autoLineCoord ?? getBeamLineCoord(beam);
+  const target = isVertical ? point.x : point.y;
+  return { isVertical, fromCoord, toCoord: fromCoord + snapToInch(target - fromCoord) };
+}
+
+/**
+ * Override sliding a post along its beam to where it was dropped, to the nearest inch.
+ * Post moves are recorded against the automatic layout, before any beam move carries them.
+ * @param {Object} structure - Calculated structure
+ * @param {Object} post - Post from the calculated structure (may already be moved)
+ * @param {{x: number, y: number}} point - Drop point (model pixels)
+ * @returns {{from: Object, to: Object}|null} null when the post isn't under a beam
+ */
+export function createPostOverride(structure, post, point) {
+  const beam = findBeamUnderPost(structure.beams, post);
+  if (!beam) return null;
+  const offset = beam.moveOffset || { x: 0, y: 0 };
+  const target = projectOntoSegment(point, beam.p1, beam.p2).point;
+  const from = post.autoPosition ? { ...post.autoPosition } : { x: post.x - offset.x, y: post.y - offset.y };
+  return {
+    from,
+    to: {
+      x: from.x + snapToInch(target.x - offset.x - from.x),
+      y: from.y + snapToInch(target.y - offset.y - from.y),
+    },
+  };
+}
+
+/**
+ * Adds or replaces an override, dropping it when the member is back where it started
+ * @param {Object} overrides - {beams, posts}
+ * @param {'beams'|'posts'} type
+ * @param {Object} override - From createBeamOverride or createPostOverride
+ * @returns {Object} New overrides object
+ */
+export function setFramingOverride(overrides, type, override) {
+  const isSameMember =
+    type === "beams"
+      ? (existing) => existing.isVertical === override.isVertical && Math.abs(existing.fromCoord - override.fromCoord) < 1
+      : (existing) => distance(existing.from, override.from) < 1;
+  const isHome =
+    type === "beams"
+      ? Math.abs(override.toCoord - override.fromCoord) < 0.5
+      : distance(override.to, override.from) < 0.5;
+
+  const list = (overrides?.[type] || []).filter((existing) => !isSameMember(existing));
+  if (!isHome) list.push(override);
+  return { beams: overrides?.beams || [], posts: overrides?.posts || [], [type]: list };
+}
+
+// ================================================
+// APPLYING MOVES
+// ================================================
+
+// Joists running past the moved beam further than their size may cantilever
+function checkMovedBeam(structure, beam, warnings) {
+  const line = getCenterline(beam);
+  const supports = [
+    ...(structure.beams || []).filter((b) => b !== beam && !isZoneMember(b)),
+    structure.ledger,
+    structure.wrapLedger,
+    ...(structure.diagonalLedgers || []),
+    ...(structure.rimJoists || []).filter((r) => r.usage === "Wall Rim Joist"),
+  ]
+    .filter(Boolean)
+    .map(getCenterline);
+
+  let carried = 0;
+  let worst = null;
+  (structure.joists || [])
+    .filter((joist) => !isZoneMember(joist) && joist.usage !== "Cutout Header")
+    .forEach((joist) => {
+      const at = getCrossingAlong(joist, line);
+      if (at === null) return;
+      carried++;
+      const others = supports.map((support) => getCrossingAlong(joist, support)).filter((a) => a !== null);
+      const overhangs = [];
+      if (!others.some((a) => a < at - LINE_TOLERANCE_PIXELS)) overhangs.push(at);
+      if (!others.some((a) => a > at + LINE_TOLERANCE_PIXELS)) overhangs.push(distance(joist.p1, joist.p2) - at);
+      const limitFt = CANTILEVER_BY_JOIST_SIZE[joist.size] ?? BEAM_CANTILEVER_FEET;
+      overhangs.forEach((pixels) => {
+        const overhangFt = pixels / PIXELS_PER_FOOT;
+        if (overhangFt > limitFt + CANTILEVER_TOLERANCE_FEET && (!worst || overhangFt - limitFt > worst.overFt)) {
+          worst = { overhangFt, limitFt, size: joist.size, overFt: overhangFt - limitFt };
+        }
+      });
+    });
+
+  if (carried === 0) {
+    warnings.push(`The moved ${beam.usage} no longer sits under any joists.`);
+  } else if (worst) {
+    warnings.push(
+      worst.limitFt > 0
+        ? `Joists cantilever ${formatFeetInches(worst.overhangFt)} past the moved ${beam.usage}, over the ${formatFeetInches(worst.limitFt)} limit for ${worst.size} joists.`
+        : `Joists cantilever ${formatFeetInches(worst.overhangFt)} past the moved ${beam.usage} - ${worst.size} joists can't cantilever.`
+    );
+  }
+}
+
+// Widest gap between posts under a beam where a post was moved
+function checkPostSpacing(structure, beam, warnings) {
+  const positions = getPostsOnBeam(structure.posts, beam)
+    .map((post) => projectOntoSegment(post, beam.p1, beam.p2).along)
+    .sort((a, b) => a - b);
+  let widestFt = 0;
+  for (let i = 1; i < positions.length; i++) {
+    widestFt = Math.max(widestFt, (positions[i] - positions[i - 1]) / PIXELS_PER_FOOT);
+  }
+  if (widestFt > MAX_POST_SPACING_FEET + EPSILON) {
+    warnings.push(
+      `Posts under the ${beam.usage} are ${formatFeetInches(widestFt)} apart, over the ${MAX_POST_SPACING_FEET}' maximum.`
+    );
+  }
+}
+
+/**
+ * Re-applies the user's beam and post moves to freshly calculated framing. Posts slide
+ * along their beam first, in the automatic layout; each moved beam then shifts across the
+ * joists with its posts and footings, and joists or rims ending on its line follow it.
+ * Sets the summary on structure.movedFraming. Run before openings and load zones so their
+ * framing sees the beams where they now are.
+ * @param {Object} structure - Components from calculateStructure or the multi-section merge
+ * @param {Object} inputs - Form inputs including framingOverrides {beams, posts}
+ * @returns {Object} {movedBeams, movedPosts, staleOverrides, warnings}
+ */
+export function applyFramingOverrides(structure, inputs) {
+  const overrides = inputs.framingOverrides || {};
+  const postMoves = Array.isArray(overrides.posts) ? overrides.posts : [];
+  const beamMoves = Array.isArray(overrides.beams) ? overrides.beams : [];
+  const summary = { movedBeams: 0, movedPosts: 0, staleOverrides: 0, warnings: [] };
+  structure.movedFraming = summary;
+  if (postMoves.length === 0 && beamMoves.length === 0) return summary;
+
+  const posts = structure.posts || [];
+  const beamsWithMovedPosts = new Set();
+  postMoves.forEach((move) => {
+    let match = null;
+    posts.forEach((post) => {
+      if (post.isMoved || isZoneMember(post)) return;
+      const d = distance(post, move.from);
+      if (d <= POST_MATCH_TOLERANCE_PIXELS && (!match || d < match.distance)) match = { post, distance: d };
+    });
+    const beam = match && findBeamUnderPost(structure.beams, match.post);
+    if (!beam) {
+      summary.staleOverrides++;
+      return;
+    }
+    movePost(structure, match.post, projectOntoSegment(move.to, beam.p1, beam.p2).point);
+    match.post.isMoved = true;
+    beamsWithMovedPosts.add(beam);
+    summary.movedPosts++;
+  });
+
+  const movedBeams = [];
+  beamMoves.forEach((move) => {
+    const beams = (structure.beams || []).filter(
+      (beam) =>
+        isMovableBeam(beam) &&
+        !beam.isMoved &&
+        isVerticalMember(beam) === !!move.isVertical &&
+        Math.abs(getBeamLineCoord(beam) - move.fromCoord) <= LINE_TOLERANCE_PIXELS
+    );
+    if (beams.length === 0) {
+      summary.staleOverrides++;
+      return;
+    }
+
+    const offset = move.isVertical ? { x: move.toCoord - move.fromCoord, y: 0 } : { x: 0, y: move.toCoord - move.fromCoord };
+    const shift = (point) => point && { ...point, x: point.x + offset.x, y: point.y + offset.y };
+    const onLine = (point) =>
+      Math.abs((move.isVertical ? point.x : point.y) - move.fromCoord) <= LINE_TOLERANCE_PIXELS;
+
+    beams.forEach((beam) => {
+      const alongMin = Math.min(move.isVertical ? beam.p1.y : beam.p1.x, move.isVertical ? beam.p2.y : beam.p2.x);
+      const alongMax = Math.max(move.isVertical ? beam.p1.y : beam.p1.x, move.isVertical ? beam.p2.y : beam.p2.x);
+      const withinBeam = (point) => {
+        const along = move.isVertical ? point.y : point.x;
+        return along >= alongMin - LINE_TOLERANCE_PIXELS && along <= alongMax + LINE_TOLERANCE_PIXELS;
+      };
+
+      getPostsOnBeam(posts, beam).forEach((post) => movePost(structure, post, shift(post)));
+
+      // Joist and rim spans that end on the beam follow it
+      [...(structure.joists || []), ...(structure.rimJoists || [])].forEach((member) => {
+        if (isVerticalMember(member) === move.isVertical) return;
+        let changed = false;
+        ["p1", "p2"].forEach((end) => {
+          if (onLine(member[end]) && withinBeam(member[end])) {
+            member[end] = shift(member[end]);
+            changed = true;
+          }
+        });
+        if (changed) member.lengthFeet = distance(member.p1, member.p2) / PIXELS_PER_FOOT;
+      });
+
+      ["p1", "p2", "centerlineP1", "centerlineP2", "positionCoordinateLineP1", "positionCoordinateLineP2"].forEach(
+        (key) => {
+          if (beam[key]) beam[key] = shift(beam[key]);
+        }
+      );
+      beam.isMoved = true;
+      beam.autoLineCoord = move.fromCoord;
+      beam.moveOffset = offset;
+      movedBeams.push(beam);
+    });
+    summary.movedBeams++;
+  });
+
+  movedBeams.forEach((beam) => checkMovedBeam(structure, beam, summary.warnings));
+  beamsWithMovedPosts.forEach((beam) => checkPostSpacing(structure, beam, summary.warnings));
+  if (summary.staleOverrides > 0) {
+    summary.warnings.push(
+      summary.staleOverrides === 1
+        ? "A moved beam or post no longer matches the framing and was left in its automatic spot."
+        : `${summary.staleOverrides} moved beams or posts no longer match the framing and were left in their automatic spots.`
+    );
+  }
+  return summary;
+}
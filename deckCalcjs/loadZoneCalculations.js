@@ -0,0 +1,487 @@
+// loadZoneCalculations.js - Heavy load zones (hot tubs, planters) drawn on the deck plan
+// Works out the extra framing a concentrated load needs: tighter joist spacing, support
+// beams under the zone edges, posts and footings sized for the zone load. calculateStructure
+// merges the additions into the regular components so the canvas and BOM pick them up.
+
+import {
+  EPSILON,
+  PIXELS_PER_FOOT,
+  MAX_POST_SPACING_FEET,
+  LOAD_ZONE_JOIST_SPACINGS_INCHES,
+  LOAD_ZONE_SUPPORT_TOLERANCE_FEET,
+  LOAD_ZONE_MAX_SPANS,
+} from "./config.js";
+import {
+  getMaxJoistSpans,
+  recommendBeamSize,
+  resolveDesignLoad,
+  calculateFootingDiameter,
+} from "./dataManager.js";
+import { isPointInsidePolygon, isPointOnPolygonEdge } from "./structuralValidator.js";
+
+const JOIST_MATCH_TOLERANCE_PIXELS = PIXELS_PER_FOOT / 12; // 1" - an existing joist already there
+const POST_MATCH_TOLERANCE_PIXELS = PIXELS_PER_FOOT / 2;
+const MAX_POST_BAYS = 12;
+
+// ================================================
+// ZONE GEOMETRY
+// ================================================
+
+/**
+ * Creates a load zone from the two placement clicks.
+ * Rectangles use opposite corners; circles use the center and a point on the edge.
+ * @param {string} shape - 'rect' | 'circle'
+ * @param {{x: number, y: number}} p1 - First click (model pixels)
+ * @param {{x: number, y: number}} p2 - Second click (model pixels)
+ * @param {string} loadType - 'psf' | 'total'
+ * @param {number} loadValue - psf, or total pounds for the whole zone
+ * @returns {Object|null} Zone, or null if it has no area
+ */
+export function createLoadZoneFromPoints(shape, p1, p2, loadType, loadValue) {
+  const toFeet = (pixels) => Math.round((pixels / PIXELS_PER_FOOT) * 12) / 12; // Nearest inch
+  const zone = {
+    shape: shape === "circle" ? "circle" : "rect",
+    loadType: loadType === "total" ? "total" : "psf",
+    loadValue: Number(loadValue) || 0,
+  };
+
+  if (zone.shape === "circle") {
+    zone.centerX = p1.x;
+    zone.centerY = p1.y;
+    zone.radiusFeet = toFeet(Math.hypot(p2.x - p1.x, p2.y - p1.y));
+    return zone.radiusFeet > 0 ? zone : null;
+  }
+
+  zone.centerX = (p1.x + p2.x) / 2;
+  zone.centerY = (p1.y + p2.y) / 2;
+  zone.widthFeet = toFeet(Math.abs(p2.x - p1.x));
+  zone.depthFeet = toFeet(Math.abs(p2.y - p1.y));
+  return zone.widthFeet > 0 && zone.depthFeet > 0 ? zone : null;
+}
+
+/**
+ * Plan area of a zone.
+ * @param {Object} zone - Load zone
+ * @returns {number} Square feet
+ */
+export function getLoadZoneAreaSqFt(zone) {
+  if (!zone) return 0;
+  if (zone.shape === "circle") return Math.PI * Math.pow(zone.radiusFeet || 0, 2);
+  return (zone.widthFeet || 0) * (zone.depthFeet || 0);
+}
+
+/**
+ * Zone load spread over its footprint. Total-pound loads are divided by the zone area.
+ * @param {Object} zone - Load zone
+ * @returns {number} psf
+ */
+export function getLoadZonePsf(zone) {
+  const value = Number(zone?.loadValue) || 0;
+  if (zone?.loadType !== "total") return value;
+  const area = getLoadZoneAreaSqFt(zone);
+  return area > 0 ? value / area : 0;
+}
+
+/**
+ * Bounding box of a zone in model pixels.
+ * @param {Object} zone - Load zone
+ * @returns {{minX: number, maxX: number, minY: number, maxY: number}}
+ */
+export function getLoadZoneBounds(zone) {
+  const halfX = (zone.shape === "circle" ? zone.radiusFeet : zone.widthFeet / 2) * PIXELS_PER_FOOT;
+  const halfY = (zone.shape === "circle" ? zone.radiusFeet : zone.depthFeet / 2) * PIXELS_PER_FOOT;
+  return {
+    minX: zone.centerX - halfX,
+    maxX: zone.centerX + halfX,
+    minY: zone.centerY - halfY,
+    maxY: zone.centerY + halfY,
+  };
+}
+
+// Corners of a rectangle, or the four compass points of a circle
+function getLoadZoneOutlinePoints(zone) {
+  const b = getLoadZoneBounds(zone);
+  if (zone.shape === "circle") {
+    return [
+      { x: zone.centerX, y: b.minY },
+      { x: b.maxX, y: zone.centerY },
+      { x: zone.centerX, y: b.maxY },
+      { x: b.minX, y: zone.centerY },
+    ];
+  }
+  return [
+    { x: b.minX, y: b.minY },
+    { x: b.maxX, y: b.minY },
+    { x: b.maxX, y: b.maxY },
+    { x: b.minX, y: b.maxY },
+  ];
+}
+
+// ================================================
+// FRAMING HELPERS
+// ================================================
+
+/**
+ * Longest joist span allowed for a size and spacing under a zone load.
+ * The span tables only cover 12" and 16" spacing; tighter spacing uses the 12" row
+ * with the load scaled down to the narrower strip each joist carries.
+ * @param {string} joistSize - Joist size (e.g., "2x8")
+ * @param {number} spacingInches - Joist spacing
+ * @param {{liveLoadPsf: number, deadLoadPsf: number}} zoneLoad - Zone design load
+ * @param {string} spanTableKey - Species/grade key
+ * @returns {number|null} Max span in feet
+ */
+export function getLoadZoneJoistMaxSpan(joistSize, spacingInches, zoneLoad, spanTableKey) {
+  const tableSpacing = spacingInches >= 16 ? 16 : 12;
+  const scale = spacingInches >= 12 ? 1 : spacingInches / 12;
+  const rules = getMaxJoistSpans(spanTableKey, {
+    liveLoadPsf: zoneLoad.liveLoadPsf * scale,
+    deadLoadPsf: zoneLoad.deadLoadPsf * scale,
+    snowLoadPsf: 0,
+  });
+  const rule = rules.find((r) => r.size === joistSize && r.spacing === tableSpacing);
+  return rule ? rule.maxSpanFt : null;
+}
+
+// Joist direction from the main joists: true when they run along Y
+function getJoistsRunVertical(joists) {
+  const joist = joists.find((j) => j.usage === "Joist") || joists[0];
+  if (!joist) return null;
+  return Math.abs(joist.p2.y - joist.p1.y) > Math.abs(joist.p2.x - joist.p1.x);
+}
+
+// Along-axis coordinates of ledgers and beams running across the joists over the zone
+function findExistingSupports(structure, vertical, crossMin, crossMax) {
+  const along = vertical ? "y" : "x";
+  const cross = vertical ? "x" : "y";
+  const members = [structure.ledger, structure.wrapLedger, ...(structure.beams || [])].filter(Boolean);
+  const coords = [];
+
+  members.forEach((member) => {
+    const p1 = member.centerlineP1 || member.p1;
+    const p2 = member.centerlineP2 || member.p2;
+    if (!p1 || !p2 || Math.abs(p1[along] - p2[along]) > EPSILON) return;
+    const memberMin = Math.min(p1[cross], p2[cross]);
+    const memberMax = Math.max(p1[cross], p2[cross]);
+    if (memberMin <= crossMin + EPSILON && memberMax >= crossMax - EPSILON) {
+      coords.push(p1[along]);
+    }
+  });
+  return coords;
+}
+
+// Cross-axis positions of joists (and rims parallel to them) passing over the zone
+function findExistingJoistPositions(structure, vertical, alongMin, alongMax) {
+  const along = vertical ? "y" : "x";
+  const cross = vertical ? "x" : "y";
+  const positions = [];
+
+  [...(structure.joists || []), ...(structure.rimJoists || [])].forEach((joist) => {
+    if (!joist.p1 || !joist.p2 || Math.abs(joist.p1[cross] - joist.p2[cross]) > EPSILON) return;
+    const joistMin = Math.min(joist.p1[along], joist.p2[along]);
+    const joistMax = Math.max(joist.p1[along], joist.p2[along]);
+    if (joistMax > alongMin + EPSILON && joistMin < alongMax - EPSILON) {
+      positions.push(joist.p1[cross]);
+    }
+  });
+  return positions;
+}
+
+function makePoint(vertical, alongCoord, crossCoord) {
+  return vertical ? { x: crossCoord, y: alongCoord } : { x: alongCoord, y: crossCoord };
+}
+
+function createZoneFooting(x, y, footingType, tributaryAreaSqFt, zoneLoadPsf, zoneId) {
+  if (footingType === "Helical" || footingType === "helical") {
+    return { x, y, type: footingType, diameter: 0, usage: "Load Zone Footing", loadZoneId: zoneId };
+  }
+  const footingCalc = calculateFootingDiameter(tributaryAreaSqFt, undefined, zoneLoadPsf);
+  return {
+    x,
+    y,
+    type: footingType,
+    diameter: footingCalc.diameter,
+    load: footingCalc.load,
+    tributaryArea: tributaryAreaSqFt,
+    warning: footingCalc.message,
+    usage: "Load Zone Footing",
+    loadZonePsf: zoneLoadPsf,
+    loadZoneId: zoneId,
+  };
+}
+
+// ================================================
+// ZONE FRAMING
+// ================================================
+
+/**
+ * Extra framing for one load zone.
+ * Supports: zone edges across the joists get a drop beam unless an existing beam or ledger
+ * is within LOAD_ZONE_SUPPORT_TOLERANCE_FEET. Joists: the widest spacing from
+ * LOAD_ZONE_JOIST_SPACINGS_INCHES whose span covers the zone is used; if none does,
+ * intermediate beams split the spans at 12" spacing. Infill joists are added between the
+ * existing ones, posts go under the zone beams and footings are sized for the zone load.
+ *
+ * @param {Object} zone - Load zone
+ * @param {Object} structure - Components from calculateStructure
+ * @param {Object} inputs - Form inputs (joistSpacing, lumberSpecies, design loads, footingType, deckHeight)
+ * @param {Array<{x: number, y: number}>} deckPoints - Deck outline
+ * @returns {{summary: Object, joists: Array, beams: Array, posts: Array, footings: Array}}
+ */
+export function calculateLoadZoneFraming(zone, structure, inputs, deckPoints) {
+  const empty = { joists: [], beams: [], posts: [], footings: [] };
+  const zonePsf = getLoadZonePsf(zone);
+  const baseLoad = resolveDesignLoad(inputs);
+  const zoneLoad = {
+    liveLoadPsf: Math.max(zonePsf, baseLoad.governingLoadPsf),
+    deadLoadPsf: baseLoad.deadLoadPsf,
+    snowLoadPsf: 0,
+  };
+  const summary = {
+    id: zone.id,
+    label: zone.label || (zone.shape === "circle" ? "Circular zone" : "Rectangular zone"),
+    shape: zone.shape,
+    areaSqFt: getLoadZoneAreaSqFt(zone),
+    zonePsf,
+    designLivePsf: zoneLoad.liveLoadPsf,
+    totalLoadPsf: zoneLoad.liveLoadPsf + zoneLoad.deadLoadPsf,
+    joistSize: null,
+    joistSpacingInches: null,
+    maxSpanFt: 0,
+    addedJoists: 0,
+    addedBeams: 0,
+    addedPosts: 0,
+    beamSize: null,
+    beamPly: null,
+    warnings: [],
+  };
+
+  const vertical = getJoistsRunVertical(structure.joists || []);
+  if (vertical === null || !deckPoints || deckPoints.length < 3) {
+    summary.warnings.push("No joist framing to reinforce under this zone.");
+    return { summary, ...empty };
+  }
+
+  // Corners on the deck edge count as over the deck, so a zone drawn flush to the rim isn't flagged
+  const isOverDeck = (p) => isPointInsidePolygon(p, deckPoints) || isPointOnPolygonEdge(p, deckPoints, 1);
+  if (getLoadZoneOutlinePoints(zone).some((p) => !isOverDeck(p))) {
+    summary.warnings.push("Zone extends past the deck outline - only the part over the deck is framed.");
+  }
+
+  // Clip the zone to the deck extents
+  const deckXs = deckPoints.map((p) => p.x);
+  const deckYs = deckPoints.map((p) => p.y);
+  const bounds = getLoadZoneBounds(zone);
+  const clipped = {
+    minX: Math.max(bounds.minX, Math.min(...deckXs)),
+    maxX: Math.min(bounds.maxX, Math.max(...deckXs)),
+    minY: Math.max(bounds.minY, Math.min(...deckYs)),
+    maxY: Math.min(bounds.maxY, Math.max(...deckYs)),
+  };
+  const alongMin = vertical ? clipped.minY : clipped.minX;
+  const alongMax = vertical ? clipped.maxY : clipped.maxX;
+  const crossMin = vertical ? clipped.minX : clipped.minY;
+  const crossMax = vertical ? clipped.maxX : clipped.maxY;
+  if (alongMax - alongMin < EPSILON || crossMax - crossMin < EPSILON) {
+    summary.warnings.push("Zone is outside the deck.");
+    return { summary, ...empty };
+  }
+
+  // --- Support lines across the joists ---
+  const tolerancePixels = LOAD_ZONE_SUPPORT_TOLERANCE_FEET * PIXELS_PER_FOOT;
+  const existingSupports = findExistingSupports(structure, vertical, crossMin, crossMax);
+  const snapToExisting = (coord) =>
+    existingSupports.find((c) => Math.abs(c - coord) <= tolerancePixels);
+  const startSupport = snapToExisting(alongMin);
+  const endSupport = snapToExisting(alongMax);
+  const supports = [
+    { coord: startSupport ?? alongMin, isNew: startSupport === undefined },
+    ...existingSupports
+      .filter((c) => c > (startSupport ?? alongMin) + EPSILON && c < (endSupport ?? alongMax) - EPSILON)
+      .map((coord) => ({ coord, isNew: false })),
+    { coord: endSupport ?? alongMax, isNew: endSupport === undefined },
+  ].sort((a, b) => a.coord - b.coord);
+
+  // --- Joist spacing, splitting spans with extra beams if needed ---
+  const mainJoist = structure.joists.find((j) => j.usage === "Joist") || structure.joists[0];
+  const joistSize = mainJoist.size;
+  const baseSpacing = Number(inputs.joistSpacing) || 16;
+  const spacings = LOAD_ZONE_JOIST_SPACINGS_INCHES.filter((s) => s <= baseSpacing);
+  const segmentSpans = supports.slice(1).map((s, i) => (s.coord - supports[i].coord) / PIXELS_PER_FOOT);
+  const longestSpan = Math.max(...segmentSpans);
+
+  let spacingInches = spacings.find(
+    (s) => (getLoadZoneJoistMaxSpan(joistSize, s, zoneLoad, inputs.lumberSpecies) ?? 0) >= longestSpan - EPSILON
+  );
+  if (spacingInches === undefined) {
+    spacingInches = Math.min(12, baseSpacing);
+    const allowedSpan = getLoadZoneJoistMaxSpan(joistSize, spacingInches, zoneLoad, inputs.lumberSpecies) || 0;
+    const splitSupports = [supports[0]];
+    let totalSpans = 0;
+    segmentSpans.forEach((spanFt, i) => {
+      const parts = allowedSpan > 0 ? Math.ceil(spanFt / allowedSpan - EPSILON) : LOAD_ZONE_MAX_SPANS;
+      const a = supports[i].coord;
+      const b = supports[i + 1].coord;
+      for (let k = 1; k < parts; k++) {
+        splitSupports.push({ coord: a + ((b - a) * k) / parts, isNew: true });
+      }
+      splitSupports.push(supports[i + 1]);
+      totalSpans += parts;
+    });
+    supports.splice(0, supports.length, ...splitSupports);
+    if (totalSpans > LOAD_ZONE_MAX_SPANS) {
+      summary.warnings.push(
+        `${joistSize} joists need ${totalSpans} spans under this load - have the zone framing engineered.`
+      );
+    }
+  }
+
+  const spans = supports.slice(1).map((s, i) => (s.coord - supports[i].coord) / PIXELS_PER_FOOT);
+  summary.joistSize = joistSize;
+  summary.joistSpacingInches = spacingInches;
+  summary.maxSpanFt = Math.max(...spans);
+
+  // --- Infill joists between the existing ones ---
+  const spacingPixels = (spacingInches / 12) * PIXELS_PER_FOOT;
+  const existingJoists = findExistingJoistPositions(structure, vertical, alongMin, alongMax);
+  const joistPositions = existingJoists.filter(
+    (c) => c >= crossMin - JOIST_MATCH_TOLERANCE_PIXELS && c <= crossMax + JOIST_MATCH_TOLERANCE_PIXELS
+  );
+  const hasJoistAt = (c) => joistPositions.some((p) => Math.abs(p - c) < JOIST_MATCH_TOLERANCE_PIXELS);
+  const newPositions = [];
+  [crossMin, crossMax].forEach((edge) => {
+    if (!hasJoistAt(edge)) {
+      joistPositions.push(edge);
+      newPositions.push(edge);
+    }
+  });
+  const sortedPositions = [...joistPositions].sort((a, b) => a - b);
+  for (let i = 1; i < sortedPositions.length; i++) {
+    const gap = sortedPositions[i] - sortedPositions[i - 1];
+    const parts = Math.ceil(gap / spacingPixels - EPSILON);
+    for (let k = 1; k < parts; k++) {
+      newPositions.push(sortedPositions[i - 1] + (gap * k) / parts);
+    }
+  }
+
+  const joists = [];
+  newPositions.sort((a, b) => a - b).forEach((pos) => {
+    for (let i = 1; i < supports.length; i++) {
+      const p1 = makePoint(vertical, supports[i - 1].coord, pos);
+      const p2 = makePoint(vertical, supports[i].coord, pos);
+      joists.push({
+        p1,
+        p2,
+        size: joistSize,
+        lengthFeet: (supports[i].coord - supports[i - 1].coord) / PIXELS_PER_FOOT,
+        usage: "Load Zone Joist",
+        loadZoneId: zone.id,
+      });
+    }
+  });
+
+  // --- Beams, posts and footings under new support lines ---
+  const beams = [];
+  const posts = [];
+  const footings = [];
+  const existingPost = (structure.posts || [])[0];
+  const postSize = existingPost?.size || inputs.postSize || "4x4";
+  const deckHeightInches = Number(inputs.deckHeight) || 0;
+  const beamPly = (structure.beams || []).find((b) => b.ply)?.ply || 2;
+  const beamLengthFeet = (crossMax - crossMin) / PIXELS_PER_FOOT;
+  const totalLoadPsf = summary.totalLoadPsf;
+
+  supports.forEach((support, index) => {
+    if (!support.isNew) return;
+    // Width of deck this beam carries: half the joist span on each side under the zone
+    const tributaryWidthFt = ((spans[index - 1] || 0) + (spans[index] || 0)) / 2;
+
+    // IRC beam tables assume the beam carries half the joist span, so size for twice the tributary width
+    let bays = Math.max(1, Math.ceil(beamLengthFeet / MAX_POST_SPACING_FEET - EPSILON));
+    let beamSize = recommendBeamSize(beamLengthFeet / bays, tributaryWidthFt * 2, beamPly, inputs.lumberSpecies, zoneLoad);
+    while (beamSize.needsMorePosts && bays < MAX_POST_BAYS) {
+      bays++;
+      beamSize = recommendBeamSize(beamLengthFeet / bays, tributaryWidthFt * 2, beamPly, inputs.lumberSpecies, zoneLoad);
+    }
+    const postSpacingFt = beamLengthFeet / bays;
+
+    const p1 = makePoint(vertical, support.coord, crossMin);
+    const p2 = makePoint(vertical, support.coord, crossMax);
+    beams.push({
+      p1,
+      p2,
+      centerlineP1: p1,
+      centerlineP2: p2,
+      positionCoordinateLineP1: p1,
+      positionCoordinateLineP2: p2,
+      size: beamSize.size,
+      lengthFeet: beamLengthFeet,
+      ply: beamPly,
+      usage: "Load Zone Beam",
+      isFlush: false,
+      loadZoneId: zone.id,
+    });
+    summary.beamSize = beamSize.size;
+    summary.beamPly = beamPly;
+
+    for (let k = 0; k <= bays; k++) {
+      const point = makePoint(vertical, support.coord, crossMin + (crossMax - crossMin) * (k / bays));
+      const tributaryArea = postSpacingFt * (k === 0 || k === bays ? 0.5 : 1) * tributaryWidthFt;
+
+      // An existing post under the beam line takes the zone load on its footing
+      const nearbyPost = (structure.posts || []).find(
+        (post) => Math.hypot(post.x - point.x, post.y - point.y) <= POST_MATCH_TOLERANCE_PIXELS
+      );
+      if (nearbyPost) {
+        const footing = (structure.footings || []).find(
+          (f) => Math.hypot(f.x - nearbyPost.x, f.y - nearbyPost.y) < EPSILON
+        );
+        if (footing && footing.tributaryArea) {
+          footing.tributaryArea += tributaryArea;
+          footing.loadZonePsf = Math.max(footing.loadZonePsf || 0, totalLoadPsf);
+        }
+        continue;
+      }
+
+      posts.push({
+        x: point.x,
+        y: point.y,
+        size: postSize,
+        heightInches: deckHeightInches,
+        heightFeet: deckHeightInches / 12,
+        usage: "Load Zone Post",
+        loadZoneId: zone.id,
+      });
+      footings.push(
+        createZoneFooting(point.x, point.y, inputs.footingType, tributaryArea, totalLoadPsf, zone.id)
+      );
+    }
+  });
+
+  summary.addedJoists = joists.length;
+  summary.addedBeams = beams.length;
+  summary.addedPosts = posts.length;
+  return { summary, joists, beams, posts, footings };
+}
+
+/**
+ * Adds framing for every load zone to a structure (mutated in place) and records
+ * the zone summaries on structure.loadZones. Run before footing design so the zone
+ * footings are sized for site soil.
+ * @param {Object} structure - Components from calculateStructure or the multi-section merge
+ * @param {Object} inputs - Form inputs including loadZones
+ * @param {Array<{x: number, y: number}>} deckPoints - Deck outline
+ * @returns {Array<Object>} Zone summaries
+ */
+export function applyLoadZoneFraming(structure, inputs, deckPoints) {
+  const zones = Array.isArray(inputs.loadZones) ? inputs.loadZones : [];
+  structure.loadZones = zones.map((zone) => {
+    const framing = calculateLoadZoneFraming(zone, structure, inputs, deckPoints);
+    structure.joists.push(...framing.joists);
+    structure.beams.push(...framing.beams);
+    structure.posts.push(...framing.posts);
+    structure.footings.push(...framing.footings);
+    return framing.summary;
+  });
+  return structure.loadZones;
+}
@@ -0,0 +1,255 @@
+// mechanicsCalculations.js - Bending, shear, deflection and vibration checks for framing members
+// Complements the span tables: every joist run and beam segment is checked against NDS
+// design values for the selected species, so tighter deflection limits (composite decking)
+// and sizes or spacings the tables don't list can still be designed.
+
+import {
+  DEFAULT_DEFLECTION_LIMIT,
+  DEFLECTION_LIMIT_OPTIONS,
+  MIN_JOIST_FREQUENCY_HZ,
+  WET_SERVICE_FACTORS,
+  WET_SERVICE_FB_THRESHOLD_PSI,
+  REPETITIVE_MEMBER_FACTOR,
+  SNOW_LOAD_DURATION_FACTOR,
+  JOIST_SIZE_ORDER,
+  MAX_JOIST_STOCK_LENGTH_FEET,
+} from "./config.js";
+import { getLumberProperties } from "./dataManager.js";
+
+const GRAVITY_IN_PER_S2 = 386.1;
+
+// Rounds to a fixed number of decimals for reporting
+const round = (value, decimals = 2) => {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Resolves the live load deflection limit (the n in L/n) from form input.
+ * @param {number|string} value - Entered limit
+ * @returns {number} One of DEFLECTION_LIMIT_OPTIONS
+ */
+export function resolveDeflectionLimit(value) {
+  const limit = Number(value);
+  return DEFLECTION_LIMIT_OPTIONS.includes(limit) ? limit : DEFAULT_DEFLECTION_LIMIT;
+}
+
+// Adjusted design values for exterior (wet service) framing
+function getAdjustedProperties(size, ply, spanTableKey, repetitive, designLoad) {
+  const props = getLumberProperties(spanTableKey, size);
+  if (!props) return null;
+  const loadDuration = designLoad?.governs === "snow" ? SNOW_LOAD_DURATION_FACTOR : 1;
+  const wetFb = props.fbPsi > WET_SERVICE_FB_THRESHOLD_PSI ? WET_SERVICE_FACTORS.fb : 1;
+  return {
+    areaIn2: props.areaIn2 * ply,
+    sectionModulusIn3: props.sectionModulusIn3 * ply,
+    momentOfInertiaIn4: props.momentOfInertiaIn4 * ply,
+    fbPsi: props.fbPsi * wetFb * (repetitive ? REPETITIVE_MEMBER_FACTOR : 1) * loadDuration,
+    fvPsi: props.fvPsi * WET_SERVICE_FACTORS.fv * loadDuration,
+    ePsi: props.ePsi * WET_SERVICE_FACTORS.e,
+  };
+}
+
+/**
+ * Checks a simply supported member under uniform load.
+ * @param {Object} member
+ * @param {string} member.size - Nominal size (e.g., "2x10")
+ * @param {number} [member.ply=1] - Plies in a built-up beam
+ * @param {number} member.spanFt - Clear span between supports
+ * @param {number} member.liveLoadPlf - Live (or governing snow) load per foot
+ * @param {number} member.deadLoadPlf - Dead load per foot
+ * @param {string} [member.spanTableKey] - Species / grade key
+ * @param {number} [member.deflectionLimit] - n in L/n for live load deflection
+ * @param {boolean} [member.repetitive=false] - Joists at 24" or closer share load
+ * @param {Object} [member.designLoad] - Resolved design load (snow raises load duration)
+ * @returns {Object|null} Stresses, deflection, ratios and pass/fail, or null for unknown sizes
+ */
+export function checkMember({
+  size,
+  ply = 1,
+  spanFt,
+  liveLoadPlf,
+  deadLoadPlf,
+  spanTableKey,
+  deflectionLimit,
+  repetitive = false,
+  designLoad = null,
+}) {
+  const props = getAdjustedProperties(size, ply, spanTableKey, repetitive, designLoad);
+  if (!props) return null;
+
+  const limit = resolveDeflectionLimit(deflectionLimit);
+  const spanIn = spanFt * 12;
+  const totalLoadPli = (liveLoadPlf + deadLoadPlf) / 12;
+  const liveLoadPli = liveLoadPlf / 12;
+
+  const momentInLb = (totalLoadPli * spanIn * spanIn) / 8;
+  const shearLb = (totalLoadPli * spanIn) / 2;
+  const bendingStressPsi = momentInLb / props.sectionModulusIn3;
+  const shearStressPsi = (1.5 * shearLb) / props.areaIn2;
+  const liveDeflectionIn =
+    (5 * liveLoadPli * Math.pow(spanIn, 4)) / (384 * props.ePsi * props.momentOfInertiaIn4);
+  const allowableDeflectionIn = spanIn / limit;
+
+  const ratios = {
+    bending: bendingStressPsi / props.fbPsi,
+    shear: shearStressPsi / props.fvPsi,
+    deflection: liveDeflectionIn / allowableDeflectionIn,
+  };
+  const governs = Object.keys(ratios).reduce((a, b) => (ratios[b] > ratios[a] ? b : a));
+
+  return {
+    size,
+    ply,
+    spanFt: round(spanFt),
+    bendingStressPsi: round(bendingStressPsi, 0),
+    allowableBendingPsi: round(props.fbPsi, 0),
+    shearStressPsi: round(shearStressPsi, 0),
+    allowableShearPsi: round(props.fvPsi, 0),
+    liveDeflectionIn: round(liveDeflectionIn, 3),
+    allowableDeflectionIn: round(allowableDeflectionIn, 3),
+    deflectionLimit: limit,
+    ratios: {
+      bending: round(ratios.bending),
+      shear: round(ratios.shear),
+      deflection: round(ratios.deflection),
+    },
+    governs,
+    passes: ratios[governs] <= 1 + 1e-6,
+  };
+}
+
+/**
+ * Checks a joist run: bending, shear and deflection plus a natural frequency check
+ * under dead load so long, light joists don't feel bouncy.
+ * @param {Object} joist - { size, spanFt, spacingInches, designLoad, spanTableKey, deflectionLimit }
+ * @returns {Object|null} checkMember result with frequencyHz, or null for unknown sizes
+ */
+export function checkJoist({ size, spanFt, spacingInches, designLoad, spanTableKey, deflectionLimit }) {
+  const tributaryFt = spacingInches / 12;
+  const result = checkMember({
+    size,
+    spanFt,
+    liveLoadPlf: designLoad.governingLoadPsf * tributaryFt,
+    deadLoadPlf: designLoad.deadLoadPsf * tributaryFt,
+    spanTableKey,
+    deflectionLimit,
+    repetitive: true,
+    designLoad,
+  });
+  if (!result) return null;
+
+  const props = getAdjustedProperties(size, 1, spanTableKey, true, designLoad);
+  const deadLoadPli = (designLoad.deadLoadPsf * tributaryFt) / 12;
+  const spanIn = spanFt * 12;
+  const frequencyHz = deadLoadPli > 0
+    ? (Math.PI / (2 * spanIn * spanIn)) *
+      Math.sqrt((GRAVITY_IN_PER_S2 * props.ePsi * props.momentOfInertiaIn4) / deadLoadPli)
+    : Infinity;
+
+  result.spacingInches = spacingInches;
+  result.frequencyHz = Number.isFinite(frequencyHz) ? round(frequencyHz, 1) : null;
+  result.ratios.vibration = round(MIN_JOIST_FREQUENCY_HZ / frequencyHz);
+  if (result.ratios.vibration > result.ratios[result.governs]) result.governs = "vibration";
+  result.passes = result.passes && frequencyHz >= MIN_JOIST_FREQUENCY_HZ;
+  return result;
+}
+
+/**
+ * Checks a beam segment between posts carrying joists over a tributary width.
+ * @param {Object} beam - { size, ply, spanFt, tributaryWidthFt, designLoad, spanTableKey, deflectionLimit }
+ * @returns {Object|null} checkMember result with tributaryWidthFt
+ */
+export function checkBeam({ size, ply, spanFt, tributaryWidthFt, designLoad, spanTableKey, deflectionLimit }) {
+  const result = checkMember({
+    size,
+    ply,
+    spanFt,
+    liveLoadPlf: designLoad.governingLoadPsf * tributaryWidthFt,
+    deadLoadPlf: designLoad.deadLoadPsf * tributaryWidthFt,
+    spanTableKey,
+    deflectionLimit,
+    designLoad,
+  });
+  if (result) result.tributaryWidthFt = round(tributaryWidthFt);
+  return result;
+}
+
+/**
+ * Longest joist span that passes every check, capped at stock length. Used where the
+ * span tables have no entry for a size and spacing.
+ * @param {string} size - Joist size
+ * @param {number} spacingInches - On-center spacing
+ * @param {Object} designLoad - Resolved design load
+ * @param {string} [spanTableKey] - Species / grade key
+ * @param {number} [deflectionLimit] - n in L/n
+ * @returns {number|null} Max span in feet (rounded down to the inch), or null for unknown sizes
+ */
+export function getMechanicsJoistMaxSpan(size, spacingInches, designLoad, spanTableKey, deflectionLimit) {
+  const props = getAdjustedProperties(size, 1, spanTableKey, true, designLoad);
+  if (!props) return null;
+
+  const tributaryFt = spacingInches / 12;
+  const totalPli = (designLoad.totalLoadPsf * tributaryFt) / 12;
+  const livePli = (designLoad.governingLoadPsf * tributaryFt) / 12;
+  const deadPli = (designLoad.deadLoadPsf * tributaryFt) / 12;
+  const limit = resolveDeflectionLimit(deflectionLimit);
+  const ei = props.ePsi * props.momentOfInertiaIn4;
+
+  const spansIn = [
+    Math.sqrt((8 * props.fbPsi * props.sectionModulusIn3) / totalPli),
+    (4 * props.fvPsi * props.areaIn2) / (3 * totalPli),
+    Math.cbrt((384 * ei) / (5 * livePli * limit)),
+  ];
+  if (deadPli > 0) {
+    spansIn.push(Math.sqrt((Math.PI / (2 * MIN_JOIST_FREQUENCY_HZ)) * Math.sqrt((GRAVITY_IN_PER_S2 * ei) / deadPli)));
+  }
+  const maxSpanFt = Math.floor(Math.min(...spansIn) + 1e-6) / 12;
+  return Math.min(maxSpanFt, MAX_JOIST_STOCK_LENGTH_FEET);
+}
+
+/**
+ * Smallest joist size (from the table-selected size up) that passes the mechanics
+ * check; if none does at the chosen spacing, tighter spacings are tried.
+ * @param {Object} options
+ * @param {string} options.size - Table-selected size, the smallest size considered
+ * @param {number} options.spanFt - Joist span
+ * @param {number} options.spacingInches - Requested spacing
+ * @param {number[]} options.spacingOptions - Spacings that may be used
+ * @param {Object} options.designLoad - Resolved design load
+ * @param {string} [options.spanTableKey] - Species / grade key
+ * @param {number} [options.deflectionLimit] - n in L/n
+ * @returns {{size: string, spacingInches: number, check: Object|null, passes: boolean}}
+ */
+export function selectJoistByMechanics({ size, spanFt, spacingInches, spacingOptions, designLoad, spanTableKey, deflectionLimit }) {
+  const sizes = JOIST_SIZE_ORDER.slice(Math.max(0, JOIST_SIZE_ORDER.indexOf(size)));
+  const spacings = [
+    spacingInches,
+    ...[...new Set(spacingOptions)].filter((s) => s < spacingInches).sort((a, b) => b - a),
+  ];
+
+  for (const spacing of spacings) {
+    for (const candidate of sizes) {
+      const check = checkJoist({ size: candidate, spanFt, spacingInches: spacing, designLoad, spanTableKey, deflectionLimit });
+      if (check?.passes) return { size: candidate, spacingInches: spacing, check, passes: true };
+    }
+  }
+
+  const check = checkJoist({ size, spanFt, spacingInches, designLoad, spanTableKey, deflectionLimit });
+  return { size, spacingInches, check, passes: false };
+}
+
+/**
+ * Smallest beam size (from the table-selected size up) that passes the mechanics check.
+ * @param {Object} options - { size, ply, spanFt, tributaryWidthFt, designLoad, spanTableKey, deflectionLimit }
+ * @returns {{size: string, check: Object|null, passes: boolean}}
+ */
+export function selectBeamByMechanics({ size, ply, spanFt, tributaryWidthFt, designLoad, spanTableKey, deflectionLimit }) {
+  const sizes = JOIST_SIZE_ORDER.slice(Math.max(0, JOIST_SIZE_ORDER.indexOf(size)));
+  for (const candidate of sizes) {
+    const check = checkBeam({ size: candidate, ply, spanFt, tributaryWidthFt, designLoad, spanTableKey, deflectionLimit });
+    if (check?.passes) return { size: candidate, check, passes: true };
+  }
+  const check = checkBeam({ size, ply, spanFt, tributaryWidthFt, designLoad, spanTableKey, deflectionLimit });
+  return { size, check, passes: false };
+}
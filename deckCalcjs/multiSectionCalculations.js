@@ -2,8 +2,21 @@
 // Handles structural calculations for decomposed shapes by calculating each section independently
 // and then merging overlapping/collinear structural elements
 
-import { EPSILON, PIXELS_PER_FOOT, POST_INSET_FEET, MAX_POST_SPACING_FEET } from "./config.js";
+import {
+  EPSILON,
+  PIXELS_PER_FOOT,
+  POST_INSET_FEET,
+  MAX_POST_SPACING_FEET,
+  WRAP_AROUND_MIN_JACK_JOIST_INCHES,
+} from "./config.js";
 import * as deckCalculations from "./deckCalculations.js";
+import { applyLoadZoneFraming } from "./loadZoneCalculations.js";
+import { applyCutoutFraming } from "./cutoutCalculations.js";
+import { applyFramingOverrides } from "./framingOverrideCalculations.js";
+import { applyDeckingSeamFraming, applyPictureFrameBlocking } from "./deckingLayoutCalculations.js";
+import { findWrapAroundCorner, splitWrapAroundZones, clipSegmentToZone } from "./wrapAroundCalculations.js";
+import { calculateTributaryArea } from "./dataManager.js";
+import { distance } from "./utils.js";
 
 /**
  * Finds which edge of a rectangular section contains the ledger wall
@@ -102,6 +115,28 @@ function determineGlobalJoistDirection(rectangularSections, selectedWallIndices,
   };
 }
 
+/**
+ * Joist direction for one section: the user's setting for it, or the global direction
+ * @param {Object} section - The rectangular section
+ * @param {Object} globalJoistDirection - Global joist direction info
+ * @param {Object} sectionJoistDirections - Section id -> 'vertical' | 'horizontal' (how its joists run on the plan)
+ * @returns {Object} Direction info shaped like globalJoistDirection; isTurned when it differs from it
+ */
+function getSectionJoistDirection(section, globalJoistDirection, sectionJoistDirections = {}) {
+  const setting = sectionJoistDirections[section.id];
+  if (setting !== "vertical" && setting !== "horizontal") return globalJoistDirection;
+
+  const joistsRunVertically = setting === "vertical";
+  if (joistsRunVertically === globalJoistDirection.joistsRunVertically) return globalJoistDirection;
+  return {
+    ...globalJoistDirection,
+    isMainLedgerHorizontal: joistsRunVertically,
+    joistsRunVertically,
+    joistsRunHorizontally: !joistsRunVertically,
+    isTurned: true,
+  };
+}
+
 /**
  * Reorients a section's points to ensure consistent joist direction across all sections
  * @param {Object} section - The rectangular section
@@ -165,8 +200,26 @@ export function calculateMultiSectionStructure(rectangularSections, inputs, sele
   }
 
   try {
+    // Ledgers on two walls around an outside house corner frame as two zones meeting at a hip
+    const wrapAround = findWrapAroundCorner(originalPoints, selectedWallIndices);
+    if (wrapAround) {
+      const wrapped = calculateWrapAroundStructure(wrapAround, inputs, selectedWallIndices, originalPoints);
+      return wrapped.error ? wrapped : applyMergedStructurePasses(wrapped, inputs, originalPoints);
+    }
+
     // Determine the global joist direction based on the main ledger orientation
     const globalJoistDirection = determineGlobalJoistDirection(rectangularSections, selectedWallIndices, originalPoints);
+    const sectionJoistDirections = inputs.sectionJoistDirections || {};
+
+    // Load zones, moved beams/posts and decking pattern seams span sections, so they are applied
+    // once on the merged structure; the board angle still sets each section's joist spacing
+    const sectionInputs = {
+      ...inputs,
+      loadZones: [],
+      cutouts: [],
+      framingOverrides: null,
+      decking: inputs.decking && { ...inputs.decking, pattern: "straight" },
+    };
 
     // Calculate structure for each section using consistent joist direction
     const sectionResults = [];
@@ -183,23 +236,30 @@ export function calculateMultiSectionStructure(rectangularSections, inputs, sele
       // Determine if this section has a ledger or should be treated as floating
       let sectionStructure;
       let isFloatingSection = false;
-      
-      if (section.isLedgerRectangle && section.ledgerWalls && section.ledgerWalls.length > 0) {
+
+      // A section turned from the global direction only hangs off a ledger wall square to its joists;
+      // otherwise it frames free-standing and the merge adds a beam where it meets its neighbours
+      const sectionDirection = getSectionJoistDirection(section, globalJoistDirection, sectionJoistDirections);
+      const framesOffLedger = !sectionDirection.isTurned || (section.ledgerWalls || []).some(
+        (wall) => (Math.abs(wall.p1.x - wall.p2.x) > Math.abs(wall.p1.y - wall.p2.y)) === sectionDirection.isMainLedgerHorizontal
+      );
+
+      if (framesOffLedger && section.isLedgerRectangle && section.ledgerWalls && section.ledgerWalls.length > 0) {
         // This section has a ledger - find the correct edge and ensure consistent orientation
         const sectionLedgerIndex = findLedgerEdgeInSection(section);
         
         // Reorder section points to ensure consistent joist direction across all sections
         const orientedSectionData = reorientSectionForGlobalJoistDirection(
-          section, sectionPoints, sectionLedgerIndex, globalJoistDirection
+          section, sectionPoints, sectionLedgerIndex, sectionDirection
         );
         
         sectionStructure = deckCalculations.calculateStructure(
           orientedSectionData.points,
           orientedSectionData.ledgerIndex,
-          inputs,
+          sectionInputs,
           sectionDimensions
         );
-      } else if (section.isLedgerRectangle) {
+      } else if (framesOffLedger && section.isLedgerRectangle) {
         // This section is identified as part of the ledger structure but has no explicit ledger walls
         // This can happen in L-shaped decks where the section is collinear with the main ledger
         // Treat it as a ledger-attached section using the appropriate edge
@@ -210,7 +270,7 @@ export function calculateMultiSectionStructure(rectangularSections, inputs, sele
           const edgeP2 = sectionPoints[(j + 1) % sectionPoints.length];
           const isEdgeHorizontal = Math.abs(edgeP1.x - edgeP2.x) > Math.abs(edgeP1.y - edgeP2.y);
           
-          if (isEdgeHorizontal === globalJoistDirection.isMainLedgerHorizontal) {
+          if (isEdgeHorizontal === sectionDirection.isMainLedgerHorizontal) {
             ledgerOrientedEdgeIndex = j;
             break;
           }
@@ -218,21 +278,21 @@ export function calculateMultiSectionStructure(rectangularSections, inputs, sele
         
         // Reorder section points to ensure consistent joist direction
         const orientedSectionData = reorientSectionForGlobalJoistDirection(
-          section, sectionPoints, ledgerOrientedEdgeIndex, globalJoistDirection
+          section, sectionPoints, ledgerOrientedEdgeIndex, sectionDirection
         );
         
         sectionStructure = deckCalculations.calculateStructure(
           orientedSectionData.points,
           orientedSectionData.ledgerIndex,
-          inputs,
+          sectionInputs,
           sectionDimensions
         );
       } else {
         // This section has no ledger - treat as floating deck with beams on both ends
         isFloatingSection = true;
         
-        // For floating sections, also ensure consistent joist direction with the global orientation
-        // Find an edge that matches the global joist direction for structural consistency
+        // For floating sections, also ensure consistent joist direction with the section's orientation
+        // Find an edge that matches the section joist direction for structural consistency
         let floatingLedgerIndex = 0; // Default fallback
         
         for (let j = 0; j < sectionPoints.length; j++) {
@@ -240,7 +300,7 @@ export function calculateMultiSectionStructure(rectangularSections, inputs, sele
           const edgeP2 = sectionPoints[(j + 1) % sectionPoints.length];
           const isEdgeHorizontal = Math.abs(edgeP1.x - edgeP2.x) > Math.abs(edgeP1.y - edgeP2.y);
           
-          if (isEdgeHorizontal === globalJoistDirection.isMainLedgerHorizontal) {
+          if (isEdgeHorizontal === sectionDirection.isMainLedgerHorizontal) {
             floatingLedgerIndex = j;
             break;
           }
@@ -248,14 +308,14 @@ export function calculateMultiSectionStructure(rectangularSections, inputs, sele
         
         // Create modified inputs for floating deck calculation
         const floatingInputs = {
-          ...inputs,
+          ...sectionInputs,
           attachmentType: 'floating' // Force floating mode
         };
         
-        // Use the edge that matches global joist direction for consistent structural framing
+        // Use the edge that matches the section joist direction for consistent structural framing
         sectionStructure = deckCalculations.calculateStructure(
           sectionPoints,
-          floatingLedgerIndex, // Use edge that matches global joist direction
+          floatingLedgerIndex, // Use edge that matches the section joist direction
           floatingInputs,
           sectionDimensions
         );
@@ -267,7 +327,9 @@ export function calculateMultiSectionStructure(rectangularSections, inputs, sele
           section: section,
           dimensions: sectionDimensions,
           structure: sectionStructure,
-          isFloatingSection: isFloatingSection
+          isFloatingSection: isFloatingSection,
+          joistsRunVertically: sectionDirection.joistsRunVertically,
+          isTurned: !!sectionDirection.isTurned
         });
       } else {
         console.warn(`Section ${i} calculation failed:`, sectionStructure?.error);
@@ -282,6 +344,18 @@ export function calculateMultiSectionStructure(rectangularSections, inputs, sele
     // Merge results from all sections, passing originalPoints for boundary clipping
     const mergedStructure = mergeSectionResults(sectionResults, originalPoints);
 
+    // Where sections with different joist directions meet, a beam or flush header carries the joists ending there
+    applySectionJunctions(mergedStructure, sectionResults, inputs);
+
+    // Sections may tighten spacing or upsize members on the mechanics check; keep the tightest spacing
+    const sectionSpacings = sectionResults.map((r) => r.structure.joistSpacingInches).filter(Boolean);
+    if (sectionSpacings.length > 0) {
+      mergedStructure.joistSpacingInches = Math.min(...sectionSpacings);
+    }
+    mergedStructure.mechanicsAdjustments = [
+      ...new Set(sectionResults.flatMap((r) => r.structure.mechanicsAdjustments || [])),
+    ];
+
     // ============================================================================
     // DIAGONAL EDGE HANDLING
     // After merging sections, handle diagonal edges from the original shape
@@ -331,7 +405,11 @@ export function calculateMultiSectionStructure(rectangularSections, inputs, sele
             // Calculate setback based on beam type and joist size cantilever
             const joistSize = inputs.joistSize || '2x8';
             const cantileverFeet = deckCalculations.getCantileverForJoistSize(joistSize);
-            const setbackFeet = inputs.beamType === 'drop' ? cantileverFeet : 0;
+            const setbackFeet = inputs.beamType === 'drop'
+              ? deckCalculations.getAngledEdgeSetbackFeet(
+                  diagEdge.p1, diagEdge.p2, cantileverFeet, globalJoistDirection.isMainLedgerHorizontal
+                )
+              : 0;
 
             // Determine direction to offset beam (into the deck)
             const edgeMidX = (diagEdge.p1.x + diagEdge.p2.x) / 2;
@@ -484,10 +562,7 @@ export function calculateMultiSectionStructure(rectangularSections, inputs, sele
       }
     }
 
-    // Run post-merge validation to detect structural issues
-    validateMergedStructure(mergedStructure, originalPoints);
-
-    return mergedStructure;
+    return applyMergedStructurePasses(mergedStructure, inputs, originalPoints);
 
   } catch (error) {
     console.error("Multi-section calculation error:", error);
@@ -495,6 +570,465 @@ export function calculateMultiSectionStructure(rectangularSections, inputs, sele
   }
 }
 
+/**
+ * Whole-deck passes run once sections are merged: moved beams and posts, openings, load
+ * zones, picture frame ladder blocking, decking pattern seams, footing design, ledger fasteners, lateral load, post connectors and the mechanics
+ * check, then validation.
+ * @param {Object} mergedStructure - Merged structural components (mutated)
+ * @param {Object} inputs - User input parameters
+ * @param {Array<{x: number, y: number}>} originalPoints - Original deck outline points
+ * @returns {Object} The merged structure
+ */
+function applyMergedStructurePasses(mergedStructure, inputs, originalPoints) {
+  // Move hand-placed beams and posts, header off openings, frame heavy load zones and block
+  // the picture frame along the real outline rather than each section's, then size merged
+  // footings for the design load and site conditions
+  applyFramingOverrides(mergedStructure, inputs);
+  applyCutoutFraming(mergedStructure, inputs, originalPoints || []);
+  applyLoadZoneFraming(mergedStructure, inputs, originalPoints || []);
+  applyPictureFrameBlocking(mergedStructure, inputs, originalPoints || []);
+  applyDeckingSeamFraming(mergedStructure, inputs, originalPoints || []);
+  const footingDesign = deckCalculations.applyFootingDesign(mergedStructure.footings, inputs);
+  mergedStructure.designLoad = footingDesign.designLoad;
+  mergedStructure.footingSite = footingDesign.site;
+  mergedStructure.frostWarning = footingDesign.frostWarning;
+  deckCalculations.applyLedgerFasteners(mergedStructure, inputs);
+  deckCalculations.applyLateralLoadConnectors(mergedStructure, inputs);
+  deckCalculations.applyPostConnectors(mergedStructure, inputs);
+  deckCalculations.applyMemberMechanics(mergedStructure, inputs);
+
+  // Run post-merge validation to detect structural issues
+  validateMergedStructure(mergedStructure, originalPoints);
+
+  return mergedStructure;
+}
+
+// ================================================
+// SECTION JUNCTIONS
+// ================================================
+
+const isBeamVertical = (beam) => Math.abs(beam.p1.x - beam.p2.x) < Math.abs(beam.p1.y - beam.p2.y);
+
+/**
+ * Finds where sections with different joist directions meet
+ * @param {Array<Object>} sectionResults - Framed sections with their joist direction
+ * @returns {Array<Object>} Junctions: the shared edge (p1, p2, isVertical) and endingResult,
+ *   the section whose joists run into the edge and end there
+ */
+function findSectionJunctions(sectionResults) {
+  const junctions = [];
+  sectionResults.forEach((result, i) => {
+    sectionResults.slice(i + 1).forEach((other) => {
+      if (result.joistsRunVertically === other.joistsRunVertically) return;
+      const shared = (result.section.sharedEdges || []).find((e) => e.rectangleId === other.section.id);
+      if (!shared?.edge) return;
+
+      const { p1, p2 } = shared.edge;
+      const isVertical = Math.abs(p1.x - p2.x) < Math.abs(p1.y - p2.y);
+      // Joists running vertically end on a horizontal edge, and the other way round
+      const endingResult = result.joistsRunVertically !== isVertical ? result : other;
+      junctions.push({ p1: { ...p1 }, p2: { ...p2 }, isVertical, endingResult });
+    });
+  });
+  return junctions;
+}
+
+/**
+ * Cuts the part of an axis-aligned member between lo and hi (along its length) out of it
+ * @param {Object} member - Beam or rim joist
+ * @param {boolean} isVertical - Member runs along Y
+ * @param {number} lo - Start of the cut along the member axis (pixels)
+ * @param {number} hi - End of the cut
+ * @param {number} minFeet - Shorter leftover pieces are dropped
+ * @returns {Array<Object>} The member itself when it misses the cut, otherwise the pieces left
+ */
+function cutMemberOutsideRange(member, isVertical, lo, hi, minFeet) {
+  const along = (point) => (isVertical ? point.y : point.x);
+  const start = Math.min(along(member.p1), along(member.p2));
+  const end = Math.max(along(member.p1), along(member.p2));
+  if (end <= lo + 1 || start >= hi - 1) return [member];
+
+  const at = (value) => (isVertical ? { x: member.p1.x, y: value } : { x: value, y: member.p1.y });
+  return [
+    [start, Math.min(end, lo)],
+    [Math.max(start, hi), end],
+  ]
+    .filter(([a, b]) => (b - a) / PIXELS_PER_FOOT >= minFeet)
+    .map(([a, b]) => {
+      const piece = { ...member, p1: at(a), p2: at(b), lengthFeet: (b - a) / PIXELS_PER_FOOT };
+      if (member.centerlineP1) {
+        piece.centerlineP1 = at(a);
+        piece.centerlineP2 = at(b);
+      }
+      if (member.positionCoordinateLineP1) {
+        piece.positionCoordinateLineP1 = at(a);
+        piece.positionCoordinateLineP2 = at(b);
+      }
+      if (member.lengthFt !== undefined) piece.lengthFt = piece.lengthFeet;
+      return piece;
+    });
+}
+
+/**
+ * Carries the joists that end where two sections with different joist directions meet: a
+ * "Junction Beam" on the shared edge, dropped under it or set flush as a header with the
+ * joists in hangers, following the beam type. It takes over from the ending section's own
+ * beam along that edge, and a flush header takes the rim's place as well. Posts are then
+ * reset for the whole beam layout.
+ * @param {Object} mergedStructure - Merged structural components (mutated)
+ * @param {Array<Object>} sectionResults - Framed sections with their joist direction
+ * @param {Object} inputs - User input parameters
+ */
+function applySectionJunctions(mergedStructure, sectionResults, inputs) {
+  mergedStructure.sectionJoistDirections = sectionResults.map((result) => ({
+    sectionId: result.section.id,
+    joistsRunVertically: result.joistsRunVertically,
+    isTurned: result.isTurned,
+  }));
+  mergedStructure.sectionJunctions = [];
+
+  const junctions = findSectionJunctions(sectionResults);
+  if (junctions.length === 0) return;
+
+  const isFlush = inputs.beamType === "flush";
+  junctions.forEach(({ p1, p2, isVertical, endingResult }) => {
+    const ending = endingResult.structure;
+    const line = isVertical ? p1.x : p1.y;
+    const lo = isVertical ? Math.min(p1.y, p2.y) : Math.min(p1.x, p2.x);
+    const hi = isVertical ? Math.max(p1.y, p2.y) : Math.max(p1.x, p2.x);
+    const corners = endingResult.section.corners;
+    const sectionCenter = corners.reduce((sum, c) => sum + (isVertical ? c.x : c.y), 0) / corners.length;
+    const side = Math.sign(sectionCenter - line);
+    const joistSize = ending.joists?.[0]?.size || inputs.joistSize || "2x8";
+    const reachPixels = (deckCalculations.getCantileverForJoistSize(joistSize) + 0.5) * PIXELS_PER_FOOT;
+
+    // The ending section's beam along the edge (set back by its cantilever when dropped) gives way
+    const replaced = [];
+    mergedStructure.beams = mergedStructure.beams.flatMap((beam) => {
+      if (beam.isJunction || beam.isAngled || isBeamVertical(beam) !== isVertical) return [beam];
+      const offset = (isVertical ? beam.p1.x : beam.p1.y) - line;
+      if (Math.abs(offset) > reachPixels || (Math.abs(offset) > 1 && Math.sign(offset) !== side)) return [beam];
+      const pieces = cutMemberOutsideRange(beam, isVertical, lo, hi, 1);
+      if (pieces[0] !== beam) replaced.push(beam);
+      return pieces;
+    });
+
+    const template = replaced[0] || ending.beams?.[0] || {};
+    const junctionBeam = {
+      p1: { ...p1 },
+      p2: { ...p2 },
+      centerlineP1: { ...p1 },
+      centerlineP2: { ...p2 },
+      positionCoordinateLineP1: { ...p1 },
+      positionCoordinateLineP2: { ...p2 },
+      size: template.size || "2x10",
+      ply: Math.max(2, template.ply || 1),
+      lengthFeet: (hi - lo) / PIXELS_PER_FOOT,
+      usage: "Junction Beam",
+      isFlush,
+      isJunction: true,
+      sectionId: endingResult.sectionIndex + 1,
+    };
+    mergedStructure.beams.push(junctionBeam);
+
+    // A flush header is the edge member itself, so the rim along the junction comes out
+    if (isFlush) {
+      mergedStructure.rimJoists = mergedStructure.rimJoists.flatMap((rim) => {
+        const onLine = [rim.p1, rim.p2].every((p) => Math.abs((isVertical ? p.x : p.y) - line) < 1);
+        return onLine ? cutMemberOutsideRange(rim, isVertical, lo, hi, 0.5) : [rim];
+      });
+    }
+
+    // Flush joists stop at the face of the header, so allow for its width
+    const endsOnJunction = (point) =>
+      Math.abs((isVertical ? point.x : point.y) - line) < PIXELS_PER_FOOT / 2 &&
+      (isVertical ? point.y : point.x) > lo - 1 &&
+      (isVertical ? point.y : point.x) < hi + 1;
+    mergedStructure.sectionJunctions.push({
+      p1: { ...p1 },
+      p2: { ...p2 },
+      lengthFeet: junctionBeam.lengthFeet,
+      isFlush,
+      endingSectionId: endingResult.section.id,
+      endingJoists: mergedStructure.joists.filter(
+        (j) => isBeamVertical(j) !== isVertical && (endsOnJunction(j.p1) || endsOnJunction(j.p2))
+      ).length,
+      replacedBeams: replaced.length,
+    });
+  });
+
+  const firstPost = sectionResults[0].structure.posts?.[0];
+  const rebuilt = recalculatePostsForMergedBeams(
+    mergedStructure.beams,
+    firstPost?.size || inputs.postSize || "6x6",
+    (firstPost?.heightFeet || 4) * 12,
+    sectionResults[0].structure.footings?.[0]?.type || inputs.footingType || "concrete"
+  );
+  mergedStructure.posts = rebuilt.posts;
+  mergedStructure.footings = rebuilt.footings;
+}
+
+// ================================================
+// WRAP-AROUND DECKS
+// ================================================
+
+const MIN_JACK_JOIST_FEET = WRAP_AROUND_MIN_JACK_JOIST_INCHES / 12;
+
+const pointAt = (p1, p2, t) => ({ x: p1.x + (p2.x - p1.x) * t, y: p1.y + (p2.y - p1.y) * t });
+
+const getSizeDepth = (size) => parseInt(String(size || "").split("x")[1], 10) || 0;
+
+/**
+ * Cuts a zone's framing back to the zone outline. Members framed past the hip or the
+ * house corner are trimmed to the part inside the zone; beams that are cut keep a note of
+ * their uncut line so their posts can be redone.
+ * @param {Object} structure - calculateStructure result for the zone's framing outline
+ * @param {Object} zone - Zone from splitWrapAroundZones
+ * @param {number} sectionId - Zone number (1 for the first selected wall)
+ * @returns {Object} Zone components plus cutBeams [{original, pieces}] and joistSpanFeet
+ */
+function clipStructureToZone(structure, zone, sectionId) {
+  const clipMember = (member, minFeet) =>
+    clipSegmentToZone(member.p1, member.p2, zone.points)
+      .map(({ t0, t1 }) => {
+        const p1 = pointAt(member.p1, member.p2, t0);
+        const p2 = pointAt(member.p1, member.p2, t1);
+        const piece = { ...member, p1, p2, lengthFeet: distance(p1, p2) / PIXELS_PER_FOOT, sectionId };
+        if (t0 > EPSILON || t1 < 1 - EPSILON) piece.isCut = true;
+        return piece;
+      })
+      .filter((piece) => piece.lengthFeet >= minFeet);
+  const isInZone = (point) => isPointInsidePolygon(point, zone.points) || isPointNearPolygonEdge(point, zone.points, 1);
+
+  // The ledger runs the length of its wall, from the house corner
+  let ledger = null;
+  if (structure.ledger) {
+    const sameWay =
+      (structure.ledger.p2.x - structure.ledger.p1.x) * (zone.ledgerP2.x - zone.ledgerP1.x) +
+        (structure.ledger.p2.y - structure.ledger.p1.y) * (zone.ledgerP2.y - zone.ledgerP1.y) >= 0;
+    const [p1, p2] = sameWay ? [zone.ledgerP1, zone.ledgerP2] : [zone.ledgerP2, zone.ledgerP1];
+    ledger = { ...structure.ledger, p1: { ...p1 }, p2: { ...p2 }, lengthFeet: distance(p1, p2) / PIXELS_PER_FOOT, sectionId };
+  }
+
+  const beams = [];
+  const cutBeams = [];
+  (structure.beams || []).forEach((beam) => {
+    const pieces = clipMember(beam, 0.1);
+    pieces.forEach((piece) => {
+      if (!piece.isCut) return;
+      // A cut beam's axis is the piece itself
+      piece.centerlineP1 = { ...piece.p1 };
+      piece.centerlineP2 = { ...piece.p2 };
+      piece.positionCoordinateLineP1 = { ...piece.p1 };
+      piece.positionCoordinateLineP2 = { ...piece.p2 };
+    });
+    if (pieces.some((piece) => piece.isCut) || pieces.length === 0) cutBeams.push({ original: beam, pieces });
+    beams.push(...pieces);
+  });
+
+  const joists = (structure.joists || []).flatMap((joist) => clipMember(joist, MIN_JACK_JOIST_FEET));
+  return {
+    ledger,
+    beams,
+    cutBeams,
+    joists,
+    joistSpanFeet: Math.max(0, ...joists.map((j) => j.lengthFeet)),
+    rimJoists: (structure.rimJoists || []).flatMap((rim) => clipMember(rim, 0.1)),
+    posts: (structure.posts || []).filter(isInZone).map((post) => ({ ...post, sectionId })),
+    footings: (structure.footings || []).filter(isInZone).map((footing) => ({ ...footing, sectionId })),
+    midSpanBlocking: (structure.midSpanBlocking || []).flatMap((b) => clipMember(b, 0.1)),
+    pictureFrameBlocking: (structure.pictureFrameBlocking || []).flatMap((b) => clipMember(b, 0.1)),
+    joistSpacingInches: structure.joistSpacingInches,
+    mechanicsAdjustments: structure.mechanicsAdjustments || [],
+    totalDepthFeet: structure.totalDepthFeet || 0,
+  };
+}
+
+/**
+ * Post stations along a beam: at hip meeting points, inset from free ends, and often
+ * enough between them to stay within MAX_POST_SPACING_FEET.
+ * @param {Object} p1 - Beam axis start
+ * @param {Object} p2 - Beam axis end
+ * @param {Array<Object>} fixedPoints - Points on the axis that must carry a post
+ * @returns {Array<{x: number, y: number, isCorner: boolean}>} Stations in order from p1
+ */
+function getBeamPostStations(p1, p2, fixedPoints = []) {
+  const length = distance(p1, p2);
+  if (length < EPSILON) return [];
+  const insetPixels = Math.min(POST_INSET_FEET * PIXELS_PER_FOOT, length / 2);
+  const along = (point) => ((point.x - p1.x) * (p2.x - p1.x) + (point.y - p1.y) * (p2.y - p1.y)) / length;
+
+  const fixed = fixedPoints.map(along).sort((a, b) => a - b);
+  const positions = [...fixed];
+  if (fixed.length === 0 || fixed[0] > 2 * insetPixels) positions.unshift(insetPixels);
+  if (fixed.length === 0 || length - fixed[fixed.length - 1] > 2 * insetPixels) positions.push(length - insetPixels);
+
+  const stations = [];
+  positions.forEach((position, i) => {
+    const previous = positions[i - 1];
+    if (previous !== undefined) {
+      const bays = Math.ceil((position - previous) / (MAX_POST_SPACING_FEET * PIXELS_PER_FOOT));
+      for (let k = 1; k < bays; k++) {
+        stations.push({ ...pointAt(p1, p2, (previous + ((position - previous) * k) / bays) / length), isCorner: false });
+      }
+    }
+    const isFreeEnd = !fixed.includes(position) && (i === 0 || i === positions.length - 1);
+    stations.push({ ...pointAt(p1, p2, position / length), isCorner: isFreeEnd });
+  });
+  return stations;
+}
+
+/**
+ * Frames a deck that wraps an outside house corner. Each ledger frames its own zone with
+ * joists square to its wall (see splitWrapAroundZones); the framing is cut back to the zone
+ * outlines, and a flush hip beam on the line between the zones carries the jack joists from
+ * both sides on skewed hangers. Beams cut at the hip share a post with it where they meet.
+ * Curved edges are not carried into the zones; they frame as straight chords.
+ * @param {Object} wrapAround - Corner from findWrapAroundCorner
+ * @param {Object} inputs - User input parameters
+ * @param {Array<number>} selectedWallIndices - Ledger walls; the first selected one supplies structure.ledger
+ * @param {Array<{x: number, y: number}>} originalPoints - Deck outline
+ * @returns {Object} Combined structural components with the second wall's ledger as wrapLedger
+ *   and a wrapAround summary, or {error}
+ */
+function calculateWrapAroundStructure(wrapAround, inputs, selectedWallIndices, originalPoints) {
+  const split = splitWrapAroundZones(originalPoints, wrapAround);
+  if (split.error) return { error: split.error };
+
+  const zones = [...split.zones].sort(
+    (a, b) => selectedWallIndices.indexOf(a.wallIndex) - selectedWallIndices.indexOf(b.wallIndex)
+  );
+  // Openings, load zones, moved beams/posts and pattern seams are applied once on the combined structure
+  const zoneInputs = {
+    ...inputs,
+    loadZones: [],
+    cutouts: [],
+    edgeArcs: {},
+    framingOverrides: null,
+    decking: inputs.decking && { ...inputs.decking, pattern: "straight" },
+  };
+  const zoneResults = [];
+  for (const zone of zones) {
+    const structure = deckCalculations.calculateStructure(
+      zone.framingPoints,
+      zone.framingLedgerIndex,
+      zoneInputs,
+      zone.framingDimensions
+    );
+    if (!structure || structure.error) {
+      return { error: `Wrap-around zone ${zoneResults.length + 1} failed: ${structure?.error || "no structure"}` };
+    }
+    zoneResults.push(clipStructureToZone(structure, zone, zoneResults.length + 1));
+  }
+
+  const hipP1 = split.corner;
+  const hipP2 = split.hipEnd;
+  const isOnHip = (point) => pointToSegmentDistanceLocal(point, hipP1, hipP2) < 1;
+  const template = zoneResults.flatMap((r) => r.posts)[0] || {};
+  const footingType = inputs.footingType;
+  const posts = [];
+  const footings = [];
+  const addStations = (stations, usage, joistSpanFt, sectionId) => {
+    stations.forEach((station, i) => {
+      const neighbours = [stations[i - 1], stations[i + 1]].filter(Boolean);
+      const spacingFt =
+        neighbours.reduce((sum, n) => sum + distance(station, n), 0) / Math.max(1, neighbours.length) / PIXELS_PER_FOOT;
+      posts.push({
+        x: station.x,
+        y: station.y,
+        size: template.size || inputs.postSize,
+        heightInches: template.heightInches,
+        heightFeet: template.heightFeet,
+        usage,
+        sectionId,
+      });
+      const footing = deckCalculations.createFooting(
+        station.x,
+        station.y,
+        footingType,
+        calculateTributaryArea(spacingFt, joistSpanFt, station.isCorner),
+        station.isCorner
+      );
+      footing.sectionId = sectionId;
+      footings.push(footing);
+    });
+  };
+
+  // Beams cut back to the hip are reposted, with a post where each meets the hip
+  const hipMeetPoints = [];
+  zoneResults.forEach((result, index) => {
+    result.cutBeams.forEach(({ original, pieces }) => {
+      const axisP1 = original.centerlineP1 || original.p1;
+      const axisP2 = original.centerlineP2 || original.p2;
+      const onOriginal = (point) => pointToSegmentDistanceLocal(point, axisP1, axisP2) < 1;
+      result.posts = result.posts.filter((post) => !onOriginal(post));
+      result.footings = result.footings.filter((footing) => !onOriginal(footing));
+      pieces.forEach((piece) => {
+        const meets = [piece.p1, piece.p2].filter(isOnHip);
+        meets.forEach((point) => {
+          if (!hipMeetPoints.some((p) => distance(p, point) < PIXELS_PER_FOOT)) hipMeetPoints.push({ ...point });
+        });
+        addStations(getBeamPostStations(piece.p1, piece.p2, meets), piece.usage, result.joistSpanFeet, index + 1);
+      });
+    });
+    posts.push(...result.posts);
+    footings.push(...result.footings);
+  });
+
+  // Flush hip beam from the house corner out to the deck edge, sized like the deepest zone beam
+  const zoneBeams = zoneResults.flatMap((r) => r.beams);
+  const sizeBeam = zoneBeams.reduce((best, beam) => (getSizeDepth(beam.size) > getSizeDepth(best?.size) ? beam : best), null);
+  const hipBeam = {
+    p1: { ...hipP1 },
+    p2: { ...hipP2 },
+    centerlineP1: { ...hipP1 },
+    centerlineP2: { ...hipP2 },
+    positionCoordinateLineP1: { ...hipP1 },
+    positionCoordinateLineP2: { ...hipP2 },
+    size: sizeBeam?.size || inputs.joistSize || "2x10",
+    ply: Math.max(2, ...zoneBeams.map((b) => b.ply || 1)),
+    lengthFeet: distance(hipP1, hipP2) / PIXELS_PER_FOOT,
+    usage: "Hip Beam",
+    isFlush: true,
+    isAngled: true,
+    angle: deckCalculations.getEdgeAngle(hipP1, hipP2),
+  };
+  const hipStations = getBeamPostStations(hipP1, hipP2, hipMeetPoints);
+  addStations(hipStations, hipBeam.usage, zoneResults.reduce((sum, r) => sum + r.joistSpanFeet, 0), 0);
+
+  // Jack joists from both zones hang on the hip in skewed hangers
+  const joists = deckCalculations.applySkewedHangers(
+    zoneResults.flatMap((r) => r.joists),
+    [hipBeam]
+  );
+  const jackJoists = joists.filter((j) => isOnHip(j.p1) || isOnHip(j.p2));
+
+  const [primary, secondary] = zoneResults;
+  const spacings = zoneResults.map((r) => r.joistSpacingInches).filter(Boolean);
+  return {
+    ledger: primary.ledger,
+    wrapLedger: secondary.ledger,
+    beams: [...zoneBeams, hipBeam],
+    joists,
+    rimJoists: zoneResults.flatMap((r) => r.rimJoists),
+    posts: removeDuplicatePosts(posts),
+    footings: removeDuplicateFootings(footings),
+    midSpanBlocking: zoneResults.flatMap((r) => r.midSpanBlocking),
+    pictureFrameBlocking: zoneResults.flatMap((r) => r.pictureFrameBlocking),
+    joistSpacingInches: spacings.length > 0 ? Math.min(...spacings) : undefined,
+    mechanicsAdjustments: [...new Set(zoneResults.flatMap((r) => r.mechanicsAdjustments))],
+    totalDepthFeet: Math.max(...zoneResults.map((r) => r.totalDepthFeet)),
+    wrapAround: {
+      corner: { ...hipP1 },
+      hipEnd: { ...hipP2 },
+      hipLengthFeet: hipBeam.lengthFeet,
+      hipPosts: hipStations.length,
+      jackJoists: jackJoists.length,
+      wallIndices: zones.map((zone) => zone.wallIndex),
+    },
+  };
+}
+
 /**
  * Validates the merged structural result for common issues:
  * 1. No two beams overlap (occupy the same space)
@@ -826,6 +1360,7 @@ export function handleBeamMerging(allBeams, originalPoints = null) {
           beam1.centerlineP1 = clippedBeam.p1;
           beam1.centerlineP2 = clippedBeam.p2;
           beam1.lengthFt = clippedBeam.lengthFt;
+          beam1.lengthFeet = clippedBeam.lengthFt;
         } else if (clippedBeam && clippedBeam.removed) {
           beam1.removed = true;
         }
@@ -834,8 +1369,8 @@ export function handleBeamMerging(allBeams, originalPoints = null) {
     }
   }
 
-  // Filter out beams that were marked for removal (outside boundary)
-  const validBeams = mergedBeams.filter(beam => !beam.removed && beam.lengthFt > 0.1);
+  // Filter out beams that were marked for removal (outside boundary); unclipped single beams keep their section length
+  const validBeams = mergedBeams.filter(beam => !beam.removed && (beam.lengthFt ?? beam.lengthFeet) > 0.1);
 
   return validBeams;
 }
@@ -1022,6 +1557,8 @@ function mergeBeamGroup(beamGroup, originalPoints = null) {
     }
   }
 
+  mergedBeam.lengthFeet = mergedBeam.lengthFt;
+
   // Mark as merged for enhanced rendering
   mergedBeam.isMerged = true;
   mergedBeam.mergedFromCount = beamGroup.length;
@@ -0,0 +1,455 @@
+// railingCalculations.js - Guard/railing layout for deck edges and stair sides
+// Produces post positions, rail sections and gate openings. The canvas draws the
+// layout directly and bomCalculations.js turns it into posts, rails, balusters and connectors.
+
+import {
+  EPSILON,
+  PIXELS_PER_FOOT,
+  ACTUAL_4X4_WIDTH_INCHES,
+  RAILING_MAX_POST_SPACING_FEET,
+  RAILING_BALUSTER_MAX_GAP_INCHES,
+  RAILING_BALUSTER_WIDTH_INCHES,
+  RAILING_GUARD_REQUIRED_HEIGHT_INCHES,
+  RAILING_TALL_GUARD_THRESHOLD_INCHES,
+  DEFAULT_GATE_WIDTH_FEET,
+} from "./config.js";
+import { getStairPlanLayout } from "./stairCalculations.js";
+
+const POST_MERGE_TOLERANCE_PIXELS = 1;
+const STAIR_EDGE_TOLERANCE_PIXELS = PIXELS_PER_FOOT / 4;
+const MIN_SECTION_LENGTH_FEET = 0.25; // Ignore slivers left between an opening and a corner
+const HANDRAIL_REQUIRED_RISERS = 4; // Handrail required with more than 3 risers (OBC 9.8.7.1)
+
+// ================================================
+// RULES
+// ================================================
+
+/**
+ * Minimum guard height for a deck surface at the given height above grade.
+ * @param {number} deckHeightInches - Walking surface height above grade
+ * @returns {number} Required guard height in inches (36 or 42)
+ */
+export function getRequiredGuardHeightInches(deckHeightInches) {
+  return deckHeightInches > RAILING_TALL_GUARD_THRESHOLD_INCHES ? 42 : 36;
+}
+
+/**
+ * Resolves the railing height setting ('auto' | '36' | '42') to inches.
+ * @param {string|number} railHeight - Railing height setting
+ * @param {number} deckHeightInches - Deck height used when the setting is 'auto'
+ * @returns {number} Railing height in inches
+ */
+export function resolveRailHeightInches(railHeight, deckHeightInches) {
+  if (!railHeight || railHeight === "auto") {
+    return getRequiredGuardHeightInches(deckHeightInches || 0);
+  }
+  const height = parseFloat(railHeight);
+  return height > 0 ? height : 36;
+}
+
+/**
+ * Number of balusters needed so no gap along the section exceeds the max gap.
+ * @param {number} clearSpanInches - Clear distance between post faces
+ * @param {number} balusterWidthInches - Baluster face width
+ * @param {number} maxGapInches - Largest allowed opening
+ * @returns {number} Baluster count
+ */
+export function calculateBalusterCount(
+  clearSpanInches,
+  balusterWidthInches = RAILING_BALUSTER_WIDTH_INCHES,
+  maxGapInches = RAILING_BALUSTER_MAX_GAP_INCHES
+) {
+  if (!(clearSpanInches > maxGapInches)) return 0;
+  // n balusters leave n + 1 gaps: (clear - n * width) / (n + 1) <= maxGap
+  return Math.ceil(
+    (clearSpanInches - maxGapInches) / (balusterWidthInches + maxGapInches) - EPSILON
+  );
+}
+
+// ================================================
+// GEOMETRY HELPERS
+// ================================================
+
+function getEdge(points, edgeIndex) {
+  const p1 = points[edgeIndex];
+  const p2 = points[(edgeIndex + 1) % points.length];
+  const dx = p2.x - p1.x;
+  const dy = p2.y - p1.y;
+  const lengthPixels = Math.sqrt(dx * dx + dy * dy);
+  return {
+    p1,
+    p2,
+    lengthPixels,
+    lengthFeet: lengthPixels / PIXELS_PER_FOOT,
+    ux: lengthPixels > 0 ? dx / lengthPixels : 0,
+    uy: lengthPixels > 0 ? dy / lengthPixels : 0,
+  };
+}
+
+function pointAlongEdge(edge, offsetFeet) {
+  const offsetPixels = offsetFeet * PIXELS_PER_FOOT;
+  return {
+    x: edge.p1.x + edge.ux * offsetPixels,
+    y: edge.p1.y + edge.uy * offsetPixels,
+  };
+}
+
+function distanceToSegment(point, p1, p2) {
+  const dx = p2.x - p1.x;
+  const dy = p2.y - p1.y;
+  const lenSq = dx * dx + dy * dy;
+  if (lenSq === 0) return Math.hypot(point.x - p1.x, point.y - p1.y);
+  let t = ((point.x - p1.x) * dx + (point.y - p1.y) * dy) / lenSq;
+  t = Math.max(0, Math.min(1, t));
+  return Math.hypot(point.x - (p1.x + t * dx), point.y - (p1.y + t * dy));
+}
+
+/**
+ * Projects a point onto a deck edge.
+ * @param {{x: number, y: number}} point - Model-space point
+ * @param {Array<{x: number, y: number}>} points - Deck outline
+ * @param {number} edgeIndex - Edge from points[i] to points[i + 1]
+ * @returns {{offsetFeet: number, edgeLengthFeet: number}|null} Distance from the edge start
+ */
+export function projectPointOntoEdge(point, points, edgeIndex) {
+  if (!point || !points || edgeIndex < 0 || edgeIndex >= points.length) return null;
+  const edge = getEdge(points, edgeIndex);
+  if (edge.lengthPixels < EPSILON) return null;
+  const along = (point.x - edge.p1.x) * edge.ux + (point.y - edge.p1.y) * edge.uy;
+  const offsetFeet = Math.max(0, Math.min(edge.lengthFeet, along / PIXELS_PER_FOOT));
+  return { offsetFeet, edgeLengthFeet: edge.lengthFeet };
+}
+
+/**
+ * Creates a gate centred at the clicked point, slid along the edge so it fits.
+ * @param {Array<{x: number, y: number}>} points - Deck outline
+ * @param {number} edgeIndex - Edge the gate sits on
+ * @param {{x: number, y: number}} clickPoint - Model-space click position
+ * @param {number} widthFeet - Gate opening width
+ * @returns {{edgeIndex: number, offsetFeet: number, widthFeet: number}|null} Null if the edge is too short
+ */
+export function placeGateOnEdge(points, edgeIndex, clickPoint, widthFeet = DEFAULT_GATE_WIDTH_FEET) {
+  const projection = projectPointOntoEdge(clickPoint, points, edgeIndex);
+  if (!projection || widthFeet <= 0) return null;
+  // Leave room for a post on either side of the opening
+  const postWidthFeet = ACTUAL_4X4_WIDTH_INCHES / 12;
+  if (projection.edgeLengthFeet < widthFeet + postWidthFeet - EPSILON) return null;
+  const halfWidth = widthFeet / 2;
+  const offsetFeet = Math.max(
+    halfWidth,
+    Math.min(projection.edgeLengthFeet - halfWidth, projection.offsetFeet)
+  );
+  return { edgeIndex, offsetFeet, widthFeet };
+}
+
+/**
+ * Finds the deck outline edge a stair hangs off.
+ * @param {Object} stair - Stair object with positionX/positionY and rimP1/rimP2
+ * @param {Array<{x: number, y: number}>} points - Deck outline
+ * @returns {number} Edge index or -1
+ */
+export function findStairEdgeIndex(stair, points) {
+  if (!stair || !points || points.length < 3 || typeof stair.positionX !== "number") return -1;
+  const position = { x: stair.positionX, y: stair.positionY };
+  const rimDx = stair.rimP2 ? stair.rimP2.x - stair.rimP1.x : 0;
+  const rimDy = stair.rimP2 ? stair.rimP2.y - stair.rimP1.y : 0;
+  const rimLength = Math.hypot(rimDx, rimDy);
+
+  for (let i = 0; i < points.length; i++) {
+    const edge = getEdge(points, i);
+    if (edge.lengthPixels < EPSILON) continue;
+    if (distanceToSegment(position, edge.p1, edge.p2) > STAIR_EDGE_TOLERANCE_PIXELS) continue;
+    if (rimLength > EPSILON) {
+      const cross = (rimDx / rimLength) * edge.uy - (rimDy / rimLength) * edge.ux;
+      if (Math.abs(cross) > 0.01) continue;
+    }
+    return i;
+  }
+  return -1;
+}
+
+/**
+ * Computes the two stringer-side rail lines for each run of a stair.
+ * "Left" and "right" are as seen walking down the stairs.
+ * @param {Object} stair - Calculated stair object
+ * @param {Array<{x: number, y: number}>} deckPoints - Deck outline (used to find the outward side)
+ * @returns {Array<Object>} One { left: {top, bottom}, right: {top, bottom}, runFeet, riseFeet } per run with treads
+ */
+export function getStairRailLines(stair, deckPoints) {
+  const plan = getStairPlanLayout(stair, deckPoints);
+  if (!plan) return [];
+
+  return plan.runs
+    .filter((run) => run.runFeet > 0)
+    .map((run) => ({
+      left: { top: run.topLeft, bottom: run.bottomLeft },
+      right: { top: run.topRight, bottom: run.bottomRight },
+      runFeet: run.runFeet,
+      riseFeet: run.riseFeet,
+    }));
+}
+
+// ================================================
+// LAYOUT
+// ================================================
+
+const POST_TYPE_PRIORITY = { line: 0, end: 1, corner: 2, stair: 3, gate: 4 };
+
+function addPost(posts, point, type, source) {
+  const existing = posts.find(
+    (p) => Math.hypot(p.x - point.x, p.y - point.y) <= POST_MERGE_TOLERANCE_PIXELS
+  );
+  if (existing) {
+    if (existing.type === "end" && type === "end") {
+      existing.type = "corner";
+    } else if (POST_TYPE_PRIORITY[type] > POST_TYPE_PRIORITY[existing.type]) {
+      existing.type = type;
+    }
+    return existing;
+  }
+  const post = { x: point.x, y: point.y, type, ...source };
+  posts.push(post);
+  return post;
+}
+
+function addRunSections(posts, sections, start, end, lengthFeet, maxSpacingFeet, section) {
+  const count = Math.max(1, Math.ceil(lengthFeet / maxSpacingFeet - EPSILON));
+  const added = [];
+  let prev = start;
+  for (let i = 1; i <= count; i++) {
+    const t = i / count;
+    const next = {
+      x: start.x + (end.x - start.x) * t,
+      y: start.y + (end.y - start.y) * t,
+    };
+    if (i < count) addPost(posts, next, "line", { edgeIndex: section.edgeIndex, stairIndex: section.stairIndex });
+    const newSection = { ...section, p1: prev, p2: next, lengthFeet: lengthFeet / count };
+    sections.push(newSection);
+    added.push(newSection);
+    prev = next;
+  }
+  return added;
+}
+
+function belongsToTier(stair, tierId) {
+  if (!tierId) return true;
+  return stair.sourceTierId === tierId || (!stair.sourceTierId && tierId === "upper");
+}
+
+/**
+ * Lays out railing posts, sections and gates for the selected deck edges and stair sides.
+ *
+ * @param {Array<{x: number, y: number}>} points - Closed deck outline
+ * @param {number[]} railingEdgeIndices - Outline edges that get a guard
+ * @param {Array<Object>} stairs - Stair objects; `railingSides: {left, right}` selects stair rails
+ * @param {Object} railingState - { railHeight, maxPostSpacingFt, capRail, gates: [{edgeIndex, offsetFeet, widthFeet, tierId}] }
+ * @param {Object} options - { deckHeightInches, ledgerEdgeIndices, tierId }
+ * @returns {Object} { posts, sections, gates, railHeightInches, totals, warnings }
+ */
+export function calculateRailingLayout(points, railingEdgeIndices, stairs = [], railingState = {}, options = {}) {
+  const { deckHeightInches = 0, ledgerEdgeIndices = [], tierId = null } = options;
+  const maxSpacingFeet = Math.min(
+    RAILING_MAX_POST_SPACING_FEET,
+    parseFloat(railingState.maxPostSpacingFt) || RAILING_MAX_POST_SPACING_FEET
+  );
+  const layout = {
+    posts: [],
+    sections: [],
+    gates: [],
+    railHeightInches: resolveRailHeightInches(railingState.railHeight, deckHeightInches),
+    maxPostSpacingFeet: maxSpacingFeet,
+    capRail: railingState.capRail !== false,
+    totals: {
+      deckLinearFeet: 0,
+      stairLinearFeet: 0,
+      linearFeet: 0,
+      postCount: 0,
+      sectionCount: 0,
+      balusterCount: 0,
+      gateCount: 0,
+    },
+    warnings: [],
+  };
+  if (!points || points.length < 3) return layout;
+
+  const tierStairs = (stairs || [])
+    .map((stair, stairIndex) => ({ stair, stairIndex }))
+    .filter(({ stair }) => belongsToTier(stair, tierId));
+
+  const edgeIndices = [...new Set(railingEdgeIndices || [])]
+    .filter((i) => Number.isInteger(i) && i >= 0 && i < points.length)
+    .filter((i) => !ledgerEdgeIndices.includes(i))
+    .sort((a, b) => a - b);
+
+  const gates = (railingState.gates || []).filter(
+    (g) => !tierId || !g.tierId || g.tierId === tierId
+  );
+
+  // --- Deck edges ---
+  edgeIndices.forEach((edgeIndex) => {
+    const edge = getEdge(points, edgeIndex);
+    if (edge.lengthFeet < MIN_SECTION_LENGTH_FEET) return;
+
+    const openings = [];
+    gates
+      .filter((g) => g.edgeIndex === edgeIndex)
+      .forEach((gate) => {
+        const half = (gate.widthFeet || DEFAULT_GATE_WIDTH_FEET) / 2;
+        openings.push({
+          startFt: Math.max(0, gate.offsetFeet - half),
+          endFt: Math.min(edge.lengthFeet, gate.offsetFeet + half),
+          type: "gate",
+          gate,
+        });
+      });
+    tierStairs.forEach(({ stair, stairIndex }) => {
+      if (findStairEdgeIndex(stair, points) !== edgeIndex) return;
+      const projection = projectPointOntoEdge(
+        { x: stair.positionX, y: stair.positionY },
+        points,
+        edgeIndex
+      );
+      const half = (stair.widthFt || 4) / 2;
+      openings.push({
+        startFt: Math.max(0, projection.offsetFeet - half),
+        endFt: Math.min(edge.lengthFeet, projection.offsetFeet + half),
+        type: "stair",
+        stairIndex,
+      });
+    });
+    openings.sort((a, b) => a.startFt - b.startFt);
+
+    let cursorFt = 0;
+    let prevBoundaryType = "end";
+    openings.forEach((opening) => {
+      if (opening.startFt < cursorFt - EPSILON) {
+        layout.warnings.push(
+          opening.type === "gate"
+            ? `Gate on edge ${edgeIndex + 1} overlaps another opening and was skipped.`
+            : `Stairs ${opening.stairIndex + 1} overlap a gate on edge ${edgeIndex + 1}.`
+        );
+        return;
+      }
+      const runLength = opening.startFt - cursorFt;
+      if (runLength >= MIN_SECTION_LENGTH_FEET) {
+        const start = pointAlongEdge(edge, cursorFt);
+        const end = pointAlongEdge(edge, opening.startFt);
+        addPost(layout.posts, start, prevBoundaryType, { edgeIndex });
+        addPost(layout.posts, end, opening.type, { edgeIndex });
+        addRunSections(layout.posts, layout.sections, start, end, runLength, maxSpacingFeet, {
+          kind: "deck",
+          edgeIndex,
+        });
+        layout.totals.deckLinearFeet += runLength;
+      }
+      if (opening.type === "gate") {
+        const gateP1 = pointAlongEdge(edge, opening.startFt);
+        const gateP2 = pointAlongEdge(edge, opening.endFt);
+        addPost(layout.posts, gateP1, "gate", { edgeIndex });
+        addPost(layout.posts, gateP2, "gate", { edgeIndex });
+        layout.gates.push({
+          id: opening.gate.id,
+          edgeIndex,
+          p1: gateP1,
+          p2: gateP2,
+          widthFeet: opening.endFt - opening.startFt,
+        });
+      }
+      cursorFt = opening.endFt;
+      prevBoundaryType = opening.type;
+    });
+
+    const tailLength = edge.lengthFeet - cursorFt;
+    if (tailLength >= MIN_SECTION_LENGTH_FEET) {
+      const start = pointAlongEdge(edge, cursorFt);
+      addPost(layout.posts, start, prevBoundaryType, { edgeIndex });
+      addPost(layout.posts, edge.p2, "end", { edgeIndex });
+      addRunSections(layout.posts, layout.sections, start, edge.p2, tailLength, maxSpacingFeet, {
+        kind: "deck",
+        edgeIndex,
+      });
+      layout.totals.deckLinearFeet += tailLength;
+    }
+  });
+
+  // --- Stair sides ---
+  tierStairs.forEach(({ stair, stairIndex }) => {
+    const sides = stair.railingSides || {};
+    const runLines = getStairRailLines(stair, points);
+    if (runLines.length === 0) return;
+
+    const needsHandrail = (stair.calculatedNumRisers || 0) >= HANDRAIL_REQUIRED_RISERS;
+    if (needsHandrail && !sides.left && !sides.right) {
+      layout.warnings.push(
+        `Stairs ${stairIndex + 1} have ${stair.calculatedNumRisers} risers and need at least one handrail.`
+      );
+    }
+
+    (stair.landings || []).forEach((landing) => {
+      const aboveGradeInches = landing.heightAboveGradeInches ?? landing.heightInches;
+      if (aboveGradeInches > RAILING_GUARD_REQUIRED_HEIGHT_INCHES) {
+        layout.warnings.push(
+          `Landing ${landing.index + 1} on stairs ${stairIndex + 1} is ${Math.round(aboveGradeInches)}" above grade and needs guards on its open sides.`
+        );
+      }
+    });
+
+    runLines.forEach((lines) => {
+      ["left", "right"].forEach((side) => {
+        if (!sides[side]) return;
+        const { top, bottom } = lines[side];
+        const slopedLengthFeet = Math.hypot(lines.runFeet, lines.riseFeet);
+        addPost(layout.posts, top, "stair", { stairIndex });
+        addPost(layout.posts, bottom, "stair", { stairIndex });
+        // Stair rails follow the slope, so posts are spaced by sloped length
+        const added = addRunSections(layout.posts, layout.sections, top, bottom, slopedLengthFeet, maxSpacingFeet, {
+          kind: "stair",
+          stairIndex,
+          side,
+        });
+        added.forEach((section) => {
+          section.horizontalLengthFeet = lines.runFeet / added.length;
+        });
+        layout.totals.stairLinearFeet += slopedLengthFeet;
+      });
+    });
+  });
+
+  // --- Balusters and totals ---
+  const postWidthInches = ACTUAL_4X4_WIDTH_INCHES;
+  layout.sections.forEach((section) => {
+    section.balusterCount = calculateBalusterCount(section.lengthFeet * 12 - postWidthInches);
+    layout.totals.balusterCount += section.balusterCount;
+  });
+
+  layout.totals.deckLinearFeet = parseFloat(layout.totals.deckLinearFeet.toFixed(2));
+  layout.totals.stairLinearFeet = parseFloat(layout.totals.stairLinearFeet.toFixed(2));
+  layout.totals.linearFeet = parseFloat(
+    (layout.totals.deckLinearFeet + layout.totals.stairLinearFeet).toFixed(2)
+  );
+  layout.totals.postCount = layout.posts.length;
+  layout.totals.sectionCount = layout.sections.length;
+  layout.totals.gateCount = layout.gates.length;
+
+  // --- Code checks ---
+  if (deckHeightInches > RAILING_GUARD_REQUIRED_HEIGHT_INCHES) {
+    const coveredByStairs = new Set(
+      tierStairs.map(({ stair }) => findStairEdgeIndex(stair, points))
+    );
+    for (let i = 0; i < points.length; i++) {
+      if (edgeIndices.includes(i) || ledgerEdgeIndices.includes(i) || coveredByStairs.has(i)) continue;
+      if (getEdge(points, i).lengthFeet < MIN_SECTION_LENGTH_FEET) continue; // closing point duplicate
+      layout.warnings.push(
+        `Edge ${i + 1} is more than ${RAILING_GUARD_REQUIRED_HEIGHT_INCHES}" above grade and has no guard.`
+      );
+    }
+  }
+  const requiredHeight = getRequiredGuardHeightInches(deckHeightInches);
+  if (layout.sections.length > 0 && layout.railHeightInches < requiredHeight) {
+    layout.warnings.push(
+      `Railing height ${layout.railHeightInches}" is below the ${requiredHeight}" required at this deck height.`
+    );
+  }
+
+  return layout;
+}
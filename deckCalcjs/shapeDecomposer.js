@@ -722,7 +722,7 @@ export function visualizeDecomposition(rectangles) {
 // Helper functions
 
 /**
- * Checks if any edge in the polygon is a diagonal (45-degree) edge
+ * Checks if any edge in the polygon is a diagonal (angled) edge
  * @param {Array<{x: number, y: number}>} points - Array of polygon points
  * @returns {boolean} True if polygon has at least one diagonal edge
  */
@@ -981,7 +981,7 @@ export function canDecomposeShape(points) {
     // Basic validation
     if (points.length < 4) return false;
 
-    // Check if all edges are horizontal, vertical, or 45-degree diagonal
+    // Any edge angle can be decomposed; only zero-length edges are rejected
     for (let i = 0; i < points.length - 1; i++) {
       const p1 = points[i];
       const p2 = points[i + 1];
@@ -1000,7 +1000,7 @@ export function canDecomposeShape(points) {
 }
 
 /**
- * Classifies an edge as horizontal, vertical, diagonal (45°), or other
+ * Classifies an edge as horizontal, vertical, diagonal (any other angle), or other (zero length)
  * @param {Object} p1 - Start point {x, y}
  * @param {Object} p2 - End point {x, y}
  * @param {number} tolerance - Angle tolerance in degrees (default 2°)
@@ -1029,16 +1029,12 @@ function classifyEdgeType(p1, p2, tolerance = 2) {
     return 'vertical';
   }
 
-  // Diagonal (45°): angle near 45°
-  if (Math.abs(angleDeg - 45) < tolerance) {
-    return 'diagonal';
-  }
-
-  return 'other';
+  // Diagonal: any angle between the axes
+  return 'diagonal';
 }
 
 /**
- * Checks if a shape has any diagonal (45°) edges
+ * Checks if a shape has any diagonal (angled) edges
  * @param {Array<{x: number, y: number}>} points - Array of points defining the shape
  * @returns {boolean} True if shape has diagonal edges
  */
@@ -1,7 +1,7 @@
 // shapeValidator.js - Shape validation for complex deck shapes
 // Validates deck shapes and ensures they can be decomposed into rectangles
 
-import { EPSILON, PIXELS_PER_FOOT, MODEL_WIDTH_FEET } from "./config.js";
+import { EPSILON, PIXELS_PER_FOOT, MODEL_WIDTH_FEET, MIN_CORNER_ANGLE_DEGREES } from "./config.js";
 import { distance } from "./utils.js";
 
 const MIN_DECK_DIM_FEET = 4; // Minimum 4 feet for both width and height
@@ -110,7 +110,7 @@ export function validateShape(points) {
     return selfIntersectionCheck;
   }
 
-  // Check that all corners are 90-degree angles
+  // Check that no corner is too sharp to frame
   const rightAngleCheck = hasOnlyRightAngles(shapePoints);
   if (!rightAngleCheck.isValid) {
     return rightAngleCheck;
@@ -138,7 +138,8 @@ export function validateShape(points) {
 }
 
 /**
- * Checks that all corners in the shape have valid angles (90° or 45°/135°)
+ * Checks that all corners in the shape are framable. Any edge angle is allowed,
+ * but corners sharper than MIN_CORNER_ANGLE_DEGREES are rejected.
  * @param {Array<{x: number, y: number}>} points - Array of points defining the shape
  * @returns {{isValid: boolean, error: string | null}} Validation result
  */
@@ -167,29 +168,13 @@ export function hasOnlyRightAngles(points) {
 
     const cosAngle = dotProduct / (magnitude1 * magnitude2);
 
-    // Valid angles for deck shapes (interior angles):
-    // 0° = collinear edges pointing same direction (cosine ≈ 1)
-    // 45° = sharp corner (cosine ≈ 0.707)
-    // 90° = perpendicular edges (cosine ≈ 0)
-    // 135° = obtuse corner (cosine ≈ -0.707)
-    // 180° = collinear edges pointing opposite directions (cosine ≈ -1)
-
-    const tolerance = 0.15; // Slightly increased tolerance for 45° angles
-    const cos45 = Math.SQRT1_2; // ~0.707
-
-    const is0Degree = Math.abs(cosAngle - 1) < tolerance; // cosine near 1
-    const is45Degree = Math.abs(Math.abs(cosAngle) - cos45) < tolerance; // cosine near ±0.707
-    const is90Degree = Math.abs(cosAngle) < tolerance; // cosine near 0
-    const is135Degree = Math.abs(cosAngle + cos45) < tolerance; // cosine near -0.707
-    const is180Degree = Math.abs(cosAngle + 1) < tolerance; // cosine near -1
-
-    if (!is0Degree && !is45Degree && !is90Degree && !is135Degree && !is180Degree) {
-      // This is not a valid angle
-      const angleInRadians = Math.acos(Math.min(1, Math.max(-1, Math.abs(cosAngle))));
-      const angleInDegrees = angleInRadians * 180 / Math.PI;
+    // Angle between the two edges at this corner (0° = edges fold back onto each other)
+    const angleInDegrees = Math.acos(Math.min(1, Math.max(-1, cosAngle))) * 180 / Math.PI;
+
+    if (angleInDegrees < MIN_CORNER_ANGLE_DEGREES - EPSILON) {
       return {
         isValid: false,
-        error: `Invalid angle at point ${i + 1}: ${angleInDegrees.toFixed(1)}°. Only 90° and 45°/135° corners are supported.`
+        error: `Invalid angle at point ${i + 1}: ${angleInDegrees.toFixed(1)}°. Corners must be at least ${MIN_CORNER_ANGLE_DEGREES}°.`
       };
     }
   }
@@ -240,11 +225,11 @@ function checkSelfIntersections(points) {
  */
 function canBeDecomposedIntoRectangles(points) {
   // For a polygon to be decomposable, it must be:
-  // 1. Have valid angles (90° or 45°/135°) - already checked
+  // 1. Have framable corner angles - already checked
   // 2. Simple (no self-intersections) - already checked
 
   // Check that the shape forms a valid polygon with allowed edge types
-  // All edges must be either horizontal, vertical, or 45-degree diagonal
+  // Every edge must have a direction (angled edges are trimmed during framing)
   for (let i = 0; i < points.length; i++) {
     const p1 = points[i];
     const p2 = points[(i + 1) % points.length];
@@ -254,7 +239,7 @@ function canBeDecomposedIntoRectangles(points) {
     if (edgeType === 'other') {
       return {
         isValid: false,
-        error: `Edge ${i + 1} is not aligned to a valid angle. Edges must be horizontal, vertical, or at 45°.`
+        error: `Edge ${i + 1} has no length.`
       };
     }
   }
@@ -264,7 +249,7 @@ function canBeDecomposedIntoRectangles(points) {
 }
 
 /**
- * Classifies an edge as horizontal, vertical, diagonal (45°), or other
+ * Classifies an edge as horizontal, vertical, diagonal (any other angle), or other (zero length)
  * @param {Object} p1 - Start point {x, y}
  * @param {Object} p2 - End point {x, y}
  * @param {number} tolerance - Angle tolerance in degrees (default 2°)
@@ -293,12 +278,8 @@ export function classifyEdge(p1, p2, tolerance = 2) {
     return 'vertical';
   }
 
-  // Diagonal (45°): angle near 45°
-  if (Math.abs(angleDeg - 45) < tolerance) {
-    return 'diagonal';
-  }
-
-  return 'other';
+  // Diagonal: any angle between the axes
+  return 'diagonal';
 }
 
 /**
@@ -324,10 +305,10 @@ export function getEdgeLength(p1, p2) {
 }
 
 /**
- * Checks if an edge is diagonal (45°)
+ * Checks if an edge is diagonal (neither horizontal nor vertical)
  * @param {Object} p1 - Start point {x, y}
  * @param {Object} p2 - End point {x, y}
- * @returns {boolean} True if edge is at 45°
+ * @returns {boolean} True if edge is angled
  */
 export function isDiagonalEdge(p1, p2) {
   return classifyEdge(p1, p2) === 'diagonal';
@@ -452,8 +433,8 @@ export function isSimplePolygon(points) {
 export function getValidationRequirements() {
   return `Deck shapes must meet the following requirements:
 • At least 3 unique corner points
-• All corners must be 90° or 45°/135° angles
-• All edges must be horizontal, vertical, or at 45°
+• Edges may be at any angle
+• No corner sharper than ${MIN_CORNER_ANGLE_DEGREES}°
 • No self-intersecting lines
 • Shape must be a simple closed polygon`;
 }
\ No newline at end of file
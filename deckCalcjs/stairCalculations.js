@@ -1,22 +1,436 @@
 // stairCalculations.js
 
+import {
+  PIXELS_PER_FOOT,
+  EPSILON,
+  ACTUAL_2X_THICKNESS_INCHES,
+  STAIR_MAX_FLIGHT_RISE_INCHES,
+  STAIR_MIN_LANDING_DEPTH_INCHES,
+  STAIR_LANDING_JOIST_SIZE,
+  STAIR_LANDING_JOIST_SPACING_INCHES,
+  STAIR_LANDING_TALL_POST_THRESHOLD_INCHES,
+  STAIR_DEFAULT_TARGET_RISE_INCHES,
+  STAIR_DEFAULT_TREAD_DEPTH_INCHES,
+  STAIR_DEFAULT_NOSING_INCHES,
+  STAIR_COMFORT_MIN_INCHES,
+  STAIR_COMFORT_MAX_INCHES,
+  STAIR_CODE_PROFILES,
+  DEFAULT_STAIR_CODE_PROFILE,
+  STAIR_GRADE_TOLERANCE_INCHES,
+  STAIR_GRADE_MAX_ITERATIONS,
+  STRINGER_STOCK_DEPTH_INCHES,
+  STRINGER_MIN_THROAT_INCHES,
+  STAIR_TREAD_THICKNESS_INCHES,
+  STRINGER_END_ALLOWANCE_FEET,
+  STRINGER_STOCK_LENGTHS_FEET,
+} from "./config.js";
+import { applyFootingDesign, createFooting } from "./deckCalculations.js";
+import { isPointInsidePolygon } from "./structuralValidator.js";
+
 // --- Constants (Consider moving to config.js if used elsewhere) ---
-const IDEAL_RISE_INCHES = 7.5;
-const STANDARD_RUN_PER_STEP_INCHES = 10.5;
 const MIN_STRINGERS = 2;
 // Max stringer spacing isn't directly used in the quantity rules from the brief,
 // but could be a fallback or for validation later.
 // const MAX_STRINGER_SPACING_INCHES = 16;
+const LANDING_POST_INSET_FEET = 0.25; // Landing posts sit just inside the landing corners
+const DECK_BOARD_COVERAGE_INCHES = 5.5 + 0.1875; // 5/4x6 board plus 3/16" gap
+
+// Minimum number of runs for each stair shape; "straight" can still gain landings on tall decks
+const MIN_RUNS_BY_SHAPE = { straight: 1, l_shape: 2, u_shape: 2 };
+
+/**
+ * Calculates the stringer quantity for a run based on stair width and stringer type.
+ * @param {number} stairWidthFt - Stair width in feet
+ * @param {string} stringerType - pylex_steel | lvl_wood | custom_2x12
+ * @returns {{qty: number, note: string}}
+ */
+function calculateStringerQty(stairWidthFt, stringerType) {
+  let calculatedNumStringers;
+  let spacingLogicNote = "";
+
+  if (stringerType === "pylex_steel") {
+    // Rule: Qty = Width (ft)
+    calculatedNumStringers = stairWidthFt;
+    spacingLogicNote = "Rule: Qty = Width (ft)";
+  } else if (stringerType === "lvl_wood" || stringerType === "custom_2x12") {
+    // Rule: Qty = Width (ft) + 1
+    calculatedNumStringers = stairWidthFt + 1;
+    spacingLogicNote = "Rule: Qty = Width (ft) + 1";
+  } else {
+    // Fallback if type is unknown (shouldn't happen with select dropdown)
+    // For now, let's default to the LVL/Custom rule as a safer fallback
+    calculatedNumStringers = stairWidthFt + 1;
+    spacingLogicNote = `Unknown type (${stringerType}), using fallback: Width (ft) + 1`;
+    console.warn(
+      `Unknown stringer type "${stringerType}" encountered during calculation.`
+    );
+  }
+
+  // Ensure minimum number of stringers and round result
+  return {
+    qty: Math.max(MIN_STRINGERS, Math.round(calculatedNumStringers)),
+    note: spacingLogicNote,
+  };
+}
+
+/**
+ * Splits the total riser count into runs. Earlier (upper) runs take any extra riser.
+ * @param {number} totalRisers - Total number of risers from deck to grade
+ * @param {number} runCount - Number of runs
+ * @returns {number[]} Risers per run, top run first
+ */
+function splitRisersIntoRuns(totalRisers, runCount) {
+  const base = Math.floor(totalRisers / runCount);
+  const extra = totalRisers % runCount;
+  return Array.from({ length: runCount }, (_, i) => base + (i < extra ? 1 : 0));
+}
+
+// --- Local plan geometry ---
+// Stair-local plan coordinates are in feet: origin at the centre of the top of the stair on the
+// rim, +y pointing away from the deck, +x to the right when walking down.
+const add = (a, b) => ({ x: a.x + b.x, y: a.y + b.y });
+const scale = (v, s) => ({ x: v.x * s, y: v.y * s });
+const rightOf = (d) => ({ x: d.y, y: -d.x });
+const leftOf = (d) => ({ x: -d.y, y: d.x });
+
+/**
+ * Corners of a rectangle whose near edge is centred on `nearCenter`.
+ * @returns {Array<{x: number, y: number}>} [nearLeft, nearRight, farRight, farLeft]
+ */
+function rectCorners(nearCenter, dir, leftExtent, rightExtent, depth) {
+  const right = rightOf(dir);
+  const nearLeft = add(nearCenter, scale(right, -leftExtent));
+  const nearRight = add(nearCenter, scale(right, rightExtent));
+  return [nearLeft, nearRight, add(nearRight, scale(dir, depth)), add(nearLeft, scale(dir, depth))];
+}
+
+/**
+ * Builds landing posts, footings, framing and decking for one landing.
+ * @param {Object} landing - Landing with localCorners and heightInches above the deck-edge grade
+ * @param {string} footingType - Footing type for the landing posts
+ * @param {function({x: number, y: number}): number} gradeAt - Grade elevation (inches) at a local point
+ * @param {Object|null} frame - Stair frame from getStairFrame; footings stay in local feet without one
+ * @param {Object} footingInputs - Site and load inputs for applyFootingDesign
+ */
+function buildLandingMaterials(landing, footingType, gradeAt, frame, footingInputs) {
+  const { widthFt, depthFt, heightInches, localCorners } = landing;
+  const center = scale(localCorners.reduce((sum, c) => add(sum, c), { x: 0, y: 0 }), 0.25);
+  landing.heightAboveGradeInches = heightInches - gradeAt(center);
+  const postSize = landing.heightAboveGradeInches > STAIR_LANDING_TALL_POST_THRESHOLD_INCHES ? "6x6" : "4x4";
+  const tributaryArea = (widthFt * depthFt) / 4;
+
+  landing.posts = localCorners.map((corner) => {
+    const dx = center.x - corner.x;
+    const dy = center.y - corner.y;
+    const len = Math.hypot(dx, dy) || 1;
+    const inset = LANDING_POST_INSET_FEET * Math.SQRT2;
+    const post = {
+      x: corner.x + (dx / len) * inset,
+      y: corner.y + (dy / len) * inset,
+      size: postSize,
+    };
+    post.heightFeet = (heightInches - gradeAt(post)) / 12;
+    return post;
+  });
+  // Posts stay stair-local for the plan layout; footings sit in model space like the deck's
+  landing.footings = landing.posts.map((post) => {
+    const at = frame ? stairLocalToModel(frame, post) : post;
+    return createFooting(at.x, at.y, footingType, tributaryArea, true);
+  });
+  applyFootingDesign(landing.footings, { ...footingInputs, footingType });
+
+  // Rims across the landing front and back; joists span front-to-back at 16" O.C.
+  const joistCount =
+    Math.ceil((widthFt * 12) / STAIR_LANDING_JOIST_SPACING_INCHES) + 1;
+  const joistLengthFeet = depthFt - (2 * ACTUAL_2X_THICKNESS_INCHES) / 12;
+  landing.framing = {
+    size: STAIR_LANDING_JOIST_SIZE,
+    rimJoists: [{ lengthFeet: widthFt }, { lengthFeet: widthFt }],
+    joists: Array.from({ length: joistCount }, () => ({ lengthFeet: joistLengthFeet })),
+  };
+
+  // Deck boards run across the landing width
+  landing.deckBoards = {
+    count: Math.ceil((depthFt * 12) / DECK_BOARD_COVERAGE_INCHES),
+    lengthFeet: widthFt,
+  };
+}
+
+/**
+ * Lays out runs and landings in stair-local plan coordinates. Landing materials are added
+ * separately once the grade is known.
+ * @returns {{x: number, y: number}} Local position of the stair foot (centre of the bottom tread edge)
+ */
+function layoutRunsAndLandings(stairObject) {
+  const widthFt = stairObject.widthFt || 4;
+  const turnDirection = stairObject.turnDirection === "left" ? "left" : "right";
+  const runs = stairObject.runs;
+  const landings = [];
+  const warnings = [];
+
+  let start = { x: 0, y: 0 };
+  let dir = { x: 0, y: 1 };
+
+  runs.forEach((run, i) => {
+    const runFeet = run.totalRunInches / 12;
+    run.localStart = start;
+    run.localDirection = dir;
+    if (i === runs.length - 1) return;
+
+    // Only the first landing turns; further landings on tall stairs continue straight
+    let turnDegrees = 0;
+    if (i === 0 && stairObject.stairShape === "l_shape") turnDegrees = 90;
+    if (i === 0 && stairObject.stairShape === "u_shape") turnDegrees = 180;
+
+    const side = turnDirection === "left" ? leftOf(dir) : rightOf(dir);
+    const nearCenter = add(start, scale(dir, runFeet));
+    const landing = {
+      index: i,
+      heightInches: run.bottomHeightInches,
+      turnDegrees,
+      turnDirection: turnDegrees ? turnDirection : null,
+    };
+
+    if (turnDegrees === 90) {
+      landing.widthFt = widthFt;
+      landing.depthFt = widthFt;
+      landing.localCorners = rectCorners(nearCenter, dir, widthFt / 2, widthFt / 2, widthFt);
+      const landingCenter = add(nearCenter, scale(dir, widthFt / 2));
+      start = add(landingCenter, scale(side, widthFt / 2));
+      dir = side;
+    } else if (turnDegrees === 180) {
+      // The return run sits alongside the first run, so the landing spans both
+      landing.widthFt = widthFt * 2;
+      landing.depthFt = widthFt;
+      const turnsRight = turnDirection === "right";
+      landing.localCorners = rectCorners(
+        nearCenter,
+        dir,
+        turnsRight ? widthFt / 2 : widthFt * 1.5,
+        turnsRight ? widthFt * 1.5 : widthFt / 2,
+        widthFt
+      );
+      start = add(nearCenter, scale(side, widthFt));
+      dir = scale(dir, -1);
+      const nextRunFeet = runs[i + 1].totalRunInches / 12;
+      if (nextRunFeet > runFeet + EPSILON) {
+        warnings.push(
+          `Return run is longer than the first run by ${((nextRunFeet - runFeet) * 12).toFixed(1)}" and will hit the deck.`
+        );
+      }
+    } else {
+      const depthFt = Math.max(STAIR_MIN_LANDING_DEPTH_INCHES / 12, Math.min(widthFt, 4));
+      landing.widthFt = widthFt;
+      landing.depthFt = depthFt;
+      landing.localCorners = rectCorners(nearCenter, dir, widthFt / 2, widthFt / 2, depthFt);
+      start = add(nearCenter, scale(dir, depthFt));
+    }
+
+    landings.push(landing);
+  });
+
+  stairObject.landings = landings;
+  stairObject.layoutWarnings = warnings;
+
+  const lastRun = runs[runs.length - 1];
+  return add(lastRun.localStart, scale(lastRun.localDirection, lastRun.totalRunInches / 12));
+}
+
+/**
+ * Resolves how the grade at the stair foot is given.
+ * 'elevation' is the foot grade relative to the grade below the deck edge (+ is higher);
+ * 'slope' is the grade slope in percent along the stair direction (+ rises away from the deck).
+ * @param {Object} stairObject - Stair with optional gradeMode, gradeElevationInches, gradeSlopePercent
+ * @returns {{mode: string, elevationInches: number, slopePercent: number}}
+ */
+function resolveStairGrade(stairObject) {
+  const mode = ["elevation", "slope"].includes(stairObject.gradeMode) ? stairObject.gradeMode : "flat";
+  const finiteOr0 = (value) => (Number.isFinite(value) ? value : 0);
+  return {
+    mode,
+    elevationInches: mode === "elevation" ? finiteOr0(stairObject.gradeElevationInches) : 0,
+    slopePercent: mode === "slope" ? finiteOr0(stairObject.gradeSlopePercent) : 0,
+  };
+}
+
+/**
+ * Splits the rise from the deck to the stair foot into risers and runs and lays them out.
+ * @returns {{numRisers: number, risePerStepInches: number, footLocal: {x: number, y: number}}}
+ */
+function buildRunsForRise(stairObject, deckHeightInches, totalRiseInches, geometry, codeProfile, maxFlightRiseInches, stringers) {
+  const numRisers = Math.ceil(totalRiseInches / geometry.targetRiseInches); // Round up
+  // Add risers if the target rise would break the code maximum (e.g. a 7.9" rise under OBC)
+  const minRisersForCode = codeProfile.maxRiseInches
+    ? Math.ceil(totalRiseInches / codeProfile.maxRiseInches)
+    : 1;
+  // Ensure numRisers is at least 1 to avoid division by zero
+  const actualNumRisers = Math.max(1, numRisers, minRisersForCode);
+  const actualRisePerStepInches = totalRiseInches / actualNumRisers;
+
+  // --- Runs ---
+  const maxRisersPerRun = Math.max(1, Math.floor(maxFlightRiseInches / actualRisePerStepInches));
+  let runCount = Math.max(
+    MIN_RUNS_BY_SHAPE[stairObject.stairShape],
+    Math.ceil(actualNumRisers / maxRisersPerRun)
+  );
+  // Every run needs at least one riser; very short stairs fall back to fewer runs
+  runCount = Math.min(runCount, actualNumRisers);
+
+  let heightAbove = deckHeightInches;
+  stairObject.runs = splitRisersIntoRuns(actualNumRisers, runCount).map((risers, index) => {
+    // Number of treads is one less than the number of risers; the last riser lands on the landing/grade
+    const numTreads = Math.max(0, risers - 1);
+    const riseInches = risers * actualRisePerStepInches;
+    const run = {
+      index,
+      numRisers: risers,
+      numTreads,
+      risePerStepInches: parseFloat(actualRisePerStepInches.toFixed(2)),
+      runPerStepInches: geometry.runPerStepInches,
+      totalRunInches: numTreads * geometry.runPerStepInches,
+      topHeightInches: heightAbove,
+      bottomHeightInches: heightAbove - riseInches,
+      stringerQty: stringers.qty,
+    };
+    heightAbove -= riseInches;
+    return run;
+  });
+
+  return {
+    numRisers: actualNumRisers,
+    risePerStepInches: actualRisePerStepInches,
+    footLocal: layoutRunsAndLandings(stairObject),
+  };
+}
+
+/**
+ * Resolves a stair's geometry overrides against the defaults.
+ * @param {Object} stairObject - Stair with optional targetRiseInches, treadDepthInches, nosingInches
+ * @returns {{targetRiseInches: number, treadDepthInches: number, nosingInches: number, runPerStepInches: number}}
+ */
+function resolveStairGeometry(stairObject) {
+  const positiveOr = (value, fallback) =>
+    typeof value === "number" && value > 0 ? value : fallback;
+  const targetRiseInches = positiveOr(stairObject.targetRiseInches, STAIR_DEFAULT_TARGET_RISE_INCHES);
+  const treadDepthInches = positiveOr(stairObject.treadDepthInches, STAIR_DEFAULT_TREAD_DEPTH_INCHES);
+  const nosingInches =
+    typeof stairObject.nosingInches === "number" && stairObject.nosingInches >= 0
+      ? stairObject.nosingInches
+      : STAIR_DEFAULT_NOSING_INCHES;
+  return {
+    targetRiseInches,
+    treadDepthInches,
+    nosingInches,
+    runPerStepInches: treadDepthInches - nosingInches,
+  };
+}
+
+/**
+ * Looks up a stair code profile, falling back to the default profile for unknown keys.
+ * @param {string} profileKey - Key into STAIR_CODE_PROFILES
+ * @returns {{key: string, profile: Object}}
+ */
+export function getStairCodeProfile(profileKey) {
+  const key = STAIR_CODE_PROFILES[profileKey] ? profileKey : DEFAULT_STAIR_CODE_PROFILE;
+  return { key, profile: STAIR_CODE_PROFILES[key] };
+}
+
+/**
+ * Checks a calculated stair against a building code profile, plus the stringer throat for
+ * site-cut stringers. Violations break a limit; warnings (the 2R + T comfort rule) do not.
+ * @param {Object} stairObject - Stair after calculateStairDetails
+ * @param {string} profileKey - Key into STAIR_CODE_PROFILES
+ * @returns {{violations: string[], warnings: string[]}}
+ */
+export function checkStairCompliance(stairObject, profileKey) {
+  const { profile } = getStairCodeProfile(profileKey);
+  const violations = [];
+  const warnings = [];
+  const fmt = (inches) => `${parseFloat(inches.toFixed(2))}"`;
+  const ref = profile.riseReference;
+
+  const rise = stairObject.calculatedRisePerStepInches;
+  const run = stairObject.calculatedRunPerStepInches;
+  const treadDepth = stairObject.calculatedTreadDepthInches;
+  const nosing = stairObject.calculatedNosingInches;
+  const hasTreads = stairObject.calculatedNumSteps > 0;
+
+  if (profile.maxRiseInches !== null && rise > profile.maxRiseInches + 0.001) {
+    violations.push(`Rise ${fmt(rise)} exceeds the ${fmt(profile.maxRiseInches)} maximum (${ref}).`);
+  }
+  if (profile.minRiseInches !== null && rise < profile.minRiseInches - 0.001) {
+    violations.push(`Rise ${fmt(rise)} is below the ${fmt(profile.minRiseInches)} minimum (${ref}).`);
+  }
+
+  if (hasTreads) {
+    if (profile.minRunInches !== null && run < profile.minRunInches - 0.001) {
+      violations.push(`Run ${fmt(run)} is below the ${fmt(profile.minRunInches)} minimum (${ref}).`);
+    }
+    if (profile.maxRunInches !== null && run > profile.maxRunInches + 0.001) {
+      violations.push(`Run ${fmt(run)} exceeds the ${fmt(profile.maxRunInches)} maximum (${ref}).`);
+    }
+    if (profile.minTreadDepthInches !== null && treadDepth < profile.minTreadDepthInches - 0.001) {
+      violations.push(`Tread depth ${fmt(treadDepth)} is below the ${fmt(profile.minTreadDepthInches)} minimum (${ref}).`);
+    }
+    if (profile.maxTreadDepthInches !== null && treadDepth > profile.maxTreadDepthInches + 0.001) {
+      violations.push(`Tread depth ${fmt(treadDepth)} exceeds the ${fmt(profile.maxTreadDepthInches)} maximum (${ref}).`);
+    }
+    if (nosing > profile.maxNosingInches + 0.001) {
+      violations.push(`Nosing ${fmt(nosing)} exceeds the ${fmt(profile.maxNosingInches)} maximum (${ref}).`);
+    }
+    const nosingRequired =
+      profile.nosingRequiredBelowRunInches === null || run < profile.nosingRequiredBelowRunInches;
+    if (nosingRequired && nosing < profile.minNosingInches - 0.001) {
+      violations.push(`Nosing ${fmt(nosing)} is below the ${fmt(profile.minNosingInches)} minimum (${ref}).`);
+    }
+
+    const comfort = 2 * rise + run;
+    if (comfort < STAIR_COMFORT_MIN_INCHES || comfort > STAIR_COMFORT_MAX_INCHES) {
+      warnings.push(
+        `2R + T is ${fmt(comfort)}; ${STAIR_COMFORT_MIN_INCHES}" to ${STAIR_COMFORT_MAX_INCHES}" is comfortable.`
+      );
+    }
+  }
+
+  // Site-cut stringers need enough wood left below each notch
+  if (stairObject.stringerType === "custom_2x12") {
+    calculateStringerLayout(stairObject).forEach((layout) => {
+      if (!layout.throatOk) {
+        const runLabel = stairObject.runs?.length > 1 ? ` on run ${layout.runIndex + 1}` : "";
+        violations.push(
+          `Stringer throat ${fmt(layout.throatDepthInches)}${runLabel} is below the ${fmt(STRINGER_MIN_THROAT_INCHES)} minimum.`
+        );
+      }
+    });
+  }
+
+  const widthInches = (stairObject.widthFt || 0) * 12;
+  if (widthInches < profile.minWidthInches - 0.001) {
+    violations.push(`Width ${fmt(widthInches)} is below the ${fmt(profile.minWidthInches)} minimum.`);
+  }
+
+  return { violations, warnings };
+}
 
 /**
  * Calculates detailed properties for a single stair object based on deck height and user inputs.
  * Modifies the passed stairObject directly by adding calculated properties.
  *
+ * Stairs are split into runs joined by landings when the stair shape is L or U, or when one
+ * flight would rise more than STAIR_MAX_FLIGHT_RISE_INCHES. The top-level calculated* fields
+ * describe the whole stair; `runs` and `landings` carry the per-run and per-landing detail.
+ *
  * @param {Object} stairObject - The basic stair object containing at least { widthFt, stringerType, landingType }.
+ *   Optional: stairShape ('straight' | 'l_shape' | 'u_shape'), turnDirection ('left' | 'right'),
+ *   targetRiseInches, treadDepthInches, nosingInches and codeProfile (key into STAIR_CODE_PROFILES).
+ *   For sloped yards: gradeMode ('flat' | 'elevation' | 'slope') with gradeElevationInches or gradeSlopePercent.
  * @param {number} deckHeightInches - The total deck height from ground to top of deck floor in inches.
+ * @param {Object} [options] - { footingType, maxFlightRiseInches, deckPoints, footingInputs }
+ *   deckPoints places landing footings in model space; footingInputs (the form inputs) supply
+ *   the site frost depth, soil and design load for the landing footing design.
  * @returns {Object} The modified stairObject with added calculated properties, or the original object if calculation fails.
  */
-export function calculateStairDetails(stairObject, deckHeightInches) {
+export function calculateStairDetails(stairObject, deckHeightInches, options = {}) {
   // console.log(`Calculating details for stairs, deck height: ${deckHeightInches}"`);
 
   if (
@@ -34,64 +448,105 @@ export function calculateStairDetails(stairObject, deckHeightInches) {
     return stairObject;
   }
 
+  const {
+    footingType = stairObject.footingType || "gh_levellers",
+    maxFlightRiseInches = STAIR_MAX_FLIGHT_RISE_INCHES,
+    deckPoints = null,
+    footingInputs = {},
+  } = options;
+
   // Store the height used for calculation
   stairObject.deckHeightInches = deckHeightInches;
+  stairObject.stairShape = MIN_RUNS_BY_SHAPE[stairObject.stairShape] ? stairObject.stairShape : "straight";
+  stairObject.footingType = footingType;
+
+  const geometry = resolveStairGeometry(stairObject);
+  if (geometry.runPerStepInches <= 0) {
+    stairObject.calculationError = "Nosing must be less than the tread depth.";
+    return stairObject;
+  }
+  const { key: codeProfileKey, profile: codeProfile } = getStairCodeProfile(stairObject.codeProfile);
+  stairObject.codeProfile = codeProfileKey;
 
   // --- Rise and Run Calculations ---
-  const numRisers = Math.ceil(deckHeightInches / IDEAL_RISE_INCHES); // Round up
-  // Ensure numRisers is at least 1 to avoid division by zero
-  const actualNumRisers = Math.max(1, numRisers);
-  const actualRisePerStepInches = deckHeightInches / actualNumRisers;
-  // Number of treads is one less than the number of risers
-  const numSteps = Math.max(0, actualNumRisers - 1); // Can be 0 for very short heights
-  const totalRunInches = numSteps * STANDARD_RUN_PER_STEP_INCHES;
+  const stairWidthFt = stairObject.widthFt || 4; // Default to 4ft if missing
+  const stringers = calculateStringerQty(stairWidthFt, stairObject.stringerType);
+
+  // Heights are measured from the grade below the deck edge. On a slope the foot elevation
+  // depends on how far the stair runs, so recalculate until the run and the elevation agree.
+  const grade = resolveStairGrade(stairObject);
+  let footElevationInches = grade.elevationInches;
+  let gradeConverged = grade.mode !== "slope";
+  let gradeIterations = 0;
+  let stairRise;
+  while (gradeIterations < STAIR_GRADE_MAX_ITERATIONS) {
+    gradeIterations++;
+    const totalRiseInches = deckHeightInches - footElevationInches;
+    if (totalRiseInches <= 0) {
+      stairObject.calculationError = "Grade at the stair foot is at or above the deck surface.";
+      return stairObject;
+    }
+    stairRise = buildRunsForRise(
+      stairObject,
+      deckHeightInches,
+      totalRiseInches,
+      geometry,
+      codeProfile,
+      maxFlightRiseInches,
+      stringers
+    );
+    if (grade.mode !== "slope") break;
+
+    const slopedElevationInches = (grade.slopePercent / 100) * stairRise.footLocal.y * 12;
+    if (Math.abs(slopedElevationInches - footElevationInches) < STAIR_GRADE_TOLERANCE_INCHES) {
+      gradeConverged = true;
+      break;
+    }
+    footElevationInches = slopedElevationInches;
+  }
+  const actualNumRisers = stairRise.numRisers;
+  const actualRisePerStepInches = stairRise.risePerStepInches;
+
+  const numSteps = stairObject.runs.reduce((sum, run) => sum + run.numTreads, 0); // Can be 0 for very short heights
+  const totalRunInches = numSteps * geometry.runPerStepInches;
 
   stairObject.calculatedNumRisers = actualNumRisers;
   stairObject.calculatedRisePerStepInches = parseFloat(
     actualRisePerStepInches.toFixed(2)
   ); // Store with precision
   stairObject.calculatedNumSteps = numSteps;
-  stairObject.calculatedRunPerStepInches = STANDARD_RUN_PER_STEP_INCHES; // Store the standard run used
+  stairObject.calculatedRunPerStepInches = geometry.runPerStepInches; // Tread depth less nosing
+  stairObject.calculatedTreadDepthInches = geometry.treadDepthInches;
+  stairObject.calculatedNosingInches = geometry.nosingInches;
   stairObject.calculatedTotalRunInches = totalRunInches;
+  stairObject.calculatedTotalRiseInches = deckHeightInches - footElevationInches;
+  stairObject.calculatedFootElevationInches = parseFloat(footElevationInches.toFixed(2));
+  stairObject.gradeIterations = gradeIterations;
 
   // console.log(`  - Risers: ${actualNumRisers}, Rise/Step: ${actualRisePerStepInches.toFixed(2)}", Steps: ${numSteps}, Total Run: ${totalRunInches.toFixed(1)}"`);
 
   // --- Stringer Quantity Calculation (Based on Development Brief Rules) ---
-  const stairWidthFt = stairObject.widthFt || 4; // Default to 4ft if missing
-  const stringerType = stairObject.stringerType;
-  let calculatedNumStringers;
-  let spacingLogicNote = "";
+  // Quantity is per run; every run has its own set of stringers
+  stairObject.calculatedStringerQty = stringers.qty;
+  stairObject.stringerSpacingLogic = stringers.note; // Store how qty was derived
 
-  if (stringerType === "pylex_steel") {
-    // Rule: Qty = Width (ft)
-    calculatedNumStringers = stairWidthFt;
-    spacingLogicNote = "Rule: Qty = Width (ft)";
-  } else if (stringerType === "lvl_wood" || stringerType === "custom_2x12") {
-    // Rule: Qty = Width (ft) + 1
-    calculatedNumStringers = stairWidthFt + 1;
-    spacingLogicNote = "Rule: Qty = Width (ft) + 1";
-  } else {
-    // Fallback if type is unknown (shouldn't happen with select dropdown)
-    // Use a reasonable default like spacing calculation
-    // calculatedNumStringers = Math.ceil((stairWidthFt * 12) / MAX_STRINGER_SPACING_INCHES) + 1;
-    // For now, let's default to the LVL/Custom rule as a safer fallback
-    calculatedNumStringers = stairWidthFt + 1;
-    spacingLogicNote = `Unknown type (${stringerType}), using fallback: Width (ft) + 1`;
-    console.warn(
-      `Unknown stringer type "${stringerType}" encountered during calculation.`
-    );
-  }
+  // console.log(`  - Stringer Type: ${stringerType}, Width: ${stairWidthFt}', Qty Needed: ${calculatedNumStringers} (${spacingLogicNote})`);
 
-  // Ensure minimum number of stringers and round result
-  calculatedNumStringers = Math.max(
-    MIN_STRINGERS,
-    Math.round(calculatedNumStringers)
+  // --- Landings between runs ---
+  // Grade varies linearly with distance from the rim, reaching the foot elevation at the foot
+  const gradePerFootInches = stairRise.footLocal.y > EPSILON
+    ? footElevationInches / stairRise.footLocal.y
+    : 0;
+  const gradeAt = (localPoint) => gradePerFootInches * localPoint.y;
+  const frame = getStairFrame(stairObject, deckPoints);
+  stairObject.landings.forEach((landing) =>
+    buildLandingMaterials(landing, footingType, gradeAt, frame, footingInputs)
   );
-
-  stairObject.calculatedStringerQty = calculatedNumStringers;
-  stairObject.stringerSpacingLogic = spacingLogicNote; // Store how qty was derived
-
-  // console.log(`  - Stringer Type: ${stringerType}, Width: ${stairWidthFt}', Qty Needed: ${calculatedNumStringers} (${spacingLogicNote})`);
+  if (!gradeConverged) {
+    stairObject.layoutWarnings.push(
+      `Grade slope did not settle after ${gradeIterations} tries; check the foot elevation on site.`
+    );
+  }
 
   // --- Landing Material Placeholder ---
   // The actual BOM calculation will handle finding stock items and quantities.
@@ -115,7 +570,182 @@ export function calculateStairDetails(stairObject, deckHeightInches) {
   }
 
   stairObject.calculatedLandingReq = landingReq;
+
+  // --- Code compliance ---
+  const compliance = checkStairCompliance(stairObject, codeProfileKey);
+  stairObject.codeViolations = compliance.violations;
+  stairObject.codeWarnings = compliance.warnings;
+
   stairObject.calculationError = null; // Clear any previous error
 
   return stairObject; // Return the modified object
 }
+
+/**
+ * Cut layout for site-cut 2x12 stringers, one entry per run.
+ *
+ * Profile points are in inches with x running back from the bottom front of the stringer and
+ * y up from grade. The bottom riser is short by the tread thickness so every finished step has
+ * the same rise. Throat depth is the uncut wood left below each notch.
+ *
+ * @param {Object} stair - Calculated stair object
+ * @returns {Array<Object>} [{ runIndex, qty, numRisers, numTreads, risePerStepInches, runPerStepInches,
+ *   treadThicknessInches, bottomRiserInches, stockDepthInches, throatDepthInches, throatOk,
+ *   pitchAngleDegrees, stepDiagonalInches, lengthInches, stockLengthFeet, profile }]
+ */
+export function calculateStringerLayout(stair) {
+  const runs = stair.runs && stair.runs.length > 0
+    ? stair.runs
+    : [{
+        index: 0,
+        numRisers: stair.calculatedNumRisers || 0,
+        numTreads: stair.calculatedNumSteps || 0,
+        runPerStepInches: stair.calculatedRunPerStepInches,
+        topHeightInches: stair.deckHeightInches || 0,
+        bottomHeightInches: 0,
+        stringerQty: stair.calculatedStringerQty,
+      }];
+
+  return runs
+    .filter((run) => run.numTreads > 0)
+    .map((run) => {
+      const rise = (run.topHeightInches - run.bottomHeightInches) / run.numRisers;
+      const tread = run.runPerStepInches || STAIR_DEFAULT_TREAD_DEPTH_INCHES - STAIR_DEFAULT_NOSING_INCHES;
+      const drop = STAIR_TREAD_THICKNESS_INCHES;
+      const diagonal = Math.hypot(rise, tread);
+      const throat = STRINGER_STOCK_DEPTH_INCHES - (rise * tread) / diagonal;
+
+      // Top edge: short bottom riser, then tread/riser notches, then the plumb cut at the rim
+      const profile = [{ x: 0, y: 0 }, { x: 0, y: rise - drop }];
+      for (let k = 1; k <= run.numTreads; k++) {
+        profile.push({ x: k * tread, y: k * rise - drop });
+        profile.push({ x: k * tread, y: (k + 1) * rise - drop });
+      }
+      // Bottom edge sits one board depth below the pitch line through the notch points
+      const bottomEdgeY = (x) => (rise / tread) * x + (rise - drop) - (STRINGER_STOCK_DEPTH_INCHES * diagonal) / tread;
+      const topX = run.numTreads * tread;
+      profile.push({ x: topX, y: bottomEdgeY(topX) });
+      profile.push({ x: (-bottomEdgeY(0) * tread) / rise, y: 0 });
+
+      // Board length is the profile's extent along the pitch
+      const along = profile.map((p) => (p.x * tread + p.y * rise) / diagonal);
+      const lengthInches = Math.max(...along) - Math.min(...along) + STRINGER_END_ALLOWANCE_FEET * 12;
+      const stockLengthFeet = STRINGER_STOCK_LENGTHS_FEET.find((ft) => ft * 12 >= lengthInches - EPSILON) || null;
+
+      return {
+        runIndex: run.index,
+        qty: run.stringerQty,
+        numRisers: run.numRisers,
+        numTreads: run.numTreads,
+        risePerStepInches: rise,
+        runPerStepInches: tread,
+        treadThicknessInches: drop,
+        bottomRiserInches: rise - drop,
+        stockDepthInches: STRINGER_STOCK_DEPTH_INCHES,
+        throatDepthInches: throat,
+        throatOk: throat >= STRINGER_MIN_THROAT_INCHES - 0.001,
+        pitchAngleDegrees: (Math.atan2(rise, tread) * 180) / Math.PI,
+        stepDiagonalInches: diagonal,
+        lengthInches,
+        stockLengthFeet,
+        profile,
+      };
+    });
+}
+
+/**
+ * Works out where a stair sits in model space: the centre of its top edge, the direction
+ * it runs away from the deck, and the right-hand direction when walking down.
+ * @param {Object} stair - Stair object with rimP1/rimP2 and positionX/positionY
+ * @param {Array<{x: number, y: number}>} deckPoints - Deck outline (used to find the outward side)
+ * @returns {Object|null} { origin, outward, right } with unit vectors in model space
+ */
+export function getStairFrame(stair, deckPoints) {
+  if (!stair || !stair.rimP1 || !stair.rimP2 || typeof stair.positionX !== "number") return null;
+
+  const rimDx = stair.rimP2.x - stair.rimP1.x;
+  const rimDy = stair.rimP2.y - stair.rimP1.y;
+  const rimLength = Math.hypot(rimDx, rimDy) || EPSILON;
+  let outward = { x: -rimDy / rimLength, y: rimDx / rimLength };
+  const origin = { x: stair.positionX, y: stair.positionY };
+
+  // Stairs run away from the deck: flip if the probe lands inside the outline
+  if (deckPoints && deckPoints.length >= 3) {
+    const probe = add(origin, scale(outward, PIXELS_PER_FOOT / 2));
+    if (isPointInsidePolygon(probe, deckPoints)) {
+      outward = scale(outward, -1);
+    }
+  }
+
+  // With screen Y pointing down, the right hand while facing `outward` is (-y, x)
+  return { origin, outward, right: { x: -outward.y, y: outward.x } };
+}
+
+/**
+ * Converts a stair-local plan point (feet) to model coordinates.
+ */
+export function stairLocalToModel(frame, localPoint) {
+  return {
+    x: frame.origin.x + (frame.right.x * localPoint.x + frame.outward.x * localPoint.y) * PIXELS_PER_FOOT,
+    y: frame.origin.y + (frame.right.y * localPoint.x + frame.outward.y * localPoint.y) * PIXELS_PER_FOOT,
+  };
+}
+
+/**
+ * Model-space plan of every run and landing of a stair, for drawing and railing layout.
+ * Stairs calculated before runs existed are treated as one straight run.
+ * @param {Object} stair - Calculated stair object
+ * @param {Array<{x: number, y: number}>} deckPoints - Deck outline
+ * @returns {Object|null} { frame, runs: [{ index, topLeft, topRight, bottomLeft, bottomRight, direction, numTreads, numRisers, runFeet, riseFeet }], landings: [{ index, corners, posts }] }
+ */
+export function getStairPlanLayout(stair, deckPoints) {
+  const frame = getStairFrame(stair, deckPoints);
+  if (!frame) return null;
+
+  const widthFt = stair.widthFt || 4;
+  const runs = stair.runs && stair.runs.length > 0
+    ? stair.runs
+    : [{
+        index: 0,
+        numRisers: stair.calculatedNumRisers || 0,
+        numTreads: stair.calculatedNumSteps || 0,
+        risePerStepInches: stair.calculatedRisePerStepInches || 0,
+        totalRunInches: stair.calculatedTotalRunInches || 0,
+        localStart: { x: 0, y: 0 },
+        localDirection: { x: 0, y: 1 },
+      }];
+
+  const toModel = (p) => stairLocalToModel(frame, p);
+  const toModelDir = (d) => ({
+    x: frame.right.x * d.x + frame.outward.x * d.y,
+    y: frame.right.y * d.x + frame.outward.y * d.y,
+  });
+
+  return {
+    frame,
+    runs: runs.map((run) => {
+      const dir = run.localDirection || { x: 0, y: 1 };
+      const start = run.localStart || { x: 0, y: 0 };
+      const runFeet = run.totalRunInches / 12;
+      const [topLeft, topRight, bottomRight, bottomLeft] = rectCorners(start, dir, widthFt / 2, widthFt / 2, runFeet);
+      return {
+        index: run.index,
+        topLeft: toModel(topLeft),
+        topRight: toModel(topRight),
+        bottomLeft: toModel(bottomLeft),
+        bottomRight: toModel(bottomRight),
+        direction: toModelDir(dir),
+        numTreads: run.numTreads,
+        numRisers: run.numRisers,
+        runFeet,
+        riseFeet: (run.numRisers * (run.risePerStepInches || 0)) / 12,
+      };
+    }),
+    landings: (stair.landings || []).map((landing) => ({
+      index: landing.index,
+      heightInches: landing.heightInches,
+      corners: landing.localCorners.map(toModel),
+      posts: (landing.posts || []).map(toModel),
+    })),
+  };
+}
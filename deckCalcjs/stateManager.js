@@ -10,7 +10,8 @@ export const WIZARD_STEPS = [
   { id: 'structure', name: 'Structure', shortName: 'Structure', icon: 'grid' },
   { id: 'stairs', name: 'Stairs', shortName: 'Stairs', icon: 'stairs' },
   { id: 'decking', name: 'Decking', shortName: 'Decking', icon: 'boards' },
-  { id: 'railing', name: 'Railing', shortName: 'Railing', icon: 'fence', comingSoon: true },
+  { id: 'fascia', name: 'Fascia & Skirting', shortName: 'Fascia', icon: 'panel' },
+  { id: 'railing', name: 'Railing', shortName: 'Railing', icon: 'fence' },
   { id: 'review', name: 'Review & Save', shortName: 'Review', icon: 'clipboard' }
 ];
 
@@ -31,6 +32,10 @@ export function createTierState(overrides = {}) {
     heightInches: 0,
     points: [],
     selectedWallIndices: [],
+    railingEdgeIndices: [],
+    edgeArcs: {},             // Curved edges: edge index -> sagitta (model pixels, see arcCalculations.js)
+    sectionJoistDirections: {}, // Decomposed section id -> 'vertical' | 'horizontal' where the user turned its joists
+    framingOverrides: { beams: [], posts: [] }, // Beams and posts dragged off their automatic spots (see framingOverrideCalculations.js)
     structuralComponents: null,
     rectangularSections: [],
     deckDimensions: null,
@@ -48,16 +53,47 @@ export function createTierState(overrides = {}) {
  */
 export function createDeckingState() {
   return {
-    material: 'pt',           // 'pt' | 'cedar' | 'composite'
+    material: 'pt',           // 'pt' | 'cedar' | 'composite' | 'pvc'
     cedarSize: '5/4x6',       // '5/4x6' | '5/4x5' (only for cedar)
-    boardDirection: 'horizontal', // 'horizontal' | 'diagonal'
+    boardEdge: 'grooved',     // 'grooved' (hidden clips) | 'square' (face-screwed), composite and PVC only
+    boardColor: 'grey',       // Key of DECKING_COLORS, composite and PVC only
+    pattern: 'straight',      // 'straight' | 'herringbone' | 'chevron'
+    boardAngle: 0,            // Degrees off square to the joists (patterns lean 45 when 0)
     pictureFrame: 'none',     // 'none' | 'single' | 'double'
-    breakerBoards: [],        // Array of {position: number (feet from ledger), id: string}
+    breakerBoards: [],        // Array of {position: number (feet square to the joists from the deck's start), id: string}; the seams of a pattern
     breakerPlacementMode: false,
     showBoardLines: true
   };
 }
 
+/**
+ * Creates the default railing state
+ * @returns {Object} Railing state object
+ */
+export function createRailingState() {
+  return {
+    railHeight: 'auto',       // 'auto' | '36' | '42' (inches)
+    maxPostSpacingFt: 6,      // 4 | 5 | 6
+    capRail: true,            // 2x6 cap over the top rail
+    gateWidthFt: 3,           // Width used for newly placed gates
+    gates: [],                // Array of {id, tierId, edgeIndex, offsetFeet, widthFeet}
+    edgeSelectionMode: false,
+    gatePlacementMode: false
+  };
+}
+
+/**
+ * Creates the default fascia and skirting state
+ * @returns {Object} Fascia state object
+ */
+export function createFasciaState() {
+  return {
+    enabled: true,            // Fascia boards over the exposed rim joists
+    skirting: 'none',         // 'none' | 'lattice' | 'boards'
+    groundGapInches: 2        // Clearance left between the skirting and grade
+  };
+}
+
 /**
  * Creates the default layer visibility state
  * @returns {Object} Layer visibility state
@@ -72,7 +108,8 @@ export function createLayerVisibility() {
     blocking: true,
     dimensions: true,
     stairs: true,
-    decking: true
+    decking: true,
+    railing: true
   };
 }
 
@@ -90,7 +127,8 @@ export function createUnlockedLayers() {
     posts: false,       // Unlocked by completing Structure step
     blocking: false,    // Unlocked by completing Structure step
     stairs: false,      // Unlocked when first stair is placed
-    decking: false      // Unlocked when entering Decking step
+    decking: false,     // Unlocked when entering Decking step
+    railing: false      // Unlocked when entering Railing step
   };
 }
 
@@ -113,11 +151,24 @@ export function createInitialState() {
     isDraggingStairs: false,
     draggedStairIndex: -1,
     hoveredStairIndex: -1,
+    hoveredPostIndex: -1, // Post whose connector spec is shown on the canvas
     dragStartX: 0,
     dragStartY: 0,
     dragInitialStairX: 0,
     dragInitialStairY: 0,
 
+    // Heavy load zones (hot tubs, planters)
+    loadZones: [],            // Array of {id, tierId, shape, centerX, centerY, widthFeet, depthFeet | radiusFeet, loadType, loadValue}
+    loadZonePlacementMode: false,
+    loadZonePlacementShape: 'rect', // Shape of the zone being placed
+    loadZoneFirstPoint: null, // First click of a zone being placed
+
+    // Openings in the deck surface (trees, sunken hot tubs, hatches)
+    cutouts: [],              // Array of {id, tierId, shape, points, centerX, centerY, radiusFeet?, label}
+    cutoutPlacementMode: false,
+    cutoutPlacementShape: 'rect', // 'rect' | 'circle' | 'polygon'
+    cutoutDraftPoints: [],    // Clicks so far for the opening being drawn
+
     // Shape dragging state
     isDraggingShape: false,
     shapeDragStartMouse: null,
@@ -130,6 +181,9 @@ export function createInitialState() {
 
     // Complex shape decomposition
     showDecompositionShading: false,
+    sectionDirectionMode: false, // Clicking a section turns its joists
+    framingEditMode: false, // Beams and posts can be dragged on the plan
+    framingDrag: null, // {type: 'beam' | 'post', member} while dragging one
 
     // Viewport state
     viewportScale: 1.0,
@@ -182,6 +236,12 @@ export function createInitialState() {
     // Decking
     decking: createDeckingState(),
 
+    // Railing
+    railing: createRailingState(),
+
+    // Fascia & skirting
+    fascia: createFasciaState(),
+
     // Multi-tier
     tiersEnabled: true,
     activeTierId: 'upper',
@@ -232,6 +292,30 @@ export function createInitialState() {
     configurable: true,
     enumerable: true
   });
+  Object.defineProperty(state, 'railingEdgeIndices', {
+    get() { return state.tiers[state.activeTierId].railingEdgeIndices; },
+    set(v) { state.tiers[state.activeTierId].railingEdgeIndices = v; },
+    configurable: true,
+    enumerable: true
+  });
+  Object.defineProperty(state, 'edgeArcs', {
+    get() { return state.tiers[state.activeTierId].edgeArcs; },
+    set(v) { state.tiers[state.activeTierId].edgeArcs = v; },
+    configurable: true,
+    enumerable: true
+  });
+  Object.defineProperty(state, 'sectionJoistDirections', {
+    get() { return state.tiers[state.activeTierId].sectionJoistDirections; },
+    set(v) { state.tiers[state.activeTierId].sectionJoistDirections = v; },
+    configurable: true,
+    enumerable: true
+  });
+  Object.defineProperty(state, 'framingOverrides', {
+    get() { return state.tiers[state.activeTierId].framingOverrides; },
+    set(v) { state.tiers[state.activeTierId].framingOverrides = v; },
+    configurable: true,
+    enumerable: true
+  });
   Object.defineProperty(state, 'rectangularSections', {
     get() { return state.tiers[state.activeTierId].rectangularSections; },
     set(v) { state.tiers[state.activeTierId].rectangularSections = v; },
@@ -363,6 +447,16 @@ export function setActiveSelectedWallIndices(state, indices) {
   state.tiers[state.activeTierId].selectedWallIndices = indices;
 }
 
+/** Gets railingEdgeIndices for the active tier */
+export function getActiveRailingEdgeIndices(state) {
+  return state.tiers[state.activeTierId].railingEdgeIndices;
+}
+
+/** Sets railingEdgeIndices for the active tier */
+export function setActiveRailingEdgeIndices(state, indices) {
+  state.tiers[state.activeTierId].railingEdgeIndices = indices;
+}
+
 /** Gets rectangularSections for the active tier */
 export function getActiveRectangularSections(state) {
   return state.tiers[state.activeTierId].rectangularSections;
@@ -438,6 +532,15 @@ export function clearEditModes() {
   appState.hoveredEdgeIndex = -1;
   appState.isDraggingShape = false;
   appState.isDraggingStairs = false;
+  appState.railing.edgeSelectionMode = false;
+  appState.railing.gatePlacementMode = false;
+  appState.loadZonePlacementMode = false;
+  appState.loadZoneFirstPoint = null;
+  appState.cutoutPlacementMode = false;
+  appState.cutoutDraftPoints = [];
+  appState.sectionDirectionMode = false;
+  appState.framingEditMode = false;
+  appState.framingDrag = null;
 }
 
 // ================================================
@@ -472,6 +575,14 @@ export function unlockDeckingLayer() {
   console.log('[STATE] Decking layer unlocked');
 }
 
+/**
+ * Unlocks railing layer
+ */
+export function unlockRailingLayer() {
+  appState.unlockedLayers.railing = true;
+  console.log('[STATE] Railing layer unlocked');
+}
+
 /**
  * Sets visibility for a specific layer
  * @param {string} layerName - Layer name
@@ -263,6 +263,7 @@ export function validateStructuralComponents(components, deckPoints) {
   // Validate rim joists
   if (components.rimJoists && Array.isArray(components.rimJoists)) {
     components.rimJoists.forEach((rimJoist, index) => {
+      if (rimJoist.isCurved) return; // Follows the outline's curved edge by construction
       const result = validateRimJoist(rimJoist, deckPoints);
       if (!result.valid) {
         report.rimJoistIssues.push({ index, issues: result.issues });
@@ -681,6 +682,10 @@ export function autoCorrectComponents(components, deckPoints) {
     corrected.rimJoists = [];
     components.rimJoists.forEach(rim => {
       if (!rim || !rim.p1 || !rim.p2) return;
+      if (rim.isCurved) {
+        corrected.rimJoists.push(rim);
+        return;
+      }
 
       const clipped = clipSegmentToPolygon(rim.p1, rim.p2, deckPoints);
       if (clipped) {
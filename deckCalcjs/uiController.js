@@ -19,6 +19,13 @@ const stairsInputSection = document.getElementById("stairsInputSection");
 const stairWidthSelect = document.getElementById("stairWidth");
 const stringerTypeSelect = document.getElementById("stringerType");
 const landingTypeSelect = document.getElementById("landingType");
+const stairShapeSelect = document.getElementById("stairShape");
+const stairCodeProfileSelect = document.getElementById("stairCodeProfile");
+const stairTargetRiseInput = document.getElementById("stairTargetRise");
+const stairTreadDepthInput = document.getElementById("stairTreadDepth");
+const stairNosingInput = document.getElementById("stairNosing");
+const stairGradeModeSelect = document.getElementById("stairGradeMode");
+const stairGradeValueInput = document.getElementById("stairGradeValue");
 const stairTargetSelect = document.getElementById("stairTarget");
 
 const bomSection = document.getElementById("bomSection");
@@ -197,6 +204,14 @@ export function getFormInputs() {
     inputs["landingType"] = landingTypeSelect.options[0].value;
     inputs["stairTarget"] = "ground";
   }
+  // Layout is read directly so it applies regardless of the section toggle above
+  inputs["stairShape"] = stairShapeSelect ? stairShapeSelect.value : "straight";
+  inputs["stairCodeProfile"] = stairCodeProfileSelect ? stairCodeProfileSelect.value : "obc";
+  inputs["stairTargetRise"] = stairTargetRiseInput ? parseFloat(stairTargetRiseInput.value) : NaN;
+  inputs["stairTreadDepth"] = stairTreadDepthInput ? parseFloat(stairTreadDepthInput.value) : NaN;
+  inputs["stairNosing"] = stairNosingInput ? parseFloat(stairNosingInput.value) : NaN;
+  inputs["stairGradeMode"] = stairGradeModeSelect ? stairGradeModeSelect.value : "flat";
+  inputs["stairGradeValue"] = stairGradeValueInput ? parseFloat(stairGradeValueInput.value) : 0;
   return inputs;
 }
 
@@ -206,6 +221,7 @@ const BOM_CATEGORY_ORDER = [
   "BEAMS & POSTS",
   "STAIRS",
   "DECKING",
+  "FASCIA & SKIRTING",
   "RAILING",
   "HARDWARE"
 ];
@@ -513,6 +529,9 @@ export function populateSummaryCard(
     footingTypeSelect.options[footingTypeSelect.selectedIndex]?.text ||
       inputs.footingType
   );
+  if (structure.frostWarning) {
+    addSummaryItem("Frost", structure.frostWarning);
+  }
 
   let attachmentText = "N/A";
   if (inputs.attachmentType === "house_rim")
@@ -579,6 +598,17 @@ export function populateSummaryCard(
       addIndentedItem("Width", `${stair.widthFt}' 0"`);
       addIndentedItem("Rise / Run", `${riseFractionStr}" / ${runFractionStr}"`);
 
+      const codeProfileOption = stairCodeProfileSelect
+        ? Array.from(stairCodeProfileSelect.options).find((opt) => opt.value === stair.codeProfile)
+        : null;
+      const violationCount = stair.codeViolations?.length || 0;
+      addIndentedItem(
+        "Code Check",
+        `${codeProfileOption ? codeProfileOption.text : stair.codeProfile || "N/A"}: ${
+          violationCount > 0 ? `${violationCount} violation${violationCount === 1 ? "" : "s"}` : "OK"
+        }`
+      );
+
       let stringerTypeText = "N/A";
       // Get selected text from dropdown for stringerType
       const stringerTypeOption = Array.from(stringerTypeSelect.options).find(
@@ -652,7 +682,25 @@ export function populateStructuralSpecs(structure, inputs, deckDimensions, maxJo
   // --- Joist System ---
   const joistSize = structure.joists?.[0]?.size || structure.ledger?.size || "N/A";
   setSpecValue("specJoistSize", joistSize);
-  setSpecValue("specJoistSpacing", `${inputs.joistSpacing}" O.C.`);
+  setSpecValue("specJoistSpacing", `${structure.joistSpacingInches || inputs.joistSpacing}" O.C.`);
+  setSpecValue("specSpanTable", structure.spanTable?.label || "--");
+  const designLoad = structure.designLoad;
+  setSpecValue(
+    "specDesignLoad",
+    designLoad
+      ? `${designLoad.totalLoadPsf} psf (${designLoad.governs} ${designLoad.governingLoadPsf} + dead ${designLoad.deadLoadPsf})`
+      : "--"
+  );
+
+  const loadZones = structure.loadZones || [];
+  setSpecValue(
+    "specLoadZones",
+    loadZones.length > 0
+      ? loadZones
+          .map((zone) => `${zone.label}: ${zone.totalLoadPsf.toFixed(0)} psf, ${zone.joistSize} @ ${zone.joistSpacingInches}" O.C.`)
+          .join("; ")
+      : "None"
+  );
 
   // Calculate actual joist span
   const actualSpan = structure.totalDepthFeet || deckDimensions.heightFeet || 0;
@@ -702,6 +750,32 @@ export function populateStructuralSpecs(structure, inputs, deckDimensions, maxJo
     setSpecValue("specBeamCount", "0");
   }
 
+  // --- Member Mechanics ---
+  const mechanics = structure.mechanics;
+  const describeWorst = (results) => {
+    if (!results || results.length === 0) return "N/A";
+    const ratioOf = (result) => Math.max(...Object.values(result.ratios));
+    const worst = results.reduce((a, b) => (ratioOf(b) > ratioOf(a) ? b : a));
+    const member = worst.ply > 1 ? `${worst.ply}-ply ${worst.size}` : worst.size;
+    return `${Math.round(ratioOf(worst) * 100)}% (${worst.governs}, ${member} @ ${worst.spanFt.toFixed(1)}', L/${mechanics.deflectionLimit})`;
+  };
+  setSpecValue("specJoistMechanics", describeWorst(mechanics?.joists));
+  setSpecValue("specBeamMechanics", describeWorst(mechanics?.beams));
+
+  const mechanicsStatus = document.getElementById("mechanicsComplianceStatus");
+  if (mechanicsStatus) {
+    const messages = [...(mechanics?.adjustments || [])];
+    if (mechanics && !mechanics.allPass) {
+      messages.push(`${mechanics.failures} member check(s) over capacity. Consult a structural engineer.`);
+    }
+    if (structure.beamWarning) messages.push(structure.beamWarning);
+    messages.push(...(structure.movedFraming?.warnings || []));
+    mechanicsStatus.classList.toggle("hidden", messages.length === 0);
+    mechanicsStatus.classList.remove("compliant", "warning", "non-compliant");
+    mechanicsStatus.classList.add(mechanics && !mechanics.allPass ? "non-compliant" : "warning");
+    mechanicsStatus.querySelector(".compliance-text").textContent = messages.join(" ");
+  }
+
   // --- Posts & Foundations ---
   const postSize = structure.posts?.[0]?.size || "N/A";
   setSpecValue("specPostSize", postSize);
@@ -714,6 +788,30 @@ export function populateStructuralSpecs(structure, inputs, deckDimensions, maxJo
   const footingType = footingTypeSelect?.options[footingTypeSelect.selectedIndex]?.text || inputs.footingType || "N/A";
   setSpecValue("specFootingType", footingType);
   setSpecValue("specFootingCount", (structure.footings?.length || 0).toString());
+  const zoneFootings = (structure.footings || []).filter((footing) => footing.loadZonePsf);
+  const largestZoneFooting = Math.max(0, ...zoneFootings.map((footing) => footing.diameter || 0));
+  setSpecValue(
+    "specLoadZoneFootings",
+    zoneFootings.length > 0
+      ? `${zoneFootings.length}${largestZoneFooting ? ` (up to ${largestZoneFooting}" dia.)` : ""}`
+      : "None"
+  );
+
+  const site = structure.footingSite;
+  setSpecValue("specSoilBearing", site ? `${site.soilBearingCapacity} psf` : "--");
+  setSpecValue("specFrostDepth", site ? `${site.frostDepthInches}"` : "--");
+  const pierConcrete = (structure.footings || []).reduce(
+    (sum, footing) => sum + (footing.concreteVolumeCuFt || 0),
+    0
+  );
+  setSpecValue("specPierConcrete", pierConcrete > 0 ? `${pierConcrete.toFixed(1)} cu ft` : "N/A");
+
+  const frostStatus = document.getElementById("frostComplianceStatus");
+  if (frostStatus) {
+    frostStatus.classList.toggle("hidden", !structure.frostWarning);
+    frostStatus.classList.toggle("non-compliant", !!structure.frostWarning);
+    frostStatus.querySelector(".compliance-text").textContent = structure.frostWarning || "";
+  }
 
   // --- Attachment Method ---
   let attachmentText = "N/A";
@@ -725,14 +823,43 @@ export function populateStructuralSpecs(structure, inputs, deckDimensions, maxJo
   // Ledger specifications
   if (structure.ledger) {
     setSpecValue("specLedgerSize", structure.ledger.size || "N/A");
-    setSpecValue("specLedgerLength", `${structure.ledger.lengthFeet?.toFixed(1) || 0}'`);
+    // A wrap-around deck has a ledger on each wall at the house corner
+    const ledgerLength = structure.wrapLedger
+      ? `${structure.ledger.lengthFeet?.toFixed(1) || 0}' + ${structure.wrapLedger.lengthFeet?.toFixed(1) || 0}'`
+      : `${structure.ledger.lengthFeet?.toFixed(1) || 0}'`;
+    setSpecValue("specLedgerLength", ledgerLength);
   } else {
     setSpecValue("specLedgerSize", "N/A (Floating)");
     setSpecValue("specLedgerLength", "N/A");
+  }
 
-    const ledgerNote = document.getElementById("specLedgerNote");
-    if (ledgerNote) {
+  // Ledger fastener schedule (R507.9.1.3)
+  const fasteners = structure.ledgerFasteners;
+  setSpecValue(
+    "specLedgerFasteners",
+    fasteners ? `${fasteners.fastenerLabel} @ ${fasteners.spacingInches}" O.C.` : "N/A"
+  );
+  setSpecValue("specLedgerFastenerCount", fasteners ? `${fasteners.totalCount}` : "N/A");
+
+  // Lateral load connection (R507.9.2)
+  const lateralLoad = structure.lateralLoad;
+  let lateralText = "Not required";
+  if (inputs.attachmentType === "floating") lateralText = "N/A (Floating)";
+  else if (lateralLoad) lateralText = `${lateralLoad.deviceCount} x ${lateralLoad.deviceLabel} (${lateralLoad.count} locations)`;
+  setSpecValue("specLateralLoad", lateralText);
+
+  const ledgerNote = document.getElementById("specLedgerNote");
+  if (ledgerNote) {
+    if (fasteners) {
+      const loadText = fasteners.loadFactor < 1 ? `, reduced for ${fasteners.designLoadPsf} psf design load` : "";
+      const spanText = fasteners.exceedsTable ? " (exceeds table - engineering required)" : "";
+      ledgerNote.textContent =
+        `Staggered top/bottom, ${fasteners.edgeDistanceInches}" from edges, ${fasteners.endDistanceInches}" from ends. ` +
+        `${fasteners.joistSpanFt.toFixed(1)}' joist span${spanText}${loadText} per ${fasteners.basis}`;
+    } else if (inputs.attachmentType === "floating") {
       ledgerNote.textContent = "Floating deck - no ledger attachment";
+    } else {
+      ledgerNote.textContent = "Ledger attachment per IRC R507.9.1";
     }
   }
 
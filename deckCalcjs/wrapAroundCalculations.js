@@ -0,0 +1,261 @@
+// wrapAroundCalculations.js - Decks that wrap an outside corner of the house
+// Ledgers on the two walls meeting at the corner each frame their own zone, with joists
+// square to their wall. The zones meet on a hip line that bisects the corner and runs out
+// to the deck edge; a flush hip beam along it carries the jack joists from both sides on
+// skewed hangers. This module finds the corner and splits the outline into the two zones;
+// calculateMultiSectionStructure frames them.
+
+import {
+  EPSILON,
+  PIXELS_PER_FOOT,
+  WRAP_AROUND_PERPENDICULAR_TOLERANCE_DEGREES,
+} from "./config.js";
+import { isPointInsidePolygon, isPointOnPolygonEdge } from "./structuralValidator.js";
+
+// ================================================
+// OUTLINE HELPERS
+// ================================================
+
+// Drop a closing point that repeats the first
+function getOpenRing(points) {
+  if (points.length > 1) {
+    const first = points[0];
+    const last = points[points.length - 1];
+    if (Math.abs(first.x - last.x) < 1 && Math.abs(first.y - last.y) < 1) {
+      return points.slice(0, -1);
+    }
+  }
+  return points;
+}
+
+function getSignedRingArea(points) {
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    const p1 = points[i];
+    const p2 = points[(i + 1) % points.length];
+    area += p1.x * p2.y - p2.x * p1.y;
+  }
+  return area / 2;
+}
+
+function getUnitVector(from, to) {
+  const length = Math.hypot(to.x - from.x, to.y - from.y);
+  return length < EPSILON ? null : { x: (to.x - from.x) / length, y: (to.y - from.y) / length };
+}
+
+// Drops vertices lying on a straight run between their neighbours, except those in keep
+function dropCollinearPoints(points, keep) {
+  return points.filter((point, i) => {
+    if (keep.includes(point)) return true;
+    const prev = points[(i - 1 + points.length) % points.length];
+    const next = points[(i + 1) % points.length];
+    const cross = (point.x - prev.x) * (next.y - point.y) - (point.y - prev.y) * (next.x - point.x);
+    return Math.abs(cross) / Math.max(Math.hypot(next.x - prev.x, next.y - prev.y), EPSILON) > 0.5;
+  });
+}
+
+function getBoundsDimensions(points) {
+  const xs = points.map((p) => p.x);
+  const ys = points.map((p) => p.y);
+  const minX = Math.min(...xs);
+  const maxX = Math.max(...xs);
+  const minY = Math.min(...ys);
+  const maxY = Math.max(...ys);
+  return {
+    widthFeet: (maxX - minX) / PIXELS_PER_FOOT,
+    heightFeet: (maxY - minY) / PIXELS_PER_FOOT,
+    minX,
+    maxX,
+    minY,
+    maxY,
+  };
+}
+
+// ================================================
+// HOUSE CORNER
+// ================================================
+
+/**
+ * Finds the outside house corner a ledger selection wraps: two selected walls that meet
+ * square at a vertex where the deck outline turns in around the house.
+ * @param {Array<{x: number, y: number}>} points - Deck outline
+ * @param {Array<number>} ledgerIndices - Selected ledger wall (edge) indices
+ * @returns {Object|null} null when the selection doesn't turn a house corner; {error} when it
+ *   turns more than one or has walls beyond the corner pair; otherwise {cornerIndex, corner,
+ *   wallIndices} with wallIndices the walls into and out of the corner, in outline order
+ */
+export function findWrapAroundCorner(points, ledgerIndices) {
+  const ring = getOpenRing(points || []);
+  const n = ring.length;
+  const walls = [...new Set(ledgerIndices || [])].filter((i) => Number.isInteger(i) && i >= 0 && i < n);
+  if (n < 4 || walls.length < 2) return null;
+
+  const winding = Math.sign(getSignedRingArea(ring));
+  const maxDot = Math.sin((WRAP_AROUND_PERPENDICULAR_TOLERANCE_DEGREES * Math.PI) / 180);
+  const corners = [];
+  walls.forEach((wall) => {
+    const outWall = (wall + 1) % n;
+    if (!walls.includes(outWall)) return;
+    const corner = ring[outWall];
+    const inDir = getUnitVector(ring[wall], corner);
+    const outDir = getUnitVector(corner, ring[(outWall + 1) % n]);
+    if (!inDir || !outDir || Math.abs(inDir.x * outDir.x + inDir.y * outDir.y) > maxDot) return;
+    // At an outside house corner the outline turns against its winding (a reflex vertex)
+    const turn = inDir.x * outDir.y - inDir.y * outDir.x;
+    if (Math.sign(turn) === winding) return;
+    corners.push({ cornerIndex: outWall, corner: { ...corner }, wallIndices: [wall, outWall] });
+  });
+
+  if (corners.length === 0) return null;
+  if (corners.length > 1 || walls.length > 2) {
+    return { error: "A wrap-around deck can turn one house corner. Select just the two walls that meet at it." };
+  }
+  return corners[0];
+}
+
+// ================================================
+// FRAMING ZONES
+// ================================================
+
+/**
+ * Splits the outline into the two framing zones of a wrap-around deck along the hip line.
+ * @param {Array<{x: number, y: number}>} points - Deck outline
+ * @param {Object} wrapAround - Corner from findWrapAroundCorner
+ * @returns {Object} {corner, hipEnd, zones} or {error}. Each zone has its ledger wall
+ *   (wallIndex, ledgerP1, ledgerP2 in drawing order), its outline (points), and
+ *   framingPoints: the outline with the house corner moved out along the wall line, so
+ *   joists framed square to the wall reach every part of the zone before they are cut
+ *   back to the hip. framingLedgerIndex is the wall's edge in framingPoints and
+ *   framingDimensions its bounds.
+ */
+export function splitWrapAroundZones(points, wrapAround) {
+  const openRing = getOpenRing(points || []);
+  const n = openRing.length;
+  if (!wrapAround || wrapAround.error || n < 4) {
+    return { error: wrapAround?.error || "No house corner to wrap." };
+  }
+
+  // Start the ring at the house corner: edge 0 is the wall out of it, edge n-1 the wall in
+  const ring = [...openRing.slice(wrapAround.cornerIndex), ...openRing.slice(0, wrapAround.cornerIndex)];
+  const corner = ring[0];
+  const alongIn = getUnitVector(corner, ring[n - 1]);
+  const alongOut = getUnitVector(corner, ring[1]);
+  const hipDir = getUnitVector({ x: 0, y: 0 }, { x: -(alongIn.x + alongOut.x), y: -(alongIn.y + alongOut.y) });
+
+  // The hip runs from the corner to the first deck edge it reaches
+  let hit = null;
+  for (let i = 1; i < n - 1; i++) {
+    const a = ring[i];
+    const b = ring[i + 1];
+    const ex = b.x - a.x;
+    const ey = b.y - a.y;
+    const denom = hipDir.x * ey - hipDir.y * ex;
+    if (Math.abs(denom) < EPSILON) continue;
+    const t = ((a.x - corner.x) * ey - (a.y - corner.y) * ex) / denom;
+    const s = ((a.x - corner.x) * hipDir.y - (a.y - corner.y) * hipDir.x) / denom;
+    if (t > 1 && s >= -EPSILON && s <= 1 + EPSILON && (!hit || t < hit.t)) hit = { t, edgeIndex: i };
+  }
+  if (!hit) return { error: "The hip line from the house corner doesn't reach the deck edge." };
+
+  const hipEnd = { x: corner.x + hipDir.x * hit.t, y: corner.y + hipDir.y * hit.t };
+  const hipMid = { x: (corner.x + hipEnd.x) / 2, y: (corner.y + hipEnd.y) / 2 };
+  if (!isPointInsidePolygon(hipMid, ring)) {
+    return { error: "The hip line from the house corner leaves the deck outline." };
+  }
+
+  // Land the hip on an existing vertex or split the edge it reaches
+  const edgeStart = ring[hit.edgeIndex];
+  const edgeEnd = ring[hit.edgeIndex + 1];
+  let hipIndex;
+  const splitRing = [...ring];
+  if (Math.hypot(hipEnd.x - edgeStart.x, hipEnd.y - edgeStart.y) < 1) {
+    hipIndex = hit.edgeIndex;
+  } else if (Math.hypot(hipEnd.x - edgeEnd.x, hipEnd.y - edgeEnd.y) < 1) {
+    hipIndex = (hit.edgeIndex + 1) % n;
+  } else {
+    hipIndex = hit.edgeIndex + 1;
+    splitRing.splice(hipIndex, 0, hipEnd);
+  }
+  if (hipIndex === 0 || hipIndex === 1 || hipIndex === splitRing.length - 1) {
+    return { error: "The deck is too shallow beside the house corner to wrap it." };
+  }
+  const hipPoint = splitRing[hipIndex];
+
+  // Corner moved out along a wall line to where it squares off with the hip end
+  const alongWall = (dir) => {
+    const reach = (hipPoint.x - corner.x) * dir.x + (hipPoint.y - corner.y) * dir.y;
+    return { x: corner.x + dir.x * reach, y: corner.y + dir.y * reach };
+  };
+
+  const [inWall, outWall] = wrapAround.wallIndices;
+  const outOutline = splitRing.slice(0, hipIndex + 1);
+  const outCorner = alongWall(alongOut);
+  const outFraming = dropCollinearPoints([outCorner, ...outOutline.slice(1)], [outCorner, outOutline[1]]);
+
+  const inOutline = [...splitRing.slice(hipIndex), corner];
+  const inCorner = alongWall(alongIn);
+  const inFraming = dropCollinearPoints([...inOutline.slice(0, -1), inCorner], [inCorner, ring[n - 1]]);
+
+  const zones = [
+    {
+      wallIndex: inWall,
+      ledgerP1: { ...ring[n - 1] },
+      ledgerP2: { ...corner },
+      points: inOutline.map((p) => ({ ...p })),
+      framingPoints: inFraming.map((p) => ({ ...p })),
+      framingLedgerIndex: inFraming.length - 2,
+      framingDimensions: getBoundsDimensions(inFraming),
+    },
+    {
+      wallIndex: outWall,
+      ledgerP1: { ...corner },
+      ledgerP2: { ...ring[1] },
+      points: outOutline.map((p) => ({ ...p })),
+      framingPoints: outFraming.map((p) => ({ ...p })),
+      framingLedgerIndex: 0,
+      framingDimensions: getBoundsDimensions(outFraming),
+    },
+  ];
+  return { corner: { ...corner }, hipEnd: { ...hipPoint }, zones };
+}
+
+/**
+ * Parts of a segment inside (or along the edge of) a zone outline, as parameter ranges
+ * along the segment (0 at p1, 1 at p2).
+ * @param {{x: number, y: number}} p1
+ * @param {{x: number, y: number}} p2
+ * @param {Array<{x: number, y: number}>} zonePoints - Zone outline
+ * @returns {Array<{t0: number, t1: number}>} Inside ranges in order along the segment
+ */
+export function clipSegmentToZone(p1, p2, zonePoints) {
+  const dx = p2.x - p1.x;
+  const dy = p2.y - p1.y;
+  const cuts = [0, 1];
+  zonePoints.forEach((a, i) => {
+    const b = zonePoints[(i + 1) % zonePoints.length];
+    const ex = b.x - a.x;
+    const ey = b.y - a.y;
+    const denom = dx * ey - dy * ex;
+    if (Math.abs(denom) < EPSILON) return;
+    const t = ((a.x - p1.x) * ey - (a.y - p1.y) * ex) / denom;
+    const s = ((a.x - p1.x) * dy - (a.y - p1.y) * dx) / denom;
+    if (t > 0 && t < 1 && s >= -EPSILON && s <= 1 + EPSILON) cuts.push(t);
+  });
+  cuts.sort((a, b) => a - b);
+
+  const ranges = [];
+  for (let i = 0; i < cuts.length - 1; i++) {
+    const t0 = cuts[i];
+    const t1 = cuts[i + 1];
+    if (t1 - t0 < 1e-6) continue;
+    const mid = { x: p1.x + dx * ((t0 + t1) / 2), y: p1.y + dy * ((t0 + t1) / 2) };
+    if (!isPointInsidePolygon(mid, zonePoints) && !isPointOnPolygonEdge(mid, zonePoints, 1)) continue;
+    const last = ranges[ranges.length - 1];
+    if (last && Math.abs(last.t1 - t0) < 1e-6) {
+      last.t1 = t1;
+    } else {
+      ranges.push({ t0, t1 });
+    }
+  }
+  return ranges;
+}